@@ -4,6 +4,8 @@
  */
 
 import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -51,23 +53,137 @@ function buildUrls(subdomain) {
   };
 }
 
+/**
+ * Get the profile name from --profile on the command line or SFMC_PROFILE.
+ * Read from process.argv so every script honors it before yargs runs.
+ * @returns {string|null} Profile name
+ */
+function resolveProfileName() {
+  const args = process.argv.slice(2);
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--profile' && args[i + 1] && !args[i + 1].startsWith('-')) {
+      return args[i + 1];
+    }
+    if (args[i].startsWith('--profile=')) {
+      return args[i].slice('--profile='.length) || null;
+    }
+  }
+
+  return process.env.SFMC_PROFILE || null;
+}
+
+/**
+ * Find the profiles file: SFMC_PROFILES_FILE, then profiles.json in the
+ * project root, then ~/.sfmcrc
+ * @returns {string|null} Path of the first file that exists
+ */
+function findProfilesFile() {
+  const candidates = [
+    process.env.SFMC_PROFILES_FILE,
+    path.resolve(__dirname, '../../profiles.json'),
+    path.join(os.homedir(), '.sfmcrc')
+  ].filter(Boolean);
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Load the selected credential profile
+ * @returns {object} { name, file, settings, error }
+ */
+function loadProfile() {
+  const file = findProfilesFile();
+  let profiles = {};
+  let defaultProfile = null;
+
+  if (file) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      profiles = parsed.profiles || {};
+      defaultProfile = parsed.default || null;
+    } catch (error) {
+      return { name: resolveProfileName(), file, settings: null, error: `Could not read ${file}: ${error.message}` };
+    }
+  }
+
+  const name = resolveProfileName() || defaultProfile;
+  if (!name) {
+    return { name: null, file, settings: null, error: null };
+  }
+
+  if (!profiles[name]) {
+    const where = file || 'profiles.json or ~/.sfmcrc';
+    return { name, file, settings: null, error: `Profile "${name}" not found in ${where}` };
+  }
+
+  return { name, file, settings: profiles[name], error: null };
+}
+
+const profile = loadProfile();
+
+// A profile replaces the SFMC_* credentials entirely so tenants never mix
+const sfmcSettings = profile.name
+  ? profile.settings || {}
+  : {
+      clientId: process.env.SFMC_CLIENT_ID,
+      clientSecret: process.env.SFMC_CLIENT_SECRET,
+      subdomain: process.env.SFMC_SUBDOMAIN,
+      accountId: process.env.SFMC_ACCOUNT_ID,
+      authUrl: process.env.SFMC_AUTH_URL,
+      soapUrl: process.env.SFMC_SOAP_URL,
+      restUrl: process.env.SFMC_REST_URL,
+      allowedBusinessUnits: process.env.ALLOWED_BUSINESS_UNITS
+    };
+
 // Build URLs from subdomain or use explicit URLs
-const defaultUrls = buildUrls(process.env.SFMC_SUBDOMAIN);
+const defaultUrls = buildUrls(sfmcSettings.subdomain);
+
+// HTTP record/replay directories (see http-recorder.js)
+const recordDir = process.env.SFMC_RECORD ? path.resolve(process.env.SFMC_RECORD) : null;
+const replayDir = process.env.SFMC_REPLAY ? path.resolve(process.env.SFMC_REPLAY) : null;
+const recordingMode = replayDir ? 'replay' : (recordDir ? 'record' : null);
+
+/**
+ * Read the manifest written when a recording was made
+ * @param {string} dir - Recording directory
+ * @returns {object} Manifest, or {} if missing or unreadable
+ */
+function readRecordingManifest(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'recording.json'), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// A replay always runs against the BU it was recorded in
+const replayManifest = replayDir ? readRecordingManifest(replayDir) : {};
+
+// Cache and state are kept apart per profile
+const profileDir = profile.name ? profile.name.replace(/[^a-zA-Z0-9_-]/g, '_') : '';
 
 /**
  * Main configuration object
  * All settings are loaded from environment variables with sensible defaults
  */
 const config = {
+  // Credential profile (null when the SFMC_* variables are used)
+  profile: profile.name,
+  profileFile: profile.file,
+  profileError: profile.error,
+
   // SFMC Authentication
   sfmc: {
-    clientId: process.env.SFMC_CLIENT_ID,
-    clientSecret: process.env.SFMC_CLIENT_SECRET,
-    authUrl: process.env.SFMC_AUTH_URL || defaultUrls.auth,
-    soapUrl: process.env.SFMC_SOAP_URL || defaultUrls.soap,
-    restUrl: process.env.SFMC_REST_URL || defaultUrls.rest,
-    accountId: process.env.SFMC_ACCOUNT_ID,
-    subdomain: process.env.SFMC_SUBDOMAIN
+    clientId: sfmcSettings.clientId,
+    clientSecret: sfmcSettings.clientSecret,
+    authUrl: sfmcSettings.authUrl || defaultUrls.auth,
+    soapUrl: sfmcSettings.soapUrl || defaultUrls.soap,
+    restUrl: sfmcSettings.restUrl || defaultUrls.rest,
+    accountId: replayManifest.accountId
+      ? String(replayManifest.accountId)
+      : (sfmcSettings.accountId ? String(sfmcSettings.accountId) : undefined),
+    subdomain: sfmcSettings.subdomain
   },
 
   // Safety Settings
@@ -86,8 +202,22 @@ const config = {
        '_PushAddress', '_SMSMessageTracking', 'ent.', '_EnterpriseAttribute', 'ContactMaster']
     ),
     maxDeleteBatchSize: parseNumber(process.env.MAX_DELETE_BATCH_SIZE, 50),
-    apiRateLimitDelayMs: parseNumber(process.env.API_RATE_LIMIT_DELAY_MS, 200),
-    allowedBusinessUnits: parseCommaSeparated(process.env.ALLOWED_BUSINESS_UNITS, [])
+    apiRateLimitDelayMs: parseNumber(process.env.API_RATE_LIMIT_DELAY_MS, recordingMode === 'replay' ? 0 : 200),
+    allowedBusinessUnits: Array.isArray(sfmcSettings.allowedBusinessUnits)
+      ? sfmcSettings.allowedBusinessUnits.map(String)
+      : parseCommaSeparated(sfmcSettings.allowedBusinessUnits, [])
+  },
+
+  // Row Data Backup Settings
+  backup: {
+    dataFormat: process.env.BACKUP_DATA_FORMAT || 'ndjson',
+    dataMaxRows: parseNumber(process.env.BACKUP_DATA_MAX_ROWS, 1000000)
+  },
+
+  // Quarantine Settings
+  quarantine: {
+    folder: process.env.QUARANTINE_FOLDER || 'Data Extensions/_Quarantine',
+    retentionDays: parseNumber(process.env.QUARANTINE_RETENTION_DAYS, 30)
   },
 
   // Logging Configuration
@@ -109,8 +239,27 @@ const config = {
     logs: path.resolve(__dirname, '../../logs'),
     audit: path.resolve(__dirname, '../../audit'),
     backup: path.resolve(__dirname, '../../backup'),
-    state: path.resolve(__dirname, '../../state'),
-    undo: path.resolve(__dirname, '../../undo')
+    state: path.resolve(__dirname, '../../state', profileDir),
+    // Recorded and replayed runs get a throwaway cache so every call goes over the wire
+    cache: recordingMode
+      ? path.join(os.tmpdir(), `sfmc-de-toolkit-${recordingMode}-${process.pid}`)
+      : path.resolve(__dirname, '../../cache', profileDir),
+    undo: path.resolve(__dirname, '../../undo'),
+    snapshots: path.resolve(__dirname, '../../snapshots', profileDir)
+  },
+
+  // Shared request scheduler (rate-limiter.js); 0 requests/second means unlimited
+  rateLimit: {
+    requestsPerSecond: parseNumber(process.env.API_REQUESTS_PER_SECOND, recordingMode === 'replay' ? 0 : 20),
+    minRequestsPerSecond: parseNumber(process.env.API_MIN_REQUESTS_PER_SECOND, 1),
+    maxInFlightPerBu: parseNumber(process.env.API_MAX_IN_FLIGHT_PER_BU, 10)
+  },
+
+  // HTTP record/replay
+  recording: {
+    mode: recordingMode,
+    recordDir,
+    replayDir
   },
 
   // Pagination settings
@@ -141,7 +290,9 @@ const config = {
   // Concurrency Settings
   concurrency: {
     queryTextConcurrency: parseNumber(process.env.QUERY_TEXT_CONCURRENCY, 25),
-    automationDetailsConcurrency: parseNumber(process.env.AUTOMATION_DETAILS_CONCURRENCY, 10)
+    automationDetailsConcurrency: parseNumber(process.env.AUTOMATION_DETAILS_CONCURRENCY, 10),
+    assetDetailsConcurrency: parseNumber(process.env.ASSET_DETAILS_CONCURRENCY, 10),
+    businessUnitConcurrency: parseNumber(process.env.BU_ANALYSIS_CONCURRENCY, 3)
   },
 
   // Version info
@@ -155,24 +306,41 @@ const config = {
 export function validateConfig() {
   const errors = [];
 
-  if (!config.sfmc.clientId) {
-    errors.push('SFMC_CLIENT_ID is required');
+  if (config.profileError) {
+    throw new Error(`Configuration validation failed:\n  - ${config.profileError}`);
+  }
+
+  if (config.recording.recordDir && config.recording.replayDir) {
+    errors.push('SFMC_RECORD and SFMC_REPLAY cannot be used together');
   }
-  if (!config.sfmc.clientSecret) {
-    errors.push('SFMC_CLIENT_SECRET is required');
+  if (config.recording.replayDir && !fs.existsSync(config.recording.replayDir)) {
+    errors.push(`SFMC_REPLAY directory not found: ${config.recording.replayDir}`);
+  }
+
+  // Name the setting the way the user configures it
+  const name = (envName, profileKey) => config.profile ? `${profileKey} (profile "${config.profile}")` : envName;
+
+  // A replay never authenticates, so it only needs to know which BU was recorded
+  const isReplay = config.recording.mode === 'replay';
+
+  if (!config.sfmc.clientId && !isReplay) {
+    errors.push(`${name('SFMC_CLIENT_ID', 'clientId')} is required`);
+  }
+  if (!config.sfmc.clientSecret && !isReplay) {
+    errors.push(`${name('SFMC_CLIENT_SECRET', 'clientSecret')} is required`);
   }
   if (!config.sfmc.accountId) {
-    errors.push('SFMC_ACCOUNT_ID is required');
+    errors.push(`${name('SFMC_ACCOUNT_ID', 'accountId')} is required`);
   }
-  if (!config.sfmc.subdomain && config.sfmc.authUrl.includes('YOUR_SUBDOMAIN')) {
-    errors.push('SFMC_SUBDOMAIN or explicit URLs are required');
+  if (!config.sfmc.subdomain && config.sfmc.authUrl.includes('YOUR_SUBDOMAIN') && !isReplay) {
+    errors.push(`${name('SFMC_SUBDOMAIN', 'subdomain')} or explicit URLs are required`);
   }
 
   if (errors.length > 0) {
     throw new Error(
       'Configuration validation failed:\n' +
       errors.map(e => `  - ${e}`).join('\n') +
-      '\n\nPlease check your .env file.'
+      (config.profile ? `\n\nPlease check ${config.profileFile}.` : '\n\nPlease check your .env file.')
     );
   }
 
@@ -215,4 +383,26 @@ export function isBusinessUnitAllowed(mid) {
   return config.safety.allowedBusinessUnits.includes(mid.toString());
 }
 
+/**
+ * List the profiles defined in the profiles file (names only, no secrets)
+ * @returns {object} { file, defaultProfile, profiles: [{ name, subdomain, accountId }] }
+ */
+export function listProfiles() {
+  const file = findProfilesFile();
+  if (!file) {
+    return { file: null, defaultProfile: null, profiles: [] };
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    file,
+    defaultProfile: parsed.default || null,
+    profiles: Object.entries(parsed.profiles || {}).map(([profileName, settings]) => ({
+      name: profileName,
+      subdomain: settings.subdomain || null,
+      accountId: settings.accountId ? String(settings.accountId) : null
+    }))
+  };
+}
+
 export default config;
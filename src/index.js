@@ -14,9 +14,9 @@ import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-import config from './config/index.js';
+import config, { listProfiles } from './config/index.js';
 import { testConnection } from './lib/sfmc-auth.js';
-import { clearFolderCache, getFolderCacheStatus, getFolderByPath } from './lib/folder-service.js';
+import { FolderContentType, getContentTypeLabel, clearFolderCache, getFolderCacheStatus, loadAllFolders } from './lib/folder-service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -58,6 +58,15 @@ function runScript(scriptName, args) {
 const cli = yargs(hideBin(process.argv))
   .scriptName('sfmc-de-toolkit')
   .usage('Usage: $0 <command> [options]')
+  .option('profile', {
+    describe: 'Credential profile from profiles.json or ~/.sfmcrc',
+    type: 'string',
+    global: true
+  })
+  .middleware((argv) => {
+    // Scripts run as child processes and pick the profile up from the environment
+    if (argv.profile) process.env.SFMC_PROFILE = argv.profile;
+  })
 
   // Audit command
   .command(
@@ -95,9 +104,16 @@ const cli = yargs(hideBin(process.argv))
           type: 'boolean',
           default: false
         })
+        .option('content-type', {
+          describe: 'Folder content type',
+          type: 'string',
+          choices: Object.values(FolderContentType),
+          default: FolderContentType.DATA_EXTENSION
+        })
         .example('$0 audit -f "Archive/Old Campaigns"', 'Audit the specified folder')
         .example('$0 audit -f "Archive" -o json', 'Audit and output JSON only')
-        .example('$0 audit -f "Archive" --refresh-cache', 'Audit with fresh data from API');
+        .example('$0 audit -f "Archive" --refresh-cache', 'Audit with fresh data from API')
+        .example('$0 audit -f "Query" --content-type queryactivity', 'Audit the Query Activity folder tree');
     },
     (argv) => {
       const args = ['--folder', argv.folder];
@@ -105,6 +121,7 @@ const cli = yargs(hideBin(process.argv))
       if (!argv.checkDependencies) args.push('--check-dependencies', 'false');
       if (!argv.includeRowCounts) args.push('--include-row-counts', 'false');
       if (argv.refreshCache) args.push('--refresh-cache');
+      args.push('--content-type', argv.contentType);
       runScript('audit-folder', args);
     }
   )
@@ -161,10 +178,31 @@ const cli = yargs(hideBin(process.argv))
           type: 'boolean',
           default: false
         })
+        .option('plan', {
+          describe: 'Write a deletion plan file instead of deleting',
+          type: 'string'
+        })
+        .option('quarantine', {
+          describe: 'Move DEs to the quarantine folder instead of deleting',
+          type: 'boolean',
+          default: false
+        })
+        .option('backup-data', {
+          describe: 'Also back up DE rows before deleting',
+          type: 'boolean',
+          default: false
+        })
+        .option('backup-data-max-rows', {
+          describe: 'Refuse to delete DEs with more rows than this when backing up data',
+          type: 'number'
+        })
         .example('$0 delete-des -f "Archive"', 'Dry run - preview what would be deleted')
         .example('$0 delete-des -f "Archive" --confirm', 'Actually delete DEs')
         .example('$0 delete-des -f "Archive" -i', 'Interactive selection mode')
-        .example('$0 delete-des -f "Archive" --auto-delete-filters', 'Auto-delete orphaned filters');
+        .example('$0 delete-des -f "Archive" --auto-delete-filters', 'Auto-delete orphaned filters')
+        .example('$0 delete-des -f "Archive" --plan archive.plan.json', 'Write a plan for review, then run apply')
+        .example('$0 delete-des -f "Archive" --quarantine --confirm', 'Quarantine DEs instead of deleting')
+        .example('$0 delete-des -f "Archive" --backup-data --confirm', 'Back up rows, then delete');
     },
     (argv) => {
       const args = ['--folder', argv.folder];
@@ -176,6 +214,10 @@ const cli = yargs(hideBin(process.argv))
       if (argv.batchSize) args.push('--batch-size', argv.batchSize);
       if (argv.autoDeleteFilters) args.push('--auto-delete-filters');
       if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.plan) args.push('--plan', argv.plan);
+      if (argv.quarantine) args.push('--quarantine');
+      if (argv.backupData) args.push('--backup-data');
+      if (argv.backupDataMaxRows) args.push('--backup-data-max-rows', argv.backupDataMaxRows);
       runScript('delete-data-extensions', args);
     }
   )
@@ -212,9 +254,21 @@ const cli = yargs(hideBin(process.argv))
           type: 'boolean',
           default: false
         })
+        .option('plan', {
+          describe: 'Write a deletion plan file instead of deleting',
+          type: 'string'
+        })
+        .option('content-type', {
+          describe: 'Folder content type',
+          type: 'string',
+          choices: Object.values(FolderContentType),
+          default: FolderContentType.DATA_EXTENSION
+        })
         .example('$0 delete-folders -f "Archive"', 'Dry run - preview folder deletion')
         .example('$0 delete-folders -f "Archive" --confirm', 'Actually delete folders')
-        .example('$0 delete-folders -f "Archive" --force --confirm', 'Delete folders and contents');
+        .example('$0 delete-folders -f "Archive" --force --confirm', 'Delete folders and contents')
+        .example('$0 delete-folders -f "Archive" --force --plan archive.plan.json', 'Write a plan for review')
+        .example('$0 delete-folders -f "Query/Old" --content-type queryactivity', 'Preview deleting empty query folders');
     },
     (argv) => {
       const args = ['--folder', argv.folder];
@@ -222,10 +276,370 @@ const cli = yargs(hideBin(process.argv))
       if (argv.force) args.push('--force');
       if (argv.skipProtected) args.push('--skip-protected');
       if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.plan) args.push('--plan', argv.plan);
+      args.push('--content-type', argv.contentType);
       runScript('delete-folders', args);
     }
   )
 
+  // Sweep empty folders command
+  .command(
+    'sweep-empty-folders',
+    'Delete every folder in the BU that holds nothing at any depth',
+    (yargs) => {
+      return yargs
+        .option('confirm', {
+          describe: 'Enable actual deletion (default is dry-run)',
+          type: 'boolean',
+          default: false
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh folder cache from SFMC API',
+          type: 'boolean',
+          default: false
+        })
+        .option('content-type', {
+          describe: 'Folder content type',
+          type: 'string',
+          choices: Object.values(FolderContentType),
+          default: FolderContentType.DATA_EXTENSION
+        })
+        .example('$0 sweep-empty-folders', 'Dry run - show the empty folder trees')
+        .example('$0 sweep-empty-folders --content-type queryactivity --confirm', 'Delete empty query folders');
+    },
+    (argv) => {
+      const args = ['--content-type', argv.contentType];
+      if (argv.confirm) args.push('--confirm');
+      if (argv.refreshCache) args.push('--refresh-cache');
+      runScript('sweep-empty-folders', args);
+    }
+  )
+
+  // Apply plan command
+  .command(
+    'apply <plan>',
+    'Apply a reviewed deletion plan (refuses if anything drifted)',
+    (yargs) => {
+      return yargs
+        .positional('plan', {
+          describe: 'Plan file written with --plan',
+          type: 'string'
+        })
+        .option('check-only', {
+          describe: 'Only verify the plan against SFMC',
+          type: 'boolean',
+          default: false
+        })
+        .option('non-interactive', {
+          describe: 'Non-interactive mode (requires --confirm-phrase)',
+          type: 'boolean',
+          default: false
+        })
+        .option('confirm-phrase', {
+          describe: 'Confirmation phrase for non-interactive mode',
+          type: 'string'
+        })
+        .example('$0 apply archive.plan.json', 'Verify and apply a plan')
+        .example('$0 apply archive.plan.json --check-only', 'Check a plan for drift only');
+    },
+    (argv) => {
+      const args = [argv.plan];
+      if (argv.checkOnly) args.push('--check-only');
+      if (argv.nonInteractive) args.push('--non-interactive');
+      // Scripts run through a shell and the phrase contains spaces
+      if (argv.confirmPhrase) args.push('--confirm-phrase', `"${argv.confirmPhrase}"`);
+      runScript('apply-plan', args);
+    }
+  )
+
+  // Purge quarantine command
+  .command(
+    'purge-quarantine',
+    'Permanently delete DEs that have been in quarantine for N days',
+    (yargs) => {
+      return yargs
+        .option('older-than', {
+          describe: 'Only purge DEs quarantined at least this many days ago',
+          type: 'number'
+        })
+        .option('de', {
+          describe: 'Only purge these DEs (comma-separated names or keys)',
+          type: 'string'
+        })
+        .option('confirm', {
+          describe: 'Enable actual deletion (default is dry-run)',
+          type: 'boolean',
+          default: false
+        })
+        .option('backup-data', {
+          describe: 'Also back up DE rows before purging',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 purge-quarantine', 'Preview DEs past the retention period')
+        .example('$0 purge-quarantine --older-than 30 --confirm', 'Purge DEs quarantined 30+ days ago');
+    },
+    (argv) => {
+      const args = [];
+      if (argv.olderThan !== undefined) args.push('--older-than', argv.olderThan);
+      if (argv.de) args.push('--de', `"${argv.de}"`);
+      if (argv.confirm) args.push('--confirm');
+      if (argv.backupData) args.push('--backup-data');
+      runScript('purge-quarantine', args);
+    }
+  )
+
+  // Unquarantine command
+  .command(
+    'unquarantine',
+    'Move quarantined DEs back to their original folders',
+    (yargs) => {
+      return yargs
+        .option('de', {
+          describe: 'DEs to restore (comma-separated names or keys)',
+          type: 'string'
+        })
+        .option('date', {
+          describe: 'Restore everything quarantined on this date (YYYY-MM-DD)',
+          type: 'string'
+        })
+        .option('all', {
+          describe: 'Restore every quarantined DE',
+          type: 'boolean',
+          default: false
+        })
+        .option('list', {
+          describe: 'List quarantined DEs',
+          type: 'boolean',
+          default: false
+        })
+        .option('confirm', {
+          describe: 'Enable actual moves (default is dry-run)',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 unquarantine --list', 'Show what is in quarantine')
+        .example('$0 unquarantine --de "Customer_Archive" --confirm', 'Restore one DE');
+    },
+    (argv) => {
+      const args = [];
+      if (argv.de) args.push('--de', `"${argv.de}"`);
+      if (argv.date) args.push('--date', argv.date);
+      if (argv.all) args.push('--all');
+      if (argv.list) args.push('--list');
+      if (argv.confirm) args.push('--confirm');
+      runScript('unquarantine', args);
+    }
+  )
+
+  // Set retention command
+  .command(
+    'set-retention',
+    'Apply a retention policy to DEs in a folder, matching a pattern or flagged by analyze-bu',
+    (yargs) => {
+      return yargs
+        .option('folder', {
+          alias: 'f',
+          describe: 'Folder path or name (subfolders included)',
+          type: 'string'
+        })
+        .option('csv', {
+          describe: 'analyze-bu CSV: update the DEs flagged NO_RETENTION',
+          type: 'string'
+        })
+        .option('include-pattern', {
+          describe: 'Regex for DE names to include',
+          type: 'string'
+        })
+        .option('exclude-pattern', {
+          describe: 'Regex for DE names to exclude',
+          type: 'string'
+        })
+        .option('period', {
+          describe: 'Retention period length',
+          type: 'number'
+        })
+        .option('unit', {
+          describe: 'Retention period unit',
+          choices: ['days', 'weeks', 'months', 'years']
+        })
+        .option('mode', {
+          describe: 'rows: delete old rows; all: delete all rows at the end of the period',
+          choices: ['rows', 'all'],
+          default: 'rows'
+        })
+        .option('delete-de', {
+          describe: 'Also delete the DE at the end of the period (--mode all)',
+          type: 'boolean',
+          default: false
+        })
+        .option('reset-on-import', {
+          describe: 'Restart the period whenever rows are imported',
+          type: 'boolean',
+          default: false
+        })
+        .option('overwrite', {
+          describe: 'Replace existing retention policies',
+          type: 'boolean',
+          default: false
+        })
+        .option('confirm', {
+          describe: 'Enable actual updates (default is dry-run)',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 set-retention --csv audit/bu-analysis.csv --period 6 --unit months', 'Preview a policy for NO_RETENTION DEs')
+        .example('$0 set-retention --folder "Imports" --period 30 --unit days --mode all --confirm', 'Clear a folder\'s DEs every 30 days');
+    },
+    (argv) => {
+      const args = [];
+      if (argv.folder) args.push('--folder', `"${argv.folder}"`);
+      if (argv.csv) args.push('--csv', `"${argv.csv}"`);
+      if (argv.includePattern) args.push('--include-pattern', `"${argv.includePattern}"`);
+      if (argv.excludePattern) args.push('--exclude-pattern', `"${argv.excludePattern}"`);
+      if (argv.period !== undefined) args.push('--period', argv.period);
+      if (argv.unit) args.push('--unit', argv.unit);
+      args.push('--mode', argv.mode);
+      if (argv.deleteDe) args.push('--delete-de');
+      if (argv.resetOnImport) args.push('--reset-on-import');
+      if (argv.overwrite) args.push('--overwrite');
+      if (argv.confirm) args.push('--confirm');
+      runScript('set-retention', args);
+    }
+  )
+
+  // Move DEs command
+  .command(
+    'move-des',
+    'Move the Data Extensions in one folder into another folder',
+    (yargs) => {
+      return yargs
+        .option('from', {
+          describe: 'Source folder path or name',
+          type: 'string',
+          demandOption: true
+        })
+        .option('to', {
+          describe: 'Target folder path or name',
+          type: 'string',
+          demandOption: true
+        })
+        .option('include-pattern', {
+          describe: 'Regex for DE names to include',
+          type: 'string'
+        })
+        .option('exclude-pattern', {
+          describe: 'Regex for DE names to exclude',
+          type: 'string'
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh folder cache',
+          type: 'boolean',
+          default: false
+        })
+        .option('confirm', {
+          describe: 'Enable actual moves (default is dry-run)',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 move-des --from "Imports" --to "Archive"', 'Preview moving every DE in Imports')
+        .example('$0 move-des --from "Imports" --to "Archive" --include-pattern "^2019_" --confirm', 'Move the 2019 DEs');
+    },
+    (argv) => {
+      const args = ['--from', `"${argv.from}"`, '--to', `"${argv.to}"`];
+      if (argv.includePattern) args.push('--include-pattern', `"${argv.includePattern}"`);
+      if (argv.excludePattern) args.push('--exclude-pattern', `"${argv.excludePattern}"`);
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.confirm) args.push('--confirm');
+      runScript('move-des', args);
+    }
+  )
+
+  // Move folder command
+  .command(
+    'move-folder',
+    'Move a folder and everything in it under another folder',
+    (yargs) => {
+      return yargs
+        .option('folder', {
+          alias: 'f',
+          describe: 'Folder path or name to move',
+          type: 'string',
+          demandOption: true
+        })
+        .option('to', {
+          describe: 'New parent folder path or name',
+          type: 'string',
+          demandOption: true
+        })
+        .option('content-type', {
+          describe: 'Folder content type',
+          choices: Object.values(FolderContentType),
+          default: FolderContentType.DATA_EXTENSION
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh folder cache',
+          type: 'boolean',
+          default: false
+        })
+        .option('confirm', {
+          describe: 'Enable the actual move (default is dry-run)',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 move-folder --folder "Old Campaigns" --to "Archive"', 'Preview moving a folder')
+        .example('$0 move-folder --folder "Query/Legacy" --to "Query/Retired" --content-type queryactivity --confirm', 'Move a query folder');
+    },
+    (argv) => {
+      const args = ['--folder', `"${argv.folder}"`, '--to', `"${argv.to}"`, '--content-type', argv.contentType];
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.confirm) args.push('--confirm');
+      runScript('move-folder', args);
+    }
+  )
+
+  // Rename folder command
+  .command(
+    'rename-folder',
+    'Rename a folder',
+    (yargs) => {
+      return yargs
+        .option('folder', {
+          alias: 'f',
+          describe: 'Folder path or name to rename',
+          type: 'string',
+          demandOption: true
+        })
+        .option('name', {
+          describe: 'New folder name',
+          type: 'string',
+          demandOption: true
+        })
+        .option('content-type', {
+          describe: 'Folder content type',
+          choices: Object.values(FolderContentType),
+          default: FolderContentType.DATA_EXTENSION
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh folder cache',
+          type: 'boolean',
+          default: false
+        })
+        .option('confirm', {
+          describe: 'Enable the actual rename (default is dry-run)',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 rename-folder --folder "Old Campaigns" --name "Campaigns 2019" --confirm', 'Rename a folder');
+    },
+    (argv) => {
+      const args = ['--folder', `"${argv.folder}"`, '--name', `"${argv.name}"`, '--content-type', argv.contentType];
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.confirm) args.push('--confirm');
+      runScript('move-folder', args);
+    }
+  )
+
   // Test connection command
   .command(
     'test',
@@ -235,11 +649,18 @@ const cli = yargs(hideBin(process.argv))
       printBanner();
       console.log('Testing SFMC connection...\n');
 
+      if (config.profileError) {
+        console.log(chalk.red('✗ Connection failed!\n'));
+        console.log(`  Error: ${config.profileError}`);
+        process.exit(1);
+      }
+
       try {
         const result = await testConnection();
 
         if (result.success) {
           console.log(chalk.green('✓ Connection successful!\n'));
+          if (result.profile) console.log(`  Profile: ${result.profile}`);
           console.log(`  Account ID: ${result.accountId}`);
           console.log(`  REST URL: ${result.restUrl}`);
           console.log(`  SOAP URL: ${result.soapUrl}`);
@@ -260,6 +681,34 @@ const cli = yargs(hideBin(process.argv))
     }
   )
 
+  // Profiles command
+  .command(
+    'profiles',
+    'List credential profiles',
+    () => {},
+    () => {
+      let result;
+      try {
+        result = listProfiles();
+      } catch (error) {
+        console.log(chalk.red(`Could not read profiles: ${error.message}`));
+        process.exit(1);
+      }
+
+      if (!result.file) {
+        console.log(chalk.yellow('No profiles.json or ~/.sfmcrc found - using SFMC_* settings from .env'));
+        return;
+      }
+
+      console.log(`Profiles in ${result.file}:\n`);
+      for (const profile of result.profiles) {
+        const marker = profile.name === config.profile ? chalk.green('*') : ' ';
+        const isDefault = profile.name === result.defaultProfile ? chalk.gray(' (default)') : '';
+        console.log(`${marker} ${profile.name}${isDefault}  ${chalk.gray(`${profile.subdomain || '-'} / BU ${profile.accountId || '-'}`)}`);
+      }
+    }
+  )
+
   // Sync/cache command
   .command(
     'sync',
@@ -276,9 +725,16 @@ const cli = yargs(hideBin(process.argv))
           type: 'boolean',
           default: false
         })
+        .option('content-type', {
+          describe: 'Folder content type',
+          type: 'string',
+          choices: Object.values(FolderContentType),
+          default: FolderContentType.DATA_EXTENSION
+        })
         .example('$0 sync', 'Refresh folder cache from SFMC')
         .example('$0 sync --status', 'Show cache status')
-        .example('$0 sync --clear', 'Clear cache');
+        .example('$0 sync --clear', 'Clear cache')
+        .example('$0 sync --content-type automations', 'Refresh the automation folder cache');
     },
     async (argv) => {
       printBanner();
@@ -286,7 +742,7 @@ const cli = yargs(hideBin(process.argv))
       if (argv.status) {
         // Show cache status
         console.log('Cache Status:\n');
-        const status = await getFolderCacheStatus();
+        const status = await getFolderCacheStatus(null, argv.contentType);
 
         if (status.exists) {
           console.log(chalk.green('  Folder cache: Available'));
@@ -304,7 +760,7 @@ const cli = yargs(hideBin(process.argv))
       if (argv.clear) {
         // Clear cache
         console.log('Clearing cache...\n');
-        const cleared = await clearFolderCache();
+        const cleared = await clearFolderCache(null, null, argv.contentType);
         if (cleared) {
           console.log(chalk.green('✓ Cache cleared successfully'));
         } else {
@@ -315,25 +771,22 @@ const cli = yargs(hideBin(process.argv))
 
       // Sync (refresh cache)
       console.log('Syncing folder structure from SFMC...\n');
-      console.log(chalk.gray('This fetches all Data Extension folders and caches them locally.'));
+      console.log(chalk.gray(`This fetches all ${getContentTypeLabel(argv.contentType)} folders and caches them locally.`));
       console.log(chalk.gray('Subsequent operations will use this cache for faster performance.\n'));
 
       try {
         // Clear existing cache first
-        await clearFolderCache();
+        await clearFolderCache(null, null, argv.contentType);
 
-        // Force a fresh load by calling getFolderByPath with forceRefresh
-        // We use a dummy path just to trigger the cache refresh
         const startTime = Date.now();
 
-        // Import the loadAllFolders indirectly by using a folder lookup
-        // This will populate the cache
-        await getFolderByPath('Data Extensions', { info: console.log, debug: () => {}, warn: console.warn, error: console.error, api: () => {} });
+        // Force a fresh load - this populates the cache for the content type
+        await loadAllFolders({ info: console.log, debug: () => {}, warn: console.warn, error: console.error, api: () => {} }, true, null, argv.contentType);
 
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
 
         // Get updated status
-        const status = await getFolderCacheStatus();
+        const status = await getFolderCacheStatus(null, argv.contentType);
 
         console.log('');
         console.log(chalk.green(`✓ Sync complete! (${elapsed}s)`));
@@ -376,6 +829,11 @@ const cli = yargs(hideBin(process.argv))
           type: 'boolean',
           default: false
         })
+        .option('incremental', {
+          describe: 'Refresh cached data with only what changed since it was loaded',
+          type: 'boolean',
+          default: false
+        })
         .option('verbose', {
           alias: 'v',
           describe: 'Verbose output',
@@ -388,39 +846,647 @@ const cli = yargs(hideBin(process.argv))
         })
         .example('$0 analyze-bu --bu 123456', 'Analyze Business Unit 123456')
         .example('$0 analyze-bu --bu 123456 -o report.csv', 'Save to CSV')
-        .example('$0 analyze-bu --bu 123456 --stale-years 2', 'Custom inactivity threshold');
+        .example('$0 analyze-bu --bu 123456 --stale-years 2', 'Custom inactivity threshold')
+        .example('$0 analyze-bu --bu 123456 --incremental', 'Re-run using only changes since the last load');
     },
     (argv) => {
       const args = ['--business-unit', argv.businessUnit];
       if (argv.staleYears) args.push('--stale-years', argv.staleYears);
       if (argv.output) args.push('--output', argv.output);
       if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.incremental) args.push('--incremental');
       if (argv.verbose) args.push('--verbose');
       if (argv.limit) args.push('--limit', argv.limit);
       runScript('analyze-bu', args);
     }
   )
 
-  // Audit CloudPages command
+  // Analyze enterprise command
   .command(
-    'audit-cloudpages',
-    'Audit CloudPages for scripts and patterns',
+    'analyze-enterprise',
+    'Analyze all DEs across every Business Unit into one consolidated report',
     (yargs) => {
       return yargs
-        .option('business-unit', {
+        .option('business-units', {
           alias: 'bu',
-          describe: 'Business Unit MID',
-          type: 'string',
-          demandOption: true
-        })
-        .option('search', {
-          alias: 's',
-          describe: 'Comma-separated patterns to search for',
+          describe: 'Comma-separated MIDs (default: discover all BUs)',
           type: 'string'
         })
-        .option('output', {
-          alias: 'o',
-          describe: 'Output CSV file path',
+        .option('exclude', {
+          describe: 'Comma-separated MIDs to skip',
+          type: 'string'
+        })
+        .option('include-inactive', {
+          describe: 'Also analyze inactive BUs',
+          type: 'boolean',
+          default: false
+        })
+        .option('concurrency', {
+          alias: 'c',
+          describe: 'BUs to analyze in parallel',
+          type: 'number'
+        })
+        .option('stale-years', {
+          describe: 'Years of inactivity threshold',
+          type: 'number',
+          default: 3
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Output file path without extension',
+          type: 'string'
+        })
+        .option('format', {
+          describe: 'Output format',
+          choices: ['csv', 'json', 'both'],
+          default: 'both'
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh cached data',
+          type: 'boolean',
+          default: false
+        })
+        .option('incremental', {
+          describe: 'Refresh cached data with only what changed since it was loaded',
+          type: 'boolean',
+          default: false
+        })
+        .option('verbose', {
+          alias: 'v',
+          describe: 'Verbose output',
+          type: 'boolean',
+          default: false
+        })
+        .option('limit', {
+          describe: 'Limit DEs to analyze per BU (for testing)',
+          type: 'number'
+        })
+        .example('$0 analyze-enterprise', 'Discover and analyze every Business Unit')
+        .example('$0 analyze-enterprise --bu 123456,234567', 'Analyze two Business Units')
+        .example('$0 analyze-enterprise --exclude 100000 -c 5', 'Skip a BU, 5 BUs at a time');
+    },
+    (argv) => {
+      const args = [];
+      if (argv.businessUnits) args.push('--business-units', argv.businessUnits);
+      if (argv.exclude) args.push('--exclude', argv.exclude);
+      if (argv.includeInactive) args.push('--include-inactive');
+      if (argv.concurrency) args.push('--concurrency', argv.concurrency);
+      if (argv.staleYears) args.push('--stale-years', argv.staleYears);
+      if (argv.output) args.push('--output', `"${argv.output}"`);
+      if (argv.format) args.push('--format', argv.format);
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.incremental) args.push('--incremental');
+      if (argv.verbose) args.push('--verbose');
+      if (argv.limit) args.push('--limit', argv.limit);
+      runScript('analyze-enterprise', args);
+    }
+  )
+
+  // Column lineage command
+  .command(
+    'lineage',
+    'Build a field-level lineage graph from Query Activity SQL',
+    (yargs) => {
+      return yargs
+        .option('business-unit', {
+          alias: 'bu',
+          describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+          type: 'string'
+        })
+        .option('de', {
+          describe: 'Focus on a single Data Extension (by name)',
+          type: 'string'
+        })
+        .option('field', {
+          describe: 'Focus on a single field of --de',
+          type: 'string'
+        })
+        .option('direction', {
+          describe: 'Which side of the focus to include',
+          type: 'string',
+          choices: ['upstream', 'downstream', 'both'],
+          default: 'both'
+        })
+        .option('depth', {
+          describe: 'Maximum hops from the focus (0 = unlimited)',
+          type: 'number',
+          default: 0
+        })
+        .option('format', {
+          describe: 'Output format',
+          type: 'string',
+          choices: ['json', 'mermaid', 'dot', 'all'],
+          default: 'all'
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Output file path without extension',
+          type: 'string'
+        })
+        .option('resolve-columns', {
+          describe: 'Load DE fields to attribute unqualified columns',
+          type: 'boolean',
+          default: true
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh cached data',
+          type: 'boolean',
+          default: false
+        })
+        .option('incremental', {
+          describe: 'Refresh cached data with only what changed since it was loaded',
+          type: 'boolean',
+          default: false
+        })
+        .option('verbose', {
+          alias: 'v',
+          describe: 'Verbose output',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 lineage', 'Full lineage graph (JSON, Mermaid, DOT)')
+        .example('$0 lineage --de "Customer_Master" --field "Email" --direction upstream', 'Where does a column come from?')
+        .example('$0 lineage --de "Orders" --direction downstream --format dot', 'Downstream fields as Graphviz DOT');
+    },
+    (argv) => {
+      const args = [];
+      if (argv.businessUnit) args.push('--business-unit', argv.businessUnit);
+      if (argv.de) args.push('--de', argv.de);
+      if (argv.field) args.push('--field', argv.field);
+      if (argv.direction) args.push('--direction', argv.direction);
+      if (argv.depth) args.push('--depth', argv.depth);
+      if (argv.format) args.push('--format', argv.format);
+      if (argv.output) args.push('--output', argv.output);
+      if (!argv.resolveColumns) args.push('--no-resolve-columns');
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.incremental) args.push('--incremental');
+      if (argv.verbose) args.push('--verbose');
+      runScript('lineage', args);
+    }
+  )
+
+  // Downstream impact command
+  .command(
+    'impact',
+    'Show the transitive downstream impact of removing Data Extensions',
+    (yargs) => {
+      return yargs
+        .option('business-unit', {
+          alias: 'bu',
+          describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+          type: 'string'
+        })
+        .option('folder', {
+          alias: 'f',
+          describe: 'Folder path or name containing the starting DEs',
+          type: 'string'
+        })
+        .option('de', {
+          describe: 'Comma-separated DE names or CustomerKeys',
+          type: 'string'
+        })
+        .option('depth', {
+          describe: 'Maximum hops to follow (0 = unlimited)',
+          type: 'number',
+          default: 0
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Output file path (.json or .csv)',
+          type: 'string'
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh cached data',
+          type: 'boolean',
+          default: false
+        })
+        .option('incremental', {
+          describe: 'Refresh cached data with only what changed since it was loaded',
+          type: 'boolean',
+          default: false
+        })
+        .option('verbose', {
+          alias: 'v',
+          describe: 'Verbose output',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 impact --de "Orders_Staging"', 'Everything downstream of a DE')
+        .example('$0 impact --folder "Archive/2023" --depth 3', 'Blast radius of a folder, up to 3 hops');
+    },
+    (argv) => {
+      const args = [];
+      if (argv.businessUnit) args.push('--business-unit', argv.businessUnit);
+      if (argv.folder) args.push('--folder', argv.folder);
+      if (argv.de) args.push('--de', argv.de);
+      if (argv.depth) args.push('--depth', argv.depth);
+      if (argv.output) args.push('--output', argv.output);
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.incremental) args.push('--incremental');
+      if (argv.verbose) args.push('--verbose');
+      runScript('analyze-impact', args);
+    }
+  )
+
+  // Check automations command
+  .command(
+    'check-automations',
+    'Find automation steps that point at deleted queries, imports, filters, extracts or file transfers',
+    (yargs) => {
+      return yargs
+        .option('business-unit', {
+          alias: 'bu',
+          describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+          type: 'string'
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Output file path (.json or .csv)',
+          type: 'string'
+        })
+        .option('exit-code', {
+          describe: 'Exit with code 1 if any automation has a broken step',
+          type: 'boolean',
+          default: false
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh cached data',
+          type: 'boolean',
+          default: false
+        })
+        .option('incremental', {
+          describe: 'Refresh cached data with only what changed since it was loaded',
+          type: 'boolean',
+          default: false
+        })
+        .option('verbose', {
+          alias: 'v',
+          describe: 'Verbose output',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 check-automations', 'List broken steps with suggested fix-ups')
+        .example('$0 check-automations --incremental --exit-code', 'Scheduled check against refreshed metadata');
+    },
+    (argv) => {
+      const args = [];
+      if (argv.businessUnit) args.push('--business-unit', argv.businessUnit);
+      if (argv.output) args.push('--output', `"${argv.output}"`);
+      if (argv.exitCode) args.push('--exit-code');
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.incremental) args.push('--incremental');
+      if (argv.verbose) args.push('--verbose');
+      runScript('check-automations', args);
+    }
+  )
+
+  // Find duplicates command
+  .command(
+    'find-duplicates',
+    'Group DEs with identical or near-identical schemas, with row and dependency counts',
+    (yargs) => {
+      return yargs
+        .option('business-unit', {
+          alias: 'bu',
+          describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+          type: 'string'
+        })
+        .option('folder', {
+          alias: 'f',
+          describe: 'Only check DEs in this folder (includes subfolders)',
+          type: 'string'
+        })
+        .option('include-pattern', {
+          describe: 'Regex for DE names to include',
+          type: 'string'
+        })
+        .option('exclude-pattern', {
+          describe: 'Regex for DE names to exclude',
+          type: 'string'
+        })
+        .option('threshold', {
+          describe: 'Minimum schema similarity for near duplicates (1 = exact only)',
+          type: 'number',
+          default: 0.8
+        })
+        .option('min-fields', {
+          describe: 'Ignore DEs with fewer fields than this',
+          type: 'number',
+          default: 2
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Output file path (.json or .csv)',
+          type: 'string'
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh cached data',
+          type: 'boolean',
+          default: false
+        })
+        .option('incremental', {
+          describe: 'Refresh cached data with only what changed since it was loaded',
+          type: 'boolean',
+          default: false
+        })
+        .option('verbose', {
+          alias: 'v',
+          describe: 'Verbose output',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 find-duplicates', 'Find duplicate DEs in the BU')
+        .example('$0 find-duplicates --folder "Campaigns" --threshold 1 --output dups.csv', 'Exact duplicates in one folder tree, as CSV');
+    },
+    (argv) => {
+      const args = ['--threshold', argv.threshold, '--min-fields', argv.minFields];
+      if (argv.businessUnit) args.push('--business-unit', argv.businessUnit);
+      if (argv.folder) args.push('--folder', `"${argv.folder}"`);
+      if (argv.includePattern) args.push('--include-pattern', `"${argv.includePattern}"`);
+      if (argv.excludePattern) args.push('--exclude-pattern', `"${argv.excludePattern}"`);
+      if (argv.output) args.push('--output', `"${argv.output}"`);
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.incremental) args.push('--incremental');
+      if (argv.verbose) args.push('--verbose');
+      runScript('find-duplicates', args);
+    }
+  )
+
+  // PII report command
+  .command(
+    'pii-report',
+    'List PII fields by category and the PII DEs without retention (GDPR register)',
+    (yargs) => {
+      return yargs
+        .option('business-unit', {
+          alias: 'bu',
+          describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+          type: 'string'
+        })
+        .option('folder', {
+          alias: 'f',
+          describe: 'Only scan DEs in this folder (includes subfolders)',
+          type: 'string'
+        })
+        .option('include-pattern', {
+          describe: 'Regex for DE names to include',
+          type: 'string'
+        })
+        .option('exclude-pattern', {
+          describe: 'Regex for DE names to exclude',
+          type: 'string'
+        })
+        .option('sample', {
+          describe: 'Rows to sample per DE to confirm fields by value (0 = names only)',
+          type: 'number',
+          default: 0
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Output file path (.csv or .json)',
+          type: 'string'
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh cached folders',
+          type: 'boolean',
+          default: false
+        })
+        .option('verbose', {
+          alias: 'v',
+          describe: 'Show detailed progress',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 pii-report', 'List PII fields in the BU by field name')
+        .example('$0 pii-report --folder "Campaigns" --sample 20 --output gdpr/pii.csv', 'Confirm PII fields from 20 rows per DE');
+    },
+    (argv) => {
+      const args = ['--sample', argv.sample];
+      if (argv.businessUnit) args.push('--business-unit', argv.businessUnit);
+      if (argv.folder) args.push('--folder', `"${argv.folder}"`);
+      if (argv.includePattern) args.push('--include-pattern', `"${argv.includePattern}"`);
+      if (argv.excludePattern) args.push('--exclude-pattern', `"${argv.excludePattern}"`);
+      if (argv.output) args.push('--output', `"${argv.output}"`);
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.verbose) args.push('--verbose');
+      runScript('pii-report', args);
+    }
+  )
+
+  // Snapshot command
+  .command(
+    'snapshot <action> [names..]',
+    'Archive metadata under a name (save), compare two archives (diff) or list them',
+    (yargs) => {
+      return yargs
+        .positional('action', {
+          describe: 'save <name>, diff <from> <to> or list',
+          choices: ['save', 'diff', 'list']
+        })
+        .positional('names', {
+          describe: 'Snapshot name(s) or file paths',
+          type: 'string'
+        })
+        .option('business-unit', {
+          alias: 'bu',
+          describe: 'Business Unit MID for save (defaults to SFMC_ACCOUNT_ID)',
+          type: 'string'
+        })
+        .option('refresh-cache', {
+          describe: 'Reload all metadata for save instead of refreshing the cache',
+          type: 'boolean',
+          default: false
+        })
+        .option('overwrite', {
+          describe: 'Replace an existing snapshot on save',
+          type: 'boolean',
+          default: false
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Also write the diff as JSON',
+          type: 'string'
+        })
+        .option('exit-code', {
+          describe: 'Exit with code 1 if the snapshots differ',
+          type: 'boolean',
+          default: false
+        })
+        .option('verbose', {
+          alias: 'v',
+          describe: 'Verbose output',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 snapshot save release-1.4', 'Archive the current metadata')
+        .example('$0 snapshot diff release-1.4 release-1.5', 'What changed between two releases')
+        .example('$0 snapshot list', 'List saved snapshots');
+    },
+    (argv) => {
+      // Scripts run through a shell and snapshot paths may contain spaces
+      const args = [argv.action, ...(argv.names || []).map(name => `"${name}"`)];
+      if (argv.businessUnit) args.push('--business-unit', argv.businessUnit);
+      if (argv.refreshCache) args.push('--refresh-cache');
+      if (argv.overwrite) args.push('--overwrite');
+      if (argv.output) args.push('--output', `"${argv.output}"`);
+      if (argv.exitCode) args.push('--exit-code');
+      if (argv.verbose) args.push('--verbose');
+      runScript('snapshot', args);
+    }
+  )
+
+  // Schema command
+  .command(
+    'schema <action>',
+    'Export DEs as definition files (export) or create missing DEs and report drift (apply)',
+    (yargs) => {
+      return yargs
+        .positional('action', {
+          describe: 'export or apply',
+          choices: ['export', 'apply']
+        })
+        .option('folder', {
+          alias: 'f',
+          describe: 'Folder path or name to export (subfolders included)',
+          type: 'string'
+        })
+        .option('dir', {
+          alias: 'd',
+          describe: 'Definitions directory (apply also accepts a single file)',
+          type: 'string',
+          demandOption: true
+        })
+        .option('format', {
+          describe: 'Definition file format for export',
+          choices: ['yaml', 'json'],
+          default: 'yaml'
+        })
+        .option('confirm', {
+          describe: 'Create the missing DEs on apply (still requires confirmation)',
+          type: 'boolean',
+          default: false
+        })
+        .option('exit-code', {
+          describe: 'Exit with code 1 if a DE is missing or has drifted',
+          type: 'boolean',
+          default: false
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh folder cache from SFMC API',
+          type: 'boolean',
+          default: false
+        })
+        .check((argv) => {
+          if (argv.action === 'export' && !argv.folder) {
+            throw new Error('schema export requires --folder');
+          }
+          return true;
+        })
+        .example('$0 schema export --folder "Data Extensions/Campaigns" --dir schemas/campaigns', 'Write DE definitions for review in git')
+        .example('$0 schema apply --dir schemas/campaigns --profile child-bu --confirm', 'Create the DEs another BU is missing');
+    },
+    (argv) => {
+      const args = [argv.action, '--dir', `"${argv.dir}"`, '--format', argv.format];
+      if (argv.folder) args.push('--folder', `"${argv.folder}"`);
+      if (argv.confirm) args.push('--confirm');
+      if (argv.exitCode) args.push('--exit-code');
+      if (argv.refreshCache) args.push('--refresh-cache');
+      runScript('schema', args);
+    }
+  )
+
+  // Migrate command
+  .command(
+    'migrate',
+    'Recreate a folder\'s DEs, Query Activities and Filter Activities in another BU',
+    (yargs) => {
+      return yargs
+        .option('folder', {
+          alias: 'f',
+          describe: 'Source folder path or name (subfolders included)',
+          type: 'string',
+          demandOption: true
+        })
+        .option('source-bu', {
+          describe: 'Source Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+          type: 'string'
+        })
+        .option('target-bu', {
+          describe: 'Target Business Unit MID',
+          type: 'string',
+          demandOption: true
+        })
+        .option('target-folder', {
+          describe: 'Folder path the source folder becomes in the target BU',
+          type: 'string'
+        })
+        .option('include-data', {
+          describe: 'Copy the rows of each created DE',
+          type: 'boolean',
+          default: false
+        })
+        .option('skip-queries', {
+          describe: 'Do not migrate Query Activities',
+          type: 'boolean',
+          default: false
+        })
+        .option('skip-filters', {
+          describe: 'Do not migrate Filter Activities',
+          type: 'boolean',
+          default: false
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Mapping file path',
+          type: 'string'
+        })
+        .option('confirm', {
+          describe: 'Create the objects (default is dry-run)',
+          type: 'boolean',
+          default: false
+        })
+        .option('refresh-cache', {
+          describe: 'Force refresh folder cache from SFMC API',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 migrate --folder "Data Extensions/Campaigns" --target-bu 7012345', 'Preview what would be created')
+        .example('$0 migrate --folder "Campaigns" --target-bu 7012345 --include-data --confirm', 'Copy the folder with its rows');
+    },
+    (argv) => {
+      const args = ['--folder', `"${argv.folder}"`, '--target-bu', argv.targetBu];
+      if (argv.sourceBu) args.push('--source-bu', argv.sourceBu);
+      if (argv.targetFolder) args.push('--target-folder', `"${argv.targetFolder}"`);
+      if (argv.includeData) args.push('--include-data');
+      if (argv.skipQueries) args.push('--skip-queries');
+      if (argv.skipFilters) args.push('--skip-filters');
+      if (argv.output) args.push('--output', `"${argv.output}"`);
+      if (argv.confirm) args.push('--confirm');
+      if (argv.refreshCache) args.push('--refresh-cache');
+      runScript('migrate', args);
+    }
+  )
+
+  // Audit CloudPages command
+  .command(
+    'audit-cloudpages',
+    'Audit CloudPages for scripts and patterns',
+    (yargs) => {
+      return yargs
+        .option('business-unit', {
+          alias: 'bu',
+          describe: 'Business Unit MID',
+          type: 'string',
+          demandOption: true
+        })
+        .option('search', {
+          alias: 's',
+          describe: 'Comma-separated patterns to search for',
+          type: 'string'
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Output CSV file path',
           type: 'string'
         })
         .option('include-content', {
@@ -518,6 +1584,55 @@ const cli = yargs(hideBin(process.argv))
     }
   )
 
+  // Mock server command
+  .command(
+    'mock-server',
+    'Run a local mock SFMC server for offline rehearsals',
+    (yargs) => {
+      return yargs
+        .option('port', {
+          alias: 'p',
+          describe: 'Port to listen on',
+          type: 'number',
+          default: 4050
+        })
+        .option('host', {
+          describe: 'Interface to bind',
+          type: 'string',
+          default: '127.0.0.1'
+        })
+        .option('fixture', {
+          alias: 'f',
+          describe: 'Fixture file with the seeded tenant (default: fixtures/mock-tenant.json)',
+          type: 'string'
+        })
+        .option('latency', {
+          describe: 'Delay added to every response (ms)',
+          type: 'number',
+          default: 0
+        })
+        .option('page-size', {
+          describe: 'SOAP Retrieve page size',
+          type: 'number'
+        })
+        .option('verbose', {
+          alias: 'v',
+          describe: 'Log every request',
+          type: 'boolean',
+          default: false
+        })
+        .example('$0 mock-server', 'Serve the bundled fixture on http://127.0.0.1:4050')
+        .example('$0 mock-server -f my-tenant.json --page-size 2', 'Custom fixture with tiny SOAP pages');
+    },
+    (argv) => {
+      const args = ['--port', argv.port, '--host', argv.host, '--latency', argv.latency];
+      if (argv.fixture) args.push('--fixture', `"${argv.fixture}"`);
+      if (argv.pageSize) args.push('--page-size', argv.pageSize);
+      if (argv.verbose) args.push('--verbose');
+      runScript('mock-server', args);
+    }
+  )
+
   // Version command
   .command(
     'version',
@@ -0,0 +1,500 @@
+/**
+ * Automation Checker
+ *
+ * Finds automation steps whose activity points at an object that no longer
+ * exists - typically a query, import or filter that was deleted and recreated
+ * under a new ObjectID while the automation kept the old one. SFMC keeps such
+ * automations scheduled and they fail at run time.
+ *
+ * For each broken step an activity of the same type and name is looked for;
+ * a single match is suggested as the old -> new ObjectID fix-up.
+ *
+ * Automations come from the bulk data loader - no per-automation API calls.
+ * The queries, imports, filters, data extracts and file transfers they point
+ * at are listed directly, since bulk data holds [] for a list that failed to
+ * load: steps of a type whose list could not be loaded are reported as not
+ * checked, never as broken. Relinking (old -> new ObjectIDs, e.g. after
+ * restore-queries) re-reads each automation before patching it.
+ */
+
+import { loadAllSfmcData, extractActivityIds, findAutomationsContainingActivity } from './bulk-data-loader.js';
+import { listFilterActivities, listDataExtracts, listFileTransfers, getAutomationDetails, updateAutomation } from './sfmc-rest.js';
+import { retrieveQueryDefinitions, retrieveImportDefinitions } from './sfmc-soap.js';
+import { escapeCSV } from './utils.js';
+
+/**
+ * Automation activity types that reference a standalone object (objectTypeId -> type)
+ */
+export const AutomationActivityType = {
+  300: 'Query Activity',
+  43: 'Import Activity',
+  303: 'Filter Activity',
+  73: 'Data Extract',
+  53: 'File Transfer'
+};
+
+/**
+ * Build per-type lookup maps of the objects automation steps can reference
+ * @param {object} bulkData - Bulk data from loadAllSfmcData
+ * @param {object[]} fileTransfers - File transfer activities
+ * @returns {Map<number, object>} objectTypeId -> { byId, byName }
+ */
+export function buildActivityIndex(bulkData, fileTransfers = []) {
+  const sources = [
+    [300, bulkData.queryActivities, q => ({ id: q.ObjectID, name: q.Name, key: q.CustomerKey })],
+    [43, bulkData.importActivities, i => ({ id: i.ObjectID, name: i.Name, key: i.CustomerKey })],
+    [303, bulkData.filterActivities, f => ({ id: f.filterActivityId || f.id, name: f.name, key: f.customerKey })],
+    [73, bulkData.dataExtracts, e => ({ id: e.dataExtractDefinitionId || e.id, name: e.name, key: e.key || e.customerKey })],
+    [53, fileTransfers, t => ({ id: t.id, name: t.name, key: t.customerKey })]
+  ];
+
+  const index = new Map();
+
+  for (const [objectTypeId, items, describe] of sources) {
+    const byId = new Map();
+    const byName = new Map();
+
+    for (const item of items || []) {
+      const object = describe(item);
+      if (!object.id) continue;
+      byId.set(String(object.id).toLowerCase(), object);
+
+      // Recreated objects usually keep the name or the key - index both
+      for (const value of new Set([object.name, object.key].filter(Boolean).map(v => v.toLowerCase()))) {
+        if (!byName.has(value)) byName.set(value, []);
+        byName.get(value).push(object);
+      }
+    }
+
+    index.set(objectTypeId, { byId, byName });
+  }
+
+  return index;
+}
+
+/**
+ * Pick the replacement for a missing activity object by name
+ * Candidates no automation references yet are preferred, since a recreated
+ * object is normally not wired into anything.
+ * @param {object[]} candidates - Objects of the same type with the activity's name
+ * @param {Set<string>} referencedIds - Lowercased IDs referenced by any automation step
+ * @returns {object|null} The single best candidate, or null if none or ambiguous
+ */
+function pickReplacement(candidates, referencedIds) {
+  if (candidates.length === 1) return candidates[0];
+
+  const unreferenced = candidates.filter(c => !referencedIds.has(String(c.id).toLowerCase()));
+  return unreferenced.length === 1 ? unreferenced[0] : null;
+}
+
+/**
+ * Find automation steps that reference missing activity objects
+ * @param {object} bulkData - Bulk data loaded with automation details
+ * @param {object[]} fileTransfers - File transfer activities
+ * @param {object} unavailableSources - objectTypeId -> error for object lists that failed to load
+ * @returns {object} { summary, broken, unchecked, uncheckedSteps }
+ */
+export function findBrokenAutomationSteps(bulkData, fileTransfers = [], unavailableSources = {}) {
+  const index = buildActivityIndex(bulkData, fileTransfers);
+
+  const referencedIds = new Set();
+  for (const automation of bulkData.automations) {
+    for (const id of automation.activityIds || extractActivityIds(automation.steps)) {
+      referencedIds.add(String(id).toLowerCase());
+    }
+  }
+
+  const broken = [];
+  const unchecked = [];
+  const uncheckedSteps = [];
+  let activitiesChecked = 0;
+
+  for (const automation of bulkData.automations) {
+    if (automation._detailsError || !Array.isArray(automation.steps)) {
+      unchecked.push({
+        id: automation.id,
+        name: automation.name,
+        reason: automation._detailsError || 'No step details loaded'
+      });
+      continue;
+    }
+
+    automation.steps.forEach((step, stepIndex) => {
+      for (const activity of step.activities || []) {
+        const objectTypeId = Number(activity.objectTypeId);
+        const typeIndex = index.get(objectTypeId);
+        if (!typeIndex || !activity.activityObjectId) continue;
+
+        // An empty index for a list that failed to load would flag every step
+        if (unavailableSources[objectTypeId]) {
+          uncheckedSteps.push({
+            automationId: automation.id,
+            automationName: automation.name,
+            step: step.stepNumber || step.step || stepIndex + 1,
+            activityName: activity.name,
+            type: AutomationActivityType[objectTypeId],
+            reason: `${AutomationActivityType[objectTypeId]} list unavailable: ${unavailableSources[objectTypeId]}`
+          });
+          continue;
+        }
+
+        activitiesChecked++;
+        if (typeIndex.byId.has(String(activity.activityObjectId).toLowerCase())) continue;
+
+        const candidates = (activity.name && typeIndex.byName.get(activity.name.toLowerCase())) || [];
+        const replacement = pickReplacement(candidates, referencedIds);
+
+        broken.push({
+          automationId: automation.id,
+          automationName: automation.name,
+          automationStatus: automation.status,
+          step: step.stepNumber || step.step || stepIndex + 1,
+          stepIndex,
+          activityId: activity.id,
+          activityName: activity.name,
+          objectTypeId,
+          type: AutomationActivityType[objectTypeId],
+          missingObjectId: activity.activityObjectId,
+          replacement,
+          candidates: replacement ? [] : candidates
+        });
+      }
+    });
+  }
+
+  const byType = {};
+  for (const item of broken) {
+    byType[item.type] = (byType[item.type] || 0) + 1;
+  }
+
+  return {
+    summary: {
+      automations: bulkData.automations.length,
+      activitiesChecked,
+      brokenSteps: broken.length,
+      brokenAutomations: new Set(broken.map(b => b.automationId)).size,
+      withReplacement: broken.filter(b => b.replacement).length,
+      unchecked: unchecked.length,
+      uncheckedSteps: uncheckedSteps.length,
+      byType
+    },
+    broken,
+    unchecked,
+    uncheckedSteps
+  };
+}
+
+/**
+ * Build the old -> new ObjectID fix-up list from the suggested replacements
+ * @param {object[]} broken - Broken steps from findBrokenAutomationSteps
+ * @returns {object[]} [{ automationId, automationName, step, activityName, type, oldObjectId, newObjectId, newName }]
+ */
+export function buildFixupMapping(broken) {
+  return broken
+    .filter(item => item.replacement)
+    .map(item => ({
+      automationId: item.automationId,
+      automationName: item.automationName,
+      step: item.step,
+      activityName: item.activityName,
+      type: item.type,
+      oldObjectId: item.missingObjectId,
+      newObjectId: item.replacement.id,
+      newName: item.replacement.name
+    }));
+}
+
+/**
+ * Group an old -> new ObjectID mapping by the automations that use the old IDs
+ * @param {object[]} mapping - [{ name, oldObjectId, newObjectId }] (newObjectId may be null in a preview)
+ * @param {object} bulkData - Bulk data (or a snapshot) with automations and their steps
+ * @returns {object[]} [{ automationId, automationName, status, relinks: [{ name, oldObjectId, newObjectId }] }]
+ */
+export function planAutomationRelinks(mapping, bulkData) {
+  const byAutomation = new Map();
+
+  for (const entry of mapping) {
+    if (!entry.oldObjectId) continue;
+
+    for (const automation of findAutomationsContainingActivity(entry.oldObjectId, bulkData)) {
+      if (!byAutomation.has(automation.id)) {
+        byAutomation.set(automation.id, {
+          automationId: automation.id,
+          automationName: automation.name,
+          status: automation.status,
+          relinks: []
+        });
+      }
+      byAutomation.get(automation.id).relinks.push({
+        name: entry.name,
+        oldObjectId: entry.oldObjectId,
+        newObjectId: entry.newObjectId
+      });
+    }
+  }
+
+  return [...byAutomation.values()];
+}
+
+/**
+ * Build automation steps with old activity ObjectIDs swapped for new ones
+ * targetDataExtensions is read-only in the API and is left out of the steps.
+ * @param {object[]} steps - Current automation steps
+ * @param {object[]} relinks - [{ oldObjectId, newObjectId }]
+ * @returns {object} { steps, replaced: [{ step, activityName, oldObjectId, newObjectId }] }
+ */
+export function relinkAutomationSteps(steps, relinks) {
+  const newIdByOld = new Map(relinks.map(r => [String(r.oldObjectId).toLowerCase(), r.newObjectId]));
+  const replaced = [];
+
+  const updatedSteps = (steps || []).map((step, stepIndex) => ({
+    annotation: step.annotation || '',
+    stepNumber: stepIndex,
+    activities: (step.activities || []).map(activity => {
+      const { targetDataExtensions, ...rest } = activity;
+      const newObjectId = activity.activityObjectId && newIdByOld.get(String(activity.activityObjectId).toLowerCase());
+      if (!newObjectId) return rest;
+
+      replaced.push({
+        step: stepIndex + 1,
+        activityName: activity.name,
+        oldObjectId: activity.activityObjectId,
+        newObjectId
+      });
+      return { ...rest, activityObjectId: newObjectId };
+    })
+  }));
+
+  return { steps: updatedSteps, replaced };
+}
+
+/**
+ * Point an automation's activities at new ObjectIDs
+ * The automation is re-read first; steps that no longer use an old ID are left alone.
+ * @param {string} automationId - Automation ID
+ * @param {object[]} relinks - [{ oldObjectId, newObjectId }]
+ * @param {object} options - { logger, accountId }
+ * @returns {Promise<object>} { success, replaced, skipped, error }
+ */
+export async function relinkAutomation(automationId, relinks, options = {}) {
+  const { logger = null, accountId = null } = options;
+
+  let automation;
+  try {
+    automation = await getAutomationDetails(automationId, logger, accountId);
+  } catch (error) {
+    return { success: false, replaced: [], error: `Could not read automation: ${error.message}` };
+  }
+
+  const { steps, replaced } = relinkAutomationSteps(automation.steps, relinks);
+  if (replaced.length === 0) {
+    return { success: true, replaced, skipped: true };
+  }
+
+  const payload = { name: automation.name, key: automation.key, steps };
+
+  // Sending an incomplete schedule back fails the update - only keep a full one
+  const schedule = automation.startSource?.schedule;
+  if (schedule?.startDate && schedule?.iCalRecur) {
+    payload.startSource = automation.startSource;
+  }
+
+  const result = await updateAutomation(automationId, payload, logger, accountId);
+  return { success: result.success, replaced, error: result.error };
+}
+
+/**
+ * Check every automation in a BU for steps pointing at missing objects
+ *
+ * @param {object} options - Check options
+ * @param {object} options.logger - Logger instance
+ * @param {function} options.onProgress - Progress callback (stage, current, total, message)
+ * @param {boolean} options.forceRefresh - Force refresh of cached data
+ * @param {boolean} options.incremental - Refresh cached data with only what changed
+ * @param {string} options.accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} { summary, broken, unchecked, uncheckedSteps, fixups }
+ */
+export async function checkAutomations(options = {}) {
+  const {
+    logger = null,
+    onProgress = null,
+    forceRefresh = false,
+    incremental = false,
+    accountId = null
+  } = options;
+
+  const progress = (stage, current, total, message) => {
+    if (onProgress) onProgress(stage, current, total, message);
+    if (logger) logger.debug(`[${stage}] ${current}/${total}: ${message}`);
+  };
+
+  progress('loading', 0, 1, 'Loading all SFMC metadata (this may take a moment)...');
+
+  const bulkData = await loadAllSfmcData({
+    logger,
+    onProgress: (stage, current, total, message) => {
+      progress(`loading-${stage}`, current, total, message);
+    },
+    includeAutomationDetails: true,
+    includeQueryText: true,
+    forceRefresh,
+    incremental,
+    accountId
+  });
+
+  // Bulk data (and its cache) holds [] for a list that failed to load - re-list
+  // every referenced type so a failure is known and not read as "missing"
+  const unavailableSources = {};
+  const listOrRecord = async (objectTypeId, list) => {
+    try {
+      return await list();
+    } catch (error) {
+      unavailableSources[objectTypeId] = error.message;
+      if (logger) logger.warn(`Could not list ${AutomationActivityType[objectTypeId]} activities: ${error.message}`);
+      return [];
+    }
+  };
+
+  progress('loading-activities', 0, 5, 'Loading query activities...');
+  const queryActivities = await listOrRecord(300, () => retrieveQueryDefinitions(logger, false, accountId));
+  progress('loading-activities', 1, 5, 'Loading import activities...');
+  const importActivities = await listOrRecord(43, () => retrieveImportDefinitions(logger, accountId));
+  progress('loading-activities', 2, 5, 'Loading filter activities...');
+  const filterActivities = await listOrRecord(303, () => listFilterActivities(logger, accountId));
+  progress('loading-activities', 3, 5, 'Loading data extracts...');
+  const dataExtracts = await listOrRecord(73, () => listDataExtracts(logger, accountId));
+  progress('loading-activities', 4, 5, 'Loading file transfers...');
+  const fileTransfers = await listOrRecord(53, () => listFileTransfers(logger, accountId));
+  progress('loading', 1, 1, 'All metadata loaded');
+
+  const result = findBrokenAutomationSteps(
+    { ...bulkData, queryActivities, importActivities, filterActivities, dataExtracts },
+    fileTransfers,
+    unavailableSources
+  );
+  return { ...result, fixups: buildFixupMapping(result.broken) };
+}
+
+/**
+ * Format the check result for the console
+ * @param {object} result - Result of checkAutomations
+ * @returns {string} Report text
+ */
+export function formatAutomationCheckReport(result) {
+  const lines = [];
+  const width = 70;
+  const line = '─'.repeat(width);
+  const { summary } = result;
+
+  lines.push('');
+  lines.push(`┌${line}┐`);
+  lines.push(`│${'AUTOMATION CHECK REPORT'.padStart(46).padEnd(width)}│`);
+  lines.push(`├${line}┤`);
+  lines.push(`│${` Automations: ${summary.automations}`.padEnd(width)}│`);
+  lines.push(`│${` Activities checked: ${summary.activitiesChecked}`.padEnd(width)}│`);
+  lines.push(`│${` Broken steps: ${summary.brokenSteps} (in ${summary.brokenAutomations} automation(s))`.padEnd(width)}│`);
+  lines.push(`│${`   With a suggested replacement: ${summary.withReplacement}`.padEnd(width)}│`);
+  if (summary.unchecked > 0) {
+    lines.push(`│${` Not checked (details unavailable): ${summary.unchecked}`.padEnd(width)}│`);
+  }
+  if (summary.uncheckedSteps > 0) {
+    lines.push(`│${` Steps not checked (activity list unavailable): ${summary.uncheckedSteps}`.padEnd(width)}│`);
+  }
+
+  if (Object.keys(summary.byType).length > 0) {
+    lines.push(`│${''.padEnd(width)}│`);
+    lines.push(`│${' By Type:'.padEnd(width)}│`);
+    for (const [type, count] of Object.entries(summary.byType)) {
+      lines.push(`│${`   ${type}: ${count}`.padEnd(width)}│`);
+    }
+  }
+  lines.push(`└${line}┘`);
+
+  // Broken steps grouped by automation
+  const byAutomation = new Map();
+  for (const item of result.broken) {
+    if (!byAutomation.has(item.automationId)) byAutomation.set(item.automationId, []);
+    byAutomation.get(item.automationId).push(item);
+  }
+
+  for (const items of byAutomation.values()) {
+    const first = items[0];
+    lines.push('');
+    lines.push(`${first.automationName} [${first.automationStatus ?? 'Unknown'}]`);
+    for (const item of items) {
+      lines.push(`  ✗ Step ${item.step}: ${item.activityName || 'Unnamed'} (${item.type})`);
+      lines.push(`    Missing: ${item.missingObjectId}`);
+      if (item.replacement) {
+        lines.push(`    Fix-up:  ${item.missingObjectId} -> ${item.replacement.id} (${item.replacement.name})`);
+      } else if (item.candidates.length > 0) {
+        lines.push(`    ${item.candidates.length} objects named "${item.activityName}" - pick one:`);
+        for (const candidate of item.candidates) {
+          lines.push(`      ${candidate.id} (${candidate.name})`);
+        }
+      } else {
+        lines.push('    No object of this type with the same name - recreate it or remove the step');
+      }
+    }
+  }
+
+  if (result.unchecked.length > 0) {
+    lines.push('');
+    lines.push(`NOT CHECKED (${result.unchecked.length})`);
+    for (const automation of result.unchecked) {
+      lines.push(`  • ${automation.name}: ${automation.reason}`);
+    }
+  }
+
+  if (result.uncheckedSteps.length > 0) {
+    lines.push('');
+    lines.push(`STEPS NOT CHECKED (${result.uncheckedSteps.length})`);
+    for (const item of result.uncheckedSteps) {
+      lines.push(`  • ${item.automationName} step ${item.step}: ${item.activityName || 'Unnamed'} - ${item.reason}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Export broken steps to CSV
+ * @param {object} result - Result of checkAutomations
+ * @returns {string} CSV content
+ */
+export function exportAutomationCheckToCsv(result) {
+  const headers = [
+    'Automation', 'Automation ID', 'Status', 'Step', 'Activity', 'Activity Type',
+    'Missing ObjectID', 'Suggested ObjectID', 'Suggested Name', 'Candidates'
+  ];
+  const rows = [headers.join(',')];
+
+  for (const item of result.broken) {
+    rows.push([
+      escapeCSV(item.automationName),
+      escapeCSV(item.automationId),
+      escapeCSV(item.automationStatus),
+      item.step,
+      escapeCSV(item.activityName),
+      escapeCSV(item.type),
+      escapeCSV(item.missingObjectId),
+      escapeCSV(item.replacement?.id),
+      escapeCSV(item.replacement?.name),
+      item.candidates.length
+    ].join(','));
+  }
+
+  return rows.join('\n');
+}
+
+export default {
+  AutomationActivityType,
+  buildActivityIndex,
+  findBrokenAutomationSteps,
+  buildFixupMapping,
+  planAutomationRelinks,
+  relinkAutomationSteps,
+  relinkAutomation,
+  checkAutomations,
+  formatAutomationCheckReport,
+  exportAutomationCheckToCsv
+};
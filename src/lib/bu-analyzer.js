@@ -0,0 +1,592 @@
+/**
+ * Business Unit Analyzer
+ * Deletion recommendations for every Data Extension in a Business Unit,
+ * based on automation activity, modified dates, data loads, references
+ * (queries, filters, imports, journeys, extracts, triggered sends) and
+ * retention settings. Used by analyze-bu and analyze-enterprise.
+ */
+
+import dayjs from 'dayjs';
+import relativeTime from 'dayjs/plugin/relativeTime.js';
+
+dayjs.extend(relativeTime);
+
+import { loadAllFolders } from './folder-service.js';
+import { loadAllSfmcData, getBulkDataSummary } from './bulk-data-loader.js';
+import { escapeCSV } from './utils.js';
+
+// Recommendation types
+export const Recommendation = {
+  KEEP: 'KEEP',
+  RECOMMEND_DELETE: 'RECOMMEND_DELETE',
+  SAFE_TO_DELETE: 'SAFE_TO_DELETE',
+  REVIEW: 'REVIEW'
+};
+
+/**
+ * Build a folder ID -> path lookup from normalized folders
+ * @param {object[]} folders - Folders from loadAllFolders
+ * @returns {Map<number, string>} Folder paths by ID
+ */
+export function buildFolderPathMap(folders) {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const paths = new Map();
+
+  for (const folder of folders) {
+    const parts = [];
+    const seen = new Set();
+    let current = folder;
+
+    while (current && !seen.has(current.id)) {
+      seen.add(current.id);
+      parts.unshift(current.name);
+      current = current.parentFolderId ? byId.get(current.parentFolderId) : null;
+    }
+
+    paths.set(folder.id, parts.join('/'));
+  }
+
+  return paths;
+}
+
+/**
+ * Analyze a list of Data Extensions (raw SOAP objects from the bulk data)
+ * @param {object[]} dataExtensions - DEs to analyze
+ * @param {object} bulkData - Bulk SFMC data from loadAllSfmcData
+ * @param {Map} folderPathById - Folder paths by ID
+ * @param {object} staleThreshold - dayjs date before which activity is stale
+ * @param {object} options - { logger, onProgress(current, total, name) }
+ * @returns {object[]} Analysis results
+ */
+export function analyzeDataExtensions(dataExtensions, bulkData, folderPathById, staleThreshold, options = {}) {
+  const { logger = null, onProgress = null } = options;
+  const results = [];
+
+  for (let i = 0; i < dataExtensions.length; i++) {
+    const de = dataExtensions[i];
+    if (onProgress) onProgress(i + 1, dataExtensions.length, de.Name);
+
+    try {
+      results.push(analyzeDataExtension(de, bulkData, folderPathById, staleThreshold));
+    } catch (error) {
+      if (logger) {
+        logger.warn(`Failed to analyze ${de.Name}: ${error.message}`);
+      }
+      results.push({
+        name: de.Name,
+        customerKey: de.CustomerKey,
+        error: error.message,
+        recommendation: Recommendation.REVIEW,
+        reasons: ['Analysis failed: ' + error.message]
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Count results by recommendation
+ * @param {object[]} results - Analysis results
+ * @returns {object} { total, keep, recommendDelete, safeToDelete, review, noRetention }
+ */
+export function summarizeResults(results) {
+  return {
+    total: results.length,
+    keep: results.filter(r => r.recommendation === Recommendation.KEEP).length,
+    recommendDelete: results.filter(r => r.recommendation === Recommendation.RECOMMEND_DELETE).length,
+    safeToDelete: results.filter(r => r.recommendation === Recommendation.SAFE_TO_DELETE).length,
+    review: results.filter(r => r.recommendation === Recommendation.REVIEW).length,
+    noRetention: results.filter(r => !r.hasRetention).length
+  };
+}
+
+/**
+ * Load and analyze a whole Business Unit
+ * @param {object} options - Analysis options
+ * @param {string} options.accountId - Business Unit MID
+ * @param {number} options.staleYears - Years of inactivity to consider stale
+ * @param {boolean} options.refreshCache - Force refresh of cached SFMC data
+ * @param {boolean} options.incremental - Refresh cached SFMC data with only what changed
+ * @param {number} options.limit - Only analyze the first N DEs (for testing)
+ * @param {object} options.logger - Logger instance
+ * @param {function} options.onProgress - Progress callback (stage, current, total)
+ * @returns {Promise<object>} { results, summary, metadata }
+ */
+export async function analyzeBusinessUnit(options) {
+  const {
+    accountId,
+    staleYears = 3,
+    refreshCache = false,
+    incremental = false,
+    limit = null,
+    logger = null,
+    onProgress = null
+  } = options;
+
+  const staleThreshold = dayjs().subtract(staleYears, 'year');
+
+  if (onProgress) onProgress('folders', 0, 1);
+  const folders = await loadAllFolders(logger, refreshCache, accountId);
+  const folderPathById = buildFolderPathMap(folders);
+
+  const bulkData = await loadAllSfmcData({
+    logger,
+    onProgress: (stage, current, total) => {
+      if (onProgress) onProgress(stage, current, total);
+    },
+    includeAutomationDetails: true,
+    includeQueryText: true,
+    forceRefresh: refreshCache,
+    incremental,
+    accountId
+  });
+
+  let dataExtensions = bulkData.dataExtensions || [];
+  if (limit && limit < dataExtensions.length) {
+    dataExtensions = dataExtensions.slice(0, limit);
+  }
+
+  const results = analyzeDataExtensions(dataExtensions, bulkData, folderPathById, staleThreshold, {
+    logger,
+    onProgress: (current, total) => {
+      if (onProgress) onProgress('analysis', current, total);
+    }
+  });
+
+  return {
+    results,
+    summary: summarizeResults(results),
+    metadata: getBulkDataSummary(bulkData)
+  };
+}
+
+/**
+ * Analyze a single Data Extension
+ */
+function analyzeDataExtension(de, bulkData, folderPathById, staleThreshold) {
+  const result = {
+    name: de.Name,
+    customerKey: de.CustomerKey,
+    folderPath: folderPathById.get(parseInt(de.CategoryID, 10)) || `Folder ${de.CategoryID}`,
+    rowCount: null, // Would need separate API call
+    createdDate: de.CreatedDate,
+    modifiedDate: de.ModifiedDate,
+    daysSinceModified: de.ModifiedDate ? dayjs().diff(dayjs(de.ModifiedDate), 'day') : null,
+
+    // Retention info
+    hasRetention: parseInt(de.DataRetentionPeriodLength, 10) > 0 || !!de.RetainUntil,
+    retentionPeriod: de.DataRetentionPeriodLength || null,
+    retentionUnit: de.DataRetentionPeriodUnitOfMeasure || null,
+    retainUntil: de.RetainUntil || null,
+    deleteAtEnd: de.DeleteAtEndOfRetentionPeriod === 'true',
+
+    // Dependencies
+    automations: [],
+    activeAutomations: [],
+    mostRecentAutomationRun: null,
+    daysSinceLastAutomationRun: null,
+    queries: [],
+    queriesAsTarget: [], // Queries where this DE is the target (data written TO it)
+    filters: [],
+    imports: [],
+    journeys: [],
+    dataExtracts: [],
+    triggeredSends: [],
+
+    // Estimated last data load (based on automation runs for imports/queries targeting this DE)
+    estimatedLastDataLoad: null,
+    daysSinceLastDataLoad: null,
+    lastDataLoadSource: null, // 'import', 'query', or 'unknown'
+
+    // Recommendation
+    recommendation: Recommendation.REVIEW,
+    reasons: [],
+    retentionFlag: ''
+  };
+
+  const keyLower = de.CustomerKey.toLowerCase();
+  const nameLower = de.Name.toLowerCase();
+
+  // Find automation references
+  for (const auto of bulkData.automations) {
+    const autoJson = JSON.stringify(auto).toLowerCase();
+    if (autoJson.includes(keyLower) || autoJson.includes(nameLower)) {
+      result.automations.push({
+        name: auto.name,
+        status: auto.status,
+        lastRunTime: auto.lastRunTime
+      });
+
+      // Track active automations (ran recently)
+      if (auto.lastRunTime) {
+        const lastRun = dayjs(auto.lastRunTime);
+        if (lastRun.isAfter(staleThreshold)) {
+          result.activeAutomations.push(auto.name);
+        }
+
+        // Track most recent run
+        if (!result.mostRecentAutomationRun || lastRun.isAfter(dayjs(result.mostRecentAutomationRun))) {
+          result.mostRecentAutomationRun = auto.lastRunTime;
+        }
+      }
+    }
+  }
+
+  if (result.mostRecentAutomationRun) {
+    result.daysSinceLastAutomationRun = dayjs().diff(dayjs(result.mostRecentAutomationRun), 'day');
+  }
+
+  // Find query references (distinguish between target and source DEs)
+  for (const query of bulkData.queryActivities) {
+    const targetKey = query['DataExtensionTarget.CustomerKey'] || query.DataExtensionTarget?.CustomerKey;
+    const targetName = query['DataExtensionTarget.Name'] || query.DataExtensionTarget?.Name;
+
+    let isTarget = false;
+    let isSource = false;
+
+    // Check if this DE is the target (data written TO it)
+    if (targetKey?.toLowerCase() === keyLower || targetName?.toLowerCase() === nameLower) {
+      isTarget = true;
+      result.queriesAsTarget.push({
+        name: query.Name,
+        objectId: query.ObjectID,
+        customerKey: query.CustomerKey
+      });
+    }
+
+    // Check if this DE is referenced in the SQL (source DE)
+    if (query.QueryText) {
+      const sqlLower = query.QueryText.toLowerCase();
+      if (sqlLower.includes(keyLower) || sqlLower.includes(nameLower)) {
+        isSource = true;
+      }
+    }
+
+    if (isTarget || isSource) {
+      result.queries.push(query.Name);
+    }
+  }
+
+  // Find filter references
+  for (const filter of bulkData.filterActivities) {
+    const sourceId = filter.sourceObjectId?.toLowerCase();
+    const destId = filter.destinationObjectId?.toLowerCase();
+    const deObjectId = de.ObjectID?.toLowerCase();
+
+    if (deObjectId && (sourceId === deObjectId || destId === deObjectId)) {
+      result.filters.push(filter.name);
+    }
+  }
+
+  // Find import references (imports that target this DE)
+  const importDetails = [];
+  for (const imp of bulkData.importActivities) {
+    const destKey = imp['DestinationObject.CustomerKey'] || imp.DestinationObject?.CustomerKey;
+    const destName = imp['DestinationObject.Name'] || imp.DestinationObject?.Name;
+    if (destKey?.toLowerCase() === keyLower || destName?.toLowerCase() === nameLower) {
+      result.imports.push(imp.Name);
+      importDetails.push({
+        name: imp.Name,
+        objectId: imp.ObjectID,
+        customerKey: imp.CustomerKey
+      });
+    }
+  }
+
+  // Find journey references
+  for (const journey of bulkData.journeys) {
+    const journeyJson = JSON.stringify(journey).toLowerCase();
+    if (journeyJson.includes(keyLower)) {
+      result.journeys.push(journey.name);
+    }
+  }
+
+  // Find data extract references
+  for (const extract of bulkData.dataExtracts) {
+    const extractJson = JSON.stringify(extract).toLowerCase();
+    if (extractJson.includes(keyLower)) {
+      result.dataExtracts.push(extract.name);
+    }
+  }
+
+  // Find triggered send references
+  for (const tsd of bulkData.triggeredSends) {
+    const tsdJson = JSON.stringify(tsd).toLowerCase();
+    if (tsdJson.includes(keyLower)) {
+      result.triggeredSends.push(tsd.Name);
+    }
+  }
+
+  // Estimate last data load time by finding automations that contain imports/queries targeting this DE
+  // This is an estimate since SFMC doesn't track actual data insert timestamps
+  estimateLastDataLoad(result, importDetails, bulkData);
+
+  // Determine recommendation
+  determineRecommendation(result, staleThreshold);
+
+  return result;
+}
+
+/**
+ * Estimate last data load time for a DE by correlating imports/queries with automation run times
+ *
+ * SFMC doesn't provide a direct "last data insert" timestamp, so we estimate by:
+ * 1. Finding imports that target this DE
+ * 2. Finding query activities that write to this DE (as target)
+ * 3. Finding automations that contain these activities
+ * 4. Using the most recent lastRunTime from those automations
+ *
+ * This is an ESTIMATE and may not be accurate if:
+ * - Data was loaded manually via UI
+ * - Data was loaded via API directly
+ * - The automation ran but the activity was skipped/failed
+ */
+function estimateLastDataLoad(result, importDetails, bulkData) {
+  let mostRecentDataLoad = null;
+  let dataLoadSource = null;
+
+  // Helper to find automations containing a specific activity
+  const findAutomationsWithActivity = (activityObjectId, activityCustomerKey) => {
+    const matchingAutos = [];
+    for (const auto of bulkData.automations) {
+      // Search in the automation's activity IDs
+      if (auto.activityIds) {
+        const activityIds = auto.activityIds.map(id => id?.toLowerCase());
+        if ((activityObjectId && activityIds.includes(activityObjectId.toLowerCase())) ||
+            (activityCustomerKey && activityIds.includes(activityCustomerKey.toLowerCase()))) {
+          matchingAutos.push(auto);
+          continue;
+        }
+      }
+
+      // Fall back to JSON search if activityIds not available
+      const autoJson = JSON.stringify(auto).toLowerCase();
+      if ((activityObjectId && autoJson.includes(activityObjectId.toLowerCase())) ||
+          (activityCustomerKey && autoJson.includes(activityCustomerKey.toLowerCase()))) {
+        matchingAutos.push(auto);
+      }
+    }
+    return matchingAutos;
+  };
+
+  // Check imports that target this DE
+  for (const imp of importDetails) {
+    const relatedAutos = findAutomationsWithActivity(imp.objectId, imp.customerKey);
+    for (const auto of relatedAutos) {
+      if (auto.lastRunTime) {
+        const runTime = dayjs(auto.lastRunTime);
+        if (!mostRecentDataLoad || runTime.isAfter(mostRecentDataLoad)) {
+          mostRecentDataLoad = runTime;
+          dataLoadSource = `Import: ${imp.name} (via ${auto.name})`;
+        }
+      }
+    }
+  }
+
+  // Check queries that target this DE (queriesAsTarget)
+  for (const query of result.queriesAsTarget) {
+    const relatedAutos = findAutomationsWithActivity(query.objectId, query.customerKey);
+    for (const auto of relatedAutos) {
+      if (auto.lastRunTime) {
+        const runTime = dayjs(auto.lastRunTime);
+        if (!mostRecentDataLoad || runTime.isAfter(mostRecentDataLoad)) {
+          mostRecentDataLoad = runTime;
+          dataLoadSource = `Query: ${query.name} (via ${auto.name})`;
+        }
+      }
+    }
+  }
+
+  // Set the results
+  if (mostRecentDataLoad) {
+    result.estimatedLastDataLoad = mostRecentDataLoad.toISOString();
+    result.daysSinceLastDataLoad = dayjs().diff(mostRecentDataLoad, 'day');
+    result.lastDataLoadSource = dataLoadSource;
+  }
+}
+
+/**
+ * Determine the recommendation for a DE
+ */
+function determineRecommendation(result, staleThreshold) {
+  const reasons = [];
+  let recommendation = Recommendation.REVIEW;
+
+  const hasDependencies = result.automations.length > 0 ||
+    result.queries.length > 0 ||
+    result.filters.length > 0 ||
+    result.imports.length > 0 ||
+    result.journeys.length > 0 ||
+    result.dataExtracts.length > 0 ||
+    result.triggeredSends.length > 0;
+
+  const hasActiveAutomations = result.activeAutomations.length > 0;
+  const deModifiedRecently = result.modifiedDate && dayjs(result.modifiedDate).isAfter(staleThreshold);
+  const hadRecentDataLoad = result.estimatedLastDataLoad && dayjs(result.estimatedLastDataLoad).isAfter(staleThreshold);
+
+  // Check retention
+  if (!result.hasRetention) {
+    result.retentionFlag = 'NO_RETENTION';
+    reasons.push('No retention policy configured');
+  }
+
+  // Determine recommendation
+  if (!hasDependencies) {
+    // No dependencies at all
+    recommendation = Recommendation.SAFE_TO_DELETE;
+    reasons.push('No dependencies found');
+  } else if (hasActiveAutomations || deModifiedRecently || hadRecentDataLoad) {
+    // Active
+    recommendation = Recommendation.KEEP;
+    if (hasActiveAutomations) {
+      reasons.push(`Active automation(s): ${result.activeAutomations.slice(0, 2).join(', ')}`);
+    }
+    if (hadRecentDataLoad) {
+      reasons.push(`Data loaded recently (${result.daysSinceLastDataLoad} days ago)`);
+    }
+    if (deModifiedRecently) {
+      reasons.push(`Metadata modified recently (${result.daysSinceModified} days ago)`);
+    }
+  } else if (result.journeys.length > 0 || result.triggeredSends.length > 0) {
+    // Has journey/triggered send - needs review
+    recommendation = Recommendation.REVIEW;
+    if (result.journeys.length > 0) {
+      reasons.push(`Used in Journey(s): ${result.journeys.slice(0, 2).join(', ')}`);
+    }
+    if (result.triggeredSends.length > 0) {
+      reasons.push(`Used in Triggered Send(s): ${result.triggeredSends.slice(0, 2).join(', ')}`);
+    }
+  } else if (result.automations.length > 0 && !hasActiveAutomations) {
+    // Has automations but none active recently
+    recommendation = Recommendation.RECOMMEND_DELETE;
+    reasons.push(`All ${result.automations.length} automation(s) inactive for ${staleThreshold.fromNow(true)}+`);
+    if (result.daysSinceLastAutomationRun) {
+      reasons.push(`Last automation run: ${result.daysSinceLastAutomationRun} days ago`);
+    }
+  } else if (result.queries.length > 0 || result.filters.length > 0 || result.imports.length > 0) {
+    // Has query/filter/import refs but no automation context
+    recommendation = Recommendation.REVIEW;
+    if (result.queries.length > 0) reasons.push(`Referenced in ${result.queries.length} query(ies)`);
+    if (result.filters.length > 0) reasons.push(`Referenced in ${result.filters.length} filter(s)`);
+    if (result.imports.length > 0) reasons.push(`Referenced in ${result.imports.length} import(s)`);
+  }
+
+  result.recommendation = recommendation;
+  result.reasons = reasons;
+}
+
+/**
+ * Generate CSV output with proper RFC 4180 escaping
+ * @param {object[]} results - Analysis results
+ * @param {object} options - { includeBusinessUnit } adds Business Unit ID/Name columns
+ * @returns {string} CSV text
+ */
+export function generateCsv(results, options = {}) {
+  const { includeBusinessUnit = false } = options;
+
+  // Helper to safely join array items and then escape the result
+  const joinAndEscape = (arr, separator = '; ') => {
+    if (!arr || arr.length === 0) return '';
+    // Join array items, then escape the combined string
+    const joined = arr.map(item => {
+      // For objects, extract the name property
+      return typeof item === 'object' ? (item.name || '') : String(item);
+    }).join(separator);
+    return escapeCSV(joined);
+  };
+
+  const headers = [
+    'DE Name',
+    'Customer Key',
+    'Folder Path',
+    'Created Date',
+    'Modified Date',
+    'Days Since Modified',
+    'Estimated Last Data Load',
+    'Days Since Last Data Load',
+    'Last Data Load Source',
+    'Has Retention',
+    'Retention Period',
+    'Retention Unit',
+    'Retain Until',
+    'Delete At End',
+    'Automation Count',
+    'Active Automation Count',
+    'Automation Names',
+    'Most Recent Automation Run',
+    'Days Since Last Automation Run',
+    'Query Count',
+    'Queries As Target Count',
+    'Query Names',
+    'Filter Count',
+    'Filter Names',
+    'Import Count',
+    'Journey Count',
+    'Journey Names',
+    'Data Extract Count',
+    'Triggered Send Count',
+    'Recommendation',
+    'Recommendation Reasons',
+    'Retention Flag'
+  ];
+
+  if (includeBusinessUnit) {
+    headers.unshift('Business Unit ID', 'Business Unit Name');
+  }
+
+  // Escape headers too (RFC 4180 compliant)
+  const rows = [headers.map(escapeCSV).join(',')];
+
+  for (const r of results) {
+    const row = [
+      escapeCSV(r.name),
+      escapeCSV(r.customerKey),
+      escapeCSV(r.folderPath),
+      escapeCSV(r.createdDate),
+      escapeCSV(r.modifiedDate),
+      escapeCSV(r.daysSinceModified),
+      escapeCSV(r.estimatedLastDataLoad),
+      escapeCSV(r.daysSinceLastDataLoad),
+      escapeCSV(r.lastDataLoadSource),
+      escapeCSV(r.hasRetention ? 'Yes' : 'No'),
+      escapeCSV(r.retentionPeriod),
+      escapeCSV(r.retentionUnit),
+      escapeCSV(r.retainUntil),
+      escapeCSV(r.deleteAtEnd ? 'Yes' : 'No'),
+      escapeCSV(r.automations?.length || 0),
+      escapeCSV(r.activeAutomations?.length || 0),
+      joinAndEscape(r.automations),
+      escapeCSV(r.mostRecentAutomationRun),
+      escapeCSV(r.daysSinceLastAutomationRun),
+      escapeCSV(r.queries?.length || 0),
+      escapeCSV(r.queriesAsTarget?.length || 0),
+      joinAndEscape(r.queries),
+      escapeCSV(r.filters?.length || 0),
+      joinAndEscape(r.filters),
+      escapeCSV(r.imports?.length || 0),
+      escapeCSV(r.journeys?.length || 0),
+      joinAndEscape(r.journeys),
+      escapeCSV(r.dataExtracts?.length || 0),
+      escapeCSV(r.triggeredSends?.length || 0),
+      escapeCSV(r.recommendation),
+      joinAndEscape(r.reasons),
+      escapeCSV(r.retentionFlag)
+    ];
+    if (includeBusinessUnit) {
+      row.unshift(escapeCSV(r.businessUnitId), escapeCSV(r.businessUnitName));
+    }
+    rows.push(row.join(','));
+  }
+
+  return rows.join('\n');
+}
+
+export default {
+  Recommendation,
+  buildFolderPathMap,
+  analyzeDataExtensions,
+  summarizeResults,
+  analyzeBusinessUnit,
+  generateCsv
+};
@@ -11,24 +11,34 @@
  * - Import Activities (from SOAP)
  * - Journeys
  * - Data Extracts
+ * - Content Builder assets (only their AMPscript/SSJS DE references)
  *
  * Uses file-based caching (24 hours) with in-memory cache per account.
+ * With the incremental option, a cached snapshot of any age is brought up to
+ * date by fetching only objects modified since it was taken (plus ID lists to
+ * spot deletions) instead of reloading everything.
  */
 
 import {
+  getItemsModifiedSince,
   getAutomations,
   getAutomationDetails,
   getFilterActivities,
   getJourneys,
-  getDataExtracts
+  getDataExtracts,
+  getCodeAssets,
+  getCloudPageDetails
 } from './sfmc-rest.js';
 import {
   retrieveQueryDefinitions,
   retrieveQueryTexts,
   retrieveImportDefinitions,
   retrieveTriggeredSendDefinitions,
-  retrieveDataExtensions
+  retrieveDataExtensions,
+  retrieveObjectIds,
+  buildSimpleFilter
 } from './sfmc-soap.js';
+import { extractAssetCode, scanContentAsset } from './content-scanner.js';
 import { readCache, writeCache, clearCache, getCacheInfo } from './cache.js';
 import config from '../config/index.js';
 import { CACHE_CONFIG } from './utils.js';
@@ -39,6 +49,11 @@ const BULK_DATA_CACHE_TYPE = 'bulk-data';
 // Use shared cache expiry constant
 const DEFAULT_CACHE_EXPIRY_MS = CACHE_CONFIG.DEFAULT_EXPIRY_MS;
 
+// Incremental refreshes fetch changes from this long before the snapshot was taken.
+// SFMC reports many dates in server time (US Central) without an offset, so a
+// generous overlap keeps clock and timezone differences from hiding a change.
+const INCREMENTAL_OVERLAP_MS = 24 * 60 * 60 * 1000;
+
 // Required fields that must be present in cached data
 // If any are missing, the cache is considered invalid and will be refreshed
 const REQUIRED_CACHE_FIELDS = [
@@ -49,7 +64,8 @@ const REQUIRED_CACHE_FIELDS = [
   'triggeredSends',
   'journeys',
   'dataExtracts',
-  'dataExtensions'
+  'dataExtensions',
+  'contentAssets'
 ];
 
 // In-memory cache per account for current session (faster than file reads)
@@ -109,6 +125,15 @@ export async function clearBulkDataCache(logger = null, accountId = null) {
   return cleared;
 }
 
+/**
+ * Drop the in-memory bulk data for an account, keeping the file cache
+ * (for multi-BU runs that would otherwise hold every BU in memory)
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ */
+export function releaseBulkDataMemory(accountId = null) {
+  memoryCacheByAccount.delete(accountId || config.sfmc.accountId);
+}
+
 /**
  * Get cache status information
  * @param {string} accountId - Business Unit account ID (optional, defaults to config)
@@ -119,6 +144,66 @@ export async function getBulkDataCacheStatus(accountId = null) {
   return getCacheInfo(BULK_DATA_CACHE_TYPE, effectiveAccountId);
 }
 
+/**
+ * Fetch details for a set of automations, a batch at a time
+ * @param {object[]} automationsList - Automations from the list endpoint
+ * @param {object} options - Loading options
+ * @returns {Promise<object[]>} Compact automation records (with steps and activityIds)
+ */
+async function loadAutomationDetails(automationsList, options) {
+  const { logger, accountId, progress } = options;
+  const automations = [];
+
+  progress('automation-details', 0, automationsList.length, 'Loading automation details...');
+
+  const batchSize = config.concurrency.automationDetailsConcurrency;
+  for (let i = 0; i < automationsList.length; i += batchSize) {
+    const batch = automationsList.slice(i, i + batchSize);
+
+    const detailsPromises = batch.map(async (auto) => {
+      try {
+        const details = await getAutomationDetails(auto.id, logger, accountId);
+        return {
+          id: details.id,
+          name: details.name,
+          key: details.key,
+          description: details.description,
+          status: details.status,
+          statusId: details.statusId,
+          categoryId: details.categoryId,
+          createdDate: details.createdDate,
+          modifiedDate: details.modifiedDate,
+          lastRunTime: details.lastRunTime,
+          lastRunInstanceId: details.lastRunInstanceId,
+          steps: details.steps || [],
+          activityIds: extractActivityIds(details.steps)
+        };
+      } catch (err) {
+        if (logger) logger.debug('Failed to get details for automation ' + auto.id + ': ' + err.message);
+        return {
+          id: auto.id,
+          name: auto.name,
+          key: auto.key,
+          status: auto.status,
+          statusId: auto.statusId,
+          steps: [],
+          activityIds: [],
+          _detailsError: err.message
+        };
+      }
+    });
+
+    const batchResults = await Promise.all(detailsPromises);
+    automations.push(...batchResults);
+
+    const loadedCount = Math.min(i + batchSize, automationsList.length);
+    progress('automation-details', loadedCount, automationsList.length,
+      'Loaded ' + loadedCount + '/' + automationsList.length + ' automation details');
+  }
+
+  return automations;
+}
+
 /**
  * Load automations list and optionally fetch detailed info for each
  * @param {object} data - Data object to populate
@@ -135,61 +220,13 @@ async function loadAutomationsWithDetails(data, options) {
   progress('automations', 1, 1, `Loaded ${automationsList.length} automations`);
 
   if (includeDetails && automationsList.length > 0) {
-    progress('automation-details', 0, automationsList.length, 'Loading automation details...');
-
-    const batchSize = config.concurrency.automationDetailsConcurrency;
-    for (let i = 0; i < automationsList.length; i += batchSize) {
-      const batch = automationsList.slice(i, i + batchSize);
-
-      const detailsPromises = batch.map(async (auto) => {
-        try {
-          const details = await getAutomationDetails(auto.id, logger, accountId);
-          return {
-            id: details.id,
-            name: details.name,
-            key: details.key,
-            description: details.description,
-            status: details.status,
-            statusId: details.statusId,
-            categoryId: details.categoryId,
-            createdDate: details.createdDate,
-            modifiedDate: details.modifiedDate,
-            lastRunTime: details.lastRunTime,
-            lastRunInstanceId: details.lastRunInstanceId,
-            steps: details.steps || [],
-            activityIds: extractActivityIds(details.steps)
-          };
-        } catch (err) {
-          if (logger) logger.debug('Failed to get details for automation ' + auto.id + ': ' + err.message);
-          return {
-            id: auto.id,
-            name: auto.name,
-            key: auto.key,
-            status: auto.status,
-            statusId: auto.statusId,
-            steps: [],
-            activityIds: [],
-            _detailsError: err.message
-          };
-        }
-      });
-
-      const batchResults = await Promise.all(detailsPromises);
-      data.automations.push(...batchResults);
-
-      const loadedCount = Math.min(i + batchSize, automationsList.length);
-      progress('automation-details', loadedCount, automationsList.length,
-        'Loaded ' + loadedCount + '/' + automationsList.length + ' automation details');
-    }
-
-    for (const automation of data.automations) {
-      data.automationsById.set(automation.id, automation);
-    }
+    data.automations = await loadAutomationDetails(automationsList, { logger, accountId, progress });
   } else {
     data.automations = automationsList;
-    for (const automation of automationsList) {
-      data.automationsById.set(automation.id, automation);
-    }
+  }
+
+  for (const automation of data.automations) {
+    data.automationsById.set(automation.id, automation);
   }
 }
 
@@ -238,16 +275,17 @@ async function loadQueryActivities(data, options) {
  * Load SQL text for query activities
  * @param {object} data - Data object with queryActivities
  * @param {object} options - Loading options
+ * @param {object[]} options.queries - Only load text for these queries (default: all of data.queryActivities)
  */
 async function loadQueryTexts(data, options) {
-  const { logger, accountId, progress } = options;
+  const { logger, accountId, progress, queries = data.queryActivities } = options;
 
-  progress('query-text', 0, data.queryActivities.length, 'Loading query SQL text (parallel)...');
+  progress('query-text', 0, queries.length, 'Loading query SQL text (parallel)...');
 
-  const queryIds = data.queryActivities.map(q => q.ObjectID).filter(Boolean);
+  const queryIds = queries.map(q => q.ObjectID).filter(Boolean);
 
   const queryByObjectId = new Map();
-  for (const query of data.queryActivities) {
+  for (const query of queries) {
     if (query.ObjectID) {
       queryByObjectId.set(query.ObjectID, query);
     }
@@ -278,9 +316,9 @@ async function loadQueryTexts(data, options) {
     }
   }
 
-  const withText = data.queryActivities.filter(q => q.QueryText).length;
+  const withText = queries.filter(q => q.QueryText).length;
   progress('query-text', queryIds.length, queryIds.length,
-    'Loaded SQL for ' + withText + '/' + data.queryActivities.length + ' queries');
+    'Loaded SQL for ' + withText + '/' + queries.length + ' queries');
 }
 
 /**
@@ -363,6 +401,367 @@ async function loadDataExtensions(data, options) {
   progress('dataExtensions', 1, 1, 'Loaded ' + data.dataExtensions.length + ' data extensions');
 }
 
+/**
+ * Load Content Builder assets and scan their code for DE references
+ * Only assets with references are kept, as compact records - full
+ * HTML would bloat the cache.
+ * @param {object} data - Data object to populate
+ * @param {object} options - Loading options
+ */
+async function loadContentAssets(data, options) {
+  const { logger, accountId, progress } = options;
+
+  progress('content-assets', 0, 1, 'Loading Content Builder assets...');
+  const assets = await getCodeAssets(logger, accountId).catch(err => {
+    if (logger) logger.warn('Failed to load Content Builder assets: ' + err.message);
+    return [];
+  });
+  progress('content-assets', 1, 1, 'Loaded ' + assets.length + ' Content Builder assets');
+
+  // The query endpoint does not always return content (e.g. CloudPages) - fetch those individually
+  const withoutCode = assets.filter(asset => !extractAssetCode(asset));
+  const detailsById = new Map();
+
+  if (withoutCode.length > 0) {
+    progress('asset-details', 0, withoutCode.length, 'Loading asset content...');
+
+    const batchSize = config.concurrency.assetDetailsConcurrency;
+    for (let i = 0; i < withoutCode.length; i += batchSize) {
+      const batch = withoutCode.slice(i, i + batchSize);
+
+      await Promise.all(batch.map(async (asset) => {
+        const details = await getCloudPageDetails(asset.id, logger, accountId);
+        if (details) detailsById.set(asset.id, details);
+      }));
+
+      const loadedCount = Math.min(i + batchSize, withoutCode.length);
+      progress('asset-details', loadedCount, withoutCode.length,
+        'Loaded ' + loadedCount + '/' + withoutCode.length + ' asset details');
+    }
+  }
+
+  for (const asset of assets) {
+    const scanned = scanContentAsset(detailsById.get(asset.id) || asset);
+    if (scanned.deReferences.length > 0 || scanned.dynamicReferences.length > 0) {
+      data.contentAssets.push(scanned);
+    }
+  }
+
+  progress('content-assets', 1, 1,
+    'Found DE references in ' + data.contentAssets.length + '/' + assets.length + ' Content Builder assets');
+}
+
+/**
+ * Merge objects modified since a snapshot into its cached list
+ * @param {object[]} cached - Objects from the snapshot
+ * @param {object[]} modified - Objects modified since the snapshot (new or changed)
+ * @param {Set<string>|null} currentIds - IDs that still exist, or null if deletions are unknown
+ * @param {function} getId - Returns an object's ID
+ * @returns {object} { items, modified, removed }
+ */
+function mergeChanges(cached, modified, currentIds, getId) {
+  const exists = (item) => !currentIds || currentIds.has(getId(item));
+  const modifiedById = new Map(modified.filter(exists).map(item => [getId(item), item]));
+
+  const items = [];
+  let removed = 0;
+  for (const item of cached) {
+    const id = getId(item);
+    if (!exists(item)) {
+      removed++;
+    } else if (modifiedById.has(id)) {
+      items.push(modifiedById.get(id));
+      modifiedById.delete(id);
+    } else {
+      items.push(item);
+    }
+  }
+
+  // Whatever is left was created since the snapshot
+  items.push(...modifiedById.values());
+
+  return { items, modified: modified.length, removed };
+}
+
+/**
+ * Refresh a SOAP object list: ModifiedDate filter for changes, ObjectID list for deletions
+ * @param {object[]} cached - Objects from the snapshot
+ * @param {string} objectType - SOAP object type
+ * @param {function} retrieveModified - (filter) => Promise<object[]>
+ * @param {object} options - { since, logger, accountId }
+ * @returns {Promise<object>} { items, modified, removed }
+ */
+async function refreshSoapObjects(cached, objectType, retrieveModified, options) {
+  const { since, logger, accountId } = options;
+
+  const modified = await retrieveModified(buildSimpleFilter('ModifiedDate', 'greaterThan', since));
+  const currentIds = new Set(await retrieveObjectIds(objectType, logger, accountId));
+  const merged = mergeChanges(cached, modified, currentIds, item => item.ObjectID);
+
+  // IDs that are neither cached nor modified (e.g. restored with an old ModifiedDate): reload the type
+  if (merged.items.length < currentIds.size) {
+    if (logger) logger.debug(`${currentIds.size - merged.items.length} ${objectType} object(s) missing from the snapshot, reloading all`);
+    return mergeChanges(cached, await retrieveModified(null), currentIds, item => item.ObjectID);
+  }
+
+  return merged;
+}
+
+/**
+ * Refresh a REST list: newest-first paging for changes, the endpoint's total
+ * count for deletions. The merged list can only be larger than the total if
+ * something was deleted; only then is the full list (every ID) fetched.
+ * @param {object[]} cached - Objects from the snapshot
+ * @param {string} endpoint - List endpoint
+ * @param {function} loadAll - () => Promise<object[]> full list
+ * @param {function} getId - Returns an object's ID
+ * @param {object} options - { since, logger, accountId, pageSize }
+ * @returns {Promise<object>} { items, modified, removed }
+ */
+async function refreshRestObjects(cached, endpoint, loadAll, getId, options) {
+  const { since, logger, accountId, pageSize } = options;
+
+  const { items: modified, total } = await getItemsModifiedSince(endpoint, since, { pageSize }, logger, accountId);
+  const merged = mergeChanges(cached, modified, null, getId);
+
+  if (total !== null && merged.items.length === total) {
+    return merged;
+  }
+
+  const all = await loadAll();
+  return mergeChanges(cached, modified, new Set(all.map(getId)), getId);
+}
+
+/**
+ * Bring a cached snapshot up to date by fetching only what changed since it was taken
+ *
+ * Automations: the list is always fetched (it carries status and last run, which
+ * change without a modifiedDate bump); details are reloaded only for new or modified
+ * automations. Queries, imports, triggered sends and DEs use SOAP ModifiedDate
+ * filters plus ObjectID lists; filters, journeys and extracts use REST modifiedDate
+ * ordering. SQL text is loaded only for modified queries. Content Builder assets
+ * are rescanned in full.
+ *
+ * @param {object} snapshot - Cached bulk data (without Maps)
+ * @param {object} options - Loading options
+ * @returns {Promise<object>} { data, changes } - data without Maps; changes per list
+ */
+async function refreshSnapshot(snapshot, options) {
+  const { includeAutomationDetails, includeQueryText, logger, accountId, progress } = options;
+
+  const since = new Date(new Date(snapshot.loadedAt).getTime() - INCREMENTAL_OVERLAP_MS).toISOString();
+  const sinceMs = new Date(since).getTime();
+  const soapOptions = { since, logger, accountId };
+  const restOptions = { since, logger, accountId, pageSize: config.pagination.defaultPageSize };
+  const changes = {};
+
+  const data = {
+    ...snapshot,
+    automationsById: new Map(),
+    filtersById: new Map(),
+    contentAssets: [],
+    loadedAt: new Date().toISOString()
+  };
+
+  // Automations
+  progress('automations', 0, 1, 'Loading automations list...');
+  const automationsList = await getAutomations(logger, accountId);
+  const cachedAutomations = new Map(snapshot.automations.map(a => [a.id, a]));
+  const currentAutomationIds = new Set(automationsList.map(a => a.id));
+
+  if (includeAutomationDetails) {
+    const toLoad = automationsList.filter(auto => {
+      const cached = cachedAutomations.get(auto.id);
+      const modifiedMs = new Date(auto.modifiedDate).getTime();
+      return !cached || cached._detailsError || isNaN(modifiedMs) || modifiedMs > sinceMs;
+    });
+    progress('automations', 1, 1, `${toLoad.length}/${automationsList.length} automations modified`);
+
+    const loaded = await loadAutomationDetails(toLoad, { logger, accountId, progress });
+
+    // Unmodified automations keep their cached steps but take the list's current run state
+    const current = automationsList.map(auto => {
+      const cached = cachedAutomations.get(auto.id);
+      return {
+        ...cached,
+        status: auto.status ?? cached?.status,
+        statusId: auto.statusId ?? cached?.statusId,
+        lastRunTime: auto.lastRunTime ?? cached?.lastRunTime,
+        lastRunInstanceId: auto.lastRunInstanceId ?? cached?.lastRunInstanceId
+      };
+    }).filter(auto => auto.id);
+
+    const merged = mergeChanges(current, loaded, currentAutomationIds, a => a.id);
+    data.automations = merged.items;
+    changes.automations = { modified: toLoad.length, removed: snapshot.automations.filter(a => !currentAutomationIds.has(a.id)).length };
+  } else {
+    progress('automations', 1, 1, `Loaded ${automationsList.length} automations`);
+    data.automations = automationsList;
+    changes.automations = { modified: automationsList.length, removed: snapshot.automations.filter(a => !currentAutomationIds.has(a.id)).length };
+  }
+
+  // Filter activities
+  progress('filters', 0, 1, 'Loading modified filter activities...');
+  const filters = await refreshRestObjects(snapshot.filterActivities, '/automation/v1/filters',
+    () => getFilterActivities(logger, accountId), f => f.filterActivityId || f.id, restOptions);
+  data.filterActivities = filters.items;
+  changes.filterActivities = filters;
+
+  // Query activities (SQL text only for modified queries)
+  progress('queries', 0, 1, 'Loading modified query activities...');
+  const queries = await refreshSoapObjects(snapshot.queryActivities, 'QueryDefinition',
+    (filter) => retrieveQueryDefinitions(logger, false, accountId, filter), soapOptions);
+  data.queryActivities = queries.items;
+  changes.queryActivities = queries;
+
+  // A re-fetched query keeps its cached SQL if its ModifiedDate did not move
+  const cachedQueries = new Map(snapshot.queryActivities.map(q => [q.ObjectID, q]));
+  for (const query of data.queryActivities) {
+    const cached = cachedQueries.get(query.ObjectID);
+    if (!query.QueryText && cached?.QueryText && query.ModifiedDate && cached.ModifiedDate === query.ModifiedDate) {
+      query.QueryText = cached.QueryText;
+    }
+  }
+
+  if (includeQueryText) {
+    const withoutText = data.queryActivities.filter(q => !q.QueryText);
+    if (withoutText.length > 0) {
+      await loadQueryTexts(data, { logger, accountId, progress, queries: withoutText });
+    }
+  }
+
+  // Import activities
+  progress('imports', 0, 1, 'Loading modified import activities...');
+  const imports = await refreshSoapObjects(snapshot.importActivities, 'ImportDefinition',
+    (filter) => retrieveImportDefinitions(logger, accountId, filter), soapOptions);
+  data.importActivities = imports.items;
+  changes.importActivities = imports;
+
+  // Triggered sends
+  progress('triggered-sends', 0, 1, 'Loading modified triggered sends...');
+  const triggeredSends = await refreshSoapObjects(snapshot.triggeredSends, 'TriggeredSendDefinition',
+    (filter) => retrieveTriggeredSendDefinitions(logger, accountId, filter), soapOptions);
+  data.triggeredSends = triggeredSends.items;
+  changes.triggeredSends = triggeredSends;
+
+  // Journeys
+  progress('journeys', 0, 1, 'Loading modified journeys...');
+  const journeys = await refreshRestObjects(snapshot.journeys, '/interaction/v1/interactions',
+    () => getJourneys(logger, accountId), j => j.id,
+    { ...restOptions, pageSize: config.pagination.journeyPageSize });
+  data.journeys = journeys.items;
+  changes.journeys = journeys;
+
+  // Data extracts
+  progress('extracts', 0, 1, 'Loading modified data extracts...');
+  const extracts = await refreshRestObjects(snapshot.dataExtracts, '/automation/v1/dataextracts',
+    () => getDataExtracts(logger, accountId), e => e.dataExtractDefinitionId || e.id, restOptions);
+  data.dataExtracts = extracts.items;
+  changes.dataExtracts = extracts;
+
+  // Data extensions
+  progress('dataExtensions', 0, 1, 'Loading modified data extensions...');
+  const dataExtensions = await refreshSoapObjects(snapshot.dataExtensions, 'DataExtension',
+    (filter) => retrieveDataExtensions(filter, logger, accountId), soapOptions);
+  data.dataExtensions = dataExtensions.items;
+  changes.dataExtensions = dataExtensions;
+
+  // Content Builder assets are only cached as scan results, so they are rescanned
+  await loadContentAssets(data, { logger, accountId, progress });
+
+  return { data, changes };
+}
+
+/**
+ * Write bulk data to the file cache (Maps need to be converted for JSON serialization)
+ * @param {object} data - Bulk data
+ * @param {string} accountId - Business Unit account ID
+ */
+async function saveSnapshot(data, accountId) {
+  const cacheData = {
+    automations: data.automations,
+    filterActivities: data.filterActivities,
+    queryActivities: data.queryActivities,
+    importActivities: data.importActivities,
+    triggeredSends: data.triggeredSends,
+    journeys: data.journeys,
+    dataExtracts: data.dataExtracts,
+    dataExtensions: data.dataExtensions,
+    contentAssets: data.contentAssets,
+    loadedAt: data.loadedAt,
+    loadOptions: data.loadOptions
+  };
+
+  await writeCache(BULK_DATA_CACHE_TYPE, accountId, cacheData, {
+    itemCounts: {
+      automations: data.automations.length,
+      filterActivities: data.filterActivities.length,
+      queryActivities: data.queryActivities.length,
+      importActivities: data.importActivities.length,
+      triggeredSends: data.triggeredSends.length,
+      journeys: data.journeys.length,
+      dataExtracts: data.dataExtracts.length,
+      dataExtensions: data.dataExtensions.length,
+      contentAssets: data.contentAssets.length
+    }
+  });
+}
+
+/**
+ * Load bulk data by refreshing the cached snapshot with deltas
+ * Returns null (so the caller does a full load) if there is no usable snapshot -
+ * none cached, from an older version, or loaded with less detail than requested -
+ * or if fetching the deltas fails.
+ * @param {object} options - Loading options
+ * @returns {Promise<object|null>} Data with Maps rebuilt, or null
+ */
+async function loadIncrementally(options) {
+  const { logger, accountId, progress } = options;
+
+  const cached = await readCache(BULK_DATA_CACHE_TYPE, accountId, { ignoreExpiry: true });
+  const snapshot = cached?.data;
+
+  if (!snapshot || !validateCachedData(snapshot).isValid || !snapshot.loadedAt || !snapshot.loadOptions) {
+    if (logger) logger.info(`No usable bulk data snapshot for BU ${accountId}, doing a full load`);
+    return null;
+  }
+
+  const snapshotOptions = snapshot.loadOptions;
+  if ((options.includeAutomationDetails && !snapshotOptions.includeAutomationDetails) ||
+      (options.includeQueryText && !snapshotOptions.includeQueryText)) {
+    if (logger) logger.info(`Bulk data snapshot for BU ${accountId} lacks automation details or SQL text, doing a full load`);
+    return null;
+  }
+
+  // Never refresh with less detail than the snapshot already has
+  const loadOptions = {
+    includeAutomationDetails: options.includeAutomationDetails || snapshotOptions.includeAutomationDetails,
+    includeQueryText: options.includeQueryText || snapshotOptions.includeQueryText
+  };
+
+  let refreshed;
+  try {
+    refreshed = await refreshSnapshot(snapshot, { ...loadOptions, logger, accountId, progress });
+  } catch (err) {
+    if (logger) logger.warn(`Incremental refresh failed for BU ${accountId} (${err.message}), doing a full load`);
+    return null;
+  }
+
+  const { data, changes } = refreshed;
+  data.loadOptions = loadOptions;
+  await saveSnapshot(data, accountId);
+
+  if (logger) {
+    const summary = Object.entries(changes)
+      .filter(([, change]) => change.modified > 0 || change.removed > 0)
+      .map(([list, change]) => `${list} ${change.modified} fetched/${change.removed} removed`);
+    logger.info(`Bulk data for BU ${accountId} refreshed from the ${snapshot.loadedAt} snapshot: ` +
+      (summary.length > 0 ? summary.join(', ') : 'no changes'));
+  }
+
+  return rebuildMapsFromCache(data);
+}
+
 /**
  * Load all SFMC metadata for dependency analysis
  *
@@ -370,6 +769,8 @@ async function loadDataExtensions(data, options) {
  * @param {object} options.logger - Logger instance
  * @param {function} options.onProgress - Progress callback (stage, current, total, message)
  * @param {boolean} options.forceRefresh - Force refresh even if cache is valid
+ * @param {boolean} options.incremental - Refresh the cached snapshot (of any age) with only the
+ *   objects modified since it was taken, instead of serving it as-is or reloading everything
  * @param {boolean} options.includeAutomationDetails - Load full automation details (slower but has lastRunTime)
  * @param {boolean} options.includeQueryText - Load SQL text for queries (needed for FROM/JOIN DE detection)
  * @param {string} options.accountId - Business Unit account ID (optional, defaults to config)
@@ -380,6 +781,7 @@ export async function loadAllSfmcData(options = {}) {
     logger = null,
     onProgress = null,
     forceRefresh = false,
+    incremental = false,
     includeAutomationDetails = true,
     includeQueryText = true,
     accountId = null
@@ -410,8 +812,27 @@ export async function loadAllSfmcData(options = {}) {
     memoryCacheByAccount.set(effectiveAccountId, { data: null, loadedAt: null });
   }
 
+  // Refresh the file cache with deltas (any age) instead of serving or replacing it
+  if (incremental && !forceRefresh) {
+    const refreshed = await loadIncrementally({
+      includeAutomationDetails,
+      includeQueryText,
+      logger,
+      accountId: effectiveAccountId,
+      progress
+    });
+
+    if (refreshed) {
+      memoryCacheByAccount.set(effectiveAccountId, {
+        data: refreshed,
+        loadedAt: new Date()
+      });
+      return refreshed;
+    }
+  }
+
   // Check file cache (unless force refresh)
-  if (!forceRefresh) {
+  if (!forceRefresh && !incremental) {
     const cached = await readCache(BULK_DATA_CACHE_TYPE, effectiveAccountId, {
       maxAgeMs: DEFAULT_CACHE_EXPIRY_MS
     });
@@ -458,7 +879,9 @@ export async function loadAllSfmcData(options = {}) {
     journeys: [],
     dataExtracts: [],
     dataExtensions: [],
-    loadedAt: new Date().toISOString()
+    contentAssets: [],
+    loadedAt: new Date().toISOString(),
+    loadOptions: { includeAutomationDetails, includeQueryText }
   };
 
   // Step 1 & 2: Load automations with optional details
@@ -495,31 +918,11 @@ export async function loadAllSfmcData(options = {}) {
   // Step 9: Load data extensions
   await loadDataExtensions(data, { logger, accountId: effectiveAccountId, progress });
 
-  // Save to file cache (Maps need to be converted for JSON serialization)
-  const cacheData = {
-    automations: data.automations,
-    filterActivities: data.filterActivities,
-    queryActivities: data.queryActivities,
-    importActivities: data.importActivities,
-    triggeredSends: data.triggeredSends,
-    journeys: data.journeys,
-    dataExtracts: data.dataExtracts,
-    dataExtensions: data.dataExtensions,
-    loadedAt: data.loadedAt
-  };
+  // Step 10: Scan Content Builder assets for AMPscript/SSJS DE references
+  await loadContentAssets(data, { logger, accountId: effectiveAccountId, progress });
 
-  await writeCache(BULK_DATA_CACHE_TYPE, effectiveAccountId, cacheData, {
-    itemCounts: {
-      automations: data.automations.length,
-      filterActivities: data.filterActivities.length,
-      queryActivities: data.queryActivities.length,
-      importActivities: data.importActivities.length,
-      triggeredSends: data.triggeredSends.length,
-      journeys: data.journeys.length,
-      dataExtracts: data.dataExtracts.length,
-      dataExtensions: data.dataExtensions.length
-    }
-  });
+  // Save to file cache
+  await saveSnapshot(data, effectiveAccountId);
 
   // Update in-memory cache for this account
   memoryCacheByAccount.set(effectiveAccountId, {
@@ -572,7 +975,7 @@ function rebuildMapsFromCache(cachedData) {
  * @param {object[]} steps - Automation steps
  * @returns {string[]} Array of activity IDs
  */
-function extractActivityIds(steps) {
+export function extractActivityIds(steps) {
   const ids = [];
 
   if (!steps || !Array.isArray(steps)) return ids;
@@ -661,6 +1064,7 @@ export function getBulkDataSummary(bulkData) {
     journeys: bulkData.journeys?.length || 0,
     dataExtracts: bulkData.dataExtracts?.length || 0,
     dataExtensions: bulkData.dataExtensions?.length || 0,
+    contentAssets: bulkData.contentAssets?.length || 0,
     loadedAt: bulkData.loadedAt
   };
 }
@@ -668,7 +1072,9 @@ export function getBulkDataSummary(bulkData) {
 export default {
   loadAllSfmcData,
   clearBulkDataCache,
+  releaseBulkDataMemory,
   getBulkDataCacheStatus,
+  extractActivityIds,
   findAutomationsContainingActivity,
   getBulkDataSummary
 };
@@ -11,12 +11,11 @@
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import config from '../config/index.js';
 import { sleep, CACHE_CONFIG } from './utils.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const CACHE_DIR = path.resolve(__dirname, '../../cache');
+// cache/ or cache/<profile>/ so tenants never share cached data
+const CACHE_DIR = config.paths.cache;
 
 // Use shared constants from utils
 const {
@@ -261,6 +260,7 @@ export async function writeCache(cacheType, accountId, data, extraMetadata = {})
       metadata: {
         cachedAt: new Date().toISOString(),
         accountId,
+        profile: config.profile,
         cacheType,
         pid: process.pid,
         ...extraMetadata
@@ -6,6 +6,15 @@ import ora from 'ora';
 import chalk from 'chalk';
 import { testConnection } from './sfmc-auth.js';
 
+/**
+ * yargs option for --profile. The profile itself is read by the config
+ * module from process.argv; declaring it keeps it in --help.
+ */
+export const profileOption = {
+  describe: 'Credential profile from profiles.json or ~/.sfmcrc',
+  type: 'string'
+};
+
 /**
  * Connect to SFMC with a spinner for user feedback
  * @param {object} logger - Logger instance (optional)
@@ -33,4 +42,4 @@ export async function connectWithSpinner(logger = null, accountId = null) {
   }
 }
 
-export default { connectWithSpinner };
+export default { connectWithSpinner, profileOption };
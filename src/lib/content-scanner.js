@@ -0,0 +1,226 @@
+/**
+ * Content Scanner for Content Builder Assets
+ * Finds Data Extension references in AMPscript and SSJS code inside
+ * emails, content blocks, templates and CloudPages: Lookup()/LookupRows(),
+ * InsertDE()/UpsertData() and friends, Platform.Function.* equivalents,
+ * DataExtension.Init() and WSProxy DataExtensionObject[Key] retrieves.
+ */
+
+import { TableAccess, describeAccess } from './sql-parser.js';
+
+// AMPscript / Platform.Function calls whose first argument is a DE name
+const DE_FUNCTIONS = {
+  lookup: TableAccess.READ,
+  lookuprows: TableAccess.READ,
+  lookuprowscs: TableAccess.READ,
+  lookuporderedrows: TableAccess.READ,
+  lookuporderedrowscs: TableAccess.READ,
+  dataextensionrowcount: TableAccess.READ,
+  insertde: TableAccess.WRITE,
+  insertdata: TableAccess.WRITE,
+  updatede: TableAccess.WRITE,
+  updatedata: TableAccess.WRITE,
+  upsertde: TableAccess.WRITE,
+  upsertdata: TableAccess.WRITE,
+  deletede: TableAccess.WRITE,
+  deletedata: TableAccess.WRITE,
+  claimrow: TableAccess.WRITE,
+  claimrowvalue: TableAccess.WRITE
+};
+
+// Longest names first so LookupRowsCS is not read as LookupRows
+const DE_FUNCTION_PATTERN = new RegExp(
+  `\\b(${Object.keys(DE_FUNCTIONS).sort((a, b) => b.length - a.length).join('|')})\\s*\\(\\s*(?:"([^"]*)"|'([^']*)'|([^,)]*))`,
+  'gi'
+);
+
+// SSJS Core: DataExtension.Init("CustomerKey")
+const DE_INIT_PATTERN = /\bDataExtension\.Init\s*\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*))/g;
+
+// WSProxy / SOAP retrieves: "DataExtensionObject[CustomerKey]"
+const DE_OBJECT_PATTERN = /\bDataExtensionObject\[([^\]\r\n]+)\]/gi;
+
+// Asset properties that hold code (views, slots and blocks nest them)
+const CODE_PROPERTIES = new Set(['content', 'superContent']);
+
+/**
+ * Strip /* *\/ comments (AMPscript and SSJS share the syntax)
+ * @param {string} code - Asset code
+ * @returns {string} Code without block comments
+ */
+function stripBlockComments(code) {
+  return code.replace(/\/\*[\s\S]*?\*\//g, ' ');
+}
+
+/**
+ * Split an ENT. prefix off a DE name
+ * @param {string} name - Name as written in code
+ * @returns {object} { name, isEnterprise }
+ */
+function parseDeName(name) {
+  const trimmed = name.trim();
+  if (/^ent\./i.test(trimmed)) {
+    return { name: trimmed.substring(4), isEnterprise: true };
+  }
+  return { name: trimmed, isEnterprise: false };
+}
+
+/**
+ * Record a literal DE reference, merging repeats of the same DE
+ * @param {Map} references - Map of "key|name" -> reference
+ * @param {string} rawName - DE name or key as written
+ * @param {object} call - { functionName, language, access, byKey }
+ */
+function addReference(references, rawName, call) {
+  const { name, isEnterprise } = parseDeName(rawName);
+  if (!name) return;
+
+  const mapKey = `${call.byKey ? 'key' : 'name'}|${name.toLowerCase()}`;
+  if (!references.has(mapKey)) {
+    references.set(mapKey, {
+      name,
+      byKey: call.byKey,
+      isEnterprise,
+      read: false,
+      write: false,
+      functions: [],
+      languages: []
+    });
+  }
+
+  const ref = references.get(mapKey);
+  if (call.access === TableAccess.READ) ref.read = true;
+  if (call.access === TableAccess.WRITE) ref.write = true;
+  if (!ref.functions.includes(call.functionName)) ref.functions.push(call.functionName);
+  if (!ref.languages.includes(call.language)) ref.languages.push(call.language);
+}
+
+/**
+ * Extract Data Extension references from AMPscript/SSJS code
+ *
+ * Names passed as literals are returned as references; calls whose DE
+ * argument is a variable or expression cannot be resolved statically and
+ * are returned as dynamic calls instead.
+ *
+ * @param {string} code - Asset content (HTML with embedded AMPscript/SSJS)
+ * @returns {object} { references: [{name, byKey, isEnterprise, read, write, access, functions, languages}], dynamic: [{functionName, language, expression}] }
+ */
+export function extractDeReferences(code) {
+  const references = new Map();
+  const dynamic = [];
+
+  if (!code || typeof code !== 'string') {
+    return { references: [], dynamic };
+  }
+
+  const source = stripBlockComments(code);
+  let match;
+
+  DE_FUNCTION_PATTERN.lastIndex = 0;
+  while ((match = DE_FUNCTION_PATTERN.exec(source)) !== null) {
+    const before = source.substring(Math.max(0, match.index - 9), match.index);
+
+    // DataExtension.Init(...).Rows.Lookup() - the DE comes from Init
+    if (/rows\.$/i.test(before)) continue;
+
+    const functionName = match[1];
+    const call = {
+      functionName,
+      language: /function\.$/i.test(before) ? 'SSJS' : 'AMPscript',
+      access: DE_FUNCTIONS[functionName.toLowerCase()],
+      byKey: false
+    };
+    const literal = match[2] ?? match[3];
+
+    if (literal !== undefined) {
+      addReference(references, literal, call);
+    } else if (match[4] && match[4].trim()) {
+      dynamic.push({ functionName, language: call.language, expression: match[4].trim() });
+    }
+  }
+
+  DE_INIT_PATTERN.lastIndex = 0;
+  while ((match = DE_INIT_PATTERN.exec(source)) !== null) {
+    const literal = match[1] ?? match[2];
+    const call = { functionName: 'DataExtension.Init', language: 'SSJS', access: null, byKey: true };
+
+    if (literal !== undefined) {
+      addReference(references, literal, call);
+    } else if (match[3] && match[3].trim()) {
+      dynamic.push({ functionName: call.functionName, language: call.language, expression: match[3].trim() });
+    }
+  }
+
+  DE_OBJECT_PATTERN.lastIndex = 0;
+  while ((match = DE_OBJECT_PATTERN.exec(source)) !== null) {
+    addReference(references, match[1], {
+      functionName: 'DataExtensionObject',
+      language: 'SSJS',
+      access: TableAccess.READ,
+      byKey: true
+    });
+  }
+
+  return {
+    references: Array.from(references.values()).map(ref => ({
+      ...ref,
+      access: describeAccess(ref.read, ref.write)
+    })),
+    dynamic
+  };
+}
+
+/**
+ * Collect code strings from an asset (content, views, slots, blocks)
+ * @param {object} asset - Content Builder asset
+ * @returns {string} All code joined with newlines ('' if none)
+ */
+export function extractAssetCode(asset) {
+  const parts = [];
+
+  const collect = (node, depth) => {
+    if (!node || typeof node !== 'object' || depth > 12) return;
+
+    for (const [key, value] of Object.entries(node)) {
+      if (typeof value === 'string') {
+        if (CODE_PROPERTIES.has(key) && value.trim()) parts.push(value);
+      } else if (value && typeof value === 'object') {
+        collect(value, depth + 1);
+      }
+    }
+  };
+
+  collect(asset, 0);
+  return parts.join('\n');
+}
+
+/**
+ * Scan an asset and keep only what dependency analysis needs
+ * (full asset content is too large to cache)
+ *
+ * @param {object} asset - Content Builder asset (with content/views)
+ * @returns {object} Compact asset record with deReferences and dynamicReferences
+ */
+export function scanContentAsset(asset) {
+  const { references, dynamic } = extractDeReferences(extractAssetCode(asset));
+
+  return {
+    id: asset.id,
+    customerKey: asset.customerKey,
+    name: asset.name,
+    assetType: asset.assetType?.displayName || asset.assetType?.name || 'Asset',
+    assetTypeId: asset.assetType?.id,
+    categoryId: asset.category?.id,
+    categoryName: asset.category?.name,
+    status: asset.status?.name,
+    modifiedDate: asset.modifiedDate,
+    deReferences: references,
+    dynamicReferences: dynamic
+  };
+}
+
+export default {
+  extractDeReferences,
+  extractAssetCode,
+  scanContentAsset
+};
@@ -9,7 +9,9 @@ import dayjs from 'dayjs';
 import {
   retrieveDataExtensions,
   retrieveDataExtensionFields,
+  retrieveDataExtensionRowsPage,
   deleteDataExtension as soapDeleteDataExtension,
+  moveDataExtension as soapMoveDataExtension,
   buildSimpleFilter
 } from './sfmc-soap.js';
 import { getDataExtensionRowCount } from './sfmc-rest.js';
@@ -109,15 +111,84 @@ const PII_PATTERNS = [
   /personal/i
 ];
 
+/**
+ * PII categories for reporting (GDPR register)
+ */
+export const PiiCategory = {
+  EMAIL: 'email',
+  PHONE: 'phone',
+  ADDRESS: 'address',
+  DOB: 'dob',
+  NATIONAL_ID: 'national_id',
+  OTHER: 'other'
+};
+
+// Field name patterns per category, checked in order against the name's words
+// (see fieldNameWords) so they only match whole words: "Capacity" holds no
+// city, "AdobeCampaignId" no DOB. EmailAddress is an email, not an address.
+const PII_CATEGORY_PATTERNS = [
+  [PiiCategory.EMAIL, [/(^|_)e_?mail(_|$)/]],
+  [PiiCategory.DOB, [/(^|_)(dob|birthday|birthdate)(_|$)/, /(^|_)date_of_birth(_|$)/, /(^|_)birth_(date|day)(_|$)/]],
+  [PiiCategory.NATIONAL_ID, [
+    /(^|_)ssn(_|$)/,
+    /(^|_)social_security(_|$)/,
+    /(^|_)national_(id|insurance)(_|$)/,
+    /(^|_)passport(_|$)/,
+    /(^|_)drivers?_licen[cs]e(_|$)/,
+    /(^|_)tax_(id|number)(_|$)/,
+    /(^|_)(sin|nin)(_|$)/
+  ]],
+  [PiiCategory.PHONE, [/(^|_)(phone|telephone|msisdn)(_|$)/, /(^|_)(mobile|cell)(_(number|no|num))?$/]],
+  [PiiCategory.ADDRESS, [
+    /(^|_)(address|street|city|postal|postcode)(_|$)/,
+    /(^|_)post_code(_|$)/,
+    /(^|_)zip(_?code)?$/
+  ]],
+  [PiiCategory.OTHER, [
+    /(^|_)(first|last|full)_?name(_|$)/,
+    /(^|_)credit_?card(_|$)/,
+    /(^|_)card_?number(_|$)/,
+    /(^|_)(salary|income|personal|pii)(_|$)/
+  ]]
+];
+
 /**
  * Check if a field name appears to be PII
  * @param {string} fieldName - Field name to check
  * @returns {boolean} True if field appears to be PII
  */
-function isPiiField(fieldName) {
+export function isPiiField(fieldName) {
   return PII_PATTERNS.some(pattern => pattern.test(fieldName));
 }
 
+/**
+ * Split a field name into lower-case words joined by underscores
+ * @param {string} fieldName - Field name, e.g. "SSNNumber" or "Date of Birth"
+ * @returns {string} Words, e.g. "ssn_number" or "date_of_birth"
+ */
+function fieldNameWords(fieldName) {
+  return String(fieldName)
+    .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z\d]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Get the PII category a field name suggests
+ * Stricter than isPiiField: only whole words count.
+ * @param {string} fieldName - Field name to check
+ * @returns {string|null} PiiCategory value (OTHER for names, card numbers,
+ *   salary, ...), or null if the name does not look like PII
+ */
+export function getPiiCategory(fieldName) {
+  const words = fieldNameWords(fieldName);
+  const match = PII_CATEGORY_PATTERNS.find(([, patterns]) => patterns.some(pattern => pattern.test(words)));
+
+  return match ? match[0] : null;
+}
+
 /**
  * Normalize DE object from SOAP response
  * @param {object} de - Raw DE object
@@ -135,9 +206,10 @@ function normalizeDataExtension(de) {
     status: de.Status,
     createdDate: de.CreatedDate,
     modifiedDate: de.ModifiedDate,
-    sendableSubscriberField: de['SendableSubscriberField.Name'] || null,
-    sendableDataExtensionField: de['SendableDataExtensionField.Name'] || null,
-    templateKey: de['Template.CustomerKey'] || null,
+    // SOAP returns these as nested objects even though they are requested by dotted path
+    sendableSubscriberField: de.SendableSubscriberField?.Name || de['SendableSubscriberField.Name'] || null,
+    sendableDataExtensionField: de.SendableDataExtensionField?.Name || de['SendableDataExtensionField.Name'] || null,
+    templateKey: de.Template?.CustomerKey || de['Template.CustomerKey'] || null,
     retainUntil: de.RetainUntil || null,
     dataRetentionPeriodLength: de.DataRetentionPeriodLength || null,
     dataRetentionPeriodUnit: de.DataRetentionPeriodUnitOfMeasure || null,
@@ -162,6 +234,18 @@ export async function getDataExtensionsInFolder(folderId, logger = null, account
   return dataExtensions.map(normalizeDataExtension);
 }
 
+/**
+ * Get every Data Extension in the Business Unit
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object[]>} Array of DE objects
+ */
+export async function getAllDataExtensions(logger = null, accountId = null) {
+  const dataExtensions = await retrieveDataExtensions(null, logger, accountId);
+
+  return dataExtensions.map(normalizeDataExtension);
+}
+
 /**
  * Get Data Extension details by CustomerKey
  * @param {string} customerKey - DE CustomerKey
@@ -200,7 +284,8 @@ export async function getDataExtensionSchema(customerKey, logger = null, account
     maxLength: f.MaxLength ? parseInt(f.MaxLength, 10) : null,
     scale: f.Scale ? parseInt(f.Scale, 10) : null,
     ordinal: f.Ordinal ? parseInt(f.Ordinal, 10) : 0,
-    isPii: isPiiField(f.Name)
+    isPii: isPiiField(f.Name),
+    piiCategory: getPiiCategory(f.Name)
   })).sort((a, b) => a.ordinal - b.ordinal);
 }
 
@@ -214,6 +299,22 @@ export async function getRowCount(customerKey, logger = null, accountId = null)
   return getDataExtensionRowCount(customerKey, logger, accountId);
 }
 
+/**
+ * Read the first rows of a Data Extension
+ * SOAP cannot limit a retrieve, so this reads one page and keeps `count` rows.
+ * @param {string} customerKey - DE CustomerKey
+ * @param {string[]} fieldNames - Fields to read
+ * @param {number} count - Number of rows to keep
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object[]>} Rows as { fieldName: value }
+ */
+export async function sampleDataExtensionRows(customerKey, fieldNames, count, logger = null, accountId = null) {
+  const page = await retrieveDataExtensionRowsPage(customerKey, fieldNames, null, logger, accountId);
+
+  return page.rows.slice(0, count);
+}
+
 /**
  * Get detailed information about a DE including fields and row count
  * @param {string} customerKey - DE CustomerKey
@@ -273,6 +374,31 @@ export async function deleteDataExtension(customerKey, logger = null, accountId
   }
 }
 
+/**
+ * Move a Data Extension to another folder
+ * @param {string} customerKey - DE CustomerKey
+ * @param {number} folderId - Target folder CategoryID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} Move result
+ */
+export async function moveDataExtension(customerKey, folderId, logger = null, accountId = null) {
+  try {
+    const result = await soapMoveDataExtension(customerKey, folderId, logger, accountId);
+
+    if (!result.success && !result.error) {
+      result.error = result.results?.[0]?.statusMessage || 'Update failed';
+    }
+
+    return result;
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Backup DE schema to JSON file
  * @param {string} customerKey - DE CustomerKey
@@ -301,7 +427,8 @@ export async function backupDataExtensionSchema(customerKey, outputDir, logger =
     backupMetadata: {
       createdAt: new Date().toISOString(),
       toolVersion: config.version,
-      businessUnit: config.sfmc.accountId
+      businessUnit: config.sfmc.accountId,
+      profile: config.profile
     },
     dataExtension: {
       customerKey: de.customerKey,
@@ -352,7 +479,9 @@ export async function backupDataExtensionSchema(customerKey, outputDir, logger =
 
 /**
  * Generate undo script for recreating deleted DEs
- * @param {object[]} dataExtensions - Array of DE details with fields
+ * The script runs against the toolkit's own modules, skips DEs that already
+ * exist and recreates missing folders from folderPath.
+ * @param {object[]} dataExtensions - Array of DE details with fields (and folderPath)
  * @param {string} outputDir - Output directory path
  * @returns {string} Path to undo script
  */
@@ -365,42 +494,201 @@ export function generateUndoScript(dataExtensions, outputDir) {
   const timestamp = dayjs().format('YYYYMMDD-HHmmss');
   const scriptPath = path.join(outputDir, `undo-${timestamp}.js`);
 
-  const scriptContent = `/**
+  // Import the toolkit relative to where the script is written
+  let rootImport = path.relative(outputDir, config.paths.root).split(path.sep).join('/') || '.';
+  if (!rootImport.startsWith('.')) {
+    rootImport = `./${rootImport}`;
+  }
+  const profileArg = config.profile ? ` --profile ${config.profile}` : '';
+
+  const dataExtensionsToRecreate = dataExtensions.map(de => ({
+    name: de.name,
+    customerKey: de.customerKey,
+    description: de.description || '',
+    folderId: de.folderId,
+    folderPath: de.folderPath || null,
+    isSendable: de.isSendable || false,
+    isTestable: de.isTestable || false,
+    sendableSubscriberField: de.sendableSubscriberField || null,
+    sendableDataExtensionField: de.sendableDataExtensionField || null,
+    dataRetentionPeriodLength: de.dataRetentionPeriodLength || null,
+    dataRetentionPeriodUnit: de.dataRetentionPeriodUnit || null,
+    rowBasedRetention: de.rowBasedRetention || false,
+    resetRetentionOnImport: de.resetRetentionOnImport || false,
+    deleteAtEndOfRetention: de.deleteAtEndOfRetention || false,
+    retainUntil: de.retainUntil || null,
+    fields: de.fields ? de.fields.map(f => ({
+      name: f.name,
+      fieldType: f.fieldType,
+      maxLength: f.maxLength,
+      scale: f.scale,
+      isPrimaryKey: f.isPrimaryKey,
+      isRequired: f.isRequired,
+      defaultValue: f.defaultValue
+    })) : []
+  }));
+
+  const scriptContent = `#!/usr/bin/env node
+
+/**
  * UNDO SCRIPT - Recreate Deleted Data Extensions
  * Generated: ${new Date().toISOString()}
+ * Business Unit: ${config.sfmc.accountId}${config.profile ? `\n * Profile: ${config.profile}` : ''}
+ *
+ * Recreates each Data Extension below with its original CustomerKey,
+ * fields, sendable and retention settings. Folders that no longer exist
+ * are recreated by path, and DEs that already exist are skipped.
  *
  * WARNING: This script recreates the DATA EXTENSION STRUCTURE only.
- * The actual DATA cannot be recovered.
+ * Rows can only be reloaded from a --backup-data backup
+ * (restore-data-extensions --data-only).
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to create the DEs.
  *
  * Usage:
- * 1. Review the Data Extensions to recreate
- * 2. Run: node ${path.basename(scriptPath)}
+ *   node ${path.relative(config.paths.root, scriptPath).split(path.sep).join('/')}${profileArg} [--dry-run]
+ *   node ${path.relative(config.paths.root, scriptPath).split(path.sep).join('/')}${profileArg} --confirm
+ */
+
+import config, { validateConfig } from '${rootImport}/src/config/index.js';
+import { createLogger } from '${rootImport}/src/lib/logger.js';
+import { testConnection } from '${rootImport}/src/lib/sfmc-auth.js';
+import { createDataExtension } from '${rootImport}/src/lib/sfmc-soap.js';
+import { getDataExtensionDetails } from '${rootImport}/src/lib/data-extension-service.js';
+import { getFolderById, getFolderByPath, ensureFolderPath, clearFolderCache } from '${rootImport}/src/lib/folder-service.js';
+import { sleep } from '${rootImport}/src/lib/utils.js';
+
+const BUSINESS_UNIT = ${JSON.stringify(String(config.sfmc.accountId))};
+const PROFILE = ${JSON.stringify(config.profile)};
+
+const dataExtensionsToRecreate = ${JSON.stringify(dataExtensionsToRecreate, null, 2)};
+
+const dryRun = process.argv.includes('--dry-run') || !process.argv.includes('--confirm');
+const logger = createLogger('undo');
+
+/**
+ * Resolve the folder to recreate a DE in, recreating its path if needed
+ * @param {object} de - DE to recreate
+ * @returns {Promise<object>} { id, path, created }
  */
+async function resolveFolder(de) {
+  const byId = de.folderId ? await getFolderById(de.folderId, logger) : null;
+  if (byId) {
+    return { id: byId.id, path: byId.path, created: false };
+  }
+
+  if (!de.folderPath) {
+    throw new Error(\`Folder \${de.folderId} no longer exists and its path is unknown\`);
+  }
+
+  const byPath = await getFolderByPath(de.folderPath, logger);
+  if (byPath) {
+    return { id: byPath.id, path: byPath.path, created: false };
+  }
+
+  if (dryRun) {
+    return { id: null, path: de.folderPath, created: true };
+  }
+
+  const folder = await ensureFolderPath(de.folderPath, logger);
+  return { id: folder.id, path: folder.path || de.folderPath, created: true };
+}
+
+async function run() {
+  console.log('');
+  console.log(\`Undo: recreate \${dataExtensionsToRecreate.length} Data Extension(s) in BU \${BUSINESS_UNIT}\`);
+  console.log(dryRun ? 'MODE: DRY RUN (use --confirm to create the DEs)' : 'MODE: LIVE CREATION');
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.error(\`Configuration error: \${error.message}\`);
+    process.exit(1);
+  }
+
+  if (config.profile !== PROFILE) {
+    console.error(PROFILE
+      ? \`This script was generated for profile "\${PROFILE}" - run it with --profile \${PROFILE}.\`
+      : \`This script was generated without a profile but profile "\${config.profile}" is selected.\`);
+    process.exit(1);
+  }
+
+  if (String(config.sfmc.accountId) !== BUSINESS_UNIT) {
+    console.error(\`This script was generated for BU \${BUSINESS_UNIT} but the configured BU is \${config.sfmc.accountId}.\`);
+    process.exit(1);
+  }
+
+  const connection = await testConnection(logger);
+  if (!connection.success) {
+    console.error(\`Connection failed: \${connection.error}\`);
+    process.exit(1);
+  }
+
+  // Folders may have been deleted since the cache was written
+  await clearFolderCache(logger);
+
+  const results = { created: 0, skipped: 0, failed: 0 };
+
+  for (let i = 0; i < dataExtensionsToRecreate.length; i++) {
+    const de = dataExtensionsToRecreate[i];
+    const progress = \`[\${i + 1}/\${dataExtensionsToRecreate.length}]\`;
+
+    try {
+      const existing = await getDataExtensionDetails(de.customerKey, logger);
+      if (existing) {
+        console.log(\`\${progress} Skipped: \${de.name} (CustomerKey \${de.customerKey} already exists)\`);
+        results.skipped++;
+        continue;
+      }
+
+      const folder = await resolveFolder(de);
+
+      if (dryRun) {
+        console.log(\`\${progress} Would create: \${de.name} in \${folder.path}\${folder.created ? ' (folder will be created)' : ''}\`);
+        results.created++;
+        continue;
+      }
+
+      const result = await createDataExtension({
+        Name: de.name,
+        CustomerKey: de.customerKey,
+        Description: de.description,
+        CategoryID: folder.id,
+        IsSendable: de.isSendable,
+        IsTestable: de.isTestable,
+        SendableSubscriberField: de.sendableSubscriberField,
+        SendableDataExtensionField: de.sendableDataExtensionField,
+        DataRetentionPeriodLength: de.dataRetentionPeriodLength,
+        DataRetentionPeriodUnitOfMeasure: de.dataRetentionPeriodUnit,
+        RowBasedRetention: de.rowBasedRetention,
+        ResetRetentionPeriodOnImport: de.resetRetentionOnImport,
+        DeleteAtEndOfRetentionPeriod: de.deleteAtEndOfRetention,
+        RetainUntil: de.retainUntil,
+        Fields: de.fields
+      }, logger);
+
+      if (result.success) {
+        console.log(\`\${progress} Created: \${de.name} in \${folder.path}\`);
+        results.created++;
+      } else {
+        console.log(\`\${progress} Failed: \${de.name} - \${result.error}\`);
+        results.failed++;
+      }
+    } catch (error) {
+      console.log(\`\${progress} Failed: \${de.name} - \${error.message}\`);
+      results.failed++;
+    }
+
+    await sleep(config.safety.apiRateLimitDelayMs);
+  }
+
+  console.log('');
+  console.log(\`\${dryRun ? 'Would create' : 'Created'}: \${results.created}, skipped: \${results.skipped}, failed: \${results.failed}\`);
+  process.exit(results.failed > 0 ? 1 : 0);
+}
 
-import { createDataExtension } from './src/lib/sfmc-soap.js'; // You may need to implement this
-
-const dataExtensionsToRecreate = ${JSON.stringify(dataExtensions.map(de => ({
-  name: de.name,
-  customerKey: de.customerKey,
-  description: de.description,
-  folderId: de.folderId,
-  isSendable: de.isSendable,
-  fields: de.fields ? de.fields.map(f => ({
-    name: f.name,
-    fieldType: f.fieldType,
-    maxLength: f.maxLength,
-    isPrimaryKey: f.isPrimaryKey,
-    isRequired: f.isRequired,
-    defaultValue: f.defaultValue
-  })) : []
-})), null, 2)};
-
-console.log('Data Extensions to recreate:', dataExtensionsToRecreate.length);
-console.log('\\nNOTE: This is a template script. Implement createDataExtension function to use.');
-console.log('\\nData Extensions:');
-dataExtensionsToRecreate.forEach((de, i) => {
-  console.log(\`  \${i + 1}. \${de.name} (Folder ID: \${de.folderId})\`);
-});
+run();
 `;
 
   fs.writeFileSync(scriptPath, scriptContent);
@@ -529,12 +817,18 @@ export function filterByPattern(dataExtensions, patterns = {}) {
 }
 
 export default {
+  PiiCategory,
+  isPiiField,
+  getPiiCategory,
   getDataExtensionsInFolder,
+  getAllDataExtensions,
   getDataExtensionDetails,
   getDataExtensionSchema,
   getRowCount,
+  sampleDataExtensionRows,
   getFullDataExtensionDetails,
   deleteDataExtension,
+  moveDataExtension,
   backupDataExtensionSchema,
   generateUndoScript,
   filterByDate,
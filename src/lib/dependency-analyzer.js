@@ -13,10 +13,14 @@
 import { loadAllSfmcData, findAutomationsContainingActivity } from './bulk-data-loader.js';
 import dayjs from 'dayjs';
 import { escapeCSV } from './utils.js';
+import { getTableAccessMap, describeAccess, describeSqlAccess } from './sql-parser.js';
 
 // Default staleness threshold (1 year)
 const DEFAULT_STALE_DAYS = 365;
 
+// Parsed SQL table access per query object (queries are scanned once per DE)
+const queryTableAccessCache = new WeakMap();
+
 /**
  * Dependency classification types
  */
@@ -42,9 +46,33 @@ export const ClassificationReason = {
   IMPORT_ACTIVITY: 'Import Activity requires manual review',
   TRIGGERED_SEND: 'Triggered Send requires manual review',
   DATA_EXTRACT: 'Data Extract requires manual review',
-  JOURNEY: 'Journey requires manual review'
+  JOURNEY: 'Journey requires manual review',
+  CONTENT_ASSET: 'AMPscript/SSJS in content asset requires manual review'
+};
+
+/**
+ * Automation status IDs (statusId in the REST API)
+ */
+export const AutomationStatusId = {
+  BUILDING: 1,
+  READY: 2,
+  RUNNING: 3,
+  PAUSED: 4,
+  STOPPED: 5,
+  SCHEDULED: 6,
+  AWAITING: 7,
+  INACTIVE: 8
 };
 
+/**
+ * Status IDs of automations that are not running on a schedule
+ */
+export const INACTIVE_AUTOMATION_STATUS_IDS = [
+  AutomationStatusId.PAUSED,
+  AutomationStatusId.STOPPED,
+  AutomationStatusId.INACTIVE
+];
+
 /**
  * Analyze dependencies for a list of Data Extensions
  * Returns a deduplicated, enriched dependency report
@@ -55,6 +83,7 @@ export const ClassificationReason = {
  * @param {object} options.logger - Logger instance
  * @param {function} options.onProgress - Progress callback (stage, current, total, message)
  * @param {boolean} options.forceRefresh - Force refresh of cached data
+ * @param {boolean} options.incremental - Refresh cached data with only what changed
  * @returns {Promise<object>} Analysis report
  */
 export async function analyzeDependencies(dataExtensions, options = {}) {
@@ -63,6 +92,7 @@ export async function analyzeDependencies(dataExtensions, options = {}) {
     logger = null,
     onProgress = null,
     forceRefresh = false,
+    incremental = false,
     accountId = null
   } = options;
 
@@ -84,6 +114,7 @@ export async function analyzeDependencies(dataExtensions, options = {}) {
     },
     includeAutomationDetails: true,
     forceRefresh,
+    incremental,
     accountId
   });
 
@@ -106,7 +137,8 @@ export async function analyzeDependencies(dataExtensions, options = {}) {
         affectedDe: {
           customerKey: de.customerKey,
           objectId: de.objectId,
-          name: de.name
+          name: de.name,
+          access: dep.access || null
         }
       });
     }
@@ -204,7 +236,8 @@ export async function analyzeDependencies(dataExtensions, options = {}) {
       importActivities: bulkData.importActivities.length,
       triggeredSends: bulkData.triggeredSends.length,
       journeys: bulkData.journeys.length,
-      dataExtracts: bulkData.dataExtracts.length
+      dataExtracts: bulkData.dataExtracts.length,
+      contentAssets: bulkData.contentAssets.length
     }
   };
 }
@@ -217,7 +250,7 @@ export async function analyzeDependencies(dataExtensions, options = {}) {
  * @param {object} bulkData - Pre-loaded SFMC data
  * @returns {object[]} Array of dependencies
  */
-function findDependenciesForDe(de, bulkData) {
+export function findDependenciesForDe(de, bulkData) {
   const dependencies = [];
   const keyLower = de.customerKey.toLowerCase();
   const nameLower = de.name ? de.name.toLowerCase() : null;
@@ -231,6 +264,7 @@ function findDependenciesForDe(de, bulkData) {
   findAutomationDependencies(bulkData.automations, keyLower, dependencies);
   findJourneyDependencies(bulkData.journeys, keyLower, dependencies);
   findDataExtractDependencies(bulkData.dataExtracts, keyLower, nameLower, dependencies);
+  findContentAssetDependencies(bulkData.contentAssets, keyLower, nameLower, dependencies);
 
   return dependencies;
 }
@@ -277,8 +311,24 @@ function findFilterDependencies(filterActivities, objectIdLower, dependencies) {
   }
 }
 
+/**
+ * Get parsed SQL table access for a query, parsing once per query object
+ * @param {object} query - Query activity with QueryText
+ * @returns {Map<string, object>} Lower-cased table name -> {name, read, write, isEnterprise}
+ */
+export function getQueryTableAccess(query) {
+  if (!queryTableAccessCache.has(query)) {
+    queryTableAccessCache.set(query, getTableAccessMap(query.QueryText));
+  }
+  return queryTableAccessCache.get(query);
+}
+
 /**
  * Find Query Activity dependencies for a DE
+ * SQL is parsed into real table references (FROM/JOIN/INTO/UPDATE/MERGE...)
+ * and matched exactly, so `Orders` does not match `Orders_Archive` or a
+ * column named `orders`. Each match records whether the DE is read or written.
+ *
  * @param {object[]} queryActivities - Query activities to check
  * @param {string} keyLower - DE CustomerKey (lowercase)
  * @param {string|null} nameLower - DE Name (lowercase)
@@ -293,42 +343,56 @@ function findQueryDependencies(queryActivities, keyLower, nameLower, dependencie
     const targetNameStr = typeof targetName === 'string' ? targetName : null;
 
     let isMatch = false;
+    let isRead = false;
+    let isWrite = false;
     let matchDetails = [];
 
     // Check if this DE is the query target
     if (targetKeyStr?.toLowerCase() === keyLower || targetNameStr?.toLowerCase() === keyLower) {
       isMatch = true;
+      isWrite = true;
       matchDetails.push('Query Target');
     }
     if (nameLower && targetNameStr?.toLowerCase() === nameLower) {
       isMatch = true;
+      isWrite = true;
       if (!matchDetails.includes('Query Target')) matchDetails.push('Query Target');
     }
 
-    // Check SQL for DE reference
+    // Check parsed SQL table references
     if (query.QueryText) {
-      const sqlLower = query.QueryText.toLowerCase();
-      if (sqlLower.includes(keyLower)) {
+      const tableAccess = getQueryTableAccess(query);
+      const byKey = tableAccess.get(keyLower);
+      const byName = nameLower && nameLower !== keyLower ? tableAccess.get(nameLower) : null;
+
+      if (byKey) {
         isMatch = true;
-        matchDetails.push('Referenced in SQL (by Key)');
+        isRead = isRead || byKey.read;
+        isWrite = isWrite || byKey.write;
+        matchDetails.push(`${describeSqlAccess(byKey)} in SQL (by Key)`);
       }
-      if (nameLower && sqlLower.includes(nameLower)) {
+      if (byName) {
         isMatch = true;
-        matchDetails.push('Referenced in SQL (by Name)');
+        isRead = isRead || byName.read;
+        isWrite = isWrite || byName.write;
+        matchDetails.push(`${describeSqlAccess(byName)} in SQL (by Name)`);
       }
     }
 
     if (isMatch) {
+      const access = describeAccess(isRead, isWrite);
       dependencies.push({
         type: 'Query Activity',
         id: query.ObjectID,
         name: query.Name,
         status: query.Status,
-        details: matchDetails.join(', '),
+        details: `${matchDetails.join(', ')} [${access}]`,
+        access,
         rawData: {
           objectId: query.ObjectID,
           customerKey: query.CustomerKey,
           targetDeKey: targetKey,
+          access,
           createdDate: query.CreatedDate,
           modifiedDate: query.ModifiedDate
         }
@@ -512,6 +576,47 @@ function findDataExtractDependencies(dataExtracts, keyLower, nameLower, dependen
   }
 }
 
+/**
+ * Find Content Builder asset dependencies for a DE
+ * AMPscript functions reference DEs by name; DataExtension.Init() and
+ * DataExtensionObject[...] reference them by CustomerKey.
+ * @param {object[]} contentAssets - Scanned assets (from bulk data)
+ * @param {string} keyLower - DE CustomerKey (lowercase)
+ * @param {string|null} nameLower - DE Name (lowercase)
+ * @param {object[]} dependencies - Array to push found dependencies to
+ */
+function findContentAssetDependencies(contentAssets, keyLower, nameLower, dependencies) {
+  for (const asset of contentAssets) {
+    const matches = asset.deReferences.filter(ref => {
+      const refLower = ref.name.toLowerCase();
+      return ref.byKey ? refLower === keyLower : refLower === (nameLower || keyLower);
+    });
+
+    if (matches.length === 0) continue;
+
+    const functions = [...new Set(matches.flatMap(ref => ref.functions))];
+    const languages = [...new Set(matches.flatMap(ref => ref.languages))];
+    const access = describeAccess(matches.some(ref => ref.read), matches.some(ref => ref.write));
+
+    dependencies.push({
+      type: 'Content Asset',
+      id: asset.id,
+      name: asset.name,
+      status: asset.status,
+      details: `${asset.assetType} ${languages.join('/')}: ${functions.join(', ')}${access ? ` [${access}]` : ''}`,
+      access,
+      rawData: {
+        id: asset.id,
+        customerKey: asset.customerKey,
+        assetType: asset.assetType,
+        categoryName: asset.categoryName,
+        modifiedDate: asset.modifiedDate,
+        functions
+      }
+    });
+  }
+}
+
 /**
  * Classify a dependency using pre-loaded data (no API calls)
  *
@@ -573,6 +678,13 @@ function classifyDependency(dep, bulkData, staleThreshold) {
       enriched.metadata = dep.rawData || {};
       break;
 
+    case 'Content Asset':
+      enriched.classification = DependencyClassification.REQUIRES_REVIEW;
+      enriched.classificationReason = ClassificationReason.CONTENT_ASSET;
+      enriched.canDelete = false;
+      enriched.metadata = dep.rawData || {};
+      break;
+
     default:
       enriched.classification = DependencyClassification.REQUIRES_REVIEW;
       enriched.classificationReason = `${dep.type} requires manual review`;
@@ -600,8 +712,7 @@ function classifyAutomation(enriched, bulkData, staleThreshold) {
   const status = (automation.status || '').toLowerCase();
   const statusId = automation.statusId;
 
-  // Status codes: 1=Building, 2=Ready, 3=Running, 4=Paused, 5=Stopped, 6=Scheduled, 7=Awaiting, 8=Inactive
-  const isInactive = statusId === 4 || statusId === 5 || statusId === 8 ||
+  const isInactive = INACTIVE_AUTOMATION_STATUS_IDS.includes(statusId) ||
     status.includes('paused') || status.includes('stopped') || status.includes('inactive');
 
   if (!lastRun) {
@@ -685,7 +796,7 @@ function classifyFilter(enriched, bulkData, staleThreshold) {
       const statusId = automation.statusId;
 
       // Check if explicitly inactive
-      const isInactive = statusId === 4 || statusId === 5 || statusId === 8 ||
+      const isInactive = INACTIVE_AUTOMATION_STATUS_IDS.includes(statusId) ||
         status.includes('paused') || status.includes('stopped') || status.includes('inactive');
 
       // Check if stale (hasn't run in over a year) or never run
@@ -984,9 +1095,13 @@ export function exportDeDependenciesToCsv(dataExtensions, report) {
 
 export default {
   analyzeDependencies,
+  findDependenciesForDe,
+  getQueryTableAccess,
   formatAnalysisReport,
   exportReportToCsv,
   exportDeDependenciesToCsv,
   DependencyClassification,
-  ClassificationReason
+  ClassificationReason,
+  AutomationStatusId,
+  INACTIVE_AUTOMATION_STATUS_IDS
 };
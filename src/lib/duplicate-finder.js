@@ -0,0 +1,444 @@
+/**
+ * Duplicate Finder
+ *
+ * Groups Data Extensions whose schemas are identical or nearly so - the
+ * `Campaign_2021`, `Campaign_2021_copy`, `Campaign_2021_v2` copies a BU
+ * accumulates. Each DE's field list (from getDataExtensionSchema) is reduced
+ * to one signature per field; DEs with the same set of signatures are exact
+ * duplicates, field order aside.
+ *
+ * Near duplicates are scored by field name: a field with the same signature in
+ * both DEs counts 1, a field with the same name but a different type, length,
+ * scale or key/required flag counts half, and the total is divided by the
+ * number of distinct field names. Schemas at or above the threshold are
+ * grouped, so a group can be a chain of close variants; identical copies
+ * inside it are also reported as an exact group.
+ *
+ * Members of every group get their row count, modified date and dependency
+ * counts (bu-analyzer over the bulk data) to help pick the copy to keep.
+ */
+
+import dayjs from 'dayjs';
+import { loadAllSfmcData } from './bulk-data-loader.js';
+import { loadAllFolders } from './folder-service.js';
+import { getDataExtensionSchema, getRowCount, filterByPattern } from './data-extension-service.js';
+import { buildFolderPathMap, analyzeDataExtensions } from './bu-analyzer.js';
+import { hashContent } from './plan-service.js';
+import { isDeProtected } from '../config/index.js';
+import config from '../config/index.js';
+import { createConcurrencyLimiter, escapeCSV } from './utils.js';
+
+/**
+ * Kinds of duplicate group
+ */
+export const DuplicateKind = {
+  EXACT: 'exact',
+  NEAR: 'near'
+};
+
+// Dependency lists from bu-analyzer that count towards a DE's dependencies
+const DEPENDENCY_TYPES = ['automations', 'queries', 'filters', 'imports', 'journeys', 'dataExtracts', 'triggeredSends'];
+
+/**
+ * Signature of one field: everything that makes two fields interchangeable
+ * @param {object} field - Field from getDataExtensionSchema
+ * @returns {string} Signature
+ */
+function fieldSignature(field) {
+  return [
+    field.name.toLowerCase(),
+    field.fieldType,
+    field.maxLength ?? '',
+    field.scale ?? '',
+    field.isPrimaryKey ? 'pk' : '',
+    field.isRequired ? 'required' : ''
+  ].join('|');
+}
+
+/**
+ * Fingerprint a DE's field list
+ * @param {object[]} fields - Fields from getDataExtensionSchema
+ * @returns {object} { fingerprint, fieldCount, signatures, fieldNames } - signatures and
+ *   display names by lower-cased field name
+ */
+export function fingerprintSchema(fields) {
+  const signatures = new Map(fields.map(field => [field.name.toLowerCase(), fieldSignature(field)]));
+
+  return {
+    fingerprint: hashContent([...signatures.values()].sort()),
+    fieldCount: signatures.size,
+    signatures,
+    fieldNames: new Map(fields.map(field => [field.name.toLowerCase(), field.name]))
+  };
+}
+
+/**
+ * Score how alike two fingerprinted schemas are
+ * @param {object} a - Result of fingerprintSchema
+ * @param {object} b - Result of fingerprintSchema
+ * @returns {number} 1 for identical schemas down to 0 for no shared field names
+ */
+export function schemaSimilarity(a, b) {
+  if (a.fingerprint === b.fingerprint) return 1;
+
+  const names = new Set([...a.signatures.keys(), ...b.signatures.keys()]);
+  let score = 0;
+
+  for (const name of names) {
+    if (!a.signatures.has(name) || !b.signatures.has(name)) continue;
+    score += a.signatures.get(name) === b.signatures.get(name) ? 1 : 0.5;
+  }
+
+  return names.size === 0 ? 0 : score / names.size;
+}
+
+/**
+ * Field names that are missing from, or defined differently in, some schemas
+ * @param {object[]} schemas - Results of fingerprintSchema
+ * @returns {string[]} Field names
+ */
+function differingFields(schemas) {
+  const names = new Set(schemas.flatMap(schema => [...schema.signatures.keys()]));
+
+  return [...names]
+    .filter(name => new Set(schemas.map(schema => schema.signatures.get(name))).size > 1)
+    .sort()
+    .map(name => schemas.find(schema => schema.fieldNames.has(name)).fieldNames.get(name));
+}
+
+/**
+ * Group DEs with identical or near-identical schemas
+ * Every set of DEs with the same fingerprint is an exact group. Fingerprints
+ * close enough to each other also form a near group, so a DE can be in both.
+ * @param {object[]} entries - { schema (fingerprintSchema result), ... } per DE
+ * @param {object} options - Options
+ * @param {number} options.threshold - Minimum similarity for near duplicates (1 = exact only)
+ * @param {number} options.minFields - Ignore DEs with fewer fields than this
+ * @returns {object[]} Groups as { kind, similarity, fieldCount, differingFields, members }
+ */
+export function groupSchemas(entries, options = {}) {
+  const { threshold = 0.8, minFields = 2 } = options;
+
+  // One schema per fingerprint; identical DEs share it
+  const variants = new Map();
+  for (const entry of entries) {
+    if (entry.schema.fieldCount < minFields) continue;
+    if (!variants.has(entry.schema.fingerprint)) {
+      variants.set(entry.schema.fingerprint, { schema: entry.schema, members: [] });
+    }
+    variants.get(entry.schema.fingerprint).members.push(entry);
+  }
+
+  // Union-find over the variants that are close enough
+  const list = [...variants.values()].sort((a, b) => a.schema.fieldCount - b.schema.fieldCount);
+  const parent = list.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  if (threshold < 1) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        // Similarity cannot exceed the ratio of the field counts
+        if (list[i].schema.fieldCount / list[j].schema.fieldCount < threshold) break;
+        if (schemaSimilarity(list[i].schema, list[j].schema) >= threshold) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+  }
+
+  const components = new Map();
+  list.forEach((variant, i) => {
+    const root = find(i);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(variant);
+  });
+
+  const groups = [];
+  for (const group of components.values()) {
+    // Identical schemas are an exact group of their own, also inside a near group
+    for (const variant of group) {
+      if (variant.members.length < 2) continue;
+      groups.push({
+        kind: DuplicateKind.EXACT,
+        similarity: 1,
+        fieldCount: variant.schema.fieldCount,
+        differingFields: [],
+        members: variant.members
+      });
+    }
+
+    if (group.length < 2) continue;
+    const members = group.flatMap(variant => variant.members);
+
+    const schemas = group.map(variant => variant.schema);
+    let similarity = 1;
+    for (let i = 0; i < schemas.length; i++) {
+      for (let j = i + 1; j < schemas.length; j++) {
+        similarity = Math.min(similarity, schemaSimilarity(schemas[i], schemas[j]));
+      }
+    }
+
+    groups.push({
+      kind: DuplicateKind.NEAR,
+      similarity: Math.round(similarity * 100) / 100,
+      fieldCount: Math.max(...schemas.map(schema => schema.fieldCount)),
+      differingFields: differingFields(schemas),
+      members
+    });
+  }
+
+  return groups.sort((a, b) =>
+    (a.kind === b.kind ? 0 : a.kind === DuplicateKind.EXACT ? -1 : 1) ||
+    b.members.length - a.members.length ||
+    a.members[0].name.localeCompare(b.members[0].name)
+  );
+}
+
+/**
+ * Find duplicate Data Extensions in a Business Unit
+ * @param {object} options - Options
+ * @param {string} options.accountId - Business Unit MID (optional, defaults to config)
+ * @param {number[]} options.folderIds - Only check DEs in these folders (optional)
+ * @param {string} options.includePattern - Regex for DE names to include (optional)
+ * @param {string} options.excludePattern - Regex for DE names to exclude (optional)
+ * @param {number} options.threshold - Minimum similarity for near duplicates
+ * @param {number} options.minFields - Ignore DEs with fewer fields than this
+ * @param {boolean} options.forceRefresh - Force refresh of cached SFMC data
+ * @param {boolean} options.incremental - Refresh cached SFMC data with only what changed
+ * @param {object} options.logger - Logger instance
+ * @param {function} options.onProgress - Progress callback (stage, current, total, message)
+ * @returns {Promise<object>} { groups, summary }
+ */
+export async function findDuplicateDataExtensions(options = {}) {
+  const {
+    accountId = null,
+    folderIds = null,
+    includePattern = null,
+    excludePattern = null,
+    threshold = 0.8,
+    minFields = 2,
+    forceRefresh = false,
+    incremental = false,
+    logger = null,
+    onProgress = null
+  } = options;
+
+  const progress = (stage, current, total, message) => {
+    if (onProgress) onProgress(stage, current, total, message);
+    if (logger) logger.debug(`[${stage}] ${current}/${total}: ${message}`);
+  };
+
+  progress('loading', 0, 1, 'Loading all SFMC metadata (this may take a moment)...');
+
+  const folders = await loadAllFolders(logger, forceRefresh, accountId);
+  const folderPathById = buildFolderPathMap(folders);
+
+  const bulkData = await loadAllSfmcData({
+    logger,
+    onProgress: (stage, current, total, message) => {
+      progress(`loading-${stage}`, current, total, message);
+    },
+    includeAutomationDetails: true,
+    includeQueryText: true,
+    forceRefresh,
+    incremental,
+    accountId
+  });
+
+  const folderFilter = folderIds ? new Set(folderIds) : null;
+  const candidates = (bulkData.dataExtensions || [])
+    .map(de => ({
+      name: de.Name,
+      customerKey: de.CustomerKey,
+      folderId: parseInt(de.CategoryID, 10),
+      raw: de
+    }))
+    .filter(de => !folderFilter || folderFilter.has(de.folderId));
+
+  const { filtered, errors } = filterByPattern(candidates, { include: includePattern, exclude: excludePattern });
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  // Field lists are not in the bulk data - one SOAP call per DE
+  const limit = createConcurrencyLimiter(config.concurrency.queryTextConcurrency);
+  const entries = [];
+  const unreadable = [];
+  let completed = 0;
+
+  await Promise.all(filtered.map(de => limit(async () => {
+    try {
+      const fields = await getDataExtensionSchema(de.customerKey, logger, accountId);
+      entries.push({ ...de, schema: fingerprintSchema(fields) });
+    } catch (error) {
+      if (logger) logger.warn(`Failed to load fields for "${de.name}": ${error.message}`);
+      unreadable.push({ name: de.name, customerKey: de.customerKey, error: error.message });
+    }
+    completed++;
+    progress('schemas', completed, filtered.length, de.name);
+  })));
+
+  const groups = groupSchemas(entries, { threshold, minFields });
+  // A DE can be in an exact and a near group
+  const members = [...new Set(groups.flatMap(group => group.members))];
+
+  // Row counts and dependencies only for DEs that are in a group
+  progress('details', 0, members.length, 'Counting rows and dependencies...');
+  const analysis = analyzeDataExtensions(members.map(member => member.raw), bulkData, folderPathById, dayjs(), { logger });
+  const analysisByKey = new Map(analysis.map(result => [result.customerKey, result]));
+  completed = 0;
+
+  await Promise.all(members.map(member => limit(async () => {
+    try {
+      member.rowCount = await getRowCount(member.customerKey, logger, accountId);
+    } catch (error) {
+      if (logger) logger.warn(`Failed to count rows of "${member.name}": ${error.message}`);
+      member.rowCount = null;
+    }
+    completed++;
+    progress('details', completed, members.length, member.name);
+  })));
+
+  const report = groups.map(group => ({
+    kind: group.kind,
+    similarity: group.similarity,
+    fieldCount: group.fieldCount,
+    differingFields: group.differingFields,
+    members: group.members
+      .map(member => {
+        const result = analysisByKey.get(member.customerKey) || {};
+        const dependencies = Object.fromEntries(DEPENDENCY_TYPES.map(type => [type, (result[type] || []).length]));
+
+        return {
+          name: member.name,
+          customerKey: member.customerKey,
+          folderPath: folderPathById.get(member.folderId) || `Folder ${member.folderId}`,
+          fingerprint: member.schema.fingerprint.slice(0, 12),
+          fieldCount: member.schema.fieldCount,
+          rowCount: member.rowCount,
+          createdDate: member.raw.CreatedDate || null,
+          modifiedDate: member.raw.ModifiedDate || null,
+          dependencyCount: Object.values(dependencies).reduce((sum, count) => sum + count, 0),
+          dependencies,
+          isProtected: isDeProtected(member.customerKey) || isDeProtected(member.name)
+        };
+      })
+      // Most used, then fullest, then most recently changed first
+      .sort((a, b) =>
+        b.dependencyCount - a.dependencyCount ||
+        (b.rowCount ?? -1) - (a.rowCount ?? -1) ||
+        String(b.modifiedDate || '').localeCompare(String(a.modifiedDate || ''))
+      )
+  }));
+
+  return {
+    groups: report,
+    unreadable,
+    summary: {
+      dataExtensions: filtered.length,
+      schemasRead: entries.length,
+      unreadable: unreadable.length,
+      exactGroups: report.filter(group => group.kind === DuplicateKind.EXACT).length,
+      nearGroups: report.filter(group => group.kind === DuplicateKind.NEAR).length,
+      dataExtensionsInGroups: members.length,
+      threshold,
+      minFields
+    }
+  };
+}
+
+/**
+ * Format the duplicate groups for the console
+ * @param {object} result - Result of findDuplicateDataExtensions
+ * @returns {string} Report text
+ */
+export function formatDuplicateReport(result) {
+  const lines = [];
+  const width = 70;
+  const line = '─'.repeat(width);
+  const { summary } = result;
+
+  lines.push('');
+  lines.push(`┌${line}┐`);
+  lines.push(`│${'DUPLICATE DATA EXTENSIONS'.padStart(47).padEnd(width)}│`);
+  lines.push(`├${line}┤`);
+  lines.push(`│${` Data Extensions checked: ${summary.schemasRead}`.padEnd(width)}│`);
+  if (summary.unreadable > 0) {
+    lines.push(`│${` Fields unavailable: ${summary.unreadable}`.padEnd(width)}│`);
+  }
+  lines.push(`│${` Exact duplicate groups: ${summary.exactGroups}`.padEnd(width)}│`);
+  lines.push(`│${` Near-duplicate groups: ${summary.nearGroups} (similarity >= ${summary.threshold})`.padEnd(width)}│`);
+  lines.push(`│${` Data Extensions in groups: ${summary.dataExtensionsInGroups}`.padEnd(width)}│`);
+  lines.push(`└${line}┘`);
+
+  result.groups.forEach((group, i) => {
+    lines.push('');
+    if (group.kind === DuplicateKind.EXACT) {
+      lines.push(`${i + 1}. EXACT - ${group.members.length} DEs, ${group.fieldCount} field(s)`);
+    } else {
+      lines.push(`${i + 1}. NEAR (${Math.round(group.similarity * 100)}%) - ${group.members.length} DEs, up to ${group.fieldCount} field(s)`);
+      lines.push(`   Differs in: ${group.differingFields.join(', ')}`);
+    }
+
+    for (const member of group.members) {
+      const rows = member.rowCount === null || member.rowCount === undefined
+        ? '? rows'
+        : `${member.rowCount.toLocaleString()} row${member.rowCount === 1 ? '' : 's'}`;
+      const modified = member.modifiedDate ? dayjs(member.modifiedDate).format('YYYY-MM-DD') : 'unknown';
+      const variant = group.kind === DuplicateKind.NEAR ? ` [${member.fingerprint.slice(0, 6)}]` : '';
+      const protectedTag = member.isProtected ? ' [PROTECTED]' : '';
+      lines.push(`   • ${member.name}${variant}${protectedTag}`);
+      lines.push(`     ${member.folderPath} - ${rows}, modified ${modified}, ${member.dependencyCount} dependenc${member.dependencyCount === 1 ? 'y' : 'ies'}`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Export duplicate groups to CSV (one row per DE)
+ * @param {object} result - Result of findDuplicateDataExtensions
+ * @returns {string} CSV content
+ */
+export function exportDuplicatesToCsv(result) {
+  const headers = [
+    'Group', 'Kind', 'Similarity', 'Name', 'CustomerKey', 'FolderPath', 'Fingerprint',
+    'Fields', 'Rows', 'CreatedDate', 'ModifiedDate', 'Dependencies',
+    ...DEPENDENCY_TYPES.map(type => type.charAt(0).toUpperCase() + type.slice(1)),
+    'Protected'
+  ];
+  const rows = [headers.join(',')];
+
+  result.groups.forEach((group, i) => {
+    for (const member of group.members) {
+      rows.push([
+        i + 1,
+        group.kind,
+        group.similarity,
+        escapeCSV(member.name),
+        escapeCSV(member.customerKey),
+        escapeCSV(member.folderPath),
+        member.fingerprint,
+        member.fieldCount,
+        member.rowCount ?? '',
+        escapeCSV(member.createdDate),
+        escapeCSV(member.modifiedDate),
+        member.dependencyCount,
+        ...DEPENDENCY_TYPES.map(type => member.dependencies[type]),
+        member.isProtected
+      ].join(','));
+    }
+  });
+
+  return rows.join('\n');
+}
+
+export default {
+  DuplicateKind,
+  fingerprintSchema,
+  schemaSimilarity,
+  groupSchemas,
+  findDuplicateDataExtensions,
+  formatDuplicateReport,
+  exportDuplicatesToCsv
+};
@@ -1,67 +1,193 @@
 /**
  * Folder Service
- * Operations for working with SFMC Data Extension folders
+ * Operations for working with SFMC folders (DataFolder) of any content type -
+ * Data Extension folders by default, or query, automation, filter, shared DE
+ * and Content Builder folders when a content type is given
  * Supports persistent file-based caching to reduce API calls
  */
 
 import {
   retrieveFolders,
+  retrieveDataExtensions,
+  retrieveQueryDefinitions,
   deleteFolder as soapDeleteFolder,
+  createFolder as soapCreateFolder,
+  updateFolder as soapUpdateFolder,
   buildSimpleFilter
 } from './sfmc-soap.js';
+import { getAutomations, listFilterActivities, queryAssets } from './sfmc-rest.js';
 import { isFolderProtected } from '../config/index.js';
 import { readCache, writeCache, clearCache, getCacheInfo } from './cache.js';
 import config from '../config/index.js';
 import { CACHE_CONFIG } from './utils.js';
 
-// Cache type identifier
+/**
+ * DataFolder content types the folder service can work with
+ */
+export const FolderContentType = {
+  DATA_EXTENSION: 'dataextension',
+  SHARED_DATA_EXTENSION: 'shared_dataextension',
+  QUERY: 'queryactivity',
+  AUTOMATION: 'automations',
+  FILTER: 'filteractivity',
+  ASSET: 'asset'
+};
+
+const DEFAULT_CONTENT_TYPE = FolderContentType.DATA_EXTENSION;
+
+// What each content type holds: a label for reports and a lister for the
+// empty check, returning { key, name } for every item directly in a folder
+const CONTENT_TYPES = {
+  [FolderContentType.DATA_EXTENSION]: {
+    label: 'Data Extension',
+    listItems: listDataExtensionsInFolder
+  },
+  [FolderContentType.SHARED_DATA_EXTENSION]: {
+    label: 'Shared Data Extension',
+    listItems: listDataExtensionsInFolder
+  },
+  [FolderContentType.QUERY]: {
+    label: 'Query Activity',
+    listItems: listQueriesInFolder
+  },
+  [FolderContentType.AUTOMATION]: {
+    label: 'Automation',
+    listItems: (folderId, logger, accountId) =>
+      listRestItemsInFolder(FolderContentType.AUTOMATION, folderId, logger, accountId)
+  },
+  [FolderContentType.FILTER]: {
+    label: 'Filter Activity',
+    listItems: (folderId, logger, accountId) =>
+      listRestItemsInFolder(FolderContentType.FILTER, folderId, logger, accountId)
+  },
+  [FolderContentType.ASSET]: {
+    label: 'Content Builder Asset',
+    listItems: listAssetsInFolder
+  }
+};
+
+// Cache type identifier (Data Extension folders keep the original name so
+// existing caches stay valid; other content types get their own file)
 const FOLDER_CACHE_TYPE = 'folders';
 
 // Use shared cache expiry constant
 const DEFAULT_CACHE_EXPIRY_MS = CACHE_CONFIG.DEFAULT_EXPIRY_MS;
 
 // In-memory cache for current session (faster than file reads)
-let memoryCache = {
-  folders: null,
-  loadedAt: null
-};
+// Key: accountId:contentType, Value: { folders, loadedAt }
+const memoryCacheByAccount = new Map();
 
 // Track in-flight requests to prevent duplicate API calls
-// Key: accountId, Value: Promise that resolves to folders
+// Key: accountId:contentType, Value: Promise that resolves to folders
 const inFlightRequests = new Map();
 
+// Automations and filter activities can only be listed as a whole, so the
+// list is fetched once per session and shared by every empty check
+// Key: accountId:contentType, Value: Promise that resolves to items
+const restItemsByAccount = new Map();
+
+/**
+ * Look up a content type, rejecting anything the service does not support
+ * @param {string} contentType - FolderContentType value
+ * @returns {object} Content type entry
+ */
+function getContentTypeEntry(contentType) {
+  const entry = CONTENT_TYPES[contentType];
+  if (!entry) {
+    throw new Error(`Unsupported folder content type "${contentType}" (expected one of: ${Object.values(FolderContentType).join(', ')})`);
+  }
+  return entry;
+}
+
+/**
+ * Get the display label for the items a content type holds
+ * @param {string} contentType - FolderContentType value
+ * @returns {string} Label (e.g. "Query Activity")
+ */
+export function getContentTypeLabel(contentType = DEFAULT_CONTENT_TYPE) {
+  return getContentTypeEntry(contentType).label;
+}
+
+/**
+ * Check whether folders of a content type hold Data Extensions
+ * @param {string} contentType - FolderContentType value
+ * @returns {boolean} True for Data Extension and shared Data Extension folders
+ */
+export function isDataExtensionContentType(contentType = DEFAULT_CONTENT_TYPE) {
+  return contentType === FolderContentType.DATA_EXTENSION ||
+    contentType === FolderContentType.SHARED_DATA_EXTENSION;
+}
+
+/**
+ * Get the cache type identifier for a content type
+ * @param {string} contentType - FolderContentType value
+ * @returns {string} Cache type
+ */
+function getFolderCacheType(contentType) {
+  return contentType === DEFAULT_CONTENT_TYPE ? FOLDER_CACHE_TYPE : `${FOLDER_CACHE_TYPE}-${contentType}`;
+}
+
+/**
+ * Get or create memory cache entry for an account and content type
+ * @param {string} cacheKey - accountId:contentType
+ * @returns {object} Memory cache entry
+ */
+function getMemoryCacheEntry(cacheKey) {
+  if (!memoryCacheByAccount.has(cacheKey)) {
+    memoryCacheByAccount.set(cacheKey, {
+      folders: null,
+      loadedAt: null
+    });
+  }
+  return memoryCacheByAccount.get(cacheKey);
+}
+
 /**
  * Clear both in-memory and file-based cache
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<boolean>} True if cleared
  */
-export async function clearFolderCache(logger = null) {
-  memoryCache = { folders: null, loadedAt: null };
-  const cleared = await clearCache(FOLDER_CACHE_TYPE, config.sfmc.accountId);
+export async function clearFolderCache(logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  getContentTypeEntry(contentType);
+  const effectiveAccountId = accountId || config.sfmc.accountId;
+  const cacheKey = `${effectiveAccountId}:${contentType}`;
+  memoryCacheByAccount.set(cacheKey, { folders: null, loadedAt: null });
+  restItemsByAccount.delete(cacheKey);
+  const cleared = await clearCache(getFolderCacheType(contentType), effectiveAccountId);
   if (logger && cleared) {
-    logger.info('Folder cache cleared');
+    logger.info(contentType === DEFAULT_CONTENT_TYPE ? 'Folder cache cleared' : `Folder cache cleared (${contentType})`);
   }
   return cleared;
 }
 
 /**
  * Get cache status information
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object>} Cache info
  */
-export async function getFolderCacheStatus() {
-  return getCacheInfo(FOLDER_CACHE_TYPE, config.sfmc.accountId);
+export async function getFolderCacheStatus(accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  getContentTypeEntry(contentType);
+  return getCacheInfo(getFolderCacheType(contentType), accountId || config.sfmc.accountId);
 }
 
 /**
- * Load all folders (with persistent file caching)
+ * Load all folders of a content type (with persistent file caching)
  * @param {object} logger - Logger instance
  * @param {boolean} forceRefresh - Force cache refresh (--refresh-cache flag)
  * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object[]>} Array of folder objects
  */
-export async function loadAllFolders(logger = null, forceRefresh = false, accountId = null) {
+export async function loadAllFolders(logger = null, forceRefresh = false, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  getContentTypeEntry(contentType);
   const now = Date.now();
   const effectiveAccountId = accountId || config.sfmc.accountId;
+  const cacheKey = `${effectiveAccountId}:${contentType}`;
+  const cacheType = getFolderCacheType(contentType);
+  const memoryCache = getMemoryCacheEntry(cacheKey);
 
   // Check in-memory cache first (fastest)
   // Store reference to avoid race condition
@@ -76,34 +202,34 @@ export async function loadAllFolders(logger = null, forceRefresh = false, accoun
 
   // Check file cache (unless force refresh)
   if (!forceRefresh) {
-    const cached = await readCache(FOLDER_CACHE_TYPE, effectiveAccountId, {
+    const cached = await readCache(cacheType, effectiveAccountId, {
       maxAgeMs: DEFAULT_CACHE_EXPIRY_MS,
       ignoreExpiry: false
     });
 
     if (cached && cached.data) {
-      const info = await getCacheInfo(FOLDER_CACHE_TYPE, effectiveAccountId);
+      const info = await getCacheInfo(cacheType, effectiveAccountId);
       if (logger) {
         logger.info(`Using cached folder data (${info.ageString}, ${cached.data.length} folders)`);
       }
 
       // Store in memory cache for this session
-      memoryCache = {
+      memoryCacheByAccount.set(cacheKey, {
         folders: cached.data,
         loadedAt: now
-      };
+      });
 
       return cached.data;
     }
   }
 
-  // Check if there's already an in-flight request for this account
+  // Check if there's already an in-flight request for this account and content type
   // This prevents duplicate API calls when multiple operations request folders concurrently
-  if (inFlightRequests.has(effectiveAccountId)) {
+  if (inFlightRequests.has(cacheKey)) {
     if (logger) {
       logger.debug('Waiting for in-flight folder request...');
     }
-    return inFlightRequests.get(effectiveAccountId);
+    return inFlightRequests.get(cacheKey);
   }
 
   // Create the fetch promise and track it
@@ -114,8 +240,8 @@ export async function loadAllFolders(logger = null, forceRefresh = false, accoun
         logger.info('Fetching folder structure from SFMC API (this may take a moment)...');
       }
 
-      // Filter to only get dataextension content type folders
-      const filter = buildSimpleFilter('ContentType', 'equals', 'dataextension');
+      // Filter to only get folders of the requested content type
+      const filter = buildSimpleFilter('ContentType', 'equals', contentType);
       const folders = await retrieveFolders(filter, logger, effectiveAccountId);
 
       // Normalize folder data
@@ -137,25 +263,25 @@ export async function loadAllFolders(logger = null, forceRefresh = false, accoun
       }));
 
       // Save to file cache
-      await writeCache(FOLDER_CACHE_TYPE, effectiveAccountId, normalizedFolders, {
+      await writeCache(cacheType, effectiveAccountId, normalizedFolders, {
         folderCount: normalizedFolders.length
       });
 
       // Update in-memory cache
-      memoryCache = {
+      memoryCacheByAccount.set(cacheKey, {
         folders: normalizedFolders,
         loadedAt: Date.now()
-      };
+      });
 
       return normalizedFolders;
     } finally {
       // Remove from in-flight tracking when done (success or failure)
-      inFlightRequests.delete(effectiveAccountId);
+      inFlightRequests.delete(cacheKey);
     }
   })();
 
   // Track the in-flight request
-  inFlightRequests.set(effectiveAccountId, fetchPromise);
+  inFlightRequests.set(cacheKey, fetchPromise);
 
   return fetchPromise;
 }
@@ -185,10 +311,12 @@ function buildFolderPath(folderId, allFolders) {
  * Find folder by path (e.g., "Shared Data Extensions/Archive/Old")
  * @param {string} path - Folder path (forward-slash separated)
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object|null>} Folder object or null if not found
  */
-export async function getFolderByPath(path, logger = null) {
-  const allFolders = await loadAllFolders(logger);
+export async function getFolderByPath(path, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
 
   // Normalize path
   const pathParts = path.split('/').map(p => p.trim()).filter(Boolean);
@@ -246,10 +374,12 @@ export async function getFolderByPath(path, logger = null) {
  * Find folder by name (returns first match if multiple)
  * @param {string} name - Folder name
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object|null>} Folder object or null
  */
-export async function getFolderByName(name, logger = null) {
-  const allFolders = await loadAllFolders(logger);
+export async function getFolderByName(name, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
   const folder = allFolders.find(folder => folder.name.toLowerCase() === name.toLowerCase());
 
   if (folder) {
@@ -263,10 +393,12 @@ export async function getFolderByName(name, logger = null) {
  * Get folder by ID
  * @param {number} folderId - Folder CategoryID
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object|null>} Folder object or null
  */
-export async function getFolderById(folderId, logger = null) {
-  const allFolders = await loadAllFolders(logger);
+export async function getFolderById(folderId, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
   const folder = allFolders.find(folder => folder.id === folderId);
 
   if (folder) {
@@ -281,10 +413,12 @@ export async function getFolderById(folderId, logger = null) {
  * @param {number} parentId - Parent folder ID
  * @param {boolean} recursive - Include nested subfolders
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object[]>} Array of subfolder objects
  */
-export async function getSubfolders(parentId, recursive = true, logger = null) {
-  const allFolders = await loadAllFolders(logger);
+export async function getSubfolders(parentId, recursive = true, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
 
   // Find direct children
   const directChildren = allFolders.filter(folder => folder.parentFolderId === parentId);
@@ -318,10 +452,12 @@ export async function getSubfolders(parentId, recursive = true, logger = null) {
  * Build a hierarchical tree structure for display
  * @param {number} parentId - Root folder ID
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object>} Tree structure
  */
-export async function getFolderTree(parentId, logger = null) {
-  const allFolders = await loadAllFolders(logger);
+export async function getFolderTree(parentId, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
   const rootFolder = allFolders.find(folder => folder.id === parentId);
 
   if (!rootFolder) {
@@ -350,24 +486,130 @@ export async function getFolderTree(parentId, logger = null) {
 }
 
 /**
- * Check if a folder is empty (no DEs or subfolders)
+ * List the Data Extensions directly in a folder
+ * @param {number} folderId - Folder CategoryID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID
+ * @returns {Promise<object[]>} Items as { key, name }
+ */
+async function listDataExtensionsInFolder(folderId, logger, accountId) {
+  const filter = buildSimpleFilter('CategoryID', 'equals', String(folderId));
+  const dataExtensions = await retrieveDataExtensions(filter, logger, accountId);
+
+  return dataExtensions.map(de => ({ key: de.CustomerKey, name: de.Name }));
+}
+
+/**
+ * List the Query Activities directly in a folder
+ * @param {number} folderId - Folder CategoryID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID
+ * @returns {Promise<object[]>} Items as { key, name }
+ */
+async function listQueriesInFolder(folderId, logger, accountId) {
+  const filter = buildSimpleFilter('CategoryID', 'equals', String(folderId));
+  const queries = await retrieveQueryDefinitions(logger, false, accountId, filter);
+
+  return queries.map(query => ({ key: query.CustomerKey, name: query.Name }));
+}
+
+/**
+ * List the automations or filter activities directly in a folder
+ * @param {string} contentType - FolderContentType.AUTOMATION or FolderContentType.FILTER
+ * @param {number} folderId - Folder CategoryID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID
+ * @returns {Promise<object[]>} Items as { key, name }
+ */
+async function listRestItemsInFolder(contentType, folderId, logger, accountId) {
+  const cacheKey = `${accountId || config.sfmc.accountId}:${contentType}`;
+
+  if (!restItemsByAccount.has(cacheKey)) {
+    // Both throw when the list cannot be read: an empty list would make every folder look empty
+    const fetchItems = contentType === FolderContentType.AUTOMATION
+      ? getAutomations(logger, accountId)
+      : listFilterActivities(logger, accountId);
+
+    // Forget failed fetches so the next check can retry
+    restItemsByAccount.set(cacheKey, fetchItems.catch(error => {
+      restItemsByAccount.delete(cacheKey);
+      throw error;
+    }));
+  }
+
+  const items = await restItemsByAccount.get(cacheKey);
+
+  return items
+    .filter(item => Number(item.categoryId) === Number(folderId))
+    .map(item => ({ key: item.key || item.customerKey || item.id || item.filterActivityId, name: item.name }));
+}
+
+/**
+ * List the Content Builder assets directly in a folder
+ * @param {number} folderId - Content Builder category ID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID
+ * @returns {Promise<object[]>} Items as { key, name }
+ */
+async function listAssetsInFolder(folderId, logger, accountId) {
+  const assets = await queryAssets({
+    query: { property: 'category.id', simpleOperator: 'equal', value: folderId },
+    fields: ['id', 'customerKey', 'name']
+  }, logger, accountId);
+
+  return assets.map(asset => ({ key: asset.customerKey || String(asset.id), name: asset.name }));
+}
+
+/**
+ * List the items (DEs, queries, automations, ...) directly in a folder
  * @param {number} folderId - Folder ID
- * @param {function} getDesInFolder - Function to get DEs in folder
  * @param {object} logger - Logger instance
- * @returns {Promise<object>} Empty status and contents info
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
+ * @returns {Promise<object[]>} Items as { key, name }
+ * @throws {Error} If the items cannot be listed (never reported as an empty list)
  */
-export async function isFolderEmpty(folderId, getDesInFolder, logger = null) {
-  const subfolders = await getSubfolders(folderId, false, logger);
+export async function getFolderItems(folderId, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  return getContentTypeEntry(contentType).listItems(folderId, logger, accountId);
+}
 
-  // Get DEs in this folder
-  const dataExtensions = await getDesInFolder(folderId, logger);
+/**
+ * Check if a folder is empty (no items of its content type and no subfolders)
+ * @param {number} folderId - Folder ID
+ * @param {function} getDesInFolder - Function to get DEs in folder (DE content types; optional)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
+ * @returns {Promise<object>} Empty status and contents info
+ * @throws {Error} If the folder's items cannot be listed
+ */
+export async function isFolderEmpty(folderId, getDesInFolder, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const { label } = getContentTypeEntry(contentType);
+  const subfolders = await getSubfolders(folderId, false, logger, accountId, contentType);
+
+  let dataExtensions = [];
+  let items;
+
+  if (isDataExtensionContentType(contentType) && getDesInFolder) {
+    dataExtensions = await getDesInFolder(folderId, logger, accountId);
+    items = dataExtensions.map(de => ({ key: de.customerKey, name: de.name }));
+  } else {
+    items = await getFolderItems(folderId, logger, accountId, contentType);
+    if (isDataExtensionContentType(contentType)) {
+      dataExtensions = items.map(item => ({ customerKey: item.key, name: item.name }));
+    }
+  }
 
   return {
-    isEmpty: subfolders.length === 0 && dataExtensions.length === 0,
+    isEmpty: subfolders.length === 0 && items.length === 0,
+    contentType,
+    itemLabel: label,
     subfolderCount: subfolders.length,
     dataExtensionCount: dataExtensions.length,
+    itemCount: items.length,
     subfolders: subfolders.map(subfolder => ({ id: subfolder.id, name: subfolder.name })),
-    dataExtensions: dataExtensions.map(de => ({ customerKey: de.customerKey, name: de.name }))
+    dataExtensions: dataExtensions.map(de => ({ customerKey: de.customerKey, name: de.name })),
+    items
   };
 }
 
@@ -376,10 +618,11 @@ export async function isFolderEmpty(folderId, getDesInFolder, logger = null) {
  * @param {number} folderId - Folder ID to delete
  * @param {object} logger - Logger instance
  * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object>} Delete result
  */
-export async function deleteFolder(folderId, logger = null, accountId = null) {
-  const folder = await getFolderById(folderId, logger);
+export async function deleteFolder(folderId, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const folder = await getFolderById(folderId, logger, accountId, contentType);
 
   if (!folder) {
     return {
@@ -400,7 +643,120 @@ export async function deleteFolder(folderId, logger = null, accountId = null) {
 
     if (result.success) {
       // Clear cache after successful deletion
-      await clearFolderCache();
+      await clearFolderCache(null, accountId, contentType);
+    }
+
+    return result;
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Check whether a folder can be moved under another folder
+ * Top-level and protected folders stay put, protected folders neither give
+ * up nor receive folders, and a folder cannot move into its own subtree or
+ * next to a sibling with the same name.
+ * @param {number} folderId - Folder to move
+ * @param {number} newParentId - New parent folder ID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
+ * @returns {Promise<object>} { ok, error, folder, parent }
+ */
+export async function checkFolderMove(folderId, newParentId, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
+  const folder = allFolders.find(f => f.id === folderId);
+  const parent = allFolders.find(f => f.id === newParentId);
+
+  const result = (error) => ({
+    ok: !error,
+    error: error || null,
+    folder: folder ? { ...folder, path: buildFolderPath(folder.id, allFolders) } : null,
+    parent: parent ? { ...parent, path: buildFolderPath(parent.id, allFolders) } : null
+  });
+
+  if (!folder) return result('Folder not found');
+  if (!parent) return result('Target folder not found');
+  if (!folder.parentFolderId) return result(`"${folder.name}" is a top-level folder and cannot be moved`);
+  if (folder.isProtected) return result(`Folder "${folder.name}" is protected and cannot be moved`);
+  if (allFolders.find(f => f.id === folder.parentFolderId)?.isProtected) {
+    return result(`"${folder.name}" is in a protected folder and cannot be moved out of it`);
+  }
+  if (parent.isProtected) return result(`Target folder "${parent.name}" is protected`);
+  if (folder.parentFolderId === parent.id) return result(`"${folder.name}" is already in "${parent.name}"`);
+
+  for (let currentId = parent.id; currentId;) {
+    if (currentId === folder.id) {
+      return result('A folder cannot be moved into itself or one of its subfolders');
+    }
+    currentId = allFolders.find(f => f.id === currentId)?.parentFolderId;
+  }
+
+  const nameLower = folder.name.toLowerCase();
+  if (allFolders.some(f => f.parentFolderId === parent.id && f.name.toLowerCase() === nameLower)) {
+    return result(`"${parent.name}" already has a folder named "${folder.name}"`);
+  }
+
+  return result(null);
+}
+
+/**
+ * Check whether a folder can be renamed
+ * @param {number} folderId - Folder to rename
+ * @param {string} newName - New folder name
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
+ * @returns {Promise<object>} { ok, error, folder }
+ */
+export async function checkFolderRename(folderId, newName, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
+  const folder = allFolders.find(f => f.id === folderId);
+  const name = (newName || '').trim();
+
+  const result = (error) => ({
+    ok: !error,
+    error: error || null,
+    folder: folder ? { ...folder, path: buildFolderPath(folder.id, allFolders) } : null
+  });
+
+  if (!folder) return result('Folder not found');
+  if (!name) return result('New folder name is empty');
+  if (name.includes('/')) return result('Folder names cannot contain "/"');
+  if (!folder.parentFolderId) return result(`"${folder.name}" is a top-level folder and cannot be renamed`);
+  if (folder.isProtected) return result(`Folder "${folder.name}" is protected and cannot be renamed`);
+  if (folder.name === name) return result(`Folder is already named "${name}"`);
+
+  const nameLower = name.toLowerCase();
+  if (allFolders.some(f => f.id !== folder.id && f.parentFolderId === folder.parentFolderId && f.name.toLowerCase() === nameLower)) {
+    return result(`A folder named "${name}" already exists next to "${folder.name}"`);
+  }
+
+  return result(null);
+}
+
+/**
+ * Send a folder update and refresh the cache
+ * @param {number} folderId - Folder ID
+ * @param {object} updates - { name, parentFolderId }
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID
+ * @param {string} contentType - FolderContentType value
+ * @returns {Promise<object>} Update result
+ */
+async function applyFolderUpdate(folderId, updates, logger, accountId, contentType) {
+  try {
+    const result = await soapUpdateFolder(folderId, updates, logger, accountId);
+
+    if (result.success) {
+      // Paths below the folder changed - reload the tree on the next lookup
+      await clearFolderCache(null, accountId, contentType);
+    } else if (!result.error) {
+      result.error = result.results?.[0]?.statusMessage || 'Update failed';
     }
 
     return result;
@@ -412,18 +768,125 @@ export async function deleteFolder(folderId, logger = null, accountId = null) {
   }
 }
 
+/**
+ * Move a folder (and everything in it) under another folder
+ * @param {number} folderId - Folder to move
+ * @param {number} newParentId - New parent folder ID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
+ * @returns {Promise<object>} Update result
+ */
+export async function moveFolder(folderId, newParentId, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const check = await checkFolderMove(folderId, newParentId, logger, accountId, contentType);
+  if (!check.ok) {
+    return { success: false, error: check.error };
+  }
+
+  return applyFolderUpdate(folderId, { parentFolderId: newParentId }, logger, accountId, contentType);
+}
+
+/**
+ * Rename a folder
+ * @param {number} folderId - Folder to rename
+ * @param {string} newName - New folder name
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
+ * @returns {Promise<object>} Update result
+ */
+export async function renameFolder(folderId, newName, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const check = await checkFolderRename(folderId, newName, logger, accountId, contentType);
+  if (!check.ok) {
+    return { success: false, error: check.error };
+  }
+
+  return applyFolderUpdate(folderId, { name: newName.trim() }, logger, accountId, contentType);
+}
+
+/**
+ * Create a folder (a Data Extension folder unless a content type is given)
+ * @param {string} name - Folder name
+ * @param {number} parentFolderId - Parent folder ID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
+ * @returns {Promise<object>} Create result with new folder ID
+ */
+export async function createFolder(name, parentFolderId, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const result = await soapCreateFolder({ name, parentFolderId, contentType }, logger, accountId);
+
+  if (result.success) {
+    // Clear cache so the new folder is visible to subsequent lookups
+    await clearFolderCache(null, accountId, contentType);
+  }
+
+  return result;
+}
+
+/**
+ * Resolve a folder path, creating any missing folders below the first existing root
+ * @param {string} path - Folder path (e.g., "Data Extensions/_Quarantine/2024-01-31")
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
+ * @returns {Promise<object>} Folder object with path
+ */
+export async function ensureFolderPath(path, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const existing = await getFolderByPath(path, logger, accountId, contentType);
+  if (existing) {
+    return existing;
+  }
+
+  const pathParts = path.split('/').map(p => p.trim()).filter(Boolean);
+
+  const root = await getFolderByPath(pathParts[0], logger, accountId, contentType);
+  if (!root) {
+    throw new Error(`Root folder "${pathParts[0]}" not found`);
+  }
+
+  let current = root;
+
+  for (let i = 1; i < pathParts.length; i++) {
+    const partialPath = pathParts.slice(0, i + 1).join('/');
+    let next = await getFolderByPath(partialPath, logger, accountId, contentType);
+
+    if (!next) {
+      if (logger) {
+        logger.info(`Creating folder "${partialPath}"`);
+      }
+
+      const result = await createFolder(pathParts[i], current.id, logger, accountId, contentType);
+      if (!result.success) {
+        throw new Error(`Failed to create folder "${partialPath}": ${result.error}`);
+      }
+
+      next = await getFolderByPath(partialPath, logger, accountId, contentType);
+      if (!next) {
+        throw new Error(`Folder "${partialPath}" was created but could not be retrieved`);
+      }
+    }
+
+    current = next;
+  }
+
+  return current;
+}
+
 /**
  * Get deletion order for folders (deepest first)
  * @param {number} parentId - Root folder ID
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object[]>} Folders in deletion order
  */
-export async function getDeletionOrder(parentId, logger = null) {
-  const allFolders = await loadAllFolders(logger);
+export async function getDeletionOrder(parentId, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
 
   // Get all folders to delete (including parent)
-  const subfolders = await getSubfolders(parentId, true, logger);
-  const parentFolder = await getFolderById(parentId, logger);
+  const subfolders = await getSubfolders(parentId, true, logger, accountId, contentType);
+  const parentFolder = await getFolderById(parentId, logger, accountId, contentType);
 
   const allToDelete = parentFolder ? [...subfolders, parentFolder] : subfolders;
 
@@ -450,14 +913,113 @@ export async function getDeletionOrder(parentId, logger = null) {
     .sort((a, b) => b.deleteDepth - a.deleteDepth);
 }
 
+/**
+ * Check whether a folder is a system folder: top-level, or flagged by SFMC as
+ * not editable or not allowing subfolders
+ * @param {object} folder - Folder from loadAllFolders
+ * @returns {boolean} True for system folders
+ */
+export function isSystemFolder(folder) {
+  return !folder.parentFolderId || folder.isEditable === false || folder.allowChildren === false;
+}
+
+/**
+ * Find the folder subtrees that hold no items at any depth
+ * Folders are checked deepest first, so a folder is only listed when nothing
+ * below it holds items. System folders (top-level, not editable or not
+ * allowing subfolders), protected folders and everything inside a protected
+ * folder are never candidates. A folder whose items cannot be listed counts
+ * as holding items.
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
+ * @param {function} onProgress - Called with (checked, total) after each folder (optional)
+ * @returns {Promise<object>} { roots, folders, skippedCount, checkedCount, unreadable } - roots
+ *   are the highest empty folders, folders every empty folder; both carry path and depth.
+ *   unreadable lists the folders that could not be listed as { id, path, error }
+ */
+export async function findEmptyFolderTrees(logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE, onProgress = null) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
+  const byId = new Map(allFolders.map(folder => [folder.id, folder]));
+
+  const ancestorsOf = (folder) => {
+    const ancestors = [];
+    for (let current = byId.get(folder.parentFolderId); current; current = byId.get(current.parentFolderId)) {
+      ancestors.push(current);
+    }
+    return ancestors;
+  };
+
+  const ordered = allFolders
+    .map(folder => ({ folder, ancestors: ancestorsOf(folder) }))
+    .sort((a, b) => b.ancestors.length - a.ancestors.length);
+
+  const emptyIds = new Set();
+  // Folders with items, or a skipped folder, somewhere below them
+  const ruledOut = new Set();
+  const unreadable = [];
+  let skippedCount = 0;
+  let checkedCount = 0;
+
+  for (const [index, { folder, ancestors }] of ordered.entries()) {
+    const isSkipped = isSystemFolder(folder) ||
+      folder.isProtected ||
+      ancestors.some(ancestor => ancestor.isProtected);
+
+    if (isSkipped) {
+      skippedCount++;
+      ruledOut.add(folder.parentFolderId);
+    } else if (ruledOut.has(folder.id)) {
+      ruledOut.add(folder.parentFolderId);
+    } else {
+      let items;
+      try {
+        items = await getFolderItems(folder.id, logger, accountId, contentType);
+      } catch (error) {
+        if (logger) logger.warn(`Could not list folder ${folder.id}: ${error.message}`);
+        unreadable.push({ id: folder.id, path: buildFolderPath(folder.id, allFolders), error: error.message });
+        items = null;
+      }
+      checkedCount++;
+
+      if (items === null || items.length > 0) {
+        ruledOut.add(folder.parentFolderId);
+      } else {
+        emptyIds.add(folder.id);
+      }
+    }
+
+    if (onProgress) onProgress(index + 1, ordered.length);
+  }
+
+  const folders = ordered
+    .filter(({ folder }) => emptyIds.has(folder.id))
+    .map(({ folder, ancestors }) => ({
+      ...folder,
+      path: buildFolderPath(folder.id, allFolders),
+      depth: ancestors.length
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  return {
+    roots: folders.filter(folder => !emptyIds.has(folder.parentFolderId)),
+    folders,
+    skippedCount,
+    checkedCount,
+    unreadable
+  };
+}
+
 /**
  * Find similar folder names (for suggestions when folder not found)
  * @param {string} name - Search name
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<string[]>} Similar folder names
  */
-export async function findSimilarFolders(name, logger = null) {
-  const allFolders = await loadAllFolders(logger);
+export async function findSimilarFolders(name, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
+  const allFolders = await loadAllFolders(logger, false, accountId, contentType);
   const searchLower = name.toLowerCase();
 
   // Find folders containing the search term
@@ -477,21 +1039,25 @@ export async function findSimilarFolders(name, logger = null) {
  * @param {string} pathOrName - Folder path or name to find
  * @param {object} logger - Logger instance (optional)
  * @param {string} accountId - Account ID (optional)
+ * @param {string} contentType - FolderContentType value (optional, defaults to dataextension)
  * @returns {Promise<object|null>} Folder object or null if not found
  */
-export async function findFolder(pathOrName, logger = null, accountId = null) {
+export async function findFolder(pathOrName, logger = null, accountId = null, contentType = DEFAULT_CONTENT_TYPE) {
   // Try by path first
-  let folder = await getFolderByPath(pathOrName, logger, accountId);
+  let folder = await getFolderByPath(pathOrName, logger, accountId, contentType);
 
   // Fall back to by name
   if (!folder) {
-    folder = await getFolderByName(pathOrName, logger, accountId);
+    folder = await getFolderByName(pathOrName, logger, accountId, contentType);
   }
 
   return folder;
 }
 
 export default {
+  FolderContentType,
+  getContentTypeLabel,
+  isDataExtensionContentType,
   loadAllFolders,
   clearFolderCache,
   getFolderCacheStatus,
@@ -500,9 +1066,18 @@ export default {
   getFolderById,
   getSubfolders,
   getFolderTree,
+  getFolderItems,
   isFolderEmpty,
   deleteFolder,
+  checkFolderMove,
+  checkFolderRename,
+  moveFolder,
+  renameFolder,
+  createFolder,
+  ensureFolderPath,
   getDeletionOrder,
+  isSystemFolder,
+  findEmptyFolderTrees,
   findSimilarFolders,
   findFolder
 };
@@ -0,0 +1,199 @@
+/**
+ * HTTP Record/Replay
+ * Captures the SOAP and REST exchanges made by sfmc-soap.js and sfmc-rest.js
+ * to fixture files (SFMC_RECORD=dir) and serves them back (SFMC_REPLAY=dir),
+ * so a customer's run can be reproduced without access to their tenant.
+ *
+ * Each exchange is one file, <kind>-<hash>-<seq>.json, where hash identifies
+ * the request (BU, method/action, endpoint, params, body) and seq counts
+ * identical requests in the order they were made. Replaying the same command
+ * therefore gets the same responses in the same order; when a request is
+ * repeated more often than it was recorded, the last response is served again.
+ *
+ * Tokens are never recorded: a replay skips authentication entirely.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { redactSensitiveData } from './utils.js';
+
+// Narrower than the logging defaults: keys like CustomerKey are needed to reproduce analysis
+const RECORDING_SENSITIVE_KEYS = ['token', 'secret', 'password', 'credential', 'authorization', 'apikey', 'privatekey'];
+
+const MANIFEST_FILE = 'recording.json';
+
+// request hash -> number of exchanges recorded (record) or served (replay) so far
+const sequenceByHash = new Map();
+
+let manifestWritten = false;
+
+/**
+ * Check whether exchanges are being recorded or replayed
+ * @returns {string|null} 'record', 'replay' or null
+ */
+export function getRecordingMode() {
+  return config.recording.mode;
+}
+
+/**
+ * Hash a (redacted) request description
+ * @param {object} request - Request description
+ * @returns {string} Short hash
+ */
+function hashRequest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build the fixture file path for an exchange
+ * @param {string} dir - Recording directory
+ * @param {string} kind - 'soap' or 'rest'
+ * @param {string} hash - Request hash
+ * @param {number} seq - Sequence number
+ * @returns {string} File path
+ */
+function exchangeFile(dir, kind, hash, seq) {
+  return path.join(dir, `${kind}-${hash}-${seq}.json`);
+}
+
+/**
+ * Write (or extend) the manifest describing the recording
+ */
+function writeManifest() {
+  if (manifestWritten) return;
+  manifestWritten = true;
+
+  const manifestPath = path.join(config.recording.recordDir, MANIFEST_FILE);
+  let manifest = {};
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    // First process to record into this directory
+  }
+
+  const command = ['node', path.relative(config.paths.root, process.argv[1] || ''), ...process.argv.slice(2)].join(' ');
+
+  fs.writeFileSync(manifestPath, JSON.stringify({
+    toolkitVersion: config.version,
+    createdAt: manifest.createdAt || new Date().toISOString(),
+    accountId: manifest.accountId || config.sfmc.accountId,
+    profile: manifest.profile ?? config.profile,
+    commands: [...(manifest.commands || []), command]
+  }, null, 2));
+}
+
+/**
+ * Record one exchange
+ * @param {string} kind - 'soap' or 'rest'
+ * @param {object} request - Redacted request description
+ * @param {string} hash - Request hash
+ * @param {object} response - { status, data }
+ */
+function recordExchange(kind, request, hash, response) {
+  const dir = config.recording.recordDir;
+  fs.mkdirSync(dir, { recursive: true });
+  writeManifest();
+
+  // Continue numbering after files left by an earlier process recording into the same directory
+  if (!sequenceByHash.has(hash)) {
+    let existing = 0;
+    while (fs.existsSync(exchangeFile(dir, kind, hash, existing))) existing++;
+    sequenceByHash.set(hash, existing);
+  }
+
+  const seq = sequenceByHash.get(hash);
+  sequenceByHash.set(hash, seq + 1);
+
+  const exchange = {
+    kind,
+    seq,
+    recordedAt: new Date().toISOString(),
+    request,
+    response: {
+      status: response.status,
+      data: redactSensitiveData(response.data, RECORDING_SENSITIVE_KEYS)
+    }
+  };
+
+  fs.writeFileSync(exchangeFile(dir, kind, hash, seq), JSON.stringify(exchange, null, 2));
+}
+
+/**
+ * Serve one recorded exchange
+ * @param {string} kind - 'soap' or 'rest'
+ * @param {object} request - Redacted request description
+ * @param {string} hash - Request hash
+ * @returns {object} Axios-style response
+ * @throws {Error} Axios-style error for recorded HTTP errors, or if nothing was recorded
+ */
+function replayExchange(kind, request, hash) {
+  const dir = config.recording.replayDir;
+  const served = sequenceByHash.get(hash) || 0;
+
+  let file = exchangeFile(dir, kind, hash, served);
+  if (fs.existsSync(file)) {
+    sequenceByHash.set(hash, served + 1);
+  } else {
+    file = served > 0 ? exchangeFile(dir, kind, hash, served - 1) : null;
+  }
+
+  if (!file || !fs.existsSync(file)) {
+    const objectType = request.body?.match(/<ObjectType>([^<]*)<\/ObjectType>/)?.[1];
+    const target = request.endpoint || [request.action, objectType].filter(Boolean).join(' ');
+    throw new Error(`No recorded ${kind.toUpperCase()} response for ${request.method ? request.method.toUpperCase() + ' ' : ''}${target} in ${dir}`);
+  }
+
+  const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (response.status >= 400) {
+    // Same shape as an axios error so retry and error handling behave as they did when recorded
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = { status: response.status, statusText: '', headers: {}, data: response.data };
+    throw error;
+  }
+
+  return { status: response.status, headers: {}, data: response.data };
+}
+
+/**
+ * Send a request through the recorder
+ * In record mode the real response (or HTTP error) is saved before it is returned;
+ * in replay mode send() is never called. Network errors without a response are
+ * not recorded, so a retry made after one lines up the same way on replay.
+ *
+ * @param {string} kind - 'soap' or 'rest'
+ * @param {object} request - Request description identifying the exchange
+ * @param {function} send - Performs the real request, returns an axios response
+ * @returns {Promise<object>} Axios-style response
+ */
+export async function sendRecorded(kind, request, send) {
+  const mode = getRecordingMode();
+  if (!mode) {
+    return send();
+  }
+
+  const redactedRequest = redactSensitiveData(request, RECORDING_SENSITIVE_KEYS);
+  const hash = hashRequest(redactedRequest);
+
+  if (mode === 'replay') {
+    return replayExchange(kind, redactedRequest, hash);
+  }
+
+  try {
+    const response = await send();
+    recordExchange(kind, redactedRequest, hash, response);
+    return response;
+  } catch (error) {
+    if (error.response) {
+      recordExchange(kind, redactedRequest, hash, error.response);
+    }
+    throw error;
+  }
+}
+
+export default {
+  getRecordingMode,
+  sendRecorded
+};
@@ -0,0 +1,482 @@
+/**
+ * Impact Analyzer
+ *
+ * Transitive (downstream) impact analysis for Data Extensions.
+ * Walks the read/write graph built from bulk data to any depth:
+ *
+ *   DE A --read by--> Query Q1 --writes--> DE B --referenced in--> Journey J
+ *
+ * Deleting A breaks Q1, which leaves B stale, which affects J. Every affected
+ * asset is reported with the path from the DE that caused it.
+ *
+ * Uses the bulk data loader and the direct dependency finder - no extra API calls.
+ */
+
+import { loadAllSfmcData, findAutomationsContainingActivity } from './bulk-data-loader.js';
+import { findDependenciesForDe, getQueryTableAccess } from './dependency-analyzer.js';
+import { escapeCSV } from './utils.js';
+
+/**
+ * Asset types in the impact graph
+ */
+export const ImpactAssetType = {
+  DATA_EXTENSION: 'Data Extension',
+  QUERY_ACTIVITY: 'Query Activity',
+  IMPORT_ACTIVITY: 'Import Activity',
+  FILTER_ACTIVITY: 'Filter Activity',
+  DATA_EXTRACT: 'Data Extract',
+  AUTOMATION: 'Automation',
+  JOURNEY: 'Journey',
+  TRIGGERED_SEND: 'Triggered Send',
+  CONTENT_ASSET: 'Content Asset'
+};
+
+// Activity types that can run inside an automation
+const AUTOMATION_ACTIVITY_TYPES = new Set([
+  ImpactAssetType.QUERY_ACTIVITY,
+  ImpactAssetType.IMPORT_ACTIVITY,
+  ImpactAssetType.FILTER_ACTIVITY,
+  ImpactAssetType.DATA_EXTRACT
+]);
+
+/**
+ * Build lookup maps for DEs in bulk data
+ * @param {object[]} dataExtensions - Raw SOAP DEs from bulk data
+ * @returns {object} {byKey, byName, byObjectId} maps of normalized DEs
+ */
+function buildDeIndex(dataExtensions) {
+  const byKey = new Map();
+  const byName = new Map();
+  const byObjectId = new Map();
+
+  for (const raw of dataExtensions || []) {
+    const de = {
+      customerKey: raw.CustomerKey,
+      name: raw.Name,
+      objectId: raw.ObjectID
+    };
+    if (de.customerKey) byKey.set(de.customerKey.toLowerCase(), de);
+    if (de.name && !byName.has(de.name.toLowerCase())) byName.set(de.name.toLowerCase(), de);
+    if (de.objectId) byObjectId.set(de.objectId.toLowerCase(), de);
+  }
+
+  return { byKey, byName, byObjectId };
+}
+
+/**
+ * Resolve a DE reference to a normalized DE, falling back to what we know
+ * @param {object} deIndex - Index from buildDeIndex
+ * @param {object} ref - {customerKey, name, objectId} (any may be missing)
+ * @returns {object|null} {customerKey, name, objectId}
+ */
+function resolveDe(deIndex, ref) {
+  const found = (ref.customerKey && deIndex.byKey.get(ref.customerKey.toLowerCase())) ||
+    (ref.objectId && deIndex.byObjectId.get(ref.objectId.toLowerCase())) ||
+    (ref.name && deIndex.byName.get(ref.name.toLowerCase()));
+
+  if (found) return found;
+  if (!ref.customerKey && !ref.name) return null;
+
+  // Not in this BU's DE list (e.g. shared ENT. DE) - keep what we have
+  return {
+    customerKey: ref.customerKey || ref.name,
+    name: ref.name || ref.customerKey,
+    objectId: ref.objectId || null
+  };
+}
+
+/**
+ * Build the graph key for an asset
+ * @param {string} type - ImpactAssetType
+ * @param {string} id - Asset id (DE CustomerKey for DEs)
+ * @returns {string} Node key
+ */
+function nodeKey(type, id) {
+  return `${type}:${String(id || '').toLowerCase()}`;
+}
+
+/**
+ * Describe the edge from a DE to a direct dependency
+ * @param {object} dep - Dependency from findDependenciesForDe
+ * @returns {string} Relation label
+ */
+function describeDeRelation(dep) {
+  switch (dep.type) {
+    case ImpactAssetType.QUERY_ACTIVITY:
+      if (dep.access === 'read/write') return 'read & written by';
+      return dep.access === 'write' ? 'written by' : 'read by';
+    case ImpactAssetType.IMPORT_ACTIVITY:
+      return 'import destination of';
+    case ImpactAssetType.FILTER_ACTIVITY:
+      return `${(dep.details || 'used').toLowerCase()} of`;
+    case ImpactAssetType.DATA_EXTRACT:
+      return 'extracted by';
+    case ImpactAssetType.CONTENT_ASSET:
+      return dep.access === 'write' ? 'written by code in' : 'used by code in';
+    default:
+      return 'referenced in';
+  }
+}
+
+/**
+ * Find the DEs written by a Query Activity (target + SQL write targets)
+ * @param {object} query - Query activity from bulk data
+ * @param {object} deIndex - Index from buildDeIndex
+ * @returns {object[]} Normalized DEs
+ */
+function findQueryWrites(query, deIndex) {
+  const writes = [];
+
+  const targetKey = query['DataExtensionTarget.CustomerKey'] || query.DataExtensionTarget?.CustomerKey;
+  const targetName = query['DataExtensionTarget.Name'] || query.DataExtensionTarget?.Name;
+  const target = resolveDe(deIndex, {
+    customerKey: typeof targetKey === 'string' ? targetKey : null,
+    name: typeof targetName === 'string' ? targetName : null
+  });
+  if (target) writes.push(target);
+
+  if (query.QueryText) {
+    for (const table of getQueryTableAccess(query).values()) {
+      if (!table.write) continue;
+      const de = resolveDe(deIndex, { name: table.name });
+      if (de) writes.push(de);
+    }
+  }
+
+  return writes;
+}
+
+/**
+ * Find the DEs a Content Builder asset's AMPscript/SSJS writes
+ * @param {object} asset - Scanned asset from bulk data
+ * @param {object} deIndex - Index from buildDeIndex
+ * @returns {object[]} Normalized DEs
+ */
+function findContentAssetWrites(asset, deIndex) {
+  return asset.deReferences
+    .filter(ref => ref.write)
+    .map(ref => resolveDe(deIndex, ref.byKey ? { customerKey: ref.name } : { name: ref.name }))
+    .filter(Boolean);
+}
+
+/**
+ * Build downstream impact for a set of DEs from pre-loaded bulk data
+ * Breadth-first, so each asset is reported with its shortest path.
+ *
+ * @param {object[]} dataExtensions - Start DEs with {customerKey, objectId, name}
+ * @param {object} bulkData - Pre-loaded SFMC data (with automation details and query text)
+ * @param {object} options - Options
+ * @param {number} options.maxDepth - Maximum hops from the start DEs (0 = unlimited)
+ * @param {function} options.progress - Progress callback (stage, current, total, message)
+ * @returns {object} Impact report
+ */
+export function buildImpactReport(dataExtensions, bulkData, options = {}) {
+  const { maxDepth = 0, progress = () => {} } = options;
+
+  const deIndex = buildDeIndex(bulkData.dataExtensions);
+  const queriesById = new Map(bulkData.queryActivities.map(q => [String(q.ObjectID).toLowerCase(), q]));
+  const filtersById = new Map(bulkData.filterActivities.map(f => [String(f.filterActivityId || f.id).toLowerCase(), f]));
+  const contentAssetsById = new Map(bulkData.contentAssets.map(a => [String(a.id), a]));
+
+  const visited = new Map();
+  const affected = [];
+  const notFound = [];
+  let queue = [];
+
+  for (const de of dataExtensions) {
+    const isKnown = (de.customerKey && deIndex.byKey.has(de.customerKey.toLowerCase())) ||
+      (de.name && deIndex.byName.has(de.name.toLowerCase()));
+    if (!isKnown) notFound.push(de.name || de.customerKey);
+
+    const startDe = resolveDe(deIndex, de) || de;
+    const key = nodeKey(ImpactAssetType.DATA_EXTENSION, startDe.customerKey);
+    if (visited.has(key)) continue;
+
+    const node = {
+      type: ImpactAssetType.DATA_EXTENSION,
+      id: startDe.customerKey,
+      name: startDe.name || startDe.customerKey,
+      objectId: de.objectId || startDe.objectId || null,
+      depth: 0,
+      path: [],
+      isStart: true
+    };
+    visited.set(key, node);
+    queue.push(node);
+  }
+
+  const startCount = queue.length;
+  let depth = 0;
+  let processed = 0;
+
+  // Add a child node if not seen yet; returns it for queueing (or null)
+  const visit = (parent, child, relation) => {
+    const key = nodeKey(child.type, child.id);
+    if (visited.has(key)) return null;
+
+    const node = {
+      ...child,
+      depth: parent.depth + 1,
+      path: [
+        ...parent.path,
+        { type: parent.type, name: parent.name, relation }
+      ],
+      isStart: false
+    };
+    visited.set(key, node);
+    affected.push(node);
+    return node;
+  };
+
+  while (queue.length > 0 && (!maxDepth || depth < maxDepth)) {
+    const nextQueue = [];
+
+    for (const node of queue) {
+      processed++;
+      progress('walking', processed, visited.size, `Depth ${depth}: ${node.type} ${node.name}`);
+
+      const children = [];
+
+      if (node.type === ImpactAssetType.DATA_EXTENSION) {
+        const deps = findDependenciesForDe({
+          customerKey: node.id,
+          name: node.name,
+          objectId: node.objectId
+        }, bulkData);
+
+        for (const dep of deps) {
+          children.push([{
+            type: dep.type,
+            id: dep.id,
+            name: dep.name,
+            status: dep.status,
+            details: dep.details
+          }, describeDeRelation(dep)]);
+        }
+      } else if (node.type === ImpactAssetType.QUERY_ACTIVITY) {
+        const query = queriesById.get(String(node.id).toLowerCase());
+        if (query) {
+          for (const de of findQueryWrites(query, deIndex)) {
+            children.push([{
+              type: ImpactAssetType.DATA_EXTENSION,
+              id: de.customerKey,
+              name: de.name,
+              objectId: de.objectId
+            }, 'writes']);
+          }
+        }
+      } else if (node.type === ImpactAssetType.FILTER_ACTIVITY) {
+        const filter = filtersById.get(String(node.id).toLowerCase());
+        const destination = filter?.destinationObjectId
+          ? resolveDe(deIndex, { objectId: filter.destinationObjectId })
+          : null;
+        if (destination && destination.customerKey) {
+          children.push([{
+            type: ImpactAssetType.DATA_EXTENSION,
+            id: destination.customerKey,
+            name: destination.name,
+            objectId: destination.objectId
+          }, 'writes']);
+        }
+      } else if (node.type === ImpactAssetType.CONTENT_ASSET) {
+        const asset = contentAssetsById.get(String(node.id));
+        if (asset) {
+          for (const de of findContentAssetWrites(asset, deIndex)) {
+            children.push([{
+              type: ImpactAssetType.DATA_EXTENSION,
+              id: de.customerKey,
+              name: de.name,
+              objectId: de.objectId
+            }, 'writes']);
+          }
+        }
+      }
+
+      // Broken activities fail the automations that run them
+      if (AUTOMATION_ACTIVITY_TYPES.has(node.type) && node.id) {
+        for (const automation of findAutomationsContainingActivity(String(node.id), bulkData)) {
+          children.push([{
+            type: ImpactAssetType.AUTOMATION,
+            id: automation.id,
+            name: automation.name,
+            status: automation.status,
+            lastRunTime: automation.lastRunTime
+          }, 'runs in']);
+        }
+      }
+
+      for (const [child, relation] of children) {
+        const added = visit(node, child, relation);
+        if (added) nextQueue.push(added);
+      }
+    }
+
+    queue = nextQueue;
+    depth++;
+  }
+
+  // Summaries
+  const byType = {};
+  for (const node of affected) {
+    byType[node.type] = (byType[node.type] || 0) + 1;
+  }
+
+  return {
+    startDataExtensions: Array.from(visited.values()).filter(n => n.isStart).map(n => ({
+      customerKey: n.id,
+      name: n.name
+    })),
+    notFound,
+    affected,
+    summary: {
+      startDes: startCount,
+      totalAffected: affected.length,
+      direct: affected.filter(n => n.depth === 1).length,
+      transitive: affected.filter(n => n.depth > 1).length,
+      maxDepthReached: affected.reduce((max, n) => Math.max(max, n.depth), 0),
+      depthLimited: !!maxDepth && queue.length > 0,
+      byType
+    }
+  };
+}
+
+/**
+ * Analyze downstream impact of removing a list of Data Extensions
+ *
+ * @param {object[]} dataExtensions - Array of DE objects with {customerKey, objectId, name}
+ * @param {object} options - Analysis options
+ * @param {number} options.maxDepth - Maximum hops (0 = unlimited)
+ * @param {object} options.logger - Logger instance
+ * @param {function} options.onProgress - Progress callback (stage, current, total, message)
+ * @param {boolean} options.forceRefresh - Force refresh of cached data
+ * @param {boolean} options.incremental - Refresh cached data with only what changed
+ * @param {string} options.accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} Impact report
+ */
+export async function analyzeImpact(dataExtensions, options = {}) {
+  const {
+    maxDepth = 0,
+    logger = null,
+    onProgress = null,
+    forceRefresh = false,
+    incremental = false,
+    accountId = null
+  } = options;
+
+  const progress = (stage, current, total, message) => {
+    if (onProgress) onProgress(stage, current, total, message);
+    if (logger) logger.debug(`[${stage}] ${current}/${total}: ${message}`);
+  };
+
+  progress('loading', 0, 1, 'Loading all SFMC metadata (this may take a moment)...');
+
+  const bulkData = await loadAllSfmcData({
+    logger,
+    onProgress: (stage, current, total, message) => {
+      progress(`loading-${stage}`, current, total, message);
+    },
+    includeAutomationDetails: true,
+    includeQueryText: true,
+    forceRefresh,
+    incremental,
+    accountId
+  });
+
+  progress('loading', 1, 1, 'All metadata loaded');
+
+  return buildImpactReport(dataExtensions, bulkData, { maxDepth, progress });
+}
+
+/**
+ * Format an impact path as a single line
+ * @param {object} node - Affected node with path
+ * @returns {string} e.g. "Orders -[read by]-> Q1 -[writes]-> Stage -[referenced in]-> Journey: Welcome"
+ */
+export function formatImpactPath(node) {
+  const parts = node.path.map(step => `${step.name} -[${step.relation}]->`);
+  parts.push(`${node.type}: ${node.name}`);
+  return parts.join(' ');
+}
+
+/**
+ * Format impact report for console output
+ * @param {object} report - Impact report
+ * @returns {string} Formatted report
+ */
+export function formatImpactReport(report) {
+  const lines = [];
+  const width = 70;
+  const line = '─'.repeat(width);
+
+  lines.push('');
+  lines.push(`┌${line}┐`);
+  lines.push(`│${'DOWNSTREAM IMPACT REPORT'.padStart(47).padEnd(width)}│`);
+  lines.push(`├${line}┤`);
+  lines.push(`│${` Data Extensions analyzed: ${report.summary.startDes}`.padEnd(width)}│`);
+  lines.push(`│${` Affected assets: ${report.summary.totalAffected}`.padEnd(width)}│`);
+  lines.push(`│${`   Direct: ${report.summary.direct}`.padEnd(width)}│`);
+  lines.push(`│${`   Transitive: ${report.summary.transitive}`.padEnd(width)}│`);
+  lines.push(`│${` Deepest path: ${report.summary.maxDepthReached}`.padEnd(width)}│`);
+  if (report.summary.depthLimited) {
+    lines.push(`│${' (depth limit reached - more assets may be affected)'.padEnd(width)}│`);
+  }
+
+  if (Object.keys(report.summary.byType).length > 0) {
+    lines.push(`│${''.padEnd(width)}│`);
+    lines.push(`│${' By Type:'.padEnd(width)}│`);
+    for (const [type, count] of Object.entries(report.summary.byType)) {
+      lines.push(`│${`   ${type}: ${count}`.padEnd(width)}│`);
+    }
+  }
+  lines.push(`└${line}┘`);
+
+  // Blast radius grouped by type, each with its path
+  const typeOrder = Object.values(ImpactAssetType);
+  for (const type of typeOrder) {
+    const nodes = report.affected.filter(n => n.type === type);
+    if (nodes.length === 0) continue;
+
+    lines.push('');
+    lines.push(`${type.toUpperCase()} (${nodes.length})`);
+    for (const node of nodes) {
+      const status = node.status !== undefined && node.status !== null ? ` [${node.status}]` : '';
+      lines.push(`  • ${node.name}${status}  (depth ${node.depth})`);
+      lines.push(`    ${formatImpactPath(node)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Export impact report to CSV
+ * @param {object} report - Impact report
+ * @returns {string} CSV content
+ */
+export function exportImpactToCsv(report) {
+  const headers = ['Asset Type', 'Asset Name', 'Asset ID', 'Status', 'Depth', 'Source DE', 'Path'];
+  const rows = [headers.join(',')];
+
+  for (const node of report.affected) {
+    rows.push([
+      escapeCSV(node.type),
+      escapeCSV(node.name),
+      escapeCSV(node.id),
+      escapeCSV(node.status),
+      node.depth,
+      escapeCSV(node.path[0]?.name),
+      escapeCSV(formatImpactPath(node))
+    ].join(','));
+  }
+
+  return rows.join('\n');
+}
+
+export default {
+  ImpactAssetType,
+  analyzeImpact,
+  buildImpactReport,
+  formatImpactReport,
+  formatImpactPath,
+  exportImpactToCsv
+};
@@ -0,0 +1,436 @@
+/**
+ * Column Lineage Analyzer
+ *
+ * Builds a field-level lineage graph from Query Activity SQL:
+ * for each target DE field, which source DE fields feed it and through
+ * which Query Activity. Works entirely on pre-loaded bulk data.
+ *
+ * Output formats: JSON-friendly graph, Mermaid flowchart, Graphviz DOT.
+ */
+
+import { extractColumnLineage } from './sql-parser.js';
+import { retrieveDataExtensionFields } from './sfmc-soap.js';
+import { createConcurrencyLimiter } from './utils.js';
+import config from '../config/index.js';
+
+/**
+ * Build a node id for a DE field
+ * @param {string} deName - Data Extension name
+ * @param {string} fieldName - Field name
+ * @returns {string} Node id
+ */
+function buildNodeId(deName, fieldName) {
+  return `${deName}.${fieldName}`;
+}
+
+/**
+ * Resolve the target DE name of a Query Activity
+ * @param {object} query - Query Activity (SOAP, flattened keys)
+ * @param {Map<string, object>} desByKey - Lower-cased CustomerKey -> DE
+ * @returns {string|null} Target DE name
+ */
+function getQueryTargetName(query, desByKey) {
+  const targetName = query['DataExtensionTarget.Name'] || query.DataExtensionTarget?.Name;
+  if (typeof targetName === 'string' && targetName) return targetName;
+
+  const targetKey = query['DataExtensionTarget.CustomerKey'] || query.DataExtensionTarget?.CustomerKey;
+  if (typeof targetKey === 'string' && targetKey) {
+    return desByKey.get(targetKey.toLowerCase())?.Name || targetKey;
+  }
+  return null;
+}
+
+/**
+ * Try to resolve an unqualified column against known DE field lists
+ * @param {object} source - Source column with candidates
+ * @param {Map<string, Set<string>>|null} fieldsByDe - Lower-cased DE name -> lower-cased field names
+ * @returns {object} Resolved source (table set) or the original source
+ */
+function resolveAmbiguousSource(source, fieldsByDe) {
+  if (source.table || !fieldsByDe || !source.candidates) return source;
+
+  const columnLower = source.column.toLowerCase();
+  const owners = source.candidates.filter(candidate =>
+    fieldsByDe.get(candidate.toLowerCase())?.has(columnLower)
+  );
+
+  if (owners.length === 1) {
+    return { table: owners[0], column: source.column, isEnterprise: false };
+  }
+  return source;
+}
+
+/**
+ * Build the field-level lineage graph
+ *
+ * @param {object} bulkData - Data from loadAllSfmcData (with QueryText)
+ * @param {object} options - Options
+ * @param {Map<string, Set<string>>} options.fieldsByDe - Known DE fields used to resolve unqualified columns
+ * @param {object} options.logger - Logger instance
+ * @returns {object} Graph: {generatedAt, nodes, edges, queries, unresolved, ambiguousTables, summary}
+ */
+export function buildLineageGraph(bulkData, options = {}) {
+  const { fieldsByDe = null, logger = null } = options;
+
+  const desByKey = new Map();
+  for (const de of bulkData.dataExtensions || []) {
+    if (de.CustomerKey) desByKey.set(de.CustomerKey.toLowerCase(), de);
+  }
+
+  const nodes = new Map();
+  const edges = [];
+  const edgeKeys = new Set();
+  const queries = [];
+  const unresolved = [];
+  const ambiguousTables = new Set();
+  let skipped = 0;
+
+  const addNode = (deName, fieldName) => {
+    const id = buildNodeId(deName, fieldName);
+    const key = id.toLowerCase();
+    if (!nodes.has(key)) {
+      nodes.set(key, { id, dataExtension: deName, field: fieldName });
+    }
+    return nodes.get(key).id;
+  };
+
+  for (const query of bulkData.queryActivities || []) {
+    const targetName = getQueryTargetName(query, desByKey);
+
+    if (!query.QueryText || !targetName) {
+      skipped++;
+      continue;
+    }
+
+    let lineage;
+    try {
+      lineage = extractColumnLineage(query.QueryText);
+    } catch (error) {
+      if (logger) logger.warn(`Failed to parse SQL for query "${query.Name}": ${error.message}`);
+      queries.push({ name: query.Name, customerKey: query.CustomerKey, objectId: query.ObjectID, target: targetName, error: error.message });
+      continue;
+    }
+
+    queries.push({
+      name: query.Name,
+      customerKey: query.CustomerKey,
+      objectId: query.ObjectID,
+      target: targetName,
+      columnCount: lineage.columns.length
+    });
+
+    lineage.columns.forEach((column, index) => {
+      const targetField = column.name || `Column${index + 1}`;
+
+      for (const rawSource of column.sources) {
+        const source = resolveAmbiguousSource(rawSource, fieldsByDe);
+
+        if (!source.table) {
+          (source.candidates || []).forEach(candidate => ambiguousTables.add(candidate));
+          unresolved.push({
+            query: query.Name,
+            targetDataExtension: targetName,
+            targetField,
+            column: source.column,
+            candidates: source.candidates || []
+          });
+          continue;
+        }
+
+        const from = addNode(source.table, source.column);
+        const to = addNode(targetName, targetField);
+        const edgeKey = `${from}|${to}|${query.ObjectID}`.toLowerCase();
+        if (edgeKeys.has(edgeKey)) continue;
+        edgeKeys.add(edgeKey);
+
+        edges.push({
+          from,
+          to,
+          queryName: query.Name,
+          queryKey: query.CustomerKey,
+          queryObjectId: query.ObjectID,
+          transform: column.transform,
+          expression: column.expression
+        });
+      }
+    });
+  }
+
+  const nodeList = Array.from(nodes.values());
+
+  return {
+    generatedAt: new Date().toISOString(),
+    nodes: nodeList,
+    edges,
+    queries,
+    unresolved,
+    ambiguousTables: Array.from(ambiguousTables),
+    summary: {
+      queriesAnalyzed: queries.length,
+      queriesSkipped: skipped,
+      dataExtensions: new Set(nodeList.map(n => n.dataExtension.toLowerCase())).size,
+      fields: nodeList.length,
+      edges: edges.length,
+      unresolved: unresolved.length
+    }
+  };
+}
+
+/**
+ * Load field lists for DEs so unqualified columns can be attributed
+ * @param {string[]} deNames - DE names to load
+ * @param {object} bulkData - Data from loadAllSfmcData (for name -> key lookup)
+ * @param {object} options - Options
+ * @param {object} options.logger - Logger instance
+ * @param {string} options.accountId - Business Unit account ID
+ * @param {function} options.onProgress - Progress callback (current, total, name)
+ * @returns {Promise<Map<string, Set<string>>>} Lower-cased DE name -> lower-cased field names
+ */
+export async function loadFieldsForDataExtensions(deNames, bulkData, options = {}) {
+  const { logger = null, accountId = null, onProgress = null } = options;
+
+  const desByName = new Map();
+  for (const de of bulkData.dataExtensions || []) {
+    if (de.Name) desByName.set(de.Name.toLowerCase(), de);
+  }
+
+  const fieldsByDe = new Map();
+  const limit = createConcurrencyLimiter(config.concurrency.queryTextConcurrency);
+  let completed = 0;
+
+  await Promise.all(deNames.map(deName => limit(async () => {
+    const de = desByName.get(deName.toLowerCase());
+    if (de?.CustomerKey) {
+      try {
+        const fields = await retrieveDataExtensionFields(de.CustomerKey, logger, accountId);
+        fieldsByDe.set(deName.toLowerCase(), new Set(fields.map(f => (f.Name || '').toLowerCase())));
+      } catch (error) {
+        if (logger) logger.warn(`Failed to load fields for "${deName}": ${error.message}`);
+      }
+    }
+    completed++;
+    if (onProgress) onProgress(completed, deNames.length, deName);
+  })));
+
+  return fieldsByDe;
+}
+
+/**
+ * Extract the part of the graph connected to a DE or field
+ *
+ * @param {object} graph - Graph from buildLineageGraph
+ * @param {object} focus - Focus options
+ * @param {string} focus.dataExtension - DE name
+ * @param {string} focus.field - Field name (optional, all DE fields if omitted)
+ * @param {string} focus.direction - 'upstream', 'downstream' or 'both' (default: both)
+ * @param {number} focus.maxDepth - Maximum hops (0 = unlimited)
+ * @returns {object} Graph with the same shape, limited to connected nodes/edges
+ */
+export function traceLineage(graph, focus = {}) {
+  const { dataExtension, field = null, direction = 'both', maxDepth = 0 } = focus;
+  const deLower = (dataExtension || '').toLowerCase();
+  const fieldLower = field ? field.toLowerCase() : null;
+
+  const startIds = graph.nodes
+    .filter(n => n.dataExtension.toLowerCase() === deLower && (!fieldLower || n.field.toLowerCase() === fieldLower))
+    .map(n => n.id);
+
+  const incoming = new Map();
+  const outgoing = new Map();
+  for (const edge of graph.edges) {
+    if (!incoming.has(edge.to)) incoming.set(edge.to, []);
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    incoming.get(edge.to).push(edge);
+    outgoing.get(edge.from).push(edge);
+  }
+
+  const keptEdges = new Set();
+  const keptNodes = new Set(startIds);
+
+  const walk = (adjacency, nextKey) => {
+    const visited = new Set(startIds);
+    let frontier = [...startIds];
+    let depth = 0;
+
+    while (frontier.length > 0 && (!maxDepth || depth < maxDepth)) {
+      const nextFrontier = [];
+      for (const nodeId of frontier) {
+        for (const edge of adjacency.get(nodeId) || []) {
+          keptEdges.add(edge);
+          const nextId = edge[nextKey];
+          keptNodes.add(nextId);
+          if (!visited.has(nextId)) {
+            visited.add(nextId);
+            nextFrontier.push(nextId);
+          }
+        }
+      }
+      frontier = nextFrontier;
+      depth++;
+    }
+  };
+
+  if (direction === 'upstream' || direction === 'both') walk(incoming, 'from');
+  if (direction === 'downstream' || direction === 'both') walk(outgoing, 'to');
+
+  const nodes = graph.nodes.filter(n => keptNodes.has(n.id));
+  const edges = graph.edges.filter(e => keptEdges.has(e));
+
+  return {
+    ...graph,
+    focus: { dataExtension, field, direction, maxDepth },
+    nodes,
+    edges,
+    unresolved: graph.unresolved.filter(u =>
+      u.targetDataExtension.toLowerCase() === deLower && (!fieldLower || u.targetField.toLowerCase() === fieldLower)
+    ),
+    summary: {
+      ...graph.summary,
+      dataExtensions: new Set(nodes.map(n => n.dataExtension.toLowerCase())).size,
+      fields: nodes.length,
+      edges: edges.length
+    }
+  };
+}
+
+/**
+ * Group graph nodes by DE, keeping first-seen order
+ * @param {object[]} nodes - Graph nodes
+ * @returns {Map<string, object[]>} DE name -> nodes
+ */
+function groupNodesByDataExtension(nodes) {
+  const groups = new Map();
+  for (const node of nodes) {
+    if (!groups.has(node.dataExtension)) groups.set(node.dataExtension, []);
+    groups.get(node.dataExtension).push(node);
+  }
+  return groups;
+}
+
+/**
+ * Escape a label for Mermaid
+ * @param {string} text - Label text
+ * @returns {string} Escaped text
+ */
+function escapeMermaid(text) {
+  return String(text).replace(/"/g, '#quot;');
+}
+
+/**
+ * Escape a label for Graphviz DOT
+ * @param {string} text - Label text
+ * @returns {string} Escaped text
+ */
+function escapeDot(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a lineage graph as a Mermaid flowchart
+ * DEs become subgraphs, fields become nodes, edges are labelled with the query name.
+ * @param {object} graph - Graph from buildLineageGraph/traceLineage
+ * @returns {string} Mermaid source
+ */
+export function toMermaid(graph) {
+  const lines = ['flowchart LR'];
+  const shortIds = new Map();
+
+  let deIndex = 0;
+  for (const [deName, nodes] of groupNodesByDataExtension(graph.nodes)) {
+    lines.push(`  subgraph de${deIndex}["${escapeMermaid(deName)}"]`);
+    for (const node of nodes) {
+      const shortId = `f${shortIds.size}`;
+      shortIds.set(node.id, shortId);
+      lines.push(`    ${shortId}["${escapeMermaid(node.field)}"]`);
+    }
+    lines.push('  end');
+    deIndex++;
+  }
+
+  for (const edge of graph.edges) {
+    const arrow = edge.transform === 'direct' ? '-->' : '-.->';
+    lines.push(`  ${shortIds.get(edge.from)} ${arrow}|"${escapeMermaid(edge.queryName)}"| ${shortIds.get(edge.to)}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a lineage graph as Graphviz DOT
+ * DEs become clusters, fields become nodes, edges are labelled with the query name.
+ * @param {object} graph - Graph from buildLineageGraph/traceLineage
+ * @returns {string} DOT source
+ */
+export function toDot(graph) {
+  const lines = [
+    'digraph lineage {',
+    '  rankdir=LR;',
+    '  node [shape=box, fontsize=10];',
+    '  edge [fontsize=9];'
+  ];
+  const shortIds = new Map();
+
+  let deIndex = 0;
+  for (const [deName, nodes] of groupNodesByDataExtension(graph.nodes)) {
+    lines.push(`  subgraph cluster_${deIndex} {`);
+    lines.push(`    label="${escapeDot(deName)}";`);
+    for (const node of nodes) {
+      const shortId = `f${shortIds.size}`;
+      shortIds.set(node.id, shortId);
+      lines.push(`    ${shortId} [label="${escapeDot(node.field)}"];`);
+    }
+    lines.push('  }');
+    deIndex++;
+  }
+
+  for (const edge of graph.edges) {
+    const style = edge.transform === 'direct' ? '' : ', style=dashed';
+    lines.push(`  ${shortIds.get(edge.from)} -> ${shortIds.get(edge.to)} [label="${escapeDot(edge.queryName)}"${style}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Describe where a field comes from as indented text lines (upstream tree)
+ * @param {object} graph - Graph from buildLineageGraph
+ * @param {string} deName - DE name
+ * @param {string} fieldName - Field name
+ * @param {number} maxDepth - Maximum hops (0 = unlimited)
+ * @returns {string[]} Lines of text
+ */
+export function describeFieldOrigin(graph, deName, fieldName, maxDepth = 0) {
+  const incoming = new Map();
+  for (const edge of graph.edges) {
+    const key = edge.to.toLowerCase();
+    if (!incoming.has(key)) incoming.set(key, []);
+    incoming.get(key).push(edge);
+  }
+
+  const lines = [];
+  const walk = (nodeId, depth, path) => {
+    const edges = incoming.get(nodeId.toLowerCase()) || [];
+    for (const edge of edges) {
+      const indent = '  '.repeat(depth);
+      const cycle = path.has(edge.from.toLowerCase());
+      lines.push(`${indent}← ${edge.from}  via "${edge.queryName}"${edge.transform === 'direct' ? '' : ` (${edge.expression})`}${cycle ? ' [cycle]' : ''}`);
+      if (!cycle && (!maxDepth || depth + 1 < maxDepth)) {
+        walk(edge.from, depth + 1, new Set([...path, edge.from.toLowerCase()]));
+      }
+    }
+  };
+
+  const startId = buildNodeId(deName, fieldName);
+  walk(startId, 0, new Set([startId.toLowerCase()]));
+  return lines;
+}
+
+export default {
+  buildLineageGraph,
+  loadFieldsForDataExtensions,
+  traceLineage,
+  toMermaid,
+  toDot,
+  describeFieldOrigin
+};
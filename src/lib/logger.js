@@ -60,7 +60,7 @@ export function createLogger(scriptName) {
       timestamp(),
       errors({ stack: true })
     ),
-    defaultMeta: { script: scriptName },
+    defaultMeta: config.profile ? { script: scriptName, profile: config.profile } : { script: scriptName },
     transports: [
       // Console transport with colors
       new winston.transports.Console({
@@ -135,6 +135,7 @@ export function createAuditLogger(operationType) {
     startedAt: new Date().toISOString(),
     completedAt: null,
     businessUnit: config.sfmc.accountId,
+    profile: config.profile,
     options: {},
     preExecutionState: {},
     results: {
@@ -0,0 +1,652 @@
+/**
+ * Migration Service
+ * Copies a folder of Data Extensions from one Business Unit to another:
+ * the folder tree, each DE's schema (and optionally its rows), the Query
+ * Activities that load those DEs and the filter activities between them.
+ *
+ * Both BUs are reached with the same credentials through the per-accountId
+ * token cache. Objects that already exist in the target (same CustomerKey or
+ * name) are reused, never changed, and every object is recorded in a
+ * mapping file with its source and target keys and IDs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+import { getFolderByPath, getSubfolders, ensureFolderPath } from './folder-service.js';
+import {
+  getDataExtensionsInFolder,
+  getAllDataExtensions,
+  getDataExtensionSchema,
+  getRowCount
+} from './data-extension-service.js';
+import {
+  createDataExtension,
+  createQueryActivity,
+  retrieveQueryDefinitions,
+  retrieveQueryTexts
+} from './sfmc-soap.js';
+import {
+  getFilterActivities,
+  getFilterActivityDetails,
+  getFilterDefinition,
+  createFilterDefinition,
+  createFilterActivity
+} from './sfmc-rest.js';
+import { backupDataExtensionRows, restoreDataExtensionRows } from './row-backup-service.js';
+import { buildSchemaDefinition, toCreateRequest } from './schema-service.js';
+import { getTableAccessMap } from './sql-parser.js';
+
+export const MIGRATION_MAPPING_VERSION = 1;
+
+/**
+ * What happens to each object in the target BU
+ */
+export const MigrationAction = {
+  CREATE: 'create',
+  EXISTS: 'exists',
+  SKIP: 'skip'
+};
+
+/**
+ * Outcome of each object, as recorded in the mapping file
+ */
+export const MigrationStatus = {
+  PLANNED: 'planned',
+  CREATED: 'created',
+  EXISTS: 'exists',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+// Condition field references in a filter definition's XML
+const FILTER_CONDITION_ID_PATTERN = /(<Condition\b[^>]*\bID=")([^"]+)(")/gi;
+
+// =============================================================================
+// Planning
+// =============================================================================
+
+/**
+ * Map a folder path under the source root to the same place under the target root
+ * @param {string} sourcePath - Source folder path
+ * @param {string} sourceRootPath - Path of the migrated source folder
+ * @param {string} targetRootPath - Path it is migrated to
+ * @returns {string} Target folder path
+ */
+export function mapFolderPath(sourcePath, sourceRootPath, targetRootPath) {
+  const relative = sourcePath.slice(sourceRootPath.length).replace(/^\/+/, '');
+  return relative ? `${targetRootPath}/${relative}` : targetRootPath;
+}
+
+/**
+ * Index objects by lower-cased key and name
+ * @param {object[]} items - Objects
+ * @param {function} getKey - item => key
+ * @param {function} getName - item => name
+ * @returns {object} { byKey, byName }
+ */
+function indexByKeyAndName(items, getKey, getName) {
+  const byKey = new Map();
+  const byName = new Map();
+
+  for (const item of items) {
+    if (getKey(item)) byKey.set(String(getKey(item)).toLowerCase(), item);
+    if (getName(item)) byName.set(String(getName(item)).toLowerCase(), item);
+  }
+
+  return { byKey, byName };
+}
+
+/**
+ * Find the target object matching a source object by key, then by name
+ * @param {object} index - indexByKeyAndName() result for the target BU
+ * @param {string} key - Source CustomerKey
+ * @param {string} name - Source name
+ * @returns {object|null} { match, byName } or null
+ */
+function findExisting(index, key, name) {
+  const byKey = key ? index.byKey.get(String(key).toLowerCase()) : null;
+  if (byKey) return { match: byKey, byName: false };
+
+  const byName = name ? index.byName.get(String(name).toLowerCase()) : null;
+  return byName ? { match: byName, byName: true } : null;
+}
+
+/**
+ * Tables a query reads that will not exist in the target BU
+ * System data views (_Sent, _Subscribers, ...) and ENT. tables are assumed to exist.
+ * @param {string} queryText - SQL
+ * @param {Set<string>} knownNames - Lower-cased DE names migrated or already in the target
+ * @returns {string[]} Table names
+ */
+function findMissingTables(queryText, knownNames) {
+  const missing = [];
+
+  for (const table of getTableAccessMap(queryText || '').values()) {
+    if (!table.read || table.isEnterprise || table.name.startsWith('_')) continue;
+    if (!knownNames.has(table.name.toLowerCase())) missing.push(table.name);
+  }
+
+  return missing;
+}
+
+/**
+ * Work out what a migration would create in the target BU
+ * Reads both BUs but changes nothing.
+ * @param {object} sourceFolder - Folder object (with path) in the source BU
+ * @param {object} options - Options
+ * @param {string} options.targetFolderPath - Folder path the source folder becomes in the target BU
+ * @param {string} options.sourceAccountId - Source BU MID
+ * @param {string} options.targetAccountId - Target BU MID
+ * @param {boolean} options.includeQueries - Migrate Query Activities that load the DEs (default: true)
+ * @param {boolean} options.includeFilters - Migrate filter activities between the DEs (default: true)
+ * @param {object} options.logger - Logger instance
+ * @param {function} options.onProgress - (message) => void
+ * @returns {Promise<object>} Plan { source, target, folders, dataExtensions, queries, filters }
+ */
+export async function planMigration(sourceFolder, options) {
+  const {
+    targetFolderPath,
+    sourceAccountId,
+    targetAccountId,
+    includeQueries = true,
+    includeFilters = true,
+    logger = null,
+    onProgress = () => {}
+  } = options;
+
+  const plan = {
+    source: { businessUnit: String(sourceAccountId), folder: sourceFolder.path },
+    target: { businessUnit: String(targetAccountId), folder: targetFolderPath },
+    folders: [],
+    dataExtensions: [],
+    queries: [],
+    filters: []
+  };
+
+  // Folders, parents first
+  onProgress('Reading folders...');
+  const sourceFolders = [sourceFolder, ...(await getSubfolders(sourceFolder.id, true, logger, sourceAccountId))];
+
+  for (const folder of sourceFolders) {
+    const targetPath = mapFolderPath(folder.path, sourceFolder.path, targetFolderPath);
+    const existing = await getFolderByPath(targetPath, logger, targetAccountId);
+
+    plan.folders.push({
+      sourceId: folder.id,
+      sourcePath: folder.path,
+      targetPath,
+      targetId: existing?.id ?? null,
+      action: existing ? MigrationAction.EXISTS : MigrationAction.CREATE
+    });
+  }
+
+  // Data Extensions
+  onProgress('Reading Data Extensions in the target BU...');
+  const targetDes = await getAllDataExtensions(logger, targetAccountId);
+  const targetDeIndex = indexByKeyAndName(targetDes, de => de.customerKey, de => de.name);
+
+  for (const folder of plan.folders) {
+    onProgress(`Reading ${folder.sourcePath}...`);
+    const dataExtensions = await getDataExtensionsInFolder(folder.sourceId, logger, sourceAccountId);
+
+    for (const de of dataExtensions) {
+      const fields = await getDataExtensionSchema(de.customerKey, logger, sourceAccountId);
+      const existing = findExisting(targetDeIndex, de.customerKey, de.name);
+
+      plan.dataExtensions.push({
+        name: de.name,
+        sourceKey: de.customerKey,
+        sourceObjectId: de.objectId,
+        sourceFolderPath: folder.sourcePath,
+        targetFolderPath: folder.targetPath,
+        fields,
+        action: existing ? MigrationAction.EXISTS : MigrationAction.CREATE,
+        targetKey: existing ? existing.match.customerKey : de.customerKey,
+        targetObjectId: existing ? existing.match.objectId : null,
+        reason: existing?.byName ? `A DE named "${de.name}" exists with key "${existing.match.customerKey}"` : null,
+        definition: existing ? null : buildSchemaDefinition(de, fields, folder.targetPath)
+      });
+    }
+  }
+
+  const deBySourceKey = new Map(plan.dataExtensions.map(item => [item.sourceKey.toLowerCase(), item]));
+  const deBySourceObjectId = new Map(plan.dataExtensions.map(item => [String(item.sourceObjectId).toLowerCase(), item]));
+
+  // Query Activities that load a migrated DE
+  if (includeQueries && plan.dataExtensions.length > 0) {
+    onProgress('Reading Query Activities...');
+    const sourceQueries = (await retrieveQueryDefinitions(logger, false, sourceAccountId)).filter(query => {
+      const targetKey = query['DataExtensionTarget.CustomerKey'] || query.DataExtensionTarget?.CustomerKey;
+      return targetKey && deBySourceKey.has(targetKey.toLowerCase());
+    });
+
+    const queryTexts = await retrieveQueryTexts(sourceQueries.map(q => q.ObjectID), logger, null, sourceAccountId);
+    const targetQueryIndex = indexByKeyAndName(
+      await retrieveQueryDefinitions(logger, false, targetAccountId),
+      query => query.CustomerKey,
+      query => query.Name
+    );
+    const knownNames = new Set([
+      ...targetDes.map(de => de.name.toLowerCase()),
+      ...plan.dataExtensions.map(item => item.name.toLowerCase())
+    ]);
+
+    for (const query of sourceQueries) {
+      const targetDe = deBySourceKey.get((query['DataExtensionTarget.CustomerKey'] || query.DataExtensionTarget?.CustomerKey).toLowerCase());
+      const queryText = queryTexts.get(query.ObjectID) || null;
+      const existing = findExisting(targetQueryIndex, query.CustomerKey, query.Name);
+
+      let action = existing ? MigrationAction.EXISTS : MigrationAction.CREATE;
+      let reason = existing?.byName ? `A query named "${query.Name}" exists with key "${existing.match.CustomerKey}"` : null;
+      if (!existing && !queryText) {
+        action = MigrationAction.SKIP;
+        reason = 'Query text could not be retrieved';
+      }
+
+      plan.queries.push({
+        name: query.Name,
+        sourceKey: query.CustomerKey,
+        sourceObjectId: query.ObjectID,
+        description: query.Description || '',
+        queryText,
+        targetUpdateType: query.TargetUpdateType || 'Overwrite',
+        dataExtension: targetDe,
+        action,
+        targetKey: existing ? existing.match.CustomerKey : query.CustomerKey,
+        targetObjectId: existing ? existing.match.ObjectID : null,
+        reason,
+        missingTables: action === MigrationAction.CREATE ? findMissingTables(queryText, knownNames) : []
+      });
+    }
+  }
+
+  // Filter activities whose source and destination DEs are both migrated
+  if (includeFilters && plan.dataExtensions.length > 0) {
+    onProgress('Reading filter activities...');
+    const sourceFilters = (await getFilterActivities(logger, sourceAccountId))
+      .filter(filter => filter.sourceObjectId && deBySourceObjectId.has(filter.sourceObjectId.toLowerCase()));
+
+    const targetFilterIndex = sourceFilters.length > 0
+      ? indexByKeyAndName(await getFilterActivities(logger, targetAccountId), f => f.customerKey, f => f.name)
+      : null;
+
+    for (const filter of sourceFilters) {
+      const details = await getFilterActivityDetails(filter.filterActivityId || filter.id, logger, sourceAccountId) || filter;
+      const destination = details.destinationObjectId
+        ? deBySourceObjectId.get(details.destinationObjectId.toLowerCase())
+        : null;
+      const existing = findExisting(targetFilterIndex, details.customerKey, details.name);
+
+      let action = existing ? MigrationAction.EXISTS : MigrationAction.CREATE;
+      let reason = existing?.byName ? `A filter named "${details.name}" exists with key "${existing.match.customerKey}"` : null;
+      if (!existing && !destination) {
+        action = MigrationAction.SKIP;
+        reason = 'Its destination DE is outside the migrated folder';
+      } else if (!existing && !details.filterDefinitionId) {
+        action = MigrationAction.SKIP;
+        reason = 'No filter definition';
+      }
+
+      plan.filters.push({
+        name: details.name,
+        sourceKey: details.customerKey,
+        sourceId: details.filterActivityId || details.id,
+        description: details.description || '',
+        filterDefinitionId: details.filterDefinitionId || null,
+        sourceTypeId: details.sourceTypeId,
+        destinationTypeId: details.destinationTypeId,
+        dataExtension: deBySourceObjectId.get(filter.sourceObjectId.toLowerCase()),
+        destination,
+        action,
+        targetKey: existing ? existing.match.customerKey : details.customerKey,
+        targetId: existing ? (existing.match.filterActivityId || existing.match.id) : null,
+        reason
+      });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Count the objects a plan creates
+ * @param {object} plan - planMigration() result
+ * @returns {object} { folders, dataExtensions, queries, filters, total }
+ */
+export function countMigrationCreates(plan) {
+  const count = (items) => items.filter(item => item.action === MigrationAction.CREATE).length;
+  const counts = {
+    folders: count(plan.folders),
+    dataExtensions: count(plan.dataExtensions),
+    queries: count(plan.queries),
+    filters: count(plan.filters)
+  };
+  counts.total = counts.folders + counts.dataExtensions + counts.queries + counts.filters;
+  return counts;
+}
+
+// =============================================================================
+// Execution
+// =============================================================================
+// Each function creates one planned object in the target BU and records the
+// outcome on the plan item (status, target IDs, error).
+
+/**
+ * Create a planned folder (and any missing parents) in the target BU
+ * @param {object} item - Plan folder
+ * @param {string} targetAccountId - Target BU MID
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} The plan item
+ */
+export async function migrateFolder(item, targetAccountId, logger = null) {
+  try {
+    const folder = await ensureFolderPath(item.targetPath, logger, targetAccountId);
+    item.targetId = folder.id;
+    item.status = MigrationStatus.CREATED;
+  } catch (error) {
+    item.status = MigrationStatus.FAILED;
+    item.error = error.message;
+  }
+  return item;
+}
+
+/**
+ * Create a planned Data Extension in the target BU
+ * @param {object} item - Plan Data Extension
+ * @param {string} targetAccountId - Target BU MID
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} The plan item
+ */
+export async function migrateDataExtension(item, targetAccountId, logger = null) {
+  try {
+    const folder = await ensureFolderPath(item.targetFolderPath, logger, targetAccountId);
+    const result = await createDataExtension(toCreateRequest(item.definition, folder.id), logger, targetAccountId);
+
+    if (result.success) {
+      item.targetObjectId = result.objectId || null;
+      item.status = MigrationStatus.CREATED;
+    } else {
+      item.status = MigrationStatus.FAILED;
+      item.error = result.error;
+    }
+  } catch (error) {
+    item.status = MigrationStatus.FAILED;
+    item.error = error.message;
+  }
+  return item;
+}
+
+/**
+ * Copy the rows of a migrated Data Extension
+ * Rows are backed up from the source BU to `outputDir` first (so the copy
+ * respects the row backup limit and leaves a file behind), then loaded.
+ * @param {object} item - Plan Data Extension that was created
+ * @param {string} outputDir - Directory for the row file
+ * @param {object} options - { sourceAccountId, targetAccountId, logger, onProgress }
+ * @returns {Promise<object>} { success, rowCount, created, failed, error }
+ */
+export async function copyDataExtensionRows(item, outputDir, options = {}) {
+  const { sourceAccountId, targetAccountId, logger = null, onProgress = null } = options;
+
+  const rowCount = await getRowCount(item.sourceKey, logger, sourceAccountId);
+  const backup = await backupDataExtensionRows(
+    { customerKey: item.sourceKey, name: item.name, fields: item.fields, rowCount },
+    outputDir,
+    { logger, accountId: sourceAccountId }
+  );
+
+  if (!backup.success) {
+    return { success: false, rowCount: backup.rowCount || 0, created: 0, failed: 0, error: backup.error };
+  }
+
+  const restore = await restoreDataExtensionRows(item.targetKey, backup.filePath, {
+    logger,
+    accountId: targetAccountId,
+    onProgress
+  });
+
+  return {
+    success: restore.success,
+    rowCount: backup.rowCount,
+    created: restore.created,
+    failed: restore.failed,
+    error: restore.errors[0] || null
+  };
+}
+
+/**
+ * Create a planned Query Activity in the target BU, writing to the migrated DE
+ * Queries are created in the target's root query folder.
+ * @param {object} item - Plan query
+ * @param {string} targetAccountId - Target BU MID
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} The plan item
+ */
+export async function migrateQuery(item, targetAccountId, logger = null) {
+  if (item.dataExtension.status === MigrationStatus.FAILED) {
+    item.status = MigrationStatus.SKIPPED;
+    item.error = `Target DE ${item.dataExtension.name} was not created`;
+    return item;
+  }
+
+  const result = await createQueryActivity({
+    Name: item.name,
+    CustomerKey: item.sourceKey,
+    Description: item.description,
+    QueryText: item.queryText,
+    TargetType: 'DE',
+    TargetUpdateType: item.targetUpdateType,
+    DataExtensionTargetKey: item.dataExtension.targetKey
+  }, logger, targetAccountId);
+
+  if (result.success) {
+    item.targetObjectId = result.objectId || null;
+    item.status = MigrationStatus.CREATED;
+  } else {
+    item.status = MigrationStatus.FAILED;
+    item.error = result.error;
+  }
+  return item;
+}
+
+/**
+ * Point the field references in a filter definition at other field IDs
+ * @param {string} xml - filterDefinitionXml
+ * @param {Map<string, string>} fieldIdMap - Lower-cased source field ObjectID -> target field ObjectID
+ * @returns {object} { xml, unmapped } - unmapped lists IDs with no target field
+ */
+export function remapFilterDefinitionXml(xml, fieldIdMap) {
+  const unmapped = [];
+
+  const remapped = (xml || '').replace(FILTER_CONDITION_ID_PATTERN, (match, before, id, after) => {
+    const targetId = fieldIdMap.get(id.toLowerCase());
+    if (!targetId) {
+      unmapped.push(id);
+      return match;
+    }
+    return `${before}${targetId}${after}`;
+  });
+
+  return { xml: remapped, unmapped };
+}
+
+/**
+ * Create a planned filter activity (and a copy of its filter definition) in the target BU
+ * The definition's conditions refer to fields by ObjectID; they are matched
+ * to the target DE's fields by name.
+ * @param {object} item - Plan filter
+ * @param {object} options - { sourceAccountId, targetAccountId, logger }
+ * @returns {Promise<object>} The plan item
+ */
+export async function migrateFilter(item, options = {}) {
+  const { sourceAccountId, targetAccountId, logger = null } = options;
+  const fail = (error) => {
+    item.status = MigrationStatus.FAILED;
+    item.error = error;
+    return item;
+  };
+
+  const missingDe = [item.dataExtension, item.destination].find(de => !de.targetObjectId);
+  if (missingDe) {
+    item.status = MigrationStatus.SKIPPED;
+    item.error = `DE ${missingDe.name} was not created`;
+    return item;
+  }
+
+  const definition = await getFilterDefinition(item.filterDefinitionId, logger, sourceAccountId);
+  if (!definition) {
+    return fail(`Filter definition ${item.filterDefinitionId} could not be read`);
+  }
+
+  const targetFields = await getDataExtensionSchema(item.dataExtension.targetKey, logger, targetAccountId);
+  const targetFieldIds = new Map(targetFields.map(field => [field.name.toLowerCase(), field.objectId]));
+  const fieldIdMap = new Map();
+  for (const field of item.dataExtension.fields) {
+    const targetId = targetFieldIds.get(field.name.toLowerCase());
+    if (field.objectId && targetId) fieldIdMap.set(String(field.objectId).toLowerCase(), targetId);
+  }
+
+  const { xml, unmapped } = remapFilterDefinitionXml(definition.filterDefinitionXml, fieldIdMap);
+  if (unmapped.length > 0) {
+    return fail(`Filter definition refers to ${unmapped.length} field(s) not in ${item.dataExtension.name}`);
+  }
+
+  const createdDefinition = await createFilterDefinition({
+    key: definition.key,
+    name: definition.name,
+    description: definition.description || '',
+    derivedFromType: definition.derivedFromType,
+    derivedFromObjectId: item.dataExtension.targetObjectId,
+    filterDefinitionXml: xml
+  }, logger, targetAccountId);
+
+  if (!createdDefinition.success) {
+    return fail(`Filter definition: ${createdDefinition.error}`);
+  }
+  item.targetFilterDefinitionId = createdDefinition.data?.id || null;
+
+  const created = await createFilterActivity({
+    name: item.name,
+    customerKey: item.sourceKey,
+    description: item.description,
+    filterDefinitionId: item.targetFilterDefinitionId,
+    sourceObjectId: item.dataExtension.targetObjectId,
+    sourceTypeId: item.sourceTypeId,
+    destinationObjectId: item.destination.targetObjectId,
+    destinationTypeId: item.destinationTypeId
+  }, logger, targetAccountId);
+
+  if (!created.success) {
+    return fail(created.error);
+  }
+
+  item.targetId = created.data?.filterActivityId || created.data?.id || null;
+  item.status = MigrationStatus.CREATED;
+  return item;
+}
+
+// =============================================================================
+// Mapping file
+// =============================================================================
+
+/**
+ * Status of a plan item for the mapping file
+ * @param {object} item - Plan item
+ * @returns {string} MigrationStatus value
+ */
+function getItemStatus(item) {
+  if (item.status) return item.status;
+  if (item.action === MigrationAction.EXISTS) return MigrationStatus.EXISTS;
+  if (item.action === MigrationAction.SKIP) return MigrationStatus.SKIPPED;
+  return MigrationStatus.PLANNED;
+}
+
+/**
+ * Build the source -> target mapping of a plan
+ * @param {object} plan - planMigration() result (after execution, if any)
+ * @param {object} metadata - Extra run details (dryRun, includeData, ...)
+ * @returns {object} Mapping
+ */
+export function buildMigrationMapping(plan, metadata = {}) {
+  const withOutcome = (item, entry) => ({
+    ...entry,
+    status: getItemStatus(item),
+    ...(item.reason ? { reason: item.reason } : {}),
+    ...(item.error ? { error: item.error } : {})
+  });
+
+  return {
+    version: MIGRATION_MAPPING_VERSION,
+    createdAt: new Date().toISOString(),
+    profile: config.profile || null,
+    ...metadata,
+    source: plan.source,
+    target: plan.target,
+    folders: plan.folders.map(item => withOutcome(item, {
+      sourceId: item.sourceId,
+      sourcePath: item.sourcePath,
+      targetId: item.targetId,
+      targetPath: item.targetPath
+    })),
+    dataExtensions: plan.dataExtensions.map(item => withOutcome(item, {
+      name: item.name,
+      sourceKey: item.sourceKey,
+      sourceObjectId: item.sourceObjectId,
+      targetKey: item.targetKey,
+      targetObjectId: item.targetObjectId,
+      targetFolderPath: item.targetFolderPath,
+      ...(item.rows ? { rows: item.rows } : {})
+    })),
+    queries: plan.queries.map(item => withOutcome(item, {
+      name: item.name,
+      sourceKey: item.sourceKey,
+      sourceObjectId: item.sourceObjectId,
+      targetKey: item.targetKey,
+      targetObjectId: item.targetObjectId,
+      targetDataExtensionKey: item.dataExtension.targetKey,
+      ...(item.missingTables.length > 0 ? { missingTables: item.missingTables } : {})
+    })),
+    filters: plan.filters.map(item => withOutcome(item, {
+      name: item.name,
+      sourceKey: item.sourceKey,
+      sourceId: item.sourceId,
+      targetKey: item.targetKey,
+      targetId: item.targetId,
+      ...(item.targetFilterDefinitionId ? { targetFilterDefinitionId: item.targetFilterDefinitionId } : {})
+    }))
+  };
+}
+
+/**
+ * Write a mapping file
+ * @param {object} mapping - buildMigrationMapping() result
+ * @param {string} filePath - Output path
+ * @returns {string} Output path
+ */
+export function writeMigrationMapping(mapping, filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(filePath, JSON.stringify(mapping, null, 2));
+  return filePath;
+}
+
+export default {
+  MIGRATION_MAPPING_VERSION,
+  MigrationAction,
+  MigrationStatus,
+  mapFolderPath,
+  planMigration,
+  countMigrationCreates,
+  migrateFolder,
+  migrateDataExtension,
+  copyDataExtensionRows,
+  migrateQuery,
+  remapFilterDefinitionXml,
+  migrateFilter,
+  buildMigrationMapping,
+  writeMigrationMapping
+};
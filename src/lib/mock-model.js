@@ -0,0 +1,757 @@
+/**
+ * Mock SFMC Model
+ * In-memory tenant state behind the mock SFMC server, seeded from a fixture
+ * file. SOAP objects are kept in their SOAP shape (PascalCase, nested
+ * ParentFolder / DataExtensionTarget objects) and REST objects in their REST
+ * shape, so the server only has to translate XML and JSON.
+ *
+ * Fixture strings of the form "@daysAgo(N)" become ISO dates N days before
+ * the fixture is loaded, so recommendations based on age stay stable.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+const DAYS_AGO_PATTERN = /^@daysAgo\((\d+)\)$/;
+
+// SOAP object collections per account, keyed by ObjectType
+const SOAP_COLLECTIONS = ['DataFolder', 'DataExtension', 'QueryDefinition', 'ImportDefinition', 'TriggeredSendDefinition'];
+
+// REST collections per account, keyed by fixture property
+const REST_COLLECTIONS = ['automations', 'journeys', 'filters', 'filterDefinitions', 'dataExtracts', 'fileTransfers', 'imports', 'assets'];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Replace "@daysAgo(N)" strings with ISO dates, recursively
+ * @param {any} value - Fixture value
+ * @param {number} now - Reference time (ms)
+ * @returns {any} Resolved copy
+ */
+function resolveFixtureDates(value, now) {
+  if (typeof value === 'string') {
+    const match = value.match(DAYS_AGO_PATTERN);
+    return match ? new Date(now - parseInt(match[1], 10) * 86400000).toISOString() : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveFixtureDates(item, now));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveFixtureDates(v, now)]));
+  }
+  return value;
+}
+
+/**
+ * Read a dotted property path (e.g. "ParentFolder.ID")
+ * @param {object} obj - Object
+ * @param {string} propertyPath - Dotted path
+ * @returns {any} Value or undefined
+ */
+export function getPath(obj, propertyPath) {
+  return propertyPath.split('.').reduce((current, part) => (current == null ? undefined : current[part]), obj);
+}
+
+/**
+ * Write a dotted property path, creating objects along the way
+ * @param {object} obj - Object
+ * @param {string} propertyPath - Dotted path
+ * @param {any} value - Value
+ */
+function setPath(obj, propertyPath, value) {
+  const parts = propertyPath.split('.');
+  let current = obj;
+  for (const part of parts.slice(0, -1)) {
+    if (!current[part] || typeof current[part] !== 'object') current[part] = {};
+    current = current[part];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Wrap a single value or missing value as an array
+ * @param {any} value - Value
+ * @returns {any[]} Array
+ */
+export function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Compare two values the way SOAP filters do (numbers numerically,
+ * everything else as case-insensitive strings)
+ * @param {any} a - Left value
+ * @param {any} b - Right value
+ * @returns {number} <0, 0 or >0
+ */
+function compareValues(a, b) {
+  const numA = Number(a);
+  const numB = Number(b);
+  if (a !== '' && b !== '' && !isNaN(numA) && !isNaN(numB)) {
+    return numA - numB;
+  }
+  return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+}
+
+/**
+ * Read a text node parsed by xml2js (plain string or { _: text })
+ * @param {any} node - Parsed node
+ * @returns {string|undefined} Text
+ */
+function textOf(node) {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'object') return node._;
+  return node;
+}
+
+/**
+ * Test an object against a parsed SOAP filter (SimpleFilterPart or ComplexFilterPart)
+ * @param {object} obj - Object in SOAP shape
+ * @param {object} filter - Filter as parsed by xml2js
+ * @returns {boolean} True if the object matches
+ */
+export function matchesSoapFilter(obj, filter) {
+  if (!filter) return true;
+
+  // buildComplexFilter nests a <Filter> inside each operand
+  if (filter.Filter) return matchesSoapFilter(obj, filter.Filter);
+
+  if (filter.LogicalOperator) {
+    const left = matchesSoapFilter(obj, filter.LeftOperand);
+    const right = matchesSoapFilter(obj, filter.RightOperand);
+    return textOf(filter.LogicalOperator).toUpperCase() === 'OR' ? left || right : left && right;
+  }
+
+  const actual = getPath(obj, textOf(filter.Property));
+  const operator = textOf(filter.SimpleOperator);
+  const values = toArray(filter.Value).map(textOf);
+  const value = values[0];
+
+  switch (operator) {
+    case 'equals':
+      return actual !== undefined && compareValues(actual, value) === 0;
+    case 'notEquals':
+      return actual === undefined || compareValues(actual, value) !== 0;
+    case 'greaterThan':
+      return actual !== undefined && compareValues(actual, value) > 0;
+    case 'greaterThanOrEqual':
+      return actual !== undefined && compareValues(actual, value) >= 0;
+    case 'lessThan':
+      return actual !== undefined && compareValues(actual, value) < 0;
+    case 'lessThanOrEqual':
+      return actual !== undefined && compareValues(actual, value) <= 0;
+    case 'isNull':
+      return actual === undefined || actual === null || actual === '';
+    case 'isNotNull':
+      return actual !== undefined && actual !== null && actual !== '';
+    case 'IN':
+      return actual !== undefined && values.some(v => compareValues(actual, v) === 0);
+    case 'between':
+      return actual !== undefined && compareValues(actual, values[0]) >= 0 && compareValues(actual, values[1]) <= 0;
+    case 'like': {
+      const pattern = String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+      return actual !== undefined && new RegExp(`^${pattern}$`, 'i').test(String(actual));
+    }
+    default:
+      throw new Error(`Unsupported SimpleOperator "${operator}"`);
+  }
+}
+
+/**
+ * Test a REST asset against a Content Builder query ({ property, simpleOperator, value }
+ * or { leftOperand, logicalOperator, rightOperand })
+ * @param {object} asset - Asset
+ * @param {object} query - Asset query
+ * @returns {boolean} True if the asset matches
+ */
+export function matchesAssetQuery(asset, query) {
+  if (!query) return true;
+
+  if (query.logicalOperator) {
+    const left = matchesAssetQuery(asset, query.leftOperand);
+    const right = matchesAssetQuery(asset, query.rightOperand);
+    return query.logicalOperator.toUpperCase() === 'OR' ? left || right : left && right;
+  }
+
+  const actual = getPath(asset, query.property);
+  switch (query.simpleOperator) {
+    case 'equal':
+    case 'equals':
+      return actual !== undefined && compareValues(actual, query.value) === 0;
+    case 'notEqual':
+    case 'notEquals':
+      return actual === undefined || compareValues(actual, query.value) !== 0;
+    case 'in':
+      return actual !== undefined && toArray(query.value).some(v => compareValues(actual, v) === 0);
+    case 'like':
+    case 'contains':
+      return actual !== undefined && String(actual).toLowerCase().includes(String(query.value).toLowerCase());
+    default:
+      throw new Error(`Unsupported simpleOperator "${query.simpleOperator}"`);
+  }
+}
+
+/**
+ * Soap result for a successful mutation
+ * @param {object} extra - Extra result properties
+ * @returns {object} Result
+ */
+function ok(extra = {}) {
+  return { StatusCode: 'OK', StatusMessage: 'Success', ...extra };
+}
+
+/**
+ * Soap result for a failed mutation
+ * @param {string} message - Error message
+ * @param {number} errorCode - SFMC-style error code
+ * @returns {object} Result
+ */
+function fail(message, errorCode = 2) {
+  return { StatusCode: 'Error', StatusMessage: message, ErrorCode: errorCode };
+}
+
+// =============================================================================
+// Model
+// =============================================================================
+
+/**
+ * Create the in-memory model from a fixture file or object
+ * @param {string|object} fixture - Fixture path or fixture object
+ * @returns {object} Model
+ */
+export function createMockModel(fixture) {
+  const source = typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture;
+
+  let state;
+  const tokens = new Map();
+  const pendingRetrieves = new Map();
+
+  /**
+   * (Re)load the fixture into fresh state
+   */
+  function reset() {
+    const resolved = resolveFixtureDates(JSON.parse(JSON.stringify(source)), Date.now());
+    const accounts = new Map();
+
+    for (const [mid, data] of Object.entries(resolved.accounts || {})) {
+      const account = { rows: new Map(), nextFolderId: 1 };
+
+      account.DataFolder = (data.folders || []).map(folder => ({ ObjectID: crypto.randomUUID(), IsActive: true, IsEditable: true, AllowChildren: true, ...folder }));
+      account.QueryDefinition = data.queries || [];
+      account.ImportDefinition = data.importDefinitions || [];
+      account.TriggeredSendDefinition = data.triggeredSends || [];
+
+      account.DataExtension = (data.dataExtensions || []).map(({ Rows = [], ...de }) => {
+        account.rows.set(de.CustomerKey.toLowerCase(), Rows);
+        return { ObjectID: crypto.randomUUID(), Status: 'Active', Fields: [], ...de };
+      });
+
+      for (const collection of REST_COLLECTIONS) {
+        account[collection] = data[collection] || [];
+      }
+
+      account.nextFolderId = Math.max(0, ...account.DataFolder.map(f => Number(f.ID) || 0)) + 1;
+      accounts.set(String(mid), account);
+    }
+
+    state = {
+      credentials: resolved.credentials || null,
+      pageSize: resolved.pageSize || 2500,
+      businessUnits: resolved.businessUnits || [...accounts.keys()].map(id => ({ ID: id, Name: `BU ${id}`, ParentID: '0', IsActive: true })),
+      accounts
+    };
+
+    tokens.clear();
+    pendingRetrieves.clear();
+  }
+
+  /**
+   * Get an account's state
+   * @param {string} mid - Business Unit MID
+   * @returns {object} Account state
+   */
+  function getAccount(mid) {
+    const account = state.accounts.get(String(mid));
+    if (!account) {
+      throw new Error(`Unknown Business Unit ${mid}`);
+    }
+    return account;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Auth
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Issue an access token (client credentials grant)
+   * @param {object} request - { client_id, client_secret, account_id }
+   * @returns {object} { token, mid } or { error }
+   */
+  function issueToken(request) {
+    const { credentials } = state;
+    if (credentials && (request.client_id !== credentials.clientId || request.client_secret !== credentials.clientSecret)) {
+      return { error: 'invalid_client', description: 'Invalid client ID or secret' };
+    }
+
+    const mid = String(request.account_id || state.businessUnits[0]?.ID || '');
+    if (!state.accounts.has(mid)) {
+      return { error: 'unauthorized_client', description: `Account ${mid} is not accessible with this package` };
+    }
+
+    const token = `mock-${crypto.randomBytes(16).toString('hex')}`;
+    tokens.set(token, mid);
+    return { token, mid };
+  }
+
+  /**
+   * Resolve an access token to its Business Unit
+   * @param {string} token - Access token
+   * @returns {string|null} MID or null if the token is unknown
+   */
+  function resolveToken(token) {
+    return tokens.get(token) || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // SOAP
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Build the SOAP view of the objects of one type in an account
+   * @param {object} account - Account state
+   * @param {string} mid - Business Unit MID
+   * @param {string} objectType - SOAP ObjectType
+   * @param {boolean} queryAllAccounts - QueryAllAccounts flag
+   * @returns {object[]} Objects
+   */
+  function soapObjects(account, mid, objectType, queryAllAccounts) {
+    const rowsMatch = objectType.match(/^DataExtensionObject\[(.+)\]$/);
+    if (rowsMatch) {
+      const rows = account.rows.get(rowsMatch[1].toLowerCase());
+      if (!rows) {
+        throw new Error(`Data Extension "${rowsMatch[1]}" does not exist`);
+      }
+      return rows;
+    }
+
+    switch (objectType) {
+      case 'DataExtensionField':
+        return account.DataExtension.flatMap(de => de.Fields.map((field, i) => ({
+          ObjectID: field.ObjectID || `${de.ObjectID}-${i}`,
+          CustomerKey: `[${de.CustomerKey}].[${field.Name}]`,
+          Ordinal: i,
+          ...field,
+          DataExtension: { CustomerKey: de.CustomerKey }
+        })));
+      case 'BusinessUnit':
+        return queryAllAccounts ? state.businessUnits : state.businessUnits.filter(bu => String(bu.ID) === String(mid));
+      default:
+        if (!SOAP_COLLECTIONS.includes(objectType)) {
+          throw new Error(`Unable to find object type ${objectType}`);
+        }
+        return account[objectType];
+    }
+  }
+
+  /**
+   * Start a Retrieve, or continue one with its RequestID
+   * @param {string} mid - Business Unit MID
+   * @param {object} request - { objectType, properties, filter, queryAllAccounts, continueRequestId }
+   * @returns {object} { objectType, results, requestId, hasMore }
+   */
+  function retrieve(mid, request) {
+    let pending;
+
+    if (request.continueRequestId) {
+      pending = pendingRetrieves.get(request.continueRequestId);
+      if (!pending) {
+        throw new Error(`Unknown or expired RequestID ${request.continueRequestId}`);
+      }
+      pendingRetrieves.delete(request.continueRequestId);
+    } else {
+      const account = getAccount(mid);
+      const objects = soapObjects(account, mid, request.objectType, request.queryAllAccounts);
+      const isRows = request.objectType.startsWith('DataExtensionObject[');
+
+      const matching = isRows ? objects : objects.filter(obj => matchesSoapFilter(obj, request.filter));
+      pending = {
+        objectType: request.objectType,
+        isRows,
+        properties: request.properties,
+        remaining: matching
+      };
+    }
+
+    const page = pending.remaining.slice(0, state.pageSize);
+    const rest = pending.remaining.slice(state.pageSize);
+    const requestId = crypto.randomUUID();
+
+    if (rest.length > 0) {
+      pendingRetrieves.set(requestId, { ...pending, remaining: rest });
+    }
+
+    return {
+      objectType: pending.isRows ? 'DataExtensionObject' : pending.objectType,
+      results: page.map(obj => (pending.isRows ? projectRow(obj, pending.properties) : project(obj, pending.properties))),
+      requestId,
+      hasMore: rest.length > 0
+    };
+  }
+
+  /**
+   * Copy only the requested properties (keeping the nesting of dotted paths)
+   * @param {object} obj - Object
+   * @param {string[]} properties - Requested properties
+   * @returns {object} Projection
+   */
+  function project(obj, properties) {
+    const result = {};
+    for (const property of properties) {
+      const value = getPath(obj, property);
+      if (value !== undefined && value !== null) {
+        setPath(result, property, value);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Convert a row into the DataExtensionObject Properties shape
+   * @param {object} row - Row
+   * @param {string[]} properties - Requested fields
+   * @returns {object} { Properties: { Property: [{ Name, Value }] } }
+   */
+  function projectRow(row, properties) {
+    const lowerRow = new Map(Object.entries(row).map(([k, v]) => [k.toLowerCase(), v]));
+    return {
+      Properties: {
+        Property: properties.map(name => ({ Name: name, Value: lowerRow.get(name.toLowerCase()) ?? null }))
+      }
+    };
+  }
+
+  /**
+   * Find a DE by CustomerKey
+   * @param {object} account - Account state
+   * @param {string} customerKey - CustomerKey
+   * @returns {object|undefined} DE
+   */
+  function findDataExtension(account, customerKey) {
+    const keyLower = String(customerKey).toLowerCase();
+    return account.DataExtension.find(de => de.CustomerKey.toLowerCase() === keyLower);
+  }
+
+  /**
+   * Find a folder by ID
+   * @param {object} account - Account state
+   * @param {string|number} id - Folder ID
+   * @returns {object|undefined} Folder
+   */
+  function findFolder(account, id) {
+    return account.DataFolder.find(folder => String(folder.ID) === String(id));
+  }
+
+  /**
+   * Create one SOAP object
+   * @param {string} mid - Business Unit MID
+   * @param {string} objectType - xsi:type of the object
+   * @param {object} obj - Object as parsed from the request
+   * @returns {object} Result
+   */
+  function create(mid, objectType, obj) {
+    const account = getAccount(mid);
+    const now = new Date().toISOString();
+
+    switch (objectType) {
+      case 'DataFolder': {
+        const parentId = getPath(obj, 'ParentFolder.ID');
+        const parent = findFolder(account, parentId);
+        if (!parent) {
+          return fail(`Parent folder ${parentId} does not exist`);
+        }
+        const nameLower = String(obj.Name).toLowerCase();
+        if (account.DataFolder.some(f => String(getPath(f, 'ParentFolder.ID')) === String(parentId) && String(f.Name).toLowerCase() === nameLower)) {
+          return fail(`A folder named "${obj.Name}" already exists in this location`);
+        }
+
+        const folder = {
+          ID: account.nextFolderId++,
+          ObjectID: crypto.randomUUID(),
+          CustomerKey: crypto.randomUUID(),
+          Name: obj.Name,
+          Description: obj.Description || '',
+          ContentType: obj.ContentType || parent.ContentType,
+          ParentFolder: { ID: parent.ID, Name: parent.Name },
+          IsActive: true,
+          IsEditable: true,
+          AllowChildren: true,
+          CreatedDate: now,
+          ModifiedDate: now
+        };
+        account.DataFolder.push(folder);
+        return ok({ NewID: folder.ID, NewObjectID: folder.ObjectID, Object: { ID: folder.ID } });
+      }
+
+      case 'DataExtension': {
+        if (findDataExtension(account, obj.CustomerKey)) {
+          return fail(`A Data Extension with CustomerKey "${obj.CustomerKey}" already exists`, 310007);
+        }
+        if (account.DataExtension.some(de => de.Name.toLowerCase() === String(obj.Name).toLowerCase())) {
+          return fail(`A Data Extension named "${obj.Name}" already exists`, 310007);
+        }
+        if (obj.CategoryID && !findFolder(account, obj.CategoryID)) {
+          return fail(`Folder ${obj.CategoryID} does not exist`);
+        }
+
+        const { Fields: fieldsNode, ...settings } = obj;
+        const de = {
+          ...settings,
+          ObjectID: crypto.randomUUID(),
+          CategoryID: obj.CategoryID || account.DataFolder.find(f => String(getPath(f, 'ParentFolder.ID') || 0) === '0')?.ID,
+          Status: 'Active',
+          CreatedDate: now,
+          ModifiedDate: now,
+          Fields: toArray(fieldsNode?.Field).map((field, i) => ({ ...field, Ordinal: i }))
+        };
+        account.DataExtension.push(de);
+        account.rows.set(de.CustomerKey.toLowerCase(), []);
+        return ok({ NewObjectID: de.ObjectID, Object: { ObjectID: de.ObjectID, CustomerKey: de.CustomerKey } });
+      }
+
+      case 'QueryDefinition': {
+        const customerKey = obj.CustomerKey || obj.Name;
+        if (account.QueryDefinition.some(q => String(q.CustomerKey).toLowerCase() === String(customerKey).toLowerCase())) {
+          return fail(`A Query Definition with CustomerKey "${customerKey}" already exists`);
+        }
+
+        const targetKey = getPath(obj, 'DataExtensionTarget.CustomerKey');
+        const target = targetKey ? findDataExtension(account, targetKey) : null;
+        const query = {
+          ...obj,
+          ObjectID: crypto.randomUUID(),
+          CustomerKey: customerKey,
+          DataExtensionTarget: target ? { CustomerKey: target.CustomerKey, Name: target.Name } : obj.DataExtensionTarget,
+          CreatedDate: now,
+          ModifiedDate: now
+        };
+        account.QueryDefinition.push(query);
+        return ok({ NewObjectID: query.ObjectID, Object: { ObjectID: query.ObjectID } });
+      }
+
+      case 'DataExtensionObject': {
+        const de = findDataExtension(account, obj.CustomerKey);
+        if (!de) {
+          return fail(`Data Extension "${obj.CustomerKey}" does not exist`);
+        }
+
+        const row = {};
+        for (const prop of toArray(obj.Properties?.Property)) {
+          row[prop.Name] = textOf(prop.Value) ?? null;
+        }
+
+        const primaryKeys = de.Fields.filter(f => String(f.IsPrimaryKey) === 'true').map(f => f.Name);
+        const rows = account.rows.get(de.CustomerKey.toLowerCase());
+        if (primaryKeys.length > 0 && rows.some(existing => primaryKeys.every(k => String(existing[k]) === String(row[k])))) {
+          return fail('Violation of PRIMARY KEY constraint', 310007);
+        }
+
+        rows.push(row);
+        return ok();
+      }
+
+      default:
+        return fail(`Create is not supported for ${objectType} by the mock server`);
+    }
+  }
+
+  /**
+   * Update one SOAP object
+   * @param {string} mid - Business Unit MID
+   * @param {string} objectType - xsi:type of the object
+   * @param {object} obj - Object as parsed from the request
+   * @returns {object} Result
+   */
+  function update(mid, objectType, obj) {
+    const account = getAccount(mid);
+    const now = new Date().toISOString();
+
+    switch (objectType) {
+      case 'DataExtension': {
+        const de = obj.CustomerKey ? findDataExtension(account, obj.CustomerKey) : account.DataExtension.find(d => d.ObjectID === obj.ObjectID);
+        if (!de) {
+          return fail(`Data Extension "${obj.CustomerKey || obj.ObjectID}" does not exist`);
+        }
+        if (obj.CategoryID && !findFolder(account, obj.CategoryID)) {
+          return fail(`Folder ${obj.CategoryID} does not exist`);
+        }
+
+        const { Fields, ObjectID, ...changes } = obj;
+        Object.assign(de, changes, { ModifiedDate: now });
+        return ok({ Object: { CustomerKey: de.CustomerKey } });
+      }
+
+      case 'DataFolder': {
+        const folder = findFolder(account, obj.ID);
+        if (!folder) {
+          return fail(`Folder ${obj.ID} does not exist`);
+        }
+
+        const { ParentFolder, ID, ...changes } = obj;
+        if (ParentFolder?.ID !== undefined) {
+          const parent = findFolder(account, ParentFolder.ID);
+          if (!parent) {
+            return fail(`Parent folder ${ParentFolder.ID} does not exist`);
+          }
+          folder.ParentFolder = { ID: parent.ID, Name: parent.Name };
+        }
+        Object.assign(folder, changes, { ModifiedDate: now });
+
+        // Keep the children's ParentFolder.Name in step with a rename
+        for (const child of account.DataFolder) {
+          if (String(getPath(child, 'ParentFolder.ID')) === String(folder.ID)) {
+            child.ParentFolder.Name = folder.Name;
+          }
+        }
+        return ok({ Object: { ID: folder.ID } });
+      }
+
+      case 'QueryDefinition': {
+        const query = account.QueryDefinition.find(q => (obj.ObjectID && q.ObjectID === obj.ObjectID) ||
+          (obj.CustomerKey && String(q.CustomerKey).toLowerCase() === String(obj.CustomerKey).toLowerCase()));
+        if (!query) {
+          return fail(`Query Definition "${obj.ObjectID || obj.CustomerKey}" does not exist`);
+        }
+
+        const { ObjectID, ...changes } = obj;
+        Object.assign(query, changes, { ModifiedDate: now });
+        return ok({ Object: { ObjectID: query.ObjectID } });
+      }
+
+      default:
+        return fail(`Update is not supported for ${objectType} by the mock server`);
+    }
+  }
+
+  /**
+   * Delete one SOAP object
+   * @param {string} mid - Business Unit MID
+   * @param {string} objectType - xsi:type of the object
+   * @param {object} obj - Object as parsed from the request
+   * @returns {object} Result
+   */
+  function remove(mid, objectType, obj) {
+    const account = getAccount(mid);
+
+    switch (objectType) {
+      case 'DataExtension': {
+        const de = obj.CustomerKey ? findDataExtension(account, obj.CustomerKey) : account.DataExtension.find(d => d.ObjectID === obj.ObjectID);
+        if (!de) {
+          return fail(`Data Extension "${obj.CustomerKey || obj.ObjectID}" does not exist`);
+        }
+        account.DataExtension.splice(account.DataExtension.indexOf(de), 1);
+        account.rows.delete(de.CustomerKey.toLowerCase());
+        return ok({ Object: { CustomerKey: de.CustomerKey } });
+      }
+
+      case 'DataFolder': {
+        const folder = findFolder(account, obj.ID);
+        if (!folder) {
+          return fail(`Folder ${obj.ID} does not exist`);
+        }
+        const hasChildren = account.DataFolder.some(f => String(getPath(f, 'ParentFolder.ID')) === String(folder.ID));
+        const hasContent = account.DataExtension.some(de => String(de.CategoryID) === String(folder.ID)) ||
+          account.QueryDefinition.some(q => String(q.CategoryID) === String(folder.ID));
+        if (hasChildren || hasContent) {
+          return fail('The folder cannot be deleted because it is not empty');
+        }
+        account.DataFolder.splice(account.DataFolder.indexOf(folder), 1);
+        return ok({ Object: { ID: folder.ID } });
+      }
+
+      case 'QueryDefinition': {
+        const index = account.QueryDefinition.findIndex(q => (obj.ObjectID && q.ObjectID === obj.ObjectID) ||
+          (obj.CustomerKey && String(q.CustomerKey).toLowerCase() === String(obj.CustomerKey).toLowerCase()));
+        if (index === -1) {
+          return fail(`Query Definition "${obj.ObjectID || obj.CustomerKey}" does not exist`);
+        }
+        const [query] = account.QueryDefinition.splice(index, 1);
+        return ok({ Object: { ObjectID: query.ObjectID } });
+      }
+
+      default:
+        return fail(`Delete is not supported for ${objectType} by the mock server`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // REST
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get a REST collection of an account
+   * @param {string} mid - Business Unit MID
+   * @param {string} collection - REST collection name
+   * @returns {object[]} Items (live array)
+   */
+  function restItems(mid, collection) {
+    return getAccount(mid)[collection];
+  }
+
+  /**
+   * Get the rows of a DE (for the REST rowset endpoint)
+   * @param {string} mid - Business Unit MID
+   * @param {string} customerKey - DE CustomerKey
+   * @returns {object[]|null} Rows or null if the DE does not exist
+   */
+  function getRows(mid, customerKey) {
+    return getAccount(mid).rows.get(String(customerKey).toLowerCase()) || null;
+  }
+
+  /**
+   * Serializable copy of the current state
+   * @returns {object} { businessUnits, accounts }
+   */
+  function snapshot() {
+    const accounts = {};
+    for (const [mid, account] of state.accounts) {
+      accounts[mid] = {
+        folders: account.DataFolder,
+        dataExtensions: account.DataExtension.map(de => ({ ...de, Rows: account.rows.get(de.CustomerKey.toLowerCase()) || [] })),
+        queries: account.QueryDefinition,
+        importDefinitions: account.ImportDefinition,
+        triggeredSends: account.TriggeredSendDefinition,
+        ...Object.fromEntries(REST_COLLECTIONS.map(collection => [collection, account[collection]]))
+      };
+    }
+    return JSON.parse(JSON.stringify({ businessUnits: state.businessUnits, accounts }));
+  }
+
+  reset();
+
+  return {
+    reset,
+    snapshot,
+    issueToken,
+    resolveToken,
+    retrieve,
+    create,
+    update,
+    remove,
+    restItems,
+    getRows,
+    get businessUnits() {
+      return state.businessUnits;
+    }
+  };
+}
+
+export default {
+  createMockModel,
+  matchesSoapFilter,
+  matchesAssetQuery,
+  getPath,
+  toArray
+};
@@ -0,0 +1,527 @@
+/**
+ * Mock SFMC Server
+ * A local HTTP server that answers the calls this toolkit makes, backed by
+ * the in-memory model in mock-model.js:
+ *
+ * - POST /v2/token (client credentials; returns instance URLs pointing here)
+ * - POST /Service.asmx (SOAP Retrieve, Create, Update, Delete)
+ * - REST automation, journey, filter, filter definition, data extract, file
+ *   transfer, import, row count and Content Builder asset endpoints
+ * - GET /__mock/state and POST /__mock/reset for inspecting and resetting the model
+ *
+ * Point SFMC_AUTH_URL, SFMC_SOAP_URL and SFMC_REST_URL (or a profile) at it
+ * to rehearse a run without a tenant. Mutations live in memory only.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { parseStringPromise } from 'xml2js';
+import { createMockModel, matchesAssetQuery, toArray } from './mock-model.js';
+import { sleep } from './utils.js';
+
+const SOAP_NS = 'http://schemas.xmlsoap.org/soap/envelope/';
+const ET_NS = 'http://exacttarget.com/wsdl/partnerAPI';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const TOKEN_EXPIRES_IN = 1080;
+
+// =============================================================================
+// XML
+// =============================================================================
+
+/**
+ * Escape XML text
+ * @param {any} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize a value as XML elements
+ * @param {string} name - Element name
+ * @param {any} value - Value (object, array or scalar)
+ * @returns {string} XML
+ */
+function toXml(name, value) {
+  if (Array.isArray(value)) {
+    return value.map(item => toXml(name, item)).join('');
+  }
+  if (value === null) {
+    return `<${name} xsi:nil="true"/>`;
+  }
+  if (value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    const children = Object.entries(value).map(([key, child]) => toXml(key, child)).join('');
+    return `<${name}>${children}</${name}>`;
+  }
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Wrap SOAP body content in an envelope
+ * @param {string} body - Body XML
+ * @returns {string} Envelope
+ */
+function soapEnvelope(body) {
+  return `<?xml version="1.0" encoding="utf-8"?>` +
+    `<soap:Envelope xmlns:soap="${SOAP_NS}" xmlns:xsi="${XSI_NS}">` +
+    `<soap:Body>${body}</soap:Body></soap:Envelope>`;
+}
+
+/**
+ * Build a SOAP Fault envelope
+ * @param {string} code - Fault code
+ * @param {string} message - Fault string
+ * @returns {string} Envelope
+ */
+function soapFault(code, message) {
+  return soapEnvelope(`<soap:Fault><faultcode>${escapeXml(code)}</faultcode><faultstring>${escapeXml(message)}</faultstring></soap:Fault>`);
+}
+
+/**
+ * Serialize results with their xsi:type
+ * @param {object[]} results - Results
+ * @param {string} objectType - xsi:type (null for none)
+ * @returns {string} XML
+ */
+function resultsXml(results, objectType = null) {
+  const typeAttr = objectType ? ` xsi:type="${escapeXml(objectType)}"` : '';
+  return results.map(result => {
+    const children = Object.entries(result).map(([key, value]) => toXml(key, value)).join('');
+    return `<Results${typeAttr}>${children}</Results>`;
+  }).join('');
+}
+
+// =============================================================================
+// HTTP helpers
+// =============================================================================
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body text
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {any} body - JSON body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a REST error in the shape SFMC uses
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function sendRestError(res, status, message) {
+  sendJson(res, status, { message, errorcode: status, documentation: '' });
+}
+
+/**
+ * Page an array the way the Automation/Journey REST APIs do
+ * @param {object[]} items - All items
+ * @param {URLSearchParams} params - Query parameters ($page, $pageSize, $orderBy "field [asc|desc]")
+ * @returns {object} { count, page, pageSize, items }
+ */
+function pageOf(items, params) {
+  const page = Math.max(1, parseInt(params.get('$page'), 10) || 1);
+  const pageSize = Math.max(1, parseInt(params.get('$pageSize'), 10) || 50);
+
+  const orderBy = params.get('$orderBy');
+  if (orderBy) {
+    const [field, direction = 'asc'] = orderBy.trim().split(/\s+/);
+    const sign = direction.toLowerCase() === 'desc' ? -1 : 1;
+    const key = Object.keys(items[0] || {}).find(k => k.toLowerCase() === field.toLowerCase()) || field;
+    items = [...items].sort((a, b) => sign * String(a[key] ?? '').localeCompare(String(b[key] ?? '')));
+  }
+
+  return {
+    count: items.length,
+    page,
+    pageSize,
+    items: items.slice((page - 1) * pageSize, page * pageSize)
+  };
+}
+
+/**
+ * Add a POSTed item to a REST collection, rejecting a duplicate key like SFMC does
+ * @param {object[]} items - Collection (live array)
+ * @param {object} json - Request body
+ * @param {string} idField - Property that receives the new ID
+ * @param {string} keyField - Property that must be unique
+ * @returns {object} Created item
+ */
+function createRestItem(items, json, idField, keyField) {
+  const key = json?.[keyField];
+  if (key && items.some(item => String(item[keyField]).toLowerCase() === String(key).toLowerCase())) {
+    const error = new Error(`An item with ${keyField} "${key}" already exists`);
+    error.status = 400;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const item = { ...json, [idField]: crypto.randomUUID(), createdDate: now, modifiedDate: now };
+  items.push(item);
+  return item;
+}
+
+// =============================================================================
+// Server
+// =============================================================================
+
+/**
+ * Create a mock SFMC server
+ * @param {object} options - { fixture, port, host, latencyMs, logger }
+ * @returns {object} { model, start(), stop(), url }
+ */
+export function createMockServer(options = {}) {
+  const {
+    fixture,
+    port = 4050,
+    host = '127.0.0.1',
+    latencyMs = 0,
+    logger = null
+  } = options;
+
+  const model = createMockModel(fixture);
+  let baseUrl = `http://${host}:${port}`;
+
+  // ---------------------------------------------------------------------------
+  // SOAP
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Handle a SOAP request
+   * @param {string} xml - Request envelope
+   * @returns {Promise<object>} { status, body }
+   */
+  async function handleSoap(xml) {
+    let envelope;
+    try {
+      envelope = (await parseStringPromise(xml, {
+        explicitArray: false,
+        ignoreAttrs: false,
+        tagNameProcessors: [(name) => name.replace(/^.*:/, '')]
+      })).Envelope;
+    } catch (error) {
+      return { status: 500, body: soapFault('soap:Client', `Malformed request: ${error.message}`) };
+    }
+
+    const fuelToken = envelope?.Header?.fueloauth;
+    const mid = model.resolveToken(typeof fuelToken === 'object' ? fuelToken._ : fuelToken);
+    if (!mid) {
+      return { status: 500, body: soapFault('soap:Client', 'Login Failed') };
+    }
+
+    const body = envelope.Body || {};
+
+    try {
+      if (body.RetrieveRequestMsg) {
+        const request = body.RetrieveRequestMsg.RetrieveRequest;
+        const page = model.retrieve(mid, {
+          objectType: request.ObjectType,
+          properties: toArray(request.Properties),
+          filter: request.Filter,
+          queryAllAccounts: String(request.QueryAllAccounts) === 'true',
+          continueRequestId: request.ContinueRequest
+        });
+
+        return {
+          status: 200,
+          body: soapEnvelope(
+            `<RetrieveResponseMsg xmlns="${ET_NS}">` +
+            `<OverallStatus>${page.hasMore ? 'MoreDataAvailable' : 'OK'}</OverallStatus>` +
+            `<RequestID>${page.requestId}</RequestID>` +
+            resultsXml(page.results, page.objectType) +
+            '</RetrieveResponseMsg>'
+          )
+        };
+      }
+
+      const mutations = [
+        ['CreateRequest', 'CreateResponse', model.create],
+        ['UpdateRequest', 'UpdateResponse', model.update],
+        ['DeleteRequest', 'DeleteResponse', model.remove]
+      ];
+
+      for (const [requestName, responseName, apply] of mutations) {
+        if (!body[requestName]) continue;
+
+        const results = toArray(body[requestName].Objects).map(obj => {
+          const { $: attrs = {}, ...properties } = obj;
+          return apply(mid, attrs['xsi:type'], properties);
+        });
+        const overall = results.every(r => r.StatusCode === 'OK') ? 'OK' : 'Has Errors';
+
+        return {
+          status: 200,
+          body: soapEnvelope(
+            `<${responseName} xmlns="${ET_NS}">${resultsXml(results)}` +
+            `<RequestID>${crypto.randomUUID()}</RequestID><OverallStatus>${overall}</OverallStatus></${responseName}>`
+          )
+        };
+      }
+
+      return { status: 500, body: soapFault('soap:Client', 'Unsupported SOAP action') };
+    } catch (error) {
+      if (body.RetrieveRequestMsg) {
+        return {
+          status: 200,
+          body: soapEnvelope(
+            `<RetrieveResponseMsg xmlns="${ET_NS}"><OverallStatus>Error</OverallStatus>` +
+            `<OverallStatusMessage>${escapeXml(error.message)}</OverallStatusMessage></RetrieveResponseMsg>`
+          )
+        };
+      }
+      return { status: 500, body: soapFault('soap:Server', error.message) };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // REST
+  // ---------------------------------------------------------------------------
+
+  // [method, pattern, collection, handler(ctx)] - first match wins
+  const restRoutes = [
+    ['GET', /^\/automation\/v1\/automations$/, 'automations', ({ items, params }) => pageOf(items, params)],
+    ['GET', /^\/automation\/v1\/automations\/([^/]+)$/, 'automations', ({ find }) => find()],
+    ['PATCH', /^\/automation\/v1\/automations\/([^/]+)$/, 'automations', ({ find, json }) => {
+      const item = find();
+      return item && Object.assign(item, json);
+    }],
+    ['DELETE', /^\/automation\/v1\/automations\/([^/]+)$/, 'automations', ({ removeItem }) => removeItem()],
+    ['POST', /^\/automation\/v1\/automations\/([^/]+)\/actions\/runallonce$/, 'automations', ({ find }) => {
+      const automation = find();
+      if (automation) automation.lastRunTime = new Date().toISOString();
+      return automation && { id: automation.id, status: 'Running' };
+    }],
+    ['POST', /^\/legacy\/v1\/beta\/bulk\/automations\/automation\/definition\/?$/, 'automations', ({ items, params, json }) => {
+      const automation = items.find(a => a.id === json?.id);
+      if (!automation) return null;
+      if (params.get('action') === 'pauseSchedule') {
+        automation.status = 'Paused';
+        automation.statusId = 4;
+      }
+      return { id: automation.id, status: automation.status };
+    }],
+
+    ['GET', /^\/interaction\/v1\/interactions$/, 'journeys', ({ items, params }) => pageOf(items, params)],
+    ['GET', /^\/interaction\/v1\/interactions\/([^/]+)$/, 'journeys', ({ find }) => find()],
+
+    ['GET', /^\/automation\/v1\/filters$/, 'filters', ({ items, params }) => pageOf(items, params)],
+    ['GET', /^\/automation\/v1\/filters\/([^/]+)$/, 'filters', ({ find }) => find()],
+    ['DELETE', /^\/automation\/v1\/filters\/([^/]+)$/, 'filters', ({ removeItem }) => removeItem()],
+    ['POST', /^\/automation\/v1\/filters$/, 'filters', ({ items, json }) => createRestItem(items, json, 'filterActivityId', 'customerKey')],
+
+    ['GET', /^\/email\/v1\/filters\/filterdefinition\/([^/]+)$/, 'filterDefinitions', ({ find }) => find()],
+    ['POST', /^\/email\/v1\/filters\/filterdefinition$/, 'filterDefinitions', ({ items, json }) => createRestItem(items, json, 'id', 'key')],
+
+    ['GET', /^\/automation\/v1\/dataextracts$/, 'dataExtracts', ({ items, params }) => pageOf(items, params)],
+
+    ['GET', /^\/automation\/v1\/filetransfers$/, 'fileTransfers', ({ items, params }) => pageOf(items, params)],
+    ['GET', /^\/automation\/v1\/filetransfers\/([^/]+)$/, 'fileTransfers', ({ find }) => find()],
+    ['PATCH', /^\/automation\/v1\/filetransfers\/([^/]+)$/, 'fileTransfers', ({ find, json }) => {
+      const item = find();
+      return item && Object.assign(item, json);
+    }],
+
+    ['GET', /^\/automation\/v1\/imports$/, 'imports', ({ items, params }) => pageOf(items, params)],
+    ['GET', /^\/automation\/v1\/imports\/([^/]+)$/, 'imports', ({ find }) => find()],
+    ['PATCH', /^\/automation\/v1\/imports\/([^/]+)$/, 'imports', ({ find, json }) => {
+      const item = find();
+      return item && Object.assign(item, json);
+    }],
+
+    ['POST', /^\/asset\/v1\/content\/assets\/query$/, 'assets', ({ items, json }) => {
+      const matching = items.filter(asset => matchesAssetQuery(asset, json?.query));
+      const page = Math.max(1, json?.page?.page || 1);
+      const pageSize = Math.max(1, json?.page?.pageSize || 50);
+      return { count: matching.length, page, pageSize, items: matching.slice((page - 1) * pageSize, page * pageSize) };
+    }],
+    ['GET', /^\/asset\/v1\/content\/assets\/([^/]+)$/, 'assets', ({ find }) => find()]
+  ];
+
+  /**
+   * Handle a REST request
+   * @param {string} method - HTTP method
+   * @param {URL} url - Request URL
+   * @param {string} mid - Business Unit MID of the token
+   * @param {string} bodyText - Request body
+   * @param {http.ServerResponse} res - Response
+   */
+  function handleRest(method, url, mid, bodyText, res) {
+    const rowset = url.pathname.match(/^\/data\/v1\/customobjectdata\/key\/([^/]+)(\/rowset)?$/);
+    if (method === 'GET' && rowset) {
+      const rows = model.getRows(mid, decodeURIComponent(rowset[1]));
+      if (!rows) {
+        sendRestError(res, 404, 'Not Found');
+        return;
+      }
+      const page = pageOf(rows, url.searchParams);
+      sendJson(res, 200, { ...page, items: page.items.map(values => ({ keys: {}, values })) });
+      return;
+    }
+
+    const json = bodyText ? JSON.parse(bodyText) : null;
+
+    for (const [routeMethod, pattern, collection, handler] of restRoutes) {
+      const match = url.pathname.match(pattern);
+      if (routeMethod !== method || !match) continue;
+
+      const items = model.restItems(mid, collection);
+      const id = match[1] ? decodeURIComponent(match[1]) : null;
+      const matchesId = (item) => [item.id, item.key, item.filterActivityId, item.customerKey]
+        .some(value => value !== undefined && String(value) === id);
+
+      const result = handler({
+        items,
+        params: url.searchParams,
+        json,
+        find: () => items.find(matchesId),
+        removeItem: () => {
+          const index = items.findIndex(matchesId);
+          return index === -1 ? null : items.splice(index, 1)[0];
+        }
+      });
+
+      if (!result) {
+        sendRestError(res, 404, `${collection} item ${id || ''} not found`.trim());
+      } else {
+        sendJson(res, 200, result);
+      }
+      return;
+    }
+
+    sendRestError(res, 404, `The mock server does not implement ${method} ${url.pathname}`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dispatch
+  // ---------------------------------------------------------------------------
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, baseUrl);
+    const method = req.method.toUpperCase();
+
+    try {
+      const bodyText = await readBody(req);
+
+      if (logger) {
+        logger.debug(`${method} ${url.pathname}${url.search}`);
+      }
+
+      if (latencyMs > 0) {
+        await sleep(latencyMs);
+      }
+
+      // Admin endpoints
+      if (url.pathname === '/__mock/state' && method === 'GET') {
+        sendJson(res, 200, model.snapshot());
+        return;
+      }
+      if (url.pathname === '/__mock/reset' && method === 'POST') {
+        model.reset();
+        sendJson(res, 200, { reset: true });
+        return;
+      }
+
+      // OAuth
+      if (url.pathname.replace(/\/$/, '') === '/v2/token' && method === 'POST') {
+        const issued = model.issueToken(bodyText ? JSON.parse(bodyText) : {});
+        if (issued.error) {
+          sendJson(res, 401, { error: issued.error, error_description: issued.description });
+          return;
+        }
+        sendJson(res, 200, {
+          access_token: issued.token,
+          token_type: 'Bearer',
+          expires_in: TOKEN_EXPIRES_IN,
+          scope: 'mock',
+          soap_instance_url: `${baseUrl}/`,
+          rest_instance_url: `${baseUrl}/`
+        });
+        return;
+      }
+
+      // SOAP
+      if (url.pathname.toLowerCase().endsWith('/service.asmx') && method === 'POST') {
+        const { status, body } = await handleSoap(bodyText);
+        res.writeHead(status, { 'Content-Type': 'text/xml; charset=utf-8' });
+        res.end(body);
+        return;
+      }
+
+      // REST
+      const authorization = req.headers.authorization || '';
+      const mid = model.resolveToken(authorization.replace(/^Bearer\s+/i, ''));
+      if (!mid) {
+        sendRestError(res, 401, 'Not Authorized');
+        return;
+      }
+
+      handleRest(method, url, mid, bodyText, res);
+    } catch (error) {
+      if (logger) {
+        logger.error(`Mock server error on ${method} ${url.pathname}: ${error.message}`);
+      }
+      sendRestError(res, error.status || 500, error.message);
+    }
+  });
+
+  return {
+    model,
+
+    get url() {
+      return baseUrl;
+    },
+
+    /**
+     * Start listening
+     * @returns {Promise<string>} Base URL
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          // port 0 picks a free port
+          baseUrl = `http://${host}:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      });
+    }
+  };
+}
+
+export default { createMockServer };
@@ -0,0 +1,275 @@
+/**
+ * Move Service
+ * Plans Data Extension and folder moves/renames and writes the undo script
+ * that puts everything back where it was.
+ *
+ * Every change is recorded as { type, key, name, contentType, before, after }
+ * so the undo script can tell whether an object is still where the move left
+ * it before moving it back.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import config from '../config/index.js';
+
+/**
+ * Kinds of object a move can change
+ */
+export const MoveType = {
+  DATA_EXTENSION: 'DataExtension',
+  FOLDER: 'Folder'
+};
+
+/**
+ * Plan moving Data Extensions into a folder
+ * Protected DEs and DEs already in the target folder are skipped.
+ *
+ * @param {object[]} dataExtensions - Normalized DEs (with folderId and optional folderPath)
+ * @param {object} toFolder - Target folder (with id and path)
+ * @returns {object} { moves, skipped } - skipped entries are { de, reason }
+ */
+export function planDataExtensionMoves(dataExtensions, toFolder) {
+  const moves = [];
+  const skipped = [];
+
+  for (const de of dataExtensions) {
+    if (de.isProtected) {
+      skipped.push({ de, reason: 'Protected Data Extension' });
+      continue;
+    }
+
+    if (de.folderId === toFolder.id) {
+      skipped.push({ de, reason: 'Already in the target folder' });
+      continue;
+    }
+
+    moves.push({
+      type: MoveType.DATA_EXTENSION,
+      key: de.customerKey,
+      name: de.name,
+      contentType: null,
+      before: { folderId: de.folderId, folderPath: de.folderPath || null },
+      after: { folderId: toFolder.id, folderPath: toFolder.path || toFolder.name }
+    });
+  }
+
+  return { moves, skipped };
+}
+
+/**
+ * Record a folder move or rename
+ * @param {object} folder - Folder from folder-service (with id, name, parentFolderId)
+ * @param {object} updates - { parentFolderId, name } - the values after the change
+ * @param {string} contentType - FolderContentType value of the folder
+ * @returns {object} Change record
+ */
+export function planFolderChange(folder, updates, contentType) {
+  return {
+    type: MoveType.FOLDER,
+    key: folder.id,
+    name: folder.path || folder.name,
+    contentType,
+    before: { parentFolderId: folder.parentFolderId, name: folder.name },
+    after: {
+      parentFolderId: updates.parentFolderId ?? folder.parentFolderId,
+      name: updates.name ?? folder.name
+    }
+  };
+}
+
+/**
+ * Generate an undo script that reverses moves and renames
+ * Changes are undone last-first. Objects that no longer exist, or were moved
+ * or renamed again since, are skipped.
+ *
+ * @param {object[]} changes - Records from planDataExtensionMoves / planFolderChange
+ * @param {string} outputDir - Output directory path
+ * @returns {string} Path to undo script
+ */
+export function generateMoveUndoScript(changes, outputDir) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const timestamp = dayjs().format('YYYYMMDD-HHmmss');
+  const scriptPath = path.join(outputDir, `undo-move-${timestamp}.js`);
+
+  // Import the toolkit relative to where the script is written
+  let rootImport = path.relative(outputDir, config.paths.root).split(path.sep).join('/') || '.';
+  if (!rootImport.startsWith('.')) {
+    rootImport = `./${rootImport}`;
+  }
+  const profileArg = config.profile ? ` --profile ${config.profile}` : '';
+  const relativePath = path.relative(config.paths.root, scriptPath).split(path.sep).join('/');
+
+  const scriptContent = `#!/usr/bin/env node
+
+/**
+ * UNDO SCRIPT - Reverse Data Extension / Folder Moves
+ * Generated: ${new Date().toISOString()}
+ * Business Unit: ${config.sfmc.accountId}${config.profile ? `\n * Profile: ${config.profile}` : ''}
+ *
+ * Moves the Data Extensions and folders below back to where they were and
+ * restores renamed folders' names. Objects that no longer exist, or were
+ * moved or renamed again since, are skipped.
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to move them back.
+ *
+ * Usage:
+ *   node ${relativePath}${profileArg} [--dry-run]
+ *   node ${relativePath}${profileArg} --confirm
+ */
+
+import config, { validateConfig } from '${rootImport}/src/config/index.js';
+import { createLogger } from '${rootImport}/src/lib/logger.js';
+import { testConnection } from '${rootImport}/src/lib/sfmc-auth.js';
+import { getDataExtensionDetails, moveDataExtension } from '${rootImport}/src/lib/data-extension-service.js';
+import { getFolderById, moveFolder, renameFolder, clearFolderCache } from '${rootImport}/src/lib/folder-service.js';
+import { sleep } from '${rootImport}/src/lib/utils.js';
+
+const BUSINESS_UNIT = ${JSON.stringify(String(config.sfmc.accountId))};
+const PROFILE = ${JSON.stringify(config.profile)};
+
+const changesToUndo = ${JSON.stringify([...changes].reverse(), null, 2)};
+
+const dryRun = process.argv.includes('--dry-run') || !process.argv.includes('--confirm');
+const logger = createLogger('undo');
+
+/**
+ * Current location of a changed object (null if it no longer exists)
+ */
+async function getCurrentState(item) {
+  if (item.type === 'DataExtension') {
+    const de = await getDataExtensionDetails(item.key, logger);
+    return de ? { folderId: de.folderId } : null;
+  }
+
+  const folder = await getFolderById(item.key, logger, null, item.contentType);
+  return folder ? { parentFolderId: folder.parentFolderId, name: folder.name } : null;
+}
+
+/**
+ * Compare the location fields two states share
+ */
+function isSameState(current, expected) {
+  return Object.keys(current).every(field => current[field] === expected[field]);
+}
+
+/**
+ * Put one object back
+ */
+async function restore(item) {
+  if (item.type === 'DataExtension') {
+    return moveDataExtension(item.key, item.before.folderId, logger);
+  }
+
+  if (item.before.name !== item.after.name) {
+    return renameFolder(item.key, item.before.name, logger, null, item.contentType);
+  }
+  return moveFolder(item.key, item.before.parentFolderId, logger, null, item.contentType);
+}
+
+async function run() {
+  console.log('');
+  console.log(\`Undo: reverse \${changesToUndo.length} move(s) in BU \${BUSINESS_UNIT}\`);
+  console.log(dryRun ? 'MODE: DRY RUN (use --confirm to move them back)' : 'MODE: LIVE UPDATE');
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.error(\`Configuration error: \${error.message}\`);
+    process.exit(1);
+  }
+
+  if (config.profile !== PROFILE) {
+    console.error(PROFILE
+      ? \`This script was generated for profile "\${PROFILE}" - run it with --profile \${PROFILE}.\`
+      : \`This script was generated without a profile but profile "\${config.profile}" is selected.\`);
+    process.exit(1);
+  }
+
+  if (String(config.sfmc.accountId) !== BUSINESS_UNIT) {
+    console.error(\`This script was generated for BU \${BUSINESS_UNIT} but the configured BU is \${config.sfmc.accountId}.\`);
+    process.exit(1);
+  }
+
+  const connection = await testConnection(logger);
+  if (!connection.success) {
+    console.error(\`Connection failed: \${connection.error}\`);
+    process.exit(1);
+  }
+
+  // Folders may have changed since the move - start from fresh folder data
+  for (const contentType of new Set(changesToUndo.filter(item => item.contentType).map(item => item.contentType))) {
+    await clearFolderCache(null, null, contentType);
+  }
+
+  const results = { restored: 0, skipped: 0, failed: 0 };
+
+  for (let i = 0; i < changesToUndo.length; i++) {
+    const item = changesToUndo[i];
+    const progress = \`[\${i + 1}/\${changesToUndo.length}]\`;
+    const label = \`\${item.type === 'DataExtension' ? 'DE' : 'Folder'} \${item.name}\`;
+
+    try {
+      const current = await getCurrentState(item);
+      if (!current) {
+        console.log(\`\${progress} Skipped: \${label} (no longer exists)\`);
+        results.skipped++;
+        continue;
+      }
+      if (isSameState(current, item.before)) {
+        console.log(\`\${progress} Skipped: \${label} (already restored)\`);
+        results.skipped++;
+        continue;
+      }
+      if (!isSameState(current, item.after)) {
+        console.log(\`\${progress} Skipped: \${label} (moved or renamed again since)\`);
+        results.skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(\`\${progress} Would restore: \${label}\`);
+        results.restored++;
+        continue;
+      }
+
+      const result = await restore(item);
+
+      if (result.success) {
+        console.log(\`\${progress} Restored: \${label}\`);
+        results.restored++;
+      } else {
+        console.log(\`\${progress} Failed: \${label} - \${result.error}\`);
+        results.failed++;
+      }
+    } catch (error) {
+      console.log(\`\${progress} Failed: \${label} - \${error.message}\`);
+      results.failed++;
+    }
+
+    await sleep(config.safety.apiRateLimitDelayMs);
+  }
+
+  console.log('');
+  console.log(\`\${dryRun ? 'Would restore' : 'Restored'}: \${results.restored}, skipped: \${results.skipped}, failed: \${results.failed}\`);
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+run();
+`;
+
+  fs.writeFileSync(scriptPath, scriptContent);
+
+  return scriptPath;
+}
+
+export default {
+  MoveType,
+  planDataExtensionMoves,
+  planFolderChange,
+  generateMoveUndoScript
+};
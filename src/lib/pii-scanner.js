@@ -0,0 +1,407 @@
+/**
+ * PII Scanner
+ *
+ * Lists the Data Extension fields that hold personal data, by category (email,
+ * phone, address, date of birth, national ID), for the GDPR register. Fields
+ * are flagged by name (getPiiCategory in data-extension-service); other PII
+ * names (first name, salary, ...) are reported as "other".
+ *
+ * With a sample size, the first rows of every DE are read and checked with
+ * value patterns: a flagged field is confirmed when at least half of its
+ * non-empty sample values match its category, and fields with unflagged names
+ * are reported when their values look like email addresses or national IDs
+ * (the two formats too distinctive to be anything else).
+ *
+ * PII DEs without a retention policy are listed separately - those keep
+ * personal data forever unless something deletes it.
+ */
+
+import dayjs from 'dayjs';
+import { loadAllFolders } from './folder-service.js';
+import {
+  PiiCategory,
+  getAllDataExtensions,
+  getDataExtensionSchema,
+  sampleDataExtensionRows,
+  getRowCount,
+  filterByPattern
+} from './data-extension-service.js';
+import { getRetentionSettings, hasRetentionPolicy, formatRetention } from './retention-service.js';
+import { buildFolderPathMap } from './bu-analyzer.js';
+import config from '../config/index.js';
+import { createConcurrencyLimiter, escapeCSV } from './utils.js';
+
+/**
+ * How a field was found to hold PII
+ * NAME: by field name only (not sampled, no sample values, or no value check for the category)
+ * CONFIRMED: by field name, and the sample values match the category
+ * UNCONFIRMED: by field name, but the sample values do not match the category
+ * VALUE: by sample values only
+ */
+export const PiiEvidence = {
+  NAME: 'name',
+  CONFIRMED: 'confirmed',
+  UNCONFIRMED: 'unconfirmed',
+  VALUE: 'value'
+};
+
+// Share of non-empty sample values that must match to confirm a field
+const CONFIRM_RATIO = 0.5;
+
+// Categories found by value alone, whatever the field is called
+const VALUE_ONLY_CATEGORIES = [PiiCategory.EMAIL, PiiCategory.NATIONAL_ID];
+
+// Street types for street addresses ("12 Main St", "4b Station Road")
+const STREET_PATTERN = /^\d+[a-z]?\s+.*\b(street|st|road|rd|avenue|ave|lane|ln|drive|dr|boulevard|blvd|way|court|ct|place|pl|close|crescent)\b/i;
+
+const VALUE_DETECTORS = {
+  [PiiCategory.EMAIL]: value => /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(value),
+  [PiiCategory.PHONE]: value => {
+    if (!/^\+?[\d\s().-]+$/.test(value)) return false;
+    const digits = value.replace(/\D/g, '').length;
+    return digits >= 7 && digits <= 15;
+  },
+  [PiiCategory.ADDRESS]: value =>
+    /^\d{5}(-\d{4})?$/.test(value) || // US ZIP
+    /^[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}$/i.test(value) || // UK postcode
+    /^[A-Z]\d[A-Z]\s?\d[A-Z]\d$/i.test(value) || // Canadian postal code
+    STREET_PATTERN.test(value),
+  [PiiCategory.DOB]: value => {
+    const date = dayjs(value);
+    return date.isValid() && date.isBefore(dayjs()) && date.isAfter(dayjs().subtract(120, 'year'));
+  },
+  [PiiCategory.NATIONAL_ID]: value =>
+    /^\d{3}-\d{2}-\d{4}$/.test(value) || // US SSN
+    /^[A-CEGHJ-PR-TW-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]$/i.test(value) || // UK National Insurance number
+    /^\d{3}[ -]\d{3}[ -]\d{3}$/.test(value) // Canadian SIN
+};
+
+/**
+ * Check whether a value looks like personal data of a category
+ * @param {string} value - Field value
+ * @param {string} category - PiiCategory value
+ * @returns {boolean} True if the value matches; always false for OTHER
+ */
+export function matchesPiiValue(value, category) {
+  const detector = VALUE_DETECTORS[category];
+  if (!detector || value === null || value === undefined) return false;
+
+  const text = String(value).trim();
+  return text !== '' && detector(text);
+}
+
+/**
+ * Find the PII fields of a DE
+ * @param {object[]} fields - Fields from getDataExtensionSchema
+ * @param {object[]|null} rows - Sample rows, or null if not sampled
+ * @returns {object[]} PII fields as { name, fieldType, category, evidence, sampled, matched }
+ */
+export function classifyPiiFields(fields, rows = null) {
+  const results = [];
+
+  for (const field of fields) {
+    const values = rows
+      ? rows.map(row => row[field.name]).filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+      : [];
+    const countMatches = category => values.filter(value => matchesPiiValue(value, category)).length;
+    const isConfirmed = matched => values.length > 0 && matched / values.length >= CONFIRM_RATIO;
+
+    if (field.piiCategory) {
+      const checkable = values.length > 0 && !!VALUE_DETECTORS[field.piiCategory];
+      const matched = checkable ? countMatches(field.piiCategory) : null;
+      let evidence = PiiEvidence.NAME;
+      if (checkable) {
+        evidence = isConfirmed(matched) ? PiiEvidence.CONFIRMED : PiiEvidence.UNCONFIRMED;
+      }
+
+      results.push({
+        name: field.name,
+        fieldType: field.fieldType,
+        category: field.piiCategory,
+        evidence,
+        sampled: rows ? values.length : null,
+        matched
+      });
+      continue;
+    }
+
+    for (const category of VALUE_ONLY_CATEGORIES) {
+      const matched = countMatches(category);
+      if (matched > 0 && isConfirmed(matched)) {
+        results.push({
+          name: field.name,
+          fieldType: field.fieldType,
+          category,
+          evidence: PiiEvidence.VALUE,
+          sampled: values.length,
+          matched
+        });
+        break;
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Scan Data Extensions for PII fields
+ * @param {object} options - Options
+ * @param {string} options.accountId - Business Unit MID (optional, defaults to config)
+ * @param {number[]} options.folderIds - Only scan DEs in these folders (optional)
+ * @param {string} options.includePattern - Regex for DE names to include (optional)
+ * @param {string} options.excludePattern - Regex for DE names to exclude (optional)
+ * @param {number} options.sampleSize - Rows to sample per DE (0 = field names only)
+ * @param {boolean} options.forceRefresh - Force refresh of the folder cache
+ * @param {object} options.logger - Logger instance
+ * @param {function} options.onProgress - Progress callback (stage, current, total, message)
+ * @returns {Promise<object>} { dataExtensions, withoutRetention, unreadable, summary }
+ */
+export async function scanPii(options = {}) {
+  const {
+    accountId = null,
+    folderIds = null,
+    includePattern = null,
+    excludePattern = null,
+    sampleSize = 0,
+    forceRefresh = false,
+    logger = null,
+    onProgress = null
+  } = options;
+
+  const progress = (stage, current, total, message) => {
+    if (onProgress) onProgress(stage, current, total, message);
+    if (logger) logger.debug(`[${stage}] ${current}/${total}: ${message}`);
+  };
+
+  progress('loading', 0, 1, 'Loading folders and Data Extensions...');
+
+  const folders = await loadAllFolders(logger, forceRefresh, accountId);
+  const folderPathById = buildFolderPathMap(folders);
+
+  // Straight from SOAP rather than the bulk cache: retention must be current
+  const folderFilter = folderIds ? new Set(folderIds) : null;
+  const candidates = (await getAllDataExtensions(logger, accountId))
+    .filter(de => !folderFilter || folderFilter.has(de.folderId));
+
+  const { filtered, errors } = filterByPattern(candidates, { include: includePattern, exclude: excludePattern });
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const limit = createConcurrencyLimiter(config.concurrency.queryTextConcurrency);
+  const piiDataExtensions = [];
+  const unreadable = [];
+  let completed = 0;
+
+  await Promise.all(filtered.map(de => limit(async () => {
+    try {
+      const fields = await getDataExtensionSchema(de.customerKey, logger, accountId);
+
+      let rows = null;
+      let sampleError = null;
+      if (sampleSize > 0 && fields.length > 0) {
+        try {
+          rows = await sampleDataExtensionRows(de.customerKey, fields.map(field => field.name), sampleSize, logger, accountId);
+        } catch (error) {
+          // Name matches still count
+          if (logger) logger.warn(`Failed to sample rows of "${de.name}": ${error.message}`);
+          sampleError = error.message;
+        }
+      }
+
+      const piiFields = classifyPiiFields(fields, rows);
+      if (piiFields.length > 0) {
+        const retention = getRetentionSettings(de);
+        piiDataExtensions.push({
+          name: de.name,
+          customerKey: de.customerKey,
+          folderId: de.folderId,
+          folderPath: folderPathById.get(de.folderId) || `Folder ${de.folderId}`,
+          isSendable: de.isSendable,
+          modifiedDate: de.modifiedDate || null,
+          hasRetention: hasRetentionPolicy(retention),
+          retention: formatRetention(retention),
+          categories: [...new Set(piiFields.map(field => field.category))].sort(),
+          sampledRows: rows ? rows.length : null,
+          sampleError,
+          fields: piiFields,
+          rowCount: null
+        });
+      }
+    } catch (error) {
+      if (logger) logger.warn(`Failed to load fields for "${de.name}": ${error.message}`);
+      unreadable.push({ name: de.name, customerKey: de.customerKey, error: error.message });
+    }
+    completed++;
+    progress('scanning', completed, filtered.length, de.name);
+  })));
+
+  // Row counts only for DEs that hold PII
+  completed = 0;
+  await Promise.all(piiDataExtensions.map(de => limit(async () => {
+    try {
+      de.rowCount = await getRowCount(de.customerKey, logger, accountId);
+    } catch (error) {
+      if (logger) logger.warn(`Failed to count rows of "${de.name}": ${error.message}`);
+    }
+    completed++;
+    progress('details', completed, piiDataExtensions.length, de.name);
+  })));
+
+  piiDataExtensions.sort((a, b) => a.folderPath.localeCompare(b.folderPath) || a.name.localeCompare(b.name));
+  const withoutRetention = piiDataExtensions.filter(de => !de.hasRetention);
+  const piiFields = piiDataExtensions.flatMap(de => de.fields);
+
+  const byCategory = Object.fromEntries(Object.values(PiiCategory).map(category => [
+    category,
+    {
+      fields: piiFields.filter(field => field.category === category).length,
+      dataExtensions: piiDataExtensions.filter(de => de.categories.includes(category)).length
+    }
+  ]));
+
+  return {
+    dataExtensions: piiDataExtensions,
+    withoutRetention,
+    unreadable,
+    summary: {
+      dataExtensions: filtered.length,
+      scanned: filtered.length - unreadable.length,
+      unreadable: unreadable.length,
+      piiDataExtensions: piiDataExtensions.length,
+      piiFields: piiFields.length,
+      byCategory,
+      confirmedFields: piiFields.filter(field => field.evidence === PiiEvidence.CONFIRMED).length,
+      unconfirmedFields: piiFields.filter(field => field.evidence === PiiEvidence.UNCONFIRMED).length,
+      valueOnlyFields: piiFields.filter(field => field.evidence === PiiEvidence.VALUE).length,
+      withoutRetention: withoutRetention.length,
+      withoutRetentionRows: withoutRetention.reduce((sum, de) => sum + (de.rowCount || 0), 0),
+      sampleSize
+    }
+  };
+}
+
+/**
+ * Format the PII scan for the console
+ * @param {object} result - Result of scanPii
+ * @returns {string} Report text
+ */
+export function formatPiiReport(result) {
+  const lines = [];
+  const width = 70;
+  const line = '─'.repeat(width);
+  const { summary } = result;
+
+  lines.push('');
+  lines.push(`┌${line}┐`);
+  lines.push(`│${'PII REPORT'.padStart(40).padEnd(width)}│`);
+  lines.push(`├${line}┤`);
+  lines.push(`│${` Data Extensions scanned: ${summary.scanned}`.padEnd(width)}│`);
+  if (summary.unreadable > 0) {
+    lines.push(`│${` Fields unavailable: ${summary.unreadable}`.padEnd(width)}│`);
+  }
+  lines.push(`│${` Data Extensions with PII: ${summary.piiDataExtensions} (${summary.piiFields} field(s))`.padEnd(width)}│`);
+  for (const [category, counts] of Object.entries(summary.byCategory)) {
+    if (counts.fields === 0) continue;
+    lines.push(`│${`   ${category.padEnd(12)} ${counts.fields} field(s) in ${counts.dataExtensions} DE(s)`.padEnd(width)}│`);
+  }
+  if (summary.sampleSize > 0) {
+    lines.push(`│${` Sampled: ${summary.sampleSize} row(s) per DE`.padEnd(width)}│`);
+    lines.push(`│${`   ${summary.confirmedFields} confirmed, ${summary.unconfirmedFields} unconfirmed, ${summary.valueOnlyFields} found by value only`.padEnd(width)}│`);
+  }
+  lines.push(`│${` PII without retention: ${summary.withoutRetention} DE(s), ${summary.withoutRetentionRows.toLocaleString()} row(s)`.padEnd(width)}│`);
+  lines.push(`└${line}┘`);
+
+  if (result.withoutRetention.length > 0) {
+    lines.push('');
+    lines.push(`PII Data Extensions without retention (${result.withoutRetention.length}):`);
+    for (const de of result.withoutRetention) {
+      const rows = de.rowCount === null ? '? rows' : `${de.rowCount.toLocaleString()} row${de.rowCount === 1 ? '' : 's'}`;
+      lines.push(`   • ${de.name}${de.isSendable ? ' [SENDABLE]' : ''}`);
+      lines.push(`     ${de.folderPath} - ${rows}, ${de.categories.join(', ')}`);
+      lines.push(`     Fields: ${de.fields.map(field => field.name).join(', ')}`);
+    }
+  }
+
+  const unconfirmed = result.dataExtensions.flatMap(de => de.fields
+    .filter(field => field.evidence === PiiEvidence.UNCONFIRMED)
+    .map(field => `${de.name}.${field.name} (${field.category}, ${field.matched}/${field.sampled} match)`));
+  if (unconfirmed.length > 0) {
+    lines.push('');
+    lines.push(`Flagged by name but not by sample values (${unconfirmed.length}):`);
+    unconfirmed.forEach(entry => lines.push(`   • ${entry}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Export PII fields to CSV (one row per field)
+ * @param {object} result - Result of scanPii
+ * @returns {string} CSV content
+ */
+export function exportPiiToCsv(result) {
+  const headers = [
+    'DataExtension', 'CustomerKey', 'FolderPath', 'Field', 'FieldType', 'Category', 'Evidence',
+    'SampledValues', 'MatchingValues', 'Sendable', 'Rows', 'HasRetention', 'Retention'
+  ];
+  const rows = [headers.join(',')];
+
+  for (const de of result.dataExtensions) {
+    for (const field of de.fields) {
+      rows.push([
+        escapeCSV(de.name),
+        escapeCSV(de.customerKey),
+        escapeCSV(de.folderPath),
+        escapeCSV(field.name),
+        escapeCSV(field.fieldType),
+        field.category,
+        field.evidence,
+        field.sampled ?? '',
+        field.matched ?? '',
+        de.isSendable,
+        de.rowCount ?? '',
+        de.hasRetention,
+        escapeCSV(de.retention)
+      ].join(','));
+    }
+  }
+
+  return rows.join('\n');
+}
+
+/**
+ * Export PII DEs without retention to CSV (one row per DE)
+ * @param {object} result - Result of scanPii
+ * @returns {string} CSV content
+ */
+export function exportPiiWithoutRetentionToCsv(result) {
+  const headers = ['DataExtension', 'CustomerKey', 'FolderPath', 'Categories', 'PiiFields', 'Sendable', 'Rows', 'ModifiedDate'];
+  const rows = [headers.join(',')];
+
+  for (const de of result.withoutRetention) {
+    rows.push([
+      escapeCSV(de.name),
+      escapeCSV(de.customerKey),
+      escapeCSV(de.folderPath),
+      escapeCSV(de.categories.join('; ')),
+      escapeCSV(de.fields.map(field => field.name).join('; ')),
+      de.isSendable,
+      de.rowCount ?? '',
+      escapeCSV(de.modifiedDate)
+    ].join(','));
+  }
+
+  return rows.join('\n');
+}
+
+export default {
+  PiiEvidence,
+  matchesPiiValue,
+  classifyPiiFields,
+  scanPii,
+  formatPiiReport,
+  exportPiiToCsv,
+  exportPiiWithoutRetentionToCsv
+};
@@ -0,0 +1,484 @@
+/**
+ * Plan Service for Destructive Operations
+ * Builds, reads and verifies deterministic plan files for the delete
+ * commands (Terraform-style plan/apply). A plan lists every object the
+ * operation will touch, in execution order, with a content hash of the
+ * object's state so `apply` can refuse to run if anything has drifted.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DependencyClassification } from './dependency-analyzer.js';
+
+export const PLAN_VERSION = 1;
+
+/**
+ * Operations that can be planned and applied
+ */
+export const PlanOperation = {
+  DELETE_DATA_EXTENSIONS: 'delete-data-extensions',
+  DELETE_FOLDERS: 'delete-folders',
+  DELETE_AUTOMATIONS: 'delete-automations'
+};
+
+/**
+ * Dependency status recorded per plan item
+ */
+export const DependencyStatus = {
+  NONE: 'none',
+  SAFE: 'safe',
+  BLOCKING: 'blocking',
+  UNCHECKED: 'unchecked'
+};
+
+// Dependency analyzer type -> plan item type (same names as audit log entries)
+const DEPENDENCY_ITEM_TYPES = {
+  'Filter Activity': 'FilterActivity',
+  'Automation': 'Automation',
+  'Query Activity': 'QueryActivity'
+};
+
+// =============================================================================
+// Hashing
+// =============================================================================
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level,
+ * so equal content always produces the same string
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function canonicalize(value) {
+  if (value === undefined) {
+    return 'null';
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+/**
+ * SHA-256 of a value's canonical JSON
+ * @param {any} value - Value to hash
+ * @returns {string} Hex digest
+ */
+export function hashContent(value) {
+  return crypto.createHash('sha256').update(canonicalize(value)).digest('hex');
+}
+
+// =============================================================================
+// Object State Snapshots
+// =============================================================================
+
+/**
+ * State of a Data Extension that must not change between plan and apply
+ * @param {object} de - DE from getFullDataExtensionDetails
+ * @returns {object} State snapshot
+ */
+function dataExtensionState(de) {
+  return {
+    customerKey: de.customerKey,
+    objectId: de.objectId || null,
+    name: de.name,
+    folderId: de.folderId ?? null,
+    modifiedDate: de.modifiedDate || null,
+    rowCount: de.rowCount ?? null,
+    fields: (de.fields || []).map(field => ({
+      name: field.name,
+      fieldType: field.fieldType,
+      maxLength: field.maxLength ?? null,
+      scale: field.scale ?? null,
+      isPrimaryKey: !!field.isPrimaryKey,
+      isRequired: !!field.isRequired
+    }))
+  };
+}
+
+/**
+ * State of a folder, including its direct contents
+ * @param {object} folder - Folder from folder-service
+ * @param {object} contents - Result of isFolderEmpty()
+ * @returns {object} State snapshot
+ */
+function folderState(folder, contents) {
+  const state = {
+    id: folder.id,
+    name: folder.name,
+    parentFolderId: folder.parentFolderId ?? null,
+    path: folder.path || null,
+    subfolders: (contents?.subfolders || []).map(sub => sub.id).sort((a, b) => a - b),
+    dataExtensions: (contents?.dataExtensions || []).map(de => de.customerKey).sort()
+  };
+
+  // Query, automation, filter and asset folders record what they hold as items
+  if (contents?.items && contents.items.length > 0 && contents.dataExtensionCount === 0) {
+    state.items = contents.items.map(item => item.key).sort();
+  }
+
+  return state;
+}
+
+/**
+ * State of an automation
+ * @param {object} automation - Automation from getAutomationWithMetadata
+ * @returns {object} State snapshot
+ */
+function automationState(automation) {
+  return {
+    id: automation.id,
+    key: automation.key || null,
+    name: automation.name,
+    statusId: automation.statusId ?? null,
+    modifiedDate: automation.modifiedDate || null,
+    lastRunTime: automation.lastRunTime || null
+  };
+}
+
+/**
+ * State of an activity deleted as a dependency of a planned DE
+ * (standalone filter, stale automation, query activity)
+ * @param {object} dep - Classified dependency from analyzeDependencies
+ * @returns {object} State snapshot
+ */
+function dependencyState(dep) {
+  return {
+    type: dep.type,
+    id: dep.id,
+    name: dep.name,
+    classification: dep.classification || null,
+    modifiedDate: dep.rawData?.modifiedDate || null,
+    affectedDes: (dep.affectedDes || []).map(de => de.customerKey).sort()
+  };
+}
+
+// =============================================================================
+// Plan Items
+// =============================================================================
+
+/**
+ * Map a dependency analyzer type to a plan item type
+ * @param {string} dependencyType - e.g. 'Filter Activity'
+ * @returns {string|null} Plan item type, or null if it cannot be deleted by a plan
+ */
+export function dependencyItemType(dependencyType) {
+  return DEPENDENCY_ITEM_TYPES[dependencyType] || null;
+}
+
+/**
+ * Summarize a DE's dependencies into a single status
+ * @param {object[]|null} dependencies - Classified dependencies, or null if not checked
+ * @returns {string} DependencyStatus value
+ */
+export function summarizeDependencyStatus(dependencies) {
+  if (!dependencies) {
+    return DependencyStatus.UNCHECKED;
+  }
+  if (dependencies.length === 0) {
+    return DependencyStatus.NONE;
+  }
+  return dependencies.every(dep => dep.classification === DependencyClassification.SAFE_TO_DELETE)
+    ? DependencyStatus.SAFE
+    : DependencyStatus.BLOCKING;
+}
+
+/**
+ * Reduce classified dependencies to the sorted fields recorded in a plan
+ * @param {object[]} dependencies - Classified dependencies
+ * @returns {object[]} [{ type, id, name, classification }]
+ */
+function planDependencies(dependencies) {
+  return (dependencies || [])
+    .map(dep => ({
+      type: dep.type,
+      id: String(dep.id),
+      name: dep.name,
+      classification: dep.classification || null
+    }))
+    .sort((a, b) => a.type.localeCompare(b.type) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Build a plan item
+ * @param {object} item - Item definition
+ * @param {string} item.type - DataExtension, Folder, Automation, FilterActivity, QueryActivity
+ * @param {string|number} item.id - CustomerKey for DEs, ID otherwise
+ * @param {string} item.name - Display name
+ * @param {object} item.state - State snapshot (see *State helpers)
+ * @param {object[]|null} item.dependencies - Classified dependencies (null = not checked)
+ * @param {string} item.reason - Why the item is in the plan (optional)
+ * @returns {object} Plan item with content hash
+ */
+export function createPlanItem({ type, id, name, state, dependencies = null, reason = null }) {
+  const recordedDependencies = planDependencies(dependencies);
+  const dependencyStatus = summarizeDependencyStatus(dependencies);
+
+  return {
+    type,
+    id,
+    name,
+    action: 'delete',
+    ...(reason ? { reason } : {}),
+    dependencyStatus,
+    dependencies: recordedDependencies,
+    state,
+    hash: hashContent({ state, dependencyStatus, dependencies: recordedDependencies })
+  };
+}
+
+/**
+ * Plan item for a Data Extension
+ * @param {object} de - DE from getFullDataExtensionDetails
+ * @param {object[]|null} dependencies - Classified dependencies (null = not checked)
+ * @returns {object} Plan item
+ */
+export function dataExtensionPlanItem(de, dependencies = null) {
+  return createPlanItem({
+    type: 'DataExtension',
+    id: de.customerKey,
+    name: de.name,
+    state: dataExtensionState(de),
+    dependencies
+  });
+}
+
+/**
+ * Plan item for a folder
+ * @param {object} folder - Folder from folder-service
+ * @param {object} contents - Result of isFolderEmpty()
+ * @returns {object} Plan item
+ */
+export function folderPlanItem(folder, contents) {
+  return createPlanItem({
+    type: 'Folder',
+    id: folder.id,
+    name: folder.path || folder.name,
+    state: folderState(folder, contents)
+  });
+}
+
+/**
+ * Plan item for an automation
+ * @param {object} automation - Automation from getAutomationWithMetadata
+ * @returns {object} Plan item
+ */
+export function automationPlanItem(automation) {
+  return createPlanItem({
+    type: 'Automation',
+    id: automation.id,
+    name: automation.name,
+    state: automationState(automation)
+  });
+}
+
+/**
+ * Plan item for an activity deleted along with the DEs it references
+ * @param {object} dep - Classified dependency from analyzeDependencies
+ * @returns {object} Plan item
+ */
+export function dependencyPlanItem(dep) {
+  return createPlanItem({
+    type: dependencyItemType(dep.type),
+    id: dep.id,
+    name: dep.name,
+    state: dependencyState(dep),
+    reason: dep.classificationReason
+  });
+}
+
+/**
+ * Unique key for a plan item
+ * @param {object} item - Plan item ({ type, id })
+ * @returns {string} "Type:id"
+ */
+export function planItemKey(item) {
+  return `${item.type}:${item.id}`;
+}
+
+// =============================================================================
+// Plan Files
+// =============================================================================
+
+/**
+ * Assemble a plan. No timestamps are included, so planning the same
+ * unchanged objects twice produces byte-identical files.
+ *
+ * @param {object} params - Plan contents
+ * @param {string} params.operation - PlanOperation value
+ * @param {string} params.businessUnit - BU MID the plan was made against
+ * @param {string|null} params.profile - Credential profile the plan was made with
+ * @param {string} params.target - Human-readable target (folder path, name list)
+ * @param {object} params.options - Options apply must honor (backups etc.)
+ * @param {object[]} params.items - Plan items in execution order
+ * @returns {object} Plan with planHash
+ */
+export function createPlan({ operation, businessUnit, profile = null, target, options = {}, items }) {
+  const body = {
+    planVersion: PLAN_VERSION,
+    operation,
+    businessUnit: String(businessUnit),
+    ...(profile ? { profile } : {}),
+    target,
+    options,
+    summary: summarizeItems(items),
+    items
+  };
+
+  return { ...body, planHash: hashContent(body) };
+}
+
+/**
+ * Count plan items by type and dependency status
+ * @param {object[]} items - Plan items
+ * @returns {object} { total, byType, byDependencyStatus }
+ */
+function summarizeItems(items) {
+  const byType = {};
+  const byDependencyStatus = {};
+
+  for (const item of items) {
+    byType[item.type] = (byType[item.type] || 0) + 1;
+    byDependencyStatus[item.dependencyStatus] = (byDependencyStatus[item.dependencyStatus] || 0) + 1;
+  }
+
+  return { total: items.length, byType, byDependencyStatus };
+}
+
+/**
+ * Write a plan file
+ * @param {object} plan - Plan from createPlan
+ * @param {string} filePath - Output path
+ * @returns {string} Resolved path written
+ */
+export function writePlan(plan, filePath) {
+  const outputPath = path.resolve(filePath);
+  const dir = path.dirname(outputPath);
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(outputPath, JSON.stringify(plan, null, 2) + '\n');
+  return outputPath;
+}
+
+/**
+ * Read and validate a plan file
+ * @param {string} filePath - Plan file path
+ * @returns {object} Plan
+ * @throws {Error} If the file is missing, unsupported, or was edited after planning
+ */
+export function readPlan(filePath) {
+  const planPath = path.resolve(filePath);
+
+  if (!fs.existsSync(planPath)) {
+    throw new Error(`Plan file not found: ${planPath}`);
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(planPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Plan file is not valid JSON: ${error.message}`);
+  }
+
+  if (plan.planVersion !== PLAN_VERSION) {
+    throw new Error(`Unsupported plan version: ${plan.planVersion} (expected ${PLAN_VERSION})`);
+  }
+
+  if (!Object.values(PlanOperation).includes(plan.operation)) {
+    throw new Error(`Unknown plan operation: ${plan.operation}`);
+  }
+
+  const { planHash, ...body } = plan;
+  if (hashContent(body) !== planHash) {
+    throw new Error('Plan file was modified after it was created (planHash mismatch). Re-run the plan.');
+  }
+
+  for (const item of plan.items) {
+    const { state, dependencyStatus, dependencies } = item;
+    if (hashContent({ state, dependencyStatus, dependencies }) !== item.hash) {
+      throw new Error(`Plan item ${planItemKey(item)} does not match its hash. Re-run the plan.`);
+    }
+  }
+
+  return plan;
+}
+
+// =============================================================================
+// Drift Detection
+// =============================================================================
+
+/**
+ * List top-level fields that differ between two snapshots
+ * @param {object} before - Planned value
+ * @param {object} after - Current value
+ * @returns {string[]} Changed field names
+ */
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return Array.from(keys)
+    .filter(key => canonicalize(before?.[key]) !== canonicalize(after?.[key]))
+    .sort();
+}
+
+/**
+ * Compare a plan with freshly captured state
+ *
+ * @param {object} plan - Plan from readPlan
+ * @param {Map<string, object|null>} currentItems - planItemKey -> current plan item
+ *   (built with createPlanItem from live data), or null if the object no longer exists
+ * @returns {object[]} Drifted items: [{ type, id, name, reason, changes }]
+ */
+export function detectDrift(plan, currentItems) {
+  const drift = [];
+
+  for (const item of plan.items) {
+    const current = currentItems.get(planItemKey(item));
+
+    if (!current) {
+      drift.push({ type: item.type, id: item.id, name: item.name, reason: 'not found', changes: [] });
+      continue;
+    }
+
+    if (current.hash === item.hash) continue;
+
+    const changes = changedFields(item.state, current.state).map(field => `state.${field}`);
+    if (item.dependencyStatus !== current.dependencyStatus) {
+      changes.push(`dependencyStatus (${item.dependencyStatus} -> ${current.dependencyStatus})`);
+    }
+    if (canonicalize(item.dependencies) !== canonicalize(current.dependencies)) {
+      changes.push('dependencies');
+    }
+
+    drift.push({ type: item.type, id: item.id, name: item.name, reason: 'changed', changes });
+  }
+
+  return drift;
+}
+
+export default {
+  PLAN_VERSION,
+  PlanOperation,
+  DependencyStatus,
+  canonicalize,
+  hashContent,
+  dependencyItemType,
+  summarizeDependencyStatus,
+  createPlanItem,
+  dataExtensionPlanItem,
+  folderPlanItem,
+  automationPlanItem,
+  dependencyPlanItem,
+  planItemKey,
+  createPlan,
+  writePlan,
+  readPlan,
+  detectDrift
+};
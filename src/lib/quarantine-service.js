@@ -0,0 +1,278 @@
+/**
+ * Quarantine Service
+ * Tracks Data Extensions that were moved into the quarantine folder instead
+ * of being deleted. The manifest (one per Business Unit, in the state
+ * directory) records where each DE came from and which automations were
+ * paused, so `unquarantine` can move it back and `purge-quarantine` can
+ * hard-delete it once the retention period has passed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import config from '../config/index.js';
+import { findAutomationsContainingActivity } from './bulk-data-loader.js';
+import { AutomationStatusId, INACTIVE_AUTOMATION_STATUS_IDS } from './dependency-analyzer.js';
+
+export const QUARANTINE_MANIFEST_VERSION = 1;
+
+// Dependency types that are activities inside an automation
+const ACTIVITY_DEPENDENCY_TYPES = ['Query Activity', 'Filter Activity', 'Import Activity', 'Data Extract'];
+
+// Automation statuses with no active schedule to pause (Building, Paused, Stopped, Inactive)
+const UNSCHEDULED_AUTOMATION_STATUSES = [AutomationStatusId.BUILDING, ...INACTIVE_AUTOMATION_STATUS_IDS];
+
+// =============================================================================
+// Manifest
+// =============================================================================
+
+/**
+ * Get the manifest file path for a Business Unit
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {string} Manifest path
+ */
+export function getQuarantineManifestPath(accountId = null) {
+  const effectiveAccountId = accountId || config.sfmc.accountId;
+  return path.join(config.paths.state, `quarantine-${effectiveAccountId}.json`);
+}
+
+/**
+ * Load the quarantine manifest (empty manifest if none exists yet)
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {object} Manifest { version, businessUnit, entries }
+ */
+export function loadQuarantineManifest(accountId = null) {
+  const effectiveAccountId = String(accountId || config.sfmc.accountId);
+  const manifestPath = getQuarantineManifestPath(effectiveAccountId);
+
+  if (!fs.existsSync(manifestPath)) {
+    return { version: QUARANTINE_MANIFEST_VERSION, businessUnit: effectiveAccountId, entries: [] };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Quarantine manifest is not valid JSON (${manifestPath}): ${error.message}`);
+  }
+
+  if (manifest.version !== QUARANTINE_MANIFEST_VERSION) {
+    throw new Error(`Unsupported quarantine manifest version ${manifest.version} (expected ${QUARANTINE_MANIFEST_VERSION})`);
+  }
+
+  manifest.entries = manifest.entries || [];
+  return manifest;
+}
+
+/**
+ * Write the quarantine manifest
+ * @param {object} manifest - Manifest to write
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {string} Manifest path
+ */
+export function saveQuarantineManifest(manifest, accountId = null) {
+  const manifestPath = getQuarantineManifestPath(accountId || manifest.businessUnit);
+
+  if (!fs.existsSync(config.paths.state)) {
+    fs.mkdirSync(config.paths.state, { recursive: true });
+  }
+
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+  return manifestPath;
+}
+
+/**
+ * Build a manifest entry for a quarantined DE
+ * @param {object} de - Data extension (with folderId and folderPath)
+ * @param {object} context - { quarantineFolder, operationId, automations }
+ * @returns {object} Manifest entry
+ */
+export function createQuarantineEntry(de, context) {
+  const { quarantineFolder, operationId, automations = [] } = context;
+  const quarantinedAt = new Date();
+
+  return {
+    customerKey: de.customerKey,
+    name: de.name,
+    objectId: de.objectId,
+    rowCount: de.rowCount ?? null,
+    originalFolderId: de.folderId,
+    originalFolderPath: de.folderPath || null,
+    quarantineFolderId: quarantineFolder.id,
+    quarantineFolderPath: quarantineFolder.path,
+    quarantinedAt: quarantinedAt.toISOString(),
+    purgeAfter: dayjs(quarantinedAt).add(config.quarantine.retentionDays, 'day').toISOString(),
+    operationId,
+    automations: automations.map(a => ({
+      id: a.id,
+      name: a.name,
+      previousStatusId: a.statusId ?? null,
+      paused: a.paused === true
+    }))
+  };
+}
+
+// =============================================================================
+// Selection
+// =============================================================================
+
+/**
+ * Get the dated quarantine folder path for a run
+ * @param {Date} date - Quarantine date (defaults to now)
+ * @returns {string} Folder path (e.g., "Data Extensions/_Quarantine/2024-01-31")
+ */
+export function getQuarantineFolderPath(date = new Date()) {
+  return `${config.quarantine.folder.replace(/\/+$/, '')}/${dayjs(date).format('YYYY-MM-DD')}`;
+}
+
+/**
+ * Age of a manifest entry in whole days
+ * @param {object} entry - Manifest entry
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {number} Days since quarantine
+ */
+export function getEntryAgeDays(entry, now = new Date()) {
+  return dayjs(now).diff(dayjs(entry.quarantinedAt), 'day');
+}
+
+/**
+ * Select manifest entries by age and/or DE name or CustomerKey
+ * @param {object[]} entries - Manifest entries
+ * @param {object} options - { olderThanDays, keys }
+ * @returns {object[]} Matching entries
+ */
+export function selectEntries(entries, options = {}) {
+  const { olderThanDays = null, keys = null } = options;
+  const wanted = keys && keys.length > 0
+    ? new Set(keys.map(k => k.toLowerCase()))
+    : null;
+
+  return entries.filter(entry => {
+    if (olderThanDays !== null && olderThanDays !== undefined && getEntryAgeDays(entry) < olderThanDays) {
+      return false;
+    }
+    if (wanted && !wanted.has(entry.customerKey.toLowerCase()) && !wanted.has((entry.name || '').toLowerCase())) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Remove entries from a manifest by CustomerKey
+ * @param {object} manifest - Manifest to update in place
+ * @param {string[]} customerKeys - Keys to remove
+ * @returns {object} The manifest
+ */
+export function removeEntries(manifest, customerKeys) {
+  const keys = new Set(customerKeys);
+  manifest.entries = manifest.entries.filter(entry => !keys.has(entry.customerKey));
+  return manifest;
+}
+
+// =============================================================================
+// Automations
+// =============================================================================
+
+/**
+ * Whether an automation has an active schedule that quarantine should pause
+ * @param {number} statusId - Automation status ID
+ * @returns {boolean} True if the automation should be paused
+ */
+export function isAutomationPausable(statusId) {
+  return !UNSCHEDULED_AUTOMATION_STATUSES.includes(Number(statusId));
+}
+
+/**
+ * Find the automations that reference each DE, either directly or through
+ * one of their activities (query, filter, import, data extract)
+ * @param {object[]} dataExtensions - DEs with dependencies from the analyzer
+ * @param {object} bulkData - Bulk SFMC data from loadAllSfmcData
+ * @returns {object[]} [{ id, name, statusId, status, customerKeys }]
+ */
+export function findReferencingAutomations(dataExtensions, bulkData) {
+  const automations = new Map();
+
+  const add = (automation, customerKey) => {
+    if (!automation?.id) return;
+
+    if (!automations.has(automation.id)) {
+      automations.set(automation.id, {
+        id: automation.id,
+        name: automation.name,
+        statusId: automation.statusId ?? null,
+        status: automation.status || null,
+        customerKeys: []
+      });
+    }
+
+    const entry = automations.get(automation.id);
+    if (!entry.customerKeys.includes(customerKey)) {
+      entry.customerKeys.push(customerKey);
+    }
+  };
+
+  for (const de of dataExtensions) {
+    for (const dep of de.dependencies || []) {
+      if (dep.type === 'Automation') {
+        add({
+          id: dep.id,
+          name: dep.name,
+          statusId: dep.rawData?.statusId,
+          status: dep.rawData?.status
+        }, de.customerKey);
+      } else if (ACTIVITY_DEPENDENCY_TYPES.includes(dep.type) && dep.id) {
+        for (const automation of findAutomationsContainingActivity(String(dep.id), bulkData)) {
+          add(automation, de.customerKey);
+        }
+      }
+    }
+  }
+
+  return [...automations.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Automations paused by quarantine that no remaining quarantined DE still needs
+ * paused, i.e. the ones that can be re-activated after releasing entries
+ * @param {object[]} releasedEntries - Entries being unquarantined or purged
+ * @param {object[]} remainingEntries - Entries still in quarantine
+ * @returns {object[]} [{ id, name, previousStatusId }]
+ */
+export function getReleasableAutomations(releasedEntries, remainingEntries) {
+  const stillHeld = new Set(
+    remainingEntries.flatMap(entry => (entry.automations || []).map(a => a.id))
+  );
+  const releasable = new Map();
+
+  for (const entry of releasedEntries) {
+    for (const automation of entry.automations || []) {
+      if (automation.paused && !stillHeld.has(automation.id) && !releasable.has(automation.id)) {
+        releasable.set(automation.id, {
+          id: automation.id,
+          name: automation.name,
+          previousStatusId: automation.previousStatusId
+        });
+      }
+    }
+  }
+
+  return [...releasable.values()];
+}
+
+export default {
+  QUARANTINE_MANIFEST_VERSION,
+  getQuarantineManifestPath,
+  loadQuarantineManifest,
+  saveQuarantineManifest,
+  createQuarantineEntry,
+  getQuarantineFolderPath,
+  getEntryAgeDays,
+  selectEntries,
+  removeEntries,
+  isAutomationPausable,
+  findReferencingAutomations,
+  getReleasableAutomations
+};
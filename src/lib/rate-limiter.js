@@ -0,0 +1,278 @@
+/**
+ * Adaptive Rate Limiter
+ * Process-wide scheduler that every SOAP and REST request goes through.
+ *
+ * - A token bucket caps the request rate across all callers and BUs
+ * - Each BU has its own cap on requests in flight, so one BU scan cannot
+ *   starve the others (or trip SFMC's per-BU throttling)
+ * - A throttle (HTTP 429, 503 or a SOAP "Server too busy" fault) halves the
+ *   rate and pauses all requests for Retry-After (or a backoff); steady
+ *   success raises the rate back towards the configured maximum
+ *
+ * Local concurrency limiters (query text, automation details) still decide how
+ * many requests a loop submits; this module decides when they are sent.
+ */
+
+import config from '../config/index.js';
+import { calculateBackoffDelay } from './utils.js';
+
+// Successes must follow the last throttle by this long before the rate recovers
+const RECOVERY_COOLDOWN_MS = 10 * 1000;
+
+// Each success after the cooldown recovers this share of the maximum rate
+const RECOVERY_STEP = 0.02;
+
+// Completions older than this are dropped from the throughput figure
+const THROUGHPUT_WINDOW_MS = 10 * 1000;
+
+const maxRate = config.rateLimit.requestsPerSecond;
+const minRate = Math.min(config.rateLimit.minRequestsPerSecond, maxRate || Infinity);
+const unlimited = maxRate <= 0;
+
+const state = {
+  rate: maxRate,
+  tokens: Math.max(1, maxRate),
+  lastRefill: Date.now(),
+  pausedUntil: 0,
+  lastThrottleAt: 0,
+  consecutiveThrottles: 0,
+  queue: [],
+  inFlightByBu: new Map(),
+  completions: [],
+  completed: 0,
+  throttled: 0,
+  firstRequestAt: null,
+  timer: null
+};
+
+/**
+ * Get the BU a request counts against
+ * @param {string|null} accountId - Business Unit account ID
+ * @returns {string} Effective account ID
+ */
+function getBuKey(accountId) {
+  return String(accountId || config.sfmc.accountId || 'default');
+}
+
+/**
+ * Add tokens for the time since the last refill
+ */
+function refill() {
+  const now = Date.now();
+  const elapsedSeconds = (now - state.lastRefill) / 1000;
+  state.tokens = Math.min(Math.max(1, state.rate), state.tokens + elapsedSeconds * state.rate);
+  state.lastRefill = now;
+}
+
+/**
+ * Schedule the next pump
+ * @param {number} delayMs - Delay in milliseconds
+ */
+function wakeIn(delayMs) {
+  if (state.timer) return;
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    pump();
+  }, Math.max(1, Math.ceil(delayMs)));
+}
+
+/**
+ * Start as many queued requests as the bucket and BU caps allow
+ */
+function pump() {
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+
+  const now = Date.now();
+  if (now < state.pausedUntil) {
+    if (state.queue.length > 0) wakeIn(state.pausedUntil - now);
+    return;
+  }
+
+  refill();
+
+  for (let i = 0; i < state.queue.length;) {
+    const entry = state.queue[i];
+
+    // Skip requests for BUs at their in-flight cap; others may still go
+    if ((state.inFlightByBu.get(entry.bu) || 0) >= config.rateLimit.maxInFlightPerBu) {
+      i++;
+      continue;
+    }
+
+    if (!unlimited) {
+      if (state.tokens < 1) {
+        wakeIn(((1 - state.tokens) / state.rate) * 1000);
+        return;
+      }
+      state.tokens -= 1;
+    }
+
+    state.queue.splice(i, 1);
+    start(entry);
+  }
+}
+
+/**
+ * Run one request and release its slot when it settles
+ * @param {object} entry - Queue entry
+ */
+function start(entry) {
+  state.inFlightByBu.set(entry.bu, (state.inFlightByBu.get(entry.bu) || 0) + 1);
+
+  Promise.resolve()
+    .then(entry.fn)
+    .then(
+      (result) => {
+        recordSuccess();
+        entry.resolve(result);
+      },
+      (error) => entry.reject(error)
+    )
+    .finally(() => {
+      state.inFlightByBu.set(entry.bu, state.inFlightByBu.get(entry.bu) - 1);
+      state.completed++;
+      state.completions.push(Date.now());
+      while (state.completions[0] < Date.now() - THROUGHPUT_WINDOW_MS) {
+        state.completions.shift();
+      }
+      pump();
+    });
+}
+
+/**
+ * Raise the rate after a success once throttling has calmed down
+ */
+function recordSuccess() {
+  state.consecutiveThrottles = 0;
+  if (unlimited || state.rate >= maxRate) return;
+  if (Date.now() - state.lastThrottleAt < RECOVERY_COOLDOWN_MS) return;
+
+  refill();
+  state.rate = Math.min(maxRate, state.rate + maxRate * RECOVERY_STEP);
+}
+
+/**
+ * Read a Retry-After header (seconds or HTTP date)
+ * @param {Error} error - Axios error
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+export function getRetryAfterMs(error) {
+  const header = error?.response?.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') return null;
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Run a request through the shared scheduler
+ * @param {string|null} accountId - Business Unit the request is made for
+ * @param {function} fn - Performs the request, returns a promise
+ * @returns {Promise<any>} Result of fn
+ */
+export function schedule(accountId, fn) {
+  if (state.firstRequestAt === null) {
+    state.firstRequestAt = Date.now();
+  }
+
+  return new Promise((resolve, reject) => {
+    state.queue.push({ bu: getBuKey(accountId), fn, resolve, reject });
+    pump();
+  });
+}
+
+/**
+ * Report that SFMC throttled a request
+ * Halves the rate (down to the minimum) and pauses every request until
+ * Retry-After, or an exponential backoff if SFMC sent none.
+ *
+ * @param {Error} error - Throttling error (for Retry-After)
+ * @param {object} logger - Logger instance (optional)
+ * @returns {number} Pause in milliseconds
+ */
+export function reportThrottle(error, logger = null) {
+  const now = Date.now();
+  const pauseMs = getRetryAfterMs(error) ?? calculateBackoffDelay(Math.min(state.consecutiveThrottles, 5));
+
+  state.throttled++;
+  state.consecutiveThrottles++;
+  state.lastThrottleAt = now;
+  state.pausedUntil = Math.max(state.pausedUntil, now + pauseMs);
+
+  if (!unlimited) {
+    refill();
+    state.rate = Math.max(minRate, state.rate / 2);
+    state.tokens = 0;
+  }
+
+  if (logger) {
+    const rate = unlimited ? 'unlimited' : `${state.rate.toFixed(1)} req/s`;
+    logger.warn(`SFMC throttled a request, pausing ${pauseMs}ms (rate now ${rate})`);
+  }
+
+  pump();
+  return pauseMs;
+}
+
+/**
+ * Get current scheduler figures
+ * @returns {object} Rate, throughput (last 10s and whole run), in-flight and queue sizes, totals
+ */
+export function getRateLimiterStats() {
+  const now = Date.now();
+  while (state.completions.length > 0 && state.completions[0] < now - THROUGHPUT_WINDOW_MS) {
+    state.completions.shift();
+  }
+
+  let inFlight = 0;
+  const inFlightByBu = {};
+  for (const [bu, count] of state.inFlightByBu) {
+    if (count > 0) inFlightByBu[bu] = count;
+    inFlight += count;
+  }
+
+  const elapsedSeconds = state.firstRequestAt === null ? 0 : (now - state.firstRequestAt) / 1000;
+
+  return {
+    requestsPerSecond: unlimited ? null : Math.round(state.rate * 10) / 10,
+    maxRequestsPerSecond: unlimited ? null : maxRate,
+    throughput: Math.round((state.completions.length / (THROUGHPUT_WINDOW_MS / 1000)) * 10) / 10,
+    averageThroughput: elapsedSeconds > 0 ? Math.round((state.completed / elapsedSeconds) * 10) / 10 : 0,
+    inFlight,
+    inFlightByBu,
+    queued: state.queue.length,
+    completed: state.completed,
+    throttled: state.throttled,
+    pausedForMs: Math.max(0, state.pausedUntil - now)
+  };
+}
+
+/**
+ * Format scheduler figures for an end-of-run summary line
+ * @returns {string} e.g. "412 requests, 8.5 req/s, throttled 2x, rate 12.5/20 req/s"
+ */
+export function formatRateLimiterStats() {
+  const stats = getRateLimiterStats();
+  const parts = [`${stats.completed} requests`, `${stats.averageThroughput} req/s`];
+  if (stats.throttled > 0) {
+    parts.push(`throttled ${stats.throttled}x`);
+  }
+  if (stats.requestsPerSecond !== null && stats.requestsPerSecond < stats.maxRequestsPerSecond) {
+    parts.push(`rate ${stats.requestsPerSecond}/${stats.maxRequestsPerSecond} req/s`);
+  }
+  return parts.join(', ');
+}
+
+export default {
+  schedule,
+  reportThrottle,
+  getRetryAfterMs,
+  getRateLimiterStats,
+  formatRateLimiterStats
+};
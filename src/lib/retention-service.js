@@ -0,0 +1,478 @@
+/**
+ * Retention Service
+ * Builds, compares and applies Data Extension retention policies for
+ * `set-retention`, reads the DEs flagged NO_RETENTION from an analyze-bu CSV,
+ * and writes the backup and undo script that restore the previous settings.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import config from '../config/index.js';
+import { updateDataExtensionRetention } from './sfmc-soap.js';
+import { parseCsv } from './row-backup-service.js';
+
+/**
+ * Retention period units
+ */
+export const RetentionUnit = {
+  DAYS: 'days',
+  WEEKS: 'weeks',
+  MONTHS: 'months',
+  YEARS: 'years'
+};
+
+/**
+ * What is deleted at the end of the period
+ * ROWS: each row once it is older than the period (row-based retention)
+ * ALL: all rows at once (and the DE itself with deleteAtEndOfRetention)
+ */
+export const RetentionMode = {
+  ROWS: 'rows',
+  ALL: 'all'
+};
+
+// DataRetentionPeriodUnitOfMeasure values used by the SOAP API
+const UNIT_CODES = {
+  [RetentionUnit.DAYS]: 3,
+  [RetentionUnit.WEEKS]: 4,
+  [RetentionUnit.MONTHS]: 5,
+  [RetentionUnit.YEARS]: 6
+};
+
+// Settings that remove a retention policy
+export const NO_RETENTION = Object.freeze({
+  dataRetentionPeriodLength: 0,
+  dataRetentionPeriodUnit: null,
+  rowBasedRetention: false,
+  resetRetentionOnImport: false,
+  deleteAtEndOfRetention: false
+});
+
+const COMPARED_FIELDS = Object.keys(NO_RETENTION);
+
+/**
+ * Get the SOAP unit code for a unit name or code
+ * @param {string|number|null} unit - 'months', 'Months', '5' or 5
+ * @returns {number|null} Unit code, or null if not set or unknown
+ */
+export function getRetentionUnitCode(unit) {
+  if (unit === null || unit === undefined || unit === '') return null;
+  if (!isNaN(Number(unit))) return Number(unit);
+
+  const name = String(unit).toLowerCase();
+  return UNIT_CODES[name] || UNIT_CODES[`${name}s`] || null;
+}
+
+/**
+ * Get the unit name for a unit code
+ * @param {number|null} code - Unit code
+ * @returns {string} Unit name, or the code itself if unknown
+ */
+export function getRetentionUnitName(code) {
+  const entry = Object.entries(UNIT_CODES).find(([, value]) => value === code);
+  return entry ? entry[0] : String(code);
+}
+
+/**
+ * Build the retention settings to apply
+ * @param {object} options - Policy options
+ * @param {number} options.period - Period length
+ * @param {string} options.unit - RetentionUnit value
+ * @param {string} options.mode - RetentionMode value
+ * @param {boolean} options.deleteDataExtension - Delete the DE itself at the end of the period (ALL mode only)
+ * @param {boolean} options.resetOnImport - Restart the period when rows are imported
+ * @returns {object} Retention settings
+ */
+export function buildRetentionSettings({ period, unit, mode, deleteDataExtension = false, resetOnImport = false }) {
+  if (!Number.isInteger(period) || period <= 0) {
+    throw new Error(`Retention period must be a positive whole number (got ${period})`);
+  }
+  if (!UNIT_CODES[unit]) {
+    throw new Error(`Unknown retention unit "${unit}" (use ${Object.values(RetentionUnit).join(', ')})`);
+  }
+  if (deleteDataExtension && mode === RetentionMode.ROWS) {
+    throw new Error('Deleting the Data Extension at the end of the period needs whole-DE retention (mode "all")');
+  }
+
+  return {
+    dataRetentionPeriodLength: period,
+    dataRetentionPeriodUnit: UNIT_CODES[unit],
+    rowBasedRetention: mode === RetentionMode.ROWS,
+    resetRetentionOnImport: resetOnImport === true,
+    deleteAtEndOfRetention: deleteDataExtension === true
+  };
+}
+
+/**
+ * Get the current retention settings of a DE
+ * @param {object} de - Normalized DE (data-extension-service)
+ * @returns {object} Retention settings, with retainUntil
+ */
+export function getRetentionSettings(de) {
+  const length = parseInt(de.dataRetentionPeriodLength, 10) || 0;
+
+  return {
+    dataRetentionPeriodLength: length,
+    dataRetentionPeriodUnit: length > 0 ? getRetentionUnitCode(de.dataRetentionPeriodUnit) : null,
+    rowBasedRetention: de.rowBasedRetention === true,
+    resetRetentionOnImport: de.resetRetentionOnImport === true,
+    deleteAtEndOfRetention: de.deleteAtEndOfRetention === true,
+    retainUntil: de.retainUntil || null
+  };
+}
+
+/**
+ * Check whether settings describe a retention policy
+ * @param {object} settings - Retention settings
+ * @returns {boolean} True if a period or a Retain Until date is set
+ */
+export function hasRetentionPolicy(settings) {
+  return settings.dataRetentionPeriodLength > 0 || !!settings.retainUntil;
+}
+
+/**
+ * Compare two sets of retention settings
+ * @param {object} a - Retention settings
+ * @param {object} b - Retention settings
+ * @returns {boolean} True if they describe the same policy
+ */
+export function isSameRetention(a, b) {
+  return COMPARED_FIELDS.every(field => (a[field] ?? null) === (b[field] ?? null));
+}
+
+/**
+ * Describe retention settings for previews and reports
+ * @param {object} settings - Retention settings
+ * @returns {string} e.g. "6 months, individual rows, reset on import"
+ */
+export function formatRetention(settings) {
+  if (settings.retainUntil) {
+    return `until ${dayjs(settings.retainUntil).format('YYYY-MM-DD')}`;
+  }
+  if (!hasRetentionPolicy(settings)) {
+    return 'none';
+  }
+
+  const scope = settings.rowBasedRetention
+    ? 'individual rows'
+    : settings.deleteAtEndOfRetention ? 'all rows and the DE' : 'all rows';
+  const reset = settings.resetRetentionOnImport ? ', reset on import' : '';
+
+  return `${settings.dataRetentionPeriodLength} ${getRetentionUnitName(settings.dataRetentionPeriodUnit)}, ${scope}${reset}`;
+}
+
+/**
+ * Sort DEs into those to update and those to skip
+ * DEs that already have a policy are only changed with overwrite; DEs with a
+ * Retain Until date are never changed (the date cannot be cleared by Update).
+ *
+ * @param {object[]} dataExtensions - Normalized DEs
+ * @param {object} target - Retention settings to apply
+ * @param {object} options - { overwrite }
+ * @returns {object} { changes: [{ de, before, after }], skipped: [{ de, reason }] }
+ */
+export function planRetentionChanges(dataExtensions, target, options = {}) {
+  const { overwrite = false } = options;
+  const changes = [];
+  const skipped = [];
+
+  for (const de of dataExtensions) {
+    const before = getRetentionSettings(de);
+
+    if (de.isProtected) {
+      skipped.push({ de, reason: 'Protected Data Extension' });
+    } else if (before.retainUntil) {
+      skipped.push({ de, reason: `Retained until ${dayjs(before.retainUntil).format('YYYY-MM-DD')} (change it in Contact Builder)` });
+    } else if (isSameRetention(before, target)) {
+      skipped.push({ de, reason: 'Already has this retention policy' });
+    } else if (hasRetentionPolicy(before) && !overwrite) {
+      skipped.push({ de, reason: `Already has a retention policy (${formatRetention(before)}), use --overwrite to replace it` });
+    } else {
+      changes.push({ de, before, after: { ...target } });
+    }
+  }
+
+  return { changes, skipped };
+}
+
+/**
+ * Apply retention settings to a DE
+ * @param {string} customerKey - DE CustomerKey
+ * @param {object} settings - Retention settings
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} Update result
+ */
+export async function setDataExtensionRetention(customerKey, settings, logger = null, accountId = null) {
+  try {
+    const result = await updateDataExtensionRetention(customerKey, settings, logger, accountId);
+
+    if (!result.success && !result.error) {
+      result.error = result.results?.[0]?.statusMessage || 'Update failed';
+    }
+
+    return result;
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Read the DEs flagged NO_RETENTION from an analyze-bu (or analyze-enterprise) CSV
+ * @param {string} filePath - CSV file
+ * @param {string} accountId - Only keep rows for this BU when the CSV has a Business Unit ID column (optional)
+ * @returns {Promise<object[]>} [{ customerKey, name, folderPath }]
+ */
+export async function readNoRetentionCsv(filePath, accountId = null) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`CSV file not found: ${filePath}`);
+  }
+
+  // Excel adds a byte order mark when the CSV is saved again
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  let header = null;
+  const rows = [];
+
+  for await (const record of parseCsv([text])) {
+    if (!header) {
+      header = record;
+      for (const column of ['Customer Key', 'Retention Flag']) {
+        if (!header.includes(column)) {
+          throw new Error(`${path.basename(filePath)} has no "${column}" column - is it an analyze-bu CSV?`);
+        }
+      }
+      continue;
+    }
+
+    const row = {};
+    header.forEach((name, i) => {
+      row[name] = record[i] ?? '';
+    });
+
+    if (row['Retention Flag'] !== 'NO_RETENTION' || !row['Customer Key']) continue;
+    if (accountId && row['Business Unit ID'] && row['Business Unit ID'] !== String(accountId)) continue;
+
+    rows.push({
+      customerKey: row['Customer Key'],
+      name: row['DE Name'] || row['Customer Key'],
+      folderPath: row['Folder Path'] || null
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Back up the retention settings that are about to be replaced
+ * @param {object[]} changes - Changes from planRetentionChanges
+ * @param {string} outputDir - Output directory path
+ * @returns {string} Path to the backup file
+ */
+export function backupRetentionSettings(changes, outputDir) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const backup = {
+    backupMetadata: {
+      createdAt: new Date().toISOString(),
+      toolVersion: config.version,
+      businessUnit: config.sfmc.accountId,
+      profile: config.profile
+    },
+    dataExtensions: changes.map(({ de, before, after }) => ({
+      customerKey: de.customerKey,
+      name: de.name,
+      folderPath: de.folderPath || null,
+      retention: before,
+      appliedRetention: after
+    }))
+  };
+
+  const filePath = path.join(outputDir, 'retention-settings.json');
+  fs.writeFileSync(filePath, JSON.stringify(backup, null, 2));
+
+  return filePath;
+}
+
+/**
+ * Generate an undo script that puts the previous retention settings back
+ * DEs whose retention was changed again since (or that no longer exist) are
+ * skipped. DEs that had no policy get it removed (period length 0).
+ *
+ * @param {object[]} changes - Changes from planRetentionChanges
+ * @param {string} outputDir - Output directory path
+ * @returns {string} Path to undo script
+ */
+export function generateRetentionUndoScript(changes, outputDir) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const timestamp = dayjs().format('YYYYMMDD-HHmmss');
+  const scriptPath = path.join(outputDir, `undo-retention-${timestamp}.js`);
+
+  // Import the toolkit relative to where the script is written
+  let rootImport = path.relative(outputDir, config.paths.root).split(path.sep).join('/') || '.';
+  if (!rootImport.startsWith('.')) {
+    rootImport = `./${rootImport}`;
+  }
+  const profileArg = config.profile ? ` --profile ${config.profile}` : '';
+  const relativePath = path.relative(config.paths.root, scriptPath).split(path.sep).join('/');
+
+  const retentionToRestore = changes.map(({ de, before, after }) => ({
+    name: de.name,
+    customerKey: de.customerKey,
+    restore: hasRetentionPolicy(before) ? before : { ...NO_RETENTION },
+    applied: after
+  }));
+
+  const scriptContent = `#!/usr/bin/env node
+
+/**
+ * UNDO SCRIPT - Restore Data Extension Retention Settings
+ * Generated: ${new Date().toISOString()}
+ * Business Unit: ${config.sfmc.accountId}${config.profile ? `\n * Profile: ${config.profile}` : ''}
+ *
+ * Puts back the retention settings each Data Extension below had before
+ * set-retention changed them. DEs whose retention was changed again since,
+ * or that no longer exist, are skipped.
+ *
+ * WARNING: Rows SFMC already deleted under the new policy are not restored.
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to update the DEs.
+ *
+ * Usage:
+ *   node ${relativePath}${profileArg} [--dry-run]
+ *   node ${relativePath}${profileArg} --confirm
+ */
+
+import config, { validateConfig } from '${rootImport}/src/config/index.js';
+import { createLogger } from '${rootImport}/src/lib/logger.js';
+import { testConnection } from '${rootImport}/src/lib/sfmc-auth.js';
+import { getDataExtensionDetails } from '${rootImport}/src/lib/data-extension-service.js';
+import { getRetentionSettings, isSameRetention, formatRetention, setDataExtensionRetention } from '${rootImport}/src/lib/retention-service.js';
+import { sleep } from '${rootImport}/src/lib/utils.js';
+
+const BUSINESS_UNIT = ${JSON.stringify(String(config.sfmc.accountId))};
+const PROFILE = ${JSON.stringify(config.profile)};
+
+const retentionToRestore = ${JSON.stringify(retentionToRestore, null, 2)};
+
+const dryRun = process.argv.includes('--dry-run') || !process.argv.includes('--confirm');
+const logger = createLogger('undo');
+
+async function run() {
+  console.log('');
+  console.log(\`Undo: restore the retention settings of \${retentionToRestore.length} Data Extension(s) in BU \${BUSINESS_UNIT}\`);
+  console.log(dryRun ? 'MODE: DRY RUN (use --confirm to update the DEs)' : 'MODE: LIVE UPDATE');
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.error(\`Configuration error: \${error.message}\`);
+    process.exit(1);
+  }
+
+  if (config.profile !== PROFILE) {
+    console.error(PROFILE
+      ? \`This script was generated for profile "\${PROFILE}" - run it with --profile \${PROFILE}.\`
+      : \`This script was generated without a profile but profile "\${config.profile}" is selected.\`);
+    process.exit(1);
+  }
+
+  if (String(config.sfmc.accountId) !== BUSINESS_UNIT) {
+    console.error(\`This script was generated for BU \${BUSINESS_UNIT} but the configured BU is \${config.sfmc.accountId}.\`);
+    process.exit(1);
+  }
+
+  const connection = await testConnection(logger);
+  if (!connection.success) {
+    console.error(\`Connection failed: \${connection.error}\`);
+    process.exit(1);
+  }
+
+  const results = { restored: 0, skipped: 0, failed: 0 };
+
+  for (let i = 0; i < retentionToRestore.length; i++) {
+    const item = retentionToRestore[i];
+    const progress = \`[\${i + 1}/\${retentionToRestore.length}]\`;
+
+    try {
+      const de = await getDataExtensionDetails(item.customerKey, logger);
+      if (!de) {
+        console.log(\`\${progress} Skipped: \${item.name} (no longer exists)\`);
+        results.skipped++;
+        continue;
+      }
+
+      const current = getRetentionSettings(de);
+      if (isSameRetention(current, item.restore)) {
+        console.log(\`\${progress} Skipped: \${item.name} (already restored)\`);
+        results.skipped++;
+        continue;
+      }
+      if (!isSameRetention(current, item.applied)) {
+        console.log(\`\${progress} Skipped: \${item.name} (retention changed since: \${formatRetention(current)})\`);
+        results.skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(\`\${progress} Would restore: \${item.name} -> \${formatRetention(item.restore)}\`);
+        results.restored++;
+        continue;
+      }
+
+      const result = await setDataExtensionRetention(item.customerKey, item.restore, logger);
+
+      if (result.success) {
+        console.log(\`\${progress} Restored: \${item.name} -> \${formatRetention(item.restore)}\`);
+        results.restored++;
+      } else {
+        console.log(\`\${progress} Failed: \${item.name} - \${result.error}\`);
+        results.failed++;
+      }
+    } catch (error) {
+      console.log(\`\${progress} Failed: \${item.name} - \${error.message}\`);
+      results.failed++;
+    }
+
+    await sleep(config.safety.apiRateLimitDelayMs);
+  }
+
+  console.log('');
+  console.log(\`\${dryRun ? 'Would restore' : 'Restored'}: \${results.restored}, skipped: \${results.skipped}, failed: \${results.failed}\`);
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+run();
+`;
+
+  fs.writeFileSync(scriptPath, scriptContent);
+
+  return scriptPath;
+}
+
+export default {
+  RetentionUnit,
+  RetentionMode,
+  NO_RETENTION,
+  getRetentionUnitCode,
+  getRetentionUnitName,
+  buildRetentionSettings,
+  getRetentionSettings,
+  hasRetentionPolicy,
+  isSameRetention,
+  formatRetention,
+  planRetentionChanges,
+  setDataExtensionRetention,
+  readNoRetentionCsv,
+  backupRetentionSettings,
+  generateRetentionUndoScript
+};
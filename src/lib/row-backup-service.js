@@ -0,0 +1,400 @@
+/**
+ * Row Backup Service
+ * Backs up Data Extension rows to gzip'd NDJSON or CSV files next to the
+ * schema backup, and loads them back into a Data Extension.
+ *
+ * Rows are paged through SOAP Retrieve of DataExtensionObject[<key>] with
+ * ContinueRequest. Each page is appended to the file as its own gzip member
+ * and a progress file records the RequestID and byte offset after every
+ * page, so an interrupted backup continues where it stopped (or starts over
+ * if SFMC no longer accepts the RequestID).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import config from '../config/index.js';
+import { retrieveDataExtensionRowsPage, insertDataExtensionRows } from './sfmc-soap.js';
+import { escapeCSV, sleep } from './utils.js';
+
+/**
+ * Supported row backup formats
+ */
+export const RowBackupFormat = {
+  NDJSON: 'ndjson',
+  CSV: 'csv'
+};
+
+const DEFAULT_RESTORE_BATCH_SIZE = 200;
+
+// =============================================================================
+// Files
+// =============================================================================
+
+/**
+ * Get the row backup and progress file paths for a DE
+ * @param {string} outputDir - Backup directory (same as the schema backup)
+ * @param {string} customerKey - DE CustomerKey
+ * @param {string} format - RowBackupFormat value
+ * @returns {object} { dataPath, progressPath }
+ */
+export function getRowBackupPaths(outputDir, customerKey, format = config.backup.dataFormat) {
+  const safeFilename = customerKey.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+  return {
+    dataPath: path.join(outputDir, `${safeFilename}.rows.${format}.gz`),
+    progressPath: path.join(outputDir, `${safeFilename}.rows.progress.json`)
+  };
+}
+
+/**
+ * Find the row backup that belongs to a schema backup file
+ * @param {string} schemaFilePath - Path of the schema backup JSON
+ * @returns {object|null} { filePath, format, complete, rowCount } or null if there is none
+ */
+export function findRowBackup(schemaFilePath) {
+  const dir = path.dirname(schemaFilePath);
+  const base = path.basename(schemaFilePath, '.json');
+  const progressPath = path.join(dir, `${base}.rows.progress.json`);
+
+  for (const format of Object.values(RowBackupFormat)) {
+    const filePath = path.join(dir, `${base}.rows.${format}.gz`);
+    if (!fs.existsSync(filePath)) continue;
+
+    const progress = readProgress(progressPath);
+    return {
+      filePath,
+      format,
+      complete: progress?.complete === true,
+      rowCount: progress?.rowsWritten ?? null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Read a progress file (null if missing or unreadable)
+ * @param {string} progressPath - Progress file path
+ * @returns {object|null} Progress
+ */
+function readProgress(progressPath) {
+  try {
+    return JSON.parse(fs.readFileSync(progressPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// =============================================================================
+// Encoding
+// =============================================================================
+
+/**
+ * Encode a page of rows
+ * @param {object[]} rows - Rows
+ * @param {string[]} fieldNames - Field order (CSV columns)
+ * @param {string} format - RowBackupFormat value
+ * @param {boolean} includeHeader - Write the CSV header line
+ * @returns {string} Encoded text
+ */
+function encodeRows(rows, fieldNames, format, includeHeader) {
+  if (format === RowBackupFormat.CSV) {
+    const lines = rows.map(row => fieldNames.map(name => escapeCSV(row[name])).join(','));
+    if (includeHeader) {
+      lines.unshift(fieldNames.map(escapeCSV).join(','));
+    }
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+}
+
+/**
+ * Split CSV text into records, keeping quoted commas and newlines
+ * @param {AsyncIterable<string>} chunks - Text chunks
+ * @returns {AsyncGenerator<string[]>} Records
+ */
+export async function* parseCsv(chunks) {
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let pendingQuote = false;
+
+  for await (const chunk of chunks) {
+    for (const char of chunk) {
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          pendingQuote = true;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        record.push(field);
+        yield record;
+        record = [];
+        field = '';
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    yield record;
+  }
+}
+
+/**
+ * Read rows from a row backup file
+ * @param {string} filePath - .rows.ndjson.gz or .rows.csv.gz file
+ * @returns {AsyncGenerator<object>} Rows as { field: value }
+ */
+export async function* readRowBackup(filePath) {
+  // An empty DE is backed up as an empty file, which is not valid gzip
+  if (fs.statSync(filePath).size === 0) {
+    return;
+  }
+
+  const stream = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+  stream.setEncoding('utf8');
+
+  if (filePath.endsWith(`.${RowBackupFormat.CSV}.gz`)) {
+    let header = null;
+
+    for await (const record of parseCsv(stream)) {
+      if (!header) {
+        header = record;
+        continue;
+      }
+
+      const row = {};
+      header.forEach((name, i) => {
+        // CSV cannot tell NULL from empty - treat both as not set
+        row[name] = record[i] === '' || record[i] === undefined ? null : record[i];
+      });
+      yield row;
+    }
+    return;
+  }
+
+  let buffered = '';
+  for await (const chunk of stream) {
+    buffered += chunk;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
+  }
+
+  if (buffered.trim()) {
+    yield JSON.parse(buffered);
+  }
+}
+
+// =============================================================================
+// Backup
+// =============================================================================
+
+/**
+ * Back up all rows of a Data Extension
+ * @param {object} de - DE with customerKey, name, fields and rowCount
+ * @param {string} outputDir - Backup directory (same as the schema backup)
+ * @param {object} options - { format, maxRows, logger, accountId, onProgress }
+ * @returns {Promise<object>} { success, filePath, rowCount, resumed, alreadyComplete, error }
+ */
+export async function backupDataExtensionRows(de, outputDir, options = {}) {
+  const {
+    format = config.backup.dataFormat,
+    maxRows = config.backup.dataMaxRows,
+    logger = null,
+    accountId = null,
+    onProgress = null
+  } = options;
+
+  if (!Object.values(RowBackupFormat).includes(format)) {
+    return { success: false, error: `Unknown row backup format "${format}"` };
+  }
+
+  if (de.rowCount !== null && de.rowCount !== undefined && de.rowCount > maxRows) {
+    return {
+      success: false,
+      exceedsLimit: true,
+      error: `${de.rowCount} rows exceeds the row backup limit of ${maxRows}`
+    };
+  }
+
+  const fieldNames = (de.fields || []).map(f => f.name);
+  if (fieldNames.length === 0) {
+    return { success: false, error: 'No fields to back up' };
+  }
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const { dataPath, progressPath } = getRowBackupPaths(outputDir, de.customerKey, format);
+  let progress = readProgress(progressPath);
+
+  if (progress?.complete && progress.format === format && fs.existsSync(dataPath)) {
+    return { success: true, filePath: dataPath, rowCount: progress.rowsWritten, alreadyComplete: true };
+  }
+
+  const startFresh = () => {
+    fs.writeFileSync(dataPath, '');
+    return {
+      customerKey: de.customerKey,
+      format,
+      fields: fieldNames,
+      requestId: null,
+      pages: 0,
+      rowsWritten: 0,
+      bytesWritten: 0,
+      complete: false
+    };
+  };
+
+  let resumed = false;
+
+  if (progress && progress.format === format && progress.requestId && fs.existsSync(dataPath)) {
+    // Drop anything written after the last recorded page
+    fs.truncateSync(dataPath, progress.bytesWritten);
+    resumed = true;
+    if (logger) {
+      logger.info(`Resuming row backup of ${de.name} after ${progress.rowsWritten} rows`);
+    }
+  } else {
+    progress = startFresh();
+  }
+
+  while (true) {
+    let page;
+
+    try {
+      page = await retrieveDataExtensionRowsPage(de.customerKey, fieldNames, progress.requestId, logger, accountId);
+    } catch (error) {
+      if (!resumed) {
+        return { success: false, filePath: dataPath, rowCount: progress.rowsWritten, error: error.message };
+      }
+
+      // RequestIDs expire - start the backup again from the first page
+      if (logger) {
+        logger.warn(`Could not continue row backup of ${de.name} (${error.message}); starting over`);
+      }
+      resumed = false;
+      progress = startFresh();
+      continue;
+    }
+
+    if (progress.rowsWritten + page.rows.length > maxRows) {
+      return {
+        success: false,
+        exceedsLimit: true,
+        filePath: dataPath,
+        rowCount: progress.rowsWritten,
+        error: `More than ${maxRows} rows - exceeds the row backup limit`
+      };
+    }
+
+    const text = encodeRows(page.rows, fieldNames, format, progress.pages === 0);
+    if (text) {
+      fs.appendFileSync(dataPath, zlib.gzipSync(text));
+    }
+
+    progress.pages++;
+    progress.rowsWritten += page.rows.length;
+    progress.bytesWritten = fs.statSync(dataPath).size;
+    progress.requestId = page.hasMore ? page.requestId : null;
+    progress.complete = !page.hasMore;
+    progress.updatedAt = new Date().toISOString();
+    fs.writeFileSync(progressPath, JSON.stringify(progress, null, 2));
+
+    if (onProgress) onProgress(progress.rowsWritten, de.rowCount);
+
+    if (!page.hasMore) break;
+  }
+
+  if (logger) {
+    logger.debug(`Backed up ${progress.rowsWritten} rows of ${de.name} to ${dataPath}`);
+  }
+
+  return { success: true, filePath: dataPath, rowCount: progress.rowsWritten, resumed };
+}
+
+// =============================================================================
+// Restore
+// =============================================================================
+
+/**
+ * Load rows from a row backup file into a Data Extension
+ * @param {string} customerKey - Target DE CustomerKey
+ * @param {string} filePath - Row backup file
+ * @param {object} options - { batchSize, logger, accountId, onProgress }
+ * @returns {Promise<object>} { success, created, failed, errors }
+ */
+export async function restoreDataExtensionRows(customerKey, filePath, options = {}) {
+  const {
+    batchSize = DEFAULT_RESTORE_BATCH_SIZE,
+    logger = null,
+    accountId = null,
+    onProgress = null
+  } = options;
+
+  const totals = { created: 0, failed: 0, errors: [] };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    try {
+      const result = await insertDataExtensionRows(customerKey, batch, logger, accountId);
+      totals.created += result.created;
+      totals.failed += result.failed;
+      totals.errors.push(...result.errors.slice(0, 10 - totals.errors.length));
+    } catch (error) {
+      totals.failed += batch.length;
+      if (totals.errors.length < 10) totals.errors.push(error.message);
+    }
+
+    batch = [];
+    if (onProgress) onProgress(totals.created + totals.failed);
+    await sleep(config.safety.apiRateLimitDelayMs);
+  };
+
+  for await (const row of readRowBackup(filePath)) {
+    batch.push(row);
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { success: totals.failed === 0, ...totals };
+}
+
+export default {
+  RowBackupFormat,
+  getRowBackupPaths,
+  findRowBackup,
+  parseCsv,
+  readRowBackup,
+  backupDataExtensionRows,
+  restoreDataExtensionRows
+};
@@ -0,0 +1,366 @@
+/**
+ * Schema Service
+ * Data Extension definitions as code: converts a DE (settings and fields) to
+ * a stable YAML or JSON definition without IDs, dates or row counts, reads
+ * definitions back, compares them with SFMC and builds the create request.
+ *
+ * Keys are always written in the same order and keys holding a default value
+ * (not sendable, no retention, optional field) are left out, so an unchanged
+ * DE exports to identical bytes and a diff shows only real changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { canonicalize } from './plan-service.js';
+import {
+  RetentionMode,
+  RetentionUnit,
+  getRetentionSettings,
+  getRetentionUnitCode,
+  getRetentionUnitName,
+  hasRetentionPolicy
+} from './retention-service.js';
+
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Definition file formats
+ */
+export const SchemaFormat = {
+  YAML: 'yaml',
+  JSON: 'json'
+};
+
+// DataExtensionField FieldType values
+const FIELD_TYPES = ['Text', 'Number', 'Date', 'Boolean', 'EmailAddress', 'Phone', 'Decimal', 'Locale'];
+
+// Definition keys compared as a whole, in report order
+const COMPARED_KEYS = ['name', 'description', 'folder', 'sendable', 'testable', 'retention'];
+
+// Field keys compared one by one
+const COMPARED_FIELD_KEYS = ['type', 'length', 'scale', 'primaryKey', 'required', 'default'];
+
+/**
+ * Build the definition of a DE
+ * @param {object} de - Normalized DE (data-extension-service)
+ * @param {object[]} fields - Fields from getDataExtensionSchema
+ * @param {string} folderPath - Full folder path
+ * @returns {object} Definition
+ */
+export function buildSchemaDefinition(de, fields, folderPath) {
+  const definition = {
+    schemaVersion: SCHEMA_VERSION,
+    name: de.name,
+    customerKey: de.customerKey
+  };
+
+  if (de.description) definition.description = de.description;
+  definition.folder = folderPath;
+
+  if (de.isSendable) {
+    definition.sendable = {
+      subscriberField: de.sendableSubscriberField,
+      dataExtensionField: de.sendableDataExtensionField
+    };
+  }
+  if (de.isTestable) definition.testable = true;
+
+  const retention = getRetentionSettings(de);
+  if (retention.retainUntil) {
+    definition.retention = { retainUntil: retention.retainUntil };
+  } else if (hasRetentionPolicy(retention)) {
+    definition.retention = {
+      period: retention.dataRetentionPeriodLength,
+      unit: getRetentionUnitName(retention.dataRetentionPeriodUnit),
+      mode: retention.rowBasedRetention ? RetentionMode.ROWS : RetentionMode.ALL
+    };
+    if (retention.deleteAtEndOfRetention) definition.retention.deleteDataExtension = true;
+    if (retention.resetRetentionOnImport) definition.retention.resetOnImport = true;
+  }
+
+  definition.fields = [...fields]
+    .sort((a, b) => a.ordinal - b.ordinal)
+    .map(field => {
+      const entry = { name: field.name, type: field.fieldType };
+      if (field.maxLength !== null && field.maxLength !== undefined) entry.length = field.maxLength;
+      if (field.scale) entry.scale = field.scale;
+      if (field.isPrimaryKey) entry.primaryKey = true;
+      if (field.isRequired) entry.required = true;
+      if (field.defaultValue !== null && field.defaultValue !== undefined && field.defaultValue !== '') {
+        entry.default = field.defaultValue;
+      }
+      return entry;
+    });
+
+  return definition;
+}
+
+/**
+ * Check a definition read from a file
+ * @param {object} definition - Parsed definition
+ * @param {string} source - File name for error messages
+ * @returns {object} The definition
+ */
+export function validateSchemaDefinition(definition, source) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${source}: not a Data Extension definition`);
+  }
+  if (definition.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`${source}: unsupported schemaVersion ${definition.schemaVersion} (expected ${SCHEMA_VERSION})`);
+  }
+  for (const key of ['name', 'customerKey', 'folder']) {
+    if (!definition[key] || typeof definition[key] !== 'string') {
+      throw new Error(`${source}: "${key}" is required`);
+    }
+  }
+  if (definition.description === '' || definition.description === null) {
+    delete definition.description;
+  }
+  if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+    throw new Error(`${source}: at least one field is required`);
+  }
+
+  const names = new Set();
+  for (const field of definition.fields) {
+    if (!field?.name) {
+      throw new Error(`${source}: every field needs a name`);
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw new Error(`${source}: field "${field.name}" has unknown type "${field.type}" (use ${FIELD_TYPES.join(', ')})`);
+    }
+    if (names.has(field.name.toLowerCase())) {
+      throw new Error(`${source}: field "${field.name}" is defined twice`);
+    }
+    names.add(field.name.toLowerCase());
+
+    // SFMC returns default values as text: `default: 0` means "0"
+    if (field.default !== undefined && field.default !== null) {
+      field.default = String(field.default);
+    }
+  }
+
+  if (definition.sendable) {
+    const { subscriberField, dataExtensionField } = definition.sendable;
+    if (!subscriberField || !dataExtensionField) {
+      throw new Error(`${source}: sendable needs subscriberField and dataExtensionField`);
+    }
+    if (!names.has(String(dataExtensionField).toLowerCase())) {
+      throw new Error(`${source}: sendable dataExtensionField "${dataExtensionField}" is not a field`);
+    }
+  }
+
+  const retention = definition.retention;
+  if (retention && !retention.retainUntil) {
+    if (!Number.isInteger(retention.period) || retention.period <= 0) {
+      throw new Error(`${source}: retention period must be a positive whole number`);
+    }
+    if (!Object.values(RetentionUnit).includes(retention.unit)) {
+      throw new Error(`${source}: retention unit must be one of ${Object.values(RetentionUnit).join(', ')}`);
+    }
+    if (!Object.values(RetentionMode).includes(retention.mode)) {
+      throw new Error(`${source}: retention mode must be one of ${Object.values(RetentionMode).join(', ')}`);
+    }
+  }
+
+  return definition;
+}
+
+/**
+ * Serialize a definition
+ * @param {object} definition - Definition
+ * @param {string} format - SchemaFormat value
+ * @returns {string} File content
+ */
+export function serializeSchemaDefinition(definition, format = SchemaFormat.YAML) {
+  if (format === SchemaFormat.JSON) {
+    return `${JSON.stringify(definition, null, 2)}\n`;
+  }
+  return YAML.stringify(definition, { lineWidth: 0 });
+}
+
+/**
+ * Get the file a definition is exported to
+ * @param {string} dir - Definitions directory
+ * @param {string} customerKey - DE CustomerKey
+ * @param {string} format - SchemaFormat value
+ * @returns {string} File path
+ */
+export function getSchemaFilePath(dir, customerKey, format = SchemaFormat.YAML) {
+  const safeFilename = customerKey.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(dir, `${safeFilename}.${format === SchemaFormat.JSON ? 'json' : 'yaml'}`);
+}
+
+/**
+ * Write a definition unless the file already has the same content
+ * @param {string} filePath - Definition file
+ * @param {object} definition - Definition
+ * @param {string} format - SchemaFormat value
+ * @returns {boolean} True if the file was created or changed
+ */
+export function writeSchemaDefinition(filePath, definition, format = SchemaFormat.YAML) {
+  const content = serializeSchemaDefinition(definition, format);
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+    return false;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return true;
+}
+
+/**
+ * Read one definition file
+ * @param {string} filePath - .yaml, .yml or .json file
+ * @returns {object} Validated definition
+ */
+export function readSchemaDefinition(filePath) {
+  const source = path.basename(filePath);
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  let definition;
+  try {
+    definition = filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`${source}: ${error.message}`);
+  }
+
+  return validateSchemaDefinition(definition, source);
+}
+
+/**
+ * Read every definition in a directory (recursively) or a single file
+ * @param {string} dirOrFile - Definitions directory or file
+ * @returns {object[]} [{ filePath, definition }] sorted by file path
+ */
+export function readSchemaDefinitions(dirOrFile) {
+  if (!fs.existsSync(dirOrFile)) {
+    throw new Error(`Not found: ${dirOrFile}`);
+  }
+
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (/\.(ya?ml|json)$/i.test(entry.name)) {
+        files.push(entryPath);
+      }
+    }
+  };
+
+  if (fs.statSync(dirOrFile).isDirectory()) {
+    walk(dirOrFile);
+  } else {
+    files.push(dirOrFile);
+  }
+
+  const definitions = files.sort().map(filePath => ({ filePath, definition: readSchemaDefinition(filePath) }));
+
+  const byKey = new Map();
+  for (const { filePath, definition } of definitions) {
+    const key = definition.customerKey.toLowerCase();
+    if (byKey.has(key)) {
+      throw new Error(`CustomerKey "${definition.customerKey}" is defined in both ${byKey.get(key)} and ${filePath}`);
+    }
+    byKey.set(key, filePath);
+  }
+
+  return definitions;
+}
+
+/**
+ * Compare a definition with the definition built from SFMC
+ * @param {object} expected - Definition from the file
+ * @param {object} actual - Definition built from SFMC
+ * @returns {object[]} Differences [{ path, expected, actual }], empty if none
+ */
+export function diffSchemaDefinitions(expected, actual) {
+  const differences = [];
+
+  for (const key of COMPARED_KEYS) {
+    const expectedValue = key === 'folder' ? expected.folder?.toLowerCase() : expected[key];
+    const actualValue = key === 'folder' ? actual.folder?.toLowerCase() : actual[key];
+    if (canonicalize(expectedValue ?? null) !== canonicalize(actualValue ?? null)) {
+      differences.push({ path: key, expected: expected[key] ?? null, actual: actual[key] ?? null });
+    }
+  }
+
+  const actualFields = new Map(actual.fields.map(field => [field.name.toLowerCase(), field]));
+  const expectedNames = new Set();
+
+  for (const field of expected.fields) {
+    expectedNames.add(field.name.toLowerCase());
+    const actualField = actualFields.get(field.name.toLowerCase());
+
+    if (!actualField) {
+      differences.push({ path: `fields.${field.name}`, expected: field, actual: null });
+      continue;
+    }
+
+    for (const key of COMPARED_FIELD_KEYS) {
+      if (canonicalize(field[key] ?? null) !== canonicalize(actualField[key] ?? null)) {
+        differences.push({ path: `fields.${field.name}.${key}`, expected: field[key] ?? null, actual: actualField[key] ?? null });
+      }
+    }
+  }
+
+  for (const field of actual.fields) {
+    if (!expectedNames.has(field.name.toLowerCase())) {
+      differences.push({ path: `fields.${field.name}`, expected: null, actual: field });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Build the createDataExtension() input for a definition
+ * @param {object} definition - Definition
+ * @param {number} folderId - Target folder CategoryID
+ * @returns {object} Create request
+ */
+export function toCreateRequest(definition, folderId) {
+  const retention = definition.retention || {};
+
+  return {
+    Name: definition.name,
+    CustomerKey: definition.customerKey,
+    Description: definition.description || '',
+    CategoryID: folderId,
+    IsSendable: !!definition.sendable,
+    IsTestable: definition.testable === true,
+    SendableSubscriberField: definition.sendable?.subscriberField || null,
+    SendableDataExtensionField: definition.sendable?.dataExtensionField || null,
+    DataRetentionPeriodLength: retention.period || null,
+    DataRetentionPeriodUnitOfMeasure: retention.unit ? getRetentionUnitCode(retention.unit) : null,
+    RowBasedRetention: retention.mode === RetentionMode.ROWS,
+    ResetRetentionPeriodOnImport: retention.resetOnImport === true,
+    DeleteAtEndOfRetentionPeriod: retention.deleteDataExtension === true,
+    RetainUntil: retention.retainUntil || null,
+    Fields: definition.fields.map(field => ({
+      name: field.name,
+      fieldType: field.type,
+      maxLength: field.length ?? null,
+      scale: field.scale ?? null,
+      isPrimaryKey: field.primaryKey === true,
+      isRequired: field.required === true || field.primaryKey === true,
+      defaultValue: field.default ?? null
+    }))
+  };
+}
+
+export default {
+  SCHEMA_VERSION,
+  SchemaFormat,
+  buildSchemaDefinition,
+  validateSchemaDefinition,
+  serializeSchemaDefinition,
+  getSchemaFilePath,
+  writeSchemaDefinition,
+  readSchemaDefinition,
+  readSchemaDefinitions,
+  diffSchemaDefinitions,
+  toCreateRequest
+};
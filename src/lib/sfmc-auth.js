@@ -8,20 +8,30 @@ import axios from 'axios';
 import config from '../config/index.js';
 import { extractErrorMessage } from './utils.js';
 
-// Token cache per accountId (supports multi-BU)
+// Token cache per profile + accountId (supports multi-BU)
 const tokenCacheByAccount = new Map();
 
 // Buffer time before expiry to refresh (from config, default 5 minutes)
 const EXPIRY_BUFFER_MS = config.auth.tokenExpiryBufferMinutes * 60 * 1000;
 
+/**
+ * Get the token cache key for an account under the active profile
+ * @param {string} accountId - Business Unit account ID
+ * @returns {string} Cache key
+ */
+function getTokenCacheKey(accountId) {
+  return `${config.profile || 'default'}:${accountId}`;
+}
+
 /**
  * Get or create token cache entry for an account
  * @param {string} accountId - Business Unit account ID
  * @returns {object} Token cache entry
  */
 function getTokenEntry(accountId) {
-  if (!tokenCacheByAccount.has(accountId)) {
-    tokenCacheByAccount.set(accountId, {
+  const key = getTokenCacheKey(accountId);
+  if (!tokenCacheByAccount.has(key)) {
+    tokenCacheByAccount.set(key, {
       accessToken: null,
       tokenType: null,
       expiresAt: null,
@@ -29,7 +39,7 @@ function getTokenEntry(accountId) {
       soapInstanceUrl: null
     });
   }
-  return tokenCacheByAccount.get(accountId);
+  return tokenCacheByAccount.get(key);
 }
 
 /**
@@ -67,6 +77,24 @@ export async function getAccessToken(logger = null, accountId = null) {
     }
   }
 
+  // Replayed runs never authenticate; recorded responses are served without a token
+  if (config.recording.mode === 'replay') {
+    const replayCache = {
+      accessToken: 'replay',
+      tokenType: 'Bearer',
+      expiresAt: Date.now() + 3600 * 1000,
+      restInstanceUrl: config.sfmc.restUrl,
+      soapInstanceUrl: config.sfmc.soapUrl
+    };
+    tokenCacheByAccount.set(getTokenCacheKey(effectiveAccountId), replayCache);
+    return {
+      accessToken: replayCache.accessToken,
+      tokenType: replayCache.tokenType,
+      restInstanceUrl: replayCache.restInstanceUrl,
+      soapInstanceUrl: replayCache.soapInstanceUrl
+    };
+  }
+
   // Need to fetch a new token
   if (logger) {
     logger.debug(`Fetching new access token from SFMC for BU ${effectiveAccountId}`);
@@ -103,7 +131,7 @@ export async function getAccessToken(logger = null, accountId = null) {
       restInstanceUrl: data.rest_instance_url || config.sfmc.restUrl,
       soapInstanceUrl: data.soap_instance_url || config.sfmc.soapUrl
     };
-    tokenCacheByAccount.set(effectiveAccountId, updatedCache);
+    tokenCacheByAccount.set(getTokenCacheKey(effectiveAccountId), updatedCache);
 
     if (logger) {
       logger.debug(`Token acquired for BU ${effectiveAccountId}, expires in ${expiresIn} seconds`);
@@ -135,7 +163,7 @@ export async function refreshToken(logger = null, accountId = null) {
   const effectiveAccountId = getEffectiveAccountId(accountId);
 
   // Clear cache for this account to force refresh
-  tokenCacheByAccount.set(effectiveAccountId, {
+  tokenCacheByAccount.set(getTokenCacheKey(effectiveAccountId), {
     accessToken: null,
     tokenType: null,
     expiresAt: null,
@@ -153,7 +181,7 @@ export async function refreshToken(logger = null, accountId = null) {
 export function clearTokenCache(accountId = null) {
   if (accountId) {
     // Clear specific account
-    tokenCacheByAccount.delete(accountId);
+    tokenCacheByAccount.delete(getTokenCacheKey(accountId));
   } else {
     // Clear all accounts
     tokenCacheByAccount.clear();
@@ -167,7 +195,7 @@ export function clearTokenCache(accountId = null) {
  */
 export function hasValidToken(accountId = null) {
   const effectiveAccountId = getEffectiveAccountId(accountId);
-  const tokenCache = tokenCacheByAccount.get(effectiveAccountId);
+  const tokenCache = tokenCacheByAccount.get(getTokenCacheKey(effectiveAccountId));
 
   if (!tokenCache || !tokenCache.accessToken || !tokenCache.expiresAt) {
     return false;
@@ -182,7 +210,7 @@ export function hasValidToken(accountId = null) {
  */
 export function getTokenExpiry(accountId = null) {
   const effectiveAccountId = getEffectiveAccountId(accountId);
-  const tokenCache = tokenCacheByAccount.get(effectiveAccountId);
+  const tokenCache = tokenCacheByAccount.get(getTokenCacheKey(effectiveAccountId));
 
   if (!tokenCache || tokenCache.expiresAt == null || typeof tokenCache.expiresAt !== 'number' || !Number.isFinite(tokenCache.expiresAt)) {
     return null;
@@ -216,6 +244,7 @@ export async function testConnection(logger = null, accountId = null) {
     return {
       success: true,
       accountId: effectiveAccountId,
+      profile: config.profile,
       restUrl: tokenInfo.restInstanceUrl,
       soapUrl: tokenInfo.soapInstanceUrl,
       tokenExpiry: getTokenExpiry(effectiveAccountId)
@@ -225,6 +254,7 @@ export async function testConnection(logger = null, accountId = null) {
     return {
       success: false,
       accountId: effectiveAccountId,
+      profile: config.profile,
       error: error.message
     };
   }
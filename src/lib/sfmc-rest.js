@@ -5,10 +5,13 @@
 
 import axios from 'axios';
 import { getAccessToken } from './sfmc-auth.js';
+import { sendRecorded } from './http-recorder.js';
+import { schedule, reportThrottle } from './rate-limiter.js';
 import config from '../config/index.js';
 import {
   sleep,
   extractErrorMessage,
+  isThrottlingError,
   isRetryableError,
   calculateBackoffDelay,
   RETRY_CONFIG
@@ -54,33 +57,37 @@ async function makeRequest(method, endpoint, data = null, params = null, logger
   }
 
   try {
-    const response = await client.request({
+    const response = await schedule(accountId, () => sendRecorded('rest', {
+      accountId: accountId || config.sfmc.accountId,
+      method,
+      endpoint,
+      params,
+      data
+    }, () => client.request({
       method,
       url: endpoint,
       data,
       params
-    });
-
-    // Rate limit delay
-    await sleep(config.safety.apiRateLimitDelayMs);
+    })));
 
     return response.data;
 
   } catch (error) {
+    // A throttle pauses the shared scheduler (honoring Retry-After), so the retry simply queues behind it
+    const throttled = isThrottlingError(error);
+    if (throttled) {
+      reportThrottle(error, logger);
+    }
+
     // Handle retryable errors
     if (retryCount < MAX_RETRIES && isRetryableError(error)) {
-      let delay = calculateBackoffDelay(retryCount);
-
-      // Check for Retry-After header
-      if (error.response && error.response.headers['retry-after']) {
-        delay = parseInt(error.response.headers['retry-after'], 10) * 1000;
-      }
-
-      if (logger) {
-        logger.warn(`Request failed, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+      if (!throttled) {
+        const delay = calculateBackoffDelay(retryCount);
+        if (logger) {
+          logger.warn(`Request failed, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+        }
+        await sleep(delay);
       }
-
-      await sleep(delay);
       return makeRequest(method, endpoint, data, params, logger, retryCount + 1, accountId);
     }
 
@@ -144,6 +151,86 @@ async function getAllPages(endpoint, itemsKey, params = {}, logger = null, accou
   return allItems;
 }
 
+/**
+ * Get the items of a paginated endpoint modified after a point in time
+ * Asks for newest-first ordering and stops paging at the first older item.
+ * Endpoints that ignore $orderBy are detected (a page out of order) and read
+ * to the end instead, so nothing modified is missed.
+ *
+ * @param {string} endpoint - API endpoint
+ * @param {string} since - ISO timestamp; items modified after it are returned
+ * @param {object} options - Options
+ * @param {string} options.itemsKey - Key containing items in response (default: 'items')
+ * @param {string} options.dateField - Modified date property (default: 'modifiedDate')
+ * @param {number} options.pageSize - Page size (default: config defaultPageSize)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
+ * @returns {Promise<{items: object[], total: number|null}>} Modified items, and the endpoint's
+ *   total item count (null if the endpoint does not report one)
+ */
+export async function getItemsModifiedSince(endpoint, since, options = {}, logger = null, accountId = null) {
+  const {
+    itemsKey = 'items',
+    dateField = 'modifiedDate',
+    pageSize = config.pagination.defaultPageSize
+  } = options;
+
+  const sinceMs = new Date(since).getTime();
+  const modified = [];
+  let total = null;
+  let ordered = true;
+  let previousMs = Infinity;
+  let page = 1;
+  let hasMore = true;
+
+  while (hasMore) {
+    const response = await makeRequest('get', endpoint, null, {
+      $page: page,
+      $pageSize: pageSize,
+      $orderBy: `${dateField} desc`
+    }, logger, 0, accountId);
+
+    const items = response[itemsKey] || response.items || (Array.isArray(response) ? response : []);
+    if (typeof response.count === 'number') {
+      total = response.count;
+    }
+
+    let reachedOlder = false;
+    for (const item of items) {
+      const modifiedMs = new Date(item[dateField]).getTime();
+
+      // Items without a usable date are always treated as modified
+      if (isNaN(modifiedMs)) {
+        modified.push(item);
+        continue;
+      }
+
+      if (modifiedMs > previousMs) {
+        ordered = false;
+      }
+      previousMs = modifiedMs;
+
+      if (modifiedMs > sinceMs) {
+        modified.push(item);
+      } else {
+        reachedOlder = true;
+      }
+    }
+
+    const lastPage = items.length < pageSize ||
+      (total !== null && page * pageSize >= total);
+
+    hasMore = !lastPage && !(reachedOlder && ordered);
+    page++;
+  }
+
+  if (logger) {
+    logger.debug(`${endpoint}: ${modified.length} item(s) modified since ${since}${ordered ? '' : ' (endpoint ignored ordering, read all pages)'}`);
+  }
+
+  return { items: modified, total };
+}
+
 // =============================================================================
 // Automation Studio APIs
 // =============================================================================
@@ -177,7 +264,7 @@ export async function getAutomations(logger = null, accountId = null) {
  * @returns {Promise<object>} Automation details
  */
 export async function getAutomationDetails(automationId, logger = null, accountId = null) {
-  return makeRequest('get', `/automation/v1/automations/${automationId}`, null, null, logger);
+  return makeRequest('get', `/automation/v1/automations/${automationId}`, null, null, logger, 0, accountId);
 }
 
 /**
@@ -258,7 +345,7 @@ export async function getAutomationWithMetadata(automationId, logger = null, acc
  */
 export async function deleteAutomation(automationId, logger = null, accountId = null) {
   try {
-    await makeRequest('delete', `/automation/v1/automations/${automationId}`, null, null, logger);
+    await makeRequest('delete', `/automation/v1/automations/${automationId}`, null, null, logger, 0, accountId);
 
     if (logger) {
       logger.info(`Successfully deleted automation: ${automationId}`);
@@ -279,6 +366,34 @@ export async function deleteAutomation(automationId, logger = null, accountId =
   }
 }
 
+/**
+ * Update an automation
+ * @param {string} automationId - Automation ID
+ * @param {object} updates - Fields to update (e.g., { name, key, steps })
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>} Update result
+ */
+export async function updateAutomation(automationId, updates, logger = null, accountId = null) {
+  try {
+    const result = await makeRequest('patch', `/automation/v1/automations/${automationId}`, updates, null, logger, 0, accountId);
+
+    if (logger) {
+      logger.info(`Successfully updated automation: ${automationId}`);
+    }
+
+    return { success: true, data: result };
+  } catch (error) {
+    const errorMessage = error.message || 'Unknown error';
+
+    if (logger) {
+      logger.error(`Failed to update automation ${automationId}: ${errorMessage}`);
+    }
+
+    return { success: false, error: errorMessage };
+  }
+}
+
 /**
  * Backup automation configuration to JSON
  * @param {object} automation - Full automation object
@@ -314,7 +429,7 @@ export async function getJourneys(logger = null, accountId = null) {
       const response = await makeRequest('get', '/interaction/v1/interactions', null, {
         $page: page,
         $pageSize: config.pagination.journeyPageSize
-      }, logger);
+      }, logger, 0, accountId);
 
       const items = response.items || [];
       allJourneys.push(...items);
@@ -343,7 +458,7 @@ export async function getJourneys(logger = null, accountId = null) {
  * @returns {Promise<object>} Journey details
  */
 export async function getJourneyDetails(journeyId, logger = null, accountId = null) {
-  return makeRequest('get', `/interaction/v1/interactions/${journeyId}`, null, null, logger);
+  return makeRequest('get', `/interaction/v1/interactions/${journeyId}`, null, null, logger, 0, accountId);
 }
 
 // =============================================================================
@@ -361,7 +476,7 @@ export async function getDataExtensionRowCount(deKey, logger = null, accountId =
     // Use the rowset endpoint with count
     const response = await makeRequest('get', `/data/v1/customobjectdata/key/${encodeURIComponent(deKey)}/rowset`, null, {
       $pageSize: 1
-    }, logger);
+    }, logger, 0, accountId);
 
     // The count is in the response
     return response.count || 0;
@@ -373,7 +488,7 @@ export async function getDataExtensionRowCount(deKey, logger = null, accountId =
 
     // Try alternative method using data extension endpoint
     try {
-      const response = await makeRequest('get', `/data/v1/customobjectdata/key/${encodeURIComponent(deKey)}`, null, null, logger);
+      const response = await makeRequest('get', `/data/v1/customobjectdata/key/${encodeURIComponent(deKey)}`, null, null, logger, 0, accountId);
       return response.count || 0;
     } catch (altError) {
       if (logger) {
@@ -389,19 +504,30 @@ export async function getDataExtensionRowCount(deKey, logger = null, accountId =
 // =============================================================================
 
 /**
- * Get all filter activities
+ * Get all filter activities, throwing if they cannot be listed
+ * Use this where an empty list would be read as "no filters" (empty folder checks).
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
  * @returns {Promise<object[]>} Array of filter activity objects
  */
-export async function getFilterActivities(logger = null, accountId = null) {
-  try {
-    const filters = await getAllPages('/automation/v1/filters', 'items', {}, logger, accountId);
+export async function listFilterActivities(logger = null, accountId = null) {
+  const filters = await getAllPages('/automation/v1/filters', 'items', {}, logger, accountId);
 
-    if (logger) {
-      logger.debug(`Retrieved ${filters.length} filter activities`);
-    }
+  if (logger) {
+    logger.debug(`Retrieved ${filters.length} filter activities`);
+  }
+
+  return filters;
+}
 
-    return filters;
+/**
+ * Get all filter activities
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object[]>} Array of filter activity objects (empty if they cannot be listed)
+ */
+export async function getFilterActivities(logger = null, accountId = null) {
+  try {
+    return await listFilterActivities(logger, accountId);
   } catch (error) {
     if (logger) {
       logger.debug(`Failed to retrieve filter activities: ${error.message}`);
@@ -418,7 +544,7 @@ export async function getFilterActivities(logger = null, accountId = null) {
  */
 export async function getFilterActivityDetails(filterId, logger = null, accountId = null) {
   try {
-    return await makeRequest('get', `/automation/v1/filters/${filterId}`, null, null, logger);
+    return await makeRequest('get', `/automation/v1/filters/${filterId}`, null, null, logger, 0, accountId);
   } catch (error) {
     if (logger) {
       logger.debug(`Failed to get filter details for ${filterId}: ${error.message}`);
@@ -436,7 +562,7 @@ export async function getFilterActivityDetails(filterId, logger = null, accountI
  */
 export async function deleteFilterActivity(filterId, logger = null, accountId = null) {
   try {
-    await makeRequest('delete', `/automation/v1/filters/${filterId}`, null, null, logger);
+    await makeRequest('delete', `/automation/v1/filters/${filterId}`, null, null, logger, 0, accountId);
 
     if (logger) {
       logger.info(`Successfully deleted filter activity: ${filterId}`);
@@ -457,6 +583,81 @@ export async function deleteFilterActivity(filterId, logger = null, accountId =
   }
 }
 
+/**
+ * Create a filter activity
+ * @param {object} filter - Filter activity (name, customerKey, filterDefinitionId, sourceObjectId,
+ *   sourceTypeId, destinationObjectId, destinationTypeId, description)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>} Create result
+ */
+export async function createFilterActivity(filter, logger = null, accountId = null) {
+  try {
+    const result = await makeRequest('post', '/automation/v1/filters', filter, null, logger, 0, accountId);
+
+    if (logger) {
+      logger.info(`Created filter activity: ${filter.name}`);
+    }
+
+    return { success: true, data: result };
+  } catch (error) {
+    const errorMessage = error.message || 'Unknown error';
+
+    if (logger) {
+      logger.error(`Failed to create filter activity ${filter.name}: ${errorMessage}`);
+    }
+
+    return { success: false, error: errorMessage };
+  }
+}
+
+/**
+ * Get a filter definition (the conditions a filter activity applies)
+ * Note: This uses the endpoint behind the Data Filters UI
+ * @param {string} filterDefinitionId - Filter Definition ID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
+ * @returns {Promise<object|null>} Filter definition or null if not found
+ */
+export async function getFilterDefinition(filterDefinitionId, logger = null, accountId = null) {
+  try {
+    return await makeRequest('get', `/email/v1/filters/filterdefinition/${filterDefinitionId}`, null, null, logger, 0, accountId);
+  } catch (error) {
+    if (logger) {
+      logger.debug(`Failed to get filter definition ${filterDefinitionId}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Create a filter definition
+ * @param {object} definition - Filter definition (key, name, description, derivedFromType,
+ *   derivedFromObjectId, filterDefinitionXml)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>} Create result
+ */
+export async function createFilterDefinition(definition, logger = null, accountId = null) {
+  try {
+    const result = await makeRequest('post', '/email/v1/filters/filterdefinition', definition, null, logger, 0, accountId);
+
+    if (logger) {
+      logger.info(`Created filter definition: ${definition.name}`);
+    }
+
+    return { success: true, data: result };
+  } catch (error) {
+    const errorMessage = error.message || 'Unknown error';
+
+    if (logger) {
+      logger.error(`Failed to create filter definition ${definition.name}: ${errorMessage}`);
+    }
+
+    return { success: false, error: errorMessage };
+  }
+}
+
 /**
  * Check if a filter activity is used in any automation
  * @param {string} filterId - Filter Activity ID
@@ -526,19 +727,29 @@ export async function checkFilterInAutomations(filterId, automations = null, log
 // =============================================================================
 
 /**
- * Get all data extract activities
+ * Get all data extract activities, throwing if they cannot be listed
  * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
  * @returns {Promise<object[]>} Array of data extract objects
  */
-export async function getDataExtracts(logger = null, accountId = null) {
-  try {
-    const extracts = await getAllPages('/automation/v1/dataextracts', 'items', {}, logger, accountId);
+export async function listDataExtracts(logger = null, accountId = null) {
+  const extracts = await getAllPages('/automation/v1/dataextracts', 'items', {}, logger, accountId);
 
-    if (logger) {
-      logger.debug(`Retrieved ${extracts.length} data extract activities`);
-    }
+  if (logger) {
+    logger.debug(`Retrieved ${extracts.length} data extract activities`);
+  }
+
+  return extracts;
+}
 
-    return extracts;
+/**
+ * Get all data extract activities
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object[]>} Array of data extract objects (empty if they cannot be listed)
+ */
+export async function getDataExtracts(logger = null, accountId = null) {
+  try {
+    return await listDataExtracts(logger, accountId);
   } catch (error) {
     if (logger) {
       logger.debug(`Failed to retrieve data extracts: ${error.message}`);
@@ -587,20 +798,30 @@ export async function sendWebhook(url, payload, logger = null) {
 // =============================================================================
 
 /**
- * Get all file transfer activities
+ * Get all file transfer activities, throwing if they cannot be listed
  * @param {object} logger - Logger instance
  * @param {string} accountId - Business Unit account ID (optional)
  * @returns {Promise<object[]>} Array of file transfer objects
  */
-export async function getFileTransfers(logger = null, accountId = null) {
-  try {
-    const transfers = await getAllPages('/automation/v1/filetransfers', 'items', {}, logger, accountId);
+export async function listFileTransfers(logger = null, accountId = null) {
+  const transfers = await getAllPages('/automation/v1/filetransfers', 'items', {}, logger, accountId);
 
-    if (logger) {
-      logger.debug(`Retrieved ${transfers.length} file transfer activities`);
-    }
+  if (logger) {
+    logger.debug(`Retrieved ${transfers.length} file transfer activities`);
+  }
+
+  return transfers;
+}
 
-    return transfers;
+/**
+ * Get all file transfer activities
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
+ * @returns {Promise<object[]>} Array of file transfer objects (empty if they cannot be listed)
+ */
+export async function getFileTransfers(logger = null, accountId = null) {
+  try {
+    return await listFileTransfers(logger, accountId);
   } catch (error) {
     if (logger) {
       logger.debug(`Failed to retrieve file transfers: ${error.message}`);
@@ -618,7 +839,7 @@ export async function getFileTransfers(logger = null, accountId = null) {
  */
 export async function getFileTransferDetails(fileTransferId, logger = null, accountId = null) {
   try {
-    return await makeRequest('get', `/automation/v1/filetransfers/${fileTransferId}`, null, null, logger);
+    return await makeRequest('get', `/automation/v1/filetransfers/${fileTransferId}`, null, null, logger, 0, accountId);
   } catch (error) {
     if (logger) {
       logger.debug(`Failed to get file transfer details for ${fileTransferId}: ${error.message}`);
@@ -637,7 +858,7 @@ export async function getFileTransferDetails(fileTransferId, logger = null, acco
  */
 export async function updateFileTransfer(fileTransferId, updates, logger = null, accountId = null) {
   try {
-    const result = await makeRequest('patch', `/automation/v1/filetransfers/${fileTransferId}`, updates, null, logger);
+    const result = await makeRequest('patch', `/automation/v1/filetransfers/${fileTransferId}`, updates, null, logger, 0, accountId);
 
     if (logger) {
       logger.info(`Successfully updated file transfer: ${fileTransferId}`);
@@ -691,7 +912,7 @@ export async function getImports(logger = null, accountId = null) {
  */
 export async function getImportDetails(importId, logger = null, accountId = null) {
   try {
-    return await makeRequest('get', `/automation/v1/imports/${importId}`, null, null, logger);
+    return await makeRequest('get', `/automation/v1/imports/${importId}`, null, null, logger, 0, accountId);
   } catch (error) {
     if (logger) {
       logger.debug(`Failed to get import details for ${importId}: ${error.message}`);
@@ -710,7 +931,7 @@ export async function getImportDetails(importId, logger = null, accountId = null
  */
 export async function updateImport(importId, updates, logger = null, accountId = null) {
   try {
-    const result = await makeRequest('patch', `/automation/v1/imports/${importId}`, updates, null, logger);
+    const result = await makeRequest('patch', `/automation/v1/imports/${importId}`, updates, null, logger, 0, accountId);
 
     if (logger) {
       logger.info(`Successfully updated import definition: ${importId}`);
@@ -741,7 +962,7 @@ export async function updateImport(importId, updates, logger = null, accountId =
  */
 export async function runAutomationOnce(automationId, logger = null, accountId = null) {
   try {
-    const result = await makeRequest('post', `/automation/v1/automations/${automationId}/actions/runallonce`, null, null, logger);
+    const result = await makeRequest('post', `/automation/v1/automations/${automationId}/actions/runallonce`, null, null, logger, 0, accountId);
 
     if (logger) {
       logger.info(`Successfully triggered automation: ${automationId}`);
@@ -759,6 +980,43 @@ export async function runAutomationOnce(automationId, logger = null, accountId =
   }
 }
 
+/**
+ * Pause the schedule of an automation
+ * Uses the legacy automation endpoint (the same one Automation Studio calls);
+ * re-activating the schedule is left to Automation Studio
+ * @param {string} automationId - Automation ID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>} Pause result
+ */
+export async function pauseAutomation(automationId, logger = null, accountId = null) {
+  try {
+    const result = await makeRequest(
+      'post',
+      '/legacy/v1/beta/bulk/automations/automation/definition/',
+      { id: automationId },
+      { action: 'pauseSchedule' },
+      logger,
+      0,
+      accountId
+    );
+
+    if (logger) {
+      logger.info(`Paused automation: ${automationId}`);
+    }
+
+    return { success: true, data: result };
+  } catch (error) {
+    const errorMessage = error.message || 'Unknown error';
+
+    if (logger) {
+      logger.error(`Failed to pause automation ${automationId}: ${errorMessage}`);
+    }
+
+    return { success: false, error: errorMessage };
+  }
+}
+
 // =============================================================================
 // Content Builder / CloudPages APIs
 // =============================================================================
@@ -785,7 +1043,7 @@ export async function queryAssets(queryPayload, logger = null, accountId = null)
         }
       };
 
-      const response = await makeRequest('post', '/asset/v1/content/assets/query', payload, null, logger);
+      const response = await makeRequest('post', '/asset/v1/content/assets/query', payload, null, logger, 0, accountId);
 
       if (response.items && Array.isArray(response.items)) {
         allAssets.push(...response.items);
@@ -860,6 +1118,41 @@ export async function getCloudPages(logger = null, accountId = null) {
   }
 }
 
+// Asset types that can carry AMPscript/SSJS: templates (4, 214), free-form/
+// text/HTML/dynamic/code snippet blocks (195-197, 201, 220), web pages and
+// templates (205, 206), emails (207-209) and CloudPages (247)
+const CODE_ASSET_TYPE_IDS = [4, 195, 196, 197, 201, 205, 206, 207, 208, 209, 214, 220, 247];
+
+/**
+ * Get all Content Builder assets that can contain AMPscript/SSJS
+ * (emails, content blocks, templates and CloudPages)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional)
+ * @returns {Promise<object[]>} Array of asset objects with content and views
+ */
+export async function getCodeAssets(logger = null, accountId = null) {
+  const queryPayload = {
+    query: {
+      property: 'assetType.id',
+      simpleOperator: 'in',
+      value: CODE_ASSET_TYPE_IDS
+    },
+    fields: [
+      'id', 'customerKey', 'assetType', 'name', 'content', 'superContent',
+      'views', 'slots', 'modifiedDate', 'status', 'category'
+    ],
+    sort: [{ property: 'modifiedDate', direction: 'DESC' }]
+  };
+
+  const assets = await queryAssets(queryPayload, logger, accountId);
+
+  if (logger) {
+    logger.debug(`Retrieved ${assets.length} code-bearing Content Builder assets`);
+  }
+
+  return assets;
+}
+
 /**
  * Get CloudPage details by ID including full content
  * @param {string|number} assetId - Asset ID
@@ -869,7 +1162,7 @@ export async function getCloudPages(logger = null, accountId = null) {
  */
 export async function getCloudPageDetails(assetId, logger = null, accountId = null) {
   try {
-    return await makeRequest('get', `/asset/v1/content/assets/${assetId}`, null, null, logger);
+    return await makeRequest('get', `/asset/v1/content/assets/${assetId}`, null, null, logger, 0, accountId);
   } catch (error) {
     if (logger) {
       logger.debug(`Failed to get CloudPage details for ${assetId}: ${error.message}`);
@@ -879,21 +1172,29 @@ export async function getCloudPageDetails(assetId, logger = null, accountId = nu
 }
 
 export default {
+  getItemsModifiedSince,
   getAutomations,
   getAutomationDetails,
   getAutomationByName,
   getAutomationWithMetadata,
   deleteAutomation,
+  updateAutomation,
   createAutomationBackup,
   getJourneys,
   getJourneyDetails,
   getDataExtensionRowCount,
   getFilterActivities,
+  listFilterActivities,
   getFilterActivityDetails,
   deleteFilterActivity,
+  createFilterActivity,
+  getFilterDefinition,
+  createFilterDefinition,
   checkFilterInAutomations,
+  listDataExtracts,
   getDataExtracts,
   sendWebhook,
+  listFileTransfers,
   getFileTransfers,
   getFileTransferDetails,
   updateFileTransfer,
@@ -901,7 +1202,9 @@ export default {
   getImportDetails,
   updateImport,
   runAutomationOnce,
+  pauseAutomation,
   queryAssets,
   getCloudPages,
+  getCodeAssets,
   getCloudPageDetails
 };
@@ -6,8 +6,10 @@
 import axios from 'axios';
 import { parseStringPromise, Builder } from 'xml2js';
 import { getAccessToken } from './sfmc-auth.js';
+import { sendRecorded } from './http-recorder.js';
+import { schedule, reportThrottle } from './rate-limiter.js';
 import config from '../config/index.js';
-import { sleep, isRetryableError, calculateBackoffDelay, createConcurrencyLimiter, RETRY_CONFIG } from './utils.js';
+import { sleep, isThrottlingError, isRetryableError, calculateBackoffDelay, createConcurrencyLimiter, redactSensitiveData, RETRY_CONFIG } from './utils.js';
 
 // SOAP namespaces
 const NAMESPACES = {
@@ -19,28 +21,6 @@ const NAMESPACES = {
 
 const { MAX_RETRIES, RETRY_DELAY_MS } = RETRY_CONFIG;
 
-/**
- * Redact sensitive data from objects before logging
- * @param {any} obj - Object to redact
- * @param {string[]} sensitiveKeys - Array of key substrings to match (case insensitive)
- * @returns {any} Redacted copy of the object
- */
-function redactSensitiveData(obj, sensitiveKeys = ['token', 'secret', 'password', 'credential', 'auth', 'key', 'authorization']) {
-  if (typeof obj !== 'object' || obj === null) return obj;
-
-  const redacted = Array.isArray(obj) ? [...obj] : { ...obj };
-
-  for (const key in redacted) {
-    if (sensitiveKeys.some(sk => key.toLowerCase().includes(sk))) {
-      redacted[key] = '[REDACTED]';
-    } else if (typeof redacted[key] === 'object') {
-      redacted[key] = redactSensitiveData(redacted[key], sensitiveKeys);
-    }
-  }
-
-  return redacted;
-}
-
 /**
  * Build SOAP envelope with fueloauth header (OAuth 2.0)
  * @param {string} accessToken - OAuth access token
@@ -111,27 +91,38 @@ async function makeSoapRequest(soapBody, logger, retryCount = 0, soapAction = 'R
   }
 
   try {
-    const response = await axios.post(soapUrl, envelope, {
+    // The body (not the envelope) identifies the request: the envelope carries the token
+    const response = await schedule(accountId, () => sendRecorded('soap', {
+      accountId: accountId || config.sfmc.accountId,
+      action: soapAction,
+      body: soapBody.replace(/>\s+</g, '><').trim()
+    }, () => axios.post(soapUrl, envelope, {
       headers: {
         'Content-Type': 'text/xml; charset=utf-8',
         'SOAPAction': soapAction
       },
       timeout: config.timeouts.soapTimeoutMs
-    });
-
-    // Rate limit delay
-    await sleep(config.safety.apiRateLimitDelayMs);
+    })));
 
     return await parseSoapResponse(response.data);
 
   } catch (error) {
+    // 429/503 or a "Server too busy" fault (HTTP 500, or 200 with a Fault body) pauses the
+    // shared scheduler, so the retry simply queues behind it
+    const throttled = isThrottlingError(error);
+    if (throttled) {
+      reportThrottle(error, logger);
+    }
+
     // Handle retryable errors
     if (retryCount < MAX_RETRIES && isRetryableError(error)) {
-      const delay = calculateBackoffDelay(retryCount);
-      if (logger) {
-        logger.warn(`Request failed, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+      if (!throttled) {
+        const delay = calculateBackoffDelay(retryCount);
+        if (logger) {
+          logger.warn(`Request failed, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+        }
+        await sleep(delay);
       }
-      await sleep(delay);
       return makeSoapRequest(soapBody, logger, retryCount + 1, soapAction, accountId);
     }
 
@@ -220,89 +211,112 @@ function escapeXml(str) {
 }
 
 /**
- * Generic SOAP Retrieve operation with pagination
- * @param {string} objectType - SFMC object type (DataExtension, DataFolder, etc.)
+ * Retrieve a single page of objects (up to 2500)
+ * @param {string} objectType - SFMC object type
  * @param {string[]} properties - Properties to retrieve
  * @param {string} filter - Filter XML (optional)
+ * @param {string} continueRequestId - RequestID of the previous page (optional)
  * @param {object} logger - Logger instance
- * @returns {Promise<object[]>} Array of retrieved objects
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} { results, status, requestId, hasMore }
  */
-export async function retrieve(objectType, properties, filter = null, logger = null, accountId = null) {
-  const allResults = [];
-  let requestId = null;
-  let hasMore = true;
-  let pageCount = 0;
-
-  while (hasMore) {
-    let soapBody;
+export async function retrievePage(objectType, properties, filter = null, continueRequestId = null, logger = null, accountId = null) {
+  let soapBody;
 
-    if (requestId) {
-      // Continue retrieving with requestId
-      soapBody = `
+  if (continueRequestId) {
+    // Continue retrieving with requestId
+    soapBody = `
         <RetrieveRequestMsg xmlns="${NAMESPACES.et}">
           <RetrieveRequest>
-            <ContinueRequest>${requestId}</ContinueRequest>
+            <ContinueRequest>${escapeXml(continueRequestId)}</ContinueRequest>
           </RetrieveRequest>
         </RetrieveRequestMsg>`;
-    } else {
-      // Initial retrieve request
-      const propsXml = properties.map(p => `<Properties>${p}</Properties>`).join('\n        ');
-      soapBody = `
+  } else {
+    // Initial retrieve request
+    const propsXml = properties.map(p => `<Properties>${escapeXml(p)}</Properties>`).join('\n        ');
+    soapBody = `
         <RetrieveRequestMsg xmlns="${NAMESPACES.et}">
           <RetrieveRequest>
-            <ObjectType>${objectType}</ObjectType>
+            <ObjectType>${escapeXml(objectType)}</ObjectType>
             ${propsXml}
             ${filter || ''}
           </RetrieveRequest>
         </RetrieveRequestMsg>`;
-    }
+  }
 
-    const body = await makeSoapRequest(soapBody, logger, 0, 'Retrieve', accountId);
-    const response = body.RetrieveResponseMsg;
+  const body = await makeSoapRequest(soapBody, logger, 0, 'Retrieve', accountId);
+  const response = body.RetrieveResponseMsg;
 
-    if (!response) {
-      throw new Error('Invalid SOAP response: missing RetrieveResponseMsg');
+  if (!response) {
+    throw new Error('Invalid SOAP response: missing RetrieveResponseMsg');
+  }
+
+  const status = response.OverallStatus;
+
+  // Check for errors
+  if (status === 'Error') {
+    // Try to extract error message from various possible locations
+    let errorMsg = 'Unknown error';
+    if (response.Results) {
+      const results = Array.isArray(response.Results) ? response.Results : [response.Results];
+      const errorResult = results.find(r => r.StatusMessage || r.ErrorCode);
+      if (errorResult) {
+        errorMsg = errorResult.StatusMessage || `ErrorCode: ${errorResult.ErrorCode}`;
+      }
     }
+    // Also check for error in OverallStatusMessage
+    if (response.OverallStatusMessage) {
+      errorMsg = response.OverallStatusMessage;
+    }
+    if (logger) {
+      logger.debug(`SOAP Error Response: ${JSON.stringify(redactSensitiveData(response))}`);
+    }
+    throw new Error(`Retrieve failed: ${errorMsg}`);
+  }
+
+  // Extract results - validate Results exists and is not null/undefined
+  let results = [];
+  if (response.Results != null) {
+    const rawResults = Array.isArray(response.Results) ? response.Results : [response.Results];
+    // Filter out any null/undefined entries that could occur with malformed responses
+    results = rawResults.filter(r => r != null);
+  }
 
-    const status = response.OverallStatus;
+  return {
+    results,
+    status,
+    requestId: response.RequestID,
+    hasMore: status === 'MoreDataAvailable'
+  };
+}
+
+/**
+ * Generic SOAP Retrieve operation with pagination
+ * @param {string} objectType - SFMC object type (DataExtension, DataFolder, etc.)
+ * @param {string[]} properties - Properties to retrieve
+ * @param {string} filter - Filter XML (optional)
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object[]>} Array of retrieved objects
+ */
+export async function retrieve(objectType, properties, filter = null, logger = null, accountId = null) {
+  const allResults = [];
+  let requestId = null;
+  let hasMore = true;
+  let pageCount = 0;
+
+  while (hasMore) {
+    const page = await retrievePage(objectType, properties, filter, requestId, logger, accountId);
     pageCount++;
 
     if (logger) {
-      logger.debug(`Retrieve page ${pageCount}: status=${status}`);
-    }
-
-    // Check for errors
-    if (status === 'Error') {
-      // Try to extract error message from various possible locations
-      let errorMsg = 'Unknown error';
-      if (response.Results) {
-        const results = Array.isArray(response.Results) ? response.Results : [response.Results];
-        const errorResult = results.find(r => r.StatusMessage || r.ErrorCode);
-        if (errorResult) {
-          errorMsg = errorResult.StatusMessage || `ErrorCode: ${errorResult.ErrorCode}`;
-        }
-      }
-      // Also check for error in OverallStatusMessage
-      if (response.OverallStatusMessage) {
-        errorMsg = response.OverallStatusMessage;
-      }
-      if (logger) {
-        logger.debug(`SOAP Error Response: ${JSON.stringify(redactSensitiveData(response))}`);
-      }
-      throw new Error(`Retrieve failed: ${errorMsg}`);
+      logger.debug(`Retrieve page ${pageCount}: status=${page.status}`);
     }
 
-    // Extract results - validate Results exists and is not null/undefined
-    if (response.Results != null) {
-      const results = Array.isArray(response.Results) ? response.Results : [response.Results];
-      // Filter out any null/undefined entries that could occur with malformed responses
-      const validResults = results.filter(r => r != null);
-      allResults.push(...validResults);
-    }
+    allResults.push(...page.results);
 
     // Check for more results
-    if (status === 'MoreDataAvailable') {
-      requestId = response.RequestID;
+    if (page.hasMore) {
+      requestId = page.requestId;
     } else {
       hasMore = false;
     }
@@ -395,6 +409,77 @@ export async function deleteObjects(objectType, objects, logger = null, accountI
   };
 }
 
+/**
+ * Update objects via SOAP API
+ * @param {string} objectType - Object type (e.g., 'DataExtension')
+ * @param {object[]} objects - Objects with identifying and updated properties
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} Update result
+ */
+export async function updateObjects(objectType, objects, logger = null, accountId = null) {
+  if (objects.length === 0) {
+    return { success: true, updated: 0 };
+  }
+
+  // Nested objects (e.g. ParentFolder: { ID }) become nested elements
+  const propertiesXml = (obj) => Object.entries(obj)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => (typeof value === 'object'
+      ? `<${key}>${propertiesXml(value)}</${key}>`
+      : `<${key}>${escapeXml(String(value))}</${key}>`))
+    .join('');
+
+  const objectsXml = objects.map(obj =>
+    `<Objects xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="${objectType}">${propertiesXml(obj)}</Objects>`
+  ).join('\n    ');
+
+  const soapBody = `
+    <UpdateRequest xmlns="${NAMESPACES.et}">
+      ${objectsXml}
+    </UpdateRequest>`;
+
+  const body = await makeSoapRequest(soapBody, logger, 0, 'Update', accountId);
+
+  if (logger) {
+    logger.debug(`Update response body: ${JSON.stringify(redactSensitiveData(body))}`);
+  }
+
+  const response = body.UpdateResponse;
+
+  if (!response) {
+    throw new Error('Invalid SOAP response: missing UpdateResponse');
+  }
+
+  if (!response.Results) {
+    return { success: false, error: 'Invalid SOAP response: missing Results', updated: 0, failed: 0, results: [] };
+  }
+
+  const results = Array.isArray(response.Results) ? response.Results : [response.Results];
+
+  if (results.length === 0 || !results[0]) {
+    return { success: false, error: 'Invalid SOAP response: empty Results', updated: 0, failed: 0, results: [] };
+  }
+
+  const successful = results.filter(r => r && r.StatusCode === 'OK');
+  const failed = results.filter(r => r && r.StatusCode !== 'OK');
+
+  if (logger) {
+    logger.debug(`Update complete: ${successful.length} success, ${failed.length} failed`);
+  }
+
+  return {
+    success: failed.length === 0,
+    updated: successful.length,
+    failed: failed.length,
+    results: results.map(r => ({
+      statusCode: r.StatusCode,
+      statusMessage: r.StatusMessage,
+      objectId: r.Object?.ObjectID || r.Object?.CustomerKey
+    }))
+  };
+}
+
 /**
  * Retrieve DataFolder (folder) objects
  * @param {string} filter - Filter XML (optional)
@@ -411,6 +496,19 @@ export async function retrieveFolders(filter = null, logger = null, accountId =
   return retrieve('DataFolder', properties, filter, logger, accountId);
 }
 
+/**
+ * Retrieve only the ObjectIDs of every object of a type
+ * Much lighter than a full retrieve - used to spot deletions since a snapshot.
+ * @param {string} objectType - SOAP object type (e.g. 'QueryDefinition')
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<string[]>} ObjectIDs
+ */
+export async function retrieveObjectIds(objectType, logger = null, accountId = null) {
+  const results = await retrieve(objectType, ['ObjectID'], null, logger, accountId);
+  return results.map(result => result.ObjectID).filter(Boolean);
+}
+
 /**
  * Retrieve DataExtension objects
  * @param {string} filter - Filter XML (optional)
@@ -451,12 +549,61 @@ export async function retrieveDataExtensionFields(deCustomerKey, logger = null,
   return retrieve('DataExtensionField', properties, filter, logger, accountId);
 }
 
+/**
+ * Convert a DataExtensionObject result into a plain { field: value } row
+ * @param {object} result - Retrieve result
+ * @returns {object} Row
+ */
+function dataExtensionObjectToRow(result) {
+  const row = {};
+  const props = result.Properties?.Property;
+  const list = Array.isArray(props) ? props : (props ? [props] : []);
+
+  for (const prop of list) {
+    let value = prop.Value;
+    if (value !== null && typeof value === 'object') {
+      // <Value xsi:nil="true"/> or a value carrying attributes
+      value = value._ ?? null;
+    }
+    row[prop.Name] = value ?? null;
+  }
+
+  return row;
+}
+
+/**
+ * Retrieve one page of rows from a Data Extension
+ * @param {string} customerKey - DE CustomerKey
+ * @param {string[]} fieldNames - Fields to retrieve
+ * @param {string} continueRequestId - RequestID of the previous page (optional)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} { rows, requestId, hasMore }
+ */
+export async function retrieveDataExtensionRowsPage(customerKey, fieldNames, continueRequestId = null, logger = null, accountId = null) {
+  const page = await retrievePage(
+    `DataExtensionObject[${customerKey}]`,
+    fieldNames,
+    null,
+    continueRequestId,
+    logger,
+    accountId
+  );
+
+  return {
+    rows: page.results.map(dataExtensionObjectToRow),
+    requestId: page.requestId,
+    hasMore: page.hasMore
+  };
+}
+
 /**
  * Retrieve TriggeredSendDefinition objects
  * @param {object} logger - Logger instance
+ * @param {string} filter - Filter XML (optional, e.g. a ModifiedDate filter)
  * @returns {Promise<object[]>} Array of TSD objects
  */
-export async function retrieveTriggeredSendDefinitions(logger = null, accountId = null) {
+export async function retrieveTriggeredSendDefinitions(logger = null, accountId = null, filter = null) {
   // Valid TriggeredSendDefinition properties (SFMC SOAP API)
   const properties = [
     'ObjectID', 'CustomerKey', 'Name', 'Description', 'TriggeredSendStatus',
@@ -464,21 +611,35 @@ export async function retrieveTriggeredSendDefinitions(logger = null, accountId
     'SendClassification.CustomerKey', 'SenderProfile.CustomerKey'
   ];
 
-  return retrieve('TriggeredSendDefinition', properties, null, logger, accountId);
+  return retrieve('TriggeredSendDefinition', properties, filter, logger, accountId);
+}
+
+/**
+ * Retrieve all Business Units in the enterprise (requires an enterprise-level package)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object[]>} Array of BusinessUnit objects
+ */
+export async function retrieveBusinessUnits(logger = null, accountId = null) {
+  const properties = ['ID', 'Name', 'ParentID', 'ParentName', 'CustomerKey', 'IsActive'];
+
+  // QueryAllAccounts follows Filter in RetrieveRequest, so it goes in the filter slot
+  return retrieve('BusinessUnit', properties, '<QueryAllAccounts>true</QueryAllAccounts>', logger, accountId);
 }
 
 /**
  * Retrieve QueryDefinition (SQL Query Activity) objects
  * @param {object} logger - Logger instance
+ * @param {string} filter - Filter XML (optional, e.g. a ModifiedDate filter)
  * @returns {Promise<object[]>} Array of query objects
  */
-export async function retrieveQueryDefinitions(logger = null, includeQueryText = false, accountId = null) {
+export async function retrieveQueryDefinitions(logger = null, includeQueryText = false, accountId = null, filter = null) {
   // Valid QueryDefinition properties (SFMC SOAP API)
   // NOTE: QueryText is excluded from bulk retrieval by default as it can cause SFMC to return
   // HTML error pages instead of SOAP responses when there's a lot of data.
   const properties = [
     'ObjectID', 'CustomerKey', 'Name', 'Description',
-    'TargetType', 'TargetUpdateType', 'CategoryID',
+    'TargetType', 'TargetUpdateType', 'CategoryID', 'CreatedDate', 'ModifiedDate',
     // Target DE properties - critical for detecting DEs used as query destinations
     'DataExtensionTarget.CustomerKey',
     'DataExtensionTarget.Name'
@@ -488,7 +649,7 @@ export async function retrieveQueryDefinitions(logger = null, includeQueryText =
     properties.push('QueryText');
   }
 
-  return retrieve('QueryDefinition', properties, null, logger, accountId);
+  return retrieve('QueryDefinition', properties, filter, logger, accountId);
 }
 
 /**
@@ -543,9 +704,10 @@ export async function retrieveQueryTexts(objectIds, logger = null, concurrency =
 /**
  * Retrieve ImportDefinition objects
  * @param {object} logger - Logger instance
+ * @param {string} filter - Filter XML (optional, e.g. a ModifiedDate filter)
  * @returns {Promise<object[]>} Array of import definition objects
  */
-export async function retrieveImportDefinitions(logger = null, accountId = null) {
+export async function retrieveImportDefinitions(logger = null, accountId = null, filter = null) {
   // Valid ImportDefinition properties (SFMC SOAP API)
   // DestinationObject properties return the target DE information
   const properties = [
@@ -553,10 +715,11 @@ export async function retrieveImportDefinitions(logger = null, accountId = null)
     'DestinationObject.ObjectID',
     'DestinationObject.CustomerKey',
     'DestinationObject.Name',
-    'UpdateType', 'FileSpec', 'FieldMappingType', 'FileType'
+    'UpdateType', 'FileSpec', 'FieldMappingType', 'FileType',
+    'CreatedDate', 'ModifiedDate'
   ];
 
-  return retrieve('ImportDefinition', properties, null, logger, accountId);
+  return retrieve('ImportDefinition', properties, filter, logger, accountId);
 }
 
 /**
@@ -581,6 +744,188 @@ export async function deleteFolder(folderId, logger = null, accountId = null) {
   return deleteObjects('DataFolder', [{ ID: folderId }], logger, accountId);
 }
 
+/**
+ * Update a folder's name and/or parent folder
+ * @param {number} folderId - Folder ID
+ * @param {object} updates - Changes to make
+ * @param {string} updates.name - New folder name (optional)
+ * @param {number} updates.parentFolderId - New parent folder ID (optional)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} Update result
+ */
+export async function updateFolder(folderId, updates, logger = null, accountId = null) {
+  return updateObjects('DataFolder', [{
+    ID: folderId,
+    Name: updates.name,
+    ParentFolder: updates.parentFolderId !== undefined && updates.parentFolderId !== null
+      ? { ID: updates.parentFolderId }
+      : null
+  }], logger, accountId);
+}
+
+/**
+ * Move a Data Extension to another folder
+ * @param {string} customerKey - DE CustomerKey
+ * @param {number} categoryId - Target folder CategoryID
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} Update result
+ */
+export async function moveDataExtension(customerKey, categoryId, logger = null, accountId = null) {
+  return updateObjects('DataExtension', [{ CustomerKey: customerKey, CategoryID: categoryId }], logger, accountId);
+}
+
+/**
+ * Update the retention policy of a Data Extension
+ * @param {string} customerKey - DE CustomerKey
+ * @param {object} retention - Retention settings
+ * @param {number} retention.dataRetentionPeriodLength - Period length (0 removes the policy)
+ * @param {number} retention.dataRetentionPeriodUnit - Period unit code (3 days, 4 weeks, 5 months, 6 years)
+ * @param {boolean} retention.rowBasedRetention - Delete individual rows instead of all rows
+ * @param {boolean} retention.resetRetentionOnImport - Reset the period on import
+ * @param {boolean} retention.deleteAtEndOfRetention - Delete the DE itself at the end of the period
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} Update result
+ */
+export async function updateDataExtensionRetention(customerKey, retention, logger = null, accountId = null) {
+  return updateObjects('DataExtension', [{
+    CustomerKey: customerKey,
+    DataRetentionPeriodLength: retention.dataRetentionPeriodLength,
+    DataRetentionPeriodUnitOfMeasure: retention.dataRetentionPeriodUnit,
+    RowBasedRetention: retention.rowBasedRetention === true,
+    ResetRetentionPeriodOnImport: retention.resetRetentionOnImport === true,
+    DeleteAtEndOfRetentionPeriod: retention.deleteAtEndOfRetention === true
+  }], logger, accountId);
+}
+
+/**
+ * Create a folder
+ * @param {object} folderData - Folder definition
+ * @param {string} folderData.name - Folder name
+ * @param {number} folderData.parentFolderId - Parent folder CategoryID
+ * @param {string} folderData.contentType - Folder content type (default: dataextension)
+ * @param {string} folderData.description - Folder description (optional)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} Create result with new folder ID
+ */
+export async function createFolder(folderData, logger = null, accountId = null) {
+  const {
+    name,
+    parentFolderId,
+    contentType = 'dataextension',
+    description = ''
+  } = folderData;
+
+  if (!name || !parentFolderId) {
+    return { success: false, error: 'name and parentFolderId are required' };
+  }
+
+  const soapBody = `
+    <CreateRequest xmlns="${NAMESPACES.et}">
+      <Objects xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="DataFolder">
+        <Name>${escapeXml(name)}</Name>
+        <Description>${escapeXml(description)}</Description>
+        <ContentType>${escapeXml(contentType)}</ContentType>
+        <IsActive>true</IsActive>
+        <IsEditable>true</IsEditable>
+        <AllowChildren>true</AllowChildren>
+        <ParentFolder>
+          <ID>${escapeXml(String(parentFolderId))}</ID>
+        </ParentFolder>
+      </Objects>
+    </CreateRequest>`;
+
+  try {
+    const body = await makeSoapRequest(soapBody, logger, 0, 'Create', accountId);
+
+    if (logger) {
+      logger.debug(`Create folder response body: ${JSON.stringify(redactSensitiveData(body))}`);
+    }
+
+    const response = body.CreateResponse;
+
+    if (!response || !response.Results) {
+      return { success: false, error: 'Invalid SOAP response: missing CreateResponse Results' };
+    }
+
+    const result = Array.isArray(response.Results) ? response.Results[0] : response.Results;
+
+    if (result?.StatusCode === 'OK') {
+      return {
+        success: true,
+        id: parseInt(result.NewID || result.Object?.ID, 10),
+        statusCode: result.StatusCode
+      };
+    }
+
+    return {
+      success: false,
+      error: result?.StatusMessage || `StatusCode: ${result?.StatusCode}`,
+      statusCode: result?.StatusCode
+    };
+  } catch (error) {
+    if (logger) {
+      logger.error(`Create folder failed: ${error.message}`);
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Insert rows into a Data Extension
+ * @param {string} customerKey - DE CustomerKey
+ * @param {object[]} rows - Rows as { field: value } (null/undefined values are omitted)
+ * @param {object} logger - Logger instance
+ * @param {string} accountId - Business Unit account ID (optional, defaults to config)
+ * @returns {Promise<object>} { success, created, failed, errors }
+ */
+export async function insertDataExtensionRows(customerKey, rows, logger = null, accountId = null) {
+  if (rows.length === 0) {
+    return { success: true, created: 0, failed: 0, errors: [] };
+  }
+
+  const objectsXml = rows.map(row => {
+    const propsXml = Object.entries(row)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `<Property><Name>${escapeXml(name)}</Name><Value>${escapeXml(String(value))}</Value></Property>`)
+      .join('');
+
+    return `<Objects xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="DataExtensionObject">` +
+      `<CustomerKey>${escapeXml(customerKey)}</CustomerKey>` +
+      `<Properties>${propsXml}</Properties>` +
+      '</Objects>';
+  }).join('\n      ');
+
+  const soapBody = `
+    <CreateRequest xmlns="${NAMESPACES.et}">
+      ${objectsXml}
+    </CreateRequest>`;
+
+  const body = await makeSoapRequest(soapBody, logger, 0, 'Create', accountId);
+  const response = body.CreateResponse;
+
+  if (!response || !response.Results) {
+    throw new Error('Invalid SOAP response: missing CreateResponse Results');
+  }
+
+  const results = Array.isArray(response.Results) ? response.Results : [response.Results];
+  const failed = results.filter(r => r && r.StatusCode !== 'OK');
+
+  if (logger) {
+    logger.debug(`Insert rows into ${customerKey}: ${results.length - failed.length} created, ${failed.length} failed`);
+  }
+
+  return {
+    success: failed.length === 0,
+    created: results.length - failed.length,
+    failed: failed.length,
+    errors: failed.map(r => r.StatusMessage || r.ErrorMessage || `StatusCode: ${r.StatusCode}`)
+  };
+}
+
 // Export filter builders
 export { buildSimpleFilter, buildComplexFilter, escapeXml };
 
@@ -600,6 +945,7 @@ export async function deleteQueryActivity(objectId, logger = null, accountId = n
  * @param {object} queryData - Query data
  * @param {string} queryData.Name - Query name
  * @param {string} queryData.CustomerKey - Customer key (optional, defaults to Name)
+ * @param {string} queryData.Description - Description (optional)
  * @param {string} queryData.QueryText - SQL query text
  * @param {string} queryData.TargetType - Target type (DE)
  * @param {string} queryData.TargetUpdateType - Update type (Overwrite, Update, Append)
@@ -612,6 +958,7 @@ export async function createQueryActivity(queryData, logger = null, accountId =
   const {
     Name,
     CustomerKey = Name,
+    Description = '',
     QueryText,
     TargetType = 'DE',
     TargetUpdateType = 'Overwrite',
@@ -643,6 +990,7 @@ export async function createQueryActivity(queryData, logger = null, accountId =
       <Objects xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="QueryDefinition">
         <Name>${escapeXml(Name)}</Name>
         <CustomerKey>${escapeXml(CustomerKey)}</CustomerKey>
+        <Description>${escapeXml(Description)}</Description>
         <QueryText>${escapeXml(QueryText)}</QueryText>
         <TargetType>${escapeXml(TargetType)}</TargetType>
         <TargetUpdateType>${escapeXml(TargetUpdateType)}</TargetUpdateType>
@@ -711,6 +1059,12 @@ export async function createQueryActivity(queryData, logger = null, accountId =
  * @param {boolean} deData.IsTestable - Whether DE is testable
  * @param {object} deData.SendableSubscriberField - Sendable subscriber field (optional)
  * @param {object} deData.SendableDataExtensionField - Sendable DE field (optional)
+ * @param {number} deData.DataRetentionPeriodLength - Retention period length (optional)
+ * @param {string} deData.DataRetentionPeriodUnitOfMeasure - Retention period unit (optional)
+ * @param {boolean} deData.RowBasedRetention - Delete individual rows instead of all rows (optional)
+ * @param {boolean} deData.ResetRetentionPeriodOnImport - Reset retention on import (optional)
+ * @param {boolean} deData.DeleteAtEndOfRetentionPeriod - Delete the DE itself at the end of retention (optional)
+ * @param {string} deData.RetainUntil - Retain until this date (optional)
  * @param {array} deData.Fields - Array of field definitions
  * @param {object} logger - Logger instance
  * @returns {Promise<object>} Create result with success flag and objectId
@@ -725,6 +1079,12 @@ export async function createDataExtension(deData, logger = null, accountId = nul
     IsTestable = false,
     SendableSubscriberField = null,
     SendableDataExtensionField = null,
+    DataRetentionPeriodLength = null,
+    DataRetentionPeriodUnitOfMeasure = null,
+    RowBasedRetention = false,
+    ResetRetentionPeriodOnImport = false,
+    DeleteAtEndOfRetentionPeriod = false,
+    RetainUntil = null,
     Fields = []
   } = deData;
 
@@ -738,7 +1098,7 @@ export async function createDataExtension(deData, logger = null, accountId = nul
 
   // Determine if we can actually make this sendable
   // A sendable DE requires both SendableSubscriberField and SendableDataExtensionField
-  const canBeSendable = IsSendable && SendableSubscriberField && SendableDataExtensionField;
+  const canBeSendable = !!(IsSendable && SendableSubscriberField && SendableDataExtensionField);
   const actualIsSendable = canBeSendable;
 
   if (logger && IsSendable && !canBeSendable) {
@@ -797,6 +1157,23 @@ export async function createDataExtension(deData, logger = null, accountId = nul
         </SendableDataExtensionField>`;
   }
 
+  // Build retention settings if the DE had a retention policy
+  let retentionXml = '';
+  if ((DataRetentionPeriodLength && DataRetentionPeriodUnitOfMeasure) || RetainUntil) {
+    const retentionParts = [];
+    if (DataRetentionPeriodLength && DataRetentionPeriodUnitOfMeasure) {
+      retentionParts.push(`<DataRetentionPeriodLength>${escapeXml(String(DataRetentionPeriodLength))}</DataRetentionPeriodLength>`);
+      retentionParts.push(`<DataRetentionPeriodUnitOfMeasure>${escapeXml(String(DataRetentionPeriodUnitOfMeasure))}</DataRetentionPeriodUnitOfMeasure>`);
+    }
+    retentionParts.push(`<RowBasedRetention>${RowBasedRetention === true}</RowBasedRetention>`);
+    retentionParts.push(`<ResetRetentionPeriodOnImport>${ResetRetentionPeriodOnImport === true}</ResetRetentionPeriodOnImport>`);
+    retentionParts.push(`<DeleteAtEndOfRetentionPeriod>${DeleteAtEndOfRetentionPeriod === true}</DeleteAtEndOfRetentionPeriod>`);
+    if (RetainUntil) {
+      retentionParts.push(`<RetainUntil>${escapeXml(String(RetainUntil))}</RetainUntil>`);
+    }
+    retentionXml = retentionParts.join('\n        ');
+  }
+
   // Build category reference if provided
   let categoryXml = '';
   if (CategoryID) {
@@ -813,6 +1190,7 @@ export async function createDataExtension(deData, logger = null, accountId = nul
         <IsSendable>${actualIsSendable}</IsSendable>
         <IsTestable>${IsTestable}</IsTestable>
         ${sendableXml}
+        ${retentionXml}
         ${fieldsXml}
       </Objects>
     </CreateRequest>`;
@@ -873,16 +1251,26 @@ export async function createDataExtension(deData, logger = null, accountId = nul
 
 export default {
   retrieve,
+  retrievePage,
   deleteObjects,
   retrieveFolders,
+  retrieveObjectIds,
   retrieveDataExtensions,
   retrieveDataExtensionFields,
   retrieveTriggeredSendDefinitions,
+  retrieveBusinessUnits,
   retrieveQueryDefinitions,
   retrieveQueryTexts,
   retrieveImportDefinitions,
+  retrieveDataExtensionRowsPage,
+  insertDataExtensionRows,
+  updateObjects,
   deleteDataExtension,
   deleteFolder,
+  updateFolder,
+  moveDataExtension,
+  updateDataExtensionRetention,
+  createFolder,
   deleteQueryActivity,
   createQueryActivity,
   createDataExtension,
@@ -0,0 +1,503 @@
+/**
+ * Snapshot Service
+ * Archives bulk data captures (the result of loadAllSfmcData) under a name,
+ * so they survive cache refreshes, and compares two of them: which DEs,
+ * queries, automations, filters, imports and journeys were added, removed or
+ * modified between the captures, with SQL text diffs and automation step
+ * changes. Used to catch unapproved changes between releases.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+import { canonicalize } from './plan-service.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Bulk data lists archived in a snapshot (the Maps are rebuilt from these)
+const SNAPSHOT_LISTS = [
+  'dataExtensions',
+  'queryActivities',
+  'automations',
+  'filterActivities',
+  'importActivities',
+  'triggeredSends',
+  'journeys',
+  'dataExtracts',
+  'contentAssets'
+];
+
+// Automation statuses that flip on their own while an automation runs
+const TRANSIENT_AUTOMATION_STATUSES = ['Running', 'Building'];
+
+// Unchanged lines kept around each change in a SQL diff
+const DIFF_CONTEXT_LINES = 2;
+
+/**
+ * Object types compared by diffSnapshots
+ * - getKey: identity that survives a recreate (CustomerKey / key where SFMC has one)
+ * - ignore: fields that change without anyone editing the object (IDs, timestamps, run state)
+ */
+const SECTIONS = [
+  {
+    type: 'dataExtensions',
+    label: 'Data Extensions',
+    list: 'dataExtensions',
+    getKey: de => de.CustomerKey,
+    getName: de => de.Name,
+    ignore: ['ObjectID', 'CreatedDate', 'ModifiedDate']
+  },
+  {
+    type: 'queries',
+    label: 'Query Activities',
+    list: 'queryActivities',
+    getKey: query => query.CustomerKey,
+    getName: query => query.Name,
+    ignore: ['ObjectID', 'CreatedDate', 'ModifiedDate']
+  },
+  {
+    type: 'automations',
+    label: 'Automations',
+    list: 'automations',
+    getKey: automation => automation.key || automation.id,
+    getName: automation => automation.name,
+    ignore: ['id', 'createdDate', 'modifiedDate', 'lastRunTime', 'lastRunInstanceId', 'statusId', 'activityIds', '_detailsError']
+  },
+  {
+    type: 'filters',
+    label: 'Filter Activities',
+    list: 'filterActivities',
+    getKey: filter => filter.customerKey || filter.key || filter.filterActivityId || filter.id,
+    getName: filter => filter.name,
+    ignore: ['filterActivityId', 'id', 'createdDate', 'modifiedDate']
+  },
+  {
+    type: 'imports',
+    label: 'Import Activities',
+    list: 'importActivities',
+    getKey: importDef => importDef.CustomerKey,
+    getName: importDef => importDef.Name,
+    ignore: ['ObjectID', 'CreatedDate', 'ModifiedDate']
+  },
+  {
+    type: 'journeys',
+    label: 'Journeys',
+    list: 'journeys',
+    getKey: journey => journey.key || journey.id,
+    getName: journey => journey.name,
+    ignore: ['id', 'createdDate', 'modifiedDate', 'stats']
+  }
+];
+
+// =============================================================================
+// Storage
+// =============================================================================
+
+/**
+ * Resolve a snapshot name (or a path to a snapshot file) to its file path
+ * @param {string} nameOrPath - Snapshot name, or a path ending in .json
+ * @returns {string} File path
+ * @throws {Error} If the name contains characters other than letters, digits, '.', '_' and '-'
+ */
+export function getSnapshotPath(nameOrPath) {
+  if (nameOrPath.endsWith('.json') || nameOrPath.includes('/') || nameOrPath.includes(path.sep)) {
+    return path.resolve(nameOrPath);
+  }
+
+  if (!SNAPSHOT_NAME_PATTERN.test(nameOrPath)) {
+    throw new Error(`Invalid snapshot name "${nameOrPath}" (use letters, digits, '.', '_' and '-')`);
+  }
+
+  return path.join(config.paths.snapshots, `${nameOrPath}.json`);
+}
+
+/**
+ * Archive a bulk data capture under a name
+ *
+ * @param {string} name - Snapshot name
+ * @param {object} bulkData - Result of loadAllSfmcData
+ * @param {object} options - Options
+ * @param {string} options.businessUnit - Business Unit MID the data was loaded for
+ * @param {boolean} options.overwrite - Replace an existing snapshot of the same name
+ * @returns {object} { path, snapshot }
+ * @throws {Error} If the snapshot exists and overwrite is not set
+ */
+export function saveSnapshot(name, bulkData, options = {}) {
+  const { businessUnit = config.sfmc.accountId, overwrite = false } = options;
+  const snapshotPath = getSnapshotPath(name);
+
+  if (fs.existsSync(snapshotPath) && !overwrite) {
+    throw new Error(`Snapshot "${name}" already exists (${snapshotPath}). Use --overwrite to replace it.`);
+  }
+
+  const data = {};
+  const counts = {};
+  for (const list of SNAPSHOT_LISTS) {
+    data[list] = bulkData[list] || [];
+    counts[list] = data[list].length;
+  }
+
+  const snapshot = {
+    snapshotVersion: SNAPSHOT_VERSION,
+    name,
+    businessUnit: String(businessUnit),
+    profile: config.profile,
+    toolkitVersion: config.version,
+    createdAt: new Date().toISOString(),
+    dataLoadedAt: bulkData.loadedAt || null,
+    counts,
+    data
+  };
+
+  fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+  fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2) + '\n');
+
+  return { path: snapshotPath, snapshot };
+}
+
+/**
+ * Read a snapshot
+ * @param {string} nameOrPath - Snapshot name, or a path to a snapshot file
+ * @returns {object} Snapshot
+ * @throws {Error} If the snapshot is missing, not JSON or of an unsupported version
+ */
+export function readSnapshot(nameOrPath) {
+  const snapshotPath = getSnapshotPath(nameOrPath);
+
+  if (!fs.existsSync(snapshotPath)) {
+    throw new Error(`Snapshot not found: ${snapshotPath}`);
+  }
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Snapshot file is not valid JSON: ${error.message}`);
+  }
+
+  if (snapshot.snapshotVersion !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${snapshot.snapshotVersion} (expected ${SNAPSHOT_VERSION})`);
+  }
+
+  return snapshot;
+}
+
+/**
+ * List saved snapshots (newest first)
+ * @returns {object[]} [{ name, path, businessUnit, createdAt, counts }]
+ */
+export function listSnapshots() {
+  if (!fs.existsSync(config.paths.snapshots)) {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const file of fs.readdirSync(config.paths.snapshots)) {
+    if (!file.endsWith('.json')) continue;
+
+    const snapshotPath = path.join(config.paths.snapshots, file);
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
+      snapshots.push({
+        name: snapshot.name || path.basename(file, '.json'),
+        path: snapshotPath,
+        businessUnit: snapshot.businessUnit,
+        createdAt: snapshot.createdAt,
+        counts: snapshot.counts || {}
+      });
+    } catch (error) {
+      // Not a snapshot file - skip it
+    }
+  }
+
+  return snapshots.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// =============================================================================
+// Text Diff
+// =============================================================================
+
+/**
+ * Split text into lines for comparison (line endings and trailing whitespace ignored)
+ * @param {string} text - Text
+ * @returns {string[]} Lines
+ */
+function toLines(text) {
+  if (!text) return [];
+  return String(text).replace(/\r\n?/g, '\n').split('\n').map(line => line.trimEnd());
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {object[]} [{ op: ' ' | '-' | '+', line }]
+ */
+export function diffLines(before, after) {
+  const a = toLines(before);
+  const b = toLines(after);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ op: '-', line: a[i++] });
+    } else {
+      result.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ op: '-', line: a[i++] });
+  while (j < b.length) result.push({ op: '+', line: b[j++] });
+
+  return result;
+}
+
+/**
+ * Format a line diff as unified-style text, keeping only lines near a change
+ * @param {object[]} diff - Result of diffLines
+ * @returns {string[]} Lines prefixed with ' ', '-' or '+' ('...' between hunks)
+ */
+export function formatLineDiff(diff) {
+  const keep = new Array(diff.length).fill(false);
+  diff.forEach((entry, index) => {
+    if (entry.op === ' ') return;
+    for (let k = Math.max(0, index - DIFF_CONTEXT_LINES); k <= Math.min(diff.length - 1, index + DIFF_CONTEXT_LINES); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const lines = [];
+  let skipped = false;
+  diff.forEach((entry, index) => {
+    if (!keep[index]) {
+      skipped = true;
+      return;
+    }
+    if (skipped && lines.length > 0) lines.push('...');
+    skipped = false;
+    lines.push(`${entry.op} ${entry.line}`);
+  });
+
+  return lines;
+}
+
+// =============================================================================
+// Snapshot Diff
+// =============================================================================
+
+/**
+ * Index a list by identity key; for duplicate keys (journey versions) the highest version wins
+ * @param {object[]} items - Objects
+ * @param {object} section - Section definition
+ * @returns {Map<string, object>} key -> object
+ */
+function indexByKey(items, section) {
+  const byKey = new Map();
+  for (const item of items || []) {
+    const key = section.getKey(item);
+    if (key === undefined || key === null) continue;
+
+    const existing = byKey.get(String(key));
+    if (!existing || (item.version ?? 0) >= (existing.version ?? 0)) {
+      byKey.set(String(key), item);
+    }
+  }
+  return byKey;
+}
+
+/**
+ * Reduce automation steps to what defines the automation
+ * @param {object[]} steps - Automation steps
+ * @returns {object[]} [{ step, name, activities: [{ name, objectTypeId, activityObjectId }] }]
+ */
+function normalizeSteps(steps) {
+  return (steps || []).map((step, index) => ({
+    step: step.step ?? step.stepNumber ?? index + 1,
+    name: step.name || '',
+    activities: (step.activities || []).map(activity => ({
+      name: activity.name || '',
+      objectTypeId: activity.objectTypeId ?? null,
+      activityObjectId: activity.activityObjectId || null
+    }))
+  }));
+}
+
+/**
+ * Describe how an automation's steps changed
+ * @param {object[]} beforeSteps - Old steps
+ * @param {object[]} afterSteps - New steps
+ * @returns {string[]} Human-readable changes
+ */
+export function diffAutomationSteps(beforeSteps, afterSteps) {
+  const before = new Map(normalizeSteps(beforeSteps).map(step => [step.step, step]));
+  const after = new Map(normalizeSteps(afterSteps).map(step => [step.step, step]));
+  const stepNumbers = Array.from(new Set([...before.keys(), ...after.keys()])).sort((a, b) => a - b);
+  const changes = [];
+
+  for (const number of stepNumbers) {
+    const oldStep = before.get(number);
+    const newStep = after.get(number);
+
+    if (!oldStep) {
+      changes.push(`Step ${number} added: ${newStep.activities.map(a => a.name).join(', ') || '(no activities)'}`);
+      continue;
+    }
+    if (!newStep) {
+      changes.push(`Step ${number} removed: ${oldStep.activities.map(a => a.name).join(', ') || '(no activities)'}`);
+      continue;
+    }
+
+    if (oldStep.name !== newStep.name) {
+      changes.push(`Step ${number} renamed: "${oldStep.name}" -> "${newStep.name}"`);
+    }
+
+    const oldNames = oldStep.activities.map(a => a.name);
+    const newNames = newStep.activities.map(a => a.name);
+    const removed = oldNames.filter(name => !newNames.includes(name));
+    const added = newNames.filter(name => !oldNames.includes(name));
+
+    if (removed.length > 0) changes.push(`Step ${number}: removed ${removed.join(', ')}`);
+    if (added.length > 0) changes.push(`Step ${number}: added ${added.join(', ')}`);
+
+    if (removed.length === 0 && added.length === 0 && oldNames.join('\n') !== newNames.join('\n')) {
+      changes.push(`Step ${number}: activities reordered`);
+    }
+
+    for (const oldActivity of oldStep.activities) {
+      const newActivity = newStep.activities.find(a => a.name === oldActivity.name);
+      if (newActivity && oldActivity.activityObjectId !== newActivity.activityObjectId) {
+        changes.push(`Step ${number}: ${oldActivity.name} now points to a different activity (${oldActivity.activityObjectId} -> ${newActivity.activityObjectId})`);
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two versions of one object
+ * @param {object} before - Object in the older snapshot
+ * @param {object} after - Object in the newer snapshot
+ * @param {object} section - Section definition
+ * @returns {object|null} { fields, textDiff?, stepChanges? }, or null if unchanged
+ */
+function diffObject(before, after, section) {
+  const ignore = new Set(section.ignore);
+
+  if (section.type === 'queries') ignore.add('QueryText');
+  if (section.type === 'automations') {
+    ignore.add('steps');
+    if (TRANSIENT_AUTOMATION_STATUSES.includes(before.status) || TRANSIENT_AUTOMATION_STATUSES.includes(after.status)) {
+      ignore.add('status');
+    }
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const fields = Array.from(keys)
+    .filter(key => !ignore.has(key))
+    .filter(key => canonicalize(before[key]) !== canonicalize(after[key]))
+    .sort()
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+  const change = { fields };
+
+  if (section.type === 'queries' && toLines(before.QueryText).join('\n') !== toLines(after.QueryText).join('\n')) {
+    change.textDiff = formatLineDiff(diffLines(before.QueryText, after.QueryText));
+  }
+
+  if (section.type === 'automations') {
+    const stepChanges = diffAutomationSteps(before.steps, after.steps);
+    if (stepChanges.length > 0) change.stepChanges = stepChanges;
+  }
+
+  return fields.length > 0 || change.textDiff || change.stepChanges ? change : null;
+}
+
+/**
+ * Compare two snapshots
+ *
+ * @param {object} from - Older snapshot (readSnapshot)
+ * @param {object} to - Newer snapshot (readSnapshot)
+ * @returns {object} {
+ *   from, to: { name, businessUnit, createdAt },
+ *   sections: { [type]: { label, added: [{key, name}], removed: [{key, name}], modified: [{key, name, fields, textDiff?, stepChanges?}] } },
+ *   summary: { added, removed, modified, total }
+ * }
+ */
+export function diffSnapshots(from, to) {
+  const sections = {};
+  const summary = { added: 0, removed: 0, modified: 0, total: 0 };
+
+  for (const section of SECTIONS) {
+    const before = indexByKey(from.data?.[section.list], section);
+    const after = indexByKey(to.data?.[section.list], section);
+    const result = { label: section.label, added: [], removed: [], modified: [] };
+
+    for (const [key, item] of after) {
+      if (!before.has(key)) {
+        result.added.push({ key, name: section.getName(item) || key });
+      }
+    }
+
+    for (const [key, item] of before) {
+      if (!after.has(key)) {
+        result.removed.push({ key, name: section.getName(item) || key });
+        continue;
+      }
+
+      const change = diffObject(item, after.get(key), section);
+      if (change) {
+        result.modified.push({ key, name: section.getName(after.get(key)) || key, ...change });
+      }
+    }
+
+    const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+    result.added.sort(byName);
+    result.removed.sort(byName);
+    result.modified.sort(byName);
+
+    summary.added += result.added.length;
+    summary.removed += result.removed.length;
+    summary.modified += result.modified.length;
+    sections[section.type] = result;
+  }
+
+  summary.total = summary.added + summary.removed + summary.modified;
+
+  const describe = snapshot => ({
+    name: snapshot.name,
+    businessUnit: snapshot.businessUnit,
+    createdAt: snapshot.createdAt
+  });
+
+  return { from: describe(from), to: describe(to), sections, summary };
+}
+
+export default {
+  SNAPSHOT_VERSION,
+  getSnapshotPath,
+  saveSnapshot,
+  readSnapshot,
+  listSnapshots,
+  diffLines,
+  formatLineDiff,
+  diffAutomationSteps,
+  diffSnapshots
+};
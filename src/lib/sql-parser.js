@@ -0,0 +1,1160 @@
+/**
+ * SQL Parser for Query Activities
+ * Lightweight T-SQL tokenizer that extracts real table (Data Extension)
+ * references from FROM/JOIN/INTO/UPDATE/DELETE/MERGE clauses, so dependency
+ * detection can match exact DE names instead of raw substrings.
+ * Also extracts column-level lineage from SELECT lists.
+ */
+
+/**
+ * Access types for a table reference
+ */
+export const TableAccess = {
+  READ: 'read',
+  WRITE: 'write'
+};
+
+// Words that can never be a table alias (they start the next clause)
+const NON_ALIAS_KEYWORDS = new Set([
+  'where', 'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'on',
+  'group', 'order', 'having', 'union', 'except', 'intersect', 'with', 'as',
+  'select', 'from', 'into', 'set', 'values', 'output', 'using', 'when', 'then',
+  'option', 'apply', 'pivot', 'unpivot', 'tablesample', 'and', 'or', 'not',
+  'insert', 'update', 'delete', 'merge', 'end', 'else', 'for', 'window', 'go'
+]);
+
+// Keywords that end a FROM list at the current nesting depth
+const CLAUSE_KEYWORDS = new Set([
+  'select', 'where', 'group', 'order', 'having', 'union', 'except', 'intersect',
+  'on', 'set', 'values', 'output', 'when', 'option', 'into', 'insert', 'update',
+  'delete', 'merge', 'using', 'pivot', 'unpivot'
+]);
+
+// Join keywords that introduce another table source
+const JOIN_KEYWORDS = new Set(['join', 'apply']);
+
+/**
+ * Tokenize a T-SQL statement
+ * Comments and whitespace are dropped; string literals are kept as single
+ * tokens so their contents can never be mistaken for table names.
+ *
+ * @param {string} sql - SQL text
+ * @returns {object[]} Tokens with {type, value, upper?}
+ *   type is one of: word, identifier, string, number, variable, punct, operator
+ */
+export function tokenizeSql(sql) {
+  const tokens = [];
+  if (!sql || typeof sql !== 'string') return tokens;
+
+  const length = sql.length;
+  let i = 0;
+
+  while (i < length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comment
+    if (ch === '-' && next === '-') {
+      const end = sql.indexOf('\n', i + 2);
+      i = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    // Block comment (T-SQL allows nesting)
+    if (ch === '/' && next === '*') {
+      let depth = 1;
+      i += 2;
+      while (i < length && depth > 0) {
+        if (sql[i] === '/' && sql[i + 1] === '*') {
+          depth++;
+          i += 2;
+        } else if (sql[i] === '*' && sql[i + 1] === '/') {
+          depth--;
+          i += 2;
+        } else {
+          i++;
+        }
+      }
+      continue;
+    }
+
+    // String literal ('' escapes a quote), including N'unicode'
+    if (ch === '\'' || ((ch === 'N' || ch === 'n') && next === '\'')) {
+      let j = ch === '\'' ? i + 1 : i + 2;
+      let value = '';
+      while (j < length) {
+        if (sql[j] === '\'') {
+          if (sql[j + 1] === '\'') {
+            value += '\'';
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[j];
+        j++;
+      }
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+      continue;
+    }
+
+    // Bracketed identifier ([]] escapes a bracket)
+    if (ch === '[') {
+      let j = i + 1;
+      let value = '';
+      while (j < length) {
+        if (sql[j] === ']') {
+          if (sql[j + 1] === ']') {
+            value += ']';
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[j];
+        j++;
+      }
+      tokens.push({ type: 'identifier', value });
+      i = j + 1;
+      continue;
+    }
+
+    // Double-quoted identifier
+    if (ch === '"') {
+      let j = i + 1;
+      let value = '';
+      while (j < length) {
+        if (sql[j] === '"') {
+          if (sql[j + 1] === '"') {
+            value += '"';
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[j];
+        j++;
+      }
+      tokens.push({ type: 'identifier', value });
+      i = j + 1;
+      continue;
+    }
+
+    // Numbers
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+      let j = i + 1;
+      while (j < length && /[0-9.eE]/.test(sql[j])) j++;
+      tokens.push({ type: 'number', value: sql.slice(i, j) });
+      i = j;
+      continue;
+    }
+
+    // Variables and temp tables (@var, @@var, #temp, ##temp)
+    if (ch === '@' || ch === '#') {
+      let j = i + 1;
+      while (j < length && /[\w@#$]/.test(sql[j])) j++;
+      tokens.push({ type: 'variable', value: sql.slice(i, j) });
+      i = j;
+      continue;
+    }
+
+    // Words (keywords and unquoted identifiers)
+    if (/[A-Za-z_À-￿]/.test(ch)) {
+      let j = i + 1;
+      while (j < length && /[\w$@#À-￿]/.test(sql[j])) j++;
+      const value = sql.slice(i, j);
+      tokens.push({ type: 'word', value, upper: value.toUpperCase() });
+      i = j;
+      continue;
+    }
+
+    // Punctuation that matters structurally
+    if ('(),.;*'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+      continue;
+    }
+
+    // Anything else is an operator character
+    tokens.push({ type: 'operator', value: ch });
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Check whether a token is a given keyword
+ * @param {object} token - Token to check
+ * @param {...string} keywords - Upper-case keywords
+ * @returns {boolean}
+ */
+function isKeyword(token, ...keywords) {
+  return !!token && token.type === 'word' && keywords.includes(token.upper);
+}
+
+/**
+ * Check whether a token can be part of an object name
+ * @param {object} token - Token to check
+ * @returns {boolean}
+ */
+function isNameToken(token) {
+  if (!token) return false;
+  if (token.type === 'identifier') return true;
+  return token.type === 'word' && !NON_ALIAS_KEYWORDS.has(token.value.toLowerCase());
+}
+
+/**
+ * Read a (possibly multi-part) object name starting at a token index
+ * Handles ENT.[Name], [schema].[Name] and dbo..Name forms.
+ *
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Index of the first name token
+ * @returns {object|null} {parts, end} where end is the index after the name
+ */
+function readObjectName(tokens, start) {
+  const parts = [];
+  let i = start;
+
+  if (!isNameToken(tokens[i])) return null;
+  parts.push(tokens[i].value);
+  i++;
+
+  while (tokens[i] && tokens[i].value === '.' && tokens[i].type === 'punct') {
+    // Skip empty parts (e.g. db..table)
+    while (tokens[i + 1] && tokens[i + 1].value === '.' && tokens[i + 1].type === 'punct') i++;
+    const partToken = tokens[i + 1];
+    if (!partToken || (partToken.type !== 'identifier' && partToken.type !== 'word')) break;
+    parts.push(partToken.value);
+    i += 2;
+  }
+
+  return { parts, end: i };
+}
+
+/**
+ * Skip a balanced parenthesised group
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {number} Index after the closing parenthesis
+ */
+function skipParens(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (tokens[i].type !== 'punct') continue;
+    if (tokens[i].value === '(') depth++;
+    if (tokens[i].value === ')') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return tokens.length;
+}
+
+/**
+ * Read an optional alias (with or without AS) and table hints
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Index after the table name
+ * @returns {object} {alias, end}
+ */
+function readAlias(tokens, start) {
+  let i = start;
+  let alias = null;
+
+  // WITH (NOLOCK) style table hints
+  if (isKeyword(tokens[i], 'WITH') && tokens[i + 1]?.value === '(') {
+    i = skipParens(tokens, i + 1);
+  }
+
+  if (isKeyword(tokens[i], 'AS')) {
+    i++;
+  }
+
+  if (isNameToken(tokens[i]) && tokens[i + 1]?.value !== '.') {
+    alias = tokens[i].value;
+    i++;
+  }
+
+  if (isKeyword(tokens[i], 'WITH') && tokens[i + 1]?.value === '(') {
+    i = skipParens(tokens, i + 1);
+  }
+
+  return { alias, end: i };
+}
+
+/**
+ * Collect CTE names declared by WITH clauses
+ * @param {object[]} tokens - Token list
+ * @returns {Set<string>} Lower-cased CTE names
+ */
+function collectCteNames(tokens) {
+  const cteNames = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isKeyword(tokens[i], 'WITH')) continue;
+    // WITH ( ... ) is a table hint, not a CTE
+    if (tokens[i + 1]?.value === '(') continue;
+
+    let j = i + 1;
+    while (j < tokens.length && isNameToken(tokens[j])) {
+      const name = tokens[j].value;
+      j++;
+      // Optional column list
+      if (tokens[j]?.value === '(') j = skipParens(tokens, j);
+      if (!isKeyword(tokens[j], 'AS')) break;
+      cteNames.add(name.toLowerCase());
+      j++;
+      if (tokens[j]?.value === '(') j = skipParens(tokens, j);
+      if (tokens[j]?.value !== ',') break;
+      j++;
+    }
+  }
+
+  return cteNames;
+}
+
+/**
+ * Build a table reference from name parts
+ * @param {string[]} parts - Object name parts
+ * @param {string} access - TableAccess value
+ * @param {string} clause - Clause the reference was found in
+ * @param {string|null} alias - Table alias
+ * @returns {object} Table reference
+ */
+function buildReference(parts, access, clause, alias) {
+  const name = parts[parts.length - 1];
+  const qualifiers = parts.slice(0, -1);
+  const isEnterprise = qualifiers.some(part => part.toUpperCase() === 'ENT');
+
+  return {
+    name,
+    fullName: parts.join('.'),
+    isEnterprise,
+    alias,
+    access,
+    clause
+  };
+}
+
+/**
+ * Extract table references from a SQL statement
+ * CTE names, table variables, temp tables and table-valued functions are
+ * excluded. References in subqueries are included with the clause that
+ * introduced them. Aliases used as UPDATE/DELETE targets are resolved back
+ * to the underlying table.
+ *
+ * @param {string} sql - SQL text
+ * @returns {object[]} References: {name, fullName, isEnterprise, alias, access, clause}
+ */
+export function extractTableReferences(sql) {
+  const tokens = tokenizeSql(sql);
+  const cteNames = collectCteNames(tokens);
+  const references = [];
+  const pendingAliasWrites = [];
+
+  // Track whether each paren depth is a query scope and inside a FROM list.
+  // FROM inside a non-query group (e.g. TRIM(' ' FROM x)) is not a table source.
+  const inFromList = [false];
+  const isQueryScope = [true];
+  let depth = 0;
+
+  /**
+   * Try to read a table source at index and record it
+   * @returns {number} Index after the source
+   */
+  const readTableSource = (index, access, clause) => {
+    const token = tokens[index];
+    if (!token) return index;
+
+    // Derived tables/subqueries are scanned on their own as we walk into them
+    if (token.value === '(' || token.type === 'variable') return index;
+
+    const parsed = readObjectName(tokens, index);
+    if (!parsed) return index;
+
+    // Table-valued function call, e.g. OPENQUERY(...) or dbo.fn(...)
+    if (tokens[parsed.end]?.value === '(') return parsed.end;
+
+    const { alias, end } = readAlias(tokens, parsed.end);
+    const lastPart = parsed.parts[parsed.parts.length - 1];
+
+    if (parsed.parts.length === 1 && cteNames.has(lastPart.toLowerCase())) {
+      return end;
+    }
+
+    references.push(buildReference(parsed.parts, access, clause, alias));
+    return end;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'punct') {
+      if (token.value === '(') {
+        depth++;
+        inFromList[depth] = false;
+        isQueryScope[depth] = isKeyword(tokens[i + 1], 'SELECT', 'WITH');
+      } else if (token.value === ')') {
+        inFromList[depth] = false;
+        depth = Math.max(0, depth - 1);
+      } else if (token.value === ',' && inFromList[depth]) {
+        const end = readTableSource(i + 1, TableAccess.READ, 'FROM');
+        if (end > i + 1) i = end - 1;
+      } else if (token.value === ';') {
+        inFromList[depth] = false;
+      }
+      continue;
+    }
+
+    if (token.type !== 'word' || !isQueryScope[depth]) continue;
+    const keyword = token.upper;
+
+    if (keyword === 'FROM') {
+      // DELETE FROM target is a write, everything else reads
+      const previous = tokens[i - 1];
+      if (isKeyword(previous, 'DELETE')) {
+        continue;
+      }
+      inFromList[depth] = true;
+      const end = readTableSource(i + 1, TableAccess.READ, 'FROM');
+      if (end > i + 1) i = end - 1;
+      continue;
+    }
+
+    if (JOIN_KEYWORDS.has(keyword.toLowerCase())) {
+      inFromList[depth] = true;
+      const end = readTableSource(i + 1, TableAccess.READ, 'JOIN');
+      if (end > i + 1) i = end - 1;
+      continue;
+    }
+
+    if (keyword === 'INTO') {
+      inFromList[depth] = false;
+      const end = readTableSource(i + 1, TableAccess.WRITE, 'INTO');
+      if (end > i + 1) i = end - 1;
+      continue;
+    }
+
+    if (keyword === 'INSERT') {
+      // INSERT without INTO: INSERT [table] (...)
+      if (!isKeyword(tokens[i + 1], 'INTO')) {
+        const end = readTableSource(i + 1, TableAccess.WRITE, 'INSERT');
+        if (end > i + 1) i = end - 1;
+      }
+      continue;
+    }
+
+    if (keyword === 'UPDATE' || keyword === 'DELETE' || keyword === 'MERGE') {
+      inFromList[depth] = false;
+      let start = i + 1;
+      if (isKeyword(tokens[start], 'TOP') && tokens[start + 1]?.value === '(') {
+        start = skipParens(tokens, start + 1);
+      }
+      if ((keyword === 'DELETE' && isKeyword(tokens[start], 'FROM')) ||
+          (keyword === 'MERGE' && isKeyword(tokens[start], 'INTO'))) {
+        start++;
+      }
+      // Bail out of statements such as "ON UPDATE" or "WHEN MATCHED THEN UPDATE SET"
+      if (isKeyword(tokens[start], 'SET') || tokens[start]?.value === '(') continue;
+
+      const before = references.length;
+      const end = readTableSource(start, TableAccess.WRITE, keyword);
+      if (references.length > before) {
+        pendingAliasWrites.push(references[references.length - 1]);
+      }
+      if (end > start) i = end - 1;
+      continue;
+    }
+
+    if (keyword === 'USING') {
+      const end = readTableSource(i + 1, TableAccess.READ, 'USING');
+      if (end > i + 1) i = end - 1;
+      continue;
+    }
+
+    if (CLAUSE_KEYWORDS.has(keyword.toLowerCase())) {
+      inFromList[depth] = false;
+    }
+  }
+
+  // UPDATE o SET ... FROM Orders o: the write target is the aliased table
+  for (const write of pendingAliasWrites) {
+    if (write.fullName !== write.name) continue;
+    const aliased = references.find(ref =>
+      ref !== write && ref.alias && ref.alias.toLowerCase() === write.name.toLowerCase()
+    );
+    if (aliased) {
+      write.name = aliased.name;
+      write.fullName = aliased.fullName;
+      write.isEnterprise = aliased.isEnterprise;
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Summarize table access for a SQL statement
+ * Collapses references to one entry per table name (case-insensitive).
+ *
+ * @param {string} sql - SQL text
+ * @returns {Map<string, object>} Lower-cased name -> {name, read, write, isEnterprise}
+ */
+export function getTableAccessMap(sql) {
+  const accessMap = new Map();
+
+  for (const ref of extractTableReferences(sql)) {
+    const key = ref.name.toLowerCase();
+    if (!accessMap.has(key)) {
+      accessMap.set(key, { name: ref.name, read: false, write: false, isEnterprise: false });
+    }
+    const entry = accessMap.get(key);
+    if (ref.access === TableAccess.WRITE) entry.write = true;
+    else entry.read = true;
+    if (ref.isEnterprise) entry.isEnterprise = true;
+  }
+
+  return accessMap;
+}
+
+/**
+ * Describe access flags as a single label
+ * @param {boolean} read - Table is read
+ * @param {boolean} write - Table is written
+ * @returns {string|null} 'read', 'write', 'read/write' or null
+ */
+export function describeAccess(read, write) {
+  if (read && write) return 'read/write';
+  if (write) return TableAccess.WRITE;
+  if (read) return TableAccess.READ;
+  return null;
+}
+
+/**
+ * Describe a table access entry for a match detail
+ * @param {object} access - Entry from getTableAccessMap ({ read, write })
+ * @returns {string} 'Read/Written', 'Written' or 'Read'
+ */
+export function describeSqlAccess(access) {
+  if (access.read && access.write) return 'Read/Written';
+  return access.write ? 'Written' : 'Read';
+}
+
+// =============================================================================
+// Column Lineage
+// =============================================================================
+
+// Keywords that end a SELECT list
+const SELECT_END_KEYWORDS = new Set([
+  'FROM', 'INTO', 'WHERE', 'GROUP', 'ORDER', 'HAVING', 'OPTION',
+  'UNION', 'EXCEPT', 'INTERSECT', 'WINDOW', 'FOR'
+]);
+
+// Keywords that end a FROM clause
+const FROM_END_KEYWORDS = new Set([
+  'WHERE', 'GROUP', 'ORDER', 'HAVING', 'OPTION', 'UNION', 'EXCEPT',
+  'INTERSECT', 'WINDOW', 'FOR'
+]);
+
+// Set operators that combine SELECT branches
+const SET_OPERATORS = new Set(['UNION', 'EXCEPT', 'INTERSECT']);
+
+// Words inside expressions that are never column references
+const EXPRESSION_KEYWORDS = new Set([
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AND', 'OR', 'NOT', 'NULL', 'IS',
+  'IN', 'LIKE', 'BETWEEN', 'EXISTS', 'DISTINCT', 'ALL', 'ANY', 'SOME', 'AS',
+  'OVER', 'PARTITION', 'BY', 'ORDER', 'ASC', 'DESC', 'ROWS', 'RANGE',
+  'UNBOUNDED', 'PRECEDING', 'FOLLOWING', 'CURRENT', 'ROW', 'ESCAPE', 'AT',
+  'TIME', 'ZONE', 'TRUE', 'FALSE', 'CURRENT_TIMESTAMP', 'CURRENT_USER',
+  'SYSTEM_USER', 'SESSION_USER', 'TOP', 'PERCENT', 'WITHIN', 'GROUP'
+]);
+
+// Functions whose first argument is a date part keyword, not a column
+const DATE_PART_FUNCTIONS = new Set(['DATEADD', 'DATEDIFF', 'DATEDIFF_BIG', 'DATEPART', 'DATENAME', 'DATETRUNC']);
+
+// Functions whose first argument is a data type, not a column
+const TYPE_FIRST_FUNCTIONS = new Set(['CONVERT', 'TRY_CONVERT']);
+
+// Functions written as FN(expr AS type)
+const CAST_FUNCTIONS = new Set(['CAST', 'TRY_CAST']);
+
+/**
+ * Find the index of the parenthesis closing the one at start
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {number} Index of the closing parenthesis
+ */
+function findClosingParen(tokens, start) {
+  return skipParens(tokens, start) - 1;
+}
+
+/**
+ * Find the first depth-0 keyword from a set within a token range
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Range start (inclusive)
+ * @param {number} end - Range end (exclusive)
+ * @param {Set<string>} keywords - Upper-case keywords
+ * @returns {number} Index of the keyword, or end if not found
+ */
+function findTopLevelKeyword(tokens, start, end, keywords) {
+  let depth = 0;
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    if (token.type === 'punct' && token.value === '(') depth++;
+    else if (token.type === 'punct' && token.value === ')') depth--;
+    else if (depth === 0 && token.type === 'word' && keywords.has(token.upper)) return i;
+  }
+  return end;
+}
+
+/**
+ * Split a token range on depth-0 commas
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Range start (inclusive)
+ * @param {number} end - Range end (exclusive)
+ * @returns {number[][]} Array of [start, end] ranges
+ */
+function splitTopLevelCommas(tokens, start, end) {
+  const ranges = [];
+  let depth = 0;
+  let itemStart = start;
+
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    if (token.type !== 'punct') continue;
+    if (token.value === '(') depth++;
+    else if (token.value === ')') depth--;
+    else if (token.value === ',' && depth === 0) {
+      ranges.push([itemStart, i]);
+      itemStart = i + 1;
+    }
+  }
+  if (itemStart < end) ranges.push([itemStart, end]);
+
+  return ranges;
+}
+
+/**
+ * Render a token range back to readable SQL (for reporting)
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Range start (inclusive)
+ * @param {number} end - Range end (exclusive)
+ * @returns {string} SQL text
+ */
+function renderTokens(tokens, start, end) {
+  let text = '';
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    let value = token.value;
+    if (token.type === 'string') value = `'${value.replace(/'/g, '\'\'')}'`;
+    else if (token.type === 'identifier') value = `[${value}]`;
+
+    const previous = tokens[i - 1];
+    const noSpace = i === start ||
+      value === '.' || value === ',' || value === ')' ||
+      (value === '(' && previous && (previous.type === 'word' || previous.type === 'identifier')) ||
+      (previous && (previous.value === '.' || previous.value === '('));
+    text += (noSpace ? '' : ' ') + value;
+  }
+  return text;
+}
+
+/**
+ * Add a source column to a list, skipping duplicates
+ * @param {object[]} list - Source list
+ * @param {object} source - {table, column, ...}
+ */
+function addSource(list, source) {
+  const key = `${(source.table || '').toLowerCase()}|${source.column.toLowerCase()}`;
+  if (!list.some(s => `${(s.table || '').toLowerCase()}|${s.column.toLowerCase()}` === key)) {
+    list.push(source);
+  }
+}
+
+/**
+ * Parse the table sources of a FROM clause
+ * @param {object[]} tokens - Token list
+ * @param {number} start - First token after FROM
+ * @param {number} end - End of the FROM clause
+ * @param {object} scope - {ctes: Map, outerSources: object[]}
+ * @returns {object[]} Sources: {kind, name, alias, isEnterprise, columns?}
+ */
+function parseFromSources(tokens, start, end, scope) {
+  const sources = [];
+  let i = start;
+
+  while (i < end) {
+    const token = tokens[i];
+
+    if (token.type === 'punct' && token.value === '(') {
+      const close = findClosingParen(tokens, i);
+      let afterSource = close + 1;
+
+      if (isKeyword(tokens[i + 1], 'SELECT', 'WITH')) {
+        const derived = parseQueryExpression(tokens, i + 1, close, scope);
+        const { alias, end: aliasEnd } = readAlias(tokens, afterSource);
+        afterSource = aliasEnd;
+        // Derived column alias list: (SELECT ...) AS d (a, b)
+        if (tokens[afterSource]?.value === '(' && afterSource < end) {
+          const listClose = findClosingParen(tokens, afterSource);
+          const names = splitTopLevelCommas(tokens, afterSource + 1, listClose)
+            .map(([s]) => tokens[s].value);
+          derived.columns.forEach((column, index) => {
+            if (names[index]) column.name = names[index];
+          });
+          afterSource = listClose + 1;
+        }
+        sources.push({ kind: 'derived', name: alias, alias, isEnterprise: false, columns: derived.columns });
+      } else {
+        // Parenthesised join tree
+        sources.push(...parseFromSources(tokens, i + 1, close, scope));
+        const { end: aliasEnd } = readAlias(tokens, afterSource);
+        afterSource = aliasEnd;
+      }
+      i = afterSource;
+    } else if (token.type === 'variable') {
+      const { alias, end: aliasEnd } = readAlias(tokens, i + 1);
+      sources.push({ kind: 'variable', name: token.value, alias, isEnterprise: false });
+      i = aliasEnd;
+    } else {
+      const parsed = readObjectName(tokens, i);
+      if (!parsed) {
+        i++;
+        continue;
+      }
+
+      let afterName = parsed.end;
+      const name = parsed.parts[parsed.parts.length - 1];
+      let kind = 'table';
+
+      if (tokens[afterName]?.value === '(') {
+        kind = 'function';
+        afterName = findClosingParen(tokens, afterName) + 1;
+      }
+
+      const { alias, end: aliasEnd } = readAlias(tokens, afterName);
+      const cte = parsed.parts.length === 1 ? scope.ctes.get(name.toLowerCase()) : null;
+
+      if (cte && kind === 'table') {
+        sources.push({ kind: 'derived', name, alias, isEnterprise: false, columns: cte });
+      } else {
+        sources.push({
+          kind,
+          name,
+          alias,
+          isEnterprise: parsed.parts.slice(0, -1).some(part => part.toUpperCase() === 'ENT')
+        });
+      }
+      i = aliasEnd;
+    }
+
+    // Skip ON conditions and join keywords up to the next source
+    let depth = 0;
+    while (i < end) {
+      const current = tokens[i];
+      if (current.type === 'punct' && current.value === '(') depth++;
+      else if (current.type === 'punct' && current.value === ')') depth--;
+      else if (depth === 0 && current.type === 'punct' && current.value === ',') {
+        i++;
+        break;
+      } else if (depth === 0 && isKeyword(current, 'JOIN', 'APPLY')) {
+        i++;
+        break;
+      }
+      i++;
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Resolve a column reference against the FROM sources in scope
+ * @param {string[]} parts - Name parts (qualifier(s) + column)
+ * @param {object[]} sources - Sources of the current SELECT
+ * @param {object} scope - {ctes, outerSources}
+ * @returns {object[]} Source columns: {table, column, isEnterprise, candidates?}
+ */
+function resolveColumnReference(parts, sources, scope) {
+  const column = parts[parts.length - 1];
+  const qualifier = parts.length > 1 ? parts[parts.length - 2].toLowerCase() : null;
+  const allSources = [...sources, ...(scope.outerSources || [])];
+
+  let source = null;
+
+  if (qualifier) {
+    source = allSources.find(s => s.alias && s.alias.toLowerCase() === qualifier) ||
+      allSources.find(s => s.name && s.name.toLowerCase() === qualifier);
+    if (!source) {
+      return [{ table: parts[parts.length - 2], column, isEnterprise: false }];
+    }
+  } else {
+    const columnSources = sources.filter(s => s.kind === 'table' || s.kind === 'derived');
+    if (columnSources.length === 1) {
+      source = columnSources[0];
+    } else {
+      const columnLower = column.toLowerCase();
+      source = columnSources.find(s =>
+        s.kind === 'derived' && s.columns.some(c => c.name && c.name.toLowerCase() === columnLower)
+      );
+      if (!source) {
+        // Ambiguous: several tables and no schema to decide which one owns the column
+        return [{
+          table: null,
+          column,
+          isEnterprise: false,
+          candidates: columnSources.filter(s => s.kind === 'table').map(s => s.name)
+        }];
+      }
+    }
+  }
+
+  if (source.kind === 'table') {
+    return [{ table: source.name, column, isEnterprise: source.isEnterprise }];
+  }
+
+  if (source.kind === 'derived') {
+    const columnLower = column.toLowerCase();
+    const derivedColumn = source.columns.find(c => c.name && c.name.toLowerCase() === columnLower);
+    if (derivedColumn) return derivedColumn.sources;
+
+    // Column passes through a SELECT * in the derived table
+    const wildcard = source.columns.find(c => c.isWildcard);
+    if (wildcard) {
+      return wildcard.sources.map(s => ({ ...s, column }));
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Collect the source columns referenced by an expression
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Expression start (inclusive)
+ * @param {number} end - Expression end (exclusive)
+ * @param {object[]} sources - Sources of the current SELECT
+ * @param {object} scope - {ctes, outerSources}
+ * @returns {object[]} Source columns
+ */
+function collectExpressionSources(tokens, start, end, sources, scope) {
+  const result = [];
+  const skipped = new Set();
+  let i = start;
+
+  while (i < end) {
+    const token = tokens[i];
+
+    if (skipped.has(i)) {
+      i++;
+      continue;
+    }
+
+    // Scalar subquery / EXISTS (...) / IN (SELECT ...)
+    if (token.type === 'punct' && token.value === '(' && isKeyword(tokens[i + 1], 'SELECT', 'WITH')) {
+      const close = findClosingParen(tokens, i);
+      const inner = parseQueryExpression(tokens, i + 1, close, {
+        ctes: scope.ctes,
+        outerSources: [...sources, ...(scope.outerSources || [])]
+      });
+      for (const column of inner.columns) {
+        for (const source of column.sources) addSource(result, source);
+      }
+      i = close + 1;
+      continue;
+    }
+
+    if (token.type === 'word' && token.upper === 'COLLATE') {
+      i += 2;
+      continue;
+    }
+
+    if (token.type === 'word' && EXPRESSION_KEYWORDS.has(token.upper)) {
+      i++;
+      continue;
+    }
+
+    if (token.type === 'word' || token.type === 'identifier') {
+      const parsed = readObjectName(tokens, i);
+      if (!parsed) {
+        i++;
+        continue;
+      }
+
+      // Function call: skip the name and any type/date-part arguments
+      if (tokens[parsed.end]?.value === '(') {
+        const fnName = parsed.parts[parsed.parts.length - 1].toUpperCase();
+        const open = parsed.end;
+        const close = findClosingParen(tokens, open);
+
+        if (DATE_PART_FUNCTIONS.has(fnName)) {
+          skipped.add(open + 1);
+        } else if (TYPE_FIRST_FUNCTIONS.has(fnName)) {
+          const [firstArg] = splitTopLevelCommas(tokens, open + 1, close);
+          if (firstArg) {
+            for (let k = firstArg[0]; k < firstArg[1]; k++) skipped.add(k);
+          }
+        } else if (CAST_FUNCTIONS.has(fnName)) {
+          const asIndex = findTopLevelKeyword(tokens, open + 1, close, new Set(['AS']));
+          for (let k = asIndex; k < close; k++) skipped.add(k);
+        }
+
+        i = parsed.end;
+        continue;
+      }
+
+      // t.* inside COUNT(t.*) and similar
+      if (tokens[parsed.end]?.value === '.' && tokens[parsed.end + 1]?.value === '*') {
+        i = parsed.end + 2;
+        continue;
+      }
+
+      for (const source of resolveColumnReference(parsed.parts, sources, scope)) {
+        addSource(result, source);
+      }
+      i = parsed.end;
+      continue;
+    }
+
+    i++;
+  }
+
+  return result;
+}
+
+/**
+ * Build a lineage column from a SELECT list item
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Item start (inclusive)
+ * @param {number} end - Item end (exclusive)
+ * @param {number} position - 1-based ordinal position
+ * @param {object[]} sources - Sources of the current SELECT
+ * @param {object} scope - {ctes, outerSources}
+ * @returns {object} {name, position, expression, transform, sources, isWildcard}
+ */
+function buildSelectColumn(tokens, start, end, position, sources, scope) {
+  let exprStart = start;
+  let exprEnd = end;
+  let name = null;
+
+  // Wildcards: * or alias.*
+  if (tokens[end - 1]?.value === '*' && (end - start === 1 || tokens[end - 2]?.value === '.')) {
+    const qualifier = end - start > 1 ? tokens[end - 3]?.value.toLowerCase() : null;
+    const matching = sources.filter(s =>
+      (s.kind === 'table' || s.kind === 'derived') &&
+      (!qualifier || (s.alias && s.alias.toLowerCase() === qualifier) || (s.name && s.name.toLowerCase() === qualifier))
+    );
+    const wildcardSources = [];
+    for (const source of matching) {
+      if (source.kind === 'table') {
+        addSource(wildcardSources, { table: source.name, column: '*', isEnterprise: source.isEnterprise });
+      } else {
+        for (const column of source.columns) {
+          for (const inner of column.sources) addSource(wildcardSources, inner);
+        }
+      }
+    }
+    return {
+      name: '*',
+      position,
+      expression: renderTokens(tokens, start, end),
+      transform: 'direct',
+      isWildcard: true,
+      sources: wildcardSources
+    };
+  }
+
+  // alias = expression (T-SQL style)
+  if (end - start > 2 && isNameToken(tokens[start]) && tokens[start + 1]?.value === '=' &&
+      tokens[start + 1].type === 'operator' && tokens[start + 2]?.value !== '=') {
+    name = tokens[start].value;
+    exprStart = start + 2;
+  } else {
+    // expression AS alias / expression alias
+    const asIndex = findTopLevelKeyword(tokens, start, end, new Set(['AS']));
+    if (asIndex < end && asIndex + 1 < end) {
+      name = tokens[asIndex + 1].value;
+      exprEnd = asIndex;
+    } else if (end - start >= 2) {
+      const last = tokens[end - 1];
+      const beforeLast = tokens[end - 2];
+      const lastIsName = last.type === 'identifier' || (last.type === 'word' && !EXPRESSION_KEYWORDS.has(last.upper));
+      const beforeEndsExpression = beforeLast.type === 'identifier' || beforeLast.type === 'string' ||
+        beforeLast.type === 'number' || beforeLast.value === ')' ||
+        (beforeLast.type === 'word' && !EXPRESSION_KEYWORDS.has(beforeLast.upper));
+      if (lastIsName && beforeEndsExpression && beforeLast.value !== '.') {
+        name = last.value;
+        exprEnd = end - 1;
+      }
+    }
+  }
+
+  const parsed = readObjectName(tokens, exprStart);
+  const isDirect = !!parsed && parsed.end === exprEnd && tokens[parsed.end]?.value !== '(';
+  if (!name && isDirect) {
+    name = parsed.parts[parsed.parts.length - 1];
+  }
+
+  return {
+    name,
+    position,
+    expression: renderTokens(tokens, exprStart, exprEnd),
+    transform: isDirect ? 'direct' : 'expression',
+    isWildcard: false,
+    sources: collectExpressionSources(tokens, exprStart, exprEnd, sources, scope)
+  };
+}
+
+/**
+ * Parse a single SELECT block (no set operators)
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Block start (inclusive)
+ * @param {number} end - Block end (exclusive)
+ * @param {object} scope - {ctes, outerSources}
+ * @returns {object} {columns}
+ */
+function parseSelectBlock(tokens, start, end, scope) {
+  // Unwrap (SELECT ...) branches
+  if (tokens[start]?.value === '(' && findClosingParen(tokens, start) === end - 1) {
+    return parseQueryExpression(tokens, start + 1, end - 1, scope);
+  }
+
+  const selectIndex = findTopLevelKeyword(tokens, start, end, new Set(['SELECT']));
+  if (selectIndex >= end) return { columns: [] };
+
+  let listStart = selectIndex + 1;
+  if (isKeyword(tokens[listStart], 'ALL', 'DISTINCT')) listStart++;
+  if (isKeyword(tokens[listStart], 'TOP')) {
+    listStart = tokens[listStart + 1]?.value === '(' ? skipParens(tokens, listStart + 1) : listStart + 2;
+    if (isKeyword(tokens[listStart], 'PERCENT')) listStart++;
+    if (isKeyword(tokens[listStart], 'WITH') && isKeyword(tokens[listStart + 1], 'TIES')) listStart += 2;
+  }
+
+  const listEnd = findTopLevelKeyword(tokens, listStart, end, SELECT_END_KEYWORDS);
+  const fromIndex = findTopLevelKeyword(tokens, listEnd, end, new Set(['FROM']));
+  let sources = [];
+  if (fromIndex < end) {
+    const fromEnd = findTopLevelKeyword(tokens, fromIndex + 1, end, FROM_END_KEYWORDS);
+    sources = parseFromSources(tokens, fromIndex + 1, fromEnd, scope);
+  }
+
+  const columns = splitTopLevelCommas(tokens, listStart, listEnd)
+    .map(([itemStart, itemEnd], index) =>
+      buildSelectColumn(tokens, itemStart, itemEnd, index + 1, sources, scope)
+    );
+
+  return { columns };
+}
+
+/**
+ * Parse a query expression: optional CTEs, then SELECT blocks joined by set operators
+ * @param {object[]} tokens - Token list
+ * @param {number} start - Range start (inclusive)
+ * @param {number} end - Range end (exclusive)
+ * @param {object} scope - {ctes, outerSources}
+ * @returns {object} {columns}
+ */
+function parseQueryExpression(tokens, start, end, scope) {
+  let i = start;
+  let currentScope = scope;
+
+  if (isKeyword(tokens[i], 'WITH') && tokens[i + 1]?.value !== '(') {
+    const ctes = new Map(scope.ctes);
+    currentScope = { ...scope, ctes };
+    i++;
+
+    while (i < end && isNameToken(tokens[i])) {
+      const cteName = tokens[i].value;
+      i++;
+
+      let columnNames = null;
+      if (tokens[i]?.value === '(') {
+        const listClose = findClosingParen(tokens, i);
+        columnNames = splitTopLevelCommas(tokens, i + 1, listClose).map(([s]) => tokens[s].value);
+        i = listClose + 1;
+      }
+      if (!isKeyword(tokens[i], 'AS') || tokens[i + 1]?.value !== '(') break;
+
+      const bodyClose = findClosingParen(tokens, i + 1);
+      const body = parseQueryExpression(tokens, i + 2, bodyClose, currentScope);
+      if (columnNames) {
+        body.columns.forEach((column, index) => {
+          if (columnNames[index]) column.name = columnNames[index];
+        });
+      }
+      ctes.set(cteName.toLowerCase(), body.columns);
+      i = bodyClose + 1;
+
+      if (tokens[i]?.value !== ',') break;
+      i++;
+    }
+  }
+
+  // Split into branches on depth-0 set operators
+  const branches = [];
+  let branchStart = i;
+  let depth = 0;
+  for (let k = i; k < end; k++) {
+    const token = tokens[k];
+    if (token.type === 'punct' && token.value === '(') depth++;
+    else if (token.type === 'punct' && token.value === ')') depth--;
+    else if (depth === 0 && token.type === 'word' && SET_OPERATORS.has(token.upper)) {
+      branches.push([branchStart, k]);
+      branchStart = isKeyword(tokens[k + 1], 'ALL') ? k + 2 : k + 1;
+    }
+  }
+  branches.push([branchStart, end]);
+
+  // Merge branches by ordinal; names come from the first branch
+  let columns = null;
+  for (const [branchStartIndex, branchEnd] of branches) {
+    const branch = parseSelectBlock(tokens, branchStartIndex, branchEnd, currentScope);
+    if (!columns) {
+      columns = branch.columns;
+      continue;
+    }
+    branch.columns.forEach((column, index) => {
+      const merged = columns[index];
+      if (!merged) return;
+      for (const source of column.sources) addSource(merged.sources, source);
+      if (column.transform === 'expression') merged.transform = 'expression';
+    });
+  }
+
+  return { columns: columns || [] };
+}
+
+/**
+ * Extract column-level lineage from a Query Activity SELECT
+ * For every output column, returns the source table columns that feed it.
+ * Aliases, derived tables, CTEs, UNION branches and scalar subqueries are
+ * followed back to the underlying tables. Unqualified columns in multi-table
+ * queries cannot be resolved without schemas and are returned with
+ * `table: null` and the candidate tables.
+ *
+ * @param {string} sql - SQL text
+ * @returns {object} {columns: [{name, position, expression, transform, isWildcard, sources: [{table, column, isEnterprise, candidates?}]}]}
+ */
+export function extractColumnLineage(sql) {
+  const tokens = tokenizeSql(sql).filter(token => !(token.type === 'punct' && token.value === ';'));
+  if (tokens.length === 0) return { columns: [] };
+
+  return parseQueryExpression(tokens, 0, tokens.length, { ctes: new Map(), outerSources: [] });
+}
+
+export default {
+  TableAccess,
+  tokenizeSql,
+  extractTableReferences,
+  getTableAccessMap,
+  describeAccess,
+  describeSqlAccess,
+  extractColumnLineage
+};
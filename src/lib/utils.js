@@ -77,6 +77,21 @@ export const CACHE_CONFIG = {
   LOCK_MAX_RETRIES: 50
 };
 
+/**
+ * Check if an error means SFMC is throttling requests
+ * (HTTP 429/503, or a SOAP "Server too busy" fault in the body or message)
+ * @param {Error} error - Error object
+ * @returns {boolean} True if the request was throttled
+ */
+export function isThrottlingError(error) {
+  const status = error.response?.status;
+  if (status === 429 || status === 503) {
+    return true;
+  }
+  const body = typeof error.response?.data === 'string' ? error.response.data : '';
+  return /server (is )?too busy/i.test(body) || /server (is )?too busy/i.test(error.message || '');
+}
+
 /**
  * Check if an error is retryable
  * @param {Error} error - Error object
@@ -86,8 +101,7 @@ export function isRetryableError(error) {
   return (
     error.code === 'ETIMEDOUT' ||
     error.code === 'ECONNRESET' ||
-    (error.response && error.response.status === 503) ||
-    (error.response && error.response.status === 429)
+    isThrottlingError(error)
   );
 }
 
@@ -159,6 +173,28 @@ export function formatNumber(num) {
   return n.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 }
 
+/**
+ * Redact sensitive data from objects before logging
+ * @param {any} obj - Object to redact
+ * @param {string[]} sensitiveKeys - Array of key substrings to match (case insensitive)
+ * @returns {any} Redacted copy of the object
+ */
+export function redactSensitiveData(obj, sensitiveKeys = ['token', 'secret', 'password', 'credential', 'auth', 'key', 'authorization']) {
+  if (typeof obj !== 'object' || obj === null) return obj;
+
+  const redacted = Array.isArray(obj) ? [...obj] : { ...obj };
+
+  for (const key in redacted) {
+    if (sensitiveKeys.some(sk => key.toLowerCase().includes(sk))) {
+      redacted[key] = '[REDACTED]';
+    } else if (typeof redacted[key] === 'object') {
+      redacted[key] = redactSensitiveData(redacted[key], sensitiveKeys);
+    }
+  }
+
+  return redacted;
+}
+
 /**
  * Escape special regex characters in a string
  * @param {string} str - String to escape
@@ -221,12 +257,14 @@ export function createConcurrencyLimiter(limit) {
 export default {
   sleep,
   extractErrorMessage,
+  isThrottlingError,
   isRetryableError,
   calculateBackoffDelay,
   escapeCSV,
   formatDate,
   formatNumber,
   escapeRegex,
+  redactSensitiveData,
   getOrCreateMapEntry,
   createConcurrencyLimiter,
   RETRY_CONFIG,
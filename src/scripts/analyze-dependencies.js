@@ -29,6 +29,7 @@ import { testConnection } from '../lib/sfmc-auth.js';
 import { getFolderByPath, getFolderByName, getSubfolders } from '../lib/folder-service.js';
 import { getDataExtensionsInFolder, getFullDataExtensionDetails } from '../lib/data-extension-service.js';
 import { analyzeDependencies, formatAnalysisReport } from '../lib/dependency-analyzer.js';
+import { profileOption } from '../lib/cli-helpers.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -64,6 +65,12 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('incremental', {
+    describe: 'Refresh cached SFMC data with only the objects modified since it was loaded',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
   .help()
   .alias('help', 'h')
   .parseSync();
@@ -166,6 +173,8 @@ async function runAnalysis() {
     console.log(chalk.cyan.bold('  Running Smart Dependency Analysis...'));
     if (argv.refreshCache) {
       console.log(chalk.yellow('  (--refresh-cache: Forcing fresh data load from SFMC)'));
+    } else if (argv.incremental) {
+      console.log(chalk.gray('  (--incremental: Refreshing cached data with changes since it was loaded)'));
     } else {
       console.log(chalk.gray('  (Using cached data if available, or loading from SFMC)'));
     }
@@ -185,6 +194,7 @@ async function runAnalysis() {
       staleDays: argv.staleDays,
       logger: argv.verbose ? logger : null,
       forceRefresh: argv.refreshCache,
+      incremental: argv.incremental,
       onProgress: (stage, current, total, message) => {
         // Handle sub-stages from bulk loader
         const mainStage = stage.split('-')[0];
@@ -216,7 +226,8 @@ async function runAnalysis() {
     if (report.dataLoadSummary) {
       const dls = report.dataLoadSummary;
       console.log(chalk.gray(`  Loaded: ${dls.automations} automations, ${dls.filterActivities} filters, ` +
-        `${dls.queryActivities} queries, ${dls.importActivities} imports, ${dls.journeys} journeys`));
+        `${dls.queryActivities} queries, ${dls.importActivities} imports, ${dls.journeys} journeys, ` +
+        `${dls.contentAssets} content assets with DE references`));
     }
 
     // Display the formatted report
@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Enterprise Analysis Script
+ *
+ * Runs the analyze-bu analysis for many Business Units in one go, a few at
+ * a time, and writes one consolidated report: every DE with a Business Unit
+ * column (CSV and/or JSON) plus per-BU summary totals. Business Units are
+ * discovered with a SOAP BusinessUnit retrieve unless a list is given.
+ *
+ * Usage:
+ *   node src/scripts/analyze-enterprise.js [options]
+ *   node src/scripts/analyze-enterprise.js --business-units 123456,234567 --concurrency 2
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig, isBusinessUnitAllowed } from '../config/index.js';
+import { createLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { retrieveBusinessUnits } from '../lib/sfmc-soap.js';
+import { releaseBulkDataMemory } from '../lib/bulk-data-loader.js';
+import { analyzeBusinessUnit, summarizeResults, generateCsv } from '../lib/bu-analyzer.js';
+import { escapeCSV, createConcurrencyLimiter } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+import { getRateLimiterStats, formatRateLimiterStats } from '../lib/rate-limiter.js';
+
+const OutputFormat = {
+  CSV: 'csv',
+  JSON: 'json',
+  BOTH: 'both'
+};
+
+const SUMMARY_FIELDS = ['total', 'keep', 'recommendDelete', 'safeToDelete', 'review', 'noRetention'];
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('business-units', {
+    alias: 'bu',
+    describe: 'Comma-separated MIDs to analyze (default: discover all BUs)',
+    type: 'string'
+  })
+  .option('exclude', {
+    describe: 'Comma-separated MIDs to skip',
+    type: 'string'
+  })
+  .option('include-inactive', {
+    describe: 'Also analyze discovered BUs that are inactive',
+    type: 'boolean',
+    default: false
+  })
+  .option('concurrency', {
+    alias: 'c',
+    describe: 'Number of BUs to analyze in parallel',
+    type: 'number',
+    default: config.concurrency.businessUnitConcurrency
+  })
+  .option('stale-years', {
+    describe: 'Years of inactivity to consider stale',
+    type: 'number',
+    default: 3
+  })
+  .option('output', {
+    alias: 'o',
+    describe: 'Output file path without extension (default: audit/enterprise-analysis-<timestamp>)',
+    type: 'string'
+  })
+  .option('format', {
+    describe: 'Output format',
+    choices: Object.values(OutputFormat),
+    default: OutputFormat.BOTH
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh of cached SFMC data',
+    type: 'boolean',
+    default: false
+  })
+  .option('incremental', {
+    describe: 'Refresh cached SFMC data with only the objects modified since it was loaded',
+    type: 'boolean',
+    default: false
+  })
+  .option('verbose', {
+    alias: 'v',
+    describe: 'Show detailed progress',
+    type: 'boolean',
+    default: false
+  })
+  .option('limit', {
+    describe: 'Limit number of DEs analyzed per BU (for testing)',
+    type: 'number'
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (argv.concurrency < 1) {
+      throw new Error('--concurrency must be at least 1');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0', 'Discover and analyze every Business Unit')
+  .example('$0 --bu 123456,234567 -o reports/enterprise', 'Analyze two BUs')
+  .example('$0 --exclude 100000 --concurrency 5 --format csv', 'Skip a BU, 5 at a time, CSV only')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('analyze-enterprise');
+
+/**
+ * Split a comma-separated MID list
+ * @param {string} value - Comma-separated MIDs
+ * @returns {string[]} MIDs
+ */
+function parseMidList(value) {
+  return value ? value.split(',').map(mid => mid.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Discover the Business Units to analyze
+ * @returns {Promise<object[]>} [{ id, name, parentId }]
+ */
+async function discoverBusinessUnits() {
+  const businessUnits = await retrieveBusinessUnits(logger);
+
+  return businessUnits
+    .filter(bu => argv.includeInactive || bu.IsActive !== 'false')
+    .map(bu => ({
+      id: String(bu.ID),
+      name: bu.Name,
+      parentId: bu.ParentID && bu.ParentID !== '0' ? String(bu.ParentID) : null
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Analyze one Business Unit, never throwing
+ * @param {object} bu - { id, name }
+ * @returns {Promise<object>} { bu, results, summary, metadata, error, durationSeconds }
+ */
+async function analyzeOne(bu) {
+  const startTime = Date.now();
+
+  try {
+    const connResult = await testConnection(logger, bu.id);
+    if (!connResult.success) {
+      throw new Error(`Connection failed: ${connResult.error}`);
+    }
+
+    const analysis = await analyzeBusinessUnit({
+      accountId: bu.id,
+      staleYears: argv.staleYears,
+      refreshCache: argv.refreshCache,
+      incremental: argv.incremental,
+      limit: argv.limit,
+      logger: argv.verbose ? logger : null
+    });
+
+    for (const result of analysis.results) {
+      result.businessUnitId = bu.id;
+      result.businessUnitName = bu.name;
+    }
+
+    return { bu, ...analysis, error: null, durationSeconds: (Date.now() - startTime) / 1000 };
+  } catch (error) {
+    logger.error(`Analysis of BU ${bu.id} failed: ${error.message}`);
+    return { bu, results: [], summary: null, metadata: null, error: error.message, durationSeconds: (Date.now() - startTime) / 1000 };
+  } finally {
+    // Keep memory flat across 40+ BUs; the file cache still speeds up re-runs
+    releaseBulkDataMemory(bu.id);
+  }
+}
+
+/**
+ * Sum per-BU summaries
+ * @param {object[]} buResults - Results of analyzeOne
+ * @returns {object} Totals (same fields as summarizeResults)
+ */
+function sumSummaries(buResults) {
+  const totals = Object.fromEntries(SUMMARY_FIELDS.map(field => [field, 0]));
+
+  for (const { summary } of buResults) {
+    if (!summary) continue;
+    for (const field of SUMMARY_FIELDS) {
+      totals[field] += summary[field];
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Generate the per-BU summary CSV (one row per BU plus a total row)
+ * @param {object[]} buResults - Results of analyzeOne
+ * @param {object} totals - Totals from sumSummaries
+ * @returns {string} CSV text
+ */
+function generateSummaryCsv(buResults, totals) {
+  const headers = [
+    'Business Unit ID',
+    'Business Unit Name',
+    'Status',
+    'Total DEs',
+    'KEEP',
+    'RECOMMEND_DELETE',
+    'SAFE_TO_DELETE',
+    'REVIEW',
+    'No Retention',
+    'Duration (s)',
+    'Error'
+  ];
+
+  const rows = [headers.map(escapeCSV).join(',')];
+
+  for (const { bu, summary, error, durationSeconds } of buResults) {
+    rows.push([
+      bu.id,
+      bu.name,
+      error ? 'FAILED' : 'OK',
+      ...SUMMARY_FIELDS.map(field => summary ? summary[field] : ''),
+      durationSeconds.toFixed(1),
+      error || ''
+    ].map(escapeCSV).join(','));
+  }
+
+  rows.push(['TOTAL', '', '', ...SUMMARY_FIELDS.map(field => totals[field]), '', ''].map(escapeCSV).join(','));
+
+  return rows.join('\n');
+}
+
+/**
+ * Print the per-BU summary table
+ * @param {object[]} buResults - Results of analyzeOne
+ * @param {object} totals - Totals from sumSummaries
+ */
+function printSummary(buResults, totals) {
+  const cols = (name, values) => `  ${name.substring(0, 28).padEnd(28)} ${values.map(v => String(v).padStart(7)).join(' ')}`;
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  ENTERPRISE SUMMARY'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(chalk.bold(cols('Business Unit', ['DEs', 'KEEP', 'REC', 'SAFE', 'REVIEW', 'NO RET'])));
+
+  for (const { bu, summary, error } of buResults) {
+    if (error) {
+      console.log(chalk.red(`  ${`${bu.name} (${bu.id})`.substring(0, 28).padEnd(28)} FAILED: ${error}`.substring(0, 100)));
+    } else {
+      console.log(cols(`${bu.name} (${bu.id})`, SUMMARY_FIELDS.map(field => summary[field])));
+    }
+  }
+
+  console.log(chalk.gray(`  ${'-'.repeat(config.ui.consoleWidth - 2)}`));
+  console.log(chalk.bold(cols('TOTAL', SUMMARY_FIELDS.map(field => totals[field]))));
+}
+
+/**
+ * Main analysis function
+ */
+async function runEnterpriseAnalysis() {
+  const startTime = Date.now();
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Enterprise Analysis'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(`  Business Units: ${chalk.yellow(argv.businessUnits || 'discover')}`);
+  console.log(`  Concurrency: ${chalk.yellow(argv.concurrency)}`);
+  console.log(`  Stale Threshold: ${chalk.yellow(argv.staleYears + ' years')}`);
+  console.log('');
+
+  // Validate configuration
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  let spinner = ora('Testing SFMC connection...').start();
+  const connResult = await testConnection(logger);
+  if (!connResult.success) {
+    spinner.fail(`Connection failed: ${connResult.error}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+  // Business Units to analyze
+  let businessUnits;
+  const requested = parseMidList(argv.businessUnits);
+
+  if (requested.length > 0) {
+    businessUnits = requested.map(id => ({ id, name: `BU ${id}`, parentId: null }));
+
+    // Use real names where the package can see them
+    try {
+      const known = new Map((await discoverBusinessUnits()).map(bu => [bu.id, bu]));
+      businessUnits = businessUnits.map(bu => known.get(bu.id) || bu);
+    } catch (error) {
+      logger.debug(`Could not look up BU names: ${error.message}`);
+    }
+  } else {
+    spinner = ora('Discovering Business Units...').start();
+    try {
+      businessUnits = await discoverBusinessUnits();
+      spinner.succeed(`Discovered ${businessUnits.length} Business Unit(s)`);
+    } catch (error) {
+      spinner.fail(`Failed to discover Business Units: ${error.message}`);
+      console.log(chalk.yellow('\nDiscovery needs an enterprise-level installed package. Pass --business-units instead.'));
+      process.exit(1);
+    }
+  }
+
+  const excluded = new Set(parseMidList(argv.exclude));
+  const notAllowed = businessUnits.filter(bu => !isBusinessUnitAllowed(bu.id));
+  businessUnits = businessUnits.filter(bu => !excluded.has(bu.id) && isBusinessUnitAllowed(bu.id));
+
+  if (notAllowed.length > 0) {
+    console.log(chalk.gray(`  Skipping ${notAllowed.length} BU(s) not in ALLOWED_BUSINESS_UNITS`));
+  }
+
+  if (businessUnits.length === 0) {
+    console.log(chalk.yellow('\nNo Business Units to analyze.'));
+    process.exit(0);
+  }
+
+  // Analyze with bounded parallelism
+  console.log('');
+  console.log(chalk.cyan(`Analyzing ${businessUnits.length} Business Unit(s), ${argv.concurrency} at a time...`));
+  console.log('');
+
+  const limit = createConcurrencyLimiter(argv.concurrency);
+  const running = new Set();
+  let completed = 0;
+
+  spinner = ora().start();
+  const updateSpinner = () => {
+    const api = getRateLimiterStats();
+    spinner.text = `${completed}/${businessUnits.length} BUs done${running.size > 0 ? ` - running: ${[...running].join(', ')}` : ''}` +
+      chalk.gray(` (API ${api.throughput} req/s, ${api.inFlight} in flight${api.pausedForMs > 0 ? ', throttled' : ''})`);
+  };
+  updateSpinner();
+  const spinnerTimer = setInterval(updateSpinner, 1000);
+
+  const buResults = await Promise.all(businessUnits.map(bu => limit(async () => {
+    running.add(bu.id);
+    updateSpinner();
+
+    const result = await analyzeOne(bu);
+
+    running.delete(bu.id);
+    completed++;
+
+    spinner.clear();
+    if (result.error) {
+      console.log(chalk.red(`  ✗ ${bu.name} (${bu.id}): ${result.error}`));
+    } else {
+      console.log(chalk.green(`  ✓ ${bu.name} (${bu.id}): ${result.summary.total} DEs in ${result.durationSeconds.toFixed(1)}s`));
+    }
+    updateSpinner();
+    spinner.render();
+
+    return result;
+  })));
+
+  clearInterval(spinnerTimer);
+  spinner.stop();
+
+  const failed = buResults.filter(r => r.error);
+  const allResults = buResults.flatMap(r => r.results);
+  const totals = sumSummaries(buResults);
+
+  printSummary(buResults, totals);
+
+  // Write consolidated report
+  const basePath = path.resolve(argv.output
+    ? argv.output.replace(/\.(csv|json)$/i, '')
+    : path.join(config.paths.audit, `enterprise-analysis-${dayjs().format('YYYYMMDD-HHmmss')}`));
+
+  if (!fs.existsSync(path.dirname(basePath))) {
+    fs.mkdirSync(path.dirname(basePath), { recursive: true });
+  }
+
+  console.log('');
+
+  if (argv.format === OutputFormat.CSV || argv.format === OutputFormat.BOTH) {
+    fs.writeFileSync(`${basePath}.csv`, generateCsv(allResults, { includeBusinessUnit: true }));
+    fs.writeFileSync(`${basePath}-summary.csv`, generateSummaryCsv(buResults, totals));
+    console.log(chalk.green(`CSV report saved to: ${basePath}.csv`));
+    console.log(chalk.green(`Per-BU summary saved to: ${basePath}-summary.csv`));
+  }
+
+  if (argv.format === OutputFormat.JSON || argv.format === OutputFormat.BOTH) {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      staleYears: argv.staleYears,
+      totals,
+      businessUnits: buResults.map(({ bu, summary, metadata, error, durationSeconds }) => ({
+        id: bu.id,
+        name: bu.name,
+        parentId: bu.parentId,
+        status: error ? 'FAILED' : 'OK',
+        error,
+        durationSeconds,
+        summary,
+        metadata
+      })),
+      dataExtensions: allResults
+    };
+
+    fs.writeFileSync(`${basePath}.json`, JSON.stringify(report, null, 2));
+    console.log(chalk.green(`JSON report saved to: ${basePath}.json`));
+  }
+
+  if (failed.length > 0) {
+    console.log('');
+    console.log(chalk.yellow(`${failed.length} Business Unit(s) failed - re-run them with --bu ${failed.map(r => r.bu.id).join(',')}`));
+  }
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log('');
+  console.log(chalk.gray(`Completed in ${elapsed}s (API: ${formatRateLimiterStats()})`));
+
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+// Run
+runEnterpriseAnalysis().catch(error => {
+  console.error(chalk.red(`\nFatal error: ${error.message}`));
+  if (argv.verbose) {
+    console.error(error.stack);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Downstream Impact Analysis Script
+ *
+ * Walks the read/write graph from one or more Data Extensions:
+ * queries that read them, DEs those queries write, and everything
+ * depending on those DEs in turn, to any depth. Prints the full
+ * downstream blast radius with the path to each affected asset.
+ *
+ * Usage:
+ *   node src/scripts/analyze-impact.js --folder "Archive/Old" [options]
+ *   node src/scripts/analyze-impact.js --de "Orders,Customers" [options]
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { findFolder, getSubfolders } from '../lib/folder-service.js';
+import { getDataExtensionsInFolder } from '../lib/data-extension-service.js';
+import { analyzeImpact, formatImpactReport, exportImpactToCsv } from '../lib/impact-analyzer.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 (--folder <path> | --de <names>) [options]')
+  .option('business-unit', {
+    alias: 'bu',
+    describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+    type: 'string'
+  })
+  .option('folder', {
+    alias: 'f',
+    describe: 'Folder path or name containing the starting DEs (includes subfolders)',
+    type: 'string'
+  })
+  .option('de', {
+    describe: 'Comma-separated DE names or CustomerKeys to start from',
+    type: 'string'
+  })
+  .option('depth', {
+    describe: 'Maximum hops to follow (0 = unlimited)',
+    type: 'number',
+    default: 0
+  })
+  .option('output', {
+    alias: 'o',
+    describe: 'Output file path (.json or .csv; default: audit/impact-<timestamp>.json)',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh of cached SFMC data',
+    type: 'boolean',
+    default: false
+  })
+  .option('incremental', {
+    describe: 'Refresh cached SFMC data with only the objects modified since it was loaded',
+    type: 'boolean',
+    default: false
+  })
+  .option('verbose', {
+    alias: 'v',
+    describe: 'Show detailed progress',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (!argv.folder && !argv.de) {
+      throw new Error('Specify --folder or --de');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0 --de "Orders_Staging"', 'Everything downstream of Orders_Staging')
+  .example('$0 --folder "Archive/2023" --depth 3', 'Blast radius of a folder, up to 3 hops')
+  .example('$0 --de "Orders" --output impact.csv', 'Export affected assets to CSV')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('analyze-impact');
+
+/**
+ * Collect the starting Data Extensions from --folder and --de
+ * @param {string} accountId - Business Unit account ID (optional)
+ * @returns {Promise<object[]>} Starting DEs ({ customerKey, objectId, name })
+ */
+async function collectStartDataExtensions(accountId) {
+  const startDes = [];
+
+  if (argv.folder) {
+    const targetFolder = await findFolder(argv.folder, logger, accountId);
+    if (!targetFolder) {
+      throw new Error(`Folder not found: ${argv.folder}`);
+    }
+
+    const subfolders = await getSubfolders(targetFolder.id, true, logger);
+    for (const folder of [targetFolder, ...subfolders]) {
+      const des = await getDataExtensionsInFolder(folder.id, logger, accountId);
+      for (const de of des) {
+        startDes.push({ customerKey: de.customerKey, objectId: de.objectId, name: de.name });
+      }
+    }
+  }
+
+  if (argv.de) {
+    // Name or key - the analyzer resolves either against bulk data
+    for (const value of argv.de.split(',').map(v => v.trim()).filter(Boolean)) {
+      startDes.push({ customerKey: value, objectId: null, name: value });
+    }
+  }
+
+  return startDes;
+}
+
+/**
+ * Main impact analysis function
+ */
+async function runImpactAnalysis() {
+  const startTime = Date.now();
+  const accountId = argv.businessUnit || null;
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Downstream Impact Analysis'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(`  Business Unit: ${chalk.yellow(accountId || config.sfmc.accountId)}`);
+  if (argv.folder) console.log(`  Folder: ${chalk.yellow(argv.folder)}`);
+  if (argv.de) console.log(`  Data Extensions: ${chalk.yellow(argv.de)}`);
+  console.log(`  Depth: ${chalk.yellow(argv.depth > 0 ? argv.depth : 'unlimited')}`);
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  let spinner = ora('Testing SFMC connection...').start();
+  const connResult = await testConnection(logger, accountId);
+  if (!connResult.success) {
+    spinner.fail(`Connection failed: ${connResult.error}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+  try {
+    spinner = ora('Collecting starting Data Extensions...').start();
+    const startDes = await collectStartDataExtensions(accountId);
+    if (startDes.length === 0) {
+      spinner.warn('No Data Extensions to analyze');
+      process.exit(0);
+    }
+    spinner.succeed(`Starting from ${startDes.length} Data Extension(s)`);
+
+    // Load metadata and walk the graph
+    spinner = ora('Loading SFMC metadata...').start();
+    const report = await analyzeImpact(startDes, {
+      maxDepth: argv.depth,
+      logger: argv.verbose ? logger : null,
+      forceRefresh: argv.refreshCache,
+      incremental: argv.incremental,
+      accountId,
+      onProgress: (stage, current, total, message) => {
+        if (stage.startsWith('loading-')) {
+          spinner.text = `Loading ${stage.replace('loading-', '')}: ${current}/${total}`;
+        } else if (stage === 'walking') {
+          spinner.text = `Walking dependency graph: ${message}`;
+        }
+      }
+    });
+    spinner.succeed(`Walked dependency graph: ${report.summary.totalAffected} affected asset(s)`);
+
+    if (report.notFound.length > 0) {
+      console.log(chalk.yellow(`\n⚠ Not found in bulk data (matched by name only): ${report.notFound.join(', ')}`));
+    }
+
+    console.log(formatImpactReport(report));
+
+    // Write report
+    const timestamp = dayjs().format('YYYYMMDD-HHmmss');
+    const outputPath = argv.output
+      ? path.resolve(argv.output)
+      : path.join(config.paths.audit, `impact-${timestamp}.json`);
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    if (outputPath.toLowerCase().endsWith('.csv')) {
+      fs.writeFileSync(outputPath, exportImpactToCsv(report));
+    } else {
+      fs.writeFileSync(outputPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        options: {
+          businessUnit: accountId || config.sfmc.accountId,
+          folder: argv.folder || null,
+          de: argv.de || null,
+          depth: argv.depth
+        },
+        ...report
+      }, null, 2));
+    }
+
+    console.log('');
+    console.log(chalk.green(`✓ Saved: ${outputPath}`));
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+  } catch (error) {
+    if (spinner) spinner.fail('Impact analysis failed');
+    logger.error(`Impact analysis failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Run impact analysis
+runImpactAnalysis();
@@ -0,0 +1,625 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Plan Apply Script
+ *
+ * Executes a plan written by delete-data-extensions, delete-folders or
+ * delete-automations with --plan. Every object in the plan is re-read
+ * from SFMC first; if anything has changed since the plan was made
+ * (schema, row count, dependencies, folder contents, automation status)
+ * nothing is deleted and the plan must be re-created.
+ *
+ * Usage:
+ *   node src/scripts/apply-plan.js <plan-file> [options]
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger, createAuditLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { getFolderById, isFolderEmpty, deleteFolder, clearFolderCache } from '../lib/folder-service.js';
+import {
+  getDataExtensionsInFolder,
+  getDataExtensionDetails,
+  getFullDataExtensionDetails,
+  deleteDataExtension,
+  backupDataExtensionSchema,
+  generateUndoScript
+} from '../lib/data-extension-service.js';
+import { backupDataExtensionRows } from '../lib/row-backup-service.js';
+import { analyzeDependencies } from '../lib/dependency-analyzer.js';
+import {
+  getAutomationWithMetadata,
+  deleteAutomation,
+  deleteFilterActivity,
+  createAutomationBackup,
+  sendWebhook
+} from '../lib/sfmc-rest.js';
+import { deleteQueryActivity } from '../lib/sfmc-soap.js';
+import { sleep } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+import {
+  PlanOperation,
+  readPlan,
+  detectDrift,
+  planItemKey,
+  dependencyItemType,
+  dataExtensionPlanItem,
+  folderPlanItem,
+  automationPlanItem,
+  dependencyPlanItem
+} from '../lib/plan-service.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 <plan-file> [options]')
+  .demandCommand(1, 'Specify the plan file to apply')
+  .option('check-only', {
+    describe: 'Only verify the plan against SFMC (no deletions)',
+    type: 'boolean',
+    default: false
+  })
+  .option('non-interactive', {
+    describe: 'Non-interactive mode for scheduled execution',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm-phrase', {
+    describe: 'Confirmation phrase for non-interactive mode',
+    type: 'string'
+  })
+  .option('webhook-url', {
+    describe: 'URL to POST results to when complete',
+    type: 'string'
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (argv.nonInteractive && !argv.checkOnly && !argv.confirmPhrase) {
+      throw new Error('--non-interactive requires --confirm-phrase');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0 plans/archive-2023.json', 'Verify and apply a reviewed plan')
+  .example('$0 plans/archive-2023.json --check-only', 'Only check the plan for drift')
+  .parseSync();
+
+const planFile = String(argv._[0]);
+
+// Initialize logger
+const logger = createLogger('apply-plan');
+const auditLogger = createAuditLogger('apply-plan');
+
+/**
+ * Print the plan being applied
+ * @param {object} plan - Plan
+ */
+function printPlan(plan) {
+  const width = config.ui.consoleWidth;
+  const line = '─'.repeat(width);
+  const row = (text) => console.log(chalk.yellow('│') + text.substring(0, width).padEnd(width) + chalk.yellow('│'));
+
+  console.log('');
+  console.log(chalk.yellow(`┌${line}┐`));
+  row(' PLAN');
+  console.log(chalk.yellow(`├${line}┤`));
+  row(` Operation: ${plan.operation}`);
+  row(` Business Unit: ${plan.businessUnit}`);
+  if (plan.profile) row(` Profile: ${plan.profile}`);
+  row(` Target: ${plan.target}`);
+  row(` Plan Hash: ${plan.planHash}`);
+  row(` Items: ${plan.items.length}`);
+  for (const [type, count] of Object.entries(plan.summary.byType)) {
+    row(`   ${type}: ${count}`);
+  }
+  if (plan.options.backupData) {
+    row(` Row Backups: ${plan.options.backupDataFormat} (max ${plan.options.backupDataMaxRows} rows per DE)`);
+  }
+  console.log(chalk.yellow(`├${line}┤`));
+  row(' Execution order:');
+
+  plan.items.slice(0, config.ui.maxItemsToDisplay).forEach((item, i) => {
+    row(`   ${i + 1}. [${item.type}] ${item.name} (dependencies: ${item.dependencyStatus})`);
+  });
+
+  if (plan.items.length > config.ui.maxItemsToDisplay) {
+    row(`   ... and ${plan.items.length - config.ui.maxItemsToDisplay} more`);
+  }
+
+  console.log(chalk.yellow(`└${line}┘`));
+}
+
+/**
+ * Print drifted plan items
+ * @param {object[]} drift - Result of detectDrift()
+ */
+function printDrift(drift) {
+  console.log('');
+  console.log(chalk.red.bold(`⚠️  ${drift.length} PLAN ITEM(S) HAVE DRIFTED SINCE THE PLAN WAS MADE:`));
+
+  for (const entry of drift.slice(0, config.ui.maxItemsToDisplay)) {
+    console.log(chalk.red(`   - [${entry.type}] ${entry.name}: ${entry.reason}`));
+    for (const change of entry.changes) {
+      console.log(chalk.gray(`       ${change}`));
+    }
+  }
+
+  if (drift.length > config.ui.maxItemsToDisplay) {
+    console.log(chalk.red(`   ... and ${drift.length - config.ui.maxItemsToDisplay} more`));
+  }
+
+  console.log(chalk.yellow('\nNothing was deleted. Re-run the command with --plan and review the new plan.'));
+}
+
+/**
+ * Re-read every planned DE and re-run dependency analysis
+ * @param {object} plan - Plan
+ * @param {Map} current - planItemKey -> current plan item (filled in)
+ * @param {Map} details - planItemKey -> live object (filled in)
+ * @param {object} spinner - Ora spinner
+ */
+async function captureDataExtensionPlan(plan, current, details, spinner) {
+  const deItems = plan.items.filter(item => item.type === 'DataExtension');
+  const dependencyItems = plan.items.filter(item => item.type !== 'DataExtension');
+  const liveDes = [];
+
+  for (let i = 0; i < deItems.length; i++) {
+    spinner.text = `Re-reading Data Extensions: ${i + 1}/${deItems.length}`;
+    const de = await getFullDataExtensionDetails(deItems[i].id, true, logger);
+    if (de) {
+      liveDes.push(de);
+      details.set(planItemKey(deItems[i]), de);
+    }
+  }
+
+  if (plan.options.skipDependencyCheck) {
+    for (const de of liveDes) {
+      current.set(`DataExtension:${de.customerKey}`, dataExtensionPlanItem(de, null));
+    }
+    return;
+  }
+
+  // Dependency records list every analyzed DE they touch, including DEs
+  // that were analyzed but left out of the plan - analyze those too
+  const analyzed = new Map(liveDes.map(de => [de.customerKey, de]));
+  for (const item of dependencyItems) {
+    for (const key of item.state.affectedDes || []) {
+      if (analyzed.has(key)) continue;
+      const de = await getDataExtensionDetails(key, logger);
+      if (de) analyzed.set(key, de);
+    }
+  }
+
+  const report = await analyzeDependencies(
+    Array.from(analyzed.values()).map(de => ({ customerKey: de.customerKey, objectId: de.objectId, name: de.name })),
+    {
+      logger,
+      forceRefresh: true,
+      onProgress: (stage, currentStep, total, message) => {
+        spinner.text = `Re-running dependency analysis: ${message}`;
+      }
+    }
+  );
+
+  for (const de of liveDes) {
+    const deps = (report.deMapping?.get(de.customerKey) || []).map(ref =>
+      report.all.find(d => d.type === ref.type && d.id === ref.id) || ref
+    );
+    current.set(`DataExtension:${de.customerKey}`, dataExtensionPlanItem(de, deps));
+  }
+
+  for (const item of dependencyItems) {
+    const dep = report.all.find(d => dependencyItemType(d.type) === item.type && d.id === item.id);
+    if (dep) {
+      current.set(planItemKey(item), dependencyPlanItem(dep));
+      details.set(planItemKey(item), dep);
+    }
+  }
+}
+
+/**
+ * Re-read every planned folder and DE
+ * @param {object} plan - Plan
+ * @param {Map} current - planItemKey -> current plan item (filled in)
+ * @param {Map} details - planItemKey -> live object (filled in)
+ * @param {object} spinner - Ora spinner
+ */
+async function captureFolderPlan(plan, current, details, spinner) {
+  // Older plans have no content type and were always Data Extension folders
+  const { contentType } = plan.options;
+  await clearFolderCache(logger, null, contentType);
+
+  for (let i = 0; i < plan.items.length; i++) {
+    const item = plan.items[i];
+    spinner.text = `Re-reading plan items: ${i + 1}/${plan.items.length}`;
+
+    if (item.type === 'Folder') {
+      const folder = await getFolderById(item.id, logger, null, contentType);
+      if (!folder) continue;
+
+      const contents = await isFolderEmpty(folder.id, getDataExtensionsInFolder, logger, null, contentType);
+      current.set(planItemKey(item), folderPlanItem(folder, contents));
+      details.set(planItemKey(item), folder);
+    } else if (item.type === 'DataExtension') {
+      const de = await getFullDataExtensionDetails(item.id, true, logger);
+      if (!de) continue;
+
+      current.set(planItemKey(item), dataExtensionPlanItem(de, null));
+      details.set(planItemKey(item), de);
+    }
+  }
+}
+
+/**
+ * Re-read every planned automation
+ * @param {object} plan - Plan
+ * @param {Map} current - planItemKey -> current plan item (filled in)
+ * @param {Map} details - planItemKey -> live object (filled in)
+ * @param {object} spinner - Ora spinner
+ */
+async function captureAutomationPlan(plan, current, details, spinner) {
+  for (let i = 0; i < plan.items.length; i++) {
+    const item = plan.items[i];
+    spinner.text = `Re-reading automations: ${i + 1}/${plan.items.length}`;
+
+    try {
+      const automation = await getAutomationWithMetadata(item.id, logger);
+      current.set(planItemKey(item), automationPlanItem(automation));
+      details.set(planItemKey(item), automation);
+    } catch (error) {
+      logger.debug(`Automation ${item.id} could not be read: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Back up what the plan asked to be backed up, and write the DE undo script.
+ * Throws if a row backup fails so that nothing is deleted.
+ * @param {object} plan - Plan
+ * @param {Map} details - planItemKey -> live object
+ * @param {object} spinner - Ora spinner
+ * @returns {Promise<object>} { backupDir, undoPath, rowsBackedUp }
+ */
+async function writeBackups(plan, details, spinner) {
+  const timestamp = dayjs().format('YYYYMMDD-HHmmss');
+  const des = plan.items.filter(item => item.type === 'DataExtension').map(item => details.get(planItemKey(item)));
+  const automations = plan.items.filter(item => item.type === 'Automation').map(item => details.get(planItemKey(item)));
+  let backupDir = null;
+  let undoPath = null;
+  let rowsBackedUp = 0;
+
+  if (des.length > 0 && (plan.options.backupSchemas || plan.options.backupData)) {
+    backupDir = path.join(config.paths.backup, timestamp);
+  }
+
+  if (des.length > 0 && plan.options.backupSchemas) {
+    spinner.start('Backing up DE schemas...');
+
+    for (let i = 0; i < des.length; i++) {
+      spinner.text = `Backing up schemas: ${i + 1}/${des.length}`;
+      try {
+        await backupDataExtensionSchema(des[i].customerKey, backupDir, logger);
+      } catch (error) {
+        logger.warn(`Failed to backup ${des[i].name}: ${error.message}`);
+      }
+    }
+
+    spinner.succeed(`Schemas backed up to ${backupDir}`);
+  }
+
+  if (des.length > 0 && plan.options.backupData) {
+    for (let i = 0; i < des.length; i++) {
+      const de = des[i];
+      spinner.start(`Backing up rows: ${i + 1}/${des.length} - ${de.name}`);
+
+      const result = await backupDataExtensionRows(de, backupDir, {
+        format: plan.options.backupDataFormat,
+        maxRows: plan.options.backupDataMaxRows,
+        logger
+      });
+
+      if (!result.success) {
+        spinner.fail(`Row backup of ${de.name} failed`);
+        throw new Error(`Row backup of ${de.name} failed (${result.error}); nothing was deleted`);
+      }
+
+      rowsBackedUp += result.rowCount;
+    }
+
+    spinner.succeed(`Backed up ${rowsBackedUp} row(s) of ${des.length} DE(s) to ${backupDir}`);
+  }
+
+  // Full automation configs are only available for standalone automation plans
+  const fullAutomations = automations.filter(automation => automation?._raw);
+  if (fullAutomations.length > 0 && plan.options.backup) {
+    backupDir = path.join(config.paths.backup, `automations-${timestamp}`);
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    for (const automation of fullAutomations) {
+      try {
+        const filename = `${automation.name.replace(/[^a-zA-Z0-9_-]/g, '_')}_${automation.id}.json`;
+        fs.writeFileSync(path.join(backupDir, filename), JSON.stringify(createAutomationBackup(automation), null, 2));
+      } catch (error) {
+        logger.warn(`Failed to backup automation ${automation.name}: ${error.message}`);
+      }
+    }
+
+    console.log(chalk.green(`✓ Backed up ${fullAutomations.length} automation(s) to ${backupDir}`));
+  }
+
+  // Generate undo script BEFORE any deletions (for recovery if process is interrupted)
+  if (des.length > 0) {
+    // The undo script recreates folders by path if they are gone by then
+    for (const de of des) {
+      const folder = await getFolderById(de.folderId, logger);
+      de.folderPath = folder?.path || null;
+    }
+
+    undoPath = generateUndoScript(des, config.paths.undo);
+    console.log(chalk.cyan(`Undo script saved to: ${undoPath}`));
+  }
+
+  return { backupDir, undoPath, rowsBackedUp };
+}
+
+/**
+ * Delete a single plan item
+ * @param {object} item - Plan item
+ * @param {object} plan - Plan the item belongs to
+ * @returns {Promise<object>} { success, error }
+ */
+async function executeItem(item, plan) {
+  switch (item.type) {
+    case 'DataExtension':
+      return deleteDataExtension(item.id, logger, null, item.name);
+    case 'Folder':
+      return deleteFolder(item.id, logger, null, plan.options.contentType);
+    case 'Automation':
+      return deleteAutomation(item.id, logger);
+    case 'FilterActivity':
+      return deleteFilterActivity(item.id, logger);
+    case 'QueryActivity': {
+      const result = await deleteQueryActivity(item.id, logger);
+      return result.success
+        ? { success: true }
+        : { success: false, error: result.results?.[0]?.statusMessage || 'Unknown error' };
+    }
+    default:
+      return { success: false, error: `Unsupported plan item type: ${item.type}` };
+  }
+}
+
+/**
+ * Get confirmation from user
+ * @param {object} plan - Plan
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function getConfirmation(plan) {
+  // Tied to the plan hash so the phrase a reviewer approved only applies this plan
+  const expectedPhrase = `APPLY PLAN ${plan.planHash.substring(0, 12)}`;
+
+  if (argv.nonInteractive) {
+    if (argv.confirmPhrase === expectedPhrase) {
+      return true;
+    }
+    console.log(chalk.red(`Confirmation phrase mismatch. Expected: "${expectedPhrase}"`));
+    return false;
+  }
+
+  console.log('');
+  console.log(chalk.red.bold(`🚨 You are about to permanently delete ${plan.items.length} object(s). This is IRREVERSIBLE.`));
+  console.log('');
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `Type '${expectedPhrase}' to confirm:`
+    }
+  ]);
+
+  return answers.confirmation === expectedPhrase;
+}
+
+/**
+ * Main apply function
+ */
+async function runApply() {
+  const startTime = Date.now();
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Plan Apply'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(`  Plan: ${chalk.yellow(planFile)}`);
+  console.log(`  Mode: ${chalk.yellow(argv.checkOnly ? 'CHECK ONLY' : 'APPLY')}`);
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  let spinner = null;
+
+  try {
+    const plan = readPlan(planFile);
+
+    auditLogger.setOptions({
+      planFile: path.resolve(planFile),
+      planHash: plan.planHash,
+      operation: plan.operation,
+      checkOnly: argv.checkOnly
+    });
+
+    printPlan(plan);
+
+    if ((plan.profile || null) !== config.profile) {
+      console.log(chalk.red(`\nPlan was made with profile ${plan.profile || '(none)'} but the selected profile is ${config.profile || '(none)'}. Aborting.`));
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    if (String(plan.businessUnit) !== String(config.sfmc.accountId)) {
+      console.log(chalk.red(`\nPlan was made for BU ${plan.businessUnit} but SFMC_ACCOUNT_ID is ${config.sfmc.accountId}. Aborting.`));
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    spinner = ora('Testing SFMC connection...').start();
+    const connResult = await testConnection(logger);
+    if (!connResult.success) {
+      spinner.fail(`Connection failed: ${connResult.error}`);
+      auditLogger.save(1);
+      process.exit(1);
+    }
+    spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+    // Re-read everything in the plan and compare
+    spinner = ora('Checking plan for drift...').start();
+    const current = new Map();
+    const details = new Map();
+
+    if (plan.operation === PlanOperation.DELETE_DATA_EXTENSIONS) {
+      await captureDataExtensionPlan(plan, current, details, spinner);
+    } else if (plan.operation === PlanOperation.DELETE_FOLDERS) {
+      await captureFolderPlan(plan, current, details, spinner);
+    } else if (plan.operation === PlanOperation.DELETE_AUTOMATIONS) {
+      await captureAutomationPlan(plan, current, details, spinner);
+    }
+
+    const drift = detectDrift(plan, current);
+
+    if (drift.length > 0) {
+      spinner.fail('Plan has drifted');
+      printDrift(drift);
+      auditLogger.setMetadata('drift', drift);
+      const auditPath = auditLogger.save(2);
+      console.log(chalk.gray(`Audit log: ${auditPath}`));
+      process.exit(2);
+    }
+
+    spinner.succeed(`No drift: all ${plan.items.length} item(s) match the plan`);
+
+    if (argv.checkOnly) {
+      console.log('');
+      console.log(chalk.green(`✓ Plan ${plan.planHash.substring(0, 12)} can be applied`));
+      auditLogger.setMetadata('checkOnly', true);
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    const confirmed = await getConfirmation(plan);
+    if (!confirmed) {
+      console.log(chalk.yellow('\nApply cancelled.'));
+      auditLogger.setMetadata('cancelled', true);
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    auditLogger.setPreExecutionState({
+      operation: plan.operation,
+      target: plan.target,
+      totalItems: plan.items.length,
+      byType: plan.summary.byType
+    });
+
+    const { backupDir, undoPath, rowsBackedUp } = await writeBackups(plan, details, spinner);
+    if (backupDir) auditLogger.setMetadata('backupDirectory', backupDir);
+    if (plan.options.backupData) auditLogger.setMetadata('rowsBackedUp', rowsBackedUp);
+    if (undoPath) auditLogger.setMetadata('undoScript', undoPath);
+
+    // Execute exactly the planned items, in plan order
+    console.log('');
+    console.log(chalk.bold('Applying plan...'));
+
+    const results = { successful: 0, failed: 0, failedItems: [] };
+
+    for (let i = 0; i < plan.items.length; i++) {
+      const item = plan.items[i];
+      console.log(chalk.gray(`[${i + 1}/${plan.items.length}] Deleting ${item.type}: ${item.name}...`));
+
+      let result;
+      try {
+        result = await executeItem(item, plan);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      if (result.success) {
+        console.log(chalk.green('  ✓ Deleted'));
+        results.successful++;
+        auditLogger.addSuccess({ type: item.type, id: item.id, name: item.name });
+      } else {
+        console.log(chalk.red(`  ✗ Failed: ${result.error}`));
+        results.failed++;
+        results.failedItems.push({ type: item.type, name: item.name, error: result.error });
+        auditLogger.addFailure({ type: item.type, id: item.id, name: item.name }, result.error);
+      }
+
+      await sleep(config.safety.apiRateLimitDelayMs);
+    }
+
+    const exitCode = results.failed > 0 ? 1 : 0;
+    const auditPath = auditLogger.save(exitCode);
+
+    console.log('');
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(chalk.cyan.bold('  APPLY COMPLETE'));
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(`  Deleted: ${chalk.green(results.successful)}`);
+    console.log(`  Failed: ${results.failed > 0 ? chalk.red(results.failed) : '0'}`);
+    for (const item of results.failedItems.slice(0, 10)) {
+      console.log(chalk.red(`    • [${item.type}] ${item.name} - ${item.error}`));
+    }
+    if (backupDir) console.log(`  Backups: ${backupDir}`);
+    if (undoPath) console.log(`  Undo Script: ${undoPath}`);
+    console.log(`  Audit Log: ${auditPath}`);
+
+    // Send webhook if configured
+    const webhookUrl = argv.webhookUrl || config.webhook.url;
+    if (webhookUrl) {
+      await sendWebhook(webhookUrl, {
+        operation: 'apply-plan',
+        planOperation: plan.operation,
+        planHash: plan.planHash,
+        operationId: auditLogger.operationId,
+        businessUnit: config.sfmc.accountId,
+        target: plan.target,
+        results,
+        completedAt: new Date().toISOString()
+      }, logger);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    if (spinner) spinner.fail('Apply failed');
+    logger.error(`Apply failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    auditLogger.save(1);
+    process.exit(1);
+  }
+}
+
+// Run apply
+runApply();
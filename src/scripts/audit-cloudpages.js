@@ -22,6 +22,7 @@ import config, { validateConfig } from '../config/index.js';
 import { createLogger } from '../lib/logger.js';
 import { testConnection } from '../lib/sfmc-auth.js';
 import { getCloudPages, getCloudPageDetails } from '../lib/sfmc-rest.js';
+import { profileOption } from '../lib/cli-helpers.js';
 
 // Default patterns to search for DAX references
 const DEFAULT_SEARCH_PATTERNS = [
@@ -76,6 +77,7 @@ const argv = yargs(hideBin(process.argv))
   .example('$0 --bu 123456', 'Audit all CloudPages in BU')
   .example('$0 --bu 123456 -o report.csv', 'Export to CSV')
   .example('$0 --bu 123456 --with-matches-only', 'Only show pages with DAX')
+  .option('profile', profileOption)
   .help()
   .parseSync();
 
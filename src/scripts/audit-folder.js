@@ -6,6 +6,9 @@
  * Generates a comprehensive report of a folder's contents, including all
  * Data Extensions, subfolders, record counts, and dependencies.
  *
+ * With --content-type, audits query, automation, filter or Content Builder
+ * folders instead, listing the items in each folder and the empty ones.
+ *
  * This script is READ-ONLY - it does not modify or delete anything.
  *
  * Usage:
@@ -23,7 +26,17 @@ import dayjs from 'dayjs';
 import config, { validateConfig, isFolderProtected, isDeProtected } from '../config/index.js';
 import { createLogger } from '../lib/logger.js';
 import { testConnection } from '../lib/sfmc-auth.js';
-import { getSubfolders, getFolderTree, findSimilarFolders, clearFolderCache, findFolder } from '../lib/folder-service.js';
+import {
+  FolderContentType,
+  getContentTypeLabel,
+  isDataExtensionContentType,
+  getSubfolders,
+  getFolderTree,
+  getFolderItems,
+  findSimilarFolders,
+  clearFolderCache,
+  findFolder
+} from '../lib/folder-service.js';
 import { getDataExtensionsInFolder, getFullDataExtensionDetails } from '../lib/data-extension-service.js';
 import {
   analyzeDependencies,
@@ -32,7 +45,9 @@ import {
   exportDeDependenciesToCsv,
   DependencyClassification
 } from '../lib/dependency-analyzer.js';
-import { formatNumber } from '../lib/utils.js';
+import { formatNumber, escapeCSV } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+import { formatRateLimiterStats } from '../lib/rate-limiter.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -72,6 +87,13 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('content-type', {
+    describe: 'Folder content type',
+    type: 'string',
+    choices: Object.values(FolderContentType),
+    default: FolderContentType.DATA_EXTENSION
+  })
+  .option('profile', profileOption)
   .help()
   .alias('help', 'h')
   .version(config.version)
@@ -95,6 +117,7 @@ function printHeader(folder) {
   console.log(chalk.cyan(`╠${line}╣`));
   console.log(chalk.cyan(`║`) + ` Target Folder: ${folder.path || folder.name}`.padEnd(width) + chalk.cyan(`║`));
   console.log(chalk.cyan(`║`) + ` Folder ID: ${folder.id}`.padEnd(width) + chalk.cyan(`║`));
+  console.log(chalk.cyan(`║`) + ` Content Type: ${folder.contentType}`.padEnd(width) + chalk.cyan(`║`));
   console.log(chalk.cyan(`╚${line}╝`));
   console.log('');
 }
@@ -137,6 +160,131 @@ function printFolderTree(tree, dataExtensionMap, depth = 0) {
   });
 }
 
+/**
+ * Print folder tree with the items of a non-DE content type
+ */
+function printItemTree(tree, itemMap, depth = 0) {
+  const indent = '│   '.repeat(depth);
+  const prefix = depth === 0 ? '' : '├── ';
+
+  const items = itemMap.get(tree.id) || [];
+  const folderIcon = tree.isProtected ? '🔒' : '📁';
+  const emptyTag = items.length === 0 && tree.children.length === 0 ? chalk.gray(' [EMPTY]') : '';
+  console.log(`${indent}${prefix}${folderIcon} ${chalk.bold(tree.name)} (ID: ${tree.id})${emptyTag}`);
+
+  items.forEach((item, i) => {
+    const isLast = i === items.length - 1 && tree.children.length === 0;
+    const itemPrefix = isLast ? '└── ' : '├── ';
+    console.log(`${'│   '.repeat(depth + 1)}${itemPrefix}📄 ${item.name}`);
+  });
+
+  tree.children.forEach(child => {
+    printItemTree(child, itemMap, depth + 1);
+  });
+}
+
+/**
+ * Audit a query, automation, filter or Content Builder folder tree
+ * @param {object} targetFolder - Target folder
+ * @param {object[]} allFolders - Target folder and all its subfolders
+ * @param {object} folderTree - Tree from getFolderTree
+ * @param {object} spinner - Ora spinner
+ */
+async function runItemAudit(targetFolder, allFolders, folderTree, spinner) {
+  const label = getContentTypeLabel(argv.contentType);
+
+  spinner.start(`Discovering ${label}(s)...`);
+  const itemsByFolder = new Map();
+  try {
+    for (const folder of allFolders) {
+      itemsByFolder.set(folder.id, await getFolderItems(folder.id, logger, null, argv.contentType));
+    }
+  } catch (error) {
+    spinner.fail(`Failed to discover ${label}(s)`);
+    throw error;
+  }
+
+  const items = allFolders.flatMap(folder =>
+    itemsByFolder.get(folder.id).map(item => ({ ...item, folderId: folder.id, folderPath: folder.path || folder.name }))
+  );
+  spinner.succeed(`Found ${items.length} ${label}(s)`);
+
+  // Empty means no items and no subfolders, i.e. deletable by delete-folders
+  const emptyFolders = allFolders.filter(folder =>
+    itemsByFolder.get(folder.id).length === 0 &&
+    !allFolders.some(other => other.parentFolderId === folder.id)
+  );
+
+  const summary = {
+    totalFolders: allFolders.length,
+    totalItems: items.length,
+    emptyFolders: emptyFolders.length,
+    protectedFolders: allFolders.filter(f => f.isProtected).length
+  };
+
+  if (argv.output === 'console' || argv.output === 'all') {
+    printHeader(targetFolder);
+
+    console.log(chalk.bold('📁 FOLDER STRUCTURE'));
+    printItemTree(folderTree, itemsByFolder);
+
+    console.log('');
+    console.log(chalk.bold('📈 SUMMARY'));
+    console.log('┌─────────────────────────────────┬───────────┐');
+    console.log(`│ Total Folders                   │ ${String(summary.totalFolders).padStart(9)} │`);
+    console.log(`│ ${`Total ${label}(s)`.padEnd(31)} │ ${String(summary.totalItems).padStart(9)} │`);
+    console.log(`│ Empty Folders                   │ ${String(summary.emptyFolders).padStart(9)} │`);
+    console.log(`│ Protected Folders               │ ${String(summary.protectedFolders).padStart(9)} │`);
+    console.log('└─────────────────────────────────┴───────────┘');
+
+    printProtectedItems([], allFolders);
+  }
+
+  if (argv.output === 'json' || argv.output === 'all') {
+    const jsonPath = saveJsonOutput({
+      reportMetadata: {
+        generatedAt: new Date().toISOString(),
+        businessUnitId: config.sfmc.accountId,
+        targetFolder: targetFolder.path || targetFolder.name,
+        targetFolderId: targetFolder.id,
+        contentType: argv.contentType,
+        scriptVersion: config.version
+      },
+      summary,
+      folders: allFolders.map(f => ({
+        id: f.id,
+        name: f.name,
+        path: f.path,
+        parentFolderId: f.parentFolderId,
+        isProtected: f.isProtected,
+        isEmpty: emptyFolders.includes(f),
+        itemCount: itemsByFolder.get(f.id).length,
+        createdDate: f.createdDate,
+        modifiedDate: f.modifiedDate
+      })),
+      items
+    });
+    console.log('');
+    console.log(chalk.green(`📄 JSON report saved: ${jsonPath}`));
+  }
+
+  if (argv.output === 'csv' || argv.output === 'all') {
+    const timestamp = dayjs().format('YYYYMMDD-HHmmss');
+    const csvPath = path.join(config.paths.audit, `audit-items-${timestamp}.csv`);
+    if (!fs.existsSync(config.paths.audit)) {
+      fs.mkdirSync(config.paths.audit, { recursive: true });
+    }
+
+    const rows = items.map(item => [
+      escapeCSV(item.folderPath),
+      escapeCSV(item.name),
+      escapeCSV(item.key)
+    ].join(','));
+    fs.writeFileSync(csvPath, [['FolderPath', 'Name', 'Key'].join(','), ...rows].join('\n'));
+    console.log(chalk.green(`📄 CSV report saved: ${csvPath}`));
+  }
+}
+
 /**
  * Print summary table
  */
@@ -352,6 +500,7 @@ async function runAudit() {
 
     logger.section('SFMC FOLDER AUDIT');
     logger.info(`Target folder: ${argv.folder}`);
+    logger.info(`Content type: ${argv.contentType}`);
     logger.info(`Options: dependencies=${argv.checkDependencies}, rowCounts=${argv.includeRowCounts}`);
 
     // Test connection
@@ -376,7 +525,7 @@ async function runAudit() {
     if (argv.refreshCache) {
       spinner.start('Clearing cache and fetching fresh data from SFMC...');
       try {
-        await clearFolderCache(logger);
+        await clearFolderCache(logger, null, argv.contentType);
         spinner.succeed('Cache cleared - will fetch fresh data');
       } catch (error) {
         spinner.fail('Failed to clear cache');
@@ -388,7 +537,7 @@ async function runAudit() {
     spinner.start('Finding target folder...');
     let targetFolder;
     try {
-      targetFolder = await findFolder(argv.folder, logger);
+      targetFolder = await findFolder(argv.folder, logger, null, argv.contentType);
     } catch (error) {
       spinner.fail('Failed to find folder');
       throw error;
@@ -398,7 +547,7 @@ async function runAudit() {
       spinner.fail('Folder not found');
 
       // Suggest similar folders
-      const suggestions = await findSimilarFolders(argv.folder, logger);
+      const suggestions = await findSimilarFolders(argv.folder, logger, null, argv.contentType);
       if (suggestions.length > 0) {
         console.log(chalk.yellow('\nDid you mean one of these?'));
         suggestions.forEach(s => {
@@ -415,7 +564,7 @@ async function runAudit() {
     spinner.start('Discovering subfolders...');
     let subfolders;
     try {
-      subfolders = await getSubfolders(targetFolder.id, true, logger);
+      subfolders = await getSubfolders(targetFolder.id, true, logger, null, argv.contentType);
     } catch (error) {
       spinner.fail('Failed to discover subfolders');
       throw error;
@@ -424,7 +573,19 @@ async function runAudit() {
     spinner.succeed(`Found ${allFolders.length} folder(s)`);
 
     // Get folder tree for display
-    const folderTree = await getFolderTree(targetFolder.id, logger);
+    const folderTree = await getFolderTree(targetFolder.id, logger, null, argv.contentType);
+
+    // Query, automation, filter and asset folders have no DE details to gather
+    if (!isDataExtensionContentType(argv.contentType)) {
+      await runItemAudit(targetFolder, allFolders, folderTree, spinner);
+
+      const duration = Math.round((Date.now() - startTime) / 1000);
+      console.log('');
+      console.log(chalk.green(`✓ Audit complete in ${duration} seconds`));
+      console.log(chalk.gray(`  Log file: ${logger.logFilePath}`));
+
+      process.exit(0);
+    }
 
     // Get all data extensions
     spinner.start('Discovering Data Extensions...');
@@ -620,6 +781,7 @@ async function runAudit() {
     const duration = Math.round((Date.now() - startTime) / 1000);
     console.log('');
     console.log(chalk.green(`✓ Audit complete in ${duration} seconds`));
+    console.log(chalk.gray(`  API: ${formatRateLimiterStats()}`));
     console.log(chalk.gray(`  Log file: ${logger.logFilePath}`));
 
     process.exit(0);
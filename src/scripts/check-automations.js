@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Automation Check Script
+ *
+ * Lists automation steps whose query, import, filter, data extract or file
+ * transfer activity points at an object that no longer exists, and suggests
+ * the old -> new ObjectID fix-up where an object of the same type and name
+ * is found.
+ *
+ * Usage:
+ *   node src/scripts/check-automations.js [options]
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { checkAutomations, formatAutomationCheckReport, exportAutomationCheckToCsv } from '../lib/automation-checker.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('business-unit', {
+    alias: 'bu',
+    describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+    type: 'string'
+  })
+  .option('output', {
+    alias: 'o',
+    describe: 'Output file path (.json or .csv; default: audit/automation-check-<timestamp>.json)',
+    type: 'string'
+  })
+  .option('exit-code', {
+    describe: 'Exit with code 1 if any automation has a broken step',
+    type: 'boolean',
+    default: false
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh of cached SFMC data',
+    type: 'boolean',
+    default: false
+  })
+  .option('incremental', {
+    describe: 'Refresh cached SFMC data with only the objects modified since it was loaded',
+    type: 'boolean',
+    default: false
+  })
+  .option('verbose', {
+    alias: 'v',
+    describe: 'Show detailed progress',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .help()
+  .alias('help', 'h')
+  .example('$0', 'Check every automation in the default BU')
+  .example('$0 --bu 7012345 --refresh-cache', 'Check another BU against fresh metadata')
+  .example('$0 --output broken-automations.csv', 'Export broken steps to CSV')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('check-automations');
+
+/**
+ * Main check function
+ */
+async function runAutomationCheck() {
+  const startTime = Date.now();
+  const accountId = argv.businessUnit || null;
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Automation Check'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(`  Business Unit: ${chalk.yellow(accountId || config.sfmc.accountId)}`);
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  let spinner = ora('Testing SFMC connection...').start();
+  const connResult = await testConnection(logger, accountId);
+  if (!connResult.success) {
+    spinner.fail(`Connection failed: ${connResult.error}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+  try {
+    spinner = ora('Loading SFMC metadata...').start();
+    const result = await checkAutomations({
+      logger: argv.verbose ? logger : null,
+      forceRefresh: argv.refreshCache,
+      incremental: argv.incremental,
+      accountId,
+      onProgress: (stage, current, total) => {
+        if (stage.startsWith('loading-')) {
+          spinner.text = `Loading ${stage.replace('loading-', '')}: ${current}/${total}`;
+        }
+      }
+    });
+
+    if (result.broken.length === 0 && result.uncheckedSteps.length > 0) {
+      spinner.warn(`Checked ${result.summary.automations} automation(s): no broken steps, ${result.summary.uncheckedSteps} step(s) not checked`);
+    } else if (result.broken.length === 0) {
+      spinner.succeed(`Checked ${result.summary.automations} automation(s): no broken steps`);
+    } else {
+      spinner.warn(`Checked ${result.summary.automations} automation(s): ${result.summary.brokenSteps} broken step(s)`);
+    }
+
+    console.log(formatAutomationCheckReport(result));
+
+    // Write report
+    const timestamp = dayjs().format('YYYYMMDD-HHmmss');
+    const outputPath = argv.output
+      ? path.resolve(argv.output)
+      : path.join(config.paths.audit, `automation-check-${timestamp}.json`);
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    if (outputPath.toLowerCase().endsWith('.csv')) {
+      fs.writeFileSync(outputPath, exportAutomationCheckToCsv(result));
+    } else {
+      fs.writeFileSync(outputPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        businessUnit: accountId || config.sfmc.accountId,
+        ...result
+      }, null, 2));
+    }
+
+    console.log('');
+    console.log(chalk.green(`✓ Saved: ${outputPath}`));
+    if (result.fixups.length > 0 && !outputPath.toLowerCase().endsWith('.csv')) {
+      console.log(chalk.gray(`  ${result.fixups.length} suggested fix-up(s) under "fixups" - review before relinking`));
+    }
+
+    logger.debug(`Automation check: ${result.summary.brokenSteps} broken step(s) in ${result.summary.brokenAutomations} automation(s)`);
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+    if (argv.exitCode && result.broken.length > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    if (spinner) spinner.fail('Automation check failed');
+    logger.error(`Automation check failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Run automation check
+runAutomationCheck();
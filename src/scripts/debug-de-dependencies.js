@@ -9,6 +9,7 @@ import { testConnection } from '../lib/sfmc-auth.js';
 import { getDataExtensionDetails } from '../lib/data-extension-service.js';
 import { loadAllSfmcData } from '../lib/bulk-data-loader.js';
 import { createLogger } from '../lib/logger.js';
+import { getTableAccessMap, describeSqlAccess } from '../lib/sql-parser.js';
 
 const logger = createLogger('debug-de-deps');
 
@@ -83,6 +84,7 @@ async function main() {
   console.log(`  Triggered Sends: ${bulkData.triggeredSends.length}`);
   console.log(`  Journeys: ${bulkData.journeys.length}`);
   console.log(`  Data Extracts: ${bulkData.dataExtracts.length}`);
+  console.log(`  Content Assets with DE references: ${bulkData.contentAssets.length}`);
   console.log('');
 
   // Test each dependency type
@@ -124,6 +126,7 @@ async function main() {
     const targetName = query['DataExtensionTarget.Name'] || query.DataExtensionTarget?.Name || '';
     const sql = query.QueryText || '';
     const sqlLower = sql.toLowerCase();
+    const tableAccess = getTableAccessMap(sql);
 
     let matchDetails = [];
 
@@ -135,13 +138,15 @@ async function main() {
     if (nameLower && targetName.toLowerCase() === nameLower) {
       matchDetails.push('Target DE (Name match)');
     }
-    // Check SQL for CustomerKey reference
-    if (sqlLower.includes(keyLower)) {
-      matchDetails.push('Referenced in SQL (by Key)');
+    // Check parsed SQL table references by CustomerKey
+    const byKey = tableAccess.get(keyLower);
+    if (byKey) {
+      matchDetails.push(`${describeSqlAccess(byKey)} in SQL (by Key)`);
     }
-    // Check SQL for Name reference (this is the common case!)
-    if (nameLower && sqlLower.includes(nameLower)) {
-      matchDetails.push('Referenced in SQL (by Name)');
+    // Check parsed SQL table references by Name (this is the common case!)
+    const byName = nameLower ? tableAccess.get(nameLower) : null;
+    if (byName) {
+      matchDetails.push(`${describeSqlAccess(byName)} in SQL (by Name)`);
     }
 
     if (matchDetails.length > 0) {
@@ -260,6 +265,29 @@ async function main() {
   }
   console.log(`  Total: ${extractMatches} match(es)`);
 
+  // 8. Content Builder assets (AMPscript/SSJS)
+  console.log('\n--- Content Assets (AMPscript/SSJS by Name, Init/WSProxy by CustomerKey) ---');
+  let contentMatches = 0;
+  for (const asset of bulkData.contentAssets) {
+    const refs = asset.deReferences.filter(ref =>
+      ref.name.toLowerCase() === (ref.byKey ? keyLower : (nameLower || keyLower))
+    );
+
+    if (refs.length > 0) {
+      contentMatches++;
+      console.log(`  ✓ ${asset.name} (${asset.assetType})`);
+      console.log(`    ID: ${asset.id}`);
+      for (const ref of refs) {
+        console.log(`    ${ref.languages.join('/')}: ${ref.functions.join(', ')}${ref.access ? ` [${ref.access}]` : ''}`);
+      }
+    }
+  }
+  const dynamicAssets = bulkData.contentAssets.filter(a => a.dynamicReferences.length > 0).length;
+  console.log(`  Total: ${contentMatches} match(es)`);
+  if (dynamicAssets > 0) {
+    console.log(`  (${dynamicAssets} asset(s) pass DE names in variables - not resolvable statically)`);
+  }
+
   // Summary
   console.log('\n' + '═'.repeat(70));
   console.log('SUMMARY');
@@ -271,8 +299,9 @@ async function main() {
   console.log(`  Automations: ${autoMatches}`);
   console.log(`  Journeys: ${journeyMatches}`);
   console.log(`  Data Extracts: ${extractMatches}`);
+  console.log(`  Content Assets: ${contentMatches}`);
   console.log(`  ─────────────────`);
-  console.log(`  Total: ${filterMatches + queryMatches + importMatches + tsdMatches + autoMatches + journeyMatches + extractMatches}`);
+  console.log(`  Total: ${filterMatches + queryMatches + importMatches + tsdMatches + autoMatches + journeyMatches + extractMatches + contentMatches}`);
   console.log('');
 }
 
@@ -7,10 +7,12 @@
  * with comprehensive safety checks, backup, and audit logging.
  *
  * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to enable actual deletion.
+ * Use --plan to write a reviewable plan file instead, then run it with `apply`.
  *
  * Usage:
  *   node src/scripts/delete-automations.js --file "automations.txt" [options]
  *   node src/scripts/delete-automations.js --names "Auto1,Auto2,Auto3" [options]
+ *   node src/scripts/delete-automations.js --file "automations.txt" --plan plan.json
  */
 
 import yargs from 'yargs';
@@ -32,6 +34,8 @@ import {
   deleteAutomation,
   createAutomationBackup
 } from '../lib/sfmc-rest.js';
+import { PlanOperation, createPlan, writePlan, automationPlanItem } from '../lib/plan-service.js';
+import { profileOption } from '../lib/cli-helpers.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -91,12 +95,21 @@ const argv = yargs(hideBin(process.argv))
     describe: 'Confirmation phrase for non-interactive mode',
     type: 'string'
   })
+  .option('plan', {
+    describe: 'Write a deletion plan to this file instead of deleting (run it with "apply")',
+    type: 'string'
+  })
+  .option('profile', profileOption)
   .check((argv) => {
     // Must provide either file or names
     if (!argv.file && !argv.names) {
       throw new Error('You must provide either --file or --names');
     }
 
+    if (argv.plan && argv.confirm) {
+      throw new Error('--plan cannot be combined with --confirm (apply the plan instead)');
+    }
+
     // If --confirm is used, dry-run should be false
     if (argv.confirm) {
       argv.dryRun = false;
@@ -259,6 +272,32 @@ async function backupAutomations(automations, spinner) {
   return backupDir;
 }
 
+/**
+ * Write a deletion plan for the previewed automations
+ * @param {string} planPath - Output file path
+ * @param {object[]} automations - Automations to delete (full metadata)
+ * @returns {object} { path, plan }
+ */
+function writeDeletionPlan(planPath, automations) {
+  const items = [...automations]
+    .sort((a, b) => a.name.localeCompare(b.name) || String(a.id).localeCompare(String(b.id)))
+    .map(automationPlanItem);
+
+  const plan = createPlan({
+    operation: PlanOperation.DELETE_AUTOMATIONS,
+    businessUnit: config.sfmc.accountId,
+    profile: config.profile,
+    target: argv.file || argv.names,
+    options: {
+      backup: argv.backup,
+      batchSize: argv.batchSize
+    },
+    items
+  });
+
+  return { path: writePlan(plan, planPath), plan };
+}
+
 /**
  * Main execution
  */
@@ -287,7 +326,8 @@ async function main() {
     backup: argv.backup,
     skipRunning: argv.skipRunning,
     forceDeleteRunning: argv.forceDeleteRunning,
-    interactive: argv.interactive
+    interactive: argv.interactive,
+    plan: argv.plan || null
   });
 
   // Parse automation names
@@ -456,9 +496,9 @@ async function main() {
     }
   }
 
-  // Backup automations
+  // Backup automations (plans defer backups to apply)
   let backupDir = null;
-  if (argv.backup) {
+  if (argv.backup && !argv.plan) {
     spinner.start('Backing up automation configurations...');
     try {
       backupDir = await backupAutomations(automationsToDelete, spinner);
@@ -474,6 +514,22 @@ async function main() {
   printPreview(automationsToDelete, backupDir);
   printAutomationDetails(automationsToDelete);
 
+  // Plan mode - record exactly what would be deleted and stop
+  if (argv.plan) {
+    const { path: planPath, plan } = writeDeletionPlan(argv.plan, automationsToDelete);
+
+    console.log('');
+    console.log(chalk.cyan(`PLAN WRITTEN - ${plan.items.length} automation(s), no automations were deleted.`));
+    console.log(chalk.cyan(`Apply with: apply ${planPath}`));
+    console.log(chalk.gray(`Plan hash: ${plan.planHash}`));
+
+    auditLogger.setMetadata('plan', { path: planPath, planHash: plan.planHash });
+    const auditPath = auditLogger.save(0);
+    console.log(chalk.gray(`Audit log: ${auditPath}`));
+
+    process.exit(0);
+  }
+
   // Dry run exit
   if (argv.dryRun || !argv.confirm) {
     console.log('');
@@ -7,9 +7,14 @@
  * with comprehensive safety checks.
  *
  * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to enable actual deletion.
+ * Use --plan to write a reviewable plan file instead, then run it with `apply`.
+ * Use --quarantine to move DEs into a dated quarantine folder instead of
+ * deleting them (see purge-quarantine and unquarantine).
  *
  * Usage:
  *   node src/scripts/delete-data-extensions.js --folder "Path/To/Folder" [options]
+ *   node src/scripts/delete-data-extensions.js --folder "Path/To/Folder" --plan plan.json
+ *   node src/scripts/delete-data-extensions.js --folder "Path/To/Folder" --quarantine --confirm
  */
 
 import yargs from 'yargs';
@@ -24,11 +29,12 @@ import dayjs from 'dayjs';
 import config, { validateConfig, isDeProtected } from '../config/index.js';
 import { createLogger, createAuditLogger, createStateManager } from '../lib/logger.js';
 import { testConnection } from '../lib/sfmc-auth.js';
-import { getFolderByPath, getFolderByName, getSubfolders, findSimilarFolders, clearFolderCache, findFolder } from '../lib/folder-service.js';
+import { getFolderByPath, getFolderByName, getSubfolders, findSimilarFolders, clearFolderCache, findFolder, ensureFolderPath } from '../lib/folder-service.js';
 import {
   getDataExtensionsInFolder,
   getFullDataExtensionDetails,
   deleteDataExtension,
+  moveDataExtension,
   backupDataExtensionSchema,
   generateUndoScript,
   filterByDate,
@@ -47,10 +53,30 @@ import {
   deleteAutomation,
   checkFilterInAutomations,
   getAutomations,
-  getAutomationWithMetadata
+  getAutomationWithMetadata,
+  pauseAutomation
 } from '../lib/sfmc-rest.js';
 import { deleteQueryActivity } from '../lib/sfmc-soap.js';
+import {
+  PlanOperation,
+  createPlan,
+  writePlan,
+  dataExtensionPlanItem,
+  dependencyPlanItem,
+  planItemKey
+} from '../lib/plan-service.js';
+import { loadAllSfmcData } from '../lib/bulk-data-loader.js';
+import {
+  loadQuarantineManifest,
+  saveQuarantineManifest,
+  createQuarantineEntry,
+  getQuarantineFolderPath,
+  findReferencingAutomations,
+  isAutomationPausable
+} from '../lib/quarantine-service.js';
+import { backupDataExtensionRows, RowBackupFormat } from '../lib/row-backup-service.js';
 import { sleep, formatNumber, escapeCSV } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -106,6 +132,21 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: true
   })
+  .option('backup-data', {
+    describe: 'Also back up DE rows (gzip\'d NDJSON/CSV beside the schema backup)',
+    type: 'boolean',
+    default: false
+  })
+  .option('backup-data-format', {
+    describe: 'Row backup file format',
+    choices: Object.values(RowBackupFormat),
+    default: config.backup.dataFormat
+  })
+  .option('backup-data-max-rows', {
+    describe: 'Refuse to delete DEs with more rows than this when backing up data',
+    type: 'number',
+    default: config.backup.dataMaxRows
+  })
   .option('older-than-days', {
     describe: 'Only delete DEs not modified in X days',
     type: 'number'
@@ -151,7 +192,40 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('plan', {
+    describe: 'Write a deletion plan to this file instead of deleting (run it with "apply")',
+    type: 'string'
+  })
+  .option('quarantine', {
+    describe: 'Move DEs to the quarantine folder and pause referencing automations instead of deleting',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
   .check((argv) => {
+    if (argv.plan && argv.confirm) {
+      throw new Error('--plan cannot be combined with --confirm (apply the plan instead)');
+    }
+
+    if (argv.backupData && !argv.backupSchemas) {
+      throw new Error('--backup-data needs --backup-schemas (rows are restored into the backed-up schema)');
+    }
+
+    if (argv.quarantine) {
+      if (argv.plan) {
+        throw new Error('--quarantine cannot be combined with --plan');
+      }
+      if (argv.skipDependencyCheck) {
+        throw new Error('--quarantine needs the dependency check to find automations to pause');
+      }
+      if (argv.deleteSafeDependencies || argv.autoDeleteFilters || argv.deleteQueryDependencies) {
+        throw new Error('--quarantine cannot be combined with options that delete dependencies');
+      }
+      if (argv.backupData) {
+        throw new Error('--quarantine keeps the rows; --backup-data is only used when deleting');
+      }
+    }
+
     // If --confirm is used, dry-run should be false
     if (argv.confirm) {
       argv.dryRun = false;
@@ -175,19 +249,26 @@ const auditLogger = createAuditLogger('delete-des');
 
 /**
  * Print deletion preview
+ * With action 'QUARANTINE' the DEs are described as moved, not deleted.
  */
-function printPreview(dataExtensions, summary, backupDir, filtersToDelete = [], automationsToDelete = [], queriesToDelete = []) {
+function printPreview(dataExtensions, summary, backupDir, filtersToDelete = [], automationsToDelete = [], queriesToDelete = [], action = 'DELETE') {
   const width = config.ui.consoleWidth;
   const line = '─'.repeat(width);
+  const quarantine = action === 'QUARANTINE';
 
   console.log('');
   console.log(chalk.yellow(`┌${line}┐`));
-  console.log(chalk.yellow(`│`) + chalk.bold.yellow('                    ⚠️  DELETION PREVIEW').padEnd(width) + chalk.yellow(`│`));
+  console.log(chalk.yellow(`│`) + chalk.bold.yellow(quarantine ? '                    🔒 QUARANTINE PREVIEW' : '                    ⚠️  DELETION PREVIEW').padEnd(width) + chalk.yellow(`│`));
   console.log(chalk.yellow(`├${line}┤`));
   console.log(chalk.yellow(`│`) + ` Business Unit: ${config.sfmc.accountId}`.padEnd(width) + chalk.yellow(`│`));
   console.log(chalk.yellow(`│`) + ` Target Folder: ${summary.targetFolder}`.padEnd(width) + chalk.yellow(`│`));
-  console.log(chalk.yellow(`│`) + ` Total Data Extensions to Delete: ${dataExtensions.length}`.padEnd(width) + chalk.yellow(`│`));
-  console.log(chalk.yellow(`│`) + ` Total Records that will be PERMANENTLY DELETED: ${formatNumber(summary.totalRecords)}`.padEnd(width) + chalk.yellow(`│`));
+  if (quarantine) {
+    console.log(chalk.yellow(`│`) + ` Total Data Extensions to Quarantine: ${dataExtensions.length}`.padEnd(width) + chalk.yellow(`│`));
+    console.log(chalk.yellow(`│`) + ` Total Records (kept, moved with the DEs): ${formatNumber(summary.totalRecords)}`.padEnd(width) + chalk.yellow(`│`));
+  } else {
+    console.log(chalk.yellow(`│`) + ` Total Data Extensions to Delete: ${dataExtensions.length}`.padEnd(width) + chalk.yellow(`│`));
+    console.log(chalk.yellow(`│`) + ` Total Records that will be PERMANENTLY DELETED: ${formatNumber(summary.totalRecords)}`.padEnd(width) + chalk.yellow(`│`));
+  }
   console.log(chalk.yellow(`│`) + ` DEs with PII: ${summary.withPii}`.padEnd(width) + chalk.yellow(`│`));
 
   if (filtersToDelete.length > 0) {
@@ -300,8 +381,8 @@ async function interactiveSelection(dataExtensions) {
 /**
  * Get confirmation from user
  */
-async function getConfirmation(count, nonInteractive, confirmPhrase) {
-  const expectedPhrase = `DELETE ${count} DATA EXTENSION${count === 1 ? '' : 'S'}`;
+async function getConfirmation(count, nonInteractive, confirmPhrase, action = 'DELETE') {
+  const expectedPhrase = `${action} ${count} DATA EXTENSION${count === 1 ? '' : 'S'}`;
 
   if (nonInteractive) {
     if (confirmPhrase === expectedPhrase) {
@@ -312,13 +393,22 @@ async function getConfirmation(count, nonInteractive, confirmPhrase) {
   }
 
   console.log('');
-  console.log(chalk.red.bold('┌──────────────────────────────────────────────────────────────────┐'));
-  console.log(chalk.red.bold('│  🚨 THIS ACTION IS IRREVERSIBLE 🚨                              │'));
-  console.log(chalk.red.bold('│                                                                  │'));
-  console.log(chalk.red.bold(`│  You are about to permanently delete ${String(count).padEnd(3)} Data Extension(s)       │`));
-  console.log(chalk.red.bold('│                                                                  │'));
-  console.log(chalk.red.bold(`│  Type '${expectedPhrase}' to confirm:              │`));
-  console.log(chalk.red.bold('└──────────────────────────────────────────────────────────────────┘'));
+  if (action === 'QUARANTINE') {
+    console.log(chalk.yellow.bold('┌──────────────────────────────────────────────────────────────────┐'));
+    console.log(chalk.yellow.bold(`│  You are about to quarantine ${String(count).padEnd(3)} Data Extension(s)               │`));
+    console.log(chalk.yellow.bold('│  Referencing automations will be paused                          │'));
+    console.log(chalk.yellow.bold('│                                                                  │'));
+    console.log(chalk.yellow.bold(`│  Type '${expectedPhrase}' to confirm:          │`));
+    console.log(chalk.yellow.bold('└──────────────────────────────────────────────────────────────────┘'));
+  } else {
+    console.log(chalk.red.bold('┌──────────────────────────────────────────────────────────────────┐'));
+    console.log(chalk.red.bold('│  🚨 THIS ACTION IS IRREVERSIBLE 🚨                              │'));
+    console.log(chalk.red.bold('│                                                                  │'));
+    console.log(chalk.red.bold(`│  You are about to permanently delete ${String(count).padEnd(3)} Data Extension(s)       │`));
+    console.log(chalk.red.bold('│                                                                  │'));
+    console.log(chalk.red.bold(`│  Type '${expectedPhrase}' to confirm:              │`));
+    console.log(chalk.red.bold('└──────────────────────────────────────────────────────────────────┘'));
+  }
   console.log('');
 
   const answers = await inquirer.prompt([
@@ -797,6 +887,10 @@ function printReport(results, auditPath, backupDir, undoPath) {
     console.log(chalk.cyan(`│`) + ` Backup Schemas: ${backupDir}`.padEnd(width) + chalk.cyan(`│`));
   }
 
+  if (results.dataBackups > 0) {
+    console.log(chalk.cyan(`│`) + ` Row Backups: ${results.dataBackups} DE(s), ${formatNumber(results.rowsBackedUp)} rows`.padEnd(width) + chalk.cyan(`│`));
+  }
+
   if (undoPath) {
     console.log(chalk.cyan(`│`) + ` Undo Script: ${undoPath}`.padEnd(width) + chalk.cyan(`│`));
   }
@@ -804,6 +898,117 @@ function printReport(results, auditPath, backupDir, undoPath) {
   console.log(chalk.cyan(`└${line}┘`));
 }
 
+/**
+ * Write a deletion plan for the previewed DEs and dependencies
+ * @param {string} planPath - Output file path
+ * @param {object[]} desToDelete - Data extensions to delete
+ * @param {object} dependencyReport - Smart analysis report (null if skipped)
+ * @param {object[][]} dependencyGroups - [filters, automations, queries] queued for deletion
+ * @param {object} targetFolder - Target folder info
+ * @returns {object} { path, plan }
+ */
+function writeDeletionPlan(planPath, desToDelete, dependencyReport, dependencyGroups, targetFolder) {
+  // Dependencies are deleted first, in the same order as a live run
+  const dependencyTypes = ['Filter Activity', 'Automation', 'Query Activity'];
+  const dependencyItems = new Map();
+
+  dependencyGroups.forEach((group, index) => {
+    const type = dependencyTypes[index];
+    const sorted = [...group].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+    for (const queued of sorted) {
+      const dep = dependencyReport?.all.find(d => d.type === type && d.id === queued.id);
+      if (!dep) continue;
+
+      const item = dependencyPlanItem(dep);
+      dependencyItems.set(planItemKey(item), item);
+    }
+  });
+
+  const deItems = [...desToDelete]
+    .sort((a, b) => a.customerKey.localeCompare(b.customerKey))
+    .map(de => dataExtensionPlanItem(de, argv.skipDependencyCheck ? null : (de.dependencies || [])));
+
+  const plan = createPlan({
+    operation: PlanOperation.DELETE_DATA_EXTENSIONS,
+    businessUnit: config.sfmc.accountId,
+    profile: config.profile,
+    target: targetFolder.path || targetFolder.name,
+    options: {
+      backupSchemas: argv.backupSchemas,
+      backupData: argv.backupData,
+      backupDataFormat: argv.backupDataFormat,
+      backupDataMaxRows: argv.backupDataMaxRows,
+      skipDependencyCheck: argv.skipDependencyCheck,
+      batchSize: argv.batchSize
+    },
+    items: [...dependencyItems.values(), ...deItems]
+  });
+
+  return { path: writePlan(plan, planPath), plan };
+}
+
+/**
+ * Back up the rows of each DE before deletion
+ * @param {object[]} desToDelete - Data extensions to delete
+ * @param {string} backupDir - Backup directory
+ * @param {object} results - Results object to update
+ * @param {object} auditLogger - Audit logger instance
+ * @param {object} stateManager - State manager (records the backup directory for --resume)
+ * @param {object} targetFolder - Target folder info
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object[]>} DEs whose rows were backed up
+ */
+async function executeRowBackups(desToDelete, backupDir, results, auditLogger, stateManager, targetFolder, logger) {
+  console.log(chalk.bold(`Backing up rows to ${backupDir}...`));
+
+  stateManager.save({
+    targetFolder: targetFolder.path,
+    backupDir,
+    remaining: desToDelete.map(de => de.customerKey)
+  });
+
+  const backedUp = [];
+
+  for (let i = 0; i < desToDelete.length; i++) {
+    const de = desToDelete[i];
+    const spinner = ora(`[${i + 1}/${desToDelete.length}] ${de.name}`).start();
+
+    const result = await backupDataExtensionRows(de, backupDir, {
+      format: argv.backupDataFormat,
+      maxRows: argv.backupDataMaxRows,
+      logger,
+      onProgress: (rows, total) => {
+        spinner.text = `[${i + 1}/${desToDelete.length}] ${de.name}: ${formatNumber(rows)}${total ? ` / ${formatNumber(total)}` : ''} rows`;
+      }
+    });
+
+    if (result.success) {
+      spinner.succeed(`[${i + 1}/${desToDelete.length}] ${de.name}: ${formatNumber(result.rowCount)} rows${result.resumed ? ' (resumed)' : ''}`);
+      results.dataBackups++;
+      results.rowsBackedUp += result.rowCount;
+      backedUp.push(de);
+    } else {
+      spinner.fail(`[${i + 1}/${desToDelete.length}] ${de.name}: ${result.error} - will not be deleted`);
+      results.skipped++;
+      auditLogger.addSkipped({
+        customerKey: de.customerKey,
+        name: de.name
+      }, `Row backup failed: ${result.error}`);
+    }
+  }
+
+  auditLogger.setMetadata('rowBackups', {
+    directory: backupDir,
+    format: argv.backupDataFormat,
+    dataExtensions: results.dataBackups,
+    rows: results.rowsBackedUp
+  });
+
+  console.log('');
+  return backedUp;
+}
+
 /**
  * Execute deletion of filter activities
  * @param {Array} filtersToDelete - Filters to delete
@@ -1011,6 +1216,185 @@ async function executeDataExtensionDeletions(desToDelete, results, auditLogger,
   }
 }
 
+/**
+ * Print the quarantine target and the automations that will be paused
+ * @param {string} quarantinePath - Dated quarantine folder path
+ * @param {object[]} automationsToPause - Referencing automations
+ */
+function printQuarantinePreview(quarantinePath, automationsToPause) {
+  console.log('');
+  console.log(chalk.bold('🔒 QUARANTINE MODE'));
+  console.log(chalk.gray(`  DEs will be moved to: ${quarantinePath}`));
+  console.log(chalk.gray(`  Purged after ${config.quarantine.retentionDays} days by purge-quarantine; restore with unquarantine`));
+
+  if (automationsToPause.length === 0) {
+    console.log(chalk.gray('  No automations reference these Data Extensions.'));
+    return;
+  }
+
+  console.log('');
+  console.log(chalk.bold(`  Referencing automations (${automationsToPause.length}):`));
+  automationsToPause.slice(0, config.ui.maxItemsToDisplay).forEach(auto => {
+    const action = isAutomationPausable(auto.statusId)
+      ? chalk.yellow('will be paused')
+      : chalk.gray(`not scheduled (${auto.status || auto.statusId})`);
+    console.log(`    • ${auto.name} - ${action}`);
+  });
+
+  if (automationsToPause.length > config.ui.maxItemsToDisplay) {
+    console.log(chalk.gray(`    ... and ${automationsToPause.length - config.ui.maxItemsToDisplay} more`));
+  }
+}
+
+/**
+ * Quarantine DEs: pause referencing automations, move the DEs into the dated
+ * quarantine folder and record each move in the quarantine manifest
+ * @param {object[]} desToQuarantine - Data extensions to quarantine
+ * @param {object[]} referencingAutomations - Automations referencing the DEs
+ * @param {object} results - Results object to update
+ * @param {object} auditLogger - Audit logger instance
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} { quarantineFolder, manifestPath }
+ */
+async function executeQuarantine(desToQuarantine, referencingAutomations, results, auditLogger, logger) {
+  const quarantinePath = getQuarantineFolderPath();
+  const quarantineFolder = await ensureFolderPath(quarantinePath, logger);
+  console.log(chalk.cyan(`Quarantine folder: ${quarantineFolder.path || quarantinePath} (ID: ${quarantineFolder.id})`));
+  console.log('');
+
+  // Pause automations first so nothing runs against a DE while it is being moved
+  const automations = [];
+
+  if (referencingAutomations.length > 0) {
+    console.log(chalk.cyan(`Pausing ${referencingAutomations.filter(a => isAutomationPausable(a.statusId)).length} automation(s)...`));
+  }
+
+  for (const auto of referencingAutomations) {
+    const record = { ...auto, paused: false };
+    automations.push(record);
+
+    if (!isAutomationPausable(auto.statusId)) {
+      continue;
+    }
+
+    console.log(chalk.gray(`  Pausing automation: ${auto.name}...`));
+    const pauseResult = await pauseAutomation(auto.id, logger);
+
+    if (pauseResult.success) {
+      console.log(chalk.green('    ✓ Paused'));
+      record.paused = true;
+      results.automationsPaused++;
+      auditLogger.addSuccess({
+        type: 'Automation',
+        id: auto.id,
+        name: auto.name,
+        action: 'pause',
+        previousStatusId: auto.statusId
+      });
+    } else {
+      console.log(chalk.yellow(`    ⚠ Pause failed: ${pauseResult.error}`));
+      results.automationsPauseFailed++;
+      logger.warn(`Automation pause failed for ${auto.name}: ${pauseResult.error}`);
+    }
+
+    await sleep(config.safety.apiRateLimitDelayMs);
+  }
+
+  console.log('');
+  console.log(chalk.bold('Moving Data Extensions to quarantine...'));
+
+  const manifest = loadQuarantineManifest();
+  let manifestPath = null;
+
+  for (let i = 0; i < desToQuarantine.length; i++) {
+    const de = desToQuarantine[i];
+
+    console.log(chalk.gray(`[${i + 1}/${desToQuarantine.length}] Quarantining ${de.name}...`));
+
+    const result = await moveDataExtension(de.customerKey, quarantineFolder.id, logger);
+
+    if (result.success) {
+      console.log(chalk.green('  ✓ Quarantined'));
+      results.successful++;
+
+      const entry = createQuarantineEntry(de, {
+        quarantineFolder: { id: quarantineFolder.id, path: quarantineFolder.path || quarantinePath },
+        operationId: auditLogger.operationId,
+        automations: automations.filter(a => a.customerKeys.includes(de.customerKey))
+      });
+
+      // Replace any stale entry for the same DE, then persist after every move
+      manifest.entries = manifest.entries.filter(e => e.customerKey !== de.customerKey);
+      manifest.entries.push(entry);
+      manifestPath = saveQuarantineManifest(manifest);
+
+      auditLogger.addSuccess({
+        customerKey: de.customerKey,
+        name: de.name,
+        rowCount: de.rowCount,
+        action: 'quarantine',
+        originalFolderId: de.folderId,
+        quarantineFolderId: quarantineFolder.id
+      });
+    } else {
+      console.log(chalk.red(`  ✗ Failed: ${result.error}`));
+      results.failed++;
+      results.failedItems.push({ name: de.name, error: result.error });
+      auditLogger.addFailure({
+        customerKey: de.customerKey,
+        name: de.name
+      }, result.error);
+    }
+
+    await sleep(config.safety.apiRateLimitDelayMs);
+  }
+
+  return { quarantineFolder, manifestPath };
+}
+
+/**
+ * Print final quarantine report
+ */
+function printQuarantineReport(results, auditPath, backupDir, quarantineFolder, manifestPath) {
+  const width = config.ui.consoleWidth;
+  const line = '─'.repeat(width);
+
+  console.log('');
+  console.log(chalk.cyan(`┌${line}┐`));
+  console.log(chalk.cyan(`│`) + chalk.bold.white('                    QUARANTINE COMPLETE').padEnd(width) + chalk.cyan(`│`));
+  console.log(chalk.cyan(`├${line}┤`));
+  console.log(chalk.cyan(`│`) + ` Data Extensions Quarantined: ${chalk.green(results.successful)}`.padEnd(width + 10) + chalk.cyan(`│`));
+  console.log(chalk.cyan(`│`) + ` Data Extensions Failed: ${chalk.red(results.failed)}`.padEnd(width + 10) + chalk.cyan(`│`));
+  console.log(chalk.cyan(`│`) + ` Automations Paused: ${chalk.green(results.automationsPaused)}`.padEnd(width + 10) + chalk.cyan(`│`));
+
+  if (results.automationsPauseFailed > 0) {
+    console.log(chalk.cyan(`│`) + ` Automations Not Paused: ${chalk.yellow(results.automationsPauseFailed)}`.padEnd(width + 10) + chalk.cyan(`│`));
+  }
+
+  if (results.failedItems.length > 0) {
+    console.log(chalk.cyan(`│`) + ''.padEnd(width) + chalk.cyan(`│`));
+    console.log(chalk.cyan(`│`) + ' Failed Moves:'.padEnd(width) + chalk.cyan(`│`));
+    results.failedItems.forEach(item => {
+      const lineText = `   • ${item.name} - ${item.error}`.substring(0, width - 2);
+      console.log(chalk.cyan(`│`) + chalk.red(lineText.padEnd(width)) + chalk.cyan(`│`));
+    });
+  }
+
+  console.log(chalk.cyan(`│`) + ''.padEnd(width) + chalk.cyan(`│`));
+  console.log(chalk.cyan(`│`) + ` Quarantine Folder: ${quarantineFolder.path}`.padEnd(width) + chalk.cyan(`│`));
+  console.log(chalk.cyan(`│`) + ` Audit Log: ${auditPath}`.padEnd(width) + chalk.cyan(`│`));
+
+  if (manifestPath) {
+    console.log(chalk.cyan(`│`) + ` Manifest: ${manifestPath}`.padEnd(width) + chalk.cyan(`│`));
+  }
+
+  if (backupDir) {
+    console.log(chalk.cyan(`│`) + ` Backup Schemas: ${backupDir}`.padEnd(width) + chalk.cyan(`│`));
+  }
+
+  console.log(chalk.cyan(`└${line}┘`));
+}
+
 /**
  * Main deletion function
  */
@@ -1037,6 +1421,7 @@ async function runDeletion() {
       try {
         stateManager.save({
           targetFolder: targetFolder?.path,
+          backupDir,
           processed: auditLogger.getData().results,
           remaining: desToDelete.map(de => de.customerKey)
         });
@@ -1055,7 +1440,7 @@ async function runDeletion() {
 
     logger.section('SFMC DATA EXTENSION DELETION');
     logger.info(`Target folder: ${argv.folder}`);
-    logger.info(`Mode: ${argv.dryRun ? 'DRY RUN' : 'LIVE DELETION'}`);
+    logger.info(`Mode: ${argv.dryRun ? 'DRY RUN' : (argv.quarantine ? 'QUARANTINE' : 'LIVE DELETION')}`);
 
     // Store options in audit log
     auditLogger.setOptions({
@@ -1067,13 +1452,17 @@ async function runDeletion() {
       olderThanDays: argv.olderThanDays,
       excludePattern: argv.excludePattern,
       includePattern: argv.includePattern,
-      interactive: argv.interactive
+      interactive: argv.interactive,
+      plan: argv.plan || null,
+      quarantine: argv.quarantine,
+      backupData: argv.backupData
     });
 
     // Check for resume
+    let savedState = null;
     if (argv.resume) {
       stateManager = createStateManager(argv.resume);
-      const savedState = stateManager.load();
+      savedState = stateManager.load();
 
       if (savedState) {
         logger.info(`Resuming operation ${argv.resume}`);
@@ -1466,6 +1855,14 @@ async function runDeletion() {
       }
     }
 
+    // Quarantine is reversible, so it never deletes dependencies
+    if (argv.quarantine && (filtersToDelete.length + automationsToDelete.length + queriesToDelete.length) > 0) {
+      console.log(chalk.yellow('\nQuarantine mode: dependencies are left in place (automations referencing the DEs are paused instead).'));
+      filtersToDelete = [];
+      automationsToDelete = [];
+      queriesToDelete = [];
+    }
+
     // Interactive selection
     if (argv.interactive) {
       desToDelete = await interactiveSelection(filteredDes);
@@ -1478,11 +1875,28 @@ async function runDeletion() {
       desToDelete = filteredDes;
     }
 
-    // Backup schemas
-    if (argv.backupSchemas && desToDelete.length > 0) {
-      const timestamp = dayjs().format('YYYYMMDD-HHmmss');
-      backupDir = path.join(config.paths.backup, timestamp);
+    // Row backups need every DE to be under the row ceiling
+    if (argv.backupData) {
+      const tooLarge = desToDelete.filter(de => (de.rowCount || 0) > argv.backupDataMaxRows);
 
+      if (tooLarge.length > 0) {
+        console.log('');
+        console.log(chalk.red.bold(`⚠️  ${tooLarge.length} DATA EXTENSION(S) EXCEED THE ROW BACKUP LIMIT (${formatNumber(argv.backupDataMaxRows)} rows):`));
+        tooLarge.forEach(de => {
+          console.log(chalk.red(`   - ${de.name} (${formatNumber(de.rowCount)} rows)`));
+        });
+        console.log(chalk.red('\nAborting. Raise --backup-data-max-rows or exclude these DEs.'));
+        process.exit(2);
+      }
+    }
+
+    // Backups share one directory (reused when resuming so row backups can continue)
+    if ((argv.backupSchemas || argv.backupData) && !argv.plan && desToDelete.length > 0) {
+      backupDir = savedState?.backupDir || path.join(config.paths.backup, dayjs().format('YYYYMMDD-HHmmss'));
+    }
+
+    // Backup schemas (plans defer backups to apply)
+    if (argv.backupSchemas && !argv.plan && desToDelete.length > 0) {
       spinner.start('Backing up DE schemas...');
 
       try {
@@ -1520,14 +1934,55 @@ async function runDeletion() {
     });
 
     // Show preview
-    printPreview(desToDelete, summary, backupDir, filtersToDelete, automationsToDelete, queriesToDelete);
+    printPreview(desToDelete, summary, backupDir, filtersToDelete, automationsToDelete, queriesToDelete, argv.quarantine ? 'QUARANTINE' : 'DELETE');
+
+    // Quarantine mode - find the automations to pause (bulk data is cached by the dependency analysis)
+    let referencingAutomations = [];
+    if (argv.quarantine) {
+      spinner.start('Finding automations that reference the Data Extensions...');
+      try {
+        const bulkData = await loadAllSfmcData({ logger });
+        referencingAutomations = findReferencingAutomations(desToDelete, bulkData);
+        spinner.succeed(`Found ${referencingAutomations.length} referencing automation(s)`);
+      } catch (error) {
+        spinner.fail('Failed to find referencing automations');
+        throw error;
+      }
+
+      printQuarantinePreview(getQuarantineFolderPath(), referencingAutomations);
+    }
+
+    // Plan mode - record exactly what would be deleted and stop
+    if (argv.plan) {
+      const { path: planPath, plan } = writeDeletionPlan(
+        argv.plan,
+        desToDelete,
+        dependencyReport,
+        [filtersToDelete, automationsToDelete, queriesToDelete],
+        targetFolder
+      );
+
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold(`   PLAN WRITTEN - ${plan.items.length} item(s), no changes were made`));
+      console.log(chalk.cyan.bold(`   Apply with: apply ${planPath}`));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.gray(`  Plan hash: ${plan.planHash}`));
+
+      auditLogger.setMetadata('plan', { path: planPath, planHash: plan.planHash });
+      auditLogger.save(0);
+
+      process.exit(0);
+    }
 
     // Dry run check
     if (argv.dryRun) {
       console.log('');
       console.log(chalk.cyan.bold('═'.repeat(70)));
       console.log(chalk.cyan.bold('   DRY RUN COMPLETE - No changes were made'));
-      console.log(chalk.cyan.bold('   Use --confirm to enable actual deletion'));
+      console.log(chalk.cyan.bold(argv.quarantine
+        ? '   Use --quarantine --confirm to quarantine these Data Extensions'
+        : '   Use --confirm to enable actual deletion'));
       console.log(chalk.cyan.bold('═'.repeat(70)));
 
       auditLogger.setMetadata('dryRun', true);
@@ -1540,16 +1995,74 @@ async function runDeletion() {
     const confirmed = await getConfirmation(
       desToDelete.length,
       argv.nonInteractive,
-      argv.confirmPhrase
+      argv.confirmPhrase,
+      argv.quarantine ? 'QUARANTINE' : 'DELETE'
     );
 
     if (!confirmed) {
-      console.log(chalk.yellow('\nDeletion cancelled.'));
+      console.log(chalk.yellow(`\n${argv.quarantine ? 'Quarantine' : 'Deletion'} cancelled.`));
       auditLogger.setMetadata('cancelled', true);
       auditLogger.save(2);
       process.exit(2);
     }
 
+    // Quarantine instead of deleting
+    if (argv.quarantine) {
+      console.log('');
+      console.log(chalk.bold('Starting quarantine...'));
+
+      const results = {
+        successful: 0,
+        failed: 0,
+        failedItems: [],
+        automationsPaused: 0,
+        automationsPauseFailed: 0
+      };
+
+      const { quarantineFolder, manifestPath } = await executeQuarantine(
+        desToDelete,
+        referencingAutomations,
+        results,
+        auditLogger,
+        logger
+      );
+
+      const exitCode = results.failed > 0 ? 1 : 0;
+
+      auditLogger.setMetadata('quarantine', {
+        folderId: quarantineFolder.id,
+        folderPath: quarantineFolder.path,
+        manifestPath
+      });
+      const auditPath = auditLogger.save(exitCode);
+
+      printQuarantineReport(results, auditPath, backupDir, quarantineFolder, manifestPath);
+
+      const webhookUrl = argv.webhookUrl || config.webhook.url;
+      if (webhookUrl) {
+        await sendWebhook(webhookUrl, {
+          operation: 'quarantine-data-extensions',
+          operationId: auditLogger.operationId,
+          businessUnit: config.sfmc.accountId,
+          targetFolder: targetFolder.path,
+          quarantineFolder: quarantineFolder.path,
+          results,
+          completedAt: new Date().toISOString()
+        }, logger);
+      }
+
+      if (exitCode === 0) {
+        stateManager.clear();
+      }
+
+      const duration = Math.round((Date.now() - startTime) / 1000);
+      console.log('');
+      console.log(chalk.green(`✓ Operation complete in ${duration} seconds`));
+      console.log(chalk.gray(`  Log file: ${logger.logFilePath}`));
+
+      process.exit(exitCode);
+    }
+
     // Execute deletions
     console.log('');
     console.log(chalk.bold('Starting deletion...'));
@@ -1564,15 +2077,22 @@ async function runDeletion() {
       automationsDeleted: 0,
       automationsFailed: 0,
       queriesDeleted: 0,
-      queriesFailed: 0
+      queriesFailed: 0,
+      rowsBackedUp: 0,
+      dataBackups: 0
     };
 
+    // Back up rows BEFORE any deletions; a DE whose rows could not be saved is not deleted
+    if (argv.backupData) {
+      desToDelete = await executeRowBackups(desToDelete, backupDir, results, auditLogger, stateManager, targetFolder, logger);
+    }
+
     // Generate undo script BEFORE any deletions (for recovery if process is interrupted)
     let undoPath = null;
     if (desToDelete.length > 0) {
       undoPath = generateUndoScript(desToDelete, config.paths.undo);
       console.log(chalk.cyan(`Undo script saved to: ${undoPath}`));
-      console.log(chalk.gray('  (Use this script to recreate DE schemas if needed)'));
+      console.log(chalk.gray(`  (Recreate the DE schemas with: node ${path.relative(process.cwd(), undoPath)}${config.profile ? ` --profile ${config.profile}` : ''} --confirm)`));
       console.log('');
     }
 
@@ -1629,6 +2149,7 @@ async function runDeletion() {
     if (stateManager) {
       stateManager.save({
         error: error.message,
+        backupDir,
         processed: auditLogger.getData().results
       });
     }
@@ -7,9 +7,14 @@
  *
  * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to enable actual deletion.
  * Folders must be empty (no Data Extensions) before deletion unless --force is used.
+ * Use --plan to write a reviewable plan file instead, then run it with `apply`.
+ * Use --content-type to delete query, automation, filter, shared DE or Content
+ * Builder folders instead; those must always be empty (--force is DE-only).
  *
  * Usage:
  *   node src/scripts/delete-folders.js --folder "Path/To/Folder" [options]
+ *   node src/scripts/delete-folders.js --folder "Path/To/Folder" --plan plan.json
+ *   node src/scripts/delete-folders.js --folder "Query/Old" --content-type queryactivity
  */
 
 import yargs from 'yargs';
@@ -23,6 +28,9 @@ import config, { validateConfig, isFolderProtected } from '../config/index.js';
 import { createLogger, createAuditLogger, createStateManager } from '../lib/logger.js';
 import { testConnection } from '../lib/sfmc-auth.js';
 import {
+  FolderContentType,
+  getContentTypeLabel,
+  isDataExtensionContentType,
   getSubfolders,
   getDeletionOrder,
   isFolderEmpty,
@@ -31,9 +39,17 @@ import {
   clearFolderCache,
   findFolder
 } from '../lib/folder-service.js';
-import { getDataExtensionsInFolder, deleteDataExtension } from '../lib/data-extension-service.js';
+import { getDataExtensionsInFolder, getFullDataExtensionDetails, deleteDataExtension } from '../lib/data-extension-service.js';
 import { sendWebhook } from '../lib/sfmc-rest.js';
 import { sleep } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+import {
+  PlanOperation,
+  createPlan,
+  writePlan,
+  dataExtensionPlanItem,
+  folderPlanItem
+} from '../lib/plan-service.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -82,7 +98,26 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('plan', {
+    describe: 'Write a deletion plan to this file instead of deleting (run it with "apply")',
+    type: 'string'
+  })
+  .option('content-type', {
+    describe: 'Folder content type',
+    type: 'string',
+    choices: Object.values(FolderContentType),
+    default: FolderContentType.DATA_EXTENSION
+  })
+  .option('profile', profileOption)
   .check((argv) => {
+    if (argv.force && !isDataExtensionContentType(argv.contentType)) {
+      throw new Error(`--force only deletes Data Extensions; empty ${argv.contentType} folders first`);
+    }
+
+    if (argv.plan && argv.confirm) {
+      throw new Error('--plan cannot be combined with --confirm (apply the plan instead)');
+    }
+
     if (argv.confirm) {
       argv.dryRun = false;
     }
@@ -143,11 +178,13 @@ function printPreview(folders, nonEmptyFolders, hasForce) {
       if (f.subfolderCount > 0) {
         console.log(chalk.gray(`     - ${f.subfolderCount} subfolder(s)`));
       }
-      if (f.dataExtensionCount > 0) {
-        console.log(chalk.gray(`     - ${f.dataExtensionCount} Data Extension(s)`));
+      if (f.itemCount > 0) {
+        console.log(chalk.gray(`     - ${f.itemCount} ${f.contents.itemLabel}(s)`));
       }
     });
-    console.log(chalk.red('\nEmpty these folders first or use --force to delete contents.'));
+    console.log(chalk.red(isDataExtensionContentType(argv.contentType)
+      ? '\nEmpty these folders first or use --force to delete contents.'
+      : '\nEmpty these folders first.'));
   }
 }
 
@@ -216,6 +253,51 @@ function printReport(results, auditPath) {
   console.log(chalk.cyan(`└${line}┘`));
 }
 
+/**
+ * Write a deletion plan for the previewed folders (and their DEs in force mode)
+ * @param {string} planPath - Output file path
+ * @param {object[]} folders - Folders in deletion order
+ * @param {object} targetFolder - Target folder info
+ * @returns {Promise<object>} { path, plan }
+ */
+async function writeDeletionPlan(planPath, folders, targetFolder) {
+  // Deepest first, ties broken by path so the file is stable between runs
+  const ordered = [...folders].sort((a, b) =>
+    b.deleteDepth - a.deleteDepth || (a.path || a.name).localeCompare(b.path || b.name)
+  );
+  const items = [];
+
+  for (const folder of ordered) {
+    if (folder.hasContents && argv.force) {
+      const keys = folder.contents.dataExtensions.map(de => de.customerKey).sort();
+
+      for (const key of keys) {
+        const details = await getFullDataExtensionDetails(key, true, logger);
+        if (details) {
+          // delete-folders does not run dependency analysis
+          items.push(dataExtensionPlanItem(details, null));
+        }
+      }
+    }
+
+    items.push(folderPlanItem(folder, folder.contents));
+  }
+
+  const plan = createPlan({
+    operation: PlanOperation.DELETE_FOLDERS,
+    businessUnit: config.sfmc.accountId,
+    profile: config.profile,
+    target: targetFolder.path || targetFolder.name,
+    options: {
+      force: argv.force,
+      contentType: argv.contentType
+    },
+    items
+  });
+
+  return { path: writePlan(plan, planPath), plan };
+}
+
 /**
  * Main deletion function
  */
@@ -250,6 +332,7 @@ async function runDeletion() {
 
     logger.section('SFMC FOLDER DELETION');
     logger.info(`Target folder: ${argv.folder}`);
+    logger.info(`Content type: ${argv.contentType} (${getContentTypeLabel(argv.contentType)} folders)`);
     logger.info(`Mode: ${argv.dryRun ? 'DRY RUN' : 'LIVE DELETION'}`);
     logger.info(`Force mode: ${argv.force}`);
 
@@ -257,7 +340,9 @@ async function runDeletion() {
     auditLogger.setOptions({
       dryRun: argv.dryRun,
       force: argv.force,
-      skipProtected: argv.skipProtected
+      skipProtected: argv.skipProtected,
+      contentType: argv.contentType,
+      plan: argv.plan || null
     });
 
     stateManager = createStateManager(auditLogger.operationId);
@@ -284,7 +369,7 @@ async function runDeletion() {
     if (argv.refreshCache) {
       spinner.start('Clearing cache and fetching fresh data from SFMC...');
       try {
-        await clearFolderCache(logger);
+        await clearFolderCache(logger, null, argv.contentType);
         spinner.succeed('Cache cleared - will fetch fresh data');
       } catch (error) {
         spinner.fail('Failed to clear cache');
@@ -296,7 +381,7 @@ async function runDeletion() {
     spinner.start('Finding target folder...');
     let targetFolder;
     try {
-      targetFolder = await findFolder(argv.folder, logger);
+      targetFolder = await findFolder(argv.folder, logger, null, argv.contentType);
     } catch (error) {
       spinner.fail('Failed to find folder');
       throw error;
@@ -305,7 +390,7 @@ async function runDeletion() {
     if (!targetFolder) {
       spinner.fail('Folder not found');
 
-      const suggestions = await findSimilarFolders(argv.folder, logger);
+      const suggestions = await findSimilarFolders(argv.folder, logger, null, argv.contentType);
       if (suggestions.length > 0) {
         console.log(chalk.yellow('\nDid you mean one of these?'));
         suggestions.forEach(s => {
@@ -329,7 +414,7 @@ async function runDeletion() {
     spinner.start('Building folder deletion order...');
     let foldersToDelete;
     try {
-      foldersToDelete = await getDeletionOrder(targetFolder.id, logger);
+      foldersToDelete = await getDeletionOrder(targetFolder.id, logger, null, argv.contentType);
       spinner.succeed(`Found ${foldersToDelete.length} folder(s) to delete`);
     } catch (error) {
       spinner.fail('Failed to build folder deletion order');
@@ -342,10 +427,11 @@ async function runDeletion() {
 
     try {
       for (const folder of foldersToDelete) {
-        const emptyStatus = await isFolderEmpty(folder.id, getDataExtensionsInFolder, logger);
+        const emptyStatus = await isFolderEmpty(folder.id, getDataExtensionsInFolder, logger, null, argv.contentType);
         folder.hasContents = !emptyStatus.isEmpty;
         folder.subfolderCount = emptyStatus.subfolderCount;
         folder.dataExtensionCount = emptyStatus.dataExtensionCount;
+        folder.itemCount = emptyStatus.itemCount;
         folder.contents = emptyStatus;
 
         if (!emptyStatus.isEmpty) {
@@ -384,7 +470,9 @@ async function runDeletion() {
 
     if (nonEmptyToProcess.length > 0 && !argv.force) {
       printPreview(filteredFolders, nonEmptyToProcess, false);
-      console.log(chalk.red('\nAborting. Empty folders first or use --force.'));
+      console.log(chalk.red(isDataExtensionContentType(argv.contentType)
+        ? '\nAborting. Empty folders first or use --force.'
+        : '\nAborting. Empty folders first.'));
       process.exit(2);
     }
 
@@ -398,6 +486,25 @@ async function runDeletion() {
     // Show preview
     printPreview(filteredFolders, nonEmptyToProcess, argv.force);
 
+    // Plan mode - record exactly what would be deleted and stop
+    if (argv.plan) {
+      spinner.start('Writing deletion plan...');
+      const { path: planPath, plan } = await writeDeletionPlan(argv.plan, filteredFolders, targetFolder);
+      spinner.succeed(`Plan written: ${planPath}`);
+
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold(`   PLAN WRITTEN - ${plan.items.length} item(s), no changes were made`));
+      console.log(chalk.cyan.bold(`   Apply with: apply ${planPath}`));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.gray(`  Plan hash: ${plan.planHash}`));
+
+      auditLogger.setMetadata('plan', { path: planPath, planHash: plan.planHash });
+      auditLogger.save(0);
+
+      process.exit(0);
+    }
+
     // Dry run check
     if (argv.dryRun) {
       console.log('');
@@ -491,7 +598,7 @@ async function runDeletion() {
       console.log(chalk.gray(`  Deleting folder...`));
 
       try {
-        const result = await deleteFolder(folder.id, logger);
+        const result = await deleteFolder(folder.id, logger, null, argv.contentType);
 
         if (result.success) {
           console.log(chalk.green(`  ✓ Folder deleted`));
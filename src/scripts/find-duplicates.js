@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Duplicate Data Extension Finder Script
+ *
+ * Groups Data Extensions with identical or near-identical field lists and
+ * shows the row count, modified date and dependency count of every copy, so
+ * the one to keep can be picked. Read-only.
+ *
+ * Usage:
+ *   node src/scripts/find-duplicates.js [options]
+ *   node src/scripts/find-duplicates.js --folder "Data Extensions/Campaigns" --threshold 0.9
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { findFolder, getSubfolders } from '../lib/folder-service.js';
+import { findDuplicateDataExtensions, formatDuplicateReport, exportDuplicatesToCsv } from '../lib/duplicate-finder.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('business-unit', {
+    alias: 'bu',
+    describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+    type: 'string'
+  })
+  .option('folder', {
+    alias: 'f',
+    describe: 'Only check DEs in this folder path or name (includes subfolders)',
+    type: 'string'
+  })
+  .option('include-pattern', {
+    describe: 'Regex pattern for DE names to include',
+    type: 'string'
+  })
+  .option('exclude-pattern', {
+    describe: 'Regex pattern for DE names to exclude',
+    type: 'string'
+  })
+  .option('threshold', {
+    describe: 'Minimum schema similarity for near duplicates (0-1; 1 = exact duplicates only)',
+    type: 'number',
+    default: 0.8
+  })
+  .option('min-fields', {
+    describe: 'Ignore DEs with fewer fields than this',
+    type: 'number',
+    default: 2
+  })
+  .option('output', {
+    alias: 'o',
+    describe: 'Output file path (.json or .csv; default: audit/duplicates-<timestamp>.json)',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh of cached SFMC data',
+    type: 'boolean',
+    default: false
+  })
+  .option('incremental', {
+    describe: 'Refresh cached SFMC data with only the objects modified since it was loaded',
+    type: 'boolean',
+    default: false
+  })
+  .option('verbose', {
+    alias: 'v',
+    describe: 'Show detailed progress',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (!(argv.threshold > 0 && argv.threshold <= 1)) {
+      throw new Error('--threshold must be greater than 0 and at most 1');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0', 'Find duplicate DEs in the default BU')
+  .example('$0 --folder "Campaigns" --threshold 1', 'Exact duplicates in one folder tree')
+  .example('$0 --include-pattern "^Campaign_" --output duplicates.csv', 'Export campaign duplicates to CSV')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('find-duplicates');
+
+/**
+ * Main duplicate search function
+ */
+async function runDuplicateSearch() {
+  const startTime = Date.now();
+  const accountId = argv.businessUnit || null;
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Duplicate Data Extension Finder'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(`  Business Unit: ${chalk.yellow(accountId || config.sfmc.accountId)}`);
+  if (argv.folder) console.log(`  Folder: ${chalk.yellow(argv.folder)}`);
+  console.log(`  Threshold: ${chalk.yellow(argv.threshold)}`);
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  let spinner = ora('Testing SFMC connection...').start();
+  const connResult = await testConnection(logger, accountId);
+  if (!connResult.success) {
+    spinner.fail(`Connection failed: ${connResult.error}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+  try {
+    let folderIds = null;
+    if (argv.folder) {
+      spinner = ora('Finding folder...').start();
+      const targetFolder = await findFolder(argv.folder, logger, accountId);
+      if (!targetFolder) {
+        spinner.fail(`Folder not found: ${argv.folder}`);
+        process.exit(2);
+      }
+
+      const subfolders = await getSubfolders(targetFolder.id, true, logger, accountId);
+      folderIds = [targetFolder.id, ...subfolders.map(folder => folder.id)];
+      spinner.succeed(`Found folder: ${targetFolder.path || targetFolder.name} (${folderIds.length} folder(s))`);
+    }
+
+    spinner = ora('Loading SFMC metadata...').start();
+    const result = await findDuplicateDataExtensions({
+      accountId,
+      folderIds,
+      includePattern: argv.includePattern,
+      excludePattern: argv.excludePattern,
+      threshold: argv.threshold,
+      minFields: argv.minFields,
+      forceRefresh: argv.refreshCache,
+      incremental: argv.incremental,
+      logger: argv.verbose ? logger : null,
+      onProgress: (stage, current, total) => {
+        if (stage.startsWith('loading-')) {
+          spinner.text = `Loading ${stage.replace('loading-', '')}: ${current}/${total}`;
+        } else if (stage === 'schemas') {
+          spinner.text = `Reading fields: ${current}/${total}`;
+        } else if (stage === 'details') {
+          spinner.text = `Counting rows: ${current}/${total}`;
+        }
+      }
+    });
+
+    const { summary } = result;
+    if (result.groups.length === 0) {
+      spinner.succeed(`Checked ${summary.schemasRead} Data Extension(s): no duplicates`);
+    } else {
+      spinner.warn(`Checked ${summary.schemasRead} Data Extension(s): ${summary.exactGroups} exact and ${summary.nearGroups} near-duplicate group(s)`);
+    }
+
+    console.log(formatDuplicateReport(result));
+
+    // Write report
+    const timestamp = dayjs().format('YYYYMMDD-HHmmss');
+    const outputPath = argv.output
+      ? path.resolve(argv.output)
+      : path.join(config.paths.audit, `duplicates-${timestamp}.json`);
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    if (outputPath.toLowerCase().endsWith('.csv')) {
+      fs.writeFileSync(outputPath, exportDuplicatesToCsv(result));
+    } else {
+      fs.writeFileSync(outputPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        businessUnit: accountId || config.sfmc.accountId,
+        folder: argv.folder || null,
+        ...result
+      }, null, 2));
+    }
+
+    console.log('');
+    console.log(chalk.green(`✓ Saved: ${outputPath}`));
+
+    logger.debug(`Duplicate search: ${summary.exactGroups} exact, ${summary.nearGroups} near group(s) in ${summary.schemasRead} DE(s)`);
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+  } catch (error) {
+    if (spinner) spinner.fail('Duplicate search failed');
+    logger.error(`Duplicate search failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Run duplicate search
+runDuplicateSearch();
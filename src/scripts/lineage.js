@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Column Lineage Script
+ *
+ * Builds a field-level lineage graph from Query Activity SQL:
+ * for each target DE field, which source DE fields feed it and
+ * through which Query Activity.
+ *
+ * Outputs JSON, Mermaid and Graphviz DOT files.
+ *
+ * Usage:
+ *   node src/scripts/lineage.js [options]
+ *   node src/scripts/lineage.js --de "Customer_Master" --field "Email" --direction upstream
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { loadAllSfmcData } from '../lib/bulk-data-loader.js';
+import { profileOption } from '../lib/cli-helpers.js';
+import {
+  buildLineageGraph,
+  loadFieldsForDataExtensions,
+  traceLineage,
+  toMermaid,
+  toDot,
+  describeFieldOrigin
+} from '../lib/lineage-analyzer.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('business-unit', {
+    alias: 'bu',
+    describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+    type: 'string'
+  })
+  .option('de', {
+    describe: 'Focus on a single Data Extension (by name)',
+    type: 'string'
+  })
+  .option('field', {
+    describe: 'Focus on a single field of --de',
+    type: 'string'
+  })
+  .option('direction', {
+    describe: 'Which side of the focus to include',
+    type: 'string',
+    choices: ['upstream', 'downstream', 'both'],
+    default: 'both'
+  })
+  .option('depth', {
+    describe: 'Maximum hops from the focus (0 = unlimited)',
+    type: 'number',
+    default: 0
+  })
+  .option('format', {
+    describe: 'Output format',
+    type: 'string',
+    choices: ['json', 'mermaid', 'dot', 'all'],
+    default: 'all'
+  })
+  .option('output', {
+    alias: 'o',
+    describe: 'Output file path without extension (default: audit/lineage-<timestamp>)',
+    type: 'string'
+  })
+  .option('resolve-columns', {
+    describe: 'Load DE fields to attribute unqualified columns in multi-table queries',
+    type: 'boolean',
+    default: true
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh of cached SFMC data',
+    type: 'boolean',
+    default: false
+  })
+  .option('incremental', {
+    describe: 'Refresh cached SFMC data with only the objects modified since it was loaded',
+    type: 'boolean',
+    default: false
+  })
+  .option('verbose', {
+    alias: 'v',
+    describe: 'Show detailed progress',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (argv.field && !argv.de) {
+      throw new Error('--field requires --de');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0', 'Full lineage graph for the Business Unit')
+  .example('$0 --de "Customer_Master" --field "Email" --direction upstream', 'Where does Customer_Master.Email come from?')
+  .example('$0 --de "Orders" --direction downstream --format mermaid', 'Which fields does Orders feed?')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('lineage');
+
+/**
+ * Write the graph in the requested formats
+ * @param {object} graph - Lineage graph
+ * @param {string} basePath - Output path without extension
+ * @returns {string[]} Written file paths
+ */
+function writeOutputs(graph, basePath) {
+  const dir = path.dirname(basePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const written = [];
+  const formats = argv.format === 'all' ? ['json', 'mermaid', 'dot'] : [argv.format];
+
+  for (const format of formats) {
+    let filePath;
+    let content;
+
+    if (format === 'json') {
+      filePath = `${basePath}.json`;
+      content = JSON.stringify({
+        ...graph,
+        options: {
+          businessUnit: argv.businessUnit || config.sfmc.accountId,
+          de: argv.de || null,
+          field: argv.field || null,
+          direction: argv.direction,
+          depth: argv.depth
+        }
+      }, null, 2);
+    } else if (format === 'mermaid') {
+      filePath = `${basePath}.mmd`;
+      content = toMermaid(graph);
+    } else {
+      filePath = `${basePath}.dot`;
+      content = toDot(graph);
+    }
+
+    fs.writeFileSync(filePath, content);
+    written.push(filePath);
+  }
+
+  return written;
+}
+
+/**
+ * Main lineage function
+ */
+async function runLineage() {
+  const startTime = Date.now();
+  const accountId = argv.businessUnit || null;
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Column Lineage'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(`  Business Unit: ${chalk.yellow(accountId || config.sfmc.accountId)}`);
+  if (argv.de) {
+    console.log(`  Focus: ${chalk.yellow(argv.field ? `${argv.de}.${argv.field}` : argv.de)} (${argv.direction})`);
+  }
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  let spinner = ora('Testing SFMC connection...').start();
+  const connResult = await testConnection(logger, accountId);
+  if (!connResult.success) {
+    spinner.fail(`Connection failed: ${connResult.error}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+  try {
+    // Load queries (with SQL text) and DEs
+    spinner = ora('Loading SFMC metadata...').start();
+    const bulkData = await loadAllSfmcData({
+      logger: argv.verbose ? logger : null,
+      onProgress: (stage, current, total) => {
+        spinner.text = `Loading ${stage}: ${current}/${total}`;
+      },
+      includeAutomationDetails: false,
+      includeQueryText: true,
+      forceRefresh: argv.refreshCache,
+      incremental: argv.incremental,
+      accountId
+    });
+    const withText = bulkData.queryActivities.filter(q => q.QueryText).length;
+    spinner.succeed(`Loaded ${bulkData.queryActivities.length} queries (${withText} with SQL), ${bulkData.dataExtensions.length} DEs`);
+
+    // Build graph
+    spinner = ora('Parsing query SQL...').start();
+    let graph = buildLineageGraph(bulkData, { logger });
+    spinner.succeed(`Parsed ${graph.summary.queriesAnalyzed} queries into ${graph.summary.edges} field edges`);
+
+    // Attribute unqualified columns using DE field lists
+    if (argv.resolveColumns && graph.ambiguousTables.length > 0) {
+      spinner = ora(`Loading fields for ${graph.ambiguousTables.length} DEs to resolve unqualified columns...`).start();
+      const fieldsByDe = await loadFieldsForDataExtensions(graph.ambiguousTables, bulkData, {
+        logger,
+        accountId,
+        onProgress: (current, total) => {
+          spinner.text = `Loading DE fields: ${current}/${total}`;
+        }
+      });
+      const unresolvedBefore = graph.summary.unresolved;
+      graph = buildLineageGraph(bulkData, { fieldsByDe, logger });
+      spinner.succeed(`Resolved ${unresolvedBefore - graph.summary.unresolved} of ${unresolvedBefore} unqualified columns`);
+    }
+
+    // Focus on a DE/field
+    let outputGraph = graph;
+    if (argv.de) {
+      outputGraph = traceLineage(graph, {
+        dataExtension: argv.de,
+        field: argv.field,
+        direction: argv.direction,
+        maxDepth: argv.depth
+      });
+
+      if (outputGraph.nodes.length === 0) {
+        console.log(chalk.yellow(`\nNo lineage found for ${argv.field ? `${argv.de}.${argv.field}` : argv.de}.`));
+        console.log(chalk.gray('Names are matched as written in query SQL and query targets.'));
+      }
+    }
+
+    // Console summary
+    const summary = outputGraph.summary;
+    console.log('');
+    console.log(chalk.cyan.bold('  LINEAGE SUMMARY'));
+    console.log(chalk.gray('─'.repeat(config.ui.consoleWidth)));
+    console.log(`  Queries analyzed:   ${summary.queriesAnalyzed} (${summary.queriesSkipped} skipped: no SQL or target)`);
+    console.log(`  Data Extensions:    ${summary.dataExtensions}`);
+    console.log(`  Fields:             ${summary.fields}`);
+    console.log(`  Field edges:        ${summary.edges}`);
+    if (outputGraph.unresolved.length > 0) {
+      console.log(chalk.yellow(`  Unresolved columns: ${outputGraph.unresolved.length} (unqualified in multi-table queries)`));
+    }
+
+    if (argv.de && argv.field && argv.direction !== 'downstream') {
+      const lines = describeFieldOrigin(graph, argv.de, argv.field, argv.depth);
+      console.log('');
+      console.log(chalk.cyan.bold(`  Where does ${argv.de}.${argv.field} come from?`));
+      if (lines.length === 0) {
+        console.log(chalk.gray('  No upstream Query Activity writes this field.'));
+      } else {
+        lines.slice(0, config.ui.maxItemsToDisplay).forEach(line => console.log(`  ${line}`));
+        if (lines.length > config.ui.maxItemsToDisplay) {
+          console.log(chalk.gray(`  ... and ${lines.length - config.ui.maxItemsToDisplay} more (see JSON output)`));
+        }
+      }
+    }
+
+    // Write outputs
+    const timestamp = dayjs().format('YYYYMMDD-HHmmss');
+    const basePath = argv.output
+      ? path.resolve(argv.output.replace(/\.(json|mmd|dot)$/i, ''))
+      : path.join(config.paths.audit, `lineage-${timestamp}`);
+    const written = writeOutputs(outputGraph, basePath);
+
+    console.log('');
+    written.forEach(filePath => console.log(chalk.green(`✓ Saved: ${filePath}`)));
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+  } catch (error) {
+    if (spinner) spinner.fail('Lineage analysis failed');
+    logger.error(`Lineage analysis failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Run lineage
+runLineage();
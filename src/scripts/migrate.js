@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Migrate Script
+ *
+ * Copies a folder from one Business Unit to another: the folder tree, its
+ * Data Extensions (schema, optionally rows), the Query Activities that load
+ * those DEs (pointed at the new DEs) and the filter activities between them.
+ * Objects that already exist in the target BU are reused, never changed.
+ * Writes a mapping file with the source and target keys and IDs of every object.
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to create objects.
+ *
+ * Usage:
+ *   node src/scripts/migrate.js --folder "Data Extensions/Spring Campaign" --target-bu 100001
+ *   node src/scripts/migrate.js --folder "Spring Campaign" --source-bu 100002 --target-bu 100001 --include-data --confirm
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig, isBusinessUnitAllowed } from '../config/index.js';
+import { createLogger, createAuditLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { sendWebhook } from '../lib/sfmc-rest.js';
+import { findFolder, findSimilarFolders, clearFolderCache } from '../lib/folder-service.js';
+import {
+  MigrationAction,
+  MigrationStatus,
+  planMigration,
+  countMigrationCreates,
+  migrateFolder,
+  migrateDataExtension,
+  copyDataExtensionRows,
+  migrateQuery,
+  migrateFilter,
+  buildMigrationMapping,
+  writeMigrationMapping
+} from '../lib/migration-service.js';
+import { sleep } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('folder', {
+    alias: 'f',
+    describe: 'Source folder path or name (subfolders included)',
+    type: 'string',
+    demandOption: true
+  })
+  .option('source-bu', {
+    describe: 'Source Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+    type: 'string'
+  })
+  .option('target-bu', {
+    describe: 'Target Business Unit MID',
+    type: 'string',
+    demandOption: true
+  })
+  .option('target-folder', {
+    describe: 'Folder path the source folder becomes in the target BU (defaults to the source path)',
+    type: 'string'
+  })
+  .option('include-data', {
+    describe: 'Copy the rows of each created DE',
+    type: 'boolean',
+    default: false
+  })
+  .option('skip-queries', {
+    describe: 'Do not migrate the Query Activities that load the DEs',
+    type: 'boolean',
+    default: false
+  })
+  .option('skip-filters', {
+    describe: 'Do not migrate filter activities between the DEs',
+    type: 'boolean',
+    default: false
+  })
+  .option('output', {
+    alias: 'o',
+    describe: 'Mapping file path (default: audit/migration-<source>-to-<target>-<timestamp>.json)',
+    type: 'string'
+  })
+  .option('dry-run', {
+    describe: 'Preview only, no changes (DEFAULT)',
+    type: 'boolean',
+    default: true
+  })
+  .option('confirm', {
+    describe: 'Enable actual creation (still requires confirmation)',
+    type: 'boolean',
+    default: false
+  })
+  .option('non-interactive', {
+    describe: 'Non-interactive mode for scheduled execution',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm-phrase', {
+    describe: 'Confirmation phrase for non-interactive mode',
+    type: 'string'
+  })
+  .option('webhook-url', {
+    describe: 'URL to POST results to when complete',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh folder caches from SFMC API',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    const sourceBu = String(argv.sourceBu || config.sfmc.accountId || '');
+    if (sourceBu === String(argv.targetBu)) {
+      throw new Error('--target-bu must differ from the source Business Unit');
+    }
+
+    // If --confirm is used, dry-run should be false
+    if (argv.confirm) {
+      argv.dryRun = false;
+    }
+
+    if (argv.nonInteractive && argv.confirm && !argv.confirmPhrase) {
+      throw new Error('--non-interactive with --confirm requires --confirm-phrase');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0 --folder "Data Extensions/Spring Campaign" --target-bu 100001', 'Preview copying a campaign folder to another BU')
+  .example('$0 --folder "Spring Campaign" --target-bu 100001 --target-folder "Data Extensions/Campaigns/Spring" --confirm', 'Copy it to a different folder')
+  .example('$0 --folder "Lookups" --target-bu 100001 --include-data --confirm', 'Copy the DEs with their rows')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('migrate');
+const auditLogger = createAuditLogger('migrate');
+
+// Plan item markers
+const MARKERS = {
+  [MigrationAction.CREATE]: chalk.green('+'),
+  [MigrationAction.EXISTS]: chalk.gray('='),
+  [MigrationAction.SKIP]: chalk.yellow('○')
+};
+
+/**
+ * Get confirmation from user
+ * @param {number} count - Number of objects to create
+ * @param {string} targetBu - Target BU MID
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function getConfirmation(count, targetBu) {
+  const expectedPhrase = `MIGRATE ${count} OBJECT${count === 1 ? '' : 'S'} TO BU ${targetBu}`;
+
+  if (argv.nonInteractive) {
+    if (argv.confirmPhrase === expectedPhrase) {
+      return true;
+    }
+    console.log(chalk.red(`Confirmation phrase mismatch. Expected: "${expectedPhrase}"`));
+    return false;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `Type '${expectedPhrase}' to confirm:`
+    }
+  ]);
+
+  return answers.confirmation === expectedPhrase;
+}
+
+/**
+ * Print one section of the plan
+ * @param {string} title - Section title
+ * @param {object[]} items - Plan items
+ * @param {function} describe - item => text
+ */
+function printSection(title, items, describe) {
+  if (items.length === 0) return;
+
+  console.log('');
+  console.log(chalk.cyan.bold(`  ${title} (${items.length})`));
+  console.log(chalk.gray('─'.repeat(config.ui.consoleWidth)));
+
+  for (const item of items.slice(0, config.ui.maxItemsToDisplay)) {
+    console.log(`  ${MARKERS[item.action]} ${describe(item)}`);
+    if (item.reason) {
+      console.log(chalk.gray(`      ${item.reason}`));
+    }
+  }
+  if (items.length > config.ui.maxItemsToDisplay) {
+    console.log(chalk.gray(`  ... and ${items.length - config.ui.maxItemsToDisplay} more`));
+  }
+}
+
+/**
+ * Print the migration plan
+ * @param {object} plan - planMigration() result
+ */
+function printPlan(plan) {
+  console.log('');
+  console.log(chalk.gray(`  ${MARKERS.create} create   ${MARKERS.exists} already in the target BU (reused)   ${MARKERS.skip} skipped`));
+
+  printSection('FOLDERS', plan.folders, item => item.targetPath);
+  printSection('DATA EXTENSIONS', plan.dataExtensions, item =>
+    `${item.name}${item.targetKey !== item.sourceKey ? chalk.gray(` -> ${item.targetKey}`) : ''}`);
+  printSection('QUERY ACTIVITIES', plan.queries, item => {
+    const warning = item.missingTables.length > 0
+      ? chalk.yellow(`  (reads ${item.missingTables.join(', ')}, not in the target BU)`)
+      : '';
+    return `${item.name} ${chalk.gray(`-> ${item.dataExtension.targetKey}`)}${warning}`;
+  });
+  printSection('FILTER ACTIVITIES', plan.filters, item =>
+    `${item.name} ${chalk.gray(`(${item.dataExtension.name} -> ${item.destination?.name || '?'})`)}`);
+}
+
+/**
+ * Record the outcome of one created object
+ * @param {string} type - Object type
+ * @param {object} item - Plan item
+ * @param {string} label - Name shown in the console
+ * @returns {boolean} True if created
+ */
+function reportOutcome(type, item, label) {
+  const details = { type, name: label, sourceKey: item.sourceKey || null };
+
+  if (item.status === MigrationStatus.CREATED) {
+    console.log(chalk.green(`  ✓ ${type}: ${label}`));
+    auditLogger.addSuccess(details);
+    return true;
+  }
+  if (item.status === MigrationStatus.SKIPPED) {
+    console.log(chalk.yellow(`  ○ ${type}: ${label} - ${item.error}`));
+    auditLogger.addSkipped(details, item.error);
+    return false;
+  }
+
+  console.log(chalk.red(`  ✗ ${type}: ${label} - ${item.error}`));
+  auditLogger.addFailure(details, item.error);
+  return false;
+}
+
+/**
+ * Main migration function
+ */
+async function runMigration() {
+  const startTime = Date.now();
+  const sourceBu = String(argv.sourceBu || config.sfmc.accountId);
+  const targetBu = String(argv.targetBu);
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Migrate'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  if (!isBusinessUnitAllowed(targetBu)) {
+    console.log(chalk.red(`Business Unit ${targetBu} is not in ALLOWED_BUSINESS_UNITS`));
+    process.exit(1);
+  }
+
+  console.log(`MODE: ${argv.dryRun ? chalk.yellow('DRY RUN (Preview Only)') : chalk.red.bold('LIVE MIGRATION')}`);
+  console.log(`Source: BU ${chalk.yellow(sourceBu)} ${argv.folder}`);
+  console.log(`Target: BU ${chalk.yellow(targetBu)}${argv.targetFolder ? ` ${argv.targetFolder}` : ''}`);
+  console.log('');
+
+  auditLogger.setOptions({
+    folder: argv.folder,
+    sourceBu,
+    targetBu,
+    targetFolder: argv.targetFolder || null,
+    includeData: argv.includeData,
+    skipQueries: argv.skipQueries,
+    skipFilters: argv.skipFilters,
+    dryRun: argv.dryRun
+  });
+
+  let spinner = null;
+
+  try {
+    spinner = ora('Testing SFMC connection...').start();
+    for (const accountId of [sourceBu, targetBu]) {
+      const connResult = await testConnection(logger, accountId);
+      if (!connResult.success) {
+        spinner.fail(`Connection to BU ${accountId} failed: ${connResult.error}`);
+        auditLogger.save(1);
+        process.exit(1);
+      }
+    }
+    spinner.succeed(`Connected to BU ${sourceBu} and BU ${targetBu}`);
+
+    if (argv.refreshCache) {
+      spinner.start('Clearing folder caches...');
+      await clearFolderCache(logger, sourceBu);
+      await clearFolderCache(logger, targetBu);
+      spinner.succeed('Folder caches cleared');
+    }
+
+    spinner.start('Finding folder...');
+    const sourceFolder = await findFolder(argv.folder, logger, sourceBu);
+    if (!sourceFolder) {
+      spinner.fail(`Folder not found in BU ${sourceBu}`);
+
+      const suggestions = await findSimilarFolders(argv.folder, logger, sourceBu);
+      if (suggestions.length > 0) {
+        console.log(chalk.yellow('\nDid you mean one of these?'));
+        suggestions.forEach(s => {
+          console.log(chalk.gray(`  - ${s.path}`));
+        });
+      }
+      auditLogger.save(2);
+      process.exit(2);
+    }
+    spinner.succeed(`Found folder: ${sourceFolder.path} (ID: ${sourceFolder.id})`);
+
+    spinner.start('Planning migration...');
+    const plan = await planMigration(sourceFolder, {
+      targetFolderPath: argv.targetFolder || sourceFolder.path,
+      sourceAccountId: sourceBu,
+      targetAccountId: targetBu,
+      includeQueries: !argv.skipQueries,
+      includeFilters: !argv.skipFilters,
+      logger,
+      onProgress: (message) => { spinner.text = message; }
+    });
+    const creates = countMigrationCreates(plan);
+    spinner.succeed(`${creates.total} object(s) to create in BU ${targetBu}`);
+
+    printPlan(plan);
+
+    const mappingPath = path.resolve(argv.output ||
+      path.join(config.paths.audit, `migration-${sourceBu}-to-${targetBu}-${dayjs().format('YYYYMMDD-HHmmss')}.json`));
+    const mappingMetadata = { dryRun: argv.dryRun, includeData: argv.includeData };
+
+    auditLogger.setPreExecutionState({ source: plan.source, target: plan.target, creates });
+
+    if (creates.total === 0) {
+      writeMigrationMapping(buildMigrationMapping(plan, mappingMetadata), mappingPath);
+      console.log(chalk.green(`\nEverything already exists in BU ${targetBu}.`));
+      console.log(chalk.gray(`Mapping file: ${mappingPath}`));
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    if (argv.dryRun) {
+      writeMigrationMapping(buildMigrationMapping(plan, mappingMetadata), mappingPath);
+
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold('   DRY RUN COMPLETE - No changes were made'));
+      console.log(chalk.cyan.bold('   Use --confirm to create these objects'));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.gray(`Planned mapping: ${mappingPath}`));
+
+      auditLogger.setMetadata('dryRun', true);
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    const confirmed = await getConfirmation(creates.total, targetBu);
+    if (!confirmed) {
+      console.log(chalk.yellow('\nMigration cancelled.'));
+      auditLogger.setMetadata('cancelled', true);
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    const results = { created: 0, failed: 0, skipped: 0 };
+    const tally = (created, item) => {
+      if (created) results.created++;
+      else if (item.status === MigrationStatus.SKIPPED) results.skipped++;
+      else results.failed++;
+    };
+
+    console.log('');
+    console.log(chalk.bold(`Creating objects in BU ${targetBu}...`));
+
+    for (const item of plan.folders.filter(f => f.action === MigrationAction.CREATE)) {
+      await migrateFolder(item, targetBu, logger);
+      tally(reportOutcome('Folder', item, item.targetPath), item);
+    }
+
+    const dataDir = path.join(config.paths.backup, dayjs().format('YYYYMMDD-HHmmss'));
+    for (const item of plan.dataExtensions.filter(de => de.action === MigrationAction.CREATE)) {
+      await migrateDataExtension(item, targetBu, logger);
+      const created = reportOutcome('Data Extension', item, item.name);
+      tally(created, item);
+
+      if (created && argv.includeData) {
+        const rows = await copyDataExtensionRows(item, dataDir, { sourceAccountId: sourceBu, targetAccountId: targetBu, logger });
+        item.rows = { copied: rows.created, failed: rows.failed, ...(rows.error ? { error: rows.error } : {}) };
+        if (rows.success) {
+          console.log(chalk.green(`      ${rows.created} row(s) copied`));
+        } else {
+          console.log(chalk.red(`      Rows: ${rows.created} copied, ${rows.failed} failed${rows.error ? ` - ${rows.error}` : ''}`));
+          auditLogger.addFailure({ type: 'Rows', name: item.name, sourceKey: item.sourceKey }, rows.error || `${rows.failed} row(s) failed`);
+        }
+      }
+
+      await sleep(config.safety.apiRateLimitDelayMs);
+    }
+
+    for (const item of plan.queries.filter(q => q.action === MigrationAction.CREATE)) {
+      await migrateQuery(item, targetBu, logger);
+      tally(reportOutcome('Query', item, item.name), item);
+      await sleep(config.safety.apiRateLimitDelayMs);
+    }
+
+    for (const item of plan.filters.filter(f => f.action === MigrationAction.CREATE)) {
+      await migrateFilter(item, { sourceAccountId: sourceBu, targetAccountId: targetBu, logger });
+      tally(reportOutcome('Filter', item, item.name), item);
+      await sleep(config.safety.apiRateLimitDelayMs);
+    }
+
+    writeMigrationMapping(buildMigrationMapping(plan, mappingMetadata), mappingPath);
+    auditLogger.setMetadata('mappingFile', mappingPath);
+
+    const exitCode = results.failed > 0 ? 1 : 0;
+    const auditPath = auditLogger.save(exitCode);
+
+    console.log('');
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(chalk.cyan.bold('  MIGRATION COMPLETE'));
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(`  Created: ${chalk.green(results.created)}`);
+    console.log(`  Failed: ${results.failed > 0 ? chalk.red(results.failed) : '0'}`);
+    console.log(`  Skipped: ${results.skipped}`);
+    console.log(`  Mapping File: ${mappingPath}`);
+    console.log(`  Audit Log: ${auditPath}`);
+
+    // Send webhook if configured
+    const webhookUrl = argv.webhookUrl || config.webhook.url;
+    if (webhookUrl) {
+      await sendWebhook(webhookUrl, {
+        operation: 'migrate',
+        operationId: auditLogger.operationId,
+        sourceBusinessUnit: sourceBu,
+        targetBusinessUnit: targetBu,
+        folder: sourceFolder.path,
+        results,
+        completedAt: new Date().toISOString()
+      }, logger);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    if (spinner) spinner.fail('Migration failed');
+    logger.error(`Migration failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    auditLogger.save(1);
+    process.exit(1);
+  }
+}
+
+// Run migration
+runMigration();
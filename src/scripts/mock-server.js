@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Mock Server
+ *
+ * Runs a local stand-in for the SFMC auth, SOAP and REST APIs, seeded from a
+ * fixture file. Point the toolkit at it (env vars or a profile) to rehearse
+ * audits, deletions and restores without touching a real tenant. All changes
+ * are kept in memory and lost when the server stops.
+ *
+ * Usage:
+ *   node src/scripts/mock-server.js [--port 4050] [--fixture fixtures/mock-tenant.json]
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+
+import config from '../config/index.js';
+import { createLogger } from '../lib/logger.js';
+import { createMockServer } from '../lib/mock-server.js';
+
+const DEFAULT_FIXTURE = path.join(config.paths.root, 'fixtures', 'mock-tenant.json');
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('port', {
+    alias: 'p',
+    describe: 'Port to listen on',
+    type: 'number',
+    default: 4050
+  })
+  .option('host', {
+    describe: 'Interface to bind',
+    type: 'string',
+    default: '127.0.0.1'
+  })
+  .option('fixture', {
+    alias: 'f',
+    describe: 'Fixture file with the seeded tenant',
+    type: 'string',
+    default: DEFAULT_FIXTURE
+  })
+  .option('latency', {
+    describe: 'Delay added to every response (ms)',
+    type: 'number',
+    default: 0
+  })
+  .option('page-size', {
+    describe: 'SOAP Retrieve page size (overrides the fixture, use small values to exercise paging)',
+    type: 'number'
+  })
+  .option('verbose', {
+    alias: 'v',
+    describe: 'Log every request',
+    type: 'boolean',
+    default: false
+  })
+  .check((args) => {
+    if (!fs.existsSync(args.fixture)) {
+      throw new Error(`Fixture file not found: ${args.fixture}`);
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0', 'Serve the bundled fixture on http://127.0.0.1:4050')
+  .example('$0 --fixture my-tenant.json --page-size 2', 'Serve a custom fixture with tiny SOAP pages')
+  .parseSync();
+
+const logger = createLogger('mock-server');
+
+/**
+ * Start the server and print how to point the toolkit at it
+ */
+async function main() {
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(argv.fixture, 'utf8'));
+  } catch (error) {
+    console.log(chalk.red(`Invalid fixture file: ${error.message}`));
+    process.exit(1);
+  }
+
+  if (argv.pageSize) {
+    fixture.pageSize = argv.pageSize;
+  }
+
+  const server = createMockServer({
+    fixture,
+    port: argv.port,
+    host: argv.host,
+    latencyMs: argv.latency,
+    logger: argv.verbose ? { debug: (msg) => console.log(chalk.gray(`  ${msg}`)), error: (msg) => logger.error(msg) } : logger
+  });
+
+  let url;
+  try {
+    url = await server.start();
+  } catch (error) {
+    console.log(chalk.red(`Could not start the mock server: ${error.message}`));
+    process.exit(1);
+  }
+
+  const firstBu = fixture.businessUnits?.[0]?.ID || Object.keys(fixture.accounts || {})[0] || '';
+  const credentials = fixture.credentials || { clientId: 'any', clientSecret: 'any' };
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Mock Server'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(`  Listening: ${chalk.green(url)}`);
+  console.log(`  Fixture: ${chalk.yellow(argv.fixture)}`);
+  console.log(`  Business Units: ${chalk.yellow(Object.keys(fixture.accounts || {}).join(', '))}`);
+  console.log('');
+  console.log(chalk.bold('  Point the toolkit at it with these settings (.env or a profile):'));
+  console.log('');
+  console.log(`    SFMC_CLIENT_ID=${credentials.clientId}`);
+  console.log(`    SFMC_CLIENT_SECRET=${credentials.clientSecret}`);
+  console.log(`    SFMC_ACCOUNT_ID=${firstBu}`);
+  console.log(`    SFMC_AUTH_URL=${url}`);
+  console.log(`    SFMC_SOAP_URL=${url}/Service.asmx`);
+  console.log(`    SFMC_REST_URL=${url}`);
+  console.log(`    API_RATE_LIMIT_DELAY_MS=0`);
+  console.log(`    API_REQUESTS_PER_SECOND=0`);
+  console.log('');
+  console.log(chalk.gray('  Or as a profile in profiles.json, then run commands with --profile mock:'));
+  console.log(chalk.gray(`    "mock": { "clientId": "${credentials.clientId}", "clientSecret": "${credentials.clientSecret}", "accountId": "${firstBu}",`));
+  console.log(chalk.gray(`              "authUrl": "${url}", "soapUrl": "${url}/Service.asmx", "restUrl": "${url}" }`));
+  console.log('');
+  console.log(chalk.gray(`  State: GET ${url}/__mock/state    Reset: POST ${url}/__mock/reset`));
+  console.log(chalk.gray('  Press Ctrl+C to stop.'));
+  console.log('');
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  logger.error(`Mock server failed: ${error.message}`);
+  console.error(chalk.red(`Mock server failed: ${error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Move Data Extensions Script
+ *
+ * Moves the Data Extensions in one folder into another folder, optionally
+ * narrowed by name patterns. Subfolders of the source folder are left alone.
+ * An undo script that moves the DEs back is written before any DE is moved.
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to move the DEs.
+ *
+ * Usage:
+ *   node src/scripts/move-des.js --from "Path/To/Source" --to "Path/To/Target" [options]
+ *   node src/scripts/move-des.js --from "Data Extensions/Imports" --to "Data Extensions/Archive" --include-pattern "^2019_" --confirm
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import path from 'path';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger, createAuditLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { findSimilarFolders, clearFolderCache, findFolder } from '../lib/folder-service.js';
+import { getDataExtensionsInFolder, moveDataExtension, filterByPattern } from '../lib/data-extension-service.js';
+import { planDataExtensionMoves, generateMoveUndoScript } from '../lib/move-service.js';
+import { sendWebhook } from '../lib/sfmc-rest.js';
+import { sleep } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 --from <path> --to <path> [options]')
+  .option('from', {
+    describe: 'Folder path or name to move Data Extensions out of',
+    type: 'string',
+    demandOption: true
+  })
+  .option('to', {
+    describe: 'Folder path or name to move them into',
+    type: 'string',
+    demandOption: true
+  })
+  .option('include-pattern', {
+    describe: 'Regex pattern for DE names to include',
+    type: 'string'
+  })
+  .option('exclude-pattern', {
+    describe: 'Regex pattern for DE names to exclude',
+    type: 'string'
+  })
+  .option('dry-run', {
+    describe: 'Preview only, no moves (DEFAULT)',
+    type: 'boolean',
+    default: true
+  })
+  .option('confirm', {
+    describe: 'Enable actual moves (still requires confirmation)',
+    type: 'boolean',
+    default: false
+  })
+  .option('non-interactive', {
+    describe: 'Non-interactive mode for scheduled execution',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm-phrase', {
+    describe: 'Confirmation phrase for non-interactive mode',
+    type: 'string'
+  })
+  .option('webhook-url', {
+    describe: 'URL to POST results to when complete',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh folder cache from SFMC API',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    // If --confirm is used, dry-run should be false
+    if (argv.confirm) {
+      argv.dryRun = false;
+    }
+
+    if (argv.nonInteractive && argv.confirm && !argv.confirmPhrase) {
+      throw new Error('--non-interactive with --confirm requires --confirm-phrase');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0 --from "Data Extensions/Imports" --to "Data Extensions/Archive"', 'Preview moving every DE in Imports')
+  .example('$0 --from "Imports" --to "Archive" --include-pattern "^2019_" --confirm', 'Move the 2019 DEs')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('move-des');
+const auditLogger = createAuditLogger('move-des');
+
+/**
+ * Get confirmation from user
+ * @param {number} count - Number of DEs to move
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function getConfirmation(count) {
+  const expectedPhrase = `MOVE ${count} DATA EXTENSION${count === 1 ? '' : 'S'}`;
+
+  if (argv.nonInteractive) {
+    if (argv.confirmPhrase === expectedPhrase) {
+      return true;
+    }
+    console.log(chalk.red(`Confirmation phrase mismatch. Expected: "${expectedPhrase}"`));
+    return false;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `Type '${expectedPhrase}' to confirm:`
+    }
+  ]);
+
+  return answers.confirmation === expectedPhrase;
+}
+
+/**
+ * Find a folder by path or name, suggesting similar folders if it is missing
+ * @param {string} pathOrName - --from or --to value
+ * @param {object} spinner - ora spinner
+ * @returns {Promise<object>} Folder (exits if not found)
+ */
+async function resolveFolder(pathOrName, spinner) {
+  spinner.start(`Finding folder "${pathOrName}"...`);
+  const folder = await findFolder(pathOrName, logger);
+
+  if (!folder) {
+    spinner.fail(`Folder not found: ${pathOrName}`);
+
+    const suggestions = await findSimilarFolders(pathOrName, logger);
+    if (suggestions.length > 0) {
+      console.log(chalk.yellow('\nDid you mean one of these?'));
+      suggestions.forEach(s => {
+        console.log(chalk.gray(`  - ${s.path}`));
+      });
+    }
+
+    auditLogger.save(2);
+    process.exit(2);
+  }
+
+  spinner.succeed(`Found folder: ${folder.path || folder.name} (ID: ${folder.id})`);
+  return folder;
+}
+
+/**
+ * Print the move preview
+ * @param {object[]} moves - Moves from planDataExtensionMoves
+ * @param {object} fromFolder - Source folder
+ * @param {object} toFolder - Target folder
+ */
+function printPreview(moves, fromFolder, toFolder) {
+  const width = config.ui.consoleWidth;
+  const line = '─'.repeat(width);
+  const row = (text) => console.log(chalk.yellow('│') + text.substring(0, width).padEnd(width) + chalk.yellow('│'));
+
+  console.log('');
+  console.log(chalk.yellow(`┌${line}┐`));
+  row(' MOVE PREVIEW');
+  console.log(chalk.yellow(`├${line}┤`));
+  row(` Business Unit: ${config.sfmc.accountId}`);
+  row(` From: ${fromFolder.path || fromFolder.name}`);
+  row(` To: ${toFolder.path || toFolder.name}`);
+  row(` Data Extensions to Move: ${moves.length}`);
+  console.log(chalk.yellow(`├${line}┤`));
+
+  moves.slice(0, config.ui.maxItemsToDisplay).forEach((move, i) => {
+    row(`   ${i + 1}. ${move.name}`);
+  });
+
+  if (moves.length > config.ui.maxItemsToDisplay) {
+    row(`   ... and ${moves.length - config.ui.maxItemsToDisplay} more`);
+  }
+
+  console.log(chalk.yellow(`└${line}┘`));
+  console.log(chalk.gray('\nQueries, imports and sends reference DEs by key, so they keep working after the move.'));
+}
+
+/**
+ * Main move function
+ */
+async function runMove() {
+  const startTime = Date.now();
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Move Data Extensions'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  console.log(`MODE: ${argv.dryRun ? chalk.yellow('DRY RUN (Preview Only)') : chalk.red.bold('LIVE UPDATE')}`);
+  console.log('');
+
+  auditLogger.setOptions({
+    from: argv.from,
+    to: argv.to,
+    includePattern: argv.includePattern || null,
+    excludePattern: argv.excludePattern || null,
+    dryRun: argv.dryRun
+  });
+
+  let spinner = null;
+
+  try {
+    spinner = ora('Testing SFMC connection...').start();
+    const connResult = await testConnection(logger);
+    if (!connResult.success) {
+      spinner.fail(`Connection failed: ${connResult.error}`);
+      auditLogger.save(1);
+      process.exit(1);
+    }
+    spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+    if (argv.refreshCache) {
+      spinner.start('Clearing folder cache...');
+      await clearFolderCache(logger);
+      spinner.succeed('Folder cache cleared');
+    }
+
+    const fromFolder = await resolveFolder(argv.from, spinner);
+    const toFolder = await resolveFolder(argv.to, spinner);
+
+    if (fromFolder.id === toFolder.id) {
+      console.log(chalk.red('\n--from and --to are the same folder.'));
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    for (const folder of [fromFolder, toFolder]) {
+      if (folder.isProtected) {
+        console.log(chalk.red(`\n⚠️  Folder "${folder.path || folder.name}" matches protected patterns.`));
+        auditLogger.save(2);
+        process.exit(2);
+      }
+    }
+
+    spinner.start('Discovering Data Extensions...');
+    const dataExtensions = await getDataExtensionsInFolder(fromFolder.id, logger);
+    dataExtensions.forEach(de => {
+      de.folderPath = fromFolder.path;
+    });
+    spinner.succeed(`Found ${dataExtensions.length} Data Extension(s) in ${fromFolder.path || fromFolder.name}`);
+
+    const { filtered, errors } = filterByPattern(dataExtensions, {
+      include: argv.includePattern,
+      exclude: argv.excludePattern
+    });
+    if (errors.length > 0) {
+      errors.forEach(err => console.log(chalk.red(`  ${err}`)));
+      auditLogger.save(1);
+      process.exit(1);
+    }
+    if (filtered.length !== dataExtensions.length) {
+      console.log(chalk.gray(`  ${filtered.length} of ${dataExtensions.length} DE(s) match the name patterns`));
+    }
+
+    const { moves, skipped } = planDataExtensionMoves(filtered, toFolder);
+
+    for (const { de, reason } of skipped) {
+      auditLogger.addSkipped({ customerKey: de.customerKey, name: de.name }, reason);
+    }
+
+    if (skipped.length > 0) {
+      console.log('');
+      console.log(chalk.gray(`Skipped ${skipped.length} DE(s):`));
+      for (const { de, reason } of skipped.slice(0, config.ui.maxItemsToDisplay)) {
+        console.log(chalk.gray(`  ○ ${de.name}: ${reason}`));
+      }
+      if (skipped.length > config.ui.maxItemsToDisplay) {
+        console.log(chalk.gray(`  ... and ${skipped.length - config.ui.maxItemsToDisplay} more`));
+      }
+    }
+
+    if (moves.length === 0) {
+      console.log(chalk.green('\nNo Data Extensions to move.'));
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    printPreview(moves, fromFolder, toFolder);
+
+    auditLogger.setPreExecutionState({
+      dataExtensions: moves.map(move => ({ customerKey: move.key, name: move.name, folderId: move.before.folderId }))
+    });
+
+    if (argv.dryRun) {
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold('   DRY RUN COMPLETE - No changes were made'));
+      console.log(chalk.cyan.bold('   Use --confirm to move these Data Extensions'));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+
+      auditLogger.setMetadata('dryRun', true);
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    const confirmed = await getConfirmation(moves.length);
+    if (!confirmed) {
+      console.log(chalk.yellow('\nMove cancelled.'));
+      auditLogger.setMetadata('cancelled', true);
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    // Write the undo script BEFORE any move
+    const undoPath = generateMoveUndoScript(moves, config.paths.undo);
+    auditLogger.setMetadata('undoScript', undoPath);
+    console.log(chalk.cyan(`\nUndo script saved to: ${undoPath}`));
+    console.log(chalk.gray(`  (Move them back with: node ${path.relative(process.cwd(), undoPath)}${config.profile ? ` --profile ${config.profile}` : ''} --confirm)`));
+
+    console.log('');
+    console.log(chalk.bold('Moving Data Extensions...'));
+
+    const results = { successful: 0, failed: 0, failedItems: [] };
+
+    for (let i = 0; i < moves.length; i++) {
+      const move = moves[i];
+      console.log(chalk.gray(`[${i + 1}/${moves.length}] ${move.name}...`));
+
+      const result = await moveDataExtension(move.key, move.after.folderId, logger);
+      const item = { customerKey: move.key, name: move.name, from: move.before.folderPath, to: move.after.folderPath };
+
+      if (result.success) {
+        console.log(chalk.green('  ✓ Moved'));
+        results.successful++;
+        auditLogger.addSuccess(item);
+      } else {
+        console.log(chalk.red(`  ✗ Failed: ${result.error}`));
+        results.failed++;
+        results.failedItems.push({ name: move.name, error: result.error });
+        auditLogger.addFailure(item, result.error);
+      }
+
+      await sleep(config.safety.apiRateLimitDelayMs);
+    }
+
+    // Later lookups should see the new folder contents
+    await clearFolderCache();
+
+    const exitCode = results.failed > 0 ? 1 : 0;
+    const auditPath = auditLogger.save(exitCode);
+
+    console.log('');
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(chalk.cyan.bold('  MOVE COMPLETE'));
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(`  To: ${toFolder.path || toFolder.name}`);
+    console.log(`  Moved: ${chalk.green(results.successful)}`);
+    console.log(`  Failed: ${results.failed > 0 ? chalk.red(results.failed) : '0'}`);
+    for (const item of results.failedItems.slice(0, 10)) {
+      console.log(chalk.red(`    • ${item.name} - ${item.error}`));
+    }
+    console.log(`  Skipped: ${skipped.length}`);
+    console.log(`  Undo Script: ${undoPath}`);
+    console.log(`  Audit Log: ${auditPath}`);
+
+    // Send webhook if configured
+    const webhookUrl = argv.webhookUrl || config.webhook.url;
+    if (webhookUrl) {
+      await sendWebhook(webhookUrl, {
+        operation: 'move-des',
+        operationId: auditLogger.operationId,
+        businessUnit: config.sfmc.accountId,
+        from: fromFolder.path,
+        to: toFolder.path,
+        results,
+        completedAt: new Date().toISOString()
+      }, logger);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    if (spinner) spinner.fail('Move failed');
+    logger.error(`Move failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    auditLogger.save(1);
+    process.exit(1);
+  }
+}
+
+// Run move
+runMove();
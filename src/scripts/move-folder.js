@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Move / Rename Folder Script
+ *
+ * Moves a folder (with everything in it) under another folder, or renames it.
+ * Protected folders, top-level folders and moves into the folder's own
+ * subtree are refused. An undo script that reverses the change is written
+ * before the folder is updated.
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to update the folder.
+ *
+ * Usage:
+ *   node src/scripts/move-folder.js --folder "Path/To/Folder" --to "Path/To/New Parent" [options]
+ *   node src/scripts/move-folder.js --folder "Path/To/Folder" --name "New Name" [options]
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import path from 'path';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger, createAuditLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import {
+  FolderContentType,
+  getContentTypeLabel,
+  findSimilarFolders,
+  clearFolderCache,
+  findFolder,
+  checkFolderMove,
+  checkFolderRename,
+  moveFolder,
+  renameFolder
+} from '../lib/folder-service.js';
+import { planFolderChange, generateMoveUndoScript } from '../lib/move-service.js';
+import { sendWebhook } from '../lib/sfmc-rest.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 --folder <path> (--to <path> | --name <name>) [options]')
+  .option('folder', {
+    alias: 'f',
+    describe: 'Folder path or name to move or rename',
+    type: 'string',
+    demandOption: true
+  })
+  .option('to', {
+    describe: 'Folder path or name of the new parent folder',
+    type: 'string'
+  })
+  .option('name', {
+    describe: 'New folder name',
+    type: 'string'
+  })
+  .option('content-type', {
+    describe: 'Folder content type',
+    type: 'string',
+    choices: Object.values(FolderContentType),
+    default: FolderContentType.DATA_EXTENSION
+  })
+  .option('dry-run', {
+    describe: 'Preview only, no changes (DEFAULT)',
+    type: 'boolean',
+    default: true
+  })
+  .option('confirm', {
+    describe: 'Enable the actual update (still requires confirmation)',
+    type: 'boolean',
+    default: false
+  })
+  .option('non-interactive', {
+    describe: 'Non-interactive mode for scheduled execution',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm-phrase', {
+    describe: 'Confirmation phrase for non-interactive mode',
+    type: 'string'
+  })
+  .option('webhook-url', {
+    describe: 'URL to POST results to when complete',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh folder cache from SFMC API',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (!argv.to === !argv.name) {
+      throw new Error('Specify exactly one of --to (move) or --name (rename)');
+    }
+
+    // If --confirm is used, dry-run should be false
+    if (argv.confirm) {
+      argv.dryRun = false;
+    }
+
+    if (argv.nonInteractive && argv.confirm && !argv.confirmPhrase) {
+      throw new Error('--non-interactive with --confirm requires --confirm-phrase');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0 --folder "Data Extensions/Old Campaigns" --to "Data Extensions/Archive"', 'Preview moving a folder')
+  .example('$0 --folder "Data Extensions/Old Campaigns" --name "Campaigns 2019" --confirm', 'Rename a folder')
+  .example('$0 --folder "Query/Legacy" --to "Query/Retired" --content-type queryactivity', 'Move a query folder')
+  .parseSync();
+
+const isRename = Boolean(argv.name);
+const operation = isRename ? 'rename-folder' : 'move-folder';
+
+// Initialize logger
+const logger = createLogger(operation);
+const auditLogger = createAuditLogger(operation);
+
+/**
+ * Get confirmation from user
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function getConfirmation() {
+  const expectedPhrase = isRename ? 'RENAME FOLDER' : 'MOVE FOLDER';
+
+  if (argv.nonInteractive) {
+    if (argv.confirmPhrase === expectedPhrase) {
+      return true;
+    }
+    console.log(chalk.red(`Confirmation phrase mismatch. Expected: "${expectedPhrase}"`));
+    return false;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `Type '${expectedPhrase}' to confirm:`
+    }
+  ]);
+
+  return answers.confirmation === expectedPhrase;
+}
+
+/**
+ * Find a folder by path or name, suggesting similar folders if it is missing
+ * @param {string} pathOrName - --folder or --to value
+ * @param {object} spinner - ora spinner
+ * @returns {Promise<object>} Folder (exits if not found)
+ */
+async function resolveFolder(pathOrName, spinner) {
+  spinner.start(`Finding folder "${pathOrName}"...`);
+  const folder = await findFolder(pathOrName, logger, null, argv.contentType);
+
+  if (!folder) {
+    spinner.fail(`Folder not found: ${pathOrName}`);
+
+    const suggestions = await findSimilarFolders(pathOrName, logger, null, argv.contentType);
+    if (suggestions.length > 0) {
+      console.log(chalk.yellow('\nDid you mean one of these?'));
+      suggestions.forEach(s => {
+        console.log(chalk.gray(`  - ${s.path}`));
+      });
+    }
+
+    auditLogger.save(2);
+    process.exit(2);
+  }
+
+  spinner.succeed(`Found folder: ${folder.path || folder.name} (ID: ${folder.id})`);
+  return folder;
+}
+
+/**
+ * Main move/rename function
+ */
+async function runFolderUpdate() {
+  const startTime = Date.now();
+  const contentType = argv.contentType;
+  const title = isRename ? 'Rename Folder' : 'Move Folder';
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold(`  SFMC ${title}`));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  console.log(`MODE: ${argv.dryRun ? chalk.yellow('DRY RUN (Preview Only)') : chalk.red.bold('LIVE UPDATE')}`);
+  console.log('');
+
+  auditLogger.setOptions({
+    folder: argv.folder,
+    to: argv.to || null,
+    name: argv.name || null,
+    contentType,
+    dryRun: argv.dryRun
+  });
+
+  let spinner = null;
+
+  try {
+    spinner = ora('Testing SFMC connection...').start();
+    const connResult = await testConnection(logger);
+    if (!connResult.success) {
+      spinner.fail(`Connection failed: ${connResult.error}`);
+      auditLogger.save(1);
+      process.exit(1);
+    }
+    spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+    if (argv.refreshCache) {
+      spinner.start('Clearing folder cache...');
+      await clearFolderCache(logger, null, contentType);
+      spinner.succeed('Folder cache cleared');
+    }
+
+    const target = await resolveFolder(argv.folder, spinner);
+
+    let check;
+    let change;
+    if (isRename) {
+      check = await checkFolderRename(target.id, argv.name, logger, null, contentType);
+      change = check.folder && planFolderChange(check.folder, { name: argv.name.trim() }, contentType);
+    } else {
+      const parent = await resolveFolder(argv.to, spinner);
+      check = await checkFolderMove(target.id, parent.id, logger, null, contentType);
+      change = check.folder && planFolderChange(check.folder, { parentFolderId: parent.id }, contentType);
+    }
+
+    const item = { id: target.id, name: target.name, path: target.path, contentType };
+
+    if (!check.ok) {
+      console.log(chalk.red(`\n⚠️  ${check.error}`));
+      auditLogger.addSkipped(item, check.error);
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    console.log('');
+    console.log(chalk.bold(`${title} (${getContentTypeLabel(contentType)} folders)`));
+    console.log(`  Folder: ${check.folder.path}`);
+    if (isRename) {
+      console.log(`  New name: ${chalk.yellow(change.after.name)}`);
+    } else {
+      console.log(`  New parent: ${chalk.yellow(check.parent.path)}`);
+      console.log(`  New path: ${chalk.yellow(`${check.parent.path}/${check.folder.name}`)}`);
+    }
+    console.log(chalk.gray('\nSubfolders and their contents keep their place under the folder.'));
+
+    auditLogger.setPreExecutionState({ folder: { ...item, ...change.before } });
+
+    if (argv.dryRun) {
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold('   DRY RUN COMPLETE - No changes were made'));
+      console.log(chalk.cyan.bold(`   Use --confirm to ${isRename ? 'rename' : 'move'} this folder`));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+
+      auditLogger.setMetadata('dryRun', true);
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    const confirmed = await getConfirmation();
+    if (!confirmed) {
+      console.log(chalk.yellow(`\n${title} cancelled.`));
+      auditLogger.setMetadata('cancelled', true);
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    // Write the undo script BEFORE the update
+    const undoPath = generateMoveUndoScript([change], config.paths.undo);
+    auditLogger.setMetadata('undoScript', undoPath);
+    console.log(chalk.cyan(`\nUndo script saved to: ${undoPath}`));
+    console.log(chalk.gray(`  (Reverse it with: node ${path.relative(process.cwd(), undoPath)}${config.profile ? ` --profile ${config.profile}` : ''} --confirm)`));
+
+    spinner = ora(`${isRename ? 'Renaming' : 'Moving'} folder...`).start();
+    const result = isRename
+      ? await renameFolder(target.id, change.after.name, logger, null, contentType)
+      : await moveFolder(target.id, change.after.parentFolderId, logger, null, contentType);
+
+    if (result.success) {
+      spinner.succeed(isRename ? `Renamed to "${change.after.name}"` : `Moved under "${check.parent.path}"`);
+      auditLogger.addSuccess({ ...item, after: change.after });
+    } else {
+      spinner.fail(`Failed: ${result.error}`);
+      auditLogger.addFailure(item, result.error);
+    }
+
+    const exitCode = result.success ? 0 : 1;
+    const auditPath = auditLogger.save(exitCode);
+
+    console.log('');
+    console.log(`  Undo Script: ${undoPath}`);
+    console.log(`  Audit Log: ${auditPath}`);
+
+    // Send webhook if configured
+    const webhookUrl = argv.webhookUrl || config.webhook.url;
+    if (webhookUrl) {
+      await sendWebhook(webhookUrl, {
+        operation,
+        operationId: auditLogger.operationId,
+        businessUnit: config.sfmc.accountId,
+        contentType,
+        folder: check.folder.path,
+        before: change.before,
+        after: change.after,
+        success: result.success,
+        error: result.error || null,
+        completedAt: new Date().toISOString()
+      }, logger);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    if (spinner) spinner.fail(`${title} failed`);
+    logger.error(`${title} failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    auditLogger.save(1);
+    process.exit(1);
+  }
+}
+
+// Run folder update
+runFolderUpdate();
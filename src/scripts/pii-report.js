@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC PII Report Script
+ *
+ * Lists the Data Extension fields that look like personal data, by category
+ * (email, phone, address, date of birth, national ID), and the PII DEs that
+ * have no retention policy. Optionally samples rows to confirm the fields by
+ * value. Read-only.
+ *
+ * Writes the fields to CSV and the DEs without retention to a second CSV
+ * next to it (or everything to one file with a .json output path).
+ *
+ * Usage:
+ *   node src/scripts/pii-report.js [options]
+ *   node src/scripts/pii-report.js --folder "Data Extensions/Campaigns" --sample 20
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { findFolder, getSubfolders } from '../lib/folder-service.js';
+import { scanPii, formatPiiReport, exportPiiToCsv, exportPiiWithoutRetentionToCsv } from '../lib/pii-scanner.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('business-unit', {
+    alias: 'bu',
+    describe: 'Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+    type: 'string'
+  })
+  .option('folder', {
+    alias: 'f',
+    describe: 'Only scan DEs in this folder path or name (includes subfolders)',
+    type: 'string'
+  })
+  .option('include-pattern', {
+    describe: 'Regex pattern for DE names to include',
+    type: 'string'
+  })
+  .option('exclude-pattern', {
+    describe: 'Regex pattern for DE names to exclude',
+    type: 'string'
+  })
+  .option('sample', {
+    describe: 'Rows to sample per DE to confirm fields by value (0 = field names only)',
+    type: 'number',
+    default: 0
+  })
+  .option('output', {
+    alias: 'o',
+    describe: 'Output file path (.csv or .json; default: audit/pii-report-<timestamp>.csv)',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh of the folder cache',
+    type: 'boolean',
+    default: false
+  })
+  .option('verbose', {
+    alias: 'v',
+    describe: 'Show detailed progress',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (!Number.isInteger(argv.sample) || argv.sample < 0) {
+      throw new Error('--sample must be a whole number of rows (0 or more)');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0', 'List PII fields by name in the default BU')
+  .example('$0 --folder "Campaigns" --sample 20', 'Confirm PII fields in one folder tree from 20 rows per DE')
+  .example('$0 --output gdpr/pii.csv', 'Write the register CSVs to gdpr/')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('pii-report');
+
+/**
+ * Main PII report function
+ */
+async function runPiiReport() {
+  const startTime = Date.now();
+  const accountId = argv.businessUnit || null;
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC PII Report'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(`  Business Unit: ${chalk.yellow(accountId || config.sfmc.accountId)}`);
+  if (argv.folder) console.log(`  Folder: ${chalk.yellow(argv.folder)}`);
+  console.log(`  Sample: ${chalk.yellow(argv.sample > 0 ? `${argv.sample} row(s) per DE` : 'off (field names only)')}`);
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  let spinner = ora('Testing SFMC connection...').start();
+  const connResult = await testConnection(logger, accountId);
+  if (!connResult.success) {
+    spinner.fail(`Connection failed: ${connResult.error}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+  try {
+    let folderIds = null;
+    if (argv.folder) {
+      spinner = ora('Finding folder...').start();
+      const targetFolder = await findFolder(argv.folder, logger, accountId);
+      if (!targetFolder) {
+        spinner.fail(`Folder not found: ${argv.folder}`);
+        process.exit(2);
+      }
+
+      const subfolders = await getSubfolders(targetFolder.id, true, logger, accountId);
+      folderIds = [targetFolder.id, ...subfolders.map(folder => folder.id)];
+      spinner.succeed(`Found folder: ${targetFolder.path || targetFolder.name} (${folderIds.length} folder(s))`);
+    }
+
+    spinner = ora('Loading Data Extensions...').start();
+    const result = await scanPii({
+      accountId,
+      folderIds,
+      includePattern: argv.includePattern,
+      excludePattern: argv.excludePattern,
+      sampleSize: argv.sample,
+      forceRefresh: argv.refreshCache,
+      logger: argv.verbose ? logger : null,
+      onProgress: (stage, current, total) => {
+        if (stage === 'scanning') {
+          spinner.text = `Scanning fields${argv.sample > 0 ? ' and rows' : ''}: ${current}/${total}`;
+        } else if (stage === 'details') {
+          spinner.text = `Counting rows: ${current}/${total}`;
+        }
+      }
+    });
+
+    const { summary } = result;
+    if (summary.piiDataExtensions === 0) {
+      spinner.succeed(`Scanned ${summary.scanned} Data Extension(s): no PII fields found`);
+    } else {
+      spinner.warn(`Scanned ${summary.scanned} Data Extension(s): ${summary.piiDataExtensions} hold PII, ${summary.withoutRetention} without retention`);
+    }
+
+    console.log(formatPiiReport(result));
+
+    // Write report
+    const timestamp = dayjs().format('YYYYMMDD-HHmmss');
+    const outputPath = argv.output
+      ? path.resolve(argv.output)
+      : path.join(config.paths.audit, `pii-report-${timestamp}.csv`);
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    console.log('');
+    if (outputPath.toLowerCase().endsWith('.json')) {
+      fs.writeFileSync(outputPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        businessUnit: accountId || config.sfmc.accountId,
+        folder: argv.folder || null,
+        ...result
+      }, null, 2));
+      console.log(chalk.green(`✓ Saved: ${outputPath}`));
+    } else {
+      const retentionPath = outputPath.replace(/(\.csv)?$/i, '-no-retention.csv');
+      fs.writeFileSync(outputPath, exportPiiToCsv(result));
+      fs.writeFileSync(retentionPath, exportPiiWithoutRetentionToCsv(result));
+      console.log(chalk.green(`✓ PII fields: ${outputPath}`));
+      console.log(chalk.green(`✓ PII without retention: ${retentionPath}`));
+    }
+
+    logger.debug(`PII report: ${summary.piiFields} field(s) in ${summary.piiDataExtensions} DE(s), ${summary.withoutRetention} without retention`);
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+  } catch (error) {
+    if (spinner) spinner.fail('PII report failed');
+    logger.error(`PII report failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Run PII report
+runPiiReport();
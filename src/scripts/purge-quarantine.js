@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Quarantine Purge Script
+ *
+ * Permanently deletes Data Extensions that were quarantined by
+ * delete-data-extensions --quarantine more than N days ago, then removes
+ * the emptied dated quarantine folders. DEs that were moved out of the
+ * quarantine folder since are left alone.
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to purge.
+ *
+ * Usage:
+ *   node src/scripts/purge-quarantine.js [--older-than 30] [options]
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger, createAuditLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { isFolderEmpty, deleteFolder, clearFolderCache } from '../lib/folder-service.js';
+import {
+  getDataExtensionsInFolder,
+  getFullDataExtensionDetails,
+  deleteDataExtension,
+  backupDataExtensionSchema,
+  generateUndoScript
+} from '../lib/data-extension-service.js';
+import { backupDataExtensionRows, RowBackupFormat } from '../lib/row-backup-service.js';
+import { sendWebhook } from '../lib/sfmc-rest.js';
+import {
+  loadQuarantineManifest,
+  saveQuarantineManifest,
+  selectEntries,
+  removeEntries,
+  getEntryAgeDays,
+  getReleasableAutomations
+} from '../lib/quarantine-service.js';
+import { sleep, formatNumber } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('older-than', {
+    describe: 'Only purge DEs quarantined at least this many days ago',
+    type: 'number',
+    default: config.quarantine.retentionDays
+  })
+  .option('de', {
+    describe: 'Only purge these DEs (comma-separated names or CustomerKeys)',
+    type: 'string'
+  })
+  .option('confirm', {
+    describe: 'Enable actual deletion (still requires confirmation)',
+    type: 'boolean',
+    default: false
+  })
+  .option('backup-schemas', {
+    describe: 'Backup DE schemas before deletion',
+    type: 'boolean',
+    default: true
+  })
+  .option('backup-data', {
+    describe: 'Backup DE rows before deletion (DEs whose rows cannot be saved are not purged)',
+    type: 'boolean',
+    default: false
+  })
+  .option('backup-data-format', {
+    describe: 'Row backup file format',
+    choices: Object.values(RowBackupFormat),
+    default: config.backup.dataFormat
+  })
+  .option('backup-data-max-rows', {
+    describe: 'Largest DE (in rows) that --backup-data will back up',
+    type: 'number',
+    default: config.backup.dataMaxRows
+  })
+  .option('non-interactive', {
+    describe: 'Non-interactive mode for scheduled execution',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm-phrase', {
+    describe: 'Confirmation phrase for non-interactive mode',
+    type: 'string'
+  })
+  .option('webhook-url', {
+    describe: 'URL to POST results to when complete',
+    type: 'string'
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (argv.backupData && !argv.backupSchemas) {
+      throw new Error('--backup-data needs --backup-schemas (rows are restored into the backed-up schema)');
+    }
+    if (argv.olderThan < 0) {
+      throw new Error('--older-than must be 0 or more days');
+    }
+    if (argv.nonInteractive && argv.confirm && !argv.confirmPhrase) {
+      throw new Error('--non-interactive with --confirm requires --confirm-phrase');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0', `Preview DEs quarantined ${config.quarantine.retentionDays}+ days ago`)
+  .example('$0 --older-than 30 --confirm', 'Purge DEs quarantined 30+ days ago')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('purge-quarantine');
+const auditLogger = createAuditLogger('purge-quarantine');
+
+/**
+ * Get confirmation from user
+ * @param {number} count - Number of DEs to purge
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function getConfirmation(count) {
+  const expectedPhrase = `PURGE ${count} DATA EXTENSION${count === 1 ? '' : 'S'}`;
+
+  if (argv.nonInteractive) {
+    if (argv.confirmPhrase === expectedPhrase) {
+      return true;
+    }
+    console.log(chalk.red(`Confirmation phrase mismatch. Expected: "${expectedPhrase}"`));
+    return false;
+  }
+
+  console.log('');
+  console.log(chalk.red.bold(`🚨 You are about to permanently delete ${count} quarantined Data Extension(s). This is IRREVERSIBLE.`));
+  console.log('');
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `Type '${expectedPhrase}' to confirm:`
+    }
+  ]);
+
+  return answers.confirmation === expectedPhrase;
+}
+
+/**
+ * Print the DEs that will be purged
+ * @param {object[]} toPurge - [{ entry, de }]
+ */
+function printPreview(toPurge) {
+  const width = config.ui.consoleWidth;
+  const line = '─'.repeat(width);
+  const row = (text) => console.log(chalk.yellow('│') + text.substring(0, width).padEnd(width) + chalk.yellow('│'));
+  const totalRecords = toPurge.reduce((sum, { de }) => sum + (de.rowCount || 0), 0);
+
+  console.log('');
+  console.log(chalk.yellow(`┌${line}┐`));
+  row(' ⚠️  PURGE PREVIEW');
+  console.log(chalk.yellow(`├${line}┤`));
+  row(` Business Unit: ${config.sfmc.accountId}`);
+  row(` Quarantined at least: ${argv.olderThan} day(s) ago`);
+  row(` Data Extensions to Delete: ${toPurge.length}`);
+  row(` Records that will be PERMANENTLY DELETED: ${formatNumber(totalRecords)}`);
+  console.log(chalk.yellow(`├${line}┤`));
+
+  toPurge.slice(0, config.ui.maxItemsToDisplay).forEach(({ entry, de }, i) => {
+    const rows = de.rowCount !== null && de.rowCount !== undefined ? `, ${formatNumber(de.rowCount)} rows` : '';
+    row(`   ${i + 1}. ${de.name} (${getEntryAgeDays(entry)}d in quarantine${rows})`);
+  });
+
+  if (toPurge.length > config.ui.maxItemsToDisplay) {
+    row(`   ... and ${toPurge.length - config.ui.maxItemsToDisplay} more`);
+  }
+
+  console.log(chalk.yellow(`└${line}┘`));
+}
+
+/**
+ * Delete dated quarantine folders that no longer hold anything
+ * @param {number[]} folderIds - Quarantine folder IDs that had DEs purged
+ * @param {object[]} remainingEntries - Entries still in quarantine
+ * @returns {Promise<string[]>} Names of deleted folders
+ */
+async function removeEmptyQuarantineFolders(folderIds, remainingEntries) {
+  const stillUsed = new Set(remainingEntries.map(entry => entry.quarantineFolderId));
+  const removed = [];
+
+  await clearFolderCache(logger);
+
+  for (const folderId of folderIds) {
+    if (stillUsed.has(folderId)) continue;
+
+    try {
+      const contents = await isFolderEmpty(folderId, getDataExtensionsInFolder, logger);
+      if (!contents.isEmpty) continue;
+
+      const result = await deleteFolder(folderId, logger);
+      if (result.success) {
+        removed.push(folderId);
+        auditLogger.addSuccess({ type: 'Folder', id: folderId, action: 'remove-empty-quarantine-folder' });
+      } else {
+        logger.warn(`Could not remove quarantine folder ${folderId}: ${result.error}`);
+      }
+    } catch (error) {
+      logger.warn(`Could not remove quarantine folder ${folderId}: ${error.message}`);
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Main purge function
+ */
+async function runPurge() {
+  const startTime = Date.now();
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Quarantine Purge'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+  console.log(`  Older than: ${chalk.yellow(`${argv.olderThan} day(s)`)}`);
+  console.log(`  Mode: ${chalk.yellow(argv.confirm ? 'PURGE' : 'DRY RUN')}`);
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  let spinner = null;
+
+  try {
+    auditLogger.setOptions({
+      olderThan: argv.olderThan,
+      de: argv.de || null,
+      dryRun: !argv.confirm,
+      backupSchemas: argv.backupSchemas,
+      backupData: argv.backupData
+    });
+
+    const manifest = loadQuarantineManifest();
+    const keys = argv.de ? argv.de.split(',').map(k => k.trim()).filter(Boolean) : null;
+    const candidates = selectEntries(manifest.entries, { olderThanDays: argv.olderThan, keys });
+
+    console.log(chalk.gray(`  ${manifest.entries.length} DE(s) in quarantine, ${candidates.length} eligible for purge`));
+
+    if (candidates.length === 0) {
+      console.log(chalk.green('\nNothing to purge.'));
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    spinner = ora('Testing SFMC connection...').start();
+    const connResult = await testConnection(logger);
+    if (!connResult.success) {
+      spinner.fail(`Connection failed: ${connResult.error}`);
+      auditLogger.save(1);
+      process.exit(1);
+    }
+    spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+    // Only purge DEs that are still where quarantine put them
+    spinner = ora('Checking quarantined Data Extensions...').start();
+    const toPurge = [];
+    const missing = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+      const entry = candidates[i];
+      spinner.text = `Checking ${i + 1}/${candidates.length}: ${entry.name}`;
+
+      const de = await getFullDataExtensionDetails(entry.customerKey, true, logger);
+
+      if (!de) {
+        missing.push(entry);
+      } else if (de.folderId !== entry.quarantineFolderId) {
+        logger.warn(`${entry.name} is no longer in the quarantine folder - skipping`);
+        auditLogger.addSkipped({ customerKey: entry.customerKey, name: entry.name }, 'Moved out of quarantine folder');
+      } else {
+        de.folderPath = entry.quarantineFolderPath;
+        toPurge.push({ entry, de });
+      }
+    }
+
+    spinner.succeed(`${toPurge.length} DE(s) to purge`);
+
+    if (missing.length > 0) {
+      console.log(chalk.gray(`  ${missing.length} DE(s) no longer exist and will be dropped from the manifest`));
+    }
+
+    const skippedCount = candidates.length - toPurge.length - missing.length;
+    if (skippedCount > 0) {
+      console.log(chalk.yellow(`  ${skippedCount} DE(s) were moved out of the quarantine folder and will be skipped`));
+    }
+
+    if (toPurge.length === 0) {
+      if (argv.confirm && missing.length > 0) {
+        saveQuarantineManifest(removeEntries(manifest, missing.map(e => e.customerKey)));
+      }
+      console.log(chalk.green('\nNothing to purge.'));
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    printPreview(toPurge);
+
+    if (!argv.confirm) {
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold('   DRY RUN COMPLETE - No changes were made'));
+      console.log(chalk.cyan.bold('   Use --confirm to purge these Data Extensions'));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+
+      auditLogger.setMetadata('dryRun', true);
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    const confirmed = await getConfirmation(toPurge.length);
+    if (!confirmed) {
+      console.log(chalk.yellow('\nPurge cancelled.'));
+      auditLogger.setMetadata('cancelled', true);
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    auditLogger.setPreExecutionState({
+      totalDataExtensions: toPurge.length,
+      totalRecords: toPurge.reduce((sum, { de }) => sum + (de.rowCount || 0), 0)
+    });
+
+    // Backups before any deletion
+    let backupDir = null;
+    if (argv.backupSchemas || argv.backupData) {
+      backupDir = path.join(config.paths.backup, dayjs().format('YYYYMMDD-HHmmss'));
+      auditLogger.setMetadata('backupDirectory', backupDir);
+    }
+
+    if (argv.backupSchemas) {
+      spinner = ora('Backing up DE schemas...').start();
+
+      for (let i = 0; i < toPurge.length; i++) {
+        spinner.text = `Backing up schemas: ${i + 1}/${toPurge.length}`;
+        try {
+          await backupDataExtensionSchema(toPurge[i].de.customerKey, backupDir, logger);
+        } catch (error) {
+          logger.warn(`Failed to backup ${toPurge[i].de.name}: ${error.message}`);
+        }
+      }
+
+      spinner.succeed(`Schemas backed up to ${backupDir}`);
+    }
+
+    // A DE whose rows could not be saved stays in quarantine
+    let rowsBackedUp = 0;
+    if (argv.backupData) {
+      const backedUp = [];
+
+      for (let i = 0; i < toPurge.length; i++) {
+        const { entry, de } = toPurge[i];
+        spinner = ora(`Backing up rows: ${i + 1}/${toPurge.length} - ${de.name}`).start();
+
+        const result = await backupDataExtensionRows(de, backupDir, {
+          format: argv.backupDataFormat,
+          maxRows: argv.backupDataMaxRows,
+          logger
+        });
+
+        if (result.success) {
+          spinner.succeed(`${de.name}: ${formatNumber(result.rowCount)} rows backed up`);
+          rowsBackedUp += result.rowCount;
+          backedUp.push(toPurge[i]);
+        } else {
+          spinner.fail(`${de.name}: ${result.error} - will not be purged`);
+          auditLogger.addSkipped({ customerKey: entry.customerKey, name: entry.name }, `Row backup failed: ${result.error}`);
+        }
+      }
+
+      toPurge.splice(0, toPurge.length, ...backedUp);
+      auditLogger.setMetadata('rowsBackedUp', rowsBackedUp);
+    }
+
+    const undoPath = toPurge.length > 0 ? generateUndoScript(toPurge.map(({ de }) => de), config.paths.undo) : null;
+    if (undoPath) auditLogger.setMetadata('undoScript', undoPath);
+
+    console.log('');
+    console.log(chalk.bold('Purging Data Extensions...'));
+
+    const results = { successful: 0, failed: 0, failedItems: [] };
+    const purged = [...missing];
+
+    for (let i = 0; i < toPurge.length; i++) {
+      const { entry, de } = toPurge[i];
+      console.log(chalk.gray(`[${i + 1}/${toPurge.length}] Deleting ${de.name}...`));
+
+      const result = await deleteDataExtension(de.customerKey, logger, null, de.name);
+
+      if (result.success) {
+        console.log(chalk.green('  ✓ Deleted'));
+        results.successful++;
+        purged.push(entry);
+        auditLogger.addSuccess({
+          customerKey: de.customerKey,
+          name: de.name,
+          rowCount: de.rowCount,
+          quarantinedAt: entry.quarantinedAt
+        });
+
+        // Persist after every delete so an interrupted purge leaves an accurate manifest
+        saveQuarantineManifest(removeEntries(manifest, [entry.customerKey]));
+      } else {
+        console.log(chalk.red(`  ✗ Failed: ${result.error}`));
+        results.failed++;
+        results.failedItems.push({ name: de.name, error: result.error });
+        auditLogger.addFailure({ customerKey: de.customerKey, name: de.name }, result.error);
+      }
+
+      await sleep(config.safety.apiRateLimitDelayMs);
+    }
+
+    const manifestPath = saveQuarantineManifest(removeEntries(manifest, missing.map(e => e.customerKey)));
+
+    const folderIds = [...new Set(purged.map(entry => entry.quarantineFolderId))];
+    const removedFolders = await removeEmptyQuarantineFolders(folderIds, manifest.entries);
+    const releasable = getReleasableAutomations(purged, manifest.entries);
+
+    const exitCode = results.failed > 0 ? 1 : 0;
+    auditLogger.setMetadata('pausedAutomations', releasable);
+    const auditPath = auditLogger.save(exitCode);
+
+    console.log('');
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(chalk.cyan.bold('  PURGE COMPLETE'));
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(`  Deleted: ${chalk.green(results.successful)}`);
+    console.log(`  Failed: ${results.failed > 0 ? chalk.red(results.failed) : '0'}`);
+    for (const item of results.failedItems.slice(0, 10)) {
+      console.log(chalk.red(`    • ${item.name} - ${item.error}`));
+    }
+    console.log(`  Empty quarantine folders removed: ${removedFolders.length}`);
+    console.log(`  Still in quarantine: ${manifest.entries.length}`);
+    if (backupDir) console.log(`  Backups: ${backupDir}`);
+    if (argv.backupData) console.log(`  Rows backed up: ${formatNumber(rowsBackedUp)}`);
+    if (undoPath) console.log(`  Undo Script: ${undoPath}`);
+    console.log(`  Manifest: ${manifestPath}`);
+    console.log(`  Audit Log: ${auditPath}`);
+
+    if (releasable.length > 0) {
+      console.log('');
+      console.log(chalk.yellow(`  ${releasable.length} automation(s) paused by quarantine no longer wait on any quarantined DE.`));
+      console.log(chalk.yellow('  Review them in Automation Studio (re-activate or delete):'));
+      for (const automation of releasable) {
+        console.log(chalk.yellow(`    • ${automation.name} (${automation.id})`));
+      }
+    }
+
+    // Send webhook if configured
+    const webhookUrl = argv.webhookUrl || config.webhook.url;
+    if (webhookUrl) {
+      await sendWebhook(webhookUrl, {
+        operation: 'purge-quarantine',
+        operationId: auditLogger.operationId,
+        businessUnit: config.sfmc.accountId,
+        olderThanDays: argv.olderThan,
+        results,
+        completedAt: new Date().toISOString()
+      }, logger);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    if (spinner) spinner.fail('Purge failed');
+    logger.error(`Purge failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    auditLogger.save(1);
+    process.exit(1);
+  }
+}
+
+// Run the purge
+runPurge();
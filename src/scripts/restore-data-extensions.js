@@ -12,6 +12,7 @@
  * Usage:
  *   node src/scripts/restore-data-extensions.js [options]
  *   node src/scripts/restore-data-extensions.js --filter "^9876" --folder "Data Extensions/9876_Indigo" --confirm
+ *   node src/scripts/restore-data-extensions.js --backup-dir 20251228-191408 --use-original-folder --restore-data --confirm
  */
 
 import yargs from 'yargs';
@@ -27,6 +28,9 @@ import { createLogger, createAuditLogger } from '../lib/logger.js';
 import { testConnection } from '../lib/sfmc-auth.js';
 import { createDataExtension } from '../lib/sfmc-soap.js';
 import { getFolderByPath, getFolderByName } from '../lib/folder-service.js';
+import { findRowBackup, restoreDataExtensionRows } from '../lib/row-backup-service.js';
+import { formatNumber } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -73,13 +77,35 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('restore-data', {
+    describe: 'Also load rows from row backups (--backup-data) into the restored DEs',
+    type: 'boolean',
+    default: false
+  })
+  .option('data-only', {
+    describe: 'Only load rows into DEs that already exist (skip DE creation)',
+    type: 'boolean',
+    default: false
+  })
+  .option('row-batch-size', {
+    describe: 'Rows per SOAP Create call when loading row backups',
+    type: 'number',
+    default: 200
+  })
+  .option('profile', profileOption)
   .check((argv) => {
     if (argv.confirm) {
       argv.dryRun = false;
     }
-    if (!argv.folder && !argv.folderId && !argv.useOriginalFolder) {
+    if (argv.dataOnly) {
+      argv.restoreData = true;
+    }
+    if (!argv.dataOnly && !argv.folder && !argv.folderId && !argv.useOriginalFolder) {
       throw new Error('Must specify --folder, --folder-id, or --use-original-folder');
     }
+    if (argv.rowBatchSize < 1) {
+      throw new Error('--row-batch-size must be at least 1');
+    }
     return true;
   })
   .help()
@@ -161,6 +187,7 @@ function findBackupFiles(backupDir, filter) {
         backups.push({
           filePath,
           backupDir: dir,
+          rowBackup: findRowBackup(filePath),
           ...data
         });
       } catch (err) {
@@ -188,13 +215,20 @@ function printPreview(backups, targetFolder, summary) {
   console.log(chalk.cyan(`│`) + ` Target Folder: ${targetFolder.name} (ID: ${targetFolder.id})`.padEnd(width) + chalk.cyan(`│`));
   console.log(chalk.cyan(`│`) + ` Total Fields: ${summary.totalFields}`.padEnd(width) + chalk.cyan(`│`));
   console.log(chalk.cyan(`│`) + ` Sendable DEs: ${summary.sendable}`.padEnd(width) + chalk.cyan(`│`));
+  if (summary.withRows !== null) {
+    console.log(chalk.cyan(`│`) + ` Row Backups: ${summary.withRows} DE(s), ${formatNumber(summary.totalRows)} rows`.padEnd(width) + chalk.cyan(`│`));
+  }
+  if (summary.incompleteRows > 0) {
+    console.log(chalk.cyan(`│`) + chalk.yellow(` Incomplete Row Backups: ${summary.incompleteRows} (partial data will be loaded)`).padEnd(width + 10) + chalk.cyan(`│`));
+  }
   console.log(chalk.cyan(`├${line}┤`));
   console.log(chalk.cyan(`│`) + ' Sample Data Extensions:'.padEnd(width) + chalk.cyan(`│`));
 
   backups.slice(0, 15).forEach((backup, i) => {
     const name = backup.dataExtension.name.substring(0, 55);
     const fields = backup.fields.length;
-    const lineText = `   ${i + 1}. ${name} (${fields} fields)`;
+    const rows = summary.withRows !== null && backup.rowBackup ? `, ${formatNumber(backup.rowBackup.rowCount || 0)} rows` : '';
+    const lineText = `   ${i + 1}. ${name} (${fields} fields${rows})`;
     console.log(chalk.cyan(`│`) + lineText.substring(0, width).padEnd(width) + chalk.cyan(`│`));
   });
 
@@ -216,9 +250,16 @@ function printReport(results, reportPath) {
   console.log(chalk.green(`┌${line}┐`));
   console.log(chalk.green(`│`) + chalk.bold.white('              DATA EXTENSION RESTORATION COMPLETE').padEnd(width) + chalk.green(`│`));
   console.log(chalk.green(`├${line}┤`));
-  console.log(chalk.green(`│`) + ` Successfully Created: ${chalk.green(results.successful)}`.padEnd(width + 10) + chalk.green(`│`));
+  const successText = argv.dataOnly
+    ? ` Rows Restored Into: ${chalk.green(results.successful)} DE(s)`
+    : ` Successfully Created: ${chalk.green(results.successful)}`;
+  console.log(chalk.green(`│`) + successText.padEnd(width + 10) + chalk.green(`│`));
   console.log(chalk.green(`│`) + ` Failed: ${chalk.red(results.failed)}`.padEnd(width + 10) + chalk.green(`│`));
   console.log(chalk.green(`│`) + ` Skipped: ${results.skipped}`.padEnd(width) + chalk.green(`│`));
+  if (results.rowsLoaded !== null) {
+    console.log(chalk.green(`│`) + ` Rows Loaded: ${formatNumber(results.rowsLoaded)}`.padEnd(width) + chalk.green(`│`));
+    console.log(chalk.green(`│`) + ` Rows Failed: ${formatNumber(results.rowsFailed)}`.padEnd(width) + chalk.green(`│`));
+  }
 
   if (results.failedItems && results.failedItems.length > 0) {
     console.log(chalk.green(`│`) + ''.padEnd(width) + chalk.green(`│`));
@@ -265,6 +306,7 @@ function saveReport(results, backups, outputDir) {
       newObjectId: item.newObjectId,
       fieldCount: item.fieldCount,
       folderId: item.folderId,
+      rowsLoaded: item.rowsLoaded ?? null,
       restoredAt: item.restoredAt
     })),
     failedRestorations: results.failedItems.map(item => ({
@@ -315,7 +357,9 @@ async function runRestoration() {
       dryRun: argv.dryRun,
       confirm: argv.confirm,
       limit: argv.limit,
-      useOriginalFolder: argv.useOriginalFolder
+      useOriginalFolder: argv.useOriginalFolder,
+      restoreData: argv.restoreData,
+      dataOnly: argv.dataOnly
     });
 
     // Find backup files
@@ -338,12 +382,31 @@ async function runRestoration() {
       console.log(chalk.gray(`Limited to: ${backupsToRestore.length} DEs`));
     }
 
+    // Row loading needs a row backup for each DE
+    if (argv.restoreData) {
+      const withoutRows = backupsToRestore.filter(b => !b.rowBackup);
+
+      if (withoutRows.length > 0) {
+        console.log(chalk.yellow(`${withoutRows.length} DE(s) have no row backup - ${argv.dataOnly ? 'skipping them' : 'only the schema will be restored'}`));
+      }
+      if (argv.dataOnly) {
+        backupsToRestore = backupsToRestore.filter(b => b.rowBackup);
+
+        if (backupsToRestore.length === 0) {
+          console.log(chalk.yellow('\nNo row backups to load. Row backups are written by --backup-data.'));
+          process.exit(0);
+        }
+      }
+    }
+
     // Resolve target folder
     spinner.start('Resolving target folder...');
 
     let targetFolder;
 
-    if (argv.folderId) {
+    if (argv.dataOnly) {
+      targetFolder = { id: null, name: 'Existing DEs (data only)' };
+    } else if (argv.folderId) {
       targetFolder = { id: argv.folderId, name: `Folder ID ${argv.folderId}` };
     } else if (argv.folder) {
       targetFolder = await getFolderByPath(argv.folder, logger);
@@ -370,7 +433,10 @@ async function runRestoration() {
     // Calculate summary
     const summary = {
       totalFields: backupsToRestore.reduce((sum, b) => sum + b.fields.length, 0),
-      sendable: backupsToRestore.filter(b => b.dataExtension.isSendable).length
+      sendable: backupsToRestore.filter(b => b.dataExtension.isSendable).length,
+      withRows: argv.restoreData ? backupsToRestore.filter(b => b.rowBackup).length : null,
+      totalRows: backupsToRestore.reduce((sum, b) => sum + (b.rowBackup?.rowCount || 0), 0),
+      incompleteRows: argv.restoreData ? backupsToRestore.filter(b => b.rowBackup && !b.rowBackup.complete).length : 0
     };
 
     // Show preview
@@ -405,6 +471,8 @@ async function runRestoration() {
       successful: 0,
       failed: 0,
       skipped: 0,
+      rowsLoaded: argv.restoreData ? 0 : null,
+      rowsFailed: 0,
       successfulItems: [],
       failedItems: [],
       skippedItems: []
@@ -415,62 +483,124 @@ async function runRestoration() {
       const de = backup.dataExtension;
       const progress = `[${i + 1}/${backupsToRestore.length}]`;
 
-      spinner.start(`${progress} Creating: ${de.name}`);
-
       try {
         // Determine folder ID
         const folderId = argv.useOriginalFolder ? de.folderId : targetFolder.id;
+        let objectId = null;
+
+        if (!argv.dataOnly) {
+          spinner.start(`${progress} Creating: ${de.name}`);
+
+          // Prepare DE data for creation
+          const deData = {
+            Name: de.name,
+            CustomerKey: de.customerKey,
+            Description: de.description || '',
+            CategoryID: folderId,
+            IsSendable: de.isSendable || false,
+            IsTestable: de.isTestable || false,
+            Fields: backup.fields
+          };
+
+          // Add sendable configuration if applicable
+          if (de.isSendable && de.sendableSubscriberField && de.sendableDataExtensionField) {
+            deData.SendableSubscriberField = de.sendableSubscriberField;
+            deData.SendableDataExtensionField = de.sendableDataExtensionField;
+          }
+
+          // Keep the original retention policy
+          Object.assign(deData, {
+            DataRetentionPeriodLength: de.dataRetentionPeriodLength,
+            DataRetentionPeriodUnitOfMeasure: de.dataRetentionPeriodUnit,
+            RowBasedRetention: de.rowBasedRetention,
+            ResetRetentionPeriodOnImport: de.resetRetentionOnImport,
+            DeleteAtEndOfRetentionPeriod: de.deleteAtEndOfRetention,
+            RetainUntil: de.retainUntil
+          });
 
-        // Prepare DE data for creation
-        const deData = {
-          Name: de.name,
-          CustomerKey: de.customerKey,
-          Description: de.description || '',
-          CategoryID: folderId,
-          IsSendable: de.isSendable || false,
-          IsTestable: de.isTestable || false,
-          Fields: backup.fields
-        };
-
-        // Add sendable configuration if applicable
-        if (de.isSendable && de.sendableSubscriberField && de.sendableDataExtensionField) {
-          deData.SendableSubscriberField = de.sendableSubscriberField;
-          deData.SendableDataExtensionField = de.sendableDataExtensionField;
-        }
+          const result = await createDataExtension(deData, logger);
+
+          if (!result.success) {
+            spinner.fail(`${progress} Failed: ${de.name} - ${result.error}`);
+            results.failed++;
+            results.failedItems.push({
+              name: de.name,
+              customerKey: de.customerKey,
+              error: result.error,
+              attemptedAt: new Date().toISOString()
+            });
 
-        const result = await createDataExtension(deData, logger);
+            auditLogger.addFailure({
+              name: de.name,
+              customerKey: de.customerKey
+            }, result.error);
 
-        if (result.success) {
+            await sleep(config.safety.apiRateLimitDelayMs);
+            continue;
+          }
+
+          objectId = result.objectId;
           spinner.succeed(`${progress} Created: ${de.name} (${backup.fields.length} fields)`);
+        }
+
+        // Load rows into the (re)created DE
+        let rowResult = null;
+        if (argv.restoreData && backup.rowBackup) {
+          if (!backup.rowBackup.complete) {
+            console.log(chalk.yellow(`  ⚠ Row backup of ${de.name} is incomplete - loading the rows it has`));
+          }
+
+          spinner.start(`${progress} Loading rows: ${de.name}`);
+          rowResult = await restoreDataExtensionRows(de.customerKey, backup.rowBackup.filePath, {
+            batchSize: argv.rowBatchSize,
+            logger,
+            onProgress: (count) => {
+              spinner.text = `${progress} Loading rows: ${de.name} (${formatNumber(count)})`;
+            }
+          });
+
+          results.rowsLoaded += rowResult.created;
+          results.rowsFailed += rowResult.failed;
+
+          if (rowResult.success) {
+            spinner.succeed(`${progress} Loaded ${formatNumber(rowResult.created)} rows into ${de.name}`);
+          } else {
+            spinner.fail(`${progress} ${de.name}: ${formatNumber(rowResult.failed)} row(s) failed - ${rowResult.errors[0] || 'unknown error'}`);
+          }
+        }
+
+        if (rowResult && !rowResult.success) {
+          results.failed++;
+          results.failedItems.push({
+            name: de.name,
+            customerKey: de.customerKey,
+            error: `${rowResult.failed} row(s) failed to load: ${rowResult.errors[0] || 'unknown error'}`,
+            attemptedAt: new Date().toISOString()
+          });
+
+          auditLogger.addFailure({
+            name: de.name,
+            customerKey: de.customerKey,
+            rowsLoaded: rowResult.created
+          }, rowResult.errors.join('; '));
+        } else {
           results.successful++;
           results.successfulItems.push({
             name: de.name,
             customerKey: de.customerKey,
-            newObjectId: result.objectId,
+            newObjectId: objectId,
             fieldCount: backup.fields.length,
             folderId: folderId,
+            rowsLoaded: rowResult ? rowResult.created : null,
             restoredAt: new Date().toISOString()
           });
 
           auditLogger.addSuccess({
             name: de.name,
             customerKey: de.customerKey,
-            newObjectId: result.objectId
+            newObjectId: objectId,
+            rowsLoaded: rowResult ? rowResult.created : null
           });
-        } else {
-          spinner.fail(`${progress} Failed: ${de.name} - ${result.error}`);
-          results.failed++;
-          results.failedItems.push({
-            name: de.name,
-            customerKey: de.customerKey,
-            error: result.error,
-            attemptedAt: new Date().toISOString()
-          });
-
-          auditLogger.addFailure({
-            name: de.name,
-            customerKey: de.customerKey
-          }, result.error);
         }
       } catch (error) {
         spinner.fail(`${progress} Error: ${de.name} - ${error.message}`);
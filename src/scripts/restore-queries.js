@@ -8,9 +8,14 @@
  *
  * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to enable actual creation.
  *
+ * The report maps each restored query's old ObjectID to its new one. With
+ * --relink-automations, every automation still using an old ObjectID is
+ * patched to the new one in the same run.
+ *
  * Usage:
  *   node src/scripts/restore-queries.js [options]
  *   node src/scripts/restore-queries.js --input "audit/deleted-queries-recovery.json" --confirm
+ *   node src/scripts/restore-queries.js --confirm --relink-automations
  */
 
 import yargs from 'yargs';
@@ -25,6 +30,8 @@ import config, { validateConfig } from '../config/index.js';
 import { createLogger, createAuditLogger } from '../lib/logger.js';
 import { testConnection } from '../lib/sfmc-auth.js';
 import { createQueryActivity, retrieveDataExtensions, escapeXml } from '../lib/sfmc-soap.js';
+import { planAutomationRelinks, relinkAutomation } from '../lib/automation-checker.js';
+import { profileOption } from '../lib/cli-helpers.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -63,6 +70,12 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: true
   })
+  .option('relink-automations', {
+    describe: 'Point automations that use the old query ObjectIDs at the restored queries',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
   .check((argv) => {
     if (argv.confirm) {
       argv.dryRun = false;
@@ -101,7 +114,7 @@ function loadRecoveryData(filePath) {
  * Load cached query data with full details
  */
 function loadCachedQueries() {
-  const cachePath = path.join(config.paths.root, 'cache', `bulk-data-${config.sfmc.accountId}.json`);
+  const cachePath = path.join(config.paths.cache, `bulk-data-${config.sfmc.accountId}.json`);
 
   if (!fs.existsSync(cachePath)) {
     throw new Error(`Cache file not found: ${cachePath}. Cannot restore queries without cached data.`);
@@ -111,12 +124,28 @@ function loadCachedQueries() {
   return data.data?.queryActivities || [];
 }
 
+/**
+ * Load cached automations (with steps) for relinking
+ * The snapshot is from before the queries were deleted, so it still shows
+ * which automations used them.
+ */
+function loadCachedAutomations() {
+  const cachePath = path.join(config.paths.cache, `bulk-data-${config.sfmc.accountId}.json`);
+
+  if (!fs.existsSync(cachePath)) {
+    return [];
+  }
+
+  const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  return data.data?.automations || [];
+}
+
 /**
  * Build a map of query activity name -> target DE from automation steps
  * This extracts target DE info that isn't available in the QueryDefinition SOAP response
  */
 function buildQueryTargetDEMap() {
-  const cachePath = path.join(config.paths.root, 'cache', `bulk-data-${config.sfmc.accountId}.json`);
+  const cachePath = path.join(config.paths.cache, `bulk-data-${config.sfmc.accountId}.json`);
 
   if (!fs.existsSync(cachePath)) {
     return new Map();
@@ -230,10 +259,70 @@ function printPreview(queries, summary) {
   console.log(chalk.cyan(`└${line}┘`));
 }
 
+/**
+ * Print the automations a relink pass would update
+ */
+function printRelinkPlan(relinkPlan) {
+  console.log('');
+  console.log(chalk.bold(`Automations to relink: ${relinkPlan.length}`));
+
+  for (const automation of relinkPlan.slice(0, config.ui.maxItemsToDisplay)) {
+    console.log(`  ${automation.automationName} ${chalk.gray(`[${automation.status ?? 'Unknown'}]`)}`);
+    for (const relink of automation.relinks) {
+      console.log(chalk.gray(`    ${relink.name}: ${relink.oldObjectId} -> ${relink.newObjectId || '(new ObjectID)'}`));
+    }
+  }
+
+  if (relinkPlan.length > config.ui.maxItemsToDisplay) {
+    console.log(chalk.gray(`  ... and ${relinkPlan.length - config.ui.maxItemsToDisplay} more`));
+  }
+}
+
+/**
+ * Relink automations to the restored queries, recording each one in its own audit log
+ */
+async function relinkAutomations(relinkPlan, mapping, spinner) {
+  const relinkAudit = createAuditLogger('relink-automations');
+  relinkAudit.setOptions({ input: argv.input });
+  relinkAudit.setMetadata('objectIdMapping', mapping);
+
+  const results = { relinked: 0, unchanged: 0, failed: 0, items: [] };
+
+  for (const automation of relinkPlan) {
+    spinner.start(`Relinking: ${automation.automationName}`);
+    const result = await relinkAutomation(automation.automationId, automation.relinks, { logger });
+    const item = {
+      automationId: automation.automationId,
+      automationName: automation.automationName,
+      replaced: result.replaced
+    };
+
+    if (!result.success) {
+      spinner.fail(`Relink failed: ${automation.automationName} - ${result.error}`);
+      results.failed++;
+      relinkAudit.addFailure(item, result.error);
+    } else if (result.skipped) {
+      spinner.info(`Unchanged: ${automation.automationName} (no longer uses the old ObjectIDs)`);
+      results.unchanged++;
+      relinkAudit.addSkipped(item, 'No step uses the old ObjectIDs');
+    } else {
+      spinner.succeed(`Relinked: ${automation.automationName} (${result.replaced.length} activit${result.replaced.length === 1 ? 'y' : 'ies'})`);
+      results.relinked++;
+      relinkAudit.addSuccess(item);
+    }
+    results.items.push({ ...item, success: result.success, skipped: !!result.skipped, error: result.error });
+
+    await sleep(config.safety.apiRateLimitDelayMs);
+  }
+
+  results.auditPath = relinkAudit.save(results.failed > 0 ? 1 : 0);
+  return results;
+}
+
 /**
  * Print final report
  */
-function printReport(results, reportPath) {
+function printReport(results, reportPath, relinkResults = null) {
   const width = 70;
   const line = '─'.repeat(width);
 
@@ -244,6 +333,12 @@ function printReport(results, reportPath) {
   console.log(chalk.green(`│`) + ` Successfully Created: ${chalk.green(results.successful)}`.padEnd(width + 10) + chalk.green(`│`));
   console.log(chalk.green(`│`) + ` Failed: ${chalk.red(results.failed)}`.padEnd(width + 10) + chalk.green(`│`));
   console.log(chalk.green(`│`) + ` Skipped (already exist): ${results.skipped}`.padEnd(width) + chalk.green(`│`));
+  if (relinkResults) {
+    console.log(chalk.green(`│`) + ` Automations Relinked: ${relinkResults.relinked}`.padEnd(width) + chalk.green(`│`));
+    if (relinkResults.failed > 0) {
+      console.log(chalk.green(`│`) + ` Automation Relinks Failed: ${chalk.red(relinkResults.failed)}`.padEnd(width + 10) + chalk.green(`│`));
+    }
+  }
 
   if (results.failedItems && results.failedItems.length > 0) {
     console.log(chalk.green(`│`) + ''.padEnd(width) + chalk.green(`│`));
@@ -259,13 +354,16 @@ function printReport(results, reportPath) {
 
   console.log(chalk.green(`│`) + ''.padEnd(width) + chalk.green(`│`));
   console.log(chalk.green(`│`) + ` Full Report: ${reportPath}`.padEnd(width) + chalk.green(`│`));
+  if (relinkResults) {
+    console.log(chalk.green(`│`) + ` Relink Audit: ${relinkResults.auditPath}`.padEnd(width) + chalk.green(`│`));
+  }
   console.log(chalk.green(`└${line}┘`));
 }
 
 /**
  * Save detailed restoration report
  */
-function saveReport(results, queries, outputDir) {
+function saveReport(results, queries, outputDir, relinkResults = null) {
   const timestamp = dayjs().format('YYYYMMDD-HHmmss');
   const filename = `query-restoration-report-${timestamp}.json`;
   const filepath = path.join(outputDir, filename);
@@ -284,9 +382,14 @@ function saveReport(results, queries, outputDir) {
       failed: results.failed,
       skipped: results.skipped
     },
+    // Query name -> { old, new }, as read by update-automation-query-objectids --mapping-file
+    objectIdMapping: Object.fromEntries(results.successfulItems
+      .filter(item => item.oldObjectId && item.newObjectId)
+      .map(item => [item.name, { old: item.oldObjectId, new: item.newObjectId }])),
     successfulRestorations: results.successfulItems.map(item => ({
       name: item.name,
       customerKey: item.customerKey,
+      oldObjectId: item.oldObjectId,
       newObjectId: item.newObjectId,
       targetDE: item.targetDE,
       restoredAt: item.restoredAt
@@ -300,7 +403,8 @@ function saveReport(results, queries, outputDir) {
     skippedRestorations: results.skippedItems.map(item => ({
       name: item.name,
       reason: item.reason
-    }))
+    })),
+    automationRelinks: relinkResults ? relinkResults.items : null
   };
 
   fs.writeFileSync(filepath, JSON.stringify(report, null, 2));
@@ -337,7 +441,8 @@ async function runRestoration() {
       confirm: argv.confirm,
       limit: argv.limit,
       filter: argv.filter,
-      skipExisting: argv.skipExisting
+      skipExisting: argv.skipExisting,
+      relinkAutomations: argv.relinkAutomations
     });
 
     // Load recovery data
@@ -431,6 +536,13 @@ async function runRestoration() {
     // Show preview
     printPreview(queriesToRestore, summary);
 
+    // Automations that use the old ObjectIDs, from the pre-deletion snapshot
+    const cachedAutomations = argv.relinkAutomations ? loadCachedAutomations() : [];
+    if (argv.relinkAutomations) {
+      const previewMapping = queriesToRestore.map(q => ({ name: q.Name, oldObjectId: q.ObjectID, newObjectId: null }));
+      printRelinkPlan(planAutomationRelinks(previewMapping, { automations: cachedAutomations }));
+    }
+
     // Dry run exit
     if (argv.dryRun) {
       console.log('');
@@ -529,6 +641,7 @@ async function runRestoration() {
           results.successfulItems.push({
             name: query.Name,
             customerKey: queryData.CustomerKey,
+            oldObjectId: query.ObjectID,
             newObjectId: result.objectId,
             targetDE: targetDEKey || 'N/A',
             targetDEName: resolvedDEName || 'N/A',
@@ -538,6 +651,7 @@ async function runRestoration() {
           auditLogger.addSuccess({
             name: query.Name,
             customerKey: queryData.CustomerKey,
+            oldObjectId: query.ObjectID,
             newObjectId: result.objectId
           });
         } else {
@@ -580,15 +694,31 @@ async function runRestoration() {
       }
     }
 
+    // Relink automations to the restored queries
+    let relinkResults = null;
+    if (argv.relinkAutomations) {
+      const mapping = results.successfulItems.map(item => ({
+        name: item.name,
+        oldObjectId: item.oldObjectId,
+        newObjectId: item.newObjectId
+      })).filter(entry => entry.oldObjectId && entry.newObjectId);
+      const relinkPlan = planAutomationRelinks(mapping, { automations: cachedAutomations });
+
+      console.log('');
+      console.log(chalk.green.bold(`Relinking ${relinkPlan.length} automation(s)...`));
+      console.log('');
+      relinkResults = await relinkAutomations(relinkPlan, mapping, spinner);
+    }
+
     // Save detailed report
-    const reportPath = saveReport(results, queriesToRestore, config.paths.audit);
+    const reportPath = saveReport(results, queriesToRestore, config.paths.audit, relinkResults);
 
     // Save audit log
-    const exitCode = results.failed > 0 ? 1 : 0;
+    const exitCode = results.failed > 0 || relinkResults?.failed > 0 ? 1 : 0;
     auditLogger.save(exitCode);
 
     // Print summary
-    printReport(results, reportPath);
+    printReport(results, reportPath, relinkResults);
 
     const duration = Math.round((Date.now() - startTime) / 1000);
     console.log('');
@@ -0,0 +1,474 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Schema Script
+ *
+ * Data Extension definitions as code. `export` writes every DE in a folder
+ * (and its subfolders) as one YAML or JSON file: fields, keys, sendable
+ * settings, retention and folder path, without IDs or dates, so the files
+ * can be reviewed in git. `apply` reads the files back, creates the DEs that
+ * are missing in the Business Unit and reports drift on the ones that exist.
+ *
+ * IMPORTANT: apply defaults to DRY RUN mode. Use --confirm to create DEs.
+ * Existing DEs are never changed.
+ *
+ * Usage:
+ *   node src/scripts/schema.js export --folder "Data Extensions/Campaigns" --dir schemas/campaigns
+ *   node src/scripts/schema.js apply --dir schemas/campaigns [--confirm] [--exit-code]
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import fs from 'fs';
+import path from 'path';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger, createAuditLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import {
+  getSubfolders,
+  getFolderById,
+  getFolderByPath,
+  findSimilarFolders,
+  clearFolderCache,
+  findFolder,
+  ensureFolderPath
+} from '../lib/folder-service.js';
+import {
+  getDataExtensionsInFolder,
+  getDataExtensionDetails,
+  getDataExtensionSchema
+} from '../lib/data-extension-service.js';
+import { createDataExtension } from '../lib/sfmc-soap.js';
+import {
+  SchemaFormat,
+  buildSchemaDefinition,
+  getSchemaFilePath,
+  writeSchemaDefinition,
+  readSchemaDefinitions,
+  diffSchemaDefinitions,
+  toCreateRequest
+} from '../lib/schema-service.js';
+import { sleep } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Longest value shown inline in a drift line
+const MAX_VALUE_LENGTH = 80;
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 <command> [options]')
+  .command('export', 'Write the DEs in a folder as definition files', (y) => {
+    return y.option('folder', {
+      alias: 'f',
+      describe: 'Folder path or name (subfolders included)',
+      type: 'string',
+      demandOption: true
+    });
+  })
+  .command('apply', 'Create missing DEs from definition files and report drift')
+  .demandCommand(1, 'Specify a command: export or apply')
+  .option('dir', {
+    alias: 'd',
+    describe: 'Definitions directory (apply also accepts a single file)',
+    type: 'string',
+    demandOption: true
+  })
+  .option('format', {
+    describe: 'export: definition file format',
+    choices: Object.values(SchemaFormat),
+    default: SchemaFormat.YAML
+  })
+  .option('confirm', {
+    describe: 'apply: create the missing DEs (still requires confirmation)',
+    type: 'boolean',
+    default: false
+  })
+  .option('exit-code', {
+    describe: 'apply: exit with code 1 if a DE is missing or has drifted (for CI)',
+    type: 'boolean',
+    default: false
+  })
+  .option('non-interactive', {
+    describe: 'Non-interactive mode for scheduled execution',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm-phrase', {
+    describe: 'Confirmation phrase for non-interactive mode',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'export: force refresh folder cache from SFMC API',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (argv.nonInteractive && argv.confirm && !argv.confirmPhrase) {
+      throw new Error('--non-interactive with --confirm requires --confirm-phrase');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0 export --folder "Data Extensions/Campaigns" --dir schemas/campaigns', 'Export a folder for review in git')
+  .example('$0 apply --dir schemas/campaigns --profile child-bu', 'Preview which DEs another BU is missing')
+  .example('$0 apply --dir schemas/campaigns --exit-code', 'Fail a CI job when SFMC drifts from the definitions')
+  .parseSync();
+
+const logger = createLogger('schema');
+
+/**
+ * Print the command header
+ * @param {string} title - Header title
+ */
+function printHeader(title) {
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold(`  ${title}`));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+}
+
+/**
+ * Format a definition value for one drift line
+ * @param {any} value - Value
+ * @returns {string} Short representation
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return chalk.gray('(none)');
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 3)}...` : text;
+}
+
+/**
+ * Validate config and connect
+ * @returns {Promise<object>} Connection result
+ */
+async function connect() {
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  const spinner = ora('Testing SFMC connection...').start();
+  const connResult = await testConnection(logger);
+  if (!connResult.success) {
+    spinner.fail(`Connection failed: ${connResult.error}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+  return connResult;
+}
+
+/**
+ * Get confirmation from user
+ * @param {number} count - Number of DEs to create
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function getConfirmation(count) {
+  const expectedPhrase = `CREATE ${count} DATA EXTENSION${count === 1 ? '' : 'S'}`;
+
+  if (argv.nonInteractive) {
+    if (argv.confirmPhrase === expectedPhrase) {
+      return true;
+    }
+    console.log(chalk.red(`Confirmation phrase mismatch. Expected: "${expectedPhrase}"`));
+    return false;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `Type '${expectedPhrase}' to confirm:`
+    }
+  ]);
+
+  return answers.confirmation === expectedPhrase;
+}
+
+/**
+ * Export the DEs in a folder
+ */
+async function runExport() {
+  const dir = path.resolve(argv.dir);
+
+  printHeader('SFMC Schema - Export');
+  console.log(`  Folder: ${chalk.yellow(argv.folder)}`);
+  console.log(`  Directory: ${chalk.yellow(dir)}`);
+  console.log('');
+
+  await connect();
+
+  if (argv.refreshCache) {
+    await clearFolderCache(logger);
+  }
+
+  let spinner = ora('Finding folder...').start();
+  const targetFolder = await findFolder(argv.folder, logger);
+  if (!targetFolder) {
+    spinner.fail('Folder not found');
+
+    const suggestions = await findSimilarFolders(argv.folder, logger);
+    if (suggestions.length > 0) {
+      console.log(chalk.yellow('\nDid you mean one of these?'));
+      suggestions.forEach(s => {
+        console.log(chalk.gray(`  - ${s.path}`));
+      });
+    }
+    process.exit(2);
+  }
+  spinner.succeed(`Found folder: ${targetFolder.path} (ID: ${targetFolder.id})`);
+
+  const folders = [targetFolder, ...(await getSubfolders(targetFolder.id, true, logger))];
+  const results = { created: 0, updated: 0, unchanged: 0 };
+  const exportedKeys = new Set();
+
+  spinner = ora('Exporting Data Extensions...').start();
+  for (const folder of folders) {
+    const dataExtensions = await getDataExtensionsInFolder(folder.id, logger);
+
+    for (const de of dataExtensions) {
+      spinner.text = `Exporting ${de.name}`;
+      const fields = await getDataExtensionSchema(de.customerKey, logger);
+      const definition = buildSchemaDefinition(de, fields, folder.path);
+      const filePath = getSchemaFilePath(dir, de.customerKey, argv.format);
+      const existed = fs.existsSync(filePath);
+
+      if (!writeSchemaDefinition(filePath, definition, argv.format)) {
+        results.unchanged++;
+      } else if (existed) {
+        results.updated++;
+        logger.info(`Updated ${filePath}`);
+      } else {
+        results.created++;
+        logger.info(`Wrote ${filePath}`);
+      }
+      exportedKeys.add(de.customerKey.toLowerCase());
+    }
+  }
+  spinner.succeed(`Exported ${exportedKeys.size} Data Extension(s) from ${folders.length} folder(s)`);
+
+  // Definitions for DEs that are gone from the folder are left for review
+  let orphaned = [];
+  try {
+    const folderPrefix = targetFolder.path.toLowerCase();
+    orphaned = readSchemaDefinitions(dir).filter(({ definition }) =>
+      !exportedKeys.has(definition.customerKey.toLowerCase()) &&
+      (definition.folder.toLowerCase() === folderPrefix || definition.folder.toLowerCase().startsWith(`${folderPrefix}/`)));
+  } catch (error) {
+    console.log(chalk.yellow(`  ⚠ Could not check the other files in ${dir}: ${error.message}`));
+  }
+
+  console.log('');
+  console.log(`  New files: ${chalk.green(results.created)}`);
+  console.log(`  Changed files: ${chalk.yellow(results.updated)}`);
+  console.log(`  Unchanged files: ${results.unchanged}`);
+
+  if (orphaned.length > 0) {
+    console.log('');
+    console.log(chalk.yellow(`  ${orphaned.length} definition(s) in this folder no longer match a DE in SFMC (left in place):`));
+    for (const { filePath } of orphaned.slice(0, config.ui.maxItemsToDisplay)) {
+      console.log(chalk.yellow(`    • ${path.relative(dir, filePath)}`));
+    }
+  }
+
+  console.log('');
+  console.log(chalk.green(`✓ Saved: ${dir}`));
+  console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+  logger.info(`Schema export of ${targetFolder.path}: ${results.created} new, ${results.updated} changed, ${results.unchanged} unchanged`);
+}
+
+/**
+ * Create missing DEs from definitions and report drift
+ */
+async function runApply() {
+  const auditLogger = createAuditLogger('schema-apply');
+
+  printHeader('SFMC Schema - Apply');
+  console.log(`MODE: ${argv.confirm ? chalk.red.bold('LIVE CREATION') : chalk.yellow('DRY RUN (Preview Only)')}`);
+  console.log('');
+
+  let definitions;
+  try {
+    definitions = readSchemaDefinitions(path.resolve(argv.dir));
+  } catch (error) {
+    console.log(chalk.red(error.message));
+    process.exit(1);
+  }
+  console.log(`  ${definitions.length} definition(s) in ${chalk.yellow(path.resolve(argv.dir))}`);
+  console.log('');
+
+  auditLogger.setOptions({ dir: path.resolve(argv.dir), dryRun: !argv.confirm });
+
+  await connect();
+
+  // Folders may have been created or deleted since the cache was written
+  await clearFolderCache(logger);
+
+  const missing = [];
+  const drifted = [];
+  let inSync = 0;
+
+  const spinner = ora('Comparing with SFMC...').start();
+  for (let i = 0; i < definitions.length; i++) {
+    const { filePath, definition } = definitions[i];
+    spinner.text = `Comparing ${i + 1}/${definitions.length}: ${definition.name}`;
+
+    const de = await getDataExtensionDetails(definition.customerKey, logger);
+
+    if (!de) {
+      const folder = await getFolderByPath(definition.folder, logger);
+      missing.push({ filePath, definition, folderExists: !!folder });
+      continue;
+    }
+
+    const fields = await getDataExtensionSchema(de.customerKey, logger);
+    const folder = await getFolderById(de.folderId, logger);
+    const actual = buildSchemaDefinition(de, fields, folder?.path || `Folder ${de.folderId}`);
+    const differences = diffSchemaDefinitions(definition, actual);
+
+    if (differences.length > 0) {
+      drifted.push({ filePath, definition, differences });
+    } else {
+      inSync++;
+    }
+  }
+  spinner.succeed(`${inSync} in sync, ${drifted.length} drifted, ${missing.length} missing`);
+
+  if (drifted.length > 0) {
+    console.log('');
+    console.log(chalk.cyan.bold(`  DRIFT: ${drifted.length} Data Extension(s) differ from their definition`));
+    console.log(chalk.gray('─'.repeat(config.ui.consoleWidth)));
+    for (const { definition, differences } of drifted) {
+      console.log(chalk.yellow(`  ~ ${definition.name}`));
+      for (const difference of differences) {
+        console.log(`      ${difference.path}: ${formatValue(difference.expected)} in definition, ${formatValue(difference.actual)} in SFMC`);
+      }
+    }
+  }
+
+  if (missing.length > 0) {
+    console.log('');
+    console.log(chalk.cyan.bold(`  MISSING: ${missing.length} Data Extension(s) to create`));
+    console.log(chalk.gray('─'.repeat(config.ui.consoleWidth)));
+    for (const { definition, folderExists } of missing) {
+      console.log(chalk.green(`  + ${definition.name}`) + chalk.gray(` in ${definition.folder}${folderExists ? '' : ' (folder will be created)'}`));
+    }
+  }
+
+  auditLogger.setMetadata('drift', drifted.map(({ definition, differences }) => ({
+    customerKey: definition.customerKey,
+    name: definition.name,
+    differences
+  })));
+  auditLogger.setPreExecutionState({ inSync, drifted: drifted.length, missing: missing.length });
+
+  const driftExitCode = argv.exitCode && drifted.length > 0 ? 1 : 0;
+
+  if (!argv.confirm || missing.length === 0) {
+    if (!argv.confirm && missing.length > 0) {
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold('   DRY RUN COMPLETE - No changes were made'));
+      console.log(chalk.cyan.bold('   Use --confirm to create the missing Data Extensions'));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+    } else if (missing.length + drifted.length === 0) {
+      console.log('');
+      console.log(chalk.green('✓ SFMC matches the definitions'));
+    }
+
+    auditLogger.setMetadata('dryRun', !argv.confirm);
+    const exitCode = argv.exitCode && missing.length > 0 ? 1 : driftExitCode;
+    auditLogger.save(exitCode);
+    process.exit(exitCode);
+  }
+
+  const confirmed = await getConfirmation(missing.length);
+  if (!confirmed) {
+    console.log(chalk.yellow('\nSchema apply cancelled.'));
+    auditLogger.setMetadata('cancelled', true);
+    auditLogger.save(2);
+    process.exit(2);
+  }
+
+  console.log('');
+  console.log(chalk.bold('Creating Data Extensions...'));
+
+  const results = { successful: 0, failed: 0 };
+
+  for (let i = 0; i < missing.length; i++) {
+    const { definition } = missing[i];
+    console.log(chalk.gray(`[${i + 1}/${missing.length}] ${definition.name}...`));
+
+    try {
+      const folder = await ensureFolderPath(definition.folder, logger);
+      const result = await createDataExtension(toCreateRequest(definition, folder.id), logger);
+
+      if (result.success) {
+        console.log(chalk.green(`  ✓ Created in ${folder.path || definition.folder}`));
+        results.successful++;
+        auditLogger.addSuccess({ customerKey: definition.customerKey, name: definition.name, folder: definition.folder });
+      } else {
+        console.log(chalk.red(`  ✗ Failed: ${result.error}`));
+        results.failed++;
+        auditLogger.addFailure({ customerKey: definition.customerKey, name: definition.name }, result.error);
+      }
+    } catch (error) {
+      console.log(chalk.red(`  ✗ Failed: ${error.message}`));
+      results.failed++;
+      auditLogger.addFailure({ customerKey: definition.customerKey, name: definition.name }, error.message);
+    }
+
+    await sleep(config.safety.apiRateLimitDelayMs);
+  }
+
+  const exitCode = results.failed > 0 ? 1 : driftExitCode;
+  const auditPath = auditLogger.save(exitCode);
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SCHEMA APPLY COMPLETE'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(`  Created: ${chalk.green(results.successful)}`);
+  console.log(`  Failed: ${results.failed > 0 ? chalk.red(results.failed) : '0'}`);
+  console.log(`  Drifted (not changed): ${drifted.length}`);
+  console.log(`  Audit Log: ${auditPath}`);
+  console.log('');
+  console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+  process.exit(exitCode);
+}
+
+/**
+ * Run the requested command
+ */
+async function main() {
+  const command = argv._[0];
+
+  if (command === 'export') {
+    await runExport();
+  } else if (command === 'apply') {
+    await runApply();
+  } else {
+    console.log(chalk.red(`Unknown command: ${command} (use export or apply)`));
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  logger.error(`Schema ${argv._[0]} failed: ${error.message}`);
+  logger.debug(error.stack);
+  console.error(chalk.red(`\n❌ Error: ${error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,545 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Set Retention Script
+ *
+ * Applies a retention policy to many Data Extensions at once: the DEs in a
+ * folder (and its subfolders), the DEs matching a name pattern, or the DEs
+ * that analyze-bu flagged NO_RETENTION in its CSV output. The previous
+ * settings are backed up and an undo script is written before any DE is
+ * updated.
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to update the DEs.
+ *
+ * Usage:
+ *   node src/scripts/set-retention.js --folder "Path/To/Folder" --period 6 --unit months [options]
+ *   node src/scripts/set-retention.js --include-pattern "^Tmp_" --period 30 --unit days --mode all
+ *   node src/scripts/set-retention.js --csv audit/bu-analysis.csv --period 1 --unit years --confirm
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger, createAuditLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { getSubfolders, getFolderById, findSimilarFolders, clearFolderCache, findFolder } from '../lib/folder-service.js';
+import {
+  getDataExtensionsInFolder,
+  getAllDataExtensions,
+  getDataExtensionDetails,
+  filterByPattern
+} from '../lib/data-extension-service.js';
+import {
+  RetentionUnit,
+  RetentionMode,
+  buildRetentionSettings,
+  formatRetention,
+  planRetentionChanges,
+  setDataExtensionRetention,
+  readNoRetentionCsv,
+  backupRetentionSettings,
+  generateRetentionUndoScript
+} from '../lib/retention-service.js';
+import { sendWebhook } from '../lib/sfmc-rest.js';
+import { sleep } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 (--folder <path> | --csv <file> | --include-pattern <regex>) --period <n> --unit <unit> [options]')
+  .option('folder', {
+    alias: 'f',
+    describe: 'Folder path or name (subfolders included)',
+    type: 'string'
+  })
+  .option('csv', {
+    describe: 'analyze-bu CSV output: update the DEs flagged NO_RETENTION',
+    type: 'string'
+  })
+  .option('include-pattern', {
+    describe: 'Regex pattern for DE names to include (the whole BU without --folder or --csv)',
+    type: 'string'
+  })
+  .option('exclude-pattern', {
+    describe: 'Regex pattern for DE names to exclude',
+    type: 'string'
+  })
+  .option('period', {
+    describe: 'Retention period length',
+    type: 'number',
+    demandOption: true
+  })
+  .option('unit', {
+    describe: 'Retention period unit',
+    choices: Object.values(RetentionUnit),
+    demandOption: true
+  })
+  .option('mode', {
+    describe: 'rows: delete each row once it is older than the period; all: delete all rows at the end of the period',
+    choices: Object.values(RetentionMode),
+    default: RetentionMode.ROWS
+  })
+  .option('delete-de', {
+    describe: 'Also delete the Data Extension itself at the end of the period (--mode all)',
+    type: 'boolean',
+    default: false
+  })
+  .option('reset-on-import', {
+    describe: 'Restart the retention period whenever rows are imported',
+    type: 'boolean',
+    default: false
+  })
+  .option('overwrite', {
+    describe: 'Replace existing retention policies (by default only DEs without one are updated)',
+    type: 'boolean',
+    default: false
+  })
+  .option('dry-run', {
+    describe: 'Preview only, no updates (DEFAULT)',
+    type: 'boolean',
+    default: true
+  })
+  .option('confirm', {
+    describe: 'Enable actual updates (still requires confirmation)',
+    type: 'boolean',
+    default: false
+  })
+  .option('non-interactive', {
+    describe: 'Non-interactive mode for scheduled execution',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm-phrase', {
+    describe: 'Confirmation phrase for non-interactive mode',
+    type: 'string'
+  })
+  .option('webhook-url', {
+    describe: 'URL to POST results to when complete',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh folder cache from SFMC API',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (!argv.folder && !argv.csv && !argv.includePattern) {
+      throw new Error('Specify --folder, --csv or --include-pattern');
+    }
+    if (argv.folder && argv.csv) {
+      throw new Error('--folder cannot be combined with --csv');
+    }
+    if (!Number.isInteger(argv.period) || argv.period <= 0) {
+      throw new Error('--period must be a positive whole number');
+    }
+    if (argv.deleteDe && argv.mode !== RetentionMode.ALL) {
+      throw new Error('--delete-de needs --mode all (row-based retention never deletes the DE)');
+    }
+
+    // If --confirm is used, dry-run should be false
+    if (argv.confirm) {
+      argv.dryRun = false;
+    }
+
+    if (argv.nonInteractive && argv.confirm && !argv.confirmPhrase) {
+      throw new Error('--non-interactive with --confirm requires --confirm-phrase');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0 --csv audit/bu-analysis.csv --period 6 --unit months', 'Preview a 6 month row-based policy for every NO_RETENTION DE')
+  .example('$0 --folder "Data Extensions/Imports" --period 30 --unit days --mode all --reset-on-import --confirm', 'Clear import staging DEs 30 days after the last import')
+  .example('$0 --include-pattern "^Tmp_" --period 7 --unit days --mode all --delete-de --confirm', 'Have temporary DEs delete themselves after a week')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('set-retention');
+const auditLogger = createAuditLogger('set-retention');
+
+/**
+ * Get confirmation from user
+ * @param {number} count - Number of DEs to update
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function getConfirmation(count) {
+  const expectedPhrase = `SET RETENTION ON ${count} DATA EXTENSION${count === 1 ? '' : 'S'}`;
+
+  if (argv.nonInteractive) {
+    if (argv.confirmPhrase === expectedPhrase) {
+      return true;
+    }
+    console.log(chalk.red(`Confirmation phrase mismatch. Expected: "${expectedPhrase}"`));
+    return false;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `Type '${expectedPhrase}' to confirm:`
+    }
+  ]);
+
+  return answers.confirmation === expectedPhrase;
+}
+
+/**
+ * Find the DEs in the target folder and its subfolders
+ * @param {object} spinner - ora spinner
+ * @returns {Promise<object[]>} Normalized DEs with folderPath
+ */
+async function findFolderTargets(spinner) {
+  spinner.start('Finding target folder...');
+  const targetFolder = await findFolder(argv.folder, logger);
+
+  if (!targetFolder) {
+    spinner.fail('Folder not found');
+
+    const suggestions = await findSimilarFolders(argv.folder, logger);
+    if (suggestions.length > 0) {
+      console.log(chalk.yellow('\nDid you mean one of these?'));
+      suggestions.forEach(s => {
+        console.log(chalk.gray(`  - ${s.path}`));
+      });
+    }
+
+    auditLogger.save(2);
+    process.exit(2);
+  }
+  spinner.succeed(`Found folder: ${targetFolder.path || targetFolder.name} (ID: ${targetFolder.id})`);
+
+  spinner.start('Discovering Data Extensions...');
+  const subfolders = await getSubfolders(targetFolder.id, true, logger);
+  const dataExtensions = [];
+
+  for (const folder of [targetFolder, ...subfolders]) {
+    const des = await getDataExtensionsInFolder(folder.id, logger);
+    des.forEach(de => {
+      de.folderPath = folder.path;
+    });
+    dataExtensions.push(...des);
+  }
+  spinner.succeed(`Found ${dataExtensions.length} Data Extension(s) in ${subfolders.length + 1} folder(s)`);
+
+  return dataExtensions;
+}
+
+/**
+ * Look up the DEs listed as NO_RETENTION in the analyze-bu CSV
+ * @param {object} spinner - ora spinner
+ * @param {object[]} problems - Collects rows whose DE no longer exists
+ * @returns {Promise<object[]>} Normalized DEs with folderPath
+ */
+async function findCsvTargets(spinner, problems) {
+  spinner.start(`Reading ${path.basename(argv.csv)}...`);
+  const rows = await readNoRetentionCsv(argv.csv, config.sfmc.accountId);
+  spinner.succeed(`${rows.length} DE(s) flagged NO_RETENTION in ${path.basename(argv.csv)}`);
+
+  // The CSV may be old: re-read each DE for its current settings
+  spinner.start('Checking Data Extensions...');
+  const dataExtensions = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    spinner.text = `Checking ${i + 1}/${rows.length}: ${row.name}`;
+
+    const de = await getDataExtensionDetails(row.customerKey, logger);
+    if (!de) {
+      problems.push({ de: row, reason: 'Data Extension no longer exists' });
+      continue;
+    }
+    de.folderPath = row.folderPath;
+    dataExtensions.push(de);
+  }
+  spinner.succeed(`Found ${dataExtensions.length} of ${rows.length} Data Extension(s)`);
+
+  return dataExtensions;
+}
+
+/**
+ * Find every DE in the BU (narrowed by --include-pattern afterwards)
+ * @param {object} spinner - ora spinner
+ * @returns {Promise<object[]>} Normalized DEs with folderPath
+ */
+async function findAllTargets(spinner) {
+  spinner.start('Retrieving all Data Extensions...');
+  const dataExtensions = await getAllDataExtensions(logger);
+
+  for (const de of dataExtensions) {
+    const folder = await getFolderById(de.folderId, logger);
+    de.folderPath = folder?.path || null;
+  }
+  spinner.succeed(`Found ${dataExtensions.length} Data Extension(s) in the BU`);
+
+  return dataExtensions;
+}
+
+/**
+ * Print the update preview
+ * @param {object[]} changes - Changes from planRetentionChanges
+ * @param {object} target - Retention settings to apply
+ */
+function printPreview(changes, target) {
+  const width = config.ui.consoleWidth;
+  const line = '─'.repeat(width);
+  const row = (text) => console.log(chalk.yellow('│') + text.substring(0, width).padEnd(width) + chalk.yellow('│'));
+
+  console.log('');
+  console.log(chalk.yellow(`┌${line}┐`));
+  row(' RETENTION PREVIEW');
+  console.log(chalk.yellow(`├${line}┤`));
+  row(` Business Unit: ${config.sfmc.accountId}`);
+  row(` New Policy: ${formatRetention(target)}`);
+  row(` Data Extensions to Update: ${changes.length}`);
+  console.log(chalk.yellow(`├${line}┤`));
+
+  changes.slice(0, config.ui.maxItemsToDisplay).forEach(({ de, before }, i) => {
+    row(`   ${i + 1}. ${de.name}${before.dataRetentionPeriodLength > 0 ? ` (was ${formatRetention(before)})` : ''}`);
+    if (de.folderPath) {
+      row(`      ${de.folderPath}`);
+    }
+  });
+
+  if (changes.length > config.ui.maxItemsToDisplay) {
+    row(`   ... and ${changes.length - config.ui.maxItemsToDisplay} more`);
+  }
+
+  console.log(chalk.yellow(`└${line}┘`));
+
+  if (target.deleteAtEndOfRetention) {
+    console.log(chalk.red.bold('\n⚠ These Data Extensions will be DELETED by SFMC at the end of the retention period.'));
+  } else if (!target.rowBasedRetention) {
+    console.log(chalk.yellow('\n⚠ All rows of these Data Extensions will be deleted at the end of each retention period.'));
+  }
+}
+
+/**
+ * Main set-retention function
+ */
+async function runSetRetention() {
+  const startTime = Date.now();
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Set Retention'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+
+  let target;
+  try {
+    validateConfig();
+    target = buildRetentionSettings({
+      period: argv.period,
+      unit: argv.unit,
+      mode: argv.mode,
+      deleteDataExtension: argv.deleteDe,
+      resetOnImport: argv.resetOnImport
+    });
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  console.log(`MODE: ${argv.dryRun ? chalk.yellow('DRY RUN (Preview Only)') : chalk.red.bold('LIVE UPDATE')}`);
+  console.log(`Policy: ${chalk.yellow(formatRetention(target))}`);
+  console.log('');
+
+  auditLogger.setOptions({
+    folder: argv.folder || null,
+    csv: argv.csv || null,
+    includePattern: argv.includePattern || null,
+    excludePattern: argv.excludePattern || null,
+    period: argv.period,
+    unit: argv.unit,
+    mode: argv.mode,
+    deleteDe: argv.deleteDe,
+    resetOnImport: argv.resetOnImport,
+    overwrite: argv.overwrite,
+    dryRun: argv.dryRun
+  });
+
+  let spinner = null;
+
+  try {
+    spinner = ora('Testing SFMC connection...').start();
+    const connResult = await testConnection(logger);
+    if (!connResult.success) {
+      spinner.fail(`Connection failed: ${connResult.error}`);
+      auditLogger.save(1);
+      process.exit(1);
+    }
+    spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+    if (argv.refreshCache) {
+      spinner.start('Clearing folder cache...');
+      await clearFolderCache(logger);
+      spinner.succeed('Folder cache cleared');
+    }
+
+    // Collect the target DEs
+    const problems = [];
+    let dataExtensions;
+    if (argv.folder) {
+      dataExtensions = await findFolderTargets(spinner);
+    } else if (argv.csv) {
+      dataExtensions = await findCsvTargets(spinner, problems);
+    } else {
+      dataExtensions = await findAllTargets(spinner);
+    }
+
+    const { filtered, errors } = filterByPattern(dataExtensions, {
+      include: argv.includePattern,
+      exclude: argv.excludePattern
+    });
+    if (errors.length > 0) {
+      errors.forEach(err => console.log(chalk.red(`  ${err}`)));
+      auditLogger.save(1);
+      process.exit(1);
+    }
+    if (filtered.length !== dataExtensions.length) {
+      console.log(chalk.gray(`  ${filtered.length} of ${dataExtensions.length} DE(s) match the name patterns`));
+    }
+
+    const { changes, skipped } = planRetentionChanges(filtered, target, { overwrite: argv.overwrite });
+
+    for (const { de, reason } of [...problems, ...skipped]) {
+      auditLogger.addSkipped({ customerKey: de.customerKey, name: de.name }, reason);
+    }
+
+    if (problems.length + skipped.length > 0) {
+      console.log('');
+      console.log(chalk.gray(`Skipped ${problems.length + skipped.length} DE(s):`));
+      for (const { de, reason } of [...problems, ...skipped].slice(0, config.ui.maxItemsToDisplay)) {
+        console.log(chalk.gray(`  ○ ${de.name}: ${reason}`));
+      }
+      if (problems.length + skipped.length > config.ui.maxItemsToDisplay) {
+        console.log(chalk.gray(`  ... and ${problems.length + skipped.length - config.ui.maxItemsToDisplay} more`));
+      }
+    }
+
+    if (changes.length === 0) {
+      console.log(chalk.green('\nNo Data Extensions need a retention update.'));
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    printPreview(changes, target);
+
+    auditLogger.setPreExecutionState({
+      dataExtensions: changes.map(({ de, before }) => ({ customerKey: de.customerKey, name: de.name, retention: before }))
+    });
+
+    if (argv.dryRun) {
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold('   DRY RUN COMPLETE - No changes were made'));
+      console.log(chalk.cyan.bold('   Use --confirm to apply this retention policy'));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+
+      auditLogger.setMetadata('dryRun', true);
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    const confirmed = await getConfirmation(changes.length);
+    if (!confirmed) {
+      console.log(chalk.yellow('\nRetention update cancelled.'));
+      auditLogger.setMetadata('cancelled', true);
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    // Back up the previous settings and write the undo script BEFORE any update
+    const backupDir = path.join(config.paths.backup, dayjs().format('YYYYMMDD-HHmmss'));
+    const backupPath = backupRetentionSettings(changes, backupDir);
+    const undoPath = generateRetentionUndoScript(changes, config.paths.undo);
+    auditLogger.setMetadata('backupPath', backupPath);
+    auditLogger.setMetadata('undoScript', undoPath);
+    console.log(chalk.cyan(`\nPrevious settings backed up to: ${backupPath}`));
+    console.log(chalk.cyan(`Undo script saved to: ${undoPath}`));
+    console.log(chalk.gray(`  (Restore the previous settings with: node ${path.relative(process.cwd(), undoPath)}${config.profile ? ` --profile ${config.profile}` : ''} --confirm)`));
+
+    console.log('');
+    console.log(chalk.bold('Updating Data Extensions...'));
+
+    const results = { successful: 0, failed: 0, failedItems: [] };
+
+    for (let i = 0; i < changes.length; i++) {
+      const { de, before, after } = changes[i];
+      console.log(chalk.gray(`[${i + 1}/${changes.length}] ${de.name}...`));
+
+      const result = await setDataExtensionRetention(de.customerKey, after, logger);
+
+      if (result.success) {
+        console.log(chalk.green('  ✓ Updated'));
+        results.successful++;
+        auditLogger.addSuccess({ customerKey: de.customerKey, name: de.name, before, after });
+      } else {
+        console.log(chalk.red(`  ✗ Failed: ${result.error}`));
+        results.failed++;
+        results.failedItems.push({ name: de.name, error: result.error });
+        auditLogger.addFailure({ customerKey: de.customerKey, name: de.name, before, after }, result.error);
+      }
+
+      await sleep(config.safety.apiRateLimitDelayMs);
+    }
+
+    const exitCode = results.failed > 0 ? 1 : 0;
+    const auditPath = auditLogger.save(exitCode);
+
+    console.log('');
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(chalk.cyan.bold('  RETENTION UPDATE COMPLETE'));
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(`  Policy: ${formatRetention(target)}`);
+    console.log(`  Updated: ${chalk.green(results.successful)}`);
+    console.log(`  Failed: ${results.failed > 0 ? chalk.red(results.failed) : '0'}`);
+    for (const item of results.failedItems.slice(0, 10)) {
+      console.log(chalk.red(`    • ${item.name} - ${item.error}`));
+    }
+    console.log(`  Skipped: ${problems.length + skipped.length}`);
+    console.log(`  Backup: ${backupPath}`);
+    console.log(`  Undo Script: ${undoPath}`);
+    console.log(`  Audit Log: ${auditPath}`);
+
+    // Send webhook if configured
+    const webhookUrl = argv.webhookUrl || config.webhook.url;
+    if (webhookUrl) {
+      await sendWebhook(webhookUrl, {
+        operation: 'set-retention',
+        operationId: auditLogger.operationId,
+        businessUnit: config.sfmc.accountId,
+        policy: target,
+        results,
+        completedAt: new Date().toISOString()
+      }, logger);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    if (spinner) spinner.fail('Retention update failed');
+    logger.error(`Set retention failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    auditLogger.save(1);
+    process.exit(1);
+  }
+}
+
+// Run set-retention
+runSetRetention();
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Snapshot Script
+ *
+ * Archives the bulk metadata capture (DEs, queries with SQL, automations with
+ * steps, filters, imports, triggered sends, journeys, extracts) under a name,
+ * and compares two archived captures to show what was added, removed or
+ * modified in between - e.g. before and after a release.
+ *
+ * Usage:
+ *   node src/scripts/snapshot.js save <name> [--bu 123456] [--refresh-cache]
+ *   node src/scripts/snapshot.js diff <from> <to> [--output diff.json] [--exit-code]
+ *   node src/scripts/snapshot.js list
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { loadAllSfmcData } from '../lib/bulk-data-loader.js';
+import { profileOption } from '../lib/cli-helpers.js';
+import {
+  getSnapshotPath,
+  saveSnapshot,
+  readSnapshot,
+  listSnapshots,
+  diffSnapshots
+} from '../lib/snapshot-service.js';
+
+// Longest field value shown inline in a diff
+const MAX_VALUE_LENGTH = 80;
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 <command> [options]')
+  .command('save <name>', 'Load SFMC metadata and archive it under a name', (y) => {
+    return y.positional('name', {
+      describe: 'Snapshot name (letters, digits, ".", "_" and "-")',
+      type: 'string'
+    });
+  })
+  .command('diff <from> <to>', 'Compare two snapshots (names or file paths)', (y) => {
+    return y
+      .positional('from', { describe: 'Older snapshot', type: 'string' })
+      .positional('to', { describe: 'Newer snapshot', type: 'string' });
+  })
+  .command('list', 'List saved snapshots')
+  .demandCommand(1, 'Specify a command: save, diff or list')
+  .option('business-unit', {
+    alias: 'bu',
+    describe: 'save: Business Unit MID (defaults to SFMC_ACCOUNT_ID)',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'save: reload all metadata instead of refreshing the cache with changes',
+    type: 'boolean',
+    default: false
+  })
+  .option('overwrite', {
+    describe: 'save: replace an existing snapshot of the same name',
+    type: 'boolean',
+    default: false
+  })
+  .option('output', {
+    alias: 'o',
+    describe: 'diff: also write the diff as JSON to this file',
+    type: 'string'
+  })
+  .option('exit-code', {
+    describe: 'diff: exit with code 1 if the snapshots differ (for CI)',
+    type: 'boolean',
+    default: false
+  })
+  .option('verbose', {
+    alias: 'v',
+    describe: 'Show detailed progress',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .help()
+  .alias('help', 'h')
+  .example('$0 save release-1.4', 'Archive the current state of the default BU')
+  .example('$0 diff release-1.4 release-1.5', 'What changed between two releases')
+  .example('$0 diff release-1.4 release-1.5 --exit-code -o diff.json', 'Fail a CI job on any change')
+  .parseSync();
+
+const logger = createLogger('snapshot');
+
+/**
+ * Print the command header
+ * @param {string} title - Header title
+ */
+function printHeader(title) {
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold(`  ${title}`));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+}
+
+/**
+ * Format a field value for one diff line
+ * @param {any} value - Field value
+ * @returns {string} Short representation
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return chalk.gray('(empty)');
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 3)}...` : text;
+}
+
+/**
+ * Load metadata and archive it
+ */
+async function runSave() {
+  const accountId = argv.businessUnit || null;
+
+  printHeader('SFMC Snapshot - Save');
+  console.log(`  Snapshot: ${chalk.yellow(argv.name)}`);
+  console.log(`  Business Unit: ${chalk.yellow(accountId || config.sfmc.accountId)}`);
+  console.log('');
+
+  let snapshotPath;
+  try {
+    validateConfig();
+    snapshotPath = getSnapshotPath(argv.name);
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  // Checked before the (possibly long) load, saveSnapshot checks again
+  if (fs.existsSync(snapshotPath) && !argv.overwrite) {
+    console.log(chalk.red(`Snapshot "${argv.name}" already exists. Use --overwrite to replace it.`));
+    process.exit(1);
+  }
+
+  let spinner = ora('Testing SFMC connection...').start();
+  const connResult = await testConnection(logger, accountId);
+  if (!connResult.success) {
+    spinner.fail(`Connection failed: ${connResult.error}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+  // The snapshot must reflect SFMC now, not the cache: refresh it with changes (or reload it)
+  spinner = ora('Loading SFMC metadata...').start();
+  const bulkData = await loadAllSfmcData({
+    logger: argv.verbose ? logger : null,
+    onProgress: (stage, current, total) => {
+      spinner.text = `Loading ${stage}: ${current}/${total}`;
+    },
+    includeAutomationDetails: true,
+    includeQueryText: true,
+    forceRefresh: argv.refreshCache,
+    incremental: !argv.refreshCache,
+    accountId
+  });
+  spinner.succeed('SFMC metadata loaded');
+
+  const { snapshot } = saveSnapshot(argv.name, bulkData, {
+    businessUnit: connResult.accountId,
+    overwrite: argv.overwrite
+  });
+
+  console.log('');
+  console.log(chalk.cyan.bold('  SNAPSHOT'));
+  console.log(chalk.gray('─'.repeat(config.ui.consoleWidth)));
+  for (const [list, count] of Object.entries(snapshot.counts)) {
+    console.log(`  ${list.padEnd(20)} ${count}`);
+  }
+  console.log('');
+  console.log(chalk.green(`✓ Saved: ${snapshotPath}`));
+
+  logger.info(`Snapshot "${argv.name}" saved for BU ${connResult.accountId}: ${snapshotPath}`);
+}
+
+/**
+ * Print one section of a diff
+ * @param {object} section - Section from diffSnapshots
+ */
+function printSection(section) {
+  const { label, added, removed, modified } = section;
+  if (added.length + removed.length + modified.length === 0) return;
+
+  console.log('');
+  console.log(chalk.cyan.bold(`  ${label}: ${added.length} added, ${removed.length} removed, ${modified.length} modified`));
+  console.log(chalk.gray('─'.repeat(config.ui.consoleWidth)));
+
+  for (const item of added) {
+    console.log(chalk.green(`  + ${item.name}`) + chalk.gray(item.key !== item.name ? ` (${item.key})` : ''));
+  }
+  for (const item of removed) {
+    console.log(chalk.red(`  - ${item.name}`) + chalk.gray(item.key !== item.name ? ` (${item.key})` : ''));
+  }
+  for (const item of modified) {
+    console.log(chalk.yellow(`  ~ ${item.name}`) + chalk.gray(item.key !== item.name ? ` (${item.key})` : ''));
+
+    for (const change of item.fields) {
+      console.log(`      ${change.field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`);
+    }
+    for (const stepChange of item.stepChanges || []) {
+      console.log(`      ${stepChange}`);
+    }
+    if (item.textDiff) {
+      console.log('      SQL:');
+      for (const line of item.textDiff) {
+        const color = line.startsWith('+') ? chalk.green : line.startsWith('-') ? chalk.red : chalk.gray;
+        console.log(color(`        ${line}`));
+      }
+    }
+  }
+}
+
+/**
+ * Compare two snapshots
+ */
+function runDiff() {
+  printHeader('SFMC Snapshot - Diff');
+
+  let from;
+  let to;
+  try {
+    from = readSnapshot(argv.from);
+    to = readSnapshot(argv.to);
+  } catch (error) {
+    console.log(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  console.log(`  From: ${chalk.yellow(from.name)} (BU ${from.businessUnit}, ${dayjs(from.createdAt).format('YYYY-MM-DD HH:mm')})`);
+  console.log(`  To:   ${chalk.yellow(to.name)} (BU ${to.businessUnit}, ${dayjs(to.createdAt).format('YYYY-MM-DD HH:mm')})`);
+  if (from.businessUnit !== to.businessUnit) {
+    console.log(chalk.yellow('  ⚠ The snapshots are from different Business Units'));
+  }
+
+  const diff = diffSnapshots(from, to);
+
+  for (const section of Object.values(diff.sections)) {
+    printSection(section);
+  }
+
+  console.log('');
+  console.log(chalk.gray('─'.repeat(config.ui.consoleWidth)));
+  if (diff.summary.total === 0) {
+    console.log(chalk.green('  No differences'));
+  } else {
+    console.log(`  ${chalk.green(`${diff.summary.added} added`)}, ${chalk.red(`${diff.summary.removed} removed`)}, ${chalk.yellow(`${diff.summary.modified} modified`)}`);
+  }
+
+  if (argv.output) {
+    const outputPath = path.resolve(argv.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(diff, null, 2) + '\n');
+    console.log('');
+    console.log(chalk.green(`✓ Saved: ${outputPath}`));
+  }
+
+  logger.info(`Snapshot diff ${from.name} -> ${to.name}: ${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.modified} modified`);
+
+  if (argv.exitCode && diff.summary.total > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * List saved snapshots
+ */
+function runList() {
+  printHeader('SFMC Snapshots');
+
+  const snapshots = listSnapshots();
+  if (snapshots.length === 0) {
+    console.log(chalk.gray(`  No snapshots in ${config.paths.snapshots}`));
+    return;
+  }
+
+  for (const snapshot of snapshots) {
+    const counts = snapshot.counts;
+    console.log(`  ${chalk.yellow(snapshot.name.padEnd(24))} BU ${snapshot.businessUnit}  ${dayjs(snapshot.createdAt).format('YYYY-MM-DD HH:mm')}  ` +
+      chalk.gray(`${counts.dataExtensions || 0} DEs, ${counts.queryActivities || 0} queries, ${counts.automations || 0} automations`));
+  }
+  console.log('');
+  console.log(chalk.gray(`  ${config.paths.snapshots}`));
+}
+
+/**
+ * Run the requested command
+ */
+async function main() {
+  const command = argv._[0];
+
+  if (command === 'save') {
+    await runSave();
+  } else if (command === 'diff') {
+    runDiff();
+  } else if (command === 'list') {
+    runList();
+  } else {
+    console.log(chalk.red(`Unknown command: ${command} (use save, diff or list)`));
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  logger.error(`Snapshot failed: ${error.message}`);
+  logger.debug(error.stack);
+  console.error(chalk.red(`\n❌ Error: ${error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Empty Folder Sweep Script
+ *
+ * Walks the whole folder tree of the Business Unit and deletes every folder
+ * that holds no items at any depth. System folders (top-level, not editable
+ * or not allowing subfolders), protected folders and everything inside a
+ * protected folder are left alone, and so is any folder whose items cannot
+ * be listed.
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to enable actual deletion.
+ * Use --content-type to sweep query, automation, filter, shared DE or Content
+ * Builder folders instead of Data Extension folders.
+ *
+ * Usage:
+ *   node src/scripts/sweep-empty-folders.js [options]
+ *   node src/scripts/sweep-empty-folders.js --content-type queryactivity --confirm
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger, createAuditLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import {
+  FolderContentType,
+  getContentTypeLabel,
+  findEmptyFolderTrees,
+  getDeletionOrder,
+  getFolderItems,
+  deleteFolder,
+  clearFolderCache
+} from '../lib/folder-service.js';
+import { sendWebhook } from '../lib/sfmc-rest.js';
+import { sleep } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('content-type', {
+    describe: 'Folder content type',
+    type: 'string',
+    choices: Object.values(FolderContentType),
+    default: FolderContentType.DATA_EXTENSION
+  })
+  .option('dry-run', {
+    describe: 'Preview only, no deletions (DEFAULT)',
+    type: 'boolean',
+    default: true
+  })
+  .option('confirm', {
+    describe: 'Enable actual deletion mode',
+    type: 'boolean',
+    default: false
+  })
+  .option('non-interactive', {
+    describe: 'Non-interactive mode for scheduled execution',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm-phrase', {
+    describe: 'Confirmation phrase for non-interactive mode',
+    type: 'string'
+  })
+  .option('webhook-url', {
+    describe: 'URL to POST results to when complete',
+    type: 'string'
+  })
+  .option('refresh-cache', {
+    describe: 'Force refresh folder cache from SFMC API',
+    type: 'boolean',
+    default: false
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (argv.confirm) {
+      argv.dryRun = false;
+    }
+
+    if (argv.nonInteractive && argv.confirm && !argv.confirmPhrase) {
+      throw new Error('--non-interactive with --confirm requires --confirm-phrase');
+    }
+
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0', 'Preview the empty Data Extension folders')
+  .example('$0 --content-type queryactivity --confirm', 'Delete the empty Query Activity folders')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('sweep-empty-folders');
+const auditLogger = createAuditLogger('sweep-empty-folders');
+
+/**
+ * Print the empty folder trees
+ * @param {object[]} roots - Highest empty folders
+ * @param {object[]} folders - Every empty folder
+ */
+function printCandidateTree(roots, folders) {
+  const printFolder = (folder, depth) => {
+    const indent = '│   '.repeat(depth);
+    const prefix = depth === 0 ? '' : '├── ';
+    console.log(`${indent}${prefix}📁 ${depth === 0 ? chalk.bold(folder.path) : folder.name} (ID: ${folder.id})`);
+
+    folders
+      .filter(child => child.parentFolderId === folder.id)
+      .forEach(child => printFolder(child, depth + 1));
+  };
+
+  console.log('');
+  roots.forEach(root => printFolder(root, 0));
+}
+
+/**
+ * Get confirmation from user
+ * @param {number} count - Number of folders to delete
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function getConfirmation(count) {
+  const expectedPhrase = `DELETE ${count} FOLDER${count === 1 ? '' : 'S'}`;
+
+  if (argv.nonInteractive) {
+    if (argv.confirmPhrase === expectedPhrase) {
+      return true;
+    }
+    console.log(chalk.red(`Confirmation phrase mismatch. Expected: "${expectedPhrase}"`));
+    return false;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `Type '${expectedPhrase}' to confirm:`
+    }
+  ]);
+
+  return answers.confirmation === expectedPhrase;
+}
+
+/**
+ * Main sweep function
+ */
+async function runSweep() {
+  const startTime = Date.now();
+  const contentType = argv.contentType;
+  const label = getContentTypeLabel(contentType);
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Empty Folder Sweep'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  console.log(`  Content type: ${chalk.yellow(`${label} folders`)}`);
+  console.log(`  MODE: ${argv.dryRun ? chalk.yellow('DRY RUN (Preview Only)') : chalk.red.bold('LIVE DELETION')}`);
+  console.log('');
+
+  auditLogger.setOptions({
+    contentType,
+    dryRun: argv.dryRun
+  });
+
+  let spinner = null;
+
+  try {
+    spinner = ora('Testing SFMC connection...').start();
+    const connResult = await testConnection(logger);
+    if (!connResult.success) {
+      spinner.fail(`Connection failed: ${connResult.error}`);
+      auditLogger.save(1);
+      process.exit(1);
+    }
+    spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+    if (argv.refreshCache) {
+      spinner.start('Clearing folder cache...');
+      await clearFolderCache(logger, null, contentType);
+      spinner.succeed('Folder cache cleared');
+    }
+
+    spinner.start('Checking folders...');
+    const { roots, folders, skippedCount, checkedCount, unreadable } = await findEmptyFolderTrees(logger, null, contentType, (current, total) => {
+      spinner.text = `Checking folders: ${current}/${total}`;
+    });
+    spinner.succeed(`Listed ${label}(s) in ${checkedCount} folder(s); skipped ${skippedCount} system or protected folder(s)`);
+
+    if (unreadable.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  Could not list ${label}(s) in ${unreadable.length} folder(s); these and their parents are kept:`));
+      for (const folder of unreadable.slice(0, 10)) {
+        console.log(chalk.yellow(`   - ${folder.path} (${folder.error})`));
+      }
+    }
+
+    if (roots.length === 0) {
+      console.log(chalk.green('\nNo empty folders found.'));
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    // Delete each empty tree deepest first
+    const foldersToDelete = [];
+    for (const root of roots) {
+      foldersToDelete.push(...await getDeletionOrder(root.id, logger, null, contentType));
+    }
+
+    console.log(chalk.bold(`\nEmpty folder trees (${roots.length}):`));
+    printCandidateTree(roots, folders);
+    console.log('');
+    console.log(`  Folders to delete: ${chalk.yellow(foldersToDelete.length)}`);
+
+    auditLogger.setPreExecutionState({
+      roots: roots.map(root => ({ id: root.id, path: root.path })),
+      totalFolders: foldersToDelete.length,
+      unreadable
+    });
+
+    if (argv.dryRun) {
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold('   DRY RUN COMPLETE - No changes were made'));
+      console.log(chalk.cyan.bold('   Use --confirm to enable actual deletion'));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+
+      auditLogger.setMetadata('dryRun', true);
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    const confirmed = await getConfirmation(foldersToDelete.length);
+    if (!confirmed) {
+      console.log(chalk.yellow('\nDeletion cancelled.'));
+      auditLogger.setMetadata('cancelled', true);
+      auditLogger.save(2);
+      process.exit(2);
+    }
+
+    console.log('');
+    console.log(chalk.bold('Starting deletion...'));
+
+    const results = { foldersDeleted: 0, failed: 0, skipped: 0, failedItems: [] };
+    // Folders that are still there; their parents cannot be deleted
+    const keptIds = new Set();
+
+    for (let i = 0; i < foldersToDelete.length; i++) {
+      const folder = foldersToDelete[i];
+      const item = { type: 'Folder', id: folder.id, name: folder.name, path: folder.path };
+
+      console.log(chalk.gray(`[${i + 1}/${foldersToDelete.length}] ${folder.path}...`));
+
+      if (foldersToDelete.some(child => child.parentFolderId === folder.id && keptIds.has(child.id))) {
+        console.log(chalk.yellow('  ○ Skipped: a subfolder was not deleted'));
+        results.skipped++;
+        keptIds.add(folder.id);
+        auditLogger.addSkipped(item, 'A subfolder was not deleted');
+        continue;
+      }
+
+      // Something may have been added since the scan
+      let items;
+      try {
+        items = await getFolderItems(folder.id, logger, null, contentType);
+      } catch (error) {
+        console.log(chalk.yellow(`  ○ Skipped: could not list ${label}(s): ${error.message}`));
+        results.skipped++;
+        keptIds.add(folder.id);
+        auditLogger.addSkipped(item, `Could not list ${label}(s): ${error.message}`);
+        continue;
+      }
+
+      try {
+        if (items.length > 0) {
+          console.log(chalk.yellow(`  ○ Skipped: now holds ${items.length} ${label}(s)`));
+          results.skipped++;
+          keptIds.add(folder.id);
+          auditLogger.addSkipped(item, `Now holds ${items.length} ${label}(s)`);
+          continue;
+        }
+
+        const result = await deleteFolder(folder.id, logger, null, contentType);
+
+        if (result.success) {
+          console.log(chalk.green('  ✓ Folder deleted'));
+          results.foldersDeleted++;
+          auditLogger.addSuccess(item);
+        } else {
+          console.log(chalk.red(`  ✗ Failed: ${result.error}`));
+          results.failed++;
+          results.failedItems.push({ name: folder.path, error: result.error });
+          keptIds.add(folder.id);
+          auditLogger.addFailure(item, result.error);
+        }
+      } catch (error) {
+        console.log(chalk.red(`  ✗ Error: ${error.message}`));
+        results.failed++;
+        results.failedItems.push({ name: folder.path, error: error.message });
+        keptIds.add(folder.id);
+        auditLogger.addFailure(item, error.message);
+      }
+
+      await sleep(config.safety.apiRateLimitDelayMs);
+    }
+
+    const exitCode = results.failed > 0 ? 1 : 0;
+    const auditPath = auditLogger.save(exitCode);
+
+    console.log('');
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(chalk.cyan.bold('  SWEEP COMPLETE'));
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(`  Deleted: ${chalk.green(results.foldersDeleted)}`);
+    console.log(`  Failed: ${results.failed > 0 ? chalk.red(results.failed) : '0'}`);
+    for (const failed of results.failedItems.slice(0, 10)) {
+      console.log(chalk.red(`    • ${failed.name} - ${failed.error}`));
+    }
+    console.log(`  Skipped: ${results.skipped}`);
+    console.log(`  Audit Log: ${auditPath}`);
+
+    // Send webhook if configured
+    const webhookUrl = argv.webhookUrl || config.webhook.url;
+    if (webhookUrl) {
+      await sendWebhook(webhookUrl, {
+        operation: 'sweep-empty-folders',
+        operationId: auditLogger.operationId,
+        businessUnit: config.sfmc.accountId,
+        contentType,
+        results,
+        completedAt: new Date().toISOString()
+      }, logger);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    if (spinner) spinner.fail('Sweep failed');
+    logger.error(`Sweep failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    auditLogger.save(1);
+    process.exit(1);
+  }
+}
+
+// Run sweep
+runSweep();
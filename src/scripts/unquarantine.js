@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+
+/**
+ * SFMC Unquarantine Script
+ *
+ * Moves Data Extensions quarantined by delete-data-extensions --quarantine
+ * back to the folder they came from and removes them from the quarantine
+ * manifest. Automations paused by the quarantine are listed for
+ * re-activation once no quarantined DE references them any more.
+ *
+ * IMPORTANT: Defaults to DRY RUN mode. Use --confirm to move DEs back.
+ *
+ * Usage:
+ *   node src/scripts/unquarantine.js --de "DE_Name,DE_Key" [options]
+ *   node src/scripts/unquarantine.js --date 2024-01-31 [options]
+ *   node src/scripts/unquarantine.js --all [options]
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import dayjs from 'dayjs';
+
+import config, { validateConfig } from '../config/index.js';
+import { createLogger, createAuditLogger } from '../lib/logger.js';
+import { testConnection } from '../lib/sfmc-auth.js';
+import { getFolderById, clearFolderCache } from '../lib/folder-service.js';
+import { getDataExtensionDetails, moveDataExtension } from '../lib/data-extension-service.js';
+import { sendWebhook } from '../lib/sfmc-rest.js';
+import {
+  loadQuarantineManifest,
+  saveQuarantineManifest,
+  selectEntries,
+  removeEntries,
+  getEntryAgeDays,
+  getReleasableAutomations
+} from '../lib/quarantine-service.js';
+import { sleep } from '../lib/utils.js';
+import { profileOption } from '../lib/cli-helpers.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 (--de <names> | --date <YYYY-MM-DD> | --all) [options]')
+  .option('de', {
+    describe: 'DEs to restore (comma-separated names or CustomerKeys)',
+    type: 'string'
+  })
+  .option('date', {
+    describe: 'Restore everything quarantined on this date (YYYY-MM-DD)',
+    type: 'string'
+  })
+  .option('all', {
+    describe: 'Restore every quarantined DE',
+    type: 'boolean',
+    default: false
+  })
+  .option('list', {
+    describe: 'List quarantined DEs and exit',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm', {
+    describe: 'Enable actual moves (still requires confirmation)',
+    type: 'boolean',
+    default: false
+  })
+  .option('non-interactive', {
+    describe: 'Non-interactive mode for scheduled execution',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirm-phrase', {
+    describe: 'Confirmation phrase for non-interactive mode',
+    type: 'string'
+  })
+  .option('webhook-url', {
+    describe: 'URL to POST results to when complete',
+    type: 'string'
+  })
+  .option('profile', profileOption)
+  .check((argv) => {
+    if (!argv.list && !argv.de && !argv.date && !argv.all) {
+      throw new Error('Specify --de, --date or --all (or --list)');
+    }
+    if (argv.date && !/^\d{4}-\d{2}-\d{2}$/.test(argv.date)) {
+      throw new Error('--date must be in YYYY-MM-DD format');
+    }
+    if (argv.nonInteractive && argv.confirm && !argv.confirmPhrase) {
+      throw new Error('--non-interactive with --confirm requires --confirm-phrase');
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .example('$0 --list', 'Show what is in quarantine')
+  .example('$0 --de "Customer_Archive" --confirm', 'Move one DE back to its original folder')
+  .example('$0 --date 2024-01-31 --confirm', 'Restore everything quarantined on 31 Jan 2024')
+  .parseSync();
+
+// Initialize logger
+const logger = createLogger('unquarantine');
+const auditLogger = createAuditLogger('unquarantine');
+
+/**
+ * Get confirmation from user
+ * @param {number} count - Number of DEs to restore
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function getConfirmation(count) {
+  const expectedPhrase = `RESTORE ${count} DATA EXTENSION${count === 1 ? '' : 'S'}`;
+
+  if (argv.nonInteractive) {
+    if (argv.confirmPhrase === expectedPhrase) {
+      return true;
+    }
+    console.log(chalk.red(`Confirmation phrase mismatch. Expected: "${expectedPhrase}"`));
+    return false;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `Type '${expectedPhrase}' to confirm:`
+    }
+  ]);
+
+  return answers.confirmation === expectedPhrase;
+}
+
+/**
+ * Print quarantine manifest entries
+ * @param {object[]} entries - Manifest entries
+ * @param {string} title - Box title
+ */
+function printEntries(entries, title) {
+  const width = config.ui.consoleWidth;
+  const line = '─'.repeat(width);
+  const row = (text) => console.log(chalk.yellow('│') + text.substring(0, width).padEnd(width) + chalk.yellow('│'));
+
+  console.log('');
+  console.log(chalk.yellow(`┌${line}┐`));
+  row(` ${title}`);
+  console.log(chalk.yellow(`├${line}┤`));
+
+  entries.slice(0, config.ui.maxItemsToDisplay).forEach((entry, i) => {
+    row(`   ${i + 1}. ${entry.name} (${getEntryAgeDays(entry)}d, purge after ${dayjs(entry.purgeAfter).format('YYYY-MM-DD')})`);
+    row(`      → ${entry.originalFolderPath || `folder ${entry.originalFolderId}`}`);
+  });
+
+  if (entries.length > config.ui.maxItemsToDisplay) {
+    row(`   ... and ${entries.length - config.ui.maxItemsToDisplay} more`);
+  }
+
+  console.log(chalk.yellow(`└${line}┘`));
+}
+
+/**
+ * Main unquarantine function
+ */
+async function runUnquarantine() {
+  const startTime = Date.now();
+
+  console.log('');
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log(chalk.cyan.bold('  SFMC Unquarantine'));
+  console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+  console.log('');
+
+  try {
+    validateConfig();
+  } catch (error) {
+    console.log(chalk.red('Configuration error:'));
+    console.log(chalk.red(`  ${error.message}`));
+    process.exit(1);
+  }
+
+  let spinner = null;
+
+  try {
+    const manifest = loadQuarantineManifest();
+
+    if (argv.list) {
+      if (manifest.entries.length === 0) {
+        console.log(chalk.green('Quarantine is empty.'));
+      } else {
+        printEntries(manifest.entries, `QUARANTINE - ${manifest.entries.length} Data Extension(s)`);
+      }
+      process.exit(0);
+    }
+
+    auditLogger.setOptions({
+      de: argv.de || null,
+      date: argv.date || null,
+      all: argv.all,
+      dryRun: !argv.confirm
+    });
+
+    const keys = argv.de ? argv.de.split(',').map(k => k.trim()).filter(Boolean) : null;
+    let candidates = selectEntries(manifest.entries, { keys });
+    if (argv.date) {
+      candidates = candidates.filter(entry => dayjs(entry.quarantinedAt).format('YYYY-MM-DD') === argv.date);
+    }
+
+    if (candidates.length === 0) {
+      console.log(chalk.yellow('No quarantined Data Extensions match.'));
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    spinner = ora('Testing SFMC connection...').start();
+    const connResult = await testConnection(logger);
+    if (!connResult.success) {
+      spinner.fail(`Connection failed: ${connResult.error}`);
+      auditLogger.save(1);
+      process.exit(1);
+    }
+    spinner.succeed(`Connected to BU ${connResult.accountId}`);
+
+    // Check each DE still exists and its original folder is still there
+    spinner = ora('Checking quarantined Data Extensions...').start();
+    await clearFolderCache(logger);
+
+    const toRestore = [];
+    const alreadyRestored = [];
+    const problems = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+      const entry = candidates[i];
+      spinner.text = `Checking ${i + 1}/${candidates.length}: ${entry.name}`;
+
+      const de = await getDataExtensionDetails(entry.customerKey, logger);
+
+      if (!de) {
+        problems.push({ entry, error: 'Data Extension no longer exists' });
+      } else if (de.folderId === entry.originalFolderId) {
+        alreadyRestored.push(entry);
+      } else if (!(await getFolderById(entry.originalFolderId, logger))) {
+        problems.push({ entry, error: `Original folder ${entry.originalFolderPath || entry.originalFolderId} no longer exists` });
+      } else {
+        toRestore.push(entry);
+      }
+    }
+
+    spinner.succeed(`${toRestore.length} DE(s) to restore`);
+
+    for (const { entry, error } of problems) {
+      console.log(chalk.red(`  ✗ ${entry.name}: ${error}`));
+      auditLogger.addSkipped({ customerKey: entry.customerKey, name: entry.name }, error);
+    }
+
+    if (alreadyRestored.length > 0) {
+      console.log(chalk.gray(`  ${alreadyRestored.length} DE(s) are already back in their original folder`));
+    }
+
+    if (toRestore.length > 0) {
+      printEntries(toRestore, `RESTORE PREVIEW - ${toRestore.length} Data Extension(s)`);
+    }
+
+    if (!argv.confirm) {
+      console.log('');
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+      console.log(chalk.cyan.bold('   DRY RUN COMPLETE - No changes were made'));
+      console.log(chalk.cyan.bold('   Use --confirm to move these Data Extensions back'));
+      console.log(chalk.cyan.bold('═'.repeat(70)));
+
+      auditLogger.setMetadata('dryRun', true);
+      auditLogger.save(0);
+      process.exit(0);
+    }
+
+    if (toRestore.length > 0) {
+      const confirmed = await getConfirmation(toRestore.length);
+      if (!confirmed) {
+        console.log(chalk.yellow('\nUnquarantine cancelled.'));
+        auditLogger.setMetadata('cancelled', true);
+        auditLogger.save(2);
+        process.exit(2);
+      }
+    }
+
+    console.log('');
+    console.log(chalk.bold('Restoring Data Extensions...'));
+
+    const results = { successful: 0, failed: 0, failedItems: [] };
+    const released = [...alreadyRestored];
+
+    for (let i = 0; i < toRestore.length; i++) {
+      const entry = toRestore[i];
+      console.log(chalk.gray(`[${i + 1}/${toRestore.length}] Moving ${entry.name} back...`));
+
+      const result = await moveDataExtension(entry.customerKey, entry.originalFolderId, logger);
+
+      if (result.success) {
+        console.log(chalk.green('  ✓ Restored'));
+        results.successful++;
+        released.push(entry);
+        auditLogger.addSuccess({
+          customerKey: entry.customerKey,
+          name: entry.name,
+          folderId: entry.originalFolderId,
+          quarantinedAt: entry.quarantinedAt
+        });
+        saveQuarantineManifest(removeEntries(manifest, [entry.customerKey]));
+      } else {
+        console.log(chalk.red(`  ✗ Failed: ${result.error}`));
+        results.failed++;
+        results.failedItems.push({ name: entry.name, error: result.error });
+        auditLogger.addFailure({ customerKey: entry.customerKey, name: entry.name }, result.error);
+      }
+
+      await sleep(config.safety.apiRateLimitDelayMs);
+    }
+
+    const manifestPath = saveQuarantineManifest(removeEntries(manifest, alreadyRestored.map(e => e.customerKey)));
+    const releasable = getReleasableAutomations(released, manifest.entries);
+
+    const exitCode = results.failed > 0 || problems.length > 0 ? 1 : 0;
+    auditLogger.setMetadata('pausedAutomations', releasable);
+    const auditPath = auditLogger.save(exitCode);
+
+    console.log('');
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(chalk.cyan.bold('  UNQUARANTINE COMPLETE'));
+    console.log(chalk.cyan('='.repeat(config.ui.consoleWidth)));
+    console.log(`  Restored: ${chalk.green(results.successful)}`);
+    console.log(`  Failed: ${results.failed + problems.length > 0 ? chalk.red(results.failed + problems.length) : '0'}`);
+    for (const item of results.failedItems.slice(0, 10)) {
+      console.log(chalk.red(`    • ${item.name} - ${item.error}`));
+    }
+    console.log(`  Still in quarantine: ${manifest.entries.length}`);
+    console.log(`  Manifest: ${manifestPath}`);
+    console.log(`  Audit Log: ${auditPath}`);
+
+    if (releasable.length > 0) {
+      console.log('');
+      console.log(chalk.yellow(`  ${releasable.length} automation(s) were paused by quarantine. Re-activate their schedules in Automation Studio:`));
+      for (const automation of releasable) {
+        console.log(chalk.yellow(`    • ${automation.name} (${automation.id})`));
+      }
+    }
+
+    // Send webhook if configured
+    const webhookUrl = argv.webhookUrl || config.webhook.url;
+    if (webhookUrl) {
+      await sendWebhook(webhookUrl, {
+        operation: 'unquarantine',
+        operationId: auditLogger.operationId,
+        businessUnit: config.sfmc.accountId,
+        results,
+        pausedAutomations: releasable,
+        completedAt: new Date().toISOString()
+      }, logger);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('');
+    console.log(chalk.gray(`Completed in ${elapsed}s`));
+    console.log(chalk.gray(`Log file: ${logger.logFilePath}`));
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    if (spinner) spinner.fail('Unquarantine failed');
+    logger.error(`Unquarantine failed: ${error.message}`);
+    logger.debug(error.stack);
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    auditLogger.save(1);
+    process.exit(1);
+  }
+}
+
+// Run unquarantine
+runUnquarantine();
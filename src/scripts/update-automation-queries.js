@@ -22,6 +22,7 @@ import axios from 'axios';
 import config, { validateConfig } from '../config/index.js';
 import { createLogger } from '../lib/logger.js';
 import { getAccessToken, testConnection } from '../lib/sfmc-auth.js';
+import { profileOption } from '../lib/cli-helpers.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -50,6 +51,7 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('profile', profileOption)
   .check((argv) => {
     if (!argv.automation && !argv.automationId) {
       throw new Error('Must specify either --automation or --automation-id');
@@ -145,7 +147,7 @@ function loadRestoredQueriesMap(reportPath) {
  * Find automation by name in cache
  */
 function findAutomationInCache(name) {
-  const cachePath = path.join(config.paths.root, 'cache', `bulk-data-${config.sfmc.accountId}.json`);
+  const cachePath = path.join(config.paths.cache, `bulk-data-${config.sfmc.accountId}.json`);
 
   if (!fs.existsSync(cachePath)) {
     return null;
@@ -7,7 +7,7 @@
  * Uses a direct ObjectID mapping (old -> new) rather than a restoration report.
  *
  * Usage:
- *   node src/scripts/update-automation-query-objectids.js --automation-id "guid" --bu 1079060 [options]
+ *   node src/scripts/update-automation-query-objectids.js --automation-id "guid" --bu 123456 --mapping-file mapping.json [options]
  */
 
 import yargs from 'yargs';
@@ -21,6 +21,7 @@ import axios from 'axios';
 import config, { validateConfig } from '../config/index.js';
 import { createLogger } from '../lib/logger.js';
 import { getAccessToken, testConnection } from '../lib/sfmc-auth.js';
+import { profileOption } from '../lib/cli-helpers.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -36,8 +37,9 @@ const argv = yargs(hideBin(process.argv))
     demandOption: true
   })
   .option('mapping-file', {
-    describe: 'Path to JSON file with old->new ObjectID mapping',
-    type: 'string'
+    describe: 'JSON file with the old->new ObjectID mapping (a restore-queries report or { name: { old, new } })',
+    type: 'string',
+    demandOption: true
   })
   .option('dry-run', {
     describe: 'Preview only, no updates (DEFAULT)',
@@ -49,6 +51,7 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('profile', profileOption)
   .check((argv) => {
     if (argv.confirm) {
       argv.dryRun = false;
@@ -102,6 +105,28 @@ async function updateAutomation(automationId, payload, accountId) {
   return response.data;
 }
 
+/**
+ * Load the old -> new ObjectID mapping
+ * Accepts a restore-queries report (its objectIdMapping) or a plain
+ * { queryName: { old, new } } object.
+ */
+function loadObjectIdMapping(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Mapping file not found: ${filePath}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const mapping = data.objectIdMapping || data;
+
+  for (const [name, entry] of Object.entries(mapping)) {
+    if (!entry || typeof entry !== 'object' || !entry.old || !('new' in entry)) {
+      throw new Error(`Invalid mapping for "${name}" - expected { old, new }`);
+    }
+  }
+
+  return mapping;
+}
+
 /**
  * Main function
  */
@@ -136,57 +161,9 @@ async function main() {
     console.log(chalk.gray(`  Status: ${automation.status}`));
     console.log(chalk.gray(`  Steps: ${automation.steps?.length || 0}`));
 
-    // Load ObjectID mapping
-    // Hardcoded mapping from the user's request
-    const objectIdMapping = {
-      // Query name -> { oldId, newId }
-      '10567SmallBusinessSmartCapture_ImportCounts': {
-        old: '072a5c03-6c97-4034-8107-271545f77dbb',
-        new: '8ce80226-1088-415f-a403-32ef7cf7d11b'
-      },
-      '10567SmallBusinessSmartCapture_DailySeeds': {
-        old: '79455248-7fc8-4c59-8960-56bac9f848de',
-        new: 'c9c33347-e98d-496a-9cd9-899f016ec739'
-      },
-      '10567SmallBusinessSmartCapture_AddSeedsToTrigger': {
-        old: 'b9df1f07-6755-47b9-bdfa-a4de743202bd',
-        new: 'cc8c9208-9d53-4cfb-be18-f45e24f5d311'
-      },
-      '10567SmallBusinessSmartCapture_AddTriggerToMaster': {
-        old: 'bd8aee4b-7501-4bff-96a2-8a726e16464b',
-        new: 'ab43bee2-fee7-4516-bb69-7a00af1e4231'
-      },
-      '10567SmallBusinessSmartCapture_AB_Counts': {
-        old: '94bb35f3-f1ed-475c-80a9-53deae173fa8',
-        new: '292ee881-4548-43af-8acc-1954cd8ea3cc'
-      },
-      '10567SmallBusinessSmartCapture_AB_Significance': {
-        old: 'd36906ea-b7c5-4fcb-ab15-2e16da8ea6b3',
-        new: '5d63f4a2-7a18-43b2-9ed8-8f15445ac10d'
-      },
-      '10567SmallBusinessSmartCapture_UpdateMaster': {
-        old: 'bbc5c232-9c33-49b2-b5ff-e223631da30b',
-        new: '4246f376-24b8-4188-a4c3-6e4a699c7b2f'
-      },
-      '10567SmallBusinessSmartCapture_FormatJourneyLog': {
-        old: 'f9b22909-f581-406f-b137-f09c0202550b',
-        new: 'e7d7e61b-3fb2-4d91-a87f-82332500f246'
-      },
-      '10567SmallBusinessSmartCapture_FillInUpsertDE': {
-        old: 'b4c82229-cc8b-4a28-86f9-5eac3a020189',
-        new: 'fcb3c3ac-caaa-4620-9b61-1a7ef5bf2f97'
-      },
-      '10567SmallBusinessSmartCapture_SendSummary': {
-        old: '771778a8-4d2c-46b9-932e-e3e595151772',
-        new: 'd3d38f9c-4eee-4722-b31a-1617604e7a99'
-      },
-      // NOTE: This one could NOT be recreated - DO NOT update
-      '10567SmallBusinessSmartCapture_Trigger': {
-        old: 'c7c0a2bc-dd7d-4a63-b40f-6498324b3187',
-        new: 'f07af12e-e7a4-40db-83ff-dfa35febebf4'
-        
-      }
-    };
+    // Load ObjectID mapping (query name -> { old, new })
+    const objectIdMapping = loadObjectIdMapping(argv.mappingFile);
+    console.log(chalk.gray(`  Mapping: ${Object.keys(objectIdMapping).length} queries from ${argv.mappingFile}`));
 
     console.log(chalk.bold('\nQuery Activity Analysis:'));
     console.log('-'.repeat(70));
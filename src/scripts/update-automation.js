@@ -28,6 +28,7 @@ import {
   runAutomationOnce
 } from '../lib/sfmc-rest.js';
 import { retrieveDataExtensions } from '../lib/sfmc-soap.js';
+import { profileOption } from '../lib/cli-helpers.js';
 
 // Activity type IDs
 const ACTIVITY_TYPES = {
@@ -73,6 +74,7 @@ const argv = yargs(hideBin(process.argv))
   })
   .example('$0 -a "Daily Import" --bu 123456 -f "data.csv" -t "Staging_DE"', 'Preview changes')
   .example('$0 -a "Daily Import" --bu 123456 -f "data.csv" --confirm --run', 'Apply and run')
+  .option('profile', profileOption)
   .help()
   .parseSync();
 